@@ -0,0 +1,207 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using FluentAssertions;
+using Jellyfin.Xtream.Library.Api;
+using Jellyfin.Xtream.Library.Client;
+using Jellyfin.Xtream.Library.Service;
+using Jellyfin.Xtream.Library.Tests.Helpers;
+using MediaBrowser.Controller;
+using MediaBrowser.Controller.Library;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging.Abstractions;
+using Moq;
+using Newtonsoft.Json;
+using Xunit;
+
+namespace Jellyfin.Xtream.Library.Tests.Api;
+
+/// <summary>
+/// Per-item retry and ignore for the failed items browser. Until now the failed list was all or
+/// nothing, so what is pinned here is that acting on some items leaves the others exactly where
+/// they were, and that ignoring lands the ID in the provider the item actually failed on, found
+/// by its account even after the provider list is reordered.
+/// </summary>
+[Collection("PluginSingletonTests")]
+public class FailedItemsControllerTests : IDisposable
+{
+    private static readonly string MainKey = StrmSyncService.SnapshotKey(new ProviderConfig { BaseUrl = "http://main.test", Username = "u" });
+    private static readonly string BackupKey = StrmSyncService.SnapshotKey(new ProviderConfig { BaseUrl = "http://backup.test", Username = "u" });
+
+    private readonly string _dataPath;
+    private readonly Plugin _plugin;
+    private readonly StrmSyncService _syncService;
+    private readonly SyncController _controller;
+
+    public FailedItemsControllerTests()
+    {
+        _dataPath = Path.Combine(Path.GetTempPath(), "xtream-faileditems-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(Path.Combine(_dataPath, "xtream-library"));
+
+        var lastSync = new SyncResult { StartTime = DateTime.UtcNow, EndTime = DateTime.UtcNow, Success = true, Errors = 3 };
+        lastSync.AddFailedItems(new[]
+        {
+            new FailedItem { ProviderIndex = 0, ProviderKey = MainKey, ItemType = "Movie", ItemId = 101, Name = "Heat" },
+            new FailedItem { ProviderIndex = 0, ProviderKey = MainKey, ItemType = "Series", ItemId = 202, Name = "Lost" },
+            new FailedItem { ProviderIndex = 1, ProviderKey = BackupKey, ItemType = "Movie", ItemId = 101, Name = "Heat" },
+        });
+        File.WriteAllText(
+            Path.Combine(_dataPath, "xtream-library", "sync_history.json"),
+            JsonConvert.SerializeObject(new List<SyncResult> { lastSync }));
+
+        var appPaths = new Mock<IServerApplicationPaths>();
+        appPaths.Setup(p => p.PluginConfigurationsPath).Returns(_dataPath);
+        appPaths.Setup(p => p.DataPath).Returns(_dataPath);
+        appPaths.Setup(p => p.ProgramDataPath).Returns(_dataPath);
+        appPaths.Setup(p => p.CachePath).Returns(_dataPath);
+        appPaths.Setup(p => p.TempDirectory).Returns(_dataPath);
+        appPaths.Setup(p => p.PluginsPath).Returns(_dataPath);
+
+        _plugin = new Plugin(appPaths.Object, new RealXmlSerializer());
+        _plugin.Configuration.TriggerLibraryScan = false;
+        _plugin.Configuration.Providers =
+        [
+            new ProviderConfig { Name = "Main", BaseUrl = "http://main.test", Username = "u", Password = "p", LibraryPath = Path.Combine(_dataPath, "main") },
+            new ProviderConfig { Name = "Backup", BaseUrl = "http://backup.test", Username = "u", Password = "p", LibraryPath = Path.Combine(_dataPath, "backup"), ExcludedVodStreamIds = [7] },
+        ];
+
+        var client = new Mock<IXtreamClient>();
+        var host = new Mock<IServerApplicationHost>();
+        host.Setup(h => h.GetApiUrlForLocalAccess(It.IsAny<System.Net.IPAddress>(), It.IsAny<bool>()))
+            .Returns("http://127.0.0.1:8096");
+        var snapshotService = new SnapshotService(appPaths.Object, NullLogger<SnapshotService>.Instance);
+        _syncService = new StrmSyncService(
+            client.Object,
+            new Mock<IDispatcharrClient>().Object,
+            new Mock<ILibraryManager>().Object,
+            new Mock<IMetadataLookupService>().Object,
+            snapshotService,
+            new DeltaCalculator(NullLogger<DeltaCalculator>.Instance),
+            new LiveTvService(client.Object, appPaths.Object, host.Object, NullLogger<LiveTvService>.Instance),
+            appPaths.Object,
+            NullLogger<StrmSyncService>.Instance);
+        _controller = new SyncController(
+            _syncService,
+            client.Object,
+            new Mock<IDispatcharrClient>().Object,
+            new Mock<IMetadataLookupService>().Object,
+            snapshotService,
+            appPaths.Object,
+            NullLogger<SyncController>.Instance);
+    }
+
+    public void Dispose()
+    {
+        try
+        {
+            if (Directory.Exists(_dataPath))
+            {
+                Directory.Delete(_dataPath, recursive: true);
+            }
+        }
+        catch (IOException)
+        {
+            // Best effort; a leftover temp folder does not affect other tests.
+        }
+
+        GC.SuppressFinalize(this);
+    }
+
+    private static FailedItemsRequest Request(params (string ProviderKey, string ItemType, int ItemId)[] items)
+        => new()
+        {
+            Items = items.Select(i => new FailedItemRef { ProviderKey = i.ProviderKey, ItemType = i.ItemType, ItemId = i.ItemId }).ToList(),
+        };
+
+    [Fact]
+    public async Task RetryFailed_WithSelection_RetriesOnlyThoseAndKeepsTheRest()
+    {
+        var result = await _controller.RetryFailed(Request((BackupKey, "Movie", 101)), CancellationToken.None);
+
+        result.Result.Should().BeOfType<OkObjectResult>();
+        File.Exists(Path.Combine(_dataPath, "backup", "Movies", "Heat", "Heat.strm")).Should().BeTrue();
+        File.Exists(Path.Combine(_dataPath, "main", "Movies", "Heat", "Heat.strm")).Should().BeFalse();
+        _syncService.FailedItems.Select(i => (i.ProviderIndex, i.ItemType, i.ItemId))
+            .Should().Equal((0, "Movie", 101), (0, "Series", 202));
+        _syncService.LastSyncResult!.Errors.Should().Be(2);
+    }
+
+    [Fact]
+    public async Task RetryFailed_WithUnknownSelection_ReturnsBadRequest()
+    {
+        var result = await _controller.RetryFailed(Request((MainKey, "Movie", 999)), CancellationToken.None);
+
+        result.Result.Should().BeOfType<BadRequestObjectResult>();
+        _syncService.FailedItems.Should().HaveCount(3);
+    }
+
+    [Fact]
+    public void IgnoreFailedItems_ExcludesOnTheItemsOwnProvider_AndDropsThemFromTheList()
+    {
+        var result = _controller.IgnoreFailedItems(Request((BackupKey, "Movie", 101), (MainKey, "Series", 202)));
+
+        result.Should().BeOfType<OkObjectResult>();
+        _plugin.Configuration.Providers[0].ExcludedVodStreamIds.Should().BeEmpty();
+        _plugin.Configuration.Providers[0].ExcludedSeriesIds.Should().Equal(202);
+        _plugin.Configuration.Providers[1].ExcludedVodStreamIds.Should().Equal(7, 101);
+        _syncService.FailedItems.Select(i => (i.ProviderIndex, i.ItemType, i.ItemId))
+            .Should().Equal((0, "Movie", 101));
+    }
+
+    [Fact]
+    public void IgnoreFailedItems_AfterAReorder_StillExcludesOnTheItemsOwnProvider()
+    {
+        _plugin.Configuration.Providers.Reverse();
+
+        var result = _controller.IgnoreFailedItems(Request((BackupKey, "Movie", 101)));
+
+        result.Should().BeOfType<OkObjectResult>();
+        _plugin.Configuration.Providers[0].Name.Should().Be("Backup");
+        _plugin.Configuration.Providers[0].ExcludedVodStreamIds.Should().Equal(7, 101);
+        _plugin.Configuration.Providers[1].ExcludedVodStreamIds.Should().BeEmpty();
+        _syncService.FailedItems.Select(i => (i.ProviderKey, i.ItemType, i.ItemId))
+            .Should().Equal((MainKey, "Movie", 101), (MainKey, "Series", 202));
+    }
+
+    [Fact]
+    public void IgnoreFailedItems_SkipsAnItemWhoseProviderIsGone()
+    {
+        _plugin.Configuration.Providers.RemoveAt(1);
+
+        var result = _controller.IgnoreFailedItems(Request((BackupKey, "Movie", 101)));
+
+        result.Should().BeOfType<OkObjectResult>();
+        _plugin.Configuration.Providers[0].ExcludedVodStreamIds.Should().BeEmpty();
+        _syncService.FailedItems.Should().HaveCount(3);
+    }
+
+    [Fact]
+    public async Task RetryFailed_AfterAReorder_UsesTheItemsOwnProvider()
+    {
+        _plugin.Configuration.Providers.Reverse();
+
+        await _controller.RetryFailed(Request((BackupKey, "Movie", 101)), CancellationToken.None);
+
+        File.Exists(Path.Combine(_dataPath, "backup", "Movies", "Heat", "Heat.strm")).Should().BeTrue();
+        File.Exists(Path.Combine(_dataPath, "main", "Movies", "Heat", "Heat.strm")).Should().BeFalse();
+    }
+
+    [Fact]
+    public void IgnoreFailedItems_RejectsTypesThatHaveNoExclusionList()
+    {
+        var result = _controller.IgnoreFailedItems(Request((MainKey, "Episode", 5)));
+
+        result.Should().BeOfType<BadRequestObjectResult>();
+        _syncService.FailedItems.Should().HaveCount(3);
+    }
+}
@@ -14,7 +14,9 @@
 // along with this program.  If not, see <https://www.gnu.org/licenses/>.
 
 using System;
+using System.Collections.Generic;
 using System.IO;
+using System.Linq;
 using FluentAssertions;
 using Jellyfin.Xtream.Library.Api;
 using Jellyfin.Xtream.Library.Client;
@@ -134,4 +136,32 @@ public class LiveTvControllerTests : IDisposable
 
         result.Should().BeOfType<NotFoundResult>();
     }
+
+    [Fact]
+    public void TestChannelNameCleaning_UsesTheRequestedTermsNotTheSavedOnes()
+    {
+        Plugin.Instance.Configuration.ChannelRemoveTerms = "One";
+
+        var result = _controller.TestChannelNameCleaning(new ChannelNameCleaningRequest
+        {
+            Names = { "UK: BBC One | HD |", "Promo", null },
+            RemoveTerms = "promo",
+            EnableCleaning = true,
+        });
+
+        var names = result.Result.Should().BeOfType<OkObjectResult>().Subject.Value.Should().BeAssignableTo<List<CleanedChannelNameDto>>().Subject;
+        names.Select(n => (n.Original, n.Cleaned, n.Emptied)).Should().Equal(
+            ("UK: BBC One | HD |", "BBC One", false),
+            ("Promo", "Promo", true),
+            (string.Empty, string.Empty, false));
+    }
+
+    [Fact]
+    public void TestChannelNameCleaning_TooManyNames_ReturnsBadRequest()
+    {
+        var request = new ChannelNameCleaningRequest();
+        request.Names.AddRange(Enumerable.Repeat<string?>("x", 20001));
+
+        _controller.TestChannelNameCleaning(request).Result.Should().BeOfType<BadRequestObjectResult>();
+    }
 }
@@ -195,6 +195,54 @@ public class SyncControllerTests
 
     #endregion
 
+    #region Progress Stream Tests
+
+    [Fact]
+    public async Task WriteProgressEventsAsync_FinishedSync_SendsFinalStateAndEnds()
+    {
+        var progress = new SyncProgress { IsRunning = true, Phase = "Syncing movies" };
+        using var body = new MemoryStream();
+
+        var stream = SyncController.WriteProgressEventsAsync(body, progress, TimeSpan.FromMilliseconds(10), CancellationToken.None);
+        await Task.Delay(50);
+        progress.IsRunning = false;
+        await stream.WaitAsync(TimeSpan.FromSeconds(5));
+
+        var text = System.Text.Encoding.UTF8.GetString(body.ToArray());
+        text.Should().StartWith("retry: 2000\n\n");
+        text.Should().Contain("\"IsRunning\":true");
+        text.Should().EndWith("\n\n");
+        text.TrimEnd().Should().EndWith("}").And.Contain("\"IsRunning\":false");
+    }
+
+    [Fact]
+    public async Task WriteProgressEventsAsync_UnchangedProgress_IsSentOnce()
+    {
+        var progress = new SyncProgress { IsRunning = true, Phase = "Syncing movies" };
+        using var body = new MemoryStream();
+        using var cts = new CancellationTokenSource(TimeSpan.FromMilliseconds(200));
+
+        await SyncController.WriteProgressEventsAsync(body, progress, TimeSpan.FromMilliseconds(10), cts.Token);
+
+        var text = System.Text.Encoding.UTF8.GetString(body.ToArray());
+        text.Split("event: progress").Length.Should().Be(2);
+    }
+
+    [Fact]
+    public async Task WriteProgressEventsAsync_NotYetRunning_WaitsInsteadOfReportingIdle()
+    {
+        // Opened straight after POST /Sync, before the background task has set IsRunning.
+        var progress = new SyncProgress();
+        using var body = new MemoryStream();
+        using var cts = new CancellationTokenSource(TimeSpan.FromMilliseconds(200));
+
+        await SyncController.WriteProgressEventsAsync(body, progress, TimeSpan.FromMilliseconds(10), cts.Token);
+
+        System.Text.Encoding.UTF8.GetString(body.ToArray()).Should().NotContain("event: progress");
+    }
+
+    #endregion
+
     #region History Tests
 
     [Fact]
@@ -203,8 +251,19 @@ public class SyncControllerTests
         var result = _controller.GetHistory();
 
         var okResult = result.Result.Should().BeOfType<OkObjectResult>().Subject;
-        var history = okResult.Value.Should().BeAssignableTo<IReadOnlyList<SyncResult>>().Subject;
-        history.Should().BeEmpty();
+        var page = okResult.Value.Should().BeOfType<SyncHistoryPageDto>().Subject;
+        page.Items.Should().BeEmpty();
+        page.TotalRecordCount.Should().Be(0);
+    }
+
+    [Theory]
+    [InlineData("broken", null)]
+    [InlineData(null, "partial")]
+    public void GetHistory_ReturnsBadRequest_ForUnknownFilter(string? status, string? type)
+    {
+        var result = _controller.GetHistory(status: status, type: type);
+
+        result.Result.Should().BeOfType<BadRequestObjectResult>();
     }
 
     #endregion
@@ -344,4 +403,32 @@ public class SyncControllerTests
     }
 
     #endregion
+
+    #region Metadata Match Tests
+
+    [Fact]
+    public async Task GetMetadataCandidates_SeriesAreSearchedForTheirTvdbId()
+    {
+        _mockMetadataLookup
+            .Setup(m => m.SearchSeriesCandidatesAsync("Bluey", 2018, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<MetadataCandidate> { new() { Id = 353546, Name = "Bluey", Year = 2018 } });
+
+        var result = await _controller.GetMetadataCandidates("Series", " Bluey ", 2018, CancellationToken.None);
+
+        var okResult = result.Result.Should().BeOfType<OkObjectResult>().Subject;
+        okResult.Value.Should().BeAssignableTo<List<MetadataCandidate>>().Which.Single().Id.Should().Be(353546);
+        _mockMetadataLookup.Verify(m => m.SearchMovieCandidatesAsync(It.IsAny<string>(), It.IsAny<int?>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    [Theory]
+    [InlineData("Episode", "Bluey")]
+    [InlineData("Movie", " ")]
+    public async Task GetMetadataCandidates_ReturnsBadRequest_ForUnknownTypeOrBlankTitle(string type, string title)
+    {
+        var result = await _controller.GetMetadataCandidates(type, title, null, CancellationToken.None);
+
+        result.Result.Should().BeOfType<BadRequestObjectResult>();
+    }
+
+    #endregion
 }
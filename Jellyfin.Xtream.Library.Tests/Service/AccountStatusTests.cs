@@ -0,0 +1,171 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Net.Http;
+using System.Threading;
+using System.Threading.Tasks;
+using FluentAssertions;
+using Jellyfin.Xtream.Library.Client;
+using Jellyfin.Xtream.Library.Client.Models;
+using Jellyfin.Xtream.Library.Service;
+using Jellyfin.Xtream.Library.Tests.Helpers;
+using MediaBrowser.Controller;
+using MediaBrowser.Controller.Library;
+using Microsoft.Extensions.Logging.Abstractions;
+using Moq;
+using Xunit;
+
+namespace Jellyfin.Xtream.Library.Tests.Service;
+
+/// <summary>
+/// The provider account card on the dashboard. The dashboard reloads on every visit, so the
+/// answers have to come from the cache unless a refresh is asked for, and the expiry warning has
+/// to follow the configured number of days.
+/// </summary>
+[Collection("PluginSingletonTests")]
+public class AccountStatusTests : IDisposable
+{
+    private static readonly DateTime Now = new(2026, 3, 1, 12, 0, 0, DateTimeKind.Utc);
+
+    private readonly string _dataPath;
+    private readonly Mock<IXtreamClient> _client = new();
+    private readonly Mock<IServerApplicationPaths> _appPaths = new();
+
+    public AccountStatusTests()
+    {
+        _dataPath = Path.Combine(Path.GetTempPath(), "xtream-accounts-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(_dataPath);
+        _appPaths.Setup(p => p.PluginConfigurationsPath).Returns(_dataPath);
+        _appPaths.Setup(p => p.DataPath).Returns(_dataPath);
+        _appPaths.Setup(p => p.ProgramDataPath).Returns(_dataPath);
+        _appPaths.Setup(p => p.CachePath).Returns(_dataPath);
+        _appPaths.Setup(p => p.TempDirectory).Returns(_dataPath);
+        _appPaths.Setup(p => p.PluginsPath).Returns(_dataPath);
+
+        _client.Setup(c => c.GetUserAndServerInfoAsync(It.IsAny<ConnectionInfo>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new PlayerApi
+            {
+                UserInfo = new UserInfo
+                {
+                    Status = "Active",
+                    ExpDate = DateTime.UtcNow.AddDays(30),
+                    ActiveCons = 1,
+                    MaxConnections = 2,
+                    AllowedOutputFormats = new List<string> { "ts", "m3u8" },
+                },
+            });
+    }
+
+    public void Dispose()
+    {
+        try
+        {
+            if (Directory.Exists(_dataPath))
+            {
+                Directory.Delete(_dataPath, recursive: true);
+            }
+        }
+        catch (IOException)
+        {
+            // Best effort; a leftover temp directory must not fail the suite.
+        }
+
+        GC.SuppressFinalize(this);
+    }
+
+    [Theory]
+    [InlineData(10, 7, 10, false)]
+    [InlineData(5, 7, 5, true)]
+    [InlineData(-2, 7, -2, true)]
+    public void ToAccountStatus_WarnsWithinTheConfiguredDays(int daysLeft, int warningDays, int expectedDays, bool expectedWarning)
+    {
+        var entry = new StrmSyncService.AccountCacheEntry
+        {
+            CheckedAt = Now,
+            UserInfo = new UserInfo { Status = "Active", ExpDate = Now.AddDays(daysLeft).AddHours(1), IsTrial = true },
+        };
+
+        var status = StrmSyncService.ToAccountStatus(0, new ProviderConfig { Name = "Main" }, entry, warningDays, Now);
+
+        status.Success.Should().BeTrue();
+        status.IsTrial.Should().BeTrue();
+        status.DaysUntilExpiry.Should().Be(expectedDays);
+        status.ExpiresSoon.Should().Be(expectedWarning);
+    }
+
+    [Fact]
+    public void ToAccountStatus_AnAccountWithoutExpiryDate_NeverWarns()
+    {
+        var entry = new StrmSyncService.AccountCacheEntry { CheckedAt = Now, UserInfo = new UserInfo { Status = "Active" } };
+
+        var status = StrmSyncService.ToAccountStatus(0, new ProviderConfig(), entry, 7, Now);
+
+        status.ExpiresAt.Should().BeNull();
+        status.DaysUntilExpiry.Should().BeNull();
+        status.ExpiresSoon.Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task GetAccountStatuses_UsesTheCache_UntilARefreshIsAskedFor()
+    {
+        var service = CreateService();
+
+        await service.GetAccountStatusesAsync(refresh: false, CancellationToken.None).ConfigureAwait(true);
+        var cached = await service.GetAccountStatusesAsync(refresh: false, CancellationToken.None).ConfigureAwait(true);
+
+        cached.Should().ContainSingle();
+        cached[0].ProviderName.Should().Be("Main");
+        cached[0].ActiveConnections.Should().Be(1);
+        cached[0].MaxConnections.Should().Be(2);
+        cached[0].AllowedOutputFormats.Should().Equal("ts", "m3u8");
+        cached[0].ExpiresSoon.Should().BeFalse();
+        _client.Verify(c => c.GetUserAndServerInfoAsync(It.IsAny<ConnectionInfo>(), It.IsAny<CancellationToken>()), Times.Once());
+
+        await service.GetAccountStatusesAsync(refresh: true, CancellationToken.None).ConfigureAwait(true);
+        _client.Verify(c => c.GetUserAndServerInfoAsync(It.IsAny<ConnectionInfo>(), It.IsAny<CancellationToken>()), Times.Exactly(2));
+    }
+
+    [Fact]
+    public async Task GetAccountStatuses_ReportsAProviderThatCannotBeReached()
+    {
+        _client.Setup(c => c.GetUserAndServerInfoAsync(It.IsAny<ConnectionInfo>(), It.IsAny<CancellationToken>()))
+            .ThrowsAsync(new HttpRequestException("connection refused"));
+        var service = CreateService();
+
+        var statuses = await service.GetAccountStatusesAsync(refresh: false, CancellationToken.None).ConfigureAwait(true);
+
+        statuses.Should().ContainSingle();
+        statuses[0].Success.Should().BeFalse();
+        statuses[0].Error.Should().Be("connection refused");
+    }
+
+    private StrmSyncService CreateService()
+    {
+        // Constructing the plugin publishes Plugin.Instance, which the service reads.
+        var plugin = new Plugin(_appPaths.Object, new RealXmlSerializer());
+        plugin.Configuration.Providers =
+        [
+            new ProviderConfig { Name = "Main", BaseUrl = "http://provider.test", Username = "u", Password = "p" },
+            new ProviderConfig { Name = "Blank" },
+        ];
+
+        var host = new Mock<IServerApplicationHost>();
+        return new StrmSyncService(
+            _client.Object,
+            new Mock<IDispatcharrClient>().Object,
+            new Mock<ILibraryManager>().Object,
+            new Mock<IMetadataLookupService>().Object,
+            new SnapshotService(_appPaths.Object, NullLogger<SnapshotService>.Instance),
+            new DeltaCalculator(NullLogger<DeltaCalculator>.Instance),
+            new LiveTvService(_client.Object, _appPaths.Object, host.Object, NullLogger<LiveTvService>.Instance),
+            _appPaths.Object,
+            NullLogger<StrmSyncService>.Instance);
+    }
+}
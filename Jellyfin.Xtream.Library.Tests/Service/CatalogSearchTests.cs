@@ -0,0 +1,186 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Net.Http;
+using System.Threading;
+using System.Threading.Tasks;
+using FluentAssertions;
+using Jellyfin.Xtream.Library.Client;
+using Jellyfin.Xtream.Library.Client.Models;
+using Jellyfin.Xtream.Library.Service;
+using Jellyfin.Xtream.Library.Tests.Helpers;
+using MediaBrowser.Controller;
+using MediaBrowser.Controller.Library;
+using Microsoft.Extensions.Logging.Abstractions;
+using Moq;
+using Xunit;
+
+namespace Jellyfin.Xtream.Library.Tests.Service;
+
+/// <summary>
+/// The catalogue search. It reads the whole catalogue, unselected categories included, so what
+/// matters is that each hit says where the sync would put it and whether it is on disk, and that
+/// a search typed letter by letter does not refetch the catalogue every time.
+/// </summary>
+[Collection("PluginSingletonTests")]
+public class CatalogSearchTests : IDisposable
+{
+    private readonly string _libraryPath;
+    private readonly Mock<IXtreamClient> _client = new();
+    private readonly Mock<IServerApplicationPaths> _appPaths = new();
+
+    public CatalogSearchTests()
+    {
+        _libraryPath = Path.Combine(Path.GetTempPath(), "xtream-catalogsearch-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(_libraryPath);
+
+        var dataPath = Path.Combine(_libraryPath, "data");
+        _appPaths.Setup(p => p.PluginConfigurationsPath).Returns(dataPath);
+        _appPaths.Setup(p => p.DataPath).Returns(dataPath);
+        _appPaths.Setup(p => p.ProgramDataPath).Returns(dataPath);
+        _appPaths.Setup(p => p.CachePath).Returns(dataPath);
+        _appPaths.Setup(p => p.TempDirectory).Returns(dataPath);
+        _appPaths.Setup(p => p.PluginsPath).Returns(dataPath);
+
+        _client.Setup(c => c.GetVodCategoryAsync(It.IsAny<ConnectionInfo>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<Category>
+            {
+                new() { CategoryId = 1, CategoryName = "EN | Action" },
+                new() { CategoryId = 2, CategoryName = "EN | Kids" },
+            });
+        _client.Setup(c => c.GetAllVodStreamsAsync(It.IsAny<ConnectionInfo>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<StreamInfo>
+            {
+                new() { StreamId = 100, Name = "Ronin (1998)", CategoryId = 1 },
+                new() { StreamId = 200, Name = "Robin Hood (1973)", CategoryId = 2 },
+                new() { StreamId = 300, Name = "Heat (1995)", CategoryId = 1 },
+            });
+    }
+
+    public void Dispose()
+    {
+        try
+        {
+            if (Directory.Exists(_libraryPath))
+            {
+                Directory.Delete(_libraryPath, recursive: true);
+            }
+        }
+        catch (IOException)
+        {
+            // Best effort; a leftover temp directory must not fail the suite.
+        }
+
+        GC.SuppressFinalize(this);
+    }
+
+    [Fact]
+    public async Task Search_FindsTitlesInUnselectedCategories_WithTheirCategoryAndFolder()
+    {
+        var service = CreateService(p =>
+        {
+            p.MovieFolderMode = "Multiple";
+            p.MovieFolderMappings = "Action=1";
+            p.MovieFolderRules = "Kids=*Kids*";
+        });
+
+        var result = await service.SearchCatalogAsync(new CatalogSearchQuery { Search = "ro", ItemType = "Movie" }, CancellationToken.None).ConfigureAwait(true);
+
+        result.TotalCount.Should().Be(2);
+        result.Hits.Select(h => h.Name).Should().Equal("Robin Hood (1973)", "Ronin (1998)");
+        var robin = result.Hits[0];
+        robin.CategoryName.Should().Be("EN | Kids");
+        robin.Folders.Should().Equal("Kids");
+        robin.CategorySelected.Should().BeTrue("a name rule places the category");
+        robin.Synced.Should().BeFalse();
+        result.Hits[1].Folders.Should().Equal("Action");
+    }
+
+    [Fact]
+    public async Task Search_SaysWhichTitlesTheLastSyncWrote()
+    {
+        _client.Setup(c => c.GetVodStreamsByCategoryAsync(It.IsAny<ConnectionInfo>(), 1, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<StreamInfo> { new() { StreamId = 100, Name = "Ronin (1998)", ContainerExtension = "mp4", CategoryId = 1 } });
+        var service = CreateService(p => p.SelectedVodCategoryIds = [1]);
+        await service.SyncAsync(CancellationToken.None).ConfigureAwait(true);
+
+        var result = await service.SearchCatalogAsync(new CatalogSearchQuery { Search = "(19", ItemType = "Movie" }, CancellationToken.None).ConfigureAwait(true);
+
+        result.Hits.Where(h => h.Synced).Select(h => h.ItemId).Should().Equal(100);
+        result.Hits.Where(h => h.CategorySelected).Select(h => h.ItemId).Should().BeEquivalentTo(new[] { 100, 300 });
+        result.Hits.Should().OnlyContain(h => h.Folders.Count == 0, "Single folder mode has no folders");
+    }
+
+    [Fact]
+    public async Task Search_KeepsTheCatalogue_BetweenSearches()
+    {
+        var service = CreateService();
+
+        await service.SearchCatalogAsync(new CatalogSearchQuery { Search = "he", ItemType = "Movie" }, CancellationToken.None).ConfigureAwait(true);
+        var result = await service.SearchCatalogAsync(new CatalogSearchQuery { Search = "hea", ItemType = "Movie" }, CancellationToken.None).ConfigureAwait(true);
+
+        result.Hits.Select(h => h.ItemId).Should().Equal(300);
+        _client.Verify(c => c.GetAllVodStreamsAsync(It.IsAny<ConnectionInfo>(), It.IsAny<CancellationToken>()), Times.Once());
+        _client.Verify(c => c.GetAllSeriesAsync(It.IsAny<ConnectionInfo>(), It.IsAny<CancellationToken>()), Times.Never());
+    }
+
+    [Fact]
+    public async Task Search_ReportsAProviderThatCannotBeReached_InsteadOfFailing()
+    {
+        _client.Setup(c => c.GetAllVodStreamsAsync(It.IsAny<ConnectionInfo>(), It.IsAny<CancellationToken>()))
+            .ThrowsAsync(new HttpRequestException("connection refused"));
+        var service = CreateService();
+
+        var result = await service.SearchCatalogAsync(new CatalogSearchQuery { Search = "heat", ItemType = "Movie" }, CancellationToken.None).ConfigureAwait(true);
+
+        result.Hits.Should().BeEmpty();
+        result.Errors.Should().Equal("test: connection refused");
+    }
+
+    private StrmSyncService CreateService(Action<ProviderConfig>? configure = null)
+    {
+        // Constructing the plugin publishes Plugin.Instance, which the service reads.
+        var plugin = new Plugin(_appPaths.Object, new RealXmlSerializer());
+        var provider = new ProviderConfig
+        {
+            Name = "test",
+            BaseUrl = "http://provider.test",
+            Username = "u",
+            Password = "p",
+            LibraryPath = _libraryPath,
+            SyncMovies = true,
+            SyncSeries = false,
+            EnableIncrementalSync = false,
+            SmartSkipExisting = false,
+            CleanupOrphans = false,
+            DownloadArtworkForUnmatched = false,
+            SyncParallelism = 1,
+        };
+        configure?.Invoke(provider);
+        plugin.Configuration.Providers = [provider];
+        plugin.Configuration.EnableLiveTv = false;
+        plugin.Configuration.EnableMetadataLookup = false;
+
+        var host = new Mock<IServerApplicationHost>();
+        host.Setup(h => h.GetApiUrlForLocalAccess(It.IsAny<System.Net.IPAddress>(), It.IsAny<bool>()))
+            .Returns("http://127.0.0.1:8096");
+        return new StrmSyncService(
+            _client.Object,
+            new Mock<IDispatcharrClient>().Object,
+            new Mock<ILibraryManager>().Object,
+            new Mock<IMetadataLookupService>().Object,
+            new SnapshotService(_appPaths.Object, NullLogger<SnapshotService>.Instance),
+            new DeltaCalculator(NullLogger<DeltaCalculator>.Instance),
+            new LiveTvService(_client.Object, _appPaths.Object, host.Object, NullLogger<LiveTvService>.Instance),
+            _appPaths.Object,
+            NullLogger<StrmSyncService>.Instance);
+    }
+}
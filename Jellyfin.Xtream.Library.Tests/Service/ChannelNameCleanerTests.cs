@@ -265,4 +265,28 @@ public class ChannelNameCleanerTests
     }
 
     #endregion
+
+    #region CleansToEmpty Tests
+
+    [Fact]
+    public void CleansToEmpty_NameMadeOfTags_IsReported_AndTheOriginalIsKept()
+    {
+        ChannelNameCleaner.CleansToEmpty("UK: 1080p", "SPORTS").Should().BeTrue();
+        ChannelNameCleaner.CleanChannelName("UK: 1080p", "SPORTS").Should().Be("UK: 1080p");
+    }
+
+    [Fact]
+    public void CleansToEmpty_RemovalTermCoveringTheName_IsReported()
+    {
+        ChannelNameCleaner.CleansToEmpty("Promo", "promo").Should().BeTrue();
+        ChannelNameCleaner.CleansToEmpty("BBC One HD", "promo").Should().BeFalse();
+    }
+
+    [Fact]
+    public void CleansToEmpty_CleaningDisabled_IsNeverReported()
+    {
+        ChannelNameCleaner.CleansToEmpty("Promo", "promo", enableCleaning: false).Should().BeFalse();
+    }
+
+    #endregion
 }
@@ -0,0 +1,127 @@
+// Copyright (C) 2024  Roland Breitschaft
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System.Collections.Generic;
+using System.Linq;
+using FluentAssertions;
+using Jellyfin.Xtream.Library.Client.Models;
+using Jellyfin.Xtream.Library.Service;
+using Xunit;
+
+namespace Jellyfin.Xtream.Library.Tests.Service;
+
+public class ChannelNumberingTests
+{
+    private static readonly Dictionary<int, string> CategoryNames = new() { [10] = "Sports", [20] = "News" };
+
+    private static List<LiveStreamInfo> MakeChannels() => new()
+    {
+        new() { StreamId = 1, Name = "Sky Sports", Num = 40, CategoryId = 10 },
+        new() { StreamId = 2, Name = "BT Sport", Num = 41, CategoryId = 10 },
+        new() { StreamId = 3, Name = "CNN", Num = 7, CategoryId = 20 },
+        new() { StreamId = 4, Name = "BBC News", Num = 9, CategoryId = 20 },
+        new() { StreamId = 5, Name = "Loose", Num = 3 },
+    };
+
+    private static Dictionary<int, int> NumbersByStream(List<LiveStreamInfo> channels, PluginConfiguration config)
+    {
+        var numbers = ChannelNumbering.Assign(channels, config, CategoryNames);
+        return channels.ToDictionary(c => c.StreamId, c => ChannelNumbering.NumberOf(numbers, c));
+    }
+
+    [Fact]
+    public void PreserveProvider_KeepsTheProvidersNumbers()
+    {
+        var channels = MakeChannels();
+
+        NumbersByStream(channels, new PluginConfiguration()).Should().Equal(
+            new Dictionary<int, int> { [1] = 40, [2] = 41, [3] = 7, [4] = 9, [5] = 3 });
+    }
+
+    [Fact]
+    public void GlobalSequence_OrdersByTheProvidersCategoryOrderThenChannelName_UncategorisedLast()
+    {
+        var config = new PluginConfiguration { ChannelNumbering = ChannelNumberingMode.GlobalSequence, ChannelNumberingStart = 100 };
+
+        NumbersByStream(MakeChannels(), config).Should().Equal(
+            new Dictionary<int, int> { [2] = 100, [1] = 101, [4] = 102, [3] = 103, [5] = 104 });
+    }
+
+    [Fact]
+    public void SequentialPerCategory_KeepsTheProviderOrder_AndContinuesWithoutAStart()
+    {
+        var config = new PluginConfiguration
+        {
+            ChannelNumbering = ChannelNumberingMode.SequentialPerCategory,
+            ChannelNumberingStart = 1,
+            ChannelNumberingCategoryStarts = "20=500\nnot a line\n99=0",
+        };
+
+        NumbersByStream(MakeChannels(), config).Should().Equal(
+            new Dictionary<int, int> { [1] = 1, [2] = 2, [3] = 500, [4] = 501, [5] = 502 });
+    }
+
+    [Fact]
+    public void ManualOverrideNumber_Wins_AndTheSequenceSkipsIt()
+    {
+        var channels = MakeChannels();
+        var config = new PluginConfiguration
+        {
+            ChannelNumbering = ChannelNumberingMode.GlobalSequence,
+            ChannelNumberingStart = 1,
+            ChannelOverrides = "1=|2\n3=CNN International",
+        };
+
+        // Overrides are applied to the channels before numbering, as the fetch path does.
+        var overrides = ChannelOverrideParser.Parse(config.ChannelOverrides);
+        channels.ForEach(c => ChannelOverrideParser.ApplyOverride(c, overrides.GetValueOrDefault(c.StreamId)));
+
+        NumbersByStream(channels, config).Should().Equal(
+            new Dictionary<int, int> { [2] = 1, [1] = 2, [4] = 3, [3] = 4, [5] = 5 });
+    }
+
+    [Fact]
+    public void WithoutCategoryNames_CategoriesGoInTheOrderTheChannelsListThem()
+    {
+        var config = new PluginConfiguration { ChannelNumbering = ChannelNumberingMode.GlobalSequence };
+        var channels = MakeChannels();
+        channels.Reverse();
+
+        var numbers = ChannelNumbering.Assign(channels, config, new Dictionary<int, string>());
+
+        channels.ToDictionary(c => c.StreamId, c => ChannelNumbering.NumberOf(numbers, c)).Should().Equal(
+            new Dictionary<int, int> { [4] = 1, [3] = 2, [2] = 3, [1] = 4, [5] = 5 });
+    }
+
+    [Fact]
+    public void SameStreamIdOnTwoProviders_GetsTwoNumbers()
+    {
+        var channels = new List<LiveStreamInfo>
+        {
+            new() { ProviderIndex = 0, StreamId = 1, Name = "A", CategoryId = 10 },
+            new() { ProviderIndex = 1, StreamId = 1, Name = "A", CategoryId = 10 },
+        };
+        var config = new PluginConfiguration { ChannelNumbering = ChannelNumberingMode.GlobalSequence };
+
+        ChannelNumbering.Assign(channels, config, CategoryNames).Values.Should().BeEquivalentTo(new[] { 1, 2 });
+    }
+
+    [Fact]
+    public void ParseCategoryStarts_SkipsUnreadableLines_LastWins()
+    {
+        ChannelNumbering.ParseCategoryStarts("10=100\r\n=5\n20=x\n30=-1\n10 = 200").Should().Equal(
+            new Dictionary<int, int> { [10] = 200 });
+    }
+}
@@ -0,0 +1,125 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+using System.Collections.Generic;
+using System.Linq;
+using FluentAssertions;
+using Jellyfin.Xtream.Library.Client.Models;
+using Jellyfin.Xtream.Library.Service;
+using Xunit;
+
+namespace Jellyfin.Xtream.Library.Tests.Service;
+
+public class FolderNameRulesTests
+{
+    private static readonly List<Category> ProviderCategories =
+    [
+        new Category { CategoryId = 10, CategoryName = "EN | Kids" },
+        new Category { CategoryId = 11, CategoryName = "EN | Kids 2026" },
+        new Category { CategoryId = 20, CategoryName = "EN | Action" },
+        new Category { CategoryId = 30, CategoryName = "DE | Kinder" },
+    ];
+
+    [Fact]
+    public void Parse_SkipsMalformedLinesAndInvalidRegexes()
+    {
+        var rules = FolderNameRules.Parse("Kids=EN | Kids*\nnonsense\n=*\nBroken=re:([\nEmpty=\nGerman=re:^DE \\|");
+
+        rules.Select(r => r.FolderName).Should().Equal("Kids", "German");
+        rules[0].Pattern.Should().Be("EN | Kids*");
+    }
+
+    [Fact]
+    public void Parse_ReportsTheLinesItSkips()
+    {
+        var skipped = new List<InvalidFolderRule>();
+
+        FolderNameRules.Parse("Kids=EN | Kids*\nnonsense\n\nBroken=re:([", skipped);
+
+        skipped.Select(r => r.Line).Should().Equal(2, 4);
+        skipped[0].FolderName.Should().BeEmpty();
+        skipped[1].FolderName.Should().Be("Broken");
+        skipped[1].Pattern.Should().Be("re:([");
+        skipped[1].Error.Should().NotBeEmpty();
+    }
+
+    [Theory]
+    [InlineData("re:(?i)kids")]
+    [InlineData("re:(?<year>\\d{4})")]
+    [InlineData("Kids*")]
+    public void FindInvalid_AcceptsWhatTheSyncCompiles(string pattern)
+    {
+        FolderNameRules.FindInvalid("Folder=" + pattern).Should().BeEmpty();
+    }
+
+    [Fact]
+    public void FindInvalid_RefusesWhatOnlyJavaScriptAccepts()
+    {
+        // [^] matches any character in JavaScript; .NET reads it as an unterminated set.
+        var invalid = FolderNameRules.FindInvalid("Kids=Kids*\nAll=re:[^]");
+
+        invalid.Should().ContainSingle();
+        invalid[0].Line.Should().Be(2);
+        invalid[0].FolderName.Should().Be("All");
+    }
+
+    [Theory]
+    [InlineData("EN | Kids*", "EN | Kids 2026", true)]
+    [InlineData("EN | Kids*", "en | kids", true)]
+    [InlineData("EN | Kids*", "FR | EN | Kids", false)]
+    [InlineData("*Kid?", "EN | Kids", true)]
+    [InlineData("*Kid?", "EN | Kid", false)]
+    [InlineData("EN (HD)*", "EN (HD) Movies", true)]
+    [InlineData("re:kids", "EN | Kids 2026", true)]
+    [InlineData("re:^kids", "EN | Kids 2026", false)]
+    public void Patterns_MatchGlobsWholeAndRegexesAnywhere(string pattern, string categoryName, bool expected)
+    {
+        var rule = FolderNameRules.Parse("Folder=" + pattern).Single();
+
+        rule.IsMatch(categoryName).Should().Be(expected);
+    }
+
+    [Fact]
+    public void Apply_PlacesUnassignedCategoriesByFirstMatchingRule()
+    {
+        var mappings = new Dictionary<int, List<string>>();
+        var rules = FolderNameRules.Parse("Kids=*Kids*\nEnglish=EN |*");
+
+        int placed = FolderNameRules.Apply(mappings, ProviderCategories, rules);
+
+        placed.Should().Be(3);
+        mappings[10].Should().Equal("Kids");
+        mappings[11].Should().Equal("Kids");
+        mappings[20].Should().Equal("English");
+        mappings.Should().NotContainKey(30);
+    }
+
+    [Fact]
+    public void Apply_LeavesExplicitAssignmentsAlone()
+    {
+        var mappings = StrmSyncService.ParseFolderMappings("Classics=10");
+        var rules = FolderNameRules.Parse("Kids=*Kids*");
+
+        FolderNameRules.Apply(mappings, ProviderCategories, rules);
+
+        mappings[10].Should().Equal("Classics");
+        mappings[11].Should().Equal("Kids");
+    }
+
+    [Fact]
+    public void ConfigSyncsNothing_RulesCountAsASelectionInMultipleMode()
+    {
+        StrmSyncService.ConfigSyncsNothing("Multiple", string.Empty, string.Empty, null, null).Should().BeTrue();
+        StrmSyncService.ConfigSyncsNothing("Multiple", string.Empty, "Kids=*Kids*", null, null).Should().BeFalse();
+
+        // A rule line that does not parse is no rule at all.
+        StrmSyncService.ConfigSyncsNothing("Multiple", string.Empty, "Kids=re:([", null, null).Should().BeTrue();
+
+        // Single folder mode never consults folder rules, and an empty selection there syncs everything.
+        StrmSyncService.ConfigSyncsNothing("Single", string.Empty, string.Empty, null, null).Should().BeFalse();
+    }
+}
@@ -0,0 +1,260 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Net.Http;
+using System.Threading;
+using System.Threading.Tasks;
+using FluentAssertions;
+using Jellyfin.Xtream.Library.Client;
+using Jellyfin.Xtream.Library.Client.Models;
+using Jellyfin.Xtream.Library.Service;
+using Jellyfin.Xtream.Library.Tests.Helpers;
+using MediaBrowser.Controller;
+using MediaBrowser.Controller.Library;
+using Microsoft.Extensions.Logging.Abstractions;
+using Moq;
+using Xunit;
+
+namespace Jellyfin.Xtream.Library.Tests.Service;
+
+/// <summary>
+/// Backup base URLs. The host a sync settles on ends up in the STRM files it writes, so it has to
+/// be the first one that answers, it has to carry on to Live TV and across a restart, and going
+/// back to BaseUrl once that answers again has to rewrite the files an incremental sync would
+/// leave alone.
+/// </summary>
+[Collection("PluginSingletonTests")]
+public class HostFailoverTests : IDisposable
+{
+    private const string Primary = "http://primary.test";
+    private const string Backup1 = "http://backup1.test";
+    private const string Backup2 = "http://backup2.test";
+
+    private readonly string _libraryPath;
+    private readonly Mock<IXtreamClient> _client = new();
+    private readonly Mock<IServerApplicationPaths> _appPaths = new();
+    private readonly HashSet<string> _downHosts = new(StringComparer.Ordinal);
+    private readonly HashSet<string> _refusingHosts = new(StringComparer.Ordinal);
+
+    public HostFailoverTests()
+    {
+        _libraryPath = Path.Combine(Path.GetTempPath(), "xtream-failover-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(_libraryPath);
+
+        var dataPath = Path.Combine(_libraryPath, "data");
+        _appPaths.Setup(p => p.PluginConfigurationsPath).Returns(dataPath);
+        _appPaths.Setup(p => p.DataPath).Returns(dataPath);
+        _appPaths.Setup(p => p.ProgramDataPath).Returns(dataPath);
+        _appPaths.Setup(p => p.CachePath).Returns(dataPath);
+        _appPaths.Setup(p => p.TempDirectory).Returns(dataPath);
+        _appPaths.Setup(p => p.PluginsPath).Returns(dataPath);
+
+        _client.Setup(c => c.GetUserAndServerInfoAsync(It.IsAny<ConnectionInfo>(), It.IsAny<CancellationToken>()))
+            .Returns((ConnectionInfo c, CancellationToken _) => _downHosts.Contains(c.BaseUrl)
+                ? Task.FromException<PlayerApi>(new HttpRequestException("connection refused"))
+                : Task.FromResult(new PlayerApi { UserInfo = new UserInfo { Auth = _refusingHosts.Contains(c.BaseUrl) ? 0 : 1, Status = "Active" } }));
+        _client.Setup(c => c.GetVodCategoryAsync(It.IsAny<ConnectionInfo>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<Category> { new() { CategoryId = 1, CategoryName = "Action" } });
+        _client.Setup(c => c.GetVodStreamsByCategoryAsync(It.IsAny<ConnectionInfo>(), 1, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<StreamInfo> { new() { StreamId = 100, Name = "Ronin (1998)", ContainerExtension = "mp4", CategoryId = 1 } });
+    }
+
+    public void Dispose()
+    {
+        try
+        {
+            if (Directory.Exists(_libraryPath))
+            {
+                Directory.Delete(_libraryPath, recursive: true);
+            }
+        }
+        catch (IOException)
+        {
+            // Best effort; a leftover temp directory must not fail the suite.
+        }
+
+        GC.SuppressFinalize(this);
+    }
+
+    [Fact]
+    public async Task SelectBaseUrl_TakesTheFirstHostThatAnswers_AndLiveTvFollows()
+    {
+        _downHosts.Add(Primary);
+        _downHosts.Add(Backup1);
+        var (service, plugin) = CreateService();
+
+        var baseUrl = await service.SelectBaseUrlAsync(plugin.Configuration.Providers[0], CancellationToken.None).ConfigureAwait(true);
+
+        baseUrl.Should().Be(Backup2);
+        plugin.GetCreds(0).BaseUrl.Should().Be(Backup2);
+
+        _downHosts.Clear();
+        await service.SelectBaseUrlAsync(plugin.Configuration.Providers[0], CancellationToken.None).ConfigureAwait(true);
+        plugin.GetCreds(0).BaseUrl.Should().Be(Primary);
+    }
+
+    [Fact]
+    public async Task SelectBaseUrl_PassesOverAHostThatRefusesTheLogin()
+    {
+        _downHosts.Add(Primary);
+        _refusingHosts.Add(Backup1);
+        var (service, plugin) = CreateService();
+
+        var baseUrl = await service.SelectBaseUrlAsync(plugin.Configuration.Providers[0], CancellationToken.None).ConfigureAwait(true);
+
+        baseUrl.Should().Be(Backup2);
+        plugin.GetCreds(0).BaseUrl.Should().Be(Backup2);
+    }
+
+    [Fact]
+    public async Task SelectedHost_IsStillFoundWhenTheBackupIsRewrittenInAnotherCase()
+    {
+        _downHosts.Add(Primary);
+        var (service, plugin) = CreateService();
+        await service.SelectBaseUrlAsync(plugin.Configuration.Providers[0], CancellationToken.None).ConfigureAwait(true);
+
+        plugin.Configuration.Providers[0].BackupBaseUrls = ["HTTP://BACKUP1.TEST", Backup2];
+
+        plugin.GetCreds(0).BaseUrl.Should().Be("HTTP://BACKUP1.TEST");
+    }
+
+    [Fact]
+    public async Task SelectBaseUrl_DoesNotProbeAProviderWithoutBackups()
+    {
+        var (service, plugin) = CreateService(backups: Array.Empty<string>());
+
+        var baseUrl = await service.SelectBaseUrlAsync(plugin.Configuration.Providers[0], CancellationToken.None).ConfigureAwait(true);
+
+        baseUrl.Should().Be(Primary);
+        _client.Verify(c => c.GetUserAndServerInfoAsync(It.IsAny<ConnectionInfo>(), It.IsAny<CancellationToken>()), Times.Never());
+    }
+
+    [Fact]
+    public async Task Sync_WritesTheHostItUsed_AndRewritesTheFilesWhenThatHostChanges()
+    {
+        _downHosts.Add(Primary);
+        var (service, _) = CreateService(incremental: true);
+
+        await service.SyncAsync(CancellationToken.None).ConfigureAwait(true);
+
+        ReadStrm().Should().StartWith(Backup1 + "/movie/");
+        var hosts = service.LastSyncResult!.HostsUsed;
+        hosts.Should().ContainSingle();
+        hosts[0].BaseUrl.Should().Be(Backup1);
+        hosts[0].IsBackup.Should().BeTrue();
+
+        _downHosts.Clear();
+        await service.SyncAsync(CancellationToken.None).ConfigureAwait(true);
+
+        ReadStrm().Should().StartWith(Primary + "/movie/");
+        service.LastSyncResult!.HostsUsed[0].IsBackup.Should().BeFalse();
+        service.LastSyncResult.WasIncrementalSync.Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task SelectedHost_SurvivesARestart()
+    {
+        _downHosts.Add(Primary);
+        var (service, plugin) = CreateService();
+        await service.SelectBaseUrlAsync(plugin.Configuration.Providers[0], CancellationToken.None).ConfigureAwait(true);
+
+        // A restart builds a new plugin instance over the same data folder.
+        var (_, restarted) = CreateService();
+
+        restarted.GetCreds(0).BaseUrl.Should().Be(Backup1);
+    }
+
+    [Fact]
+    public async Task LiveTv_FallsOverWhenTheCurrentHostRefuses()
+    {
+        _client.Setup(c => c.GetAllLiveStreamsAsync(It.IsAny<ConnectionInfo>(), It.IsAny<CancellationToken>()))
+            .Returns((ConnectionInfo c, CancellationToken _) => _downHosts.Contains(c.BaseUrl)
+                ? Task.FromException<List<LiveStreamInfo>>(new HttpRequestException("connection refused"))
+                : Task.FromResult(new List<LiveStreamInfo> { new() { StreamId = 7, Name = "News" } }));
+        var (_, plugin) = CreateService();
+        _downHosts.Add(Primary);
+
+        using var liveTv = CreateLiveTvService();
+
+        var channels = await liveTv.GetFilteredChannelsAsync(CancellationToken.None).ConfigureAwait(true);
+
+        channels.Should().ContainSingle();
+        plugin.GetCreds(0).BaseUrl.Should().Be(Backup1);
+    }
+
+    [Fact]
+    public void Validate_TidiesTheBackupList()
+    {
+        var provider = new ProviderConfig
+        {
+            BaseUrl = Primary,
+            BackupBaseUrls = [" http://backup1.test/ ", "", "HTTP://PRIMARY.TEST", "http://backup1.test", Backup2],
+        };
+
+        provider.Validate();
+
+        provider.BackupBaseUrls.Should().Equal(Backup1, Backup2);
+    }
+
+    private string ReadStrm()
+    {
+        var files = Directory.GetFiles(_libraryPath, "*.strm", SearchOption.AllDirectories);
+        files.Should().ContainSingle();
+        return File.ReadAllText(files[0]).Trim();
+    }
+
+    private (StrmSyncService Service, Plugin Plugin) CreateService(string[]? backups = null, bool incremental = false)
+    {
+        // Constructing the plugin publishes Plugin.Instance, which the service reads.
+        var plugin = new Plugin(_appPaths.Object, new RealXmlSerializer());
+        plugin.Configuration.Providers =
+        [
+            new ProviderConfig
+            {
+                Name = "test",
+                BaseUrl = Primary,
+                BackupBaseUrls = backups ?? new[] { Backup1, Backup2 },
+                Username = "u",
+                Password = "p",
+                LibraryPath = _libraryPath,
+                SyncMovies = true,
+                SyncSeries = false,
+                SelectedVodCategoryIds = [1],
+                EnableIncrementalSync = incremental,
+                SmartSkipExisting = true,
+                CleanupOrphans = false,
+                DownloadArtworkForUnmatched = false,
+                SyncParallelism = 1,
+            },
+        ];
+        plugin.Configuration.EnableLiveTv = false;
+        plugin.Configuration.EnableMetadataLookup = false;
+
+        var service = new StrmSyncService(
+            _client.Object,
+            new Mock<IDispatcharrClient>().Object,
+            new Mock<ILibraryManager>().Object,
+            new Mock<IMetadataLookupService>().Object,
+            new SnapshotService(_appPaths.Object, NullLogger<SnapshotService>.Instance),
+            new DeltaCalculator(NullLogger<DeltaCalculator>.Instance),
+            CreateLiveTvService(),
+            _appPaths.Object,
+            NullLogger<StrmSyncService>.Instance);
+        return (service, plugin);
+    }
+
+    private LiveTvService CreateLiveTvService()
+    {
+        var host = new Mock<IServerApplicationHost>();
+        host.Setup(h => h.GetApiUrlForLocalAccess(It.IsAny<System.Net.IPAddress>(), It.IsAny<bool>()))
+            .Returns("http://127.0.0.1:8096");
+        return new LiveTvService(_client.Object, _appPaths.Object, host.Object, NullLogger<LiveTvService>.Instance);
+    }
+}
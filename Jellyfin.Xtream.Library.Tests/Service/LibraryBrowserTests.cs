@@ -0,0 +1,284 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using FluentAssertions;
+using Jellyfin.Xtream.Library.Api;
+using Jellyfin.Xtream.Library.Client;
+using Jellyfin.Xtream.Library.Client.Models;
+using Jellyfin.Xtream.Library.Service;
+using Jellyfin.Xtream.Library.Tests.Helpers;
+using MediaBrowser.Controller;
+using MediaBrowser.Controller.Library;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging.Abstractions;
+using Moq;
+using Newtonsoft.Json;
+using Xunit;
+
+namespace Jellyfin.Xtream.Library.Tests.Service;
+
+/// <summary>
+/// The Library tab. The listing comes from the library index, so the tests seed index entries
+/// for folders laid out the way the sync lays them out and check that items in Multiple folder
+/// mode subfolders are placed in them; one test runs a real sync to see the sync record them.
+/// </summary>
+[Collection("PluginSingletonTests")]
+public class LibraryBrowserTests : IDisposable
+{
+    private readonly string _libraryPath;
+    private readonly Mock<IXtreamClient> _client = new();
+    private readonly Mock<IServerApplicationPaths> _appPaths = new();
+    private readonly Dictionary<string, LibraryIndexEntry> _index = new();
+
+    public LibraryBrowserTests()
+    {
+        _libraryPath = Path.Combine(Path.GetTempPath(), "xtream-librarybrowser-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(_libraryPath);
+
+        var dataPath = Path.Combine(_libraryPath, "data");
+        _appPaths.Setup(p => p.PluginConfigurationsPath).Returns(dataPath);
+        _appPaths.Setup(p => p.DataPath).Returns(dataPath);
+        _appPaths.Setup(p => p.ProgramDataPath).Returns(dataPath);
+        _appPaths.Setup(p => p.CachePath).Returns(dataPath);
+        _appPaths.Setup(p => p.TempDirectory).Returns(dataPath);
+        _appPaths.Setup(p => p.PluginsPath).Returns(dataPath);
+    }
+
+    public void Dispose()
+    {
+        try
+        {
+            if (Directory.Exists(_libraryPath))
+            {
+                Directory.Delete(_libraryPath, recursive: true);
+            }
+        }
+        catch (IOException)
+        {
+            // Best effort; a leftover temp directory must not fail the suite.
+        }
+
+        GC.SuppressFinalize(this);
+    }
+
+    [Theory]
+    [InlineData("Heat (1995) [tmdbid-949]", "Heat (1995)", 949, null)]
+    [InlineData("Breaking Bad (2008) [tvdbid-81189]", "Breaking Bad (2008)", null, 81189)]
+    [InlineData("Unknown Film", "Unknown Film", null, null)]
+    public void ParseItemFolderName_SplitsTitleFromIdTags(string folderName, string title, int? tmdbId, int? tvdbId)
+    {
+        StrmSyncService.ParseItemFolderName(folderName).Should().Be((title, tmdbId, tvdbId));
+    }
+
+    [Fact]
+    public void SourceCategoryNames_OnlyNamesTheCategoriesMappedToTheFolder()
+    {
+        var mappings = new Dictionary<int, List<string>> { [1] = ["Kids"], [2] = ["Action"] };
+        var names = new Dictionary<int, string> { [1] = "Kids Movies", [2] = "Action Movies" };
+
+        StrmSyncService.SourceCategoryNames(new[] { 2, 1 }, "Kids", mappings, names).Should().Equal("Kids Movies");
+        StrmSyncService.SourceCategoryNames(new[] { 2, 1 }, string.Empty, mappings, names).Should().Equal("Kids Movies", "Action Movies");
+    }
+
+    [Theory]
+    [InlineData("/lib/Movies/Heat (1995)", "")]
+    [InlineData("/lib/Movies/Kids/Up (2009)", "Kids")]
+    [InlineData("/lib/Movies/Kids/Up (2009)/extras", null)]
+    [InlineData("/lib/Series/Bluey", null)]
+    [InlineData("/lib-10/Movies/Heat (1995)", null)]
+    public void LibraryFolderOf_NamesTheTargetFolderOnlyForItemsUnderTheContentPath(string itemPath, string? folder)
+    {
+        static string Native(string path) => path.Replace('/', Path.DirectorySeparatorChar);
+
+        StrmSyncService.LibraryFolderOf(Native("/lib/Movies"), Native(itemPath)).Should().Be(folder);
+    }
+
+    [Fact]
+    public void Browse_ListsItemsInTheRootAndInSubfolders_WithIdsAndNfoState()
+    {
+        IndexItem("Movie", "Heat (1995) [tmdbid-949]");
+        WriteFile("Movies", "Heat (1995) [tmdbid-949]", "Heat (1995) [tmdbid-949].nfo");
+        IndexItem("Movie", "Kids", "Up (2009)");
+        IndexItem("Movie", "Undated");
+        IndexItem("Series", "Kids", "Bluey [tvdbid-353546]");
+        WriteFile("Series", "Kids", "Bluey [tvdbid-353546]", "tvshow.nfo");
+        WriteFile("Movies", "Not Synced (2001)", "Not Synced (2001).strm");
+        var service = CreateService();
+
+        var page = service.BrowseLibrary(new LibraryBrowseQuery());
+
+        page.TotalRecordCount.Should().Be(4);
+        page.Folders.Should().Equal(string.Empty, "Kids");
+        page.Items.Select(i => i.Title).Should().Equal("Bluey", "Heat (1995)", "Undated", "Up (2009)");
+
+        var heat = page.Items.Single(i => i.Title == "Heat (1995)");
+        heat.TmdbId.Should().Be(949);
+        heat.HasNfo.Should().BeTrue();
+        heat.Folder.Should().BeEmpty();
+
+        var undated = page.Items.Single(i => i.Title == "Undated");
+        undated.Folder.Should().BeEmpty("the index says it is a movie, dated or not");
+        undated.HasNfo.Should().BeFalse();
+
+        var bluey = page.Items.Single(i => i.Title == "Bluey");
+        bluey.ItemType.Should().Be("Series");
+        bluey.Folder.Should().Be("Kids");
+        bluey.TvdbId.Should().Be(353546);
+        bluey.HasNfo.Should().BeTrue();
+    }
+
+    [Fact]
+    public void Browse_FiltersByTypeFolderAndSearch_AndPages()
+    {
+        for (int i = 0; i < 5; i++)
+        {
+            IndexItem("Movie", "Kids", $"Film {i} (2020)");
+        }
+
+        IndexItem("Movie", "Heat (1995)");
+        IndexItem("Series", "Film Show (2020)");
+        var service = CreateService();
+
+        var page = service.BrowseLibrary(new LibraryBrowseQuery { ItemType = "Movie", Folder = "Kids", Search = "film", StartIndex = 2, Limit = 2 });
+
+        page.TotalRecordCount.Should().Be(5);
+        page.StartIndex.Should().Be(2);
+        page.Items.Select(i => i.Title).Should().Equal("Film 2 (2020)", "Film 3 (2020)");
+
+        service.BrowseLibrary(new LibraryBrowseQuery { Folder = string.Empty }).Items
+            .Select(i => i.Title).Should().Equal("Film Show (2020)", "Heat (1995)");
+    }
+
+    [Fact]
+    public void Browse_ListsAnItemWhoseFolderIsGone_WithoutAnNfo()
+    {
+        IndexItem("Movie", "Heat (1995)");
+        IndexItem("Movie", "Ronin (1998)");
+        Directory.Delete(Path.Combine(_libraryPath, "Movies", "Heat (1995)"));
+        var service = CreateService();
+
+        var page = service.BrowseLibrary(new LibraryBrowseQuery());
+
+        page.Items.Select(i => i.Title).Should().Equal("Heat (1995)", "Ronin (1998)");
+        page.Items.Should().OnlyContain(i => !i.HasNfo);
+    }
+
+    [Fact]
+    public async Task ASyncedMovie_ShowsTheCategoryItCameFromAndWhenItWasSynced()
+    {
+        _client.Setup(c => c.GetVodCategoryAsync(It.IsAny<ConnectionInfo>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<Category> { new() { CategoryId = 7, CategoryName = "Action Movies" } });
+        _client.Setup(c => c.GetVodStreamsByCategoryAsync(It.IsAny<ConnectionInfo>(), 7, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<StreamInfo>
+            {
+                new() { StreamId = 100, Name = "Heat (1995)", ContainerExtension = "mp4", CategoryId = 7 },
+            });
+        var service = CreateService();
+        var before = DateTime.UtcNow;
+
+        await service.SyncAsync(CancellationToken.None).ConfigureAwait(true);
+
+        var heat = service.BrowseLibrary(new LibraryBrowseQuery()).Items.Single();
+        heat.ItemId.Should().Be(100);
+        heat.Categories.Should().Equal("Action Movies");
+        heat.LastSynced.Should().BeOnOrAfter(before);
+
+        // The index is what carries this across a restart; the folder name cannot.
+        CreateService().BrowseLibrary(new LibraryBrowseQuery()).Items.Single().Categories.Should().Equal("Action Movies");
+
+        var counts = service.CountLibraryFolderItems(_libraryPath);
+        counts.Movies.Should().Equal(new Dictionary<string, int> { [string.Empty] = 1 });
+        counts.Series.Should().BeEmpty();
+    }
+
+    [Fact]
+    public void FolderCounts_OnlyAnswerForAConfiguredLibraryPath()
+    {
+        IndexItem("Movie", "Kids", "Heat (1995)");
+        var controller = new SyncController(
+            CreateService(),
+            _client.Object,
+            new Mock<IDispatcharrClient>().Object,
+            new Mock<IMetadataLookupService>().Object,
+            new SnapshotService(_appPaths.Object, NullLogger<SnapshotService>.Instance),
+            _appPaths.Object,
+            NullLogger<SyncController>.Instance);
+
+        var counts = controller.GetLibraryFolderCounts(_libraryPath + Path.DirectorySeparatorChar).Result
+            .Should().BeOfType<OkObjectResult>().Which.Value.Should().BeOfType<LibraryFolderCounts>().Subject;
+        counts.Movies.Should().Equal(new Dictionary<string, int> { ["Kids"] = 1 });
+
+        controller.GetLibraryFolderCounts(Path.Combine(_libraryPath, "Movies")).Result.Should().BeOfType<BadRequestObjectResult>();
+        controller.GetLibraryFolderCounts(_libraryPath + "-old").Result.Should().BeOfType<BadRequestObjectResult>();
+        controller.GetLibraryFolderCounts(Path.GetTempPath()).Result.Should().BeOfType<BadRequestObjectResult>();
+    }
+
+    private void IndexItem(string itemType, params string[] parts)
+    {
+        var path = Path.Combine(new[] { _libraryPath, itemType == "Movie" ? "Movies" : "Series" }.Concat(parts).ToArray());
+        Directory.CreateDirectory(path);
+        _index[path] = new LibraryIndexEntry { ItemType = itemType, ItemId = _index.Count + 1, LastSynced = DateTime.UtcNow };
+    }
+
+    private void WriteFile(params string[] parts)
+    {
+        var path = Path.Combine(new[] { _libraryPath }.Concat(parts).ToArray());
+        Directory.CreateDirectory(Path.GetDirectoryName(path)!);
+        File.WriteAllText(path, "http://provider.test/movie/u/p/1.mp4");
+    }
+
+    private StrmSyncService CreateService()
+    {
+        if (_index.Count > 0)
+        {
+            var indexPath = Path.Combine(_libraryPath, "data", "xtream-library", "library_index.json");
+            Directory.CreateDirectory(Path.GetDirectoryName(indexPath)!);
+            File.WriteAllText(indexPath, JsonConvert.SerializeObject(_index));
+        }
+
+        // Constructing the plugin publishes Plugin.Instance, which the browser reads.
+        var plugin = new Plugin(_appPaths.Object, new RealXmlSerializer());
+        plugin.Configuration.Providers =
+        [
+            new ProviderConfig
+            {
+                Name = "test",
+                BaseUrl = "http://provider.test",
+                Username = "u",
+                Password = "p",
+                LibraryPath = _libraryPath,
+                SyncMovies = true,
+                SyncSeries = false,
+                EnableIncrementalSync = false,
+                DownloadArtworkForUnmatched = false,
+                SyncParallelism = 1,
+            },
+        ];
+        plugin.Configuration.EnableLiveTv = false;
+        plugin.Configuration.EnableMetadataLookup = false;
+
+        var host = new Mock<IServerApplicationHost>();
+        host.Setup(h => h.GetApiUrlForLocalAccess(It.IsAny<System.Net.IPAddress>(), It.IsAny<bool>()))
+            .Returns("http://127.0.0.1:8096");
+        return new StrmSyncService(
+            _client.Object,
+            new Mock<IDispatcharrClient>().Object,
+            new Mock<ILibraryManager>().Object,
+            new Mock<IMetadataLookupService>().Object,
+            new SnapshotService(_appPaths.Object, NullLogger<SnapshotService>.Instance),
+            new DeltaCalculator(NullLogger<DeltaCalculator>.Instance),
+            new LiveTvService(_client.Object, _appPaths.Object, host.Object, NullLogger<LiveTvService>.Instance),
+            _appPaths.Object,
+            NullLogger<StrmSyncService>.Instance);
+    }
+}
@@ -424,6 +424,46 @@ public class LiveTvServiceTests
         m3u.Should().Contain("group-title=\"Sports\"");
     }
 
+    [Fact]
+    public void GenerateM3U_GlobalSequence_NumbersAndOrdersTheChannels()
+    {
+        var config = MakeM3UConfig();
+        config.ChannelNumbering = ChannelNumberingMode.GlobalSequence;
+        config.ChannelNumberingStart = 100;
+        var channels = new List<LiveStreamInfo>
+        {
+            new() { StreamId = 1, Name = "Sky Sports", Num = 1, CategoryId = 20 },
+            new() { StreamId = 2, Name = "BBC One", Num = 2, CategoryId = 10 },
+        };
+        var categoryNames = new Dictionary<int, string> { [10] = "General", [20] = "Sports" };
+
+        var m3u = LiveTvService.GenerateM3U(channels, config, catchupOnly: false, "http://127.0.0.1:8096", categoryNames);
+
+        m3u.Should().Contain("tvg-chno=\"100\"").And.Contain("tvg-chno=\"101\"");
+        m3u.IndexOf("BBC One", StringComparison.Ordinal).Should().BeLessThan(m3u.IndexOf("Sky Sports", StringComparison.Ordinal));
+        channels[0].Num.Should().Be(1, "the snapshot is written from these channels and keeps the provider's numbers");
+    }
+
+    [Fact]
+    public void BuildNumberingPreview_ShowsCurrentAndPreviewedNumbers_WithoutTouchingTheSavedMode()
+    {
+        var config = MakeM3UConfig();
+        config.ChannelOverrides = "2=|5";
+        var channels = new List<LiveStreamInfo>
+        {
+            new() { StreamId = 1, Name = "UK: Sky Sports HD", Num = 30, CategoryId = 20 },
+            new() { StreamId = 2, Name = "BBC One", Num = 5, CategoryId = 10 },
+        };
+        var categoryNames = new Dictionary<int, string> { [10] = "General", [20] = "Sports" };
+
+        var preview = LiveTvService.BuildNumberingPreview(channels, config, categoryNames, ChannelNumberingMode.GlobalSequence, 0, null);
+
+        preview.Select(p => (p.StreamId, p.CurrentNumber, p.Number, p.Manual)).Should().Equal((1, 30, 1, false), (2, 5, 5, true));
+        preview[0].Name.Should().Be("Sky Sports");
+        preview[0].Category.Should().Be("Sports");
+        config.ChannelNumbering.Should().Be(ChannelNumberingMode.PreserveProvider);
+    }
+
     // Cold-cache handling renders the M3U from the persisted snapshot instead of doing a full
     // upstream fetch inside the request, because Jellyfin only allows its own M3U fetch 100
     // seconds. That only holds up if a snapshot round trip reproduces the same output.
@@ -442,4 +442,40 @@ public class MetadataLookupServiceTests
                 It.IsAny<RemoteSearchQuery<SeriesInfo>>(), It.IsAny<CancellationToken>()),
             Times.Exactly(2));
     }
+
+    // === Manual match candidates ===
+
+    [Fact]
+    public async Task SearchSeriesCandidatesAsync_KeepsResultsWithATvdbId_OncePerId_EvenWithLookupDisabled()
+    {
+        InitPlugin(new PluginConfiguration
+        {
+            EnableMetadataLookup = false,
+            LibraryPath = string.Empty,
+        });
+
+        var mockProvider = new Mock<IProviderManager>();
+        mockProvider
+            .Setup(pm => pm.GetRemoteSearchResults<Series, SeriesInfo>(
+                It.Is<RemoteSearchQuery<SeriesInfo>>(q => q.SearchInfo.Name == "Bluey" && q.SearchInfo.Year == 2018),
+                It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new[]
+            {
+                new RemoteSearchResult { Name = "Bluey", ProductionYear = 2018, Overview = "Six-year-old Bluey.", ProviderIds = new Dictionary<string, string> { ["Tvdb"] = "353546" } },
+                new RemoteSearchResult { Name = "Bluey (TMDb only)", ProviderIds = new Dictionary<string, string> { ["Tmdb"] = "82728" } },
+                new RemoteSearchResult { Name = "Bluey", ProductionYear = 2018, ProviderIds = new Dictionary<string, string> { ["Tvdb"] = "353546" } },
+                new RemoteSearchResult { Name = "Bluey (1976)", ProductionYear = 1976, ProviderIds = new Dictionary<string, string> { ["Tvdb"] = "77070" } },
+            });
+
+        var cache = new MetadataCache(NullLogger<MetadataCache>.Instance);
+        var svc = new MetadataLookupService(mockProvider.Object, cache, NullLogger<MetadataLookupService>.Instance);
+
+        var candidates = await svc.SearchSeriesCandidatesAsync("Bluey", 2018, CancellationToken.None);
+
+        candidates.Should().HaveCount(2);
+        candidates[0].Id.Should().Be(353546);
+        candidates[0].Overview.Should().Be("Six-year-old Bluey.");
+        candidates[1].Id.Should().Be(77070);
+        candidates[1].Year.Should().Be(1976);
+    }
 }
@@ -0,0 +1,225 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using FluentAssertions;
+using Jellyfin.Xtream.Library.Client;
+using Jellyfin.Xtream.Library.Client.Models;
+using Jellyfin.Xtream.Library.Service;
+using Jellyfin.Xtream.Library.Tests.Helpers;
+using MediaBrowser.Controller;
+using MediaBrowser.Controller.Library;
+using Microsoft.Extensions.Logging.Abstractions;
+using Moq;
+using Xunit;
+
+namespace Jellyfin.Xtream.Library.Tests.Service;
+
+/// <summary>
+/// The manual metadata match. A pick is an override line, so the upsert must leave the lines the
+/// user wrote alone; applying it renames the unmatched folder, and the sync after that has to
+/// carry on in the renamed folder instead of recreating the old one next to it.
+/// </summary>
+[Collection("PluginSingletonTests")]
+public class MetadataMatchTests : IDisposable
+{
+    private readonly string _libraryPath;
+    private readonly Mock<IXtreamClient> _client = new();
+    private readonly Mock<IServerApplicationPaths> _appPaths = new();
+    private Plugin? _plugin;
+
+    public MetadataMatchTests()
+    {
+        _libraryPath = Path.Combine(Path.GetTempPath(), "xtream-metadatamatch-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(_libraryPath);
+
+        var dataPath = Path.Combine(_libraryPath, "data");
+        _appPaths.Setup(p => p.PluginConfigurationsPath).Returns(dataPath);
+        _appPaths.Setup(p => p.DataPath).Returns(dataPath);
+        _appPaths.Setup(p => p.ProgramDataPath).Returns(dataPath);
+        _appPaths.Setup(p => p.CachePath).Returns(dataPath);
+        _appPaths.Setup(p => p.TempDirectory).Returns(dataPath);
+        _appPaths.Setup(p => p.PluginsPath).Returns(dataPath);
+    }
+
+    public void Dispose()
+    {
+        try
+        {
+            if (Directory.Exists(_libraryPath))
+            {
+                Directory.Delete(_libraryPath, recursive: true);
+            }
+        }
+        catch (IOException)
+        {
+            // Best effort; a leftover temp directory must not fail the suite.
+        }
+
+        GC.SuppressFinalize(this);
+    }
+
+    [Theory]
+    [InlineData(null, "Heat (1995)=949")]
+    [InlineData("Avatar (2009)=19995\n\n", "Avatar (2009)=19995\nHeat (1995)=949")]
+    [InlineData("Avatar (2009)=19995\nheat (1995) = 1\n# note", "Avatar (2009)=19995\nHeat (1995)=949\n# note")]
+    public void UpsertFolderIdOverride_ReplacesTheFoldersLineOrAppendsOne(string? config, string expected)
+    {
+        StrmSyncService.UpsertFolderIdOverride(config, "Heat (1995)", 949).Should().Be(expected);
+    }
+
+    [Theory]
+    [InlineData("Heat (1995)", "Heat", 1995)]
+    [InlineData("Undated", "Undated", null)]
+    [InlineData("(2001)", "(2001)", null)]
+    public void SplitItemTitle_TakesTheYearOffTheEnd(string title, string name, int? year)
+    {
+        StrmSyncService.SplitItemTitle(title).Should().Be((name, year));
+    }
+
+    [Fact]
+    public void Browse_UnmatchedOnly_LeavesOutTaggedFolders()
+    {
+        WriteFile("Movies", "Heat (1995) [tmdbid-949]", "Heat (1995) [tmdbid-949].strm");
+        WriteFile("Movies", "Ronin (1998)", "Ronin (1998).strm");
+        WriteFile("Series", "Bluey [tvdbid-353546]", "Season 1", "Bluey - S01E01.strm");
+        WriteFile("Series", "Lost Show", "Season 1", "Lost Show - S01E01.strm");
+        var service = CreateService();
+
+        service.BrowseLibrary(new LibraryBrowseQuery { UnmatchedOnly = true }).Items
+            .Select(i => i.Title).Should().Equal("Lost Show", "Ronin (1998)");
+    }
+
+    [Fact]
+    public async Task ApplyMatch_RenamesTheMovieFolderAndItsFiles_InEveryTargetFolder()
+    {
+        WriteFile("Movies", "Ronin (1998)", "Ronin (1998).strm");
+        WriteFile("Movies", "Ronin (1998)", "Ronin (1998) - 1080p.strm");
+        WriteFile("Movies", "Action", "Ronin (1998)", "Ronin (1998).strm");
+        var service = CreateService(tmdbOverrides: "Ronin (1998)=8195");
+
+        var outcome = await service.ApplyMetadataMatchAsync(0, "Movie", "Ronin (1998)", CancellationToken.None).ConfigureAwait(true);
+
+        outcome.Folders.Should().HaveCount(2);
+        outcome.Skipped.Should().BeEmpty();
+        var root = Path.Combine(_libraryPath, "Movies", "Ronin (1998) [tmdbid-8195]");
+        Directory.GetFiles(root).Select(f => Path.GetFileName(f)).Should().BeEquivalentTo(
+            "Ronin (1998) [tmdbid-8195].strm",
+            "Ronin (1998) [tmdbid-8195] - 1080p.strm",
+            "Ronin (1998) [tmdbid-8195].nfo");
+        File.ReadAllText(Path.Combine(root, "Ronin (1998) [tmdbid-8195].nfo")).Should().Contain("<uniqueid type=\"tmdb\" default=\"true\">8195</uniqueid>");
+        Directory.Exists(Path.Combine(_libraryPath, "Movies", "Action", "Ronin (1998) [tmdbid-8195]")).Should().BeTrue();
+        Directory.Exists(Path.Combine(_libraryPath, "Movies", "Ronin (1998)")).Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task ApplyMatch_WritesTheSeriesNfo_AndLeavesEpisodeFilesAlone()
+    {
+        WriteFile("Series", "Lost Show", "Season 1", "Lost Show - S01E01.strm");
+        var service = CreateService(tvdbOverrides: "Lost Show=4242");
+
+        await service.ApplyMetadataMatchAsync(0, "Series", "Lost Show", CancellationToken.None).ConfigureAwait(true);
+
+        var folder = Path.Combine(_libraryPath, "Series", "Lost Show [tvdbid-4242]");
+        File.Exists(Path.Combine(folder, "Season 1", "Lost Show - S01E01.strm")).Should().BeTrue();
+        File.ReadAllText(Path.Combine(folder, "tvshow.nfo")).Should().Contain("<uniqueid type=\"tvdb\" default=\"true\">4242</uniqueid>");
+    }
+
+    [Fact]
+    public async Task ApplyMatch_LeavesTheFolderAlone_WhenTheTaggedOneAlreadyExists()
+    {
+        WriteFile("Movies", "Ronin (1998)", "Ronin (1998).strm");
+        WriteFile("Movies", "Ronin (1998) [tmdbid-8195]", "Ronin (1998) [tmdbid-8195].strm");
+        var service = CreateService(tmdbOverrides: "Ronin (1998)=8195");
+
+        var outcome = await service.ApplyMetadataMatchAsync(0, "Movie", "Ronin (1998)", CancellationToken.None).ConfigureAwait(true);
+
+        outcome.Folders.Should().BeEmpty();
+        outcome.Skipped.Should().ContainSingle();
+        File.Exists(Path.Combine(_libraryPath, "Movies", "Ronin (1998)", "Ronin (1998).strm")).Should().BeTrue();
+    }
+
+    [Fact]
+    public async Task TheSyncAfterAMatch_KeepsTheMovieInTheRenamedFolder()
+    {
+        _client.Setup(c => c.GetVodCategoryAsync(It.IsAny<ConnectionInfo>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<Category> { new() { CategoryId = 1, CategoryName = "Movies" } });
+        _client.Setup(c => c.GetVodStreamsByCategoryAsync(It.IsAny<ConnectionInfo>(), 1, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<StreamInfo>
+            {
+                new() { StreamId = 100, Name = "Ronin (1998)", ContainerExtension = "mp4", CategoryId = 1 },
+            });
+        var service = CreateService();
+        await service.SyncAsync(CancellationToken.None).ConfigureAwait(true);
+        Directory.Exists(Path.Combine(_libraryPath, "Movies", "Ronin (1998)")).Should().BeTrue();
+
+        _plugin!.Configuration.Providers[0].TmdbFolderIdOverrides = "Ronin (1998)=8195";
+        await service.ApplyMetadataMatchAsync(0, "Movie", "Ronin (1998)", CancellationToken.None).ConfigureAwait(true);
+        await service.SyncAsync(CancellationToken.None).ConfigureAwait(true);
+
+        Directory.GetDirectories(Path.Combine(_libraryPath, "Movies")).Select(f => Path.GetFileName(f))
+            .Should().Equal("Ronin (1998) [tmdbid-8195]");
+        var item = service.BrowseLibrary(new LibraryBrowseQuery()).Items.Single();
+        item.TmdbId.Should().Be(8195);
+        item.ItemId.Should().Be(100, "the index entry follows the folder");
+    }
+
+    private void WriteFile(params string[] parts)
+    {
+        var path = Path.Combine(new[] { _libraryPath }.Concat(parts).ToArray());
+        Directory.CreateDirectory(Path.GetDirectoryName(path)!);
+        File.WriteAllText(path, "http://provider.test/movie/u/p/1.mp4");
+    }
+
+    private StrmSyncService CreateService(string tmdbOverrides = "", string tvdbOverrides = "")
+    {
+        // Constructing the plugin publishes Plugin.Instance, which the service reads.
+        _plugin = new Plugin(_appPaths.Object, new RealXmlSerializer());
+        _plugin.Configuration.Providers =
+        [
+            new ProviderConfig
+            {
+                Name = "test",
+                BaseUrl = "http://provider.test",
+                Username = "u",
+                Password = "p",
+                LibraryPath = _libraryPath,
+                SyncMovies = true,
+                SyncSeries = false,
+                EnableIncrementalSync = false,
+                SmartSkipExisting = false,
+                CleanupOrphans = true,
+                OrphanSafetyThreshold = 1.0,
+                DownloadArtworkForUnmatched = false,
+                SyncParallelism = 1,
+                TmdbFolderIdOverrides = tmdbOverrides,
+                TvdbFolderIdOverrides = tvdbOverrides,
+            },
+        ];
+        _plugin.Configuration.EnableLiveTv = false;
+        _plugin.Configuration.EnableMetadataLookup = false;
+
+        var host = new Mock<IServerApplicationHost>();
+        host.Setup(h => h.GetApiUrlForLocalAccess(It.IsAny<System.Net.IPAddress>(), It.IsAny<bool>()))
+            .Returns("http://127.0.0.1:8096");
+        return new StrmSyncService(
+            _client.Object,
+            new Mock<IDispatcharrClient>().Object,
+            new Mock<ILibraryManager>().Object,
+            new Mock<IMetadataLookupService>().Object,
+            new SnapshotService(_appPaths.Object, NullLogger<SnapshotService>.Instance),
+            new DeltaCalculator(NullLogger<DeltaCalculator>.Instance),
+            new LiveTvService(_client.Object, _appPaths.Object, host.Object, NullLogger<LiveTvService>.Instance),
+            _appPaths.Object,
+            NullLogger<StrmSyncService>.Instance);
+    }
+}
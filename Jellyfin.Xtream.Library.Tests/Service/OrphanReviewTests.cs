@@ -0,0 +1,254 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using FluentAssertions;
+using Jellyfin.Xtream.Library.Client;
+using Jellyfin.Xtream.Library.Client.Models;
+using Jellyfin.Xtream.Library.Service;
+using Jellyfin.Xtream.Library.Tests.Helpers;
+using MediaBrowser.Controller;
+using MediaBrowser.Controller.Library;
+using Microsoft.Extensions.Logging.Abstractions;
+using Moq;
+using Xunit;
+
+namespace Jellyfin.Xtream.Library.Tests.Service;
+
+/// <summary>
+/// The orphan review deletes files past the safety threshold on purpose, so its guard is the list
+/// itself: only files a blocked sync proposed can be deleted, a decision takes them off the list,
+/// and a sync that is no longer blocked leaves nothing of its provider behind to act on.
+/// </summary>
+[Collection("PluginSingletonTests")]
+public class OrphanReviewTests : IDisposable
+{
+    private readonly string _libraryPath;
+    private readonly Mock<IXtreamClient> _client = new();
+    private readonly Mock<IServerApplicationPaths> _appPaths = new();
+    private Plugin? _plugin;
+
+    public OrphanReviewTests()
+    {
+        _libraryPath = Path.Combine(Path.GetTempPath(), "xtream-orphanreview-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(_libraryPath);
+
+        var dataPath = Path.Combine(_libraryPath, "data");
+        _appPaths.Setup(p => p.PluginConfigurationsPath).Returns(dataPath);
+        _appPaths.Setup(p => p.DataPath).Returns(dataPath);
+        _appPaths.Setup(p => p.ProgramDataPath).Returns(dataPath);
+        _appPaths.Setup(p => p.CachePath).Returns(dataPath);
+        _appPaths.Setup(p => p.TempDirectory).Returns(dataPath);
+        _appPaths.Setup(p => p.PluginsPath).Returns(dataPath);
+
+        _client.Setup(c => c.GetVodCategoryAsync(It.IsAny<ConnectionInfo>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<Category> { new() { CategoryId = 1, CategoryName = "Movies" } });
+        _client.Setup(c => c.GetVodStreamsByCategoryAsync(It.IsAny<ConnectionInfo>(), 1, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<StreamInfo>
+            {
+                new() { StreamId = 100, Name = "Live Movie (2024)", ContainerExtension = "mp4" },
+            });
+    }
+
+    public void Dispose()
+    {
+        try
+        {
+            if (Directory.Exists(_libraryPath))
+            {
+                Directory.Delete(_libraryPath, recursive: true);
+            }
+        }
+        catch (IOException)
+        {
+            // Best effort; a leftover temp directory must not fail the suite.
+        }
+
+        GC.SuppressFinalize(this);
+    }
+
+    [Fact]
+    public async Task BlockedSync_ListsEveryOrphanItRefusedToDelete()
+    {
+        var dead = SeedDeadMovies(12);
+        var service = CreateService(orphanSafetyThreshold: 0.20);
+
+        await service.SyncAsync(CancellationToken.None).ConfigureAwait(true);
+
+        service.BlockedOrphans.Select(o => o.Path).Should().BeEquivalentTo(dead);
+        service.BlockedOrphans.Should().OnlyContain(o => o.ItemType == "Movie" && o.ProviderIndex == 0);
+        service.BlockedOrphans.Should().Contain(o => o.Name == Path.Combine("Dead Movie 00 (2020)", "Dead Movie 00 (2020).strm"));
+
+        // A restart between the sync and the review must not lose the list.
+        CreateService(orphanSafetyThreshold: 0.20).BlockedOrphans.Should().HaveCount(12);
+    }
+
+    [Fact]
+    public async Task Delete_RemovesTheFilesTheirFoldersAndTheEntries_WithoutTouchingTheThreshold()
+    {
+        var dead = SeedDeadMovies(12);
+        var service = CreateService(orphanSafetyThreshold: 0.20);
+        await service.SyncAsync(CancellationToken.None).ConfigureAwait(true);
+
+        var outcome = service.ResolveBlockedOrphans(dead.Take(3), delete: true);
+
+        outcome.Deleted.Should().Be(3);
+        outcome.Failed.Should().Be(0);
+        dead.Take(3).Should().OnlyContain(f => !File.Exists(f) && !Directory.Exists(Path.GetDirectoryName(f)));
+        dead.Skip(3).Should().OnlyContain(f => File.Exists(f));
+        service.BlockedOrphans.Should().HaveCount(9);
+        _plugin!.Configuration.Providers[0].OrphanSafetyThreshold.Should().Be(0.20);
+    }
+
+    [Fact]
+    public async Task Keep_LeavesTheFilesOnDisk_AndTakesThemOffTheList()
+    {
+        var dead = SeedDeadMovies(12);
+        var service = CreateService(orphanSafetyThreshold: 0.20);
+        await service.SyncAsync(CancellationToken.None).ConfigureAwait(true);
+
+        var outcome = service.ResolveBlockedOrphans(dead, delete: false);
+
+        outcome.Kept.Should().Be(12);
+        dead.Should().OnlyContain(f => File.Exists(f));
+        service.BlockedOrphans.Should().BeEmpty();
+    }
+
+    [Fact]
+    public async Task PathsNotOnTheList_AreNeverDeleted()
+    {
+        SeedDeadMovies(12);
+        var service = CreateService(orphanSafetyThreshold: 0.20);
+        await service.SyncAsync(CancellationToken.None).ConfigureAwait(true);
+        var live = Directory.EnumerateFiles(Path.Combine(_libraryPath, "Movies"), "Live Movie*.strm", SearchOption.AllDirectories).Single();
+
+        var outcome = service.ResolveBlockedOrphans(new[] { live }, delete: true);
+
+        outcome.Deleted.Should().Be(0);
+        File.Exists(live).Should().BeTrue("the synced movie was never proposed for deletion");
+    }
+
+    [Fact]
+    public async Task ASyncThatIsNoLongerBlocked_ClearsTheProvidersEntries()
+    {
+        SeedDeadMovies(12);
+        var service = CreateService(orphanSafetyThreshold: 0.20);
+        await service.SyncAsync(CancellationToken.None).ConfigureAwait(true);
+        service.BlockedOrphans.Should().NotBeEmpty();
+
+        _plugin!.Configuration.Providers[0].OrphanSafetyThreshold = 1.0;
+        await service.SyncAsync(CancellationToken.None).ConfigureAwait(true);
+
+        service.BlockedOrphans.Should().BeEmpty("the sync deleted them itself");
+    }
+
+    [Fact]
+    public async Task Delete_StillWorks_AfterTheProviderLeftTheList()
+    {
+        var dead = SeedDeadMovies(12);
+        var service = CreateService(orphanSafetyThreshold: 0.20);
+        await service.SyncAsync(CancellationToken.None).ConfigureAwait(true);
+
+        // Removed or moved: either way its old index no longer names it.
+        _plugin!.Configuration.Providers = [new ProviderConfig { Name = "other", LibraryPath = Path.Combine(_libraryPath, "other") }];
+        var outcome = service.ResolveBlockedOrphans(dead.Take(1), delete: true);
+
+        outcome.Deleted.Should().Be(1);
+        outcome.Failed.Should().Be(0);
+        Directory.Exists(Path.GetDirectoryName(dead[0])).Should().BeFalse("the empty movie folder is cleaned up within its own library");
+        Directory.Exists(Path.Combine(_libraryPath, "Movies")).Should().BeTrue();
+        service.BlockedOrphans.Should().OnlyContain(o => o.LibraryPath == _libraryPath);
+    }
+
+    [Fact]
+    public void LibraryPathOf_WorksOutTheRootOfAnEntryRecordedWithoutOne()
+    {
+        var name = Path.Combine("Heat (1995)", "Heat (1995).strm");
+        var legacy = new BlockedOrphan { ItemType = "Movie", Path = Path.Combine(_libraryPath, "Movies", name), Name = name };
+
+        StrmSyncService.LibraryPathOf(legacy).Should().Be(_libraryPath);
+        StrmSyncService.LibraryPathOf(new BlockedOrphan { Path = legacy.Path, Name = "elsewhere.strm" }).Should().BeNull();
+    }
+
+    [Theory]
+    [InlineData(null, null, 3)]
+    [InlineData("Episode", null, 1)]
+    [InlineData(null, "heat", 2)]
+    [InlineData("Movie", "HEAT", 1)]
+    public void FilterBlockedOrphans_MatchesTypeAndPathText(string? type, string? search, int expected)
+    {
+        var orphans = new[]
+        {
+            new BlockedOrphan { ItemType = "Movie", Name = "Heat (1995)/Heat (1995).strm" },
+            new BlockedOrphan { ItemType = "Movie", Name = "Ronin (1998)/Ronin (1998).strm" },
+            new BlockedOrphan { ItemType = "Episode", Name = "Heat Wave/Season 1/Heat Wave - S01E01.strm" },
+        };
+
+        StrmSyncService.FilterBlockedOrphans(orphans, search, type).Should().HaveCount(expected);
+    }
+
+    private List<string> SeedDeadMovies(int count)
+    {
+        var created = new List<string>();
+        for (int i = 0; i < count; i++)
+        {
+            var folder = Path.Combine(_libraryPath, "Movies", $"Dead Movie {i:D2} (2020)");
+            Directory.CreateDirectory(folder);
+            var path = Path.Combine(folder, $"Dead Movie {i:D2} (2020).strm");
+            File.WriteAllText(path, $"http://decommissioned.test/movie/{i}.mp4");
+            created.Add(path);
+        }
+
+        return created;
+    }
+
+    private StrmSyncService CreateService(double orphanSafetyThreshold)
+    {
+        // Constructing the plugin publishes Plugin.Instance, which SyncAsync reads.
+        _plugin = new Plugin(_appPaths.Object, new RealXmlSerializer());
+        _plugin.Configuration.Providers =
+        [
+            new ProviderConfig
+            {
+                Name = "test",
+                BaseUrl = "http://provider.test",
+                Username = "u",
+                Password = "p",
+                LibraryPath = _libraryPath,
+                SyncMovies = true,
+                SyncSeries = false,
+                CleanupOrphans = true,
+                OrphanSafetyThreshold = orphanSafetyThreshold,
+                EnableIncrementalSync = false,
+                SmartSkipExisting = false,
+                DownloadArtworkForUnmatched = false,
+                SyncParallelism = 1,
+            },
+        ];
+        _plugin.Configuration.EnableLiveTv = false;
+        _plugin.Configuration.EnableMetadataLookup = false;
+
+        var host = new Mock<IServerApplicationHost>();
+        host.Setup(h => h.GetApiUrlForLocalAccess(It.IsAny<System.Net.IPAddress>(), It.IsAny<bool>()))
+            .Returns("http://127.0.0.1:8096");
+        return new StrmSyncService(
+            _client.Object,
+            new Mock<IDispatcharrClient>().Object,
+            new Mock<ILibraryManager>().Object,
+            new Mock<IMetadataLookupService>().Object,
+            new SnapshotService(_appPaths.Object, NullLogger<SnapshotService>.Instance),
+            new DeltaCalculator(NullLogger<DeltaCalculator>.Instance),
+            new LiveTvService(_client.Object, _appPaths.Object, host.Object, NullLogger<LiveTvService>.Instance),
+            _appPaths.Object,
+            NullLogger<StrmSyncService>.Instance);
+    }
+}
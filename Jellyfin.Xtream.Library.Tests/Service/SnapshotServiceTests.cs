@@ -285,6 +285,17 @@ public class SnapshotServiceTests : IDisposable
             SnapshotService.CalculateConfigFingerprint(b));
     }
 
+    [Fact]
+    public void CalculateConfigFingerprint_DiffersWhenFolderRulesChange()
+    {
+        var a = new ProviderConfig { MovieFolderMode = "Multiple", MovieFolderRules = "Kids=*Kids*" };
+        var b = new ProviderConfig { MovieFolderMode = "Multiple", MovieFolderRules = "Kids=EN | Kids*" };
+
+        Assert.NotEqual(
+            SnapshotService.CalculateConfigFingerprint(a),
+            SnapshotService.CalculateConfigFingerprint(b));
+    }
+
     private static ContentSnapshot CreateTestSnapshot()
     {
         var snapshot = new ContentSnapshot
@@ -691,6 +691,51 @@ public class StrmSyncServiceTests
     }
     #endregion
 
+    #region Title Cleaning Preview Tests
+
+    [Fact]
+    public void FindInvalidRegexPatterns_ReportsTheLineOfEachPatternThatDoesNotCompile()
+    {
+        var invalid = StrmSyncService.FindInvalidRegexPatterns("(unclosed\n\n(?i)\\[tmdbid-\\d+\\]\n[bad");
+
+        invalid.Select(p => p.Line).Should().Equal(1, 4);
+        invalid[0].Pattern.Should().Be("(unclosed");
+        invalid[0].Error.Should().NotBeEmpty();
+    }
+
+    [Fact]
+    public void PreviewTitleCleaning_Movie_ShowsTheFolderAndFileAndTheRulesThatMatched()
+    {
+        var preview = StrmSyncService.PreviewTitleCleaning(
+            [new TitleCleaningSample { Name = "The Matrix (1999) [Multi-Sub]", ItemType = "Movie" }],
+            "[Multi-Sub]\nFHD",
+            "\\s*\\(\\d{4}\\)\nNOMATCH");
+
+        var item = preview.Items.Single();
+        item.FolderName.Should().Be("The Matrix (1999)");
+        item.FileName.Should().Be("The Matrix.strm");
+        item.MatchedTerms.Should().Equal("[Multi-Sub]");
+        item.MatchedPatterns.Should().Equal("\\s*\\(\\d{4}\\)");
+        preview.InvalidPatterns.Should().BeEmpty();
+    }
+
+    [Fact]
+    public void PreviewTitleCleaning_Series_PreviewsAnUntitledFirstEpisode()
+    {
+        var preview = StrmSyncService.PreviewTitleCleaning(
+            [new TitleCleaningSample { Name = "Bluey (2018)", ItemType = "Series" }],
+            null,
+            "^Bluey - ");
+
+        var item = preview.Items.Single();
+        item.ItemType.Should().Be("Series");
+        item.FolderName.Should().Be("Bluey (2018)");
+        item.FileName.Should().Be("S01E01.strm");
+        item.MatchedPatterns.Should().Equal("^Bluey - ");
+    }
+
+    #endregion
+
     #region CleanupEmptyDirectories Tests
 
     /// <summary>
@@ -1392,4 +1437,20 @@ public class StrmSyncServiceTests
     }
 
     #endregion
+
+    #region SnapshotKey Tests
+
+    [Fact]
+    public void SnapshotKey_FollowsTheAccount_NotItsPlaceInTheList()
+    {
+        var main = new ProviderConfig { BaseUrl = "http://provider.test", Username = "main" };
+        var kids = new ProviderConfig { BaseUrl = "http://provider.test", Username = "kids" };
+
+        StrmSyncService.SnapshotKey(main).Should().MatchRegex("^acct-[0-9a-f]{8}$");
+        StrmSyncService.SnapshotKey(main).Should().Be(StrmSyncService.SnapshotKey(new ProviderConfig { BaseUrl = main.BaseUrl, Username = main.Username }));
+        StrmSyncService.SnapshotKey(main).Should().NotBe(StrmSyncService.SnapshotKey(kids));
+        StrmSyncService.LegacySnapshotKey(1, main).Should().StartWith("1-").And.Be(StrmSyncService.LegacySnapshotKey(1, kids));
+    }
+
+    #endregion
 }
@@ -0,0 +1,105 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using FluentAssertions;
+using Jellyfin.Xtream.Library.Service;
+using Newtonsoft.Json;
+using Xunit;
+
+namespace Jellyfin.Xtream.Library.Tests.Service;
+
+public class SyncHistoryQueryTests
+{
+    private static readonly DateTime Day = new(2026, 3, 1, 0, 0, 0, DateTimeKind.Utc);
+
+    private static SyncResult Run(int hoursAfterDay, bool success = true, bool incremental = false, int orphansSkipped = 0)
+        => new()
+        {
+            StartTime = Day.AddHours(hoursAfterDay),
+            EndTime = Day.AddHours(hoursAfterDay).AddMinutes(5),
+            Success = success,
+            WasIncrementalSync = incremental,
+            MovieOrphansSkipped = orphansSkipped,
+        };
+
+    [Fact]
+    public void StatusOf_DistinguishesFailedWarningAndSuccess()
+    {
+        SyncHistoryQuery.StatusOf(Run(0, success: false, orphansSkipped: 5)).Should().Be("failed");
+        SyncHistoryQuery.StatusOf(Run(0, orphansSkipped: 5)).Should().Be("warning");
+        SyncHistoryQuery.StatusOf(Run(0)).Should().Be("success");
+    }
+
+    [Fact]
+    public void Apply_DateRange_IncludesFromAndExcludesTo()
+    {
+        var history = new[] { Run(48), Run(24), Run(0) };
+
+        var (items, total) = SyncHistoryQuery.Apply(history, Day, Day.AddHours(48), null, null, 0, 20);
+
+        total.Should().Be(2);
+        items.Select(r => r.StartTime).Should().Equal(Day.AddHours(24), Day);
+    }
+
+    [Fact]
+    public void Apply_StatusAndType_CombineAndIgnoreCase()
+    {
+        var history = new[]
+        {
+            Run(3, incremental: true, orphansSkipped: 2),
+            Run(2, orphansSkipped: 2),
+            Run(1, incremental: true),
+            Run(0, success: false, incremental: true),
+        };
+
+        var (items, total) = SyncHistoryQuery.Apply(history, null, null, "Warning", "INCREMENTAL", 0, 20);
+
+        total.Should().Be(1);
+        items.Single().StartTime.Should().Be(Day.AddHours(3));
+    }
+
+    [Fact]
+    public void Apply_Pages_AfterFiltering_AndCapsThePageSize()
+    {
+        var history = Enumerable.Range(0, 150).Reverse().Select(h => Run(h)).ToList();
+
+        var (items, total) = SyncHistoryQuery.Apply(history, null, null, null, null, 140, 20);
+        total.Should().Be(150);
+        items.Should().HaveCount(10);
+        items[0].StartTime.Should().Be(Day.AddHours(9));
+
+        SyncHistoryQuery.Apply(history, null, null, null, null, 0, 1000).Items
+            .Should().HaveCount(SyncHistoryQuery.MaxPageSize);
+    }
+
+    [Theory]
+    [InlineData(null, true)]
+    [InlineData("", true)]
+    [InlineData("Failed", true)]
+    [InlineData("broken", false)]
+    public void IsValidStatus(string? status, bool expected)
+    {
+        SyncHistoryQuery.IsValidStatus(status).Should().Be(expected);
+    }
+
+    [Fact]
+    public void SyncResult_FailedItems_SurviveTheHistoryFile_UpToTheCap()
+    {
+        var result = Run(0);
+        result.AddFailedItems(Enumerable.Range(1, SyncResult.MaxPersistedFailedItems + 20)
+            .Select(i => new FailedItem { ItemType = "Movie", ItemId = i, Name = "Movie " + i }));
+
+        var json = JsonConvert.SerializeObject(new List<SyncResult> { result });
+        var restored = JsonConvert.DeserializeObject<List<SyncResult>>(json)!.Single();
+
+        restored.FailedItems.Should().HaveCount(SyncResult.MaxPersistedFailedItems);
+        restored.FailedItems[0].Name.Should().Be("Movie 1");
+    }
+}
@@ -0,0 +1,277 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using FluentAssertions;
+using Jellyfin.Xtream.Library.Client;
+using Jellyfin.Xtream.Library.Client.Models;
+using Jellyfin.Xtream.Library.Service;
+using Jellyfin.Xtream.Library.Tests.Helpers;
+using MediaBrowser.Controller;
+using MediaBrowser.Controller.Library;
+using Microsoft.Extensions.Logging.Abstractions;
+using Moq;
+using Xunit;
+
+namespace Jellyfin.Xtream.Library.Tests.Service;
+
+/// <summary>
+/// The dry-run preview. Its whole promise is that it plans the same thing the sync would do and
+/// does none of it, so these tests seed a library, plan against it and check both halves: the
+/// per-folder counts, the orphan safety verdict, and that the disk is exactly as it was.
+/// </summary>
+[Collection("PluginSingletonTests")]
+public class SyncPreviewTests : IDisposable
+{
+    private const string BaseUrl = "http://provider.test";
+
+    private readonly string _libraryPath;
+    private readonly Mock<IXtreamClient> _client = new();
+
+    public SyncPreviewTests()
+    {
+        _libraryPath = Path.Combine(Path.GetTempPath(), "xtream-preview-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(_libraryPath);
+    }
+
+    public void Dispose()
+    {
+        try
+        {
+            if (Directory.Exists(_libraryPath))
+            {
+                Directory.Delete(_libraryPath, recursive: true);
+            }
+        }
+        catch (IOException)
+        {
+            // Best effort; a leftover temp directory must not fail the suite.
+        }
+
+        GC.SuppressFinalize(this);
+    }
+
+    [Fact]
+    public async Task Movies_PlansAddUpdateAndDelete_AndFlagsTheThreshold_WithoutTouchingDisk()
+    {
+        WriteStrm(Path.Combine("Movies", "Kept", "Kept.strm"), $"{BaseUrl}/movie/u/p/1.mp4");
+        WriteStrm(Path.Combine("Movies", "Moved", "Moved.strm"), "http://old.test/movie/u/p/2.mp4");
+        for (int i = 0; i < 10; i++)
+        {
+            WriteStrm(Path.Combine("Movies", $"Dead {i:D2}", $"Dead {i:D2}.strm"), $"http://old.test/movie/{i}.mp4");
+        }
+
+        var before = Snapshot();
+        _client.Setup(c => c.GetVodCategoryAsync(It.IsAny<ConnectionInfo>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<Category> { new() { CategoryId = 1, CategoryName = "Movies" } });
+        _client.Setup(c => c.GetVodStreamsByCategoryAsync(It.IsAny<ConnectionInfo>(), 1, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<StreamInfo>
+            {
+                new() { StreamId = 1, Name = "Kept", ContainerExtension = "mp4" },
+                new() { StreamId = 2, Name = "Moved", ContainerExtension = "mp4" },
+                new() { StreamId = 3, Name = "Fresh", ContainerExtension = "mp4" },
+            });
+
+        var preview = await PreviewAsync(p => p.SyncSeries = false).ConfigureAwait(true);
+
+        var provider = preview.Providers.Single();
+        var root = provider.MovieFolders.Single();
+        root.Folder.Should().BeEmpty();
+        root.ToAdd.Should().Be(1);
+        root.ToUpdate.Should().Be(1);
+        root.ToDelete.Should().Be(10);
+
+        // 10 of 12 is far over 20%, so the sync would refuse; the preview has to say so up front.
+        provider.MovieFilesOnDisk.Should().Be(12);
+        provider.MovieCleanupBlockedByThreshold.Should().BeTrue();
+        provider.EpisodeCleanupBlockedByThreshold.Should().BeFalse();
+
+        Snapshot().Should().Equal(before, "a preview writes and deletes nothing");
+    }
+
+    [Fact]
+    public async Task Series_BreaksDownPerFolder_WithWholeSeriesAddedAndGone()
+    {
+        WriteStrm(Path.Combine("Series", "Kids", "Live Show", "Season 1", "Live Show - S01E01 - Pilot.strm"), $"{BaseUrl}/series/u/p/11.mkv");
+        WriteStrm(Path.Combine("Series", "Kids", "Old Show", "Season 1", "Old Show - S01E01.strm"), "http://old.test/series/1.mkv");
+        WriteStrm(Path.Combine("Series", "Kids", "Old Show", "Season 1", "Old Show - S01E02.strm"), "http://old.test/series/2.mkv");
+
+        var before = Snapshot();
+        _client.Setup(c => c.GetSeriesCategoryAsync(It.IsAny<ConnectionInfo>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<Category> { new() { CategoryId = 1, CategoryName = "Kids" } });
+        _client.Setup(c => c.GetSeriesByCategoryAsync(It.IsAny<ConnectionInfo>(), 1, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<Series>
+            {
+                new() { SeriesId = 7, Name = "Live Show" },
+                new() { SeriesId = 8, Name = "New Show" },
+            });
+        _client.Setup(c => c.GetSeriesStreamsBySeriesAsync(It.IsAny<ConnectionInfo>(), 7, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(Episodes(11, 12));
+        _client.Setup(c => c.GetSeriesStreamsBySeriesAsync(It.IsAny<ConnectionInfo>(), 8, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(Episodes(21, 22, 23));
+
+        var preview = await PreviewAsync(p =>
+        {
+            p.SyncMovies = false;
+            p.SeriesFolderMode = "Multiple";
+            p.SeriesFolderMappings = "Kids=1";
+        }).ConfigureAwait(true);
+
+        var kids = preview.Providers.Single().SeriesFolders.Single();
+        kids.Folder.Should().Be("Kids");
+        kids.SeriesToAdd.Should().Be(1);
+        kids.ToAdd.Should().Be(4, "three episodes of the new series and the second of the existing one");
+        kids.ToUpdate.Should().Be(0);
+        kids.SeriesToDelete.Should().Be(1);
+        kids.ToDelete.Should().Be(2);
+        Snapshot().Should().Equal(before);
+    }
+
+    [Fact]
+    public async Task ProviderThatCannotBeReached_IsReportedAsFailed_NotAsAnEmptyLibrary()
+    {
+        WriteStrm(Path.Combine("Movies", "Kept", "Kept.strm"), $"{BaseUrl}/movie/u/p/1.mp4");
+        _client.Setup(c => c.GetVodCategoryAsync(It.IsAny<ConnectionInfo>(), It.IsAny<CancellationToken>()))
+            .ThrowsAsync(new System.Net.Http.HttpRequestException("connection refused"));
+
+        var preview = await PreviewAsync(p => p.SyncSeries = false).ConfigureAwait(true);
+
+        var provider = preview.Providers.Single();
+        provider.Failed.Should().BeTrue();
+        provider.Errors.Should().ContainSingle().Which.Should().Contain("connection refused");
+        provider.MovieFolders.Should().BeEmpty("nothing was planned, least of all deleting the library");
+    }
+
+    [Fact]
+    public async Task ASyncOrRetry_IsRefusedWhileAPreviewRuns_AndAllowedAfterwards()
+    {
+        // Both share the client's per-provider rate limit settings, whichever caller starts them.
+        var categoriesRequested = new TaskCompletionSource();
+        var releaseCategories = new TaskCompletionSource<List<Category>>();
+        _client.Setup(c => c.GetVodCategoryAsync(It.IsAny<ConnectionInfo>(), It.IsAny<CancellationToken>()))
+            .Returns(() =>
+            {
+                categoriesRequested.TrySetResult();
+                return releaseCategories.Task;
+            });
+        var service = CreateService(p => p.SyncSeries = false);
+
+        var preview = service.PreviewSyncAsync(CancellationToken.None);
+        await categoriesRequested.Task.ConfigureAwait(true);
+
+        service.IsPreviewRunning.Should().BeTrue();
+        var sync = await service.SyncAsync(CancellationToken.None).ConfigureAwait(true);
+        sync.Success.Should().BeFalse();
+        sync.Error.Should().Contain("preview");
+        (await service.RetryFailedAsync(CancellationToken.None).ConfigureAwait(true)).Error.Should().Contain("preview");
+        (await service.PreviewSyncAsync(CancellationToken.None).ConfigureAwait(true)).Should().BeNull();
+        service.LastSyncResult.Should().BeNull("a refused sync is not a run");
+
+        releaseCategories.SetResult(new List<Category>());
+        (await preview.ConfigureAwait(true))!.Providers.Should().ContainSingle();
+        service.IsPreviewRunning.Should().BeFalse();
+        await service.SyncAsync(CancellationToken.None).ConfigureAwait(true);
+        service.LastSyncResult.Should().NotBeNull();
+    }
+
+    [Theory]
+    [InlineData("Action/Heat/Heat.strm", "Action")]
+    [InlineData("Action/Action.strm", "")]
+    [InlineData("Heat/Heat.strm", "")]
+    [InlineData("Drama/Heat/Heat.strm", "")]
+    public void TargetFolderOf_UsesConfiguredSubfoldersOnlyAboveAnItemFolder(string relative, string expected)
+    {
+        var moviesPath = Path.Combine(_libraryPath, "Movies");
+        var file = Path.Combine(moviesPath, relative.Replace('/', Path.DirectorySeparatorChar));
+
+        StrmSyncService.TargetFolderOf(moviesPath, file, new HashSet<string>(StringComparer.OrdinalIgnoreCase) { "Action" })
+            .Should().Be(expected);
+    }
+
+    private static SeriesStreamInfo Episodes(params int[] episodeIds)
+        => new()
+        {
+            Seasons = new List<Season> { new() { SeasonNumber = 1 } },
+            Episodes = new Dictionary<int, ICollection<Episode>>
+            {
+                [1] = episodeIds.Select((id, i) => new Episode
+                {
+                    EpisodeId = id,
+                    EpisodeNum = i + 1,
+                    Season = 1,
+                    Title = i == 0 ? "Pilot" : string.Empty,
+                    ContainerExtension = "mkv",
+                }).ToList(),
+            },
+        };
+
+    private void WriteStrm(string relativePath, string url)
+    {
+        var path = Path.Combine(_libraryPath, relativePath);
+        Directory.CreateDirectory(Path.GetDirectoryName(path)!);
+        File.WriteAllText(path, url);
+    }
+
+    private List<string> Snapshot()
+        => new[] { "Movies", "Series" }
+            .Select(d => Path.Combine(_libraryPath, d))
+            .Where(Directory.Exists)
+            .SelectMany(d => Directory.EnumerateFileSystemEntries(d, "*", SearchOption.AllDirectories))
+            .Select(p => p + "=" + (File.Exists(p) ? File.ReadAllText(p) : "<dir>"))
+            .OrderBy(p => p, StringComparer.Ordinal)
+            .ToList();
+
+    private async Task<SyncPreview> PreviewAsync(Action<ProviderConfig> configure)
+        => (await CreateService(configure).PreviewSyncAsync(CancellationToken.None).ConfigureAwait(true))!;
+
+    private StrmSyncService CreateService(Action<ProviderConfig> configure)
+    {
+        var dataPath = Path.Combine(_libraryPath, "data");
+        var appPaths = new Mock<IServerApplicationPaths>();
+        appPaths.Setup(p => p.PluginConfigurationsPath).Returns(dataPath);
+        appPaths.Setup(p => p.DataPath).Returns(dataPath);
+        appPaths.Setup(p => p.ProgramDataPath).Returns(dataPath);
+        appPaths.Setup(p => p.CachePath).Returns(dataPath);
+        appPaths.Setup(p => p.TempDirectory).Returns(dataPath);
+        appPaths.Setup(p => p.PluginsPath).Returns(dataPath);
+
+        // Constructing the plugin publishes Plugin.Instance, which the preview and the sync read.
+        var plugin = new Plugin(appPaths.Object, new RealXmlSerializer());
+        var provider = new ProviderConfig
+        {
+            Name = "test",
+            BaseUrl = BaseUrl,
+            Username = "u",
+            Password = "p",
+            LibraryPath = _libraryPath,
+            CleanupOrphans = true,
+            OrphanSafetyThreshold = 0.20,
+            SyncParallelism = 1,
+        };
+        configure(provider);
+        plugin.Configuration.Providers = [provider];
+
+        var host = new Mock<IServerApplicationHost>();
+        host.Setup(h => h.GetApiUrlForLocalAccess(It.IsAny<System.Net.IPAddress>(), It.IsAny<bool>()))
+            .Returns("http://127.0.0.1:8096");
+        return new StrmSyncService(
+            _client.Object,
+            new Mock<IDispatcharrClient>().Object,
+            new Mock<ILibraryManager>().Object,
+            new Mock<IMetadataLookupService>().Object,
+            new SnapshotService(appPaths.Object, NullLogger<SnapshotService>.Instance),
+            new DeltaCalculator(NullLogger<DeltaCalculator>.Instance),
+            new LiveTvService(_client.Object, appPaths.Object, host.Object, NullLogger<LiveTvService>.Instance),
+            appPaths.Object,
+            NullLogger<StrmSyncService>.Instance);
+    }
+}
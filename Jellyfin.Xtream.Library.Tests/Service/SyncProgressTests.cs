@@ -0,0 +1,110 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+using System;
+using System.Threading;
+using FluentAssertions;
+using Jellyfin.Xtream.Library.Service;
+using Xunit;
+
+namespace Jellyfin.Xtream.Library.Tests.Service;
+
+public class SyncProgressTests
+{
+    private static SyncProgress TwoProviders()
+    {
+        var progress = new SyncProgress();
+        progress.ResetProviders(new[] { (0, "Main"), (2, "Backup") });
+        return progress;
+    }
+
+    [Fact]
+    public void Counters_FeedTheRunningProviderOnly()
+    {
+        var progress = TwoProviders();
+        progress.AddTotalItems(5);
+
+        using var cts = new CancellationTokenSource();
+        var main = progress.FindProvider(0)!;
+        progress.BeginProvider(main, cts);
+        progress.AddTotalCategories(2);
+        progress.AddTotalItems(10);
+        progress.IncrementItemsProcessed();
+        progress.IncrementErrors();
+
+        main.TotalItems.Should().Be(10);
+        main.ItemsProcessed.Should().Be(1);
+        main.Errors.Should().Be(1);
+        main.State.Should().Be(ProviderSyncProgress.StateRunning);
+        progress.TotalItems.Should().Be(15);
+        progress.FindProvider(2)!.TotalItems.Should().Be(0);
+    }
+
+    [Fact]
+    public void EndProvider_FreezesTheRowFromTheResult()
+    {
+        var progress = TwoProviders();
+        using var cts = new CancellationTokenSource();
+        var main = progress.FindProvider(0)!;
+        progress.BeginProvider(main, cts);
+        progress.MoviesCreated = 7;
+        progress.MoviePhase = "Syncing Movies (batch 1/2)";
+        main.Phase.Should().Be("Syncing Movies (batch 1/2)");
+
+        progress.EndProvider(main, ProviderSyncProgress.StateCompleted, new SyncResult { MoviesCreated = 9, Errors = 2 });
+        progress.MoviesCreated = 0;
+        progress.IncrementItemsProcessed();
+
+        main.MoviesCreated.Should().Be(9);
+        main.Errors.Should().Be(2);
+        main.Phase.Should().Be(ProviderSyncProgress.StateCompleted);
+        main.ItemsProcessed.Should().Be(0);
+        main.EstimatedSecondsRemaining.Should().BeNull();
+    }
+
+    [Fact]
+    public void RequestCancel_CancelsARunningProviderAndMarksAPendingOne()
+    {
+        var progress = TwoProviders();
+        using var cts = new CancellationTokenSource();
+        var main = progress.FindProvider(0)!;
+        var backup = progress.FindProvider(2)!;
+        progress.BeginProvider(main, cts);
+
+        main.RequestCancel().Should().BeTrue();
+        cts.IsCancellationRequested.Should().BeTrue();
+
+        backup.RequestCancel().Should().BeTrue();
+        backup.CancelRequested.Should().BeTrue();
+
+        progress.EndProvider(main, ProviderSyncProgress.StateCancelled, null);
+        main.RequestCancel().Should().BeFalse();
+    }
+
+    [Fact]
+    public void BeginProvider_HonoursACancelThatArrivedWhilePending()
+    {
+        var progress = TwoProviders();
+        using var cts = new CancellationTokenSource();
+        var main = progress.FindProvider(0)!;
+
+        main.RequestCancel();
+        progress.BeginProvider(main, cts);
+
+        cts.IsCancellationRequested.Should().BeTrue();
+    }
+
+    [Theory]
+    [InlineData(60, 0.5, 60)]
+    [InlineData(30, 0.25, 90)]
+    [InlineData(60, 0.0, null)]
+    [InlineData(60, 1.0, null)]
+    public void EstimateSecondsRemaining_ExtrapolatesFromTheShareDone(int elapsedSeconds, double fraction, int? expected)
+    {
+        ProviderSyncProgress.EstimateSecondsRemaining(TimeSpan.FromSeconds(elapsedSeconds), fraction).Should().Be(expected);
+    }
+}
@@ -33,6 +33,8 @@ namespace Jellyfin.Xtream.Library.Api;
 [Route("XtreamLibrary")]
 public class LiveTvController : ControllerBase
 {
+    private const int MaxCleaningTestNames = 20000;
+
     private readonly LiveTvService _liveTvService;
     private readonly IXtreamClient _client;
     private readonly ILogger<LiveTvController> _logger;
@@ -257,6 +259,68 @@ public class LiveTvController : ControllerBase
         }
     }
 
+    /// <summary>
+    /// Previews the channel numbers a numbering setting would give the Live TV channels, before
+    /// it is saved and applied to the M3U and the native tuner.
+    /// </summary>
+    /// <param name="mode">The numbering mode to preview.</param>
+    /// <param name="start">The first number of the sequence.</param>
+    /// <param name="categoryStarts">Per-category starts, as CategoryId=Start lines.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>Every channel with its current and previewed number.</returns>
+    [HttpGet("LiveTv/NumberingPreview")]
+    [Authorize(Policy = "RequiresElevation")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<List<ChannelNumberPreview>>> PreviewChannelNumbering(
+        [FromQuery] ChannelNumberingMode mode,
+        [FromQuery] int start = 1,
+        [FromQuery] string? categoryStarts = null,
+        CancellationToken cancellationToken = default)
+    {
+        var config = Plugin.Instance.Configuration;
+        if (!HasProviderCredentials(config))
+        {
+            return BadRequest("Provider credentials not configured.");
+        }
+
+        try
+        {
+            var preview = await _liveTvService.PreviewChannelNumbersAsync(mode, start, categoryStarts, cancellationToken).ConfigureAwait(false);
+            return Ok(preview);
+        }
+        catch (System.Exception ex)
+        {
+            _logger.LogError(ex, "Failed to preview Live TV channel numbering");
+            return BadRequest($"Failed to fetch channels: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Cleans channel names with the given cleaning settings instead of the saved ones, so the
+    /// configuration page can show the effect of an edit before it is saved.
+    /// </summary>
+    /// <param name="request">The names and the cleaning settings to test.</param>
+    /// <returns>Each name with its cleaned form, in request order.</returns>
+    [HttpPost("LiveTv/CleanNames")]
+    [Authorize(Policy = "RequiresElevation")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public ActionResult<List<CleanedChannelNameDto>> TestChannelNameCleaning([FromBody] ChannelNameCleaningRequest request)
+    {
+        if (request.Names.Count > MaxCleaningTestNames)
+        {
+            return BadRequest($"Test at most {MaxCleaningTestNames} names at a time.");
+        }
+
+        return Ok(request.Names.Select(name => new CleanedChannelNameDto
+        {
+            Original = name ?? string.Empty,
+            Cleaned = ChannelNameCleaner.CleanChannelName(name ?? string.Empty, request.RemoveTerms, request.EnableCleaning),
+            Emptied = ChannelNameCleaner.CleansToEmpty(name ?? string.Empty, request.RemoveTerms, request.EnableCleaning),
+        }).ToList());
+    }
+
     /// <summary>
     /// Invalidates the Live TV cache (M3U and EPG).
     /// </summary>
@@ -361,3 +425,33 @@ public class LiveChannelDto
     /// <summary>Gets or sets the channel logo URL.</summary>
     public string StreamIcon { get; set; } = string.Empty;
 }
+
+/// <summary>
+/// Request body for <see cref="LiveTvController.TestChannelNameCleaning"/>.
+/// </summary>
+public class ChannelNameCleaningRequest
+{
+    /// <summary>Gets or sets the channel names to clean.</summary>
+    public List<string?> Names { get; set; } = new();
+
+    /// <summary>Gets or sets the custom removal terms, one per line.</summary>
+    public string? RemoveTerms { get; set; }
+
+    /// <summary>Gets or sets a value indicating whether cleaning is enabled.</summary>
+    public bool EnableCleaning { get; set; } = true;
+}
+
+/// <summary>
+/// A channel name with its cleaned form.
+/// </summary>
+public class CleanedChannelNameDto
+{
+    /// <summary>Gets or sets the name as the provider has it.</summary>
+    public string Original { get; set; } = string.Empty;
+
+    /// <summary>Gets or sets the name as the M3U and the native tuner would publish it.</summary>
+    public string Cleaned { get; set; } = string.Empty;
+
+    /// <summary>Gets or sets a value indicating whether cleaning removed everything, so the original is kept.</summary>
+    public bool Emptied { get; set; }
+}
@@ -21,8 +21,8 @@ using System.Collections.Generic;
 using System.IO;
 using System.Linq;
 using System.Net.Mime;
-using System.Security.Cryptography;
 using System.Text;
+using System.Text.Json;
 using System.Text.RegularExpressions;
 using System.Threading;
 using System.Threading.Tasks;
@@ -46,7 +46,12 @@ namespace Jellyfin.Xtream.Library.Api;
 [Produces(MediaTypeNames.Application.Json)]
 public class SyncController : ControllerBase
 {
+    private const int MaxTitleCleaningSamples = 5000;
+
     private static readonly Regex YearInParensRegex = new(@"\(\d{4}\)", RegexOptions.Compiled);
+    private static readonly TimeSpan ProgressStreamInterval = TimeSpan.FromMilliseconds(500);
+    private static readonly TimeSpan ProgressStreamKeepAlive = TimeSpan.FromSeconds(15);
+    private static readonly TimeSpan ProgressStreamIdleGrace = TimeSpan.FromSeconds(3);
     private readonly StrmSyncService _syncService;
     private readonly IXtreamClient _client;
     private readonly IDispatcharrClient _dispatcharrClient;
@@ -108,12 +113,18 @@ public class SyncController : ControllerBase
     [ProducesResponseType(StatusCodes.Status409Conflict)]
     public ActionResult TriggerSync()
     {
-        // Check if sync is already running
+        // Answer at once rather than from the background task. These checks are only the quick
+        // path: SyncAsync itself refuses to start while a sync, retry or preview is running.
         if (_syncService.CurrentProgress.IsRunning)
         {
             return Conflict(new { Success = false, Message = "A sync is already in progress." });
         }
 
+        if (_syncService.IsPreviewRunning)
+        {
+            return Conflict(new { Success = false, Message = "A sync preview is still being computed. Try again when it has finished." });
+        }
+
         _logger.LogInformation("Manual sync triggered via API");
 
         // Clear any sync suppression (from CleanLibraries) — manual trigger always runs
@@ -137,6 +148,27 @@ public class SyncController : ControllerBase
         return Ok(new { Success = true, Message = "Sync started in background. Use /Status or /Progress to monitor." });
     }
 
+    /// <summary>
+    /// Plans a sync without running it: what each enabled provider would add, update and delete,
+    /// per target folder, and whether the deletions would trip the orphan safety threshold.
+    /// Fetches the full catalogue, so it takes about as long as the API part of a full sync.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The planned changes.</returns>
+    [HttpGet("Sync/Preview")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status409Conflict)]
+    public async Task<ActionResult<SyncPreview>> PreviewSync(CancellationToken cancellationToken)
+    {
+        var preview = await _syncService.PreviewSyncAsync(cancellationToken).ConfigureAwait(false);
+        if (preview == null)
+        {
+            return Conflict("A sync or another preview is already running.");
+        }
+
+        return Ok(preview);
+    }
+
     /// <summary>
     /// Cancels the currently running sync operation.
     /// </summary>
@@ -155,6 +187,24 @@ public class SyncController : ControllerBase
         return Ok(new { Success = false, Message = "No sync is currently running." });
     }
 
+    /// <summary>
+    /// Cancels one provider of the running sync; the remaining providers still sync.
+    /// </summary>
+    /// <param name="providerIndex">Zero-based index of the provider in the Providers list.</param>
+    /// <returns>Success status.</returns>
+    [HttpPost("Cancel/{providerIndex:int}")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    public ActionResult CancelProviderSync(int providerIndex)
+    {
+        if (_syncService.CancelProvider(providerIndex))
+        {
+            _logger.LogInformation("Cancellation of provider {ProviderIndex} requested via API", providerIndex);
+            return Ok(new { Success = true, Message = "Provider cancellation requested." });
+        }
+
+        return Ok(new { Success = false, Message = "That provider is not pending or running in the current sync." });
+    }
+
     /// <summary>
     /// Gets the status of the last sync operation.
     /// </summary>
@@ -184,6 +234,107 @@ public class SyncController : ControllerBase
         return Ok(_syncService.CurrentProgress);
     }
 
+    /// <summary>
+    /// Streams the sync progress as Server-Sent Events: a <c>progress</c> event carrying the same
+    /// JSON as <see cref="GetProgress"/> whenever it changes, ending after the event that reports
+    /// the sync as no longer running. The config page subscribes here once and falls back to
+    /// polling <c>/Progress</c> if the stream drops. EventSource cannot send headers, so the
+    /// page authenticates with the <c>api_key</c> query parameter.
+    /// </summary>
+    /// <param name="cancellationToken">Cancelled when the client disconnects.</param>
+    /// <returns>A task that completes when the stream ends.</returns>
+    [HttpGet("Progress/Stream")]
+    [Produces("text/event-stream")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    public async Task StreamProgress(CancellationToken cancellationToken)
+    {
+        Response.ContentType = "text/event-stream";
+        Response.Headers.CacheControl = "no-cache";
+        // Stops nginx-style reverse proxies from buffering the stream into one late response.
+        Response.Headers["X-Accel-Buffering"] = "no";
+
+        await WriteProgressEventsAsync(
+            Response.Body,
+            _syncService.CurrentProgress,
+            ProgressStreamInterval,
+            cancellationToken).ConfigureAwait(false);
+    }
+
+    /// <summary>
+    /// Writes the progress event stream for <see cref="StreamProgress"/>.
+    /// </summary>
+    /// <remarks>
+    /// A page opens the stream straight after POST /Sync, which can beat the background task to
+    /// setting <see cref="SyncProgress.IsRunning"/>. An idle state is therefore only reported
+    /// (and the stream only ended) once a sync has been seen running or
+    /// <see cref="ProgressStreamIdleGrace"/> has passed.
+    /// </remarks>
+    /// <param name="body">The response stream.</param>
+    /// <param name="progress">The live progress object to sample.</param>
+    /// <param name="interval">How often to sample it.</param>
+    /// <param name="cancellationToken">Cancelled when the client disconnects.</param>
+    /// <returns>A task that completes when the stream ends.</returns>
+    internal static async Task WriteProgressEventsAsync(
+        Stream body,
+        SyncProgress progress,
+        TimeSpan interval,
+        CancellationToken cancellationToken)
+    {
+        var opened = DateTime.UtcNow;
+        var lastWrite = opened;
+        string? lastJson = null;
+        bool seenRunning = false;
+
+        try
+        {
+            // Tell EventSource how soon to reconnect if the connection drops mid-sync.
+            await WriteEventTextAsync(body, "retry: 2000\n\n", cancellationToken).ConfigureAwait(false);
+
+            while (!cancellationToken.IsCancellationRequested)
+            {
+                bool running = progress.IsRunning;
+                seenRunning |= running;
+                bool finished = !running && (seenRunning || DateTime.UtcNow - opened >= ProgressStreamIdleGrace);
+
+                if (running || finished)
+                {
+                    string json = JsonSerializer.Serialize(progress);
+                    if (!string.Equals(json, lastJson, StringComparison.Ordinal))
+                    {
+                        await WriteEventTextAsync(body, "event: progress\ndata: " + json + "\n\n", cancellationToken).ConfigureAwait(false);
+                        lastJson = json;
+                        lastWrite = DateTime.UtcNow;
+                    }
+                }
+
+                if (finished)
+                {
+                    return;
+                }
+
+                if (DateTime.UtcNow - lastWrite >= ProgressStreamKeepAlive)
+                {
+                    // A comment line: ignored by EventSource, but keeps idle proxies from closing the connection.
+                    await WriteEventTextAsync(body, ": keepalive\n\n", cancellationToken).ConfigureAwait(false);
+                    lastWrite = DateTime.UtcNow;
+                }
+
+                await Task.Delay(interval, cancellationToken).ConfigureAwait(false);
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // The page was closed or navigated away; nothing to clean up.
+        }
+    }
+
+    private static async Task WriteEventTextAsync(Stream body, string text, CancellationToken cancellationToken)
+    {
+        var bytes = Encoding.UTF8.GetBytes(text);
+        await body.WriteAsync(bytes, cancellationToken).ConfigureAwait(false);
+        await body.FlushAsync(cancellationToken).ConfigureAwait(false);
+    }
+
     /// <summary>
     /// Gets the list of failed items from the last sync.
     /// </summary>
@@ -196,27 +347,214 @@ public class SyncController : ControllerBase
     }
 
     /// <summary>
-    /// Retries syncing all failed items from the last sync.
+    /// Retries syncing failed items from the last sync: all of them, or only those listed.
     /// </summary>
+    /// <param name="request">Optional list of the items to retry; omit to retry everything.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>The retry result.</returns>
     [HttpPost("RetryFailed")]
     [ProducesResponseType(StatusCodes.Status200OK)]
     [ProducesResponseType(StatusCodes.Status400BadRequest)]
-    public async Task<ActionResult<SyncResult>> RetryFailed(CancellationToken cancellationToken)
+    [ProducesResponseType(StatusCodes.Status409Conflict)]
+    public async Task<ActionResult<SyncResult>> RetryFailed(
+        [FromBody] FailedItemsRequest? request,
+        CancellationToken cancellationToken)
     {
         if (_syncService.FailedItems.Count == 0)
         {
             return BadRequest("No failed items to retry.");
         }
 
-        _logger.LogInformation("Retry failed items triggered via API");
+        if (_syncService.CurrentProgress.IsRunning)
+        {
+            return Conflict("A sync is already in progress.");
+        }
 
-        var result = await _syncService.RetryFailedAsync(cancellationToken).ConfigureAwait(false);
+        Func<FailedItem, bool>? selector = null;
+        if (request?.Items is { Count: > 0 } refs)
+        {
+            selector = item => refs.Any(r => r.Matches(item));
+            if (!_syncService.FailedItems.Any(selector))
+            {
+                return BadRequest("None of the listed items are in the failed list.");
+            }
+        }
+
+        _logger.LogInformation(
+            "Retry failed items triggered via API ({Scope})",
+            selector == null ? "all" : $"{request!.Items.Count} selected");
+
+        var result = await _syncService.RetryFailedAsync(selector, cancellationToken).ConfigureAwait(false);
 
         return Ok(result);
     }
 
+    /// <summary>
+    /// Ignores failed items for good: movies are added to the provider's ExcludedVodStreamIds and
+    /// series to its ExcludedSeriesIds, and the items are dropped from the failed list. The provider
+    /// is found by the account the item failed on; an item whose account is no longer configured
+    /// is skipped and stays in the list.
+    /// </summary>
+    /// <param name="request">The items to ignore.</param>
+    /// <returns>The number of movies and series newly excluded, and each ignored item with the index of the provider it went to.</returns>
+    [HttpPost("FailedItems/Ignore")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public ActionResult IgnoreFailedItems([FromBody] FailedItemsRequest request)
+    {
+        var config = TryGetConfig();
+        if (config == null)
+        {
+            return BadRequest("Plugin not initialized.");
+        }
+
+        if (request.Items.Count == 0)
+        {
+            return BadRequest("No items listed.");
+        }
+
+        var unsupported = request.Items.FirstOrDefault(r =>
+            !string.Equals(r.ItemType, "Movie", StringComparison.Ordinal)
+            && !string.Equals(r.ItemType, "Series", StringComparison.Ordinal));
+        if (unsupported != null)
+        {
+            return BadRequest($"Only movies and series can be ignored, not '{unsupported.ItemType}'.");
+        }
+
+        int moviesExcluded = 0;
+        int seriesExcluded = 0;
+        var applied = new List<FailedItemRef>();
+        var skipped = new List<FailedItemRef>();
+        var appliedIndexes = new List<object>();
+        foreach (var group in request.Items.GroupBy(r => r.ProviderKey))
+        {
+            // By account, not by the index the sync saw: after a reorder that index names another
+            // provider, whose exclusion lists this must not write into.
+            var providerIndex = StrmSyncService.FindProviderIndex(config.Providers, group.Key);
+            if (providerIndex < 0)
+            {
+                skipped.AddRange(group);
+                continue;
+            }
+
+            var provider = config.Providers[providerIndex];
+            applied.AddRange(group);
+            appliedIndexes.AddRange(group.Select(r => new { ProviderIndex = providerIndex, r.ItemType, r.ItemId }));
+            var movieIds = group.Where(r => r.ItemType == "Movie").Select(r => r.ItemId).ToList();
+            var seriesIds = group.Where(r => r.ItemType == "Series").Select(r => r.ItemId).ToList();
+
+            var vod = (provider.ExcludedVodStreamIds ?? Array.Empty<int>()).ToList();
+            var newVod = movieIds.Distinct().Except(vod).ToList();
+            provider.ExcludedVodStreamIds = vod.Concat(newVod).ToArray();
+            moviesExcluded += newVod.Count;
+
+            var series = (provider.ExcludedSeriesIds ?? Array.Empty<int>()).ToList();
+            var newSeries = seriesIds.Distinct().Except(series).ToList();
+            provider.ExcludedSeriesIds = series.Concat(newSeries).ToArray();
+            seriesExcluded += newSeries.Count;
+        }
+
+        if (applied.Count > 0)
+        {
+            Plugin.Instance.SaveConfiguration();
+        }
+
+        var removed = _syncService.RemoveFailedItems(item => applied.Any(r => r.Matches(item)));
+
+        if (skipped.Count > 0)
+        {
+            _logger.LogWarning("Not ignoring {Count} failed items: no provider has their account any more", skipped.Count);
+        }
+
+        _logger.LogInformation(
+            "Ignored {Count} failed items: {Movies} movies and {Series} series added to the exclusion lists",
+            removed.Count,
+            moviesExcluded,
+            seriesExcluded);
+
+        return Ok(new
+        {
+            Success = true,
+            MoviesExcluded = moviesExcluded,
+            SeriesExcluded = seriesExcluded,
+            Removed = removed.Count,
+            Skipped = skipped.Count,
+            Applied = appliedIndexes,
+        });
+    }
+
+    /// <summary>
+    /// Gets the orphaned files a sync found but did not delete because the safety threshold or an
+    /// empty category selection blocked cleanup, one page at a time.
+    /// </summary>
+    /// <param name="startIndex">Zero-based index of the first file to return (default: 0).</param>
+    /// <param name="limit">Page size, at most 500 (default: 100).</param>
+    /// <param name="search">Text to find in <see cref="BlockedOrphan.Name"/>, the path below the Movies or Series folder.</param>
+    /// <param name="type">"Movie" or "Episode".</param>
+    /// <returns>The page of blocked orphans and the counts per type.</returns>
+    [HttpGet("Orphans/Blocked")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    public ActionResult<BlockedOrphansPageDto> GetBlockedOrphans(
+        [FromQuery] int startIndex = 0,
+        [FromQuery] int limit = 100,
+        [FromQuery] string? search = null,
+        [FromQuery] string? type = null)
+    {
+        var all = _syncService.BlockedOrphans;
+        var matching = StrmSyncService.FilterBlockedOrphans(all, search, type).ToList();
+        startIndex = Math.Max(startIndex, 0);
+
+        return Ok(new BlockedOrphansPageDto
+        {
+            Items = matching.Skip(startIndex).Take(Math.Clamp(limit, 1, 500)).ToList(),
+            TotalRecordCount = matching.Count,
+            StartIndex = startIndex,
+            MovieCount = all.Count(o => o.ItemType == "Movie"),
+            EpisodeCount = all.Count(o => o.ItemType == "Episode"),
+        });
+    }
+
+    /// <summary>
+    /// Deletes or keeps blocked orphans as a one-off decision; the safety threshold is not changed.
+    /// </summary>
+    /// <param name="request">The decision and the files it applies to.</param>
+    /// <returns>How many files were deleted, kept, or could not be deleted.</returns>
+    [HttpPost("Orphans/Blocked/Resolve")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status409Conflict)]
+    public ActionResult<OrphanReviewResult> ResolveBlockedOrphans([FromBody] OrphanReviewRequest request)
+    {
+        bool delete = string.Equals(request.Action, "delete", StringComparison.OrdinalIgnoreCase);
+        if (!delete && !string.Equals(request.Action, "keep", StringComparison.OrdinalIgnoreCase))
+        {
+            return BadRequest($"Unknown action '{request.Action}'. Expected delete or keep.");
+        }
+
+        // A sync rewrites the list as it goes, and could be writing the very files being deleted.
+        if (_syncService.CurrentProgress.IsRunning)
+        {
+            return Conflict("A sync is in progress. Review the orphans once it has finished.");
+        }
+
+        var paths = request.All
+            ? StrmSyncService.FilterBlockedOrphans(_syncService.BlockedOrphans, request.Search, request.ItemType)
+                .Select(o => o.Path)
+                .ToList()
+            : request.Paths;
+        if (paths.Count == 0)
+        {
+            return BadRequest("No files selected.");
+        }
+
+        _logger.LogInformation(
+            "Orphan review: {Action} {Count} blocked orphans via API",
+            delete ? "deleting" : "keeping",
+            paths.Count);
+
+        return Ok(_syncService.ResolveBlockedOrphans(paths, delete));
+    }
+
     /// <summary>
     /// Tests the connection to the Xtream provider.
     /// </summary>
@@ -383,7 +721,7 @@ public class SyncController : ControllerBase
 
         try
         {
-            var connectionInfo = new Client.ConnectionInfo(provider.BaseUrl, provider.Username, provider.Password ?? string.Empty);
+            var connectionInfo = ProviderHosts.GetConnectionInfo(provider);
             var categories = await _client.GetVodCategoryAsync(connectionInfo, cancellationToken).ConfigureAwait(false);
 
             var result = categories.Select(c => new CategoryDto
@@ -428,7 +766,7 @@ public class SyncController : ControllerBase
 
         try
         {
-            var connectionInfo = new Client.ConnectionInfo(provider.BaseUrl, provider.Username, provider.Password ?? string.Empty);
+            var connectionInfo = ProviderHosts.GetConnectionInfo(provider);
             var categories = await _client.GetSeriesCategoryAsync(connectionInfo, cancellationToken).ConfigureAwait(false);
 
             var result = categories.Select(c => new CategoryDto
@@ -475,7 +813,7 @@ public class SyncController : ControllerBase
 
         try
         {
-            var connectionInfo = new Client.ConnectionInfo(provider.BaseUrl, provider.Username, provider.Password ?? string.Empty);
+            var connectionInfo = ProviderHosts.GetConnectionInfo(provider);
             var streams = await _client.GetVodStreamsByCategoryAsync(connectionInfo, categoryId, cancellationToken).ConfigureAwait(false);
 
             var result = streams.Select(s => new ContentItemDto
@@ -523,7 +861,7 @@ public class SyncController : ControllerBase
 
         try
         {
-            var connectionInfo = new Client.ConnectionInfo(provider.BaseUrl, provider.Username, provider.Password ?? string.Empty);
+            var connectionInfo = ProviderHosts.GetConnectionInfo(provider);
             var seriesList = await _client.GetSeriesByCategoryAsync(connectionInfo, categoryId, cancellationToken).ConfigureAwait(false);
 
             var result = seriesList.Select(s => new SeriesItemDto
@@ -555,6 +893,28 @@ public class SyncController : ControllerBase
         return Ok(new { Success = true, Message = "Metadata cache cleared." });
     }
 
+    /// <summary>
+    /// Gets the account status of each provider: expiry, connections in use and allowed output
+    /// formats. Answers are cached for 15 minutes unless a refresh is asked for.
+    /// </summary>
+    /// <param name="refresh">Whether to ask the providers again.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>One status per provider with credentials.</returns>
+    [HttpGet("Accounts")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<List<ProviderAccountStatus>>> GetAccountStatuses(
+        [FromQuery] bool refresh = false,
+        CancellationToken cancellationToken = default)
+    {
+        if (TryGetConfig() == null)
+        {
+            return BadRequest("Plugin not initialized.");
+        }
+
+        return Ok(await _syncService.GetAccountStatusesAsync(refresh, cancellationToken).ConfigureAwait(false));
+    }
+
     /// <summary>
     /// Gets the dashboard data including last sync, progress, history, schedule, and library stats.
     /// </summary>
@@ -566,7 +926,7 @@ public class SyncController : ControllerBase
         var config = TryGetConfig();
         var lastSync = _syncService.LastSyncResult;
         var progress = _syncService.CurrentProgress;
-        var history = _syncService.SyncHistory;
+        var history = _syncService.SyncHistory.Take(StrmSyncService.DashboardHistoryEntries).ToList();
 
         // Calculate next sync time
         DateTime? nextSyncTime = null;
@@ -645,14 +1005,370 @@ public class SyncController : ControllerBase
     }
 
     /// <summary>
-    /// Gets the sync history (last 10 results).
+    /// Gets one page of the sync history, most recent first.
     /// </summary>
-    /// <returns>List of sync results.</returns>
+    /// <param name="startIndex">Zero-based index of the first run to return (default: 0).</param>
+    /// <param name="limit">Page size, at most 100 (default: 20).</param>
+    /// <param name="from">Only runs started at or after this time.</param>
+    /// <param name="to">Only runs started before this time.</param>
+    /// <param name="status">"success", "warning" or "failed".</param>
+    /// <param name="type">"incremental" or "full".</param>
+    /// <returns>The page of sync results and the number of runs matching the filters.</returns>
     [HttpGet("History")]
     [ProducesResponseType(StatusCodes.Status200OK)]
-    public ActionResult<IReadOnlyList<SyncResult>> GetHistory()
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public ActionResult<SyncHistoryPageDto> GetHistory(
+        [FromQuery] int startIndex = 0,
+        [FromQuery] int limit = 20,
+        [FromQuery] DateTime? from = null,
+        [FromQuery] DateTime? to = null,
+        [FromQuery] string? status = null,
+        [FromQuery] string? type = null)
+    {
+        if (!SyncHistoryQuery.IsValidStatus(status))
+        {
+            return BadRequest($"Unknown status '{status}'. Expected success, warning or failed.");
+        }
+
+        if (!SyncHistoryQuery.IsValidType(type))
+        {
+            return BadRequest($"Unknown type '{type}'. Expected incremental or full.");
+        }
+
+        var (items, total) = SyncHistoryQuery.Apply(_syncService.SyncHistory, from, to, status, type, startIndex, limit);
+        return Ok(new SyncHistoryPageDto
+        {
+            Items = items,
+            TotalRecordCount = total,
+            StartIndex = Math.Max(startIndex, 0),
+        });
+    }
+
+    /// <summary>
+    /// Lists the synced movies and series from the library index with their matched IDs, source
+    /// categories, NFO state and last sync time, one page at a time.
+    /// </summary>
+    /// <param name="providerIndex">Zero-based provider index; omit for all providers.</param>
+    /// <param name="type">"Movie" or "Series"; omit for both.</param>
+    /// <param name="folder">Target folder name, or "/" for the content root; omit for all.</param>
+    /// <param name="search">Text to find in the title.</param>
+    /// <param name="unmatched">List only folders without a TMDb or TVDb ID tag.</param>
+    /// <param name="startIndex">Zero-based index of the first item to return (default: 0).</param>
+    /// <param name="limit">Page size, at most 200 (default: 50).</param>
+    /// <returns>The page of items, the number matching and the folders to filter by.</returns>
+    [HttpGet("Library")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public ActionResult<LibraryBrowsePage> BrowseLibrary(
+        [FromQuery] int? providerIndex = null,
+        [FromQuery] string? type = null,
+        [FromQuery] string? folder = null,
+        [FromQuery] string? search = null,
+        [FromQuery] bool unmatched = false,
+        [FromQuery] int startIndex = 0,
+        [FromQuery] int limit = 50)
     {
-        return Ok(_syncService.SyncHistory);
+        var config = TryGetConfig();
+        if (config == null)
+        {
+            return BadRequest("Plugin not initialized.");
+        }
+
+        if (providerIndex.HasValue && config.Providers.ElementAtOrDefault(providerIndex.Value) == null)
+        {
+            return BadRequest($"Provider {providerIndex} not found.");
+        }
+
+        if (type != null && type != "Movie" && type != "Series")
+        {
+            return BadRequest($"Unknown type '{type}'. Expected Movie or Series.");
+        }
+
+        return Ok(_syncService.BrowseLibrary(new LibraryBrowseQuery
+        {
+            ProviderIndex = providerIndex,
+            ItemType = type,
+            Folder = folder == "/" ? string.Empty : folder,
+            Search = search,
+            UnmatchedOnly = unmatched,
+            StartIndex = startIndex,
+            Limit = limit,
+        }));
+    }
+
+    /// <summary>
+    /// Counts the synced movies and series per target folder of a library, for the folder builder.
+    /// Keyed on the library path rather than the provider index, so it stays right while the
+    /// provider list has unsaved changes. Only the saved library path of a provider is accepted;
+    /// any other path is refused rather than looked up.
+    /// </summary>
+    /// <param name="libraryPath">The provider's library path.</param>
+    /// <returns>Item counts by target folder, empty for the content root.</returns>
+    [HttpGet("Library/FolderCounts")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public ActionResult<LibraryFolderCounts> GetLibraryFolderCounts([FromQuery] string? libraryPath = null)
+    {
+        if (string.IsNullOrWhiteSpace(libraryPath))
+        {
+            return BadRequest("libraryPath is required.");
+        }
+
+        var config = TryGetConfig();
+        if (config == null)
+        {
+            return BadRequest("Plugin not initialized.");
+        }
+
+        // Compared without a trailing separator, so "/media/xtream/" finds "/media/xtream" but
+        // "/media/xtream-old" or "/media/xtream/Movies" is not taken for it.
+        var requested = Path.TrimEndingDirectorySeparator(libraryPath.Trim());
+        var configured = config.Providers
+            .Select(p => p.LibraryPath)
+            .FirstOrDefault(path => !string.IsNullOrWhiteSpace(path)
+                && string.Equals(Path.TrimEndingDirectorySeparator(path.Trim()), requested, StringComparison.Ordinal));
+        if (configured == null)
+        {
+            return BadRequest("libraryPath is not the library path of a configured provider.");
+        }
+
+        return Ok(_syncService.CountLibraryFolderItems(configured.Trim()));
+    }
+
+    /// <summary>
+    /// Searches the movie and series names of every category a provider offers, selected or not,
+    /// to find where a title lives without expanding the categories one by one.
+    /// </summary>
+    /// <param name="search">Text to find in the name, at least 2 characters.</param>
+    /// <param name="providerIndex">Zero-based provider index; omit for all providers.</param>
+    /// <param name="type">"Movie" or "Series"; omit for both.</param>
+    /// <param name="limit">Most hits to return, at most 500 (default: 100).</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The hits with their category, folders and sync state, and the total count.</returns>
+    [HttpGet("Catalog/Search")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<CatalogSearchResult>> SearchCatalog(
+        [FromQuery] string? search,
+        [FromQuery] int? providerIndex = null,
+        [FromQuery] string? type = null,
+        [FromQuery] int limit = 100,
+        CancellationToken cancellationToken = default)
+    {
+        var config = TryGetConfig();
+        if (config == null)
+        {
+            return BadRequest("Plugin not initialized.");
+        }
+
+        if (string.IsNullOrWhiteSpace(search) || search.Trim().Length < 2)
+        {
+            return BadRequest("Enter at least 2 characters to search for.");
+        }
+
+        if (providerIndex.HasValue && config.Providers.ElementAtOrDefault(providerIndex.Value) == null)
+        {
+            return BadRequest($"Provider {providerIndex} not found.");
+        }
+
+        if (type != null && type != "Movie" && type != "Series")
+        {
+            return BadRequest($"Unknown type '{type}'. Expected Movie or Series.");
+        }
+
+        return Ok(await _syncService.SearchCatalogAsync(
+            new CatalogSearchQuery { Search = search, ProviderIndex = providerIndex, ItemType = type, Limit = limit },
+            cancellationToken).ConfigureAwait(false));
+    }
+
+    /// <summary>
+    /// Searches the metadata providers for the movies or series a title could be, for picking a
+    /// match by hand. Movies are offered with their TMDb ID and series with their TVDb ID, the IDs
+    /// the folder ID overrides take.
+    /// </summary>
+    /// <param name="type">"Movie" or "Series".</param>
+    /// <param name="title">The title to search for, without the year.</param>
+    /// <param name="year">The release or premiere year, if known.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The candidates, best first.</returns>
+    [HttpGet("Metadata/Candidates")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<List<MetadataCandidate>>> GetMetadataCandidates(
+        [FromQuery] string type,
+        [FromQuery] string title,
+        [FromQuery] int? year,
+        CancellationToken cancellationToken)
+    {
+        if (type != "Movie" && type != "Series")
+        {
+            return BadRequest($"Unknown type '{type}'. Expected Movie or Series.");
+        }
+
+        if (string.IsNullOrWhiteSpace(title))
+        {
+            return BadRequest("Title is required.");
+        }
+
+        var candidates = type == "Movie"
+            ? await _metadataLookup.SearchMovieCandidatesAsync(title.Trim(), year, cancellationToken).ConfigureAwait(false)
+            : await _metadataLookup.SearchSeriesCandidatesAsync(title.Trim(), year, cancellationToken).ConfigureAwait(false);
+        return Ok(candidates);
+    }
+
+    /// <summary>
+    /// Records a manual match: the ID is written to the provider's TmdbFolderIdOverrides (movies)
+    /// or TvdbFolderIdOverrides (series) under the folder's title, replacing an earlier pick.
+    /// Later syncs use it for new folders; <see cref="ApplyMetadataMatch"/> renames the existing ones.
+    /// </summary>
+    /// <param name="request">The item and the picked ID.</param>
+    /// <returns>The updated override list, for the page to show.</returns>
+    [HttpPost("Metadata/Match")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public ActionResult SaveMetadataMatch([FromBody] MetadataMatchRequest request)
+    {
+        var config = TryGetConfig();
+        if (config == null)
+        {
+            return BadRequest("Plugin not initialized.");
+        }
+
+        var error = ValidateMetadataMatch(config, request);
+        if (error != null)
+        {
+            return BadRequest(error);
+        }
+
+        if (request.Id <= 0)
+        {
+            return BadRequest("Pick a result with a valid ID.");
+        }
+
+        var provider = config.Providers[request.ProviderIndex];
+        string overrides;
+        if (request.ItemType == "Movie")
+        {
+            provider.TmdbFolderIdOverrides = StrmSyncService.UpsertFolderIdOverride(provider.TmdbFolderIdOverrides, request.Title, request.Id);
+            overrides = provider.TmdbFolderIdOverrides;
+        }
+        else
+        {
+            provider.TvdbFolderIdOverrides = StrmSyncService.UpsertFolderIdOverride(provider.TvdbFolderIdOverrides, request.Title, request.Id);
+            overrides = provider.TvdbFolderIdOverrides;
+        }
+
+        Plugin.Instance.SaveConfiguration();
+        _logger.LogInformation(
+            "Manual metadata match for {ItemType} '{Title}' on provider {ProviderIndex}: {Id}",
+            request.ItemType,
+            request.Title,
+            request.ProviderIndex,
+            request.Id);
+
+        return Ok(new { Success = true, Overrides = overrides });
+    }
+
+    /// <summary>
+    /// Re-syncs one matched item: renames its unmatched folders to carry the overridden ID and
+    /// writes the NFO, so Jellyfin picks the match up without a full sync.
+    /// </summary>
+    /// <param name="request">The item; its ID is read from the saved override.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The renamed folders and any left alone.</returns>
+    [HttpPost("Metadata/Match/Apply")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status409Conflict)]
+    public async Task<ActionResult<MetadataMatchResult>> ApplyMetadataMatch(
+        [FromBody] MetadataMatchRequest request,
+        CancellationToken cancellationToken)
+    {
+        var config = TryGetConfig();
+        if (config == null)
+        {
+            return BadRequest("Plugin not initialized.");
+        }
+
+        var error = ValidateMetadataMatch(config, request);
+        if (error != null)
+        {
+            return BadRequest(error);
+        }
+
+        if (_syncService.CurrentProgress.IsRunning)
+        {
+            return Conflict("A sync is running. Try again once it has finished.");
+        }
+
+        var provider = config.Providers[request.ProviderIndex];
+        var overrides = StrmSyncService.ParseFolderIdOverrides(
+            request.ItemType == "Movie" ? provider.TmdbFolderIdOverrides : provider.TvdbFolderIdOverrides);
+        if (!overrides.ContainsKey(request.Title))
+        {
+            return BadRequest($"No ID has been picked for '{request.Title}'.");
+        }
+
+        return Ok(await _syncService.ApplyMetadataMatchAsync(request.ProviderIndex, request.ItemType, request.Title, cancellationToken).ConfigureAwait(false));
+    }
+
+    private static string? ValidateMetadataMatch(PluginConfiguration config, MetadataMatchRequest request)
+    {
+        if (config.Providers.ElementAtOrDefault(request.ProviderIndex) == null)
+        {
+            return $"Provider {request.ProviderIndex} not found.";
+        }
+
+        if (request.ItemType != "Movie" && request.ItemType != "Series")
+        {
+            return $"Unknown type '{request.ItemType}'. Expected Movie or Series.";
+        }
+
+        // The title names a folder and an override line, so it must be a bare folder name.
+        if (string.IsNullOrWhiteSpace(request.Title)
+            || request.Title != request.Title.Trim()
+            || request.Title.Contains('=', StringComparison.Ordinal)
+            || request.Title.IndexOfAny(Path.GetInvalidFileNameChars()) >= 0
+            || request.Title == "."
+            || request.Title == "..")
+        {
+            return $"'{request.Title}' is not a folder name.";
+        }
+
+        return null;
+    }
+
+    /// <summary>
+    /// Runs title removal terms and regex patterns over sample titles without saving them, and
+    /// reports the patterns that do not compile. The config page also calls it with no samples
+    /// to check each provider's patterns before it saves.
+    /// </summary>
+    /// <param name="request">The samples and the settings to test.</param>
+    /// <returns>The folder and file name of each sample, and the invalid patterns.</returns>
+    [HttpPost("TitleCleaning/Preview")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public ActionResult<TitleCleaningPreview> PreviewTitleCleaning([FromBody] TitleCleaningPreviewRequest request)
+    {
+        if (request.Samples.Count > MaxTitleCleaningSamples)
+        {
+            return BadRequest($"Preview at most {MaxTitleCleaningSamples} titles at a time.");
+        }
+
+        return Ok(StrmSyncService.PreviewTitleCleaning(request.Samples, request.CustomTitleRemoveTerms, request.RegexRemovalPatterns));
+    }
+
+    /// <summary>
+    /// Reports the folder name rules the sync would skip, checked with the same .NET regex engine
+    /// the sync uses. The config page calls it for each provider's rules before it saves.
+    /// </summary>
+    /// <param name="request">The rules to check.</param>
+    /// <returns>The rules that do not compile.</returns>
+    [HttpPost("FolderRules/Check")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    public ActionResult<List<InvalidFolderRule>> CheckFolderRules([FromBody] FolderRulesCheckRequest request)
+    {
+        return Ok(FolderNameRules.FindInvalid(request.Rules));
     }
 
     /// <summary>
@@ -744,9 +1460,9 @@ public class SyncController : ControllerBase
             // Redact credentials for all configured providers
             foreach (var provider in config.Providers)
             {
-                if (!string.IsNullOrEmpty(provider.BaseUrl))
+                foreach (var baseUrl in ProviderHosts.GetCandidates(provider))
                 {
-                    result = result.Replace(provider.BaseUrl, "[REDACTED_URL]", StringComparison.Ordinal);
+                    result = result.Replace(baseUrl, "[REDACTED_URL]", StringComparison.Ordinal);
                 }
 
                 if (!string.IsNullOrEmpty(provider.Username))
@@ -785,7 +1501,6 @@ public class SyncController : ControllerBase
         return result;
     }
 
-#pragma warning disable CA5351
     private async Task<ActionResult> CleanLibraryFolder(string folderName, int providerIndex = 0)
     {
         var config = TryGetConfig();
@@ -840,9 +1555,8 @@ public class SyncController : ControllerBase
             // Clear snapshots for this provider so next sync starts fresh
             if (!string.IsNullOrEmpty(provider.BaseUrl))
             {
-                var urlHashBytes = MD5.HashData(Encoding.UTF8.GetBytes(provider.BaseUrl));
-                var providerKey = $"{providerIndex}-{Convert.ToHexString(urlHashBytes)[..8].ToLowerInvariant()}";
-                _snapshotService.ClearAllSnapshots(providerKey);
+                _snapshotService.ClearAllSnapshots(StrmSyncService.SnapshotKey(provider));
+                _snapshotService.ClearAllSnapshots(StrmSyncService.LegacySnapshotKey(providerIndex, provider));
             }
 
             // Also clear the legacy "0-legacy" key for the first provider (migration compat)
@@ -865,7 +1579,6 @@ public class SyncController : ControllerBase
             return BadRequest(new { Success = false, Message = $"Failed to clean {folderName} library: {ex.Message}" });
         }
     }
-#pragma warning restore CA5351
 
     /// <summary>
     /// Computes library statistics by counting matched and unmatched content folders
@@ -996,6 +1709,48 @@ public class ConnectionTestRequest
     public string? Password { get; set; }
 }
 
+/// <summary>
+/// A list of failed items to act on.
+/// </summary>
+public class FailedItemsRequest
+{
+    /// <summary>
+    /// Gets or sets the items.
+    /// </summary>
+    public List<FailedItemRef> Items { get; set; } = new();
+}
+
+/// <summary>
+/// Identifies one entry in the failed items list.
+/// </summary>
+public class FailedItemRef
+{
+    /// <summary>
+    /// Gets or sets the account key of the provider the item failed on, as <see cref="FailedItem.ProviderKey"/>.
+    /// </summary>
+    public string ProviderKey { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the type of item (Movie, Series).
+    /// </summary>
+    public string ItemType { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the item ID from the provider.
+    /// </summary>
+    public int ItemId { get; set; }
+
+    /// <summary>
+    /// Returns true if this reference names the given failed item.
+    /// </summary>
+    /// <param name="item">The failed item.</param>
+    /// <returns>True on a match.</returns>
+    internal bool Matches(FailedItem item)
+        => string.Equals(item.ProviderKey, ProviderKey, StringComparison.Ordinal)
+            && item.ItemId == ItemId
+            && string.Equals(item.ItemType, ItemType, StringComparison.Ordinal);
+}
+
 /// <summary>
 /// Result of a connection test.
 /// </summary>
@@ -1125,3 +1880,145 @@ public class LibraryStatsDto
     /// </summary>
     public int UnmatchedSeries { get; set; }
 }
+
+/// <summary>
+/// One page of the sync history.
+/// </summary>
+public class SyncHistoryPageDto
+{
+    /// <summary>
+    /// Gets or sets the runs on this page, most recent first.
+    /// </summary>
+    public IReadOnlyList<SyncResult> Items { get; set; } = Array.Empty<SyncResult>();
+
+    /// <summary>
+    /// Gets or sets the number of runs matching the filters, across all pages.
+    /// </summary>
+    public int TotalRecordCount { get; set; }
+
+    /// <summary>
+    /// Gets or sets the index of the first run on this page.
+    /// </summary>
+    public int StartIndex { get; set; }
+}
+
+/// <summary>
+/// A review decision about blocked orphans.
+/// </summary>
+public class OrphanReviewRequest
+{
+    /// <summary>
+    /// Gets or sets the decision, "delete" or "keep".
+    /// </summary>
+    public string Action { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the full paths of the files to act on. Ignored when <see cref="All"/> is set.
+    /// </summary>
+    public List<string> Paths { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets a value indicating whether to act on every blocked orphan matching
+    /// <see cref="Search"/> and <see cref="ItemType"/> instead of on <see cref="Paths"/>.
+    /// </summary>
+    public bool All { get; set; }
+
+    /// <summary>
+    /// Gets or sets the search text that narrows <see cref="All"/>.
+    /// </summary>
+    public string? Search { get; set; }
+
+    /// <summary>
+    /// Gets or sets the type that narrows <see cref="All"/>, "Movie" or "Episode".
+    /// </summary>
+    public string? ItemType { get; set; }
+}
+
+/// <summary>
+/// One page of the blocked orphans.
+/// </summary>
+public class BlockedOrphansPageDto
+{
+    /// <summary>
+    /// Gets or sets the orphans on this page.
+    /// </summary>
+    public IReadOnlyList<BlockedOrphan> Items { get; set; } = Array.Empty<BlockedOrphan>();
+
+    /// <summary>
+    /// Gets or sets the number of orphans matching the filters, across all pages.
+    /// </summary>
+    public int TotalRecordCount { get; set; }
+
+    /// <summary>
+    /// Gets or sets the index of the first orphan on this page.
+    /// </summary>
+    public int StartIndex { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of blocked movie files, regardless of the filters.
+    /// </summary>
+    public int MovieCount { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of blocked episode files, regardless of the filters.
+    /// </summary>
+    public int EpisodeCount { get; set; }
+}
+
+/// <summary>
+/// A manual metadata match for one library item.
+/// </summary>
+public class MetadataMatchRequest
+{
+    /// <summary>
+    /// Gets or sets the index of the provider whose library holds the item.
+    /// </summary>
+    public int ProviderIndex { get; set; }
+
+    /// <summary>
+    /// Gets or sets the content type, "Movie" or "Series".
+    /// </summary>
+    public string ItemType { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the folder name without ID tags, such as "Heat (1995)".
+    /// </summary>
+    public string Title { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the picked TMDb ID (movies) or TVDb ID (series). Not used when applying.
+    /// </summary>
+    public int Id { get; set; }
+}
+
+/// <summary>
+/// Request body for <see cref="SyncController.PreviewTitleCleaning"/>.
+/// </summary>
+public class TitleCleaningPreviewRequest
+{
+    /// <summary>
+    /// Gets or sets the titles to clean. May be empty to only check the patterns.
+    /// </summary>
+    public List<TitleCleaningSample> Samples { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the title removal terms to test, one per line.
+    /// </summary>
+    public string? CustomTitleRemoveTerms { get; set; }
+
+    /// <summary>
+    /// Gets or sets the regex removal patterns to test, one per line.
+    /// </summary>
+    public string? RegexRemovalPatterns { get; set; }
+}
+
+/// <summary>
+/// Request body for <see cref="SyncController.CheckFolderRules"/>.
+/// </summary>
+public class FolderRulesCheckRequest
+{
+    /// <summary>
+    /// Gets or sets the folder name rules to check, one Folder=pattern rule per line.
+    /// </summary>
+    public string? Rules { get; set; }
+}
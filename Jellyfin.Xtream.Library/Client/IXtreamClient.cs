@@ -59,10 +59,26 @@ public interface IXtreamClient
 
     Task<List<StreamInfo>> GetVodStreamsByCategoryAsync(ConnectionInfo connectionInfo, int categoryId, CancellationToken cancellationToken);
 
+    /// <summary>
+    /// Fetches every VOD stream the provider offers, in one request without a category filter.
+    /// </summary>
+    /// <param name="connectionInfo">Connection info.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>All VOD streams.</returns>
+    Task<List<StreamInfo>> GetAllVodStreamsAsync(ConnectionInfo connectionInfo, CancellationToken cancellationToken);
+
     Task<List<Category>> GetSeriesCategoryAsync(ConnectionInfo connectionInfo, CancellationToken cancellationToken);
 
     Task<List<Series>> GetSeriesByCategoryAsync(ConnectionInfo connectionInfo, int categoryId, CancellationToken cancellationToken);
 
+    /// <summary>
+    /// Fetches every series the provider offers, in one request without a category filter.
+    /// </summary>
+    /// <param name="connectionInfo">Connection info.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>All series.</returns>
+    Task<List<Series>> GetAllSeriesAsync(ConnectionInfo connectionInfo, CancellationToken cancellationToken);
+
     Task<SeriesStreamInfo> GetSeriesStreamsBySeriesAsync(ConnectionInfo connectionInfo, int seriesId, CancellationToken cancellationToken);
 
     Task<VodInfoResponse?> GetVodInfoAsync(ConnectionInfo connectionInfo, int vodId, CancellationToken cancellationToken);
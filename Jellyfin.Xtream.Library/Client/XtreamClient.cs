@@ -360,6 +360,12 @@ public class XtreamClient(HttpClient client, ILogger<XtreamClient> logger) : IXt
            PlayerApiUrl(connectionInfo, $"action=get_vod_streams&category_id={categoryId}"),
            cancellationToken);
 
+    public Task<List<StreamInfo>> GetAllVodStreamsAsync(ConnectionInfo connectionInfo, CancellationToken cancellationToken) =>
+        QueryApi<List<StreamInfo>>(
+            connectionInfo,
+            PlayerApiUrl(connectionInfo, "action=get_vod_streams"),
+            cancellationToken);
+
     public Task<List<Category>> GetSeriesCategoryAsync(ConnectionInfo connectionInfo, CancellationToken cancellationToken) =>
          QueryApi<List<Category>>(
            connectionInfo,
@@ -372,6 +378,12 @@ public class XtreamClient(HttpClient client, ILogger<XtreamClient> logger) : IXt
            PlayerApiUrl(connectionInfo, $"action=get_series&category_id={categoryId}"),
            cancellationToken);
 
+    public Task<List<Series>> GetAllSeriesAsync(ConnectionInfo connectionInfo, CancellationToken cancellationToken) =>
+        QueryApi<List<Series>>(
+            connectionInfo,
+            PlayerApiUrl(connectionInfo, "action=get_series"),
+            cancellationToken);
+
     public Task<SeriesStreamInfo> GetSeriesStreamsBySeriesAsync(ConnectionInfo connectionInfo, int seriesId, CancellationToken cancellationToken) =>
          QueryApi<SeriesStreamInfo>(
            connectionInfo,
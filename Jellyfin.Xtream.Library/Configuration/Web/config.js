@@ -19,6 +19,19 @@ const XtreamLibraryConfig = {
     liveChannelsByCategory: {},
     // Track which Live TV categories are currently expanded in the UI
     expandedLiveCategories: {},
+    // Channel override grid (ChannelOverrides). Each row: { streamId, name, number, logo, tags },
+    // plus `raw` while it still holds a line exactly as stored; comments and unreadable lines
+    // are raw-only. The grid lists the overridden channels, or every channel of one category.
+    channelOverrideRows: [],
+    channelOverrideCategoryId: '',
+    channelOverrideSearch: '',
+    // Channel numbering: the start typed for each category, by category ID, as entered
+    channelNumberingStarts: {},
+    // Channel name cleaning tester: the last server results for the loaded channels, and a
+    // sequence number so a slow response cannot overwrite the one for a later edit
+    cleaningTestResults: null,
+    cleaningTestSequence: 0,
+    cleaningTestTimer: null,
 
     // Per-item VOD/Series exclusions (item IDs unchecked under their category) — per active provider
     excludedVodStreamIds: [],
@@ -27,17 +40,148 @@ const XtreamLibraryConfig = {
     contentItemsByCategory: { vod: {}, series: {} },
     // Track which VOD/Series categories are currently expanded in the UI, keyed by type
     expandedContentCategories: { vod: {}, series: {} },
+    // Title cleaning preview: the last server result for the loaded titles, and a sequence number
+    // so a slow response cannot overwrite the one for a later edit
+    titleCleaningPreview: null,
+    titleCleaningSequence: 0,
+    titleCleaningTimer: null,
 
     // Folder definitions for multi-folder mode
     // Each entry: { name: 'FolderName', categoryIds: [1, 2, 3] }
     vodFolderDefinitions: [],
     seriesFolderDefinitions: [],
+    // Folder builder (Multiple folder mode): the drag in progress, and the pool filter per type
+    folderDrag: null,
+    // Provider manager: the index of the provider row being dragged
+    providerDrag: null,
+    // Backup base URLs of the provider being edited, as typed, in the order the sync tries them
+    backupBaseUrls: [],
+    // Categories the provider added or dropped since its settings were last saved, per type, as
+    // { newIds: [...], gone: [{ CategoryId, CategoryName }] }; and whether to list only the new ones
+    categoryChanges: { vod: null, series: null },
+    categoryNewOnly: { vod: false, series: false },
+    folderPoolFilter: { vod: '', series: '' },
+    folderPoolLastIndex: { vod: null, series: null },
+    // Items the last sync put in each folder of the active provider's library, by folder name
+    // ('' is the content root); null until loaded
+    folderItemCounts: { vod: null, series: null },
+
+    // Folder ID override editors (TmdbFolderIdOverrides / TvdbFolderIdOverrides) of the active
+    // provider. Each row: { name, id }, plus `raw` while it still holds a line exactly as stored.
+    folderIdOverrideRows: { tmdb: [], tvdb: [] },
+    folderIdOverrideSearch: { tmdb: '', tvdb: '' },
 
     // Track last clicked checkbox per category type for shift+click range selection
     lastClickedIndex: { vod: null, series: null, live: null },
 
-    // Dashboard polling
-    dashboardProgressInterval: null,
+    // Sync progress channel, shared by the Sync tab and the Dashboard (see subscribeProgress)
+    progressSubscribers: {},
+    progressSource: null,
+    progressPollInterval: null,
+    progressChannelOpenedAt: 0,
+    progressSeenRunning: false,
+    // Matches ProgressStreamIdleGrace in SyncController: how long a just-started sync may still
+    // read as idle before the channel believes it.
+    progressIdleGraceMs: 3000,
+
+    // Dashboard trend charts: how many runs they reach back over (the server keeps 100)
+    chartHistoryLimit: 100,
+    chartColors: {
+        movies: '#00a4dc',
+        series: '#82e0aa',
+        episodes: '#bb8fce',
+        added: '#82e0aa',
+        deleted: '#e0c882',
+        duration: '#85c1e9',
+        errors: '#e08282'
+    },
+
+    // Failed items browser on the Sync tab. failedItemsGroups is what is on screen, so a group's
+    // Retry/Ignore button acts on exactly the rows drawn under it.
+    failedItems: [],
+    failedItemsGroups: [],
+    failedItemsSort: { key: 'Name', descending: false },
+
+    // Orphan review on the Sync tab: the page of blocked orphans on screen and the filter it was
+    // loaded with. Ticks are per page; "all matching" goes to the server as that filter rather
+    // than as a list of paths, so it covers what the page counted, not what the inputs say now.
+    orphanReviewPageSize: 100,
+    orphanReviewPage: null,
+    orphanReviewFilter: null,
+
+    // Library tab: the page on screen, and the item the match fixer is open for
+    libraryPageSize: 50,
+    libraryPage: null,
+    matchFixerItem: null,
+    // Catalogue search on the Library tab: the last result, and a sequence number so a slow
+    // response cannot overwrite the one for a later search
+    catalogSearchResult: null,
+    catalogSearchSequence: 0,
+    catalogSearchTimer: null,
+
+    // History tab: the page on screen and the run opened from it
+    historyPageSize: 20,
+    historyPage: null,
+    historySelectedIndex: null,
+
+    // Config export/import. Bump the version whenever the bundle shape changes incompatibly;
+    // validateConfigBundle refuses files from a newer version rather than half-applying them.
+    configBundleFormat: 'xtream-library-config',
+    configBundleVersion: 1,
+    // Stands in for a credential in a masked export. Import resolves it against this server.
+    credentialMask: '********',
+    bundleCredentialFields: ['Username', 'Password', 'DispatcharrApiUser', 'DispatcharrApiPass'],
+    // A masked export keeps the usernames: they are what ties a masked password to its account.
+    bundleMaskedFields: ['Password', 'DispatcharrApiPass'],
+    // The global settings an export carries, with their defaults. The defaults double as the type
+    // each field must have in an imported file.
+    bundleSettingDefaults: {
+        SyncScheduleType: 'Interval',
+        SyncIntervalMinutes: 60,
+        SyncDailyHour: 3,
+        SyncDailyMinute: 0,
+        LiveChannelMode: 'IncludeAll',
+        SelectedLiveCategoryIds: [],
+        ExcludedLiveStreamIds: [],
+        ChannelOverrides: '',
+    },
+    // A validated import waiting for the user to confirm its diff
+    pendingImport: null,
+
+    // Field validation, checked by saveConfig before anything is written. The numeric bounds are
+    // the ranges the page advertises, narrowed to what ProviderConfig.Validate and
+    // PluginConfiguration.Validate clamp to, so a value accepted here is also the value that runs.
+    // `key` is the provider property, for checking providers that are not on screen; `percent`
+    // marks the fields the UI shows as 0-100 and stores as a fraction.
+    fieldValidationRules: [
+        { id: 'txtBaseUrl', key: 'BaseUrl', label: 'Base URL', scope: 'provider', kind: 'url' },
+        { id: 'txtLibraryPath', key: 'LibraryPath', label: 'Library Path', scope: 'provider', kind: 'path', required: true },
+        { id: 'txtOrphanSafetyThreshold', key: 'OrphanSafetyThreshold', label: 'Orphan Safety Threshold', scope: 'provider', kind: 'int', min: 0, max: 100, percent: true },
+        { id: 'txtSyncParallelism', key: 'SyncParallelism', label: 'Sync Parallelism', scope: 'provider', kind: 'int', min: 1, max: 10 },
+        { id: 'txtCategoryBatchSize', key: 'CategoryBatchSize', label: 'Category Batch Size', scope: 'provider', kind: 'int', min: 0, max: 100 },
+        { id: 'txtRequestDelayMs', key: 'RequestDelayMs', label: 'Request Delay', scope: 'provider', kind: 'int', min: 0, max: 5000 },
+        { id: 'txtMaxRetries', key: 'MaxRetries', label: 'Max Retries', scope: 'provider', kind: 'int', min: 0, max: 10 },
+        { id: 'txtRetryDelayMs', key: 'RetryDelayMs', label: 'Retry Delay', scope: 'provider', kind: 'int', min: 100, max: 30000 },
+        { id: 'txtTimeoutSeconds', key: 'TimeoutSeconds', label: 'Request Timeout', scope: 'provider', kind: 'int', min: 10, max: 3600 },
+        { id: 'txtFullSyncIntervalDays', key: 'FullSyncIntervalDays', label: 'Full Sync Interval', scope: 'provider', kind: 'int', min: 1, max: 30 },
+        { id: 'txtFullSyncChangeThreshold', key: 'FullSyncChangeThreshold', label: 'Full Sync Change Threshold', scope: 'provider', kind: 'int', min: 0, max: 100, percent: true },
+        // Only read by the scheduler in Interval mode, and hidden otherwise.
+        { id: 'txtSyncInterval', label: 'Sync Interval', scope: 'global', kind: 'int', min: 10, max: 1440, onlyIf: { id: 'selSyncScheduleType', value: 'Interval' } },
+        { id: 'txtMetadataParallelism', label: 'Metadata Lookup Parallelism', scope: 'global', kind: 'int', min: 1, max: 10 },
+        { id: 'txtAccountExpiryWarningDays', label: 'Account Expiry Warning', scope: 'global', kind: 'int', min: 0, max: 365 },
+        { id: 'txtM3UCacheMinutes', label: 'M3U Cache Duration', scope: 'global', kind: 'int', min: 1, max: 60 },
+        { id: 'txtEpgCacheMinutes', label: 'EPG Cache Duration', scope: 'global', kind: 'int', min: 5, max: 120 },
+        { id: 'txtEpgDaysToFetch', label: 'EPG Days to Fetch', scope: 'global', kind: 'int', min: 1, max: 7 },
+        { id: 'txtEpgParallelism', label: 'EPG Parallelism', scope: 'global', kind: 'int', min: 1, max: 10 },
+        { id: 'txtCatchupDays', label: 'Catch-up Days', scope: 'global', kind: 'int', min: 1, max: 14 },
+        { id: 'txtChannelNumberingStart', label: 'First Channel Number', scope: 'global', kind: 'int', min: 1, max: 99999 },
+    ],
+    // Set while inline errors are on screen, so edits re-check them as the user fixes things
+    fieldErrorsShown: false,
+
+    // Unsaved-changes tracking: the UI state as last loaded or saved (see captureConfigState)
+    savedState: null,
+    dirtyCheckTimer: null,
 
     // Creates a new provider config object with sensible defaults
     makeDefaultProvider: function (index) {
@@ -45,6 +189,7 @@ const XtreamLibraryConfig = {
             Name: 'Provider ' + (index + 1),
             IsEnabled: true,
             BaseUrl: '',
+            BackupBaseUrls: [],
             Username: '',
             Password: '',
             UserAgent: '',
@@ -55,12 +200,16 @@ const XtreamLibraryConfig = {
             SelectedSeriesCategoryIds: [],
             ExcludedVodStreamIds: [],
             ExcludedSeriesIds: [],
+            KnownVodCategories: [],
+            KnownSeriesCategories: [],
             MovieFolderMode: 'Single',
             SeriesFolderMode: 'Single',
             MovieCategoriesMode: 'Include',
             SeriesCategoriesMode: 'Include',
             MovieFolderMappings: '',
             SeriesFolderMappings: '',
+            MovieFolderRules: '',
+            SeriesFolderRules: '',
             TmdbFolderIdOverrides: '',
             TvdbFolderIdOverrides: '',
             CustomTitleRemoveTerms: '',
@@ -86,7 +235,13 @@ const XtreamLibraryConfig = {
         };
     },
 
-    // Renders the provider selector <select> element
+    providerLabel: function (index) {
+        var label = this.providers[index].Name || ('Provider ' + (index + 1));
+        if (!this.providers[index].IsEnabled) label += ' (disabled)';
+        return label;
+    },
+
+    // Renders the provider selector <select> element, and the provider manager with it
     renderProviderSelector: function () {
         var sel = document.getElementById('selActiveProvider');
         if (!sel) return;
@@ -94,12 +249,210 @@ const XtreamLibraryConfig = {
         for (var i = 0; i < this.providers.length; i++) {
             var opt = document.createElement('option');
             opt.value = i;
-            var label = this.providers[i].Name || ('Provider ' + (i + 1));
-            if (!this.providers[i].IsEnabled) label += ' (disabled)';
-            opt.textContent = label;
+            opt.textContent = this.providerLabel(i);
             sel.appendChild(opt);
         }
         sel.value = this.activeProviderIndex;
+        this.renderProviderManager();
+    },
+
+    // Switches the form to another provider, keeping the current one's edits. Returns false when
+    // the current provider has fields to fix first.
+    selectProvider: function (index) {
+        if (index === this.activeProviderIndex) return true;
+        if (!this.checkActiveProviderFields()) return false;
+        this.updateActiveProviderFromUI();
+        this.loadProviderIntoUI(index);
+        this.renderProviderSelector();
+        return true;
+    },
+
+    // The default library path of the first provider number no other provider's path uses, so a
+    // new or cloned provider never writes into another one's folders.
+    nextFreeLibraryPath: function () {
+        var used = {};
+        this.providers.forEach(function (p) {
+            used[(p.LibraryPath || '').replace(/\/+$/, '').toLowerCase()] = true;
+        });
+        for (var n = this.providers.length + 1; ; n++) {
+            var path = '/config/xtream-library-' + n;
+            if (!used[path]) return path;
+        }
+    },
+
+    // Appends a copy of providers[index] - credentials, category selections, folder mappings,
+    // exclusions and tuning - under its own library path. Returns the copy's index.
+    cloneProvider: function (index) {
+        var source = this.providers[index];
+        var copy = JSON.parse(JSON.stringify(source));
+        copy.Name = (source.Name || ('Provider ' + (index + 1))) + ' (copy)';
+        copy.LibraryPath = this.nextFreeLibraryPath();
+        this.providers.push(copy);
+        return this.providers.length - 1;
+    },
+
+    // Moves a provider to another place in the sync order. The form keeps showing the provider
+    // it showed, wherever that one ends up.
+    moveProvider: function (fromIndex, toIndex) {
+        var providers = this.providers;
+        if (fromIndex === toIndex || !providers[fromIndex] || toIndex < 0 || toIndex >= providers.length) return;
+        var active = providers[this.activeProviderIndex];
+        var moved = providers.splice(fromIndex, 1)[0];
+        providers.splice(toIndex, 0, moved);
+        this.activeProviderIndex = providers.indexOf(active);
+    },
+
+    // The warning to confirm before a move, or null when nothing keyed on the order is affected.
+    // Live TV channel IDs carry the provider's place in the list, so Jellyfin takes the channels
+    // of every Live TV provider the move shifts for new ones.
+    providerMoveWarning: function (fromIndex, toIndex) {
+        var liveTv = document.getElementById('chkEnableLiveTv');
+        if (!liveTv || !liveTv.checked) return null;
+        var shifted = this.providers.slice(Math.min(fromIndex, toIndex), Math.max(fromIndex, toIndex) + 1).filter(function (p) {
+            return p.IsEnabled !== false && p.BaseUrl && p.Username;
+        });
+        if (shifted.length === 0) return null;
+        return 'This move changes the place of ' + shifted.length + ' Live TV provider' + (shifted.length === 1 ? '' : 's') + ' in the list. '
+            + 'Live TV channel IDs are built from that place, so once saved Jellyfin sees their channels as new ones: '
+            + 'guide mappings, favourites and recordings set on the old channels are lost.\n\nMove anyway?';
+    },
+
+    // Where the provider the server has at savedIndex sits on this page, whose list may have been
+    // reordered, added to or trimmed since the last save. Server responses index the saved list,
+    // so they find their provider here by BaseUrl and Username, the account it names. -1 if it is
+    // not on the page.
+    pageProviderIndex: function (savedIndex) {
+        var saved = this.savedState && this.savedState.Providers[savedIndex];
+        if (!saved) return -1;
+        for (var i = 0; i < this.providers.length; i++) {
+            var p = this.providers[i];
+            if (p.BaseUrl === saved.BaseUrl && p.Username === saved.Username) return i;
+        }
+        return -1;
+    },
+
+    // The other way round, for a request that names a provider on this page to the server. -1 for
+    // a provider that is not saved yet.
+    savedProviderIndex: function (pageIndex) {
+        var p = this.providers[pageIndex];
+        var saved = (this.savedState && this.savedState.Providers) || [];
+        if (!p) return -1;
+        for (var i = 0; i < saved.length; i++) {
+            if (saved[i].BaseUrl === p.BaseUrl && saved[i].Username === p.Username) return i;
+        }
+        return -1;
+    },
+
+    renderProviderManager: function () {
+        var self = this;
+        var container = document.getElementById('providerManagerList');
+        if (!container) return;
+
+        var html = '';
+        this.providers.forEach(function (p, i) {
+            var active = i === self.activeProviderIndex;
+            html += '<div class="provider-manager-row' + (active ? ' provider-manager-active' : '') + '" data-provider-index="' + i + '">';
+            html += '<span class="folder-drag-handle" draggable="true" data-provider-index="' + i + '" title="Drag to change the sync order">&#10303;</span>';
+            html += '<span class="folder-count-badge">' + (i + 1) + '</span>';
+            html += '<input type="text" class="provider-name-input" data-provider-index="' + i + '" value="' + self.escapeHtml(p.Name || '') + '" placeholder="Provider ' + (i + 1) + '" />';
+            html += '<label><input type="checkbox" class="provider-enabled-cb" data-provider-index="' + i + '"' + (p.IsEnabled !== false ? ' checked' : '') + ' /> Enabled</label>';
+            html += '<small class="provider-manager-path">' + self.escapeHtml(p.LibraryPath || '') + '</small>';
+            if (active) {
+                html += '<span class="provider-enabled-badge">Editing</span>';
+            } else {
+                html += '<button is="emby-button" type="button" class="raised provider-edit-btn" data-provider-index="' + i + '"><span>Edit</span></button>';
+            }
+            html += '<button is="emby-button" type="button" class="raised provider-clone-btn" data-provider-index="' + i + '"><span>Clone</span></button>';
+            html += '</div>';
+        });
+        container.innerHTML = html;
+        this.wireProviderManager(container);
+    },
+
+    // Rename, enable, edit, clone and drag-to-reorder, delegated from the list container so the
+    // redraws in renderProviderManager need no re-wiring.
+    wireProviderManager: function (container) {
+        var self = this;
+        if (container.getAttribute('data-manager-wired') === 'true') return;
+        container.setAttribute('data-manager-wired', 'true');
+
+        var indexOf = function (el) {
+            return parseInt(el.getAttribute('data-provider-index'));
+        };
+        var clearDropTargets = function () {
+            container.querySelectorAll('.folder-drop-target').forEach(function (el) {
+                el.classList.remove('folder-drop-target');
+            });
+        };
+
+        // The list is not redrawn while a name is typed, so the input keeps its focus.
+        container.addEventListener('input', function (e) {
+            if (!e.target.classList.contains('provider-name-input')) return;
+            var index = indexOf(e.target);
+            self.providers[index].Name = e.target.value;
+            var sel = document.getElementById('selActiveProvider');
+            if (sel && sel.options[index]) sel.options[index].textContent = self.providerLabel(index);
+        });
+
+        container.addEventListener('change', function (e) {
+            if (!e.target.classList.contains('provider-enabled-cb')) return;
+            self.providers[indexOf(e.target)].IsEnabled = e.target.checked;
+            self.renderProviderSelector();
+        });
+
+        container.addEventListener('click', function (e) {
+            var edit = e.target.closest('.provider-edit-btn');
+            var clone = e.target.closest('.provider-clone-btn');
+            if (edit) {
+                e.preventDefault();
+                self.selectProvider(indexOf(edit));
+            } else if (clone) {
+                e.preventDefault();
+                if (!self.checkActiveProviderFields()) return;
+                self.updateActiveProviderFromUI();
+                var newIndex = self.cloneProvider(indexOf(clone));
+                self.loadProviderIntoUI(newIndex);
+                self.renderProviderSelector();
+            }
+        });
+
+        container.addEventListener('dragstart', function (e) {
+            var handle = e.target.closest('.folder-drag-handle');
+            if (!handle) return;
+            self.providerDrag = indexOf(handle);
+            e.dataTransfer.effectAllowed = 'move';
+            // Firefox will not start a drag without data
+            e.dataTransfer.setData('text/plain', '');
+        });
+
+        container.addEventListener('dragover', function (e) {
+            var row = e.target.closest('.provider-manager-row');
+            if (!row || self.providerDrag === null) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            clearDropTargets();
+            row.classList.add('folder-drop-target');
+        });
+
+        container.addEventListener('drop', function (e) {
+            var row = e.target.closest('.provider-manager-row');
+            var from = self.providerDrag;
+            self.providerDrag = null;
+            clearDropTargets();
+            if (!row || from === null) return;
+            e.preventDefault();
+            var to = indexOf(row);
+            if (from === to) return;
+            var warning = self.providerMoveWarning(from, to);
+            if (warning && !confirm(warning)) return;
+            self.moveProvider(from, to);
+            self.renderProviderSelector();
+        });
+
+        container.addEventListener('dragend', function () {
+            self.providerDrag = null;
+            clearDropTargets();
+        });
     },
 
     // Populates all per-provider UI fields from providers[index]
@@ -110,6 +463,8 @@ const XtreamLibraryConfig = {
         this.activeProviderIndex = index;
 
         document.getElementById('txtBaseUrl').value = p.BaseUrl || '';
+        this.backupBaseUrls = (p.BackupBaseUrls || []).slice();
+        this.renderBackupBaseUrls();
         document.getElementById('txtUsername').value = p.Username || '';
         document.getElementById('txtPassword').value = p.Password || '';
         document.getElementById('txtUserAgent').value = p.UserAgent || '';
@@ -126,9 +481,14 @@ const XtreamLibraryConfig = {
         self.excludedSeriesIds = p.ExcludedSeriesIds || [];
         self.contentItemsByCategory = { vod: {}, series: {} };
         self.expandedContentCategories = { vod: {}, series: {} };
+        self.resetTitleCleaningPreview();
 
-        document.getElementById('txtTmdbFolderIdOverrides').value = p.TmdbFolderIdOverrides || '';
-        document.getElementById('txtTvdbFolderIdOverrides').value = p.TvdbFolderIdOverrides || '';
+        self.folderIdOverrideRows = {
+            tmdb: self.parseFolderIdOverrideRows(p.TmdbFolderIdOverrides),
+            tvdb: self.parseFolderIdOverrideRows(p.TvdbFolderIdOverrides)
+        };
+        self.renderFolderIdOverrideEditor('tmdb');
+        self.renderFolderIdOverrideEditor('tvdb');
 
         document.getElementById('selMovieFolderMode').value = p.MovieFolderMode || 'Single';
         document.getElementById('selSeriesFolderMode').value = p.SeriesFolderMode || 'Single';
@@ -136,8 +496,8 @@ const XtreamLibraryConfig = {
         document.getElementById('selMovieCategoriesMode').value = p.MovieCategoriesMode || 'Include';
         document.getElementById('selSeriesCategoriesMode').value = p.SeriesCategoriesMode || 'Include';
 
-        self.vodFolderDefinitions = self.parseFolderMappings(p.MovieFolderMappings);
-        self.seriesFolderDefinitions = self.parseFolderMappings(p.SeriesFolderMappings);
+        self.vodFolderDefinitions = self.mergeFolderRules(self.parseFolderMappings(p.MovieFolderMappings), p.MovieFolderRules);
+        self.seriesFolderDefinitions = self.mergeFolderRules(self.parseFolderMappings(p.SeriesFolderMappings), p.SeriesFolderRules);
 
         document.getElementById('chkFallbackToYearlessLookup').checked = p.FallbackToYearlessLookup === true;
 
@@ -167,7 +527,14 @@ const XtreamLibraryConfig = {
         self.updateFolderModeVisibility('vod');
         self.updateFolderModeVisibility('series');
 
-        // Clear category lists - they'll be reloaded when user clicks Load
+        // Clear category lists - they'll be reloaded when user clicks Load. The loaded lists go
+        // too: they belong to the previous provider, and the save snapshots them as this one's.
+        self.vodCategories = [];
+        self.seriesCategories = [];
+        self.categoryChanges = { vod: null, series: null };
+        self.categoryNewOnly = { vod: false, series: false };
+        self.renderCategoryChanges('vod');
+        self.renderCategoryChanges('series');
         document.getElementById('vodCategoryList').innerHTML = '';
         document.getElementById('seriesCategoryList').innerHTML = '';
         var vodStatus = document.getElementById('vodCategoryLoadStatus');
@@ -175,6 +542,8 @@ const XtreamLibraryConfig = {
         var seriesStatus = document.getElementById('seriesCategoryLoadStatus');
         if (seriesStatus) seriesStatus.innerHTML = '';
 
+        self.loadFolderItemCounts();
+
         // Auto-load categories if credentials are configured
         if (p.BaseUrl && p.Username) {
             self.loadVodCategories();
@@ -182,12 +551,72 @@ const XtreamLibraryConfig = {
         }
     },
 
-    // Writes all per-provider UI fields back to providers[activeProviderIndex]
+    // Fetches how many items the last sync put in each folder of the active provider's library.
+    // Asked for by library path, which unlike the provider's position means the same library on
+    // the server while the provider list has unsaved changes.
+    loadFolderItemCounts: function () {
+        var self = this;
+        var p = this.providers[this.activeProviderIndex];
+        self.folderItemCounts = { vod: null, series: null };
+        if (!p || !p.LibraryPath) return Promise.resolve();
+
+        var libraryPath = p.LibraryPath;
+        return fetch(ApiClient.getUrl('XtreamLibrary/Library/FolderCounts', { libraryPath: libraryPath }), {
+            method: 'GET',
+            headers: {
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
+            }
+        }).then(function (r) {
+            if (!r.ok) throw new Error('HTTP ' + r.status);
+            return r.json();
+        }).then(function (counts) {
+            var current = self.providers[self.activeProviderIndex];
+            if (!current || current.LibraryPath !== libraryPath) return;
+            self.folderItemCounts = { vod: counts.Movies || {}, series: counts.Series || {} };
+            // Redrawn from what is on screen, like any other builder change: the user may have
+            // named or added folders while the counts were on their way.
+            ['vod', 'series'].forEach(function (type) {
+                var categories = type === 'vod' ? self.vodCategories : self.seriesCategories;
+                if (categories.length > 0) self.updateFolderBuilder(type, function () {});
+            });
+        }).catch(function (err) {
+            // The counts are a nicety; the builder works the same without them.
+            console.error('Folder item count error:', err);
+        });
+    },
+
+    // The item count badge of a folder, or '' when the last sync put nothing there or the counts
+    // are not in. Folder names are matched the way the file system does on most hosts.
+    folderItemCountBadge: function (type, folderName) {
+        var counts = this.folderItemCounts[type];
+        if (!counts) return '';
+        var wanted = (folderName || '').trim().toLowerCase();
+        if (!wanted) return '';
+        var count = 0;
+        Object.keys(counts).forEach(function (name) {
+            if (name.toLowerCase() === wanted) count += counts[name];
+        });
+        if (count === 0) return '';
+        return '<span class="folder-count-badge" title="Movies or series the last sync put in this folder">'
+            + count + ' item' + (count === 1 ? '' : 's') + '</span>';
+    },
+
+    // Writes all per-provider UI fields back to providers[activeProviderIndex], and the folder
+    // builders back to the folder definitions they are drawn from.
     updateActiveProviderFromUI: function () {
         var p = this.providers[this.activeProviderIndex];
         if (!p) return;
 
+        this.readProviderFromUI(p);
+        if (p.MovieFolderMode !== 'Single') this.updateFolderDefinitionsFromUI('vod');
+        if (p.SeriesFolderMode !== 'Single') this.updateFolderDefinitionsFromUI('series');
+    },
+
+    // Reads all per-provider UI fields into p and changes nothing else, so the unsaved-changes
+    // check can read the page into a copy.
+    readProviderFromUI: function (p) {
         p.BaseUrl = document.getElementById('txtBaseUrl').value.trim().replace(/\/$/, '');
+        p.BackupBaseUrls = this.readBackupBaseUrls(p.BaseUrl);
         p.Username = document.getElementById('txtUsername').value.trim();
         p.Password = document.getElementById('txtPassword').value;
         p.UserAgent = document.getElementById('txtUserAgent').value.trim();
@@ -207,8 +636,9 @@ const XtreamLibraryConfig = {
         p.SeriesFolderMode = seriesMode;
 
         if (movieMode === 'Single') {
-            p.SelectedVodCategoryIds = this.getSelectedCategoryIds('vod');
+            p.SelectedVodCategoryIds = this.getContentCategoryIdsForSave('vod');
             p.MovieFolderMappings = '';
+            p.MovieFolderRules = '';
         } else {
             // Multiple folder mode. SelectedVodCategoryIds is the only thing the sync consults to
             // decide *whether* a category is synced (StrmSyncService.SyncMoviesAsync); the folder
@@ -216,30 +646,33 @@ const XtreamLibraryConfig = {
             // the categories assigned to folders - reading the flat checkbox list here yields an
             // empty array (that list is hidden, and often never rendered, in this mode), and an
             // empty array means "sync every category on the provider".
-            this.updateFolderDefinitionsFromUI('vod');
+            var vodFolders = this.readFolderDefinitionsFromUI('vod');
             p.MovieCategoriesMode = 'Include';
-            p.SelectedVodCategoryIds = this.getAllCategoryIdsFromFolders('vod');
-            p.MovieFolderMappings = this.buildFolderMappings(this.vodFolderDefinitions);
+            p.SelectedVodCategoryIds = this.categoryIdsOfFolders(vodFolders);
+            p.MovieFolderMappings = this.buildFolderMappings(vodFolders);
+            p.MovieFolderRules = this.buildFolderRules(vodFolders);
         }
 
         if (seriesMode === 'Single') {
-            p.SelectedSeriesCategoryIds = this.getSelectedCategoryIds('series');
+            p.SelectedSeriesCategoryIds = this.getContentCategoryIdsForSave('series');
             p.SeriesFolderMappings = '';
+            p.SeriesFolderRules = '';
         } else {
             // Same as movies above: the union of the folder-assigned categories, not the hidden
             // flat checkbox list.
-            this.updateFolderDefinitionsFromUI('series');
+            var seriesFolders = this.readFolderDefinitionsFromUI('series');
             p.SeriesCategoriesMode = 'Include';
-            p.SelectedSeriesCategoryIds = this.getAllCategoryIdsFromFolders('series');
-            p.SeriesFolderMappings = this.buildFolderMappings(this.seriesFolderDefinitions);
+            p.SelectedSeriesCategoryIds = this.categoryIdsOfFolders(seriesFolders);
+            p.SeriesFolderMappings = this.buildFolderMappings(seriesFolders);
+            p.SeriesFolderRules = this.buildFolderRules(seriesFolders);
         }
 
         // Persist per-item exclusions regardless of folder mode (empty = sync everything).
         p.ExcludedVodStreamIds = this.excludedVodStreamIds.slice();
         p.ExcludedSeriesIds = this.excludedSeriesIds.slice();
 
-        p.TmdbFolderIdOverrides = document.getElementById('txtTmdbFolderIdOverrides').value;
-        p.TvdbFolderIdOverrides = document.getElementById('txtTvdbFolderIdOverrides').value;
+        p.TmdbFolderIdOverrides = this.buildFolderIdOverrides(this.folderIdOverrideRows.tmdb);
+        p.TvdbFolderIdOverrides = this.buildFolderIdOverrides(this.folderIdOverrideRows.tvdb);
 
         p.FallbackToYearlessLookup = document.getElementById('chkFallbackToYearlessLookup').checked;
 
@@ -283,6 +716,12 @@ const XtreamLibraryConfig = {
 
         if (tabName === 'dashboard') {
             this.loadDashboard();
+        } else if (tabName === 'history') {
+            this.loadHistory(0);
+        } else if (tabName === 'library') {
+            this.renderLibraryProviderFilter();
+            this.renderCatalogSearchProviderFilter();
+            this.loadLibrary(0);
         }
     },
 
@@ -301,51 +740,10 @@ const XtreamLibraryConfig = {
             self.renderProviderSelector();
             self.loadProviderIntoUI(0);
 
-            // Global settings (not per-provider)
-            document.getElementById('txtSyncInterval').value = config.SyncIntervalMinutes || 60;
-            document.getElementById('chkTriggerScan').checked = config.TriggerLibraryScan === true;
-            document.getElementById('chkEnableMetadataLookup').checked = config.EnableMetadataLookup !== false;
-            document.getElementById('chkUseBetaChannel').checked = config.UseBetaChannel === true;
-            document.getElementById('txtMetadataParallelism').value = config.MetadataParallelism || 3;
-
-            // Schedule settings
-            document.getElementById('selSyncScheduleType').value = config.SyncScheduleType || 'Interval';
-            document.getElementById('selSyncDailyHour').value = config.SyncDailyHour || 3;
-            document.getElementById('selSyncDailyMinute').value = config.SyncDailyMinute || 0;
-            self.updateScheduleVisibility();
-
-            // Live TV settings
-            document.getElementById('chkEnableLiveTv').checked = config.EnableLiveTv || false;
-            document.getElementById('chkEnableNativeTuner').checked = config.EnableNativeTuner || false;
-            document.getElementById('chkEnableEpg').checked = config.EnableEpg !== false;
-            document.getElementById('selLiveTvOutputFormat').value = config.LiveTvOutputFormat || 'ts';
-            document.getElementById('chkIncludeAdultChannels').checked = config.IncludeAdultChannels || false;
-            document.getElementById('txtM3UCacheMinutes').value = config.M3UCacheMinutes || 15;
-            document.getElementById('txtEpgCacheMinutes').value = config.EpgCacheMinutes || 30;
-            document.getElementById('txtEpgDaysToFetch').value = config.EpgDaysToFetch || 2;
-            document.getElementById('txtEpgParallelism').value = config.EpgParallelism || 5;
-            self.selectedLiveCategoryIds = config.SelectedLiveCategoryIds || [];
-            self.excludedLiveStreamIds = config.ExcludedLiveStreamIds || [];
-
-            // Live channel selection mode (IncludeAll | Custom | ExcludeSelected). Backend defaults to
-            // IncludeAll on fresh installs; existing configs with state are migrated to Custom on startup.
+            self.applyGlobalSettingsToUI(config);
             var liveMode = config.LiveChannelMode || 'IncludeAll';
-            var modeRadios = document.getElementsByName('LiveChannelMode');
-            for (var i = 0; i < modeRadios.length; i++) {
-                modeRadios[i].checked = (modeRadios[i].value === liveMode);
-            }
-            self.updateLiveChannelModeVisibility();
-
-            // Title cleaning
-            document.getElementById('chkEnableChannelNameCleaning').checked = config.EnableChannelNameCleaning !== false;
-            document.getElementById('txtChannelRemoveTerms').value = config.ChannelRemoveTerms || '';
-
-            // Channel overrides
-            document.getElementById('txtChannelOverrides').value = config.ChannelOverrides || '';
-
-            // Catch-up
-            document.getElementById('chkEnableCatchup').checked = config.EnableCatchup || false;
-            document.getElementById('txtCatchupDays').value = config.CatchupDays || 7;
+            self.savedState = self.captureConfigState();
+            self.updateDirtyState();
 
             // Update Live TV URLs
             self.updateLiveTvUrls();
@@ -366,12 +764,30 @@ const XtreamLibraryConfig = {
         this.loadDashboard();
     },
 
-    saveConfig: function () {
+    // `leaving` marks the save saveBeforeLeaving starts on the way out of the page. The edits
+    // cannot be fixed and saved again from there, so a refusal says they are lost.
+    saveConfig: function (leaving) {
         const self = this;
+        var notSaved = leaving
+            ? 'Nothing has been saved, and the changes are lost: the settings page has been left.'
+            : 'Nothing has been saved.';
 
         // Flush current UI state into providers array before saving
         self.updateActiveProviderFromUI();
 
+        // Refuse fields that updateActiveProviderFromUI and readGlobalSettingsFromUI would
+        // otherwise quietly coerce: a typo in a number becomes its default, an out-of-range value
+        // is clamped by the server, and a malformed URL only surfaces when the sync fails.
+        var fieldErrors = self.collectFieldErrors();
+        self.renderFieldErrors(fieldErrors);
+        if (fieldErrors.length > 0) {
+            Dashboard.alert(
+                'Some settings are not valid:\n\n' +
+                fieldErrors.map(function (e) { return '- ' + e.message; }).join('\n') +
+                '\n\n' + notSaved);
+            return;
+        }
+
         // Refuse a Multiple folder mode config that assigns no categories to any folder. Nothing
         // would sync, and before GitHub #78 it did the opposite and ingested the provider's whole
         // catalogue into the library root. Either way the user did not ask for it, so say so here
@@ -380,1896 +796,5933 @@ const XtreamLibraryConfig = {
         if (emptyFolderContent) {
             Dashboard.alert(
                 emptyFolderContent + ' is set to Multiple folder mode but no category is assigned ' +
-                'to any folder, so nothing would sync.\n\n' +
-                'Assign categories to your folders, or switch to Single folder mode.\n\n' +
-                'Nothing has been saved.');
+                'to any folder and no folder has a name rule, so nothing would sync.\n\n' +
+                'Assign categories or a name rule to your folders, or switch to Single folder mode.\n\n' +
+                notSaved);
             return;
         }
 
         Dashboard.showLoadingMsg();
 
-        ApiClient.getPluginConfiguration(this.pluginUniqueId).then(function (config) {
-            // Write providers array
-            config.Providers = self.providers;
+        var save = function () {
+            // Only a save that goes ahead moves the known categories on; a refused one must leave
+            // the new and gone categories of the next visit as they are.
+            self.rememberKnownCategories();
+
+            // Taken now rather than once the save resolves: an edit made while the request is in
+            // flight is not part of what gets saved, and must still count as unsaved afterwards.
+            var savingState = self.captureConfigState();
+
+            ApiClient.getPluginConfiguration(self.pluginUniqueId).then(function (config) {
+                // Write providers array
+                config.Providers = self.providers;
+
+                self.readGlobalSettingsFromUI(config);
 
-            // Global settings only
-            config.SyncIntervalMinutes = parseInt(document.getElementById('txtSyncInterval').value) || 60;
-            config.TriggerLibraryScan = document.getElementById('chkTriggerScan').checked;
-            config.EnableMetadataLookup = document.getElementById('chkEnableMetadataLookup').checked;
-            config.UseBetaChannel = document.getElementById('chkUseBetaChannel').checked;
-            config.MetadataParallelism = parseInt(document.getElementById('txtMetadataParallelism').value) || 3;
-
-            // Schedule settings
-            config.SyncScheduleType = document.getElementById('selSyncScheduleType').value;
-            config.SyncDailyHour = parseInt(document.getElementById('selSyncDailyHour').value) || 3;
-            config.SyncDailyMinute = parseInt(document.getElementById('selSyncDailyMinute').value) || 0;
-
-            // Live TV settings
-            config.EnableLiveTv = document.getElementById('chkEnableLiveTv').checked;
-            config.EnableNativeTuner = document.getElementById('chkEnableNativeTuner').checked;
-            config.EnableEpg = document.getElementById('chkEnableEpg').checked;
-            config.LiveTvOutputFormat = document.getElementById('selLiveTvOutputFormat').value;
-            config.IncludeAdultChannels = document.getElementById('chkIncludeAdultChannels').checked;
-            config.M3UCacheMinutes = parseInt(document.getElementById('txtM3UCacheMinutes').value) || 15;
-            config.EpgCacheMinutes = parseInt(document.getElementById('txtEpgCacheMinutes').value) || 30;
-            config.EpgDaysToFetch = parseInt(document.getElementById('txtEpgDaysToFetch').value) || 2;
-            config.EpgParallelism = parseInt(document.getElementById('txtEpgParallelism').value) || 5;
-            config.SelectedLiveCategoryIds = self.getLiveCategoryIdsForSave();
-            config.ExcludedLiveStreamIds = self.excludedLiveStreamIds.slice();
-
-            var checkedMode = document.querySelector('input[name="LiveChannelMode"]:checked');
-            config.LiveChannelMode = checkedMode ? checkedMode.value : 'IncludeAll';
-
-            // Title cleaning
-            config.EnableChannelNameCleaning = document.getElementById('chkEnableChannelNameCleaning').checked;
-            config.ChannelRemoveTerms = document.getElementById('txtChannelRemoveTerms').value;
-
-            // Channel overrides
-            config.ChannelOverrides = document.getElementById('txtChannelOverrides').value;
-
-            // Catch-up
-            config.EnableCatchup = document.getElementById('chkEnableCatchup').checked;
-            config.CatchupDays = parseInt(document.getElementById('txtCatchupDays').value) || 7;
-
-            ApiClient.updatePluginConfiguration(self.pluginUniqueId, config).then(function () {
+                return ApiClient.updatePluginConfiguration(self.pluginUniqueId, config);
+            }).then(function () {
+                self.savedState = savingState;
+                self.updateDirtyState();
+                // A local logo is served from the saved overrides, so its thumbnail can show now.
+                self.renderChannelOverrideGrid();
                 Dashboard.processPluginConfigurationUpdateResult();
+            }, function (error) {
+                console.error('Config save error:', error);
+                Dashboard.hideLoadingMsg();
+                Dashboard.alert('The settings could not be saved: ' + (error.message || error) + '\n\n' + notSaved);
             });
+        };
+
+        // The sync skips a regex removal pattern or a folder name rule that does not compile, so
+        // refuse it here. Only the server can tell: both are .NET regexes, and JavaScript rejects
+        // some that .NET accepts, such as a leading (?i), and accepts some it does not, such as [^].
+        // When the server cannot be asked, the user decides whether to save them unchecked.
+        Promise.all([self.findInvalidRegexPatterns(), self.findInvalidFolderRules()]).then(function (results) {
+            var sections = [];
+            if (results[0].length > 0) {
+                sections.push('Some regex removal patterns do not compile:\n\n' +
+                    results[0].map(function (problem) { return '- ' + problem; }).join('\n'));
+            }
+            if (results[1].length > 0) {
+                sections.push('Some folder name rules do not compile:\n\n' +
+                    results[1].map(function (problem) { return '- ' + problem; }).join('\n'));
+            }
+            if (sections.length > 0) {
+                Dashboard.hideLoadingMsg();
+                Dashboard.alert(sections.join('\n\n') + '\n\n' + notSaved);
+                return;
+            }
+            save();
+        }, function (error) {
+            console.error('Regex pattern check failed:', error);
+            Dashboard.hideLoadingMsg();
+            if (!confirm('The regex removal patterns and folder name rules could not be checked: ' + (error.message || error) + '\n\n' +
+                'One that does not compile is skipped by the sync. Save them unchecked?')) return;
+            Dashboard.showLoadingMsg();
+            save();
         });
     },
 
-    // Parse folder mappings string into array of folder definitions
-    parseFolderMappings: function (mappingsStr) {
-        var result = [];
-        if (!mappingsStr) return result;
+    // Writes the global (not per-provider) settings of a plugin configuration object into the UI.
+    // Shared by loadConfig and the config import, which must not reset fields its file does not carry.
+    applyGlobalSettingsToUI: function (config) {
+        // Global settings (not per-provider)
+        document.getElementById('txtSyncInterval').value = config.SyncIntervalMinutes || 60;
+        document.getElementById('chkTriggerScan').checked = config.TriggerLibraryScan === true;
+        document.getElementById('chkEnableMetadataLookup').checked = config.EnableMetadataLookup !== false;
+        document.getElementById('chkUseBetaChannel').checked = config.UseBetaChannel === true;
+        document.getElementById('txtMetadataParallelism').value = config.MetadataParallelism || 3;
+        document.getElementById('txtAccountExpiryWarningDays').value = config.AccountExpiryWarningDays != null ? config.AccountExpiryWarningDays : 7;
+
+        // Schedule settings
+        document.getElementById('selSyncScheduleType').value = config.SyncScheduleType || 'Interval';
+        document.getElementById('selSyncDailyHour').value = config.SyncDailyHour || 3;
+        document.getElementById('selSyncDailyMinute').value = config.SyncDailyMinute || 0;
+        this.updateScheduleVisibility();
+
+        // Live TV settings
+        document.getElementById('chkEnableLiveTv').checked = config.EnableLiveTv || false;
+        document.getElementById('chkEnableNativeTuner').checked = config.EnableNativeTuner || false;
+        document.getElementById('chkEnableEpg').checked = config.EnableEpg !== false;
+        document.getElementById('selLiveTvOutputFormat').value = config.LiveTvOutputFormat || 'ts';
+        document.getElementById('chkIncludeAdultChannels').checked = config.IncludeAdultChannels || false;
+        document.getElementById('txtM3UCacheMinutes').value = config.M3UCacheMinutes || 15;
+        document.getElementById('txtEpgCacheMinutes').value = config.EpgCacheMinutes || 30;
+        document.getElementById('txtEpgDaysToFetch').value = config.EpgDaysToFetch || 2;
+        document.getElementById('txtEpgParallelism').value = config.EpgParallelism || 5;
+        this.selectedLiveCategoryIds = config.SelectedLiveCategoryIds || [];
+        this.excludedLiveStreamIds = config.ExcludedLiveStreamIds || [];
+
+        // Live channel selection mode (IncludeAll | Custom | ExcludeSelected). Backend defaults to
+        // IncludeAll on fresh installs; existing configs with state are migrated to Custom on startup.
+        var liveMode = config.LiveChannelMode || 'IncludeAll';
+        var modeRadios = document.getElementsByName('LiveChannelMode');
+        for (var i = 0; i < modeRadios.length; i++) {
+            modeRadios[i].checked = (modeRadios[i].value === liveMode);
+        }
+        this.updateLiveChannelModeVisibility();
 
-        var lines = mappingsStr.split('\n');
-        for (var i = 0; i < lines.length; i++) {
-            var line = lines[i].trim();
-            if (!line) continue;
+        // A live category list drawn by an earlier load still carries the old ticks, and saveConfig
+        // reads the selection back off it (getLiveCategoryIdsForSave). Only an import gets here with
+        // one already on screen.
+        if (this.liveCategories.length > 0) {
+            this.renderCategoryList('live', this.liveCategories, this.selectedLiveCategoryIds);
+        }
 
-            var eqIdx = line.indexOf('=');
-            if (eqIdx <= 0) continue;
+        // Title cleaning
+        document.getElementById('chkEnableChannelNameCleaning').checked = config.EnableChannelNameCleaning !== false;
+        document.getElementById('txtChannelRemoveTerms').value = config.ChannelRemoveTerms || '';
 
-            var name = line.substring(0, eqIdx).trim();
-            var idsStr = line.substring(eqIdx + 1).trim();
-            var ids = [];
+        // Channel overrides
+        this.channelOverrideRows = this.parseChannelOverrideRows(config.ChannelOverrides);
+        this.renderChannelOverrideGrid();
 
-            var idParts = idsStr.split(',');
-            for (var j = 0; j < idParts.length; j++) {
-                var id = parseInt(idParts[j].trim());
-                if (!isNaN(id)) {
-                    ids.push(id);
-                }
-            }
+        // Channel numbering
+        document.getElementById('selChannelNumbering').value = config.ChannelNumbering || 'PreserveProvider';
+        document.getElementById('txtChannelNumberingStart').value = config.ChannelNumberingStart || 1;
+        this.channelNumberingStarts = this.parseChannelNumberingStarts(config.ChannelNumberingCategoryStarts);
+        this.renderChannelNumberingStarts();
+        this.updateChannelNumberingVisibility();
 
-            if (name && ids.length > 0) {
-                result.push({ name: name, categoryIds: ids });
-            }
-        }
-        return result;
+        // Catch-up
+        document.getElementById('chkEnableCatchup').checked = config.EnableCatchup || false;
+        document.getElementById('txtCatchupDays').value = config.CatchupDays || 7;
     },
 
-    // Build folder mappings string from folder definitions
-    buildFolderMappings: function (definitions) {
-        var lines = [];
-        for (var i = 0; i < definitions.length; i++) {
-            var def = definitions[i];
-            if (def.name && def.categoryIds.length > 0) {
-                lines.push(def.name + '=' + def.categoryIds.join(','));
-            }
-        }
-        return lines.join('\n');
+    // Reads the global (not per-provider) settings from the UI into a plugin configuration object.
+    // The inverse of applyGlobalSettingsToUI.
+    readGlobalSettingsFromUI: function (config) {
+        // Global settings only
+        config.SyncIntervalMinutes = parseInt(document.getElementById('txtSyncInterval').value) || 60;
+        config.TriggerLibraryScan = document.getElementById('chkTriggerScan').checked;
+        config.EnableMetadataLookup = document.getElementById('chkEnableMetadataLookup').checked;
+        config.UseBetaChannel = document.getElementById('chkUseBetaChannel').checked;
+        config.MetadataParallelism = parseInt(document.getElementById('txtMetadataParallelism').value) || 3;
+        var warningDays = parseInt(document.getElementById('txtAccountExpiryWarningDays').value);
+        config.AccountExpiryWarningDays = isNaN(warningDays) ? 7 : warningDays;
+
+        // Schedule settings
+        config.SyncScheduleType = document.getElementById('selSyncScheduleType').value;
+        config.SyncDailyHour = parseInt(document.getElementById('selSyncDailyHour').value) || 3;
+        config.SyncDailyMinute = parseInt(document.getElementById('selSyncDailyMinute').value) || 0;
+
+        // Live TV settings
+        config.EnableLiveTv = document.getElementById('chkEnableLiveTv').checked;
+        config.EnableNativeTuner = document.getElementById('chkEnableNativeTuner').checked;
+        config.EnableEpg = document.getElementById('chkEnableEpg').checked;
+        config.LiveTvOutputFormat = document.getElementById('selLiveTvOutputFormat').value;
+        config.IncludeAdultChannels = document.getElementById('chkIncludeAdultChannels').checked;
+        config.M3UCacheMinutes = parseInt(document.getElementById('txtM3UCacheMinutes').value) || 15;
+        config.EpgCacheMinutes = parseInt(document.getElementById('txtEpgCacheMinutes').value) || 30;
+        config.EpgDaysToFetch = parseInt(document.getElementById('txtEpgDaysToFetch').value) || 2;
+        config.EpgParallelism = parseInt(document.getElementById('txtEpgParallelism').value) || 5;
+        config.SelectedLiveCategoryIds = this.getLiveCategoryIdsForSave();
+        config.ExcludedLiveStreamIds = this.excludedLiveStreamIds.slice();
+
+        var checkedMode = document.querySelector('input[name="LiveChannelMode"]:checked');
+        config.LiveChannelMode = checkedMode ? checkedMode.value : 'IncludeAll';
+
+        // Title cleaning
+        config.EnableChannelNameCleaning = document.getElementById('chkEnableChannelNameCleaning').checked;
+        config.ChannelRemoveTerms = document.getElementById('txtChannelRemoveTerms').value;
+
+        // Channel overrides
+        config.ChannelOverrides = this.buildChannelOverrides(this.channelOverrideRows);
+
+        // Channel numbering
+        config.ChannelNumbering = document.getElementById('selChannelNumbering').value;
+        config.ChannelNumberingStart = parseInt(document.getElementById('txtChannelNumberingStart').value) || 1;
+        config.ChannelNumberingCategoryStarts = this.buildChannelNumberingStarts(this.channelNumberingStarts);
+
+        // Catch-up
+        config.EnableCatchup = document.getElementById('chkEnableCatchup').checked;
+        config.CatchupDays = parseInt(document.getElementById('txtCatchupDays').value) || 7;
     },
 
-    // Returns a "<Provider> / <Content>" label for the first provider whose Multiple folder mode
-    // configuration assigns no categories at all, or null when every provider is fine. Reads the
-    // mappings rather than Selected*CategoryIds because the mappings are what the sync now filters
-    // on (GitHub #78). Every provider is checked, not just the active one: switching providers
-    // flushes the outgoing one into this.providers, so a broken config can be sitting there
-    // unsaved while a different provider is on screen.
-    // Call only after updateActiveProviderFromUI, so this sees what would actually be persisted.
-    findEmptyFolderModeContent: function () {
-        for (var i = 0; i < this.providers.length; i++) {
-            var p = this.providers[i];
-            if (!p) {
-                continue;
-            }
-            var label = p.Name || ('Provider ' + (i + 1));
+    // ----- Config export / import -----
 
-            // Only complain about content the provider actually syncs. Without the Sync* check,
-            // someone who turns Movies off while its folder mode happens to be Multiple would be
-            // blocked out of saving anything at all, with no way through but changing a setting
-            // that no longer matters. Compared against false, not truthiness, because a provider
-            // object written by an older UI may not carry the field.
-            if (p.SyncMovies !== false && p.MovieFolderMode === 'Multiple' && !p.MovieFolderMappings) {
-                return label + ' / Movies';
-            }
-            if (p.SyncSeries !== false && p.SeriesFolderMode === 'Multiple' && !p.SeriesFolderMappings) {
-                return label + ' / Series';
+    /**
+     * Builds the versioned export bundle from a plugin configuration object. credentialMode is
+     * 'include', 'mask' (passwords become credentialMask, resolved against the importing server)
+     * or 'strip' (credentials are left out, so the importer has to type them in again).
+     */
+    buildConfigBundle: function (config, credentialMode) {
+        const self = this;
+        const bundle = {
+            Format: self.configBundleFormat,
+            Version: self.configBundleVersion,
+            ExportedAt: new Date().toISOString(),
+            Credentials: credentialMode,
+            Providers: (config.Providers || []).map(function (provider) {
+                const copy = JSON.parse(JSON.stringify(provider));
+                self.bundleCredentialFields.forEach(function (field) {
+                    if (credentialMode === 'strip') {
+                        delete copy[field];
+                    } else if (credentialMode === 'mask' && copy[field] && self.bundleMaskedFields.indexOf(field) !== -1) {
+                        copy[field] = self.credentialMask;
+                    }
+                });
+                return copy;
+            }),
+            Settings: {}
+        };
+        Object.keys(self.bundleSettingDefaults).forEach(function (field) {
+            if (config[field] !== undefined) {
+                bundle.Settings[field] = JSON.parse(JSON.stringify(config[field]));
             }
-        }
-        return null;
+        });
+        return bundle;
     },
 
-    // Get all category IDs from folder definitions
-    getAllCategoryIdsFromFolders: function (type) {
-        var definitions = type === 'vod' ? this.vodFolderDefinitions : this.seriesFolderDefinitions;
-        var allIds = [];
-        for (var i = 0; i < definitions.length; i++) {
-            for (var j = 0; j < definitions[i].categoryIds.length; j++) {
-                var id = definitions[i].categoryIds[j];
-                if (allIds.indexOf(id) === -1) {
-                    allIds.push(id);
-                }
-            }
-        }
-        return allIds;
+    // The JSON type name validateConfigBundle compares on, so a list is not mistaken for an object.
+    bundleValueType: function (value) {
+        if (Array.isArray(value)) return 'list';
+        if (value === null) return 'null';
+        return typeof value;
     },
 
-    // Update folder definitions from UI checkboxes
-    updateFolderDefinitionsFromUI: function (type) {
-        var definitions = type === 'vod' ? this.vodFolderDefinitions : this.seriesFolderDefinitions;
-        var listId = type === 'vod' ? 'vodFolderList' : 'seriesFolderList';
-        var container = document.getElementById(listId);
-        if (!container) {
-            return;
+    /**
+     * Returns a list of human-readable problems with an imported bundle, empty when it can be
+     * applied. Field types are checked against makeDefaultProvider and bundleSettingDefaults;
+     * fields neither knows about are passed through untouched, as the server ignores them.
+     */
+    validateConfigBundle: function (bundle) {
+        const self = this;
+        const errors = [];
+        if (!bundle || self.bundleValueType(bundle) !== 'object' || bundle.Format !== self.configBundleFormat) {
+            return ['This file is not an Xtream Library configuration export.'];
+        }
+        if (typeof bundle.Version !== 'number' || bundle.Version % 1 !== 0 || bundle.Version < 1) {
+            return ['The export has no valid format version.'];
+        }
+        if (bundle.Version > self.configBundleVersion) {
+            return ['The export was made by a newer version of the plugin (format ' + bundle.Version
+                + '). Update the plugin on this server first.'];
         }
-        var folderItems = container.querySelectorAll('.folder-item');
 
-        // renderFolderList short-circuits to a "Load categories first" placeholder when the
-        // category fetch has not resolved (or failed), so an empty node list here means the folder
-        // UI was never drawn - not that the user removed every folder. Clearing the definitions in
-        // that case silently destroys a saved folder configuration and drops the provider into
-        // "no categories assigned", which is the state that used to sync the whole catalogue into
-        // the library root (GitHub #78).
-        if (folderItems.length === 0 && definitions.length > 0) {
-            return;
+        if (!Array.isArray(bundle.Providers) || bundle.Providers.length === 0) {
+            errors.push('The export contains no providers.');
+        } else {
+            const defaults = self.makeDefaultProvider(0);
+            bundle.Providers.forEach(function (provider, index) {
+                const label = 'Provider ' + (index + 1);
+                if (self.bundleValueType(provider) !== 'object') {
+                    errors.push(label + ' is not a provider entry.');
+                    return;
+                }
+                Object.keys(defaults).forEach(function (field) {
+                    if (provider[field] === undefined) return;
+                    const expected = self.bundleValueType(defaults[field]);
+                    const actual = self.bundleValueType(provider[field]);
+                    if (expected !== actual) {
+                        errors.push(label + ': ' + field + ' should be a ' + expected + ', not a ' + actual + '.');
+                    }
+                });
+                ['MovieFolderMode', 'SeriesFolderMode'].forEach(function (field) {
+                    if (provider[field] !== undefined && provider[field] !== 'Single' && provider[field] !== 'Multiple') {
+                        errors.push(label + ': ' + field + ' must be Single or Multiple.');
+                    }
+                });
+            });
         }
 
-        definitions.length = 0; // Clear array
+        if (bundle.Settings !== undefined) {
+            if (self.bundleValueType(bundle.Settings) !== 'object') {
+                errors.push('Settings is not a settings block.');
+            } else {
+                Object.keys(self.bundleSettingDefaults).forEach(function (field) {
+                    const value = bundle.Settings[field];
+                    if (value === undefined) return;
+                    const expected = self.bundleValueType(self.bundleSettingDefaults[field]);
+                    if (self.bundleValueType(value) !== expected) {
+                        errors.push('Settings: ' + field + ' should be a ' + expected + '.');
+                    }
+                });
+                const mode = bundle.Settings.LiveChannelMode;
+                if (mode !== undefined && ['IncludeAll', 'Custom', 'ExcludeSelected'].indexOf(mode) === -1) {
+                    errors.push('Settings: LiveChannelMode must be IncludeAll, Custom or ExcludeSelected.');
+                }
+                const schedule = bundle.Settings.SyncScheduleType;
+                if (schedule !== undefined && schedule !== 'Interval' && schedule !== 'Daily') {
+                    errors.push('Settings: SyncScheduleType must be Interval or Daily.');
+                }
+            }
+        }
 
-        folderItems.forEach(function (item, index) {
-            var nameInput = item.querySelector('.folder-name-input');
-            var checkboxes = item.querySelectorAll('input[type="checkbox"]:checked');
-            var categoryIds = [];
+        return errors;
+    },
 
-            checkboxes.forEach(function (cb) {
-                categoryIds.push(parseInt(cb.getAttribute('data-category-id')));
+    /**
+     * Turns the providers of a validated bundle into full provider objects for this server.
+     * Masked credentials are taken from the current provider with the same BaseUrl and Username,
+     * since that is the one account they can have come from. Files from before usernames were kept
+     * mask those too; they resolve only when a single provider here uses that BaseUrl, as two
+     * accounts on one server cannot be told apart. The labels of providers where no match exists
+     * are returned in `unresolved` so the user is told their credentials came in blank.
+     */
+    resolveBundleProviders: function (bundle, currentProviders) {
+        const self = this;
+        const unresolved = [];
+        const providers = bundle.Providers.map(function (imported, index) {
+            const provider = Object.assign(self.makeDefaultProvider(index), JSON.parse(JSON.stringify(imported)));
+            const sameServer = (currentProviders || []).filter(function (current) {
+                return current && current.BaseUrl && current.BaseUrl === provider.BaseUrl;
+            });
+            const match = provider.Username === self.credentialMask
+                ? (sameServer.length === 1 ? sameServer[0] : null)
+                : sameServer.filter(function (current) { return current.Username === provider.Username; })[0];
+            let missing = false;
+            self.bundleCredentialFields.forEach(function (field) {
+                if (provider[field] !== self.credentialMask) return;
+                if (match && match[field]) {
+                    provider[field] = match[field];
+                } else {
+                    provider[field] = '';
+                    missing = true;
+                }
             });
+            if (missing) {
+                unresolved.push(provider.Name || ('Provider ' + (index + 1)));
+            }
+            return provider;
+        });
+        return { providers: providers, unresolved: unresolved };
+    },
 
-            if (nameInput && nameInput.value.trim()) {
-                definitions.push({
-                    name: nameInput.value.trim(),
-                    categoryIds: categoryIds
+    /**
+     * Lists what applying an import would change, as { path, before, after } entries with values
+     * rendered as JSON. Both arguments are bundle-shaped ({ Providers, Settings }). Credentials are
+     * reported as changed or not, never shown.
+     */
+    diffConfigBundle: function (current, incoming) {
+        const self = this;
+        const flatten = function (bundle) {
+            const flat = {};
+            (bundle.Providers || []).forEach(function (provider, index) {
+                Object.keys(provider).forEach(function (field) {
+                    flat['Provider ' + (index + 1) + ' / ' + field] = { field: field, value: provider[field] };
                 });
+            });
+            Object.keys(bundle.Settings || {}).forEach(function (field) {
+                flat['Settings / ' + field] = { field: field, value: bundle.Settings[field] };
+            });
+            return flat;
+        };
+        const show = function (entry) {
+            if (!entry) return '(none)';
+            if (self.bundleCredentialFields.indexOf(entry.field) !== -1) {
+                return entry.value ? '(set)' : '(empty)';
             }
+            return JSON.stringify(entry.value);
+        };
+
+        const before = flatten(current);
+        const after = flatten(incoming);
+        const paths = Object.keys(before);
+        Object.keys(after).forEach(function (path) {
+            if (paths.indexOf(path) === -1) paths.push(path);
         });
-    },
 
-    // Update visibility based on folder mode.
-    //
-    // fromModeSwitch marks the two folder-mode dropdowns as the caller. Only then may the flat
-    // category list be seeded from the folder assignments - see the Single branch below.
-    updateFolderModeVisibility: function (type, fromModeSwitch) {
-        var modeSelect = document.getElementById(type === 'vod' ? 'selMovieFolderMode' : 'selSeriesFolderMode');
-        var categoriesModeSection = document.getElementById(type === 'vod' ? 'movieCategoriesModeContainer' : 'seriesCategoriesModeContainer');
-        var singleSection = document.getElementById(type === 'vod' ? 'vodSingleFolderSection' : 'seriesSingleFolderSection');
-        var multiSection = document.getElementById(type === 'vod' ? 'vodMultiFolderSection' : 'seriesMultiFolderSection');
+        const changes = [];
+        paths.forEach(function (path) {
+            const a = before[path];
+            const b = after[path];
+            if (a && b && JSON.stringify(a.value) === JSON.stringify(b.value)) return;
+            // A field the import does not carry keeps its current value (see applyImportedConfig).
+            if (!b && path.indexOf('Settings / ') === 0) return;
+            const entry = b || a;
+            changes.push({ path: path, before: show(a), after: show(b), credential: self.bundleCredentialFields.indexOf(entry.field) !== -1 });
+        });
+        return changes;
+    },
 
-        var mode = modeSelect.value;
+    // The configuration as it stands in the UI right now, saved or not.
+    getEffectiveConfig: function () {
+        const self = this;
+        self.updateActiveProviderFromUI();
+        return ApiClient.getPluginConfiguration(self.pluginUniqueId).then(function (config) {
+            config.Providers = self.providers;
+            self.readGlobalSettingsFromUI(config);
+            return config;
+        });
+    },
 
-        if (mode === 'Multiple') {
-            singleSection.style.display = 'none';
-            categoriesModeSection.style.display = 'none';
-            multiSection.style.display = 'block';
-            this.renderFolderList(type);
-        } else {
-            singleSection.style.display = 'block';
-            categoriesModeSection.style.display = 'block';
-            multiSection.style.display = 'none';
-
-            // Multiple folder mode never renders this list, so arriving here from it leaves an
-            // empty container. Saving an empty container writes "no categories selected", which
-            // means sync everything - the same failure as GitHub #78, hit while the user is
-            // narrowing their config. Mirror what the Multiple branch above does.
-            var selected = type === 'vod' ? this.selectedVodCategoryIds : this.selectedSeriesCategoryIds;
+    exportConfig: function () {
+        const self = this;
+        const statusSpan = document.getElementById('configTransferStatus');
+        const credentialMode = document.getElementById('selExportCredentials').value;
+
+        self.getEffectiveConfig().then(function (config) {
+            const bundle = self.buildConfigBundle(config, credentialMode);
+            const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = 'xtream-library-config-' + bundle.ExportedAt.substring(0, 10) + '.json';
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+            statusSpan.innerHTML = '<span style="color: green;">Exported ' + bundle.Providers.length + ' provider(s).</span>';
+        }).catch(function (error) {
+            console.error('Config export error:', error);
+            statusSpan.innerHTML = '<span style="color: red;">Export failed: ' + (error.message || 'Check console for details') + '</span>';
+        });
+    },
 
-            // In Multiple folder mode the user's category choices live in the folder assignments,
-            // not in this flat list, and any config last saved before the #78 fix carries an empty
-            // SelectedVodCategoryIds. Seeding the repaint from that field alone paints every box
-            // unticked over a real selection, and the save that follows means "sync everything"
-            // (GitHub #81).
-            //
-            // Gated on an actual mode switch: loadProviderIntoUI also calls this, before the folder
-            // UI has been drawn and with the render discarded a few lines later, so seeding there
-            // would only mutate state nobody asked to change.
-            //
-            // Not an emby-checkbox problem, whatever the issue says. Measured against the real
-            // component on 10.11, the checked attribute and property both survive insertion on
-            // every path, including from inside a change dispatch.
-            if (fromModeSwitch && (!selected || selected.length === 0)) {
-                this.updateFolderDefinitionsFromUI(type);
-                var fromFolders = this.getAllCategoryIdsFromFolders(type);
-                if (fromFolders.length > 0) {
-                    selected = fromFolders;
-                    if (type === 'vod') {
-                        this.selectedVodCategoryIds = fromFolders;
-                    } else {
-                        this.selectedSeriesCategoryIds = fromFolders;
-                    }
-                }
+    importConfigFile: function (file) {
+        const self = this;
+        const statusSpan = document.getElementById('configTransferStatus');
+        self.cancelImport();
+        if (!file) return;
+
+        file.text().then(function (text) {
+            let bundle;
+            try {
+                bundle = JSON.parse(text);
+            } catch (e) {
+                statusSpan.innerHTML = '<span style="color: red;">Not a valid JSON file.</span>';
+                return null;
             }
 
-            this.renderCategoryList(
-                type,
-                type === 'vod' ? this.vodCategories : this.seriesCategories,
-                selected);
-        }
-    },
+            const errors = self.validateConfigBundle(bundle);
+            if (errors.length > 0) {
+                statusSpan.innerHTML = '<span style="color: red;">Import refused:</span><ul style="margin: 4px 0;">'
+                    + errors.map(function (e) { return '<li>' + self.escapeHtml(e) + '</li>'; }).join('') + '</ul>';
+                return null;
+            }
 
-    // Add a new folder definition
-    addFolder: function (type) {
-        var definitions = type === 'vod' ? this.vodFolderDefinitions : this.seriesFolderDefinitions;
-        definitions.push({ name: '', categoryIds: [] });
-        this.renderFolderList(type);
-    },
+            return self.getEffectiveConfig().then(function (config) {
+                const resolved = self.resolveBundleProviders(bundle, self.providers);
+                const settings = {};
+                Object.keys(self.bundleSettingDefaults).forEach(function (field) {
+                    if (bundle.Settings && bundle.Settings[field] !== undefined) {
+                        settings[field] = bundle.Settings[field];
+                    }
+                });
+                self.pendingImport = { base: config, providers: resolved.providers, settings: settings };
 
-    // Remove a folder definition
-    removeFolder: function (type, index) {
-        var definitions = type === 'vod' ? this.vodFolderDefinitions : this.seriesFolderDefinitions;
-        definitions.splice(index, 1);
-        this.renderFolderList(type);
+                const changes = self.diffConfigBundle(
+                    self.buildConfigBundle(config, 'include'),
+                    { Providers: resolved.providers, Settings: settings });
+                statusSpan.innerHTML = '';
+                self.renderImportPreview(changes, resolved.unresolved);
+            });
+        }).catch(function (error) {
+            console.error('Config import error:', error);
+            statusSpan.innerHTML = '<span style="color: red;">Import failed: ' + (error.message || 'Check console for details') + '</span>';
+        });
     },
 
-    // Render the folder list for multi-folder mode
-    renderFolderList: function (type) {
-        var definitions = type === 'vod' ? this.vodFolderDefinitions : this.seriesFolderDefinitions;
-        var categories = type === 'vod' ? this.vodCategories : this.seriesCategories;
-        var listId = type === 'vod' ? 'vodFolderList' : 'seriesFolderList';
-        var container = document.getElementById(listId);
+    renderImportPreview: function (changes, unresolved) {
+        const self = this;
+        const container = document.getElementById('configImportPreview');
+        if (!container) return;
 
-        if (categories.length === 0) {
-            container.innerHTML = '<div class="fieldDescription">Load categories first to configure folders.</div>';
-            return;
+        let html = '<div class="sync-warning-panel">';
+        html += '<div class="sync-warning-title">Review import: ' + changes.length + ' change' + (changes.length === 1 ? '' : 's') + '</div>';
+        if (unresolved.length > 0) {
+            html += '<div class="sync-warning-detail">Masked credentials could not be matched to a provider on this server and will be blank for: '
+                + unresolved.map(function (name) { return self.escapeHtml(name); }).join(', ') + '.</div>';
+        }
+        if (changes.length === 0) {
+            html += '<div class="sync-warning-detail">The file matches the current configuration.</div>';
+        } else {
+            html += '<div style="max-height: 300px; overflow-y: auto; margin-top: 8px;">';
+            html += '<table class="dashboard-history-table"><thead><tr><th>Setting</th><th>Current</th><th>Imported</th></tr></thead><tbody>';
+            changes.forEach(function (change) {
+                html += '<tr><td>' + self.escapeHtml(change.path) + '</td>';
+                html += '<td style="color: #e0c882; word-break: break-all;">' + self.escapeHtml(change.before) + '</td>';
+                html += '<td style="color: #82e0aa; word-break: break-all;">' + self.escapeHtml(change.after) + '</td></tr>';
+            });
+            html += '</tbody></table></div>';
         }
+        html += '<div style="margin-top: 10px;">';
+        html += '<button is="emby-button" type="button" class="raised button-submit" onclick="XtreamLibraryConfig.applyImportedConfig()"><span>Apply and Save</span></button>';
+        html += '<button is="emby-button" type="button" class="raised" style="margin-left: 10px;" onclick="XtreamLibraryConfig.cancelImport()"><span>Cancel</span></button>';
+        html += '</div></div>';
 
-        var html = '';
-        var self = this;
+        container.innerHTML = html;
+    },
 
-        definitions.forEach(function (folder, folderIndex) {
-            html += '<div class="folder-item" data-folder-index="' + folderIndex + '">';
-            html += '<div class="folder-item-header">';
-            html += '<input type="text" class="folder-name-input" placeholder="Folder name (e.g., Kids)" value="' + self.escapeHtml(folder.name) + '" style="padding: 8px; border-radius: 4px; border: 1px solid rgba(255,255,255,0.2); background: rgba(0,0,0,0.3); color: #fff;"/>';
-            html += '<button type="button" class="raised" onclick="XtreamLibraryConfig.removeFolder(\'' + type + '\', ' + folderIndex + ')" style="background: #c0392b; padding: 8px 12px; border: none; border-radius: 4px; color: #fff; cursor: pointer;">Remove</button>';
-            html += '</div>';
-            html += '<div class="category-list">';
-
-            categories.forEach(function (category, catIndex) {
-                var isChecked = folder.categoryIds.indexOf(category.CategoryId) !== -1 ? 'checked' : '';
-                var checkboxId = type + '_folder' + folderIndex + '_cat' + category.CategoryId;
-                html += '<div class="checkboxContainer">';
-                html += '<label class="emby-checkbox-label">';
-                html += '<input type="checkbox" id="' + checkboxId + '" ';
-                html += 'data-category-id="' + category.CategoryId + '" ';
-                html += 'data-folder-index="' + folderIndex + '" ';
-                html += 'data-category-index="' + catIndex + '" ' + isChecked + '/>';
-                html += '<span>' + self.escapeHtml(category.CategoryName) + ' <small style="opacity:0.5;">(ID: ' + category.CategoryId + ')</small></span>';
-                html += '</label>';
-                html += '</div>';
-            });
+    cancelImport: function () {
+        this.pendingImport = null;
+        const container = document.getElementById('configImportPreview');
+        if (container) container.innerHTML = '';
+        const fileInput = document.getElementById('fileConfigImport');
+        if (fileInput) fileInput.value = '';
+    },
 
-            html += '</div>';
-            html += '</div>';
-        });
+    // Loads the confirmed import into the UI and saves it through the normal saveConfig path, so
+    // the same guards apply to an imported configuration as to a hand-edited one.
+    applyImportedConfig: function () {
+        const pending = this.pendingImport;
+        if (!pending) return;
+
+        this.providers = pending.providers;
+        this.loadProviderIntoUI(0);
+        this.renderProviderSelector();
+        this.applyGlobalSettingsToUI(Object.assign({}, pending.base, pending.settings));
+        this.cancelImport();
+        this.saveConfig();
+    },
 
-        if (definitions.length === 0) {
-            html += '<div class="fieldDescription">No folders defined. Click "Add Folder" to create one.</div>';
-        }
+    // ----- Field validation -----
 
-        container.innerHTML = html;
+    /**
+     * Checks one raw field value against its rule from fieldValidationRules. Returns the error
+     * message, or null when the value is fine.
+     */
+    validateFieldValue: function (rule, raw) {
+        var value = String(raw == null ? '' : raw).trim();
 
-        // Add shift+click support for each folder's category list
-        definitions.forEach(function (folder, folderIndex) {
-            var folderItem = container.querySelector('.folder-item[data-folder-index="' + folderIndex + '"]');
-            if (folderItem) {
-                var checkboxes = folderItem.querySelectorAll('input[type="checkbox"]');
-                var lastClickedIdx = null;
-
-                checkboxes.forEach(function (checkbox) {
-                    checkbox.addEventListener('click', function (e) {
-                        var currentIdx = parseInt(checkbox.getAttribute('data-category-index'));
-                        if (e.shiftKey && lastClickedIdx !== null && lastClickedIdx !== currentIdx) {
-                            var start = Math.min(lastClickedIdx, currentIdx);
-                            var end = Math.max(lastClickedIdx, currentIdx);
-                            var newState = checkbox.checked;
-                            for (var i = start; i <= end; i++) {
-                                checkboxes[i].checked = newState;
-                            }
-                        }
-                        lastClickedIdx = currentIdx;
-                    });
-                });
+        if (rule.kind === 'int') {
+            if (!/^-?\d+$/.test(value) || parseInt(value, 10) < rule.min || parseInt(value, 10) > rule.max) {
+                return rule.label + ' must be a whole number from ' + rule.min + ' to ' + rule.max + '.';
             }
-        });
-    },
+            return null;
+        }
 
-    testConnection: function () {
-        const statusSpan = document.getElementById('connectionStatus');
-        statusSpan.innerHTML = '<span style="color: orange;">Testing...</span>';
+        if (!value) {
+            return rule.required ? rule.label + ' is required.' : null;
+        }
 
-        const baseUrl = document.getElementById('txtBaseUrl').value.trim().replace(/\/$/, '');
+        if (rule.kind === 'url') {
+            var url = null;
+            try {
+                url = new URL(value);
+            } catch (e) {
+                // Reported below
+            }
+            if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:') || !url.hostname) {
+                return rule.label + ' must be a full http:// or https:// address, e.g. http://provider.com:8000.';
+            }
+            return null;
+        }
 
-        // Validate URL format
-        try {
-            new URL(baseUrl);
-        } catch (e) {
-            statusSpan.innerHTML = '<span style="color: red;">Invalid URL format. Must include protocol (http:// or https://)</span>';
-            return;
+        if (rule.kind === 'path') {
+            // POSIX, Windows drive or UNC. Relative paths resolve against Jellyfin's working
+            // directory, which is rarely where anyone expects the STRM files to land.
+            if (!/^(\/|[A-Za-z]:[\\/]|\\\\)/.test(value)) {
+                return rule.label + ' must be an absolute path, e.g. /config/xtream-library.';
+            }
+            return null;
         }
 
-        const credentials = {
-            BaseUrl: baseUrl,
-            Username: document.getElementById('txtUsername').value.trim(),
-            Password: document.getElementById('txtPassword').value
-        };
+        return null;
+    },
 
-        fetch(ApiClient.getUrl('XtreamLibrary/TestConnection'), {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
-            },
-            body: JSON.stringify(credentials)
-        }).then(function (response) {
-            return response.json();
-        }).then(function (data) {
-            if (data.Success) {
-                statusSpan.innerHTML = '<span style="color: green;">' + data.Message + '</span>';
+    // Library paths compared the way PluginConfiguration.Validate does (case-insensitive), and
+    // additionally ignoring a trailing separator, which names the same directory.
+    normalizeLibraryPath: function (path) {
+        return String(path || '').trim().replace(/[\\/]+$/, '').toLowerCase();
+    },
+
+    /**
+     * Returns the provider indexes that share their library path with an earlier provider, as
+     * { index, firstIndex } pairs. Two providers in one folder delete each other's files as
+     * orphans on every sync.
+     */
+    findDuplicateLibraryPaths: function (paths) {
+        var self = this;
+        var seen = {};
+        var duplicates = [];
+        paths.forEach(function (path, index) {
+            var key = self.normalizeLibraryPath(path);
+            if (!key) return;
+            if (Object.prototype.hasOwnProperty.call(seen, key)) {
+                duplicates.push({ index: index, firstIndex: seen[key] });
             } else {
-                statusSpan.innerHTML = '<span style="color: red;">' + data.Message + '</span>';
+                seen[key] = index;
             }
-        }).catch(function (error) {
-            console.error('TestConnection error:', error);
-            statusSpan.innerHTML = '<span style="color: red;">Connection failed: ' + (error.message || 'Check console for details') + '</span>';
         });
+        return duplicates;
     },
 
-    progressInterval: null,
-    isSyncing: false,
-
-    runSync: function () {
-        const statusSpan = document.getElementById('syncStatus');
-        const syncBtn = document.getElementById('btnManualSync');
-        const self = this;
-
-        self.isSyncing = true;
-        syncBtn.querySelector('span').textContent = 'Cancel Sync';
-        syncBtn.style.background = '#c0392b';
+    /**
+     * Validates every field in fieldValidationRules: the global fields and the on-screen provider
+     * from their inputs, every other provider from what is stored for it. Returns a list of
+     * { id, scope, message }, where id is the input to mark, or null for a provider that is not
+     * on screen. Duplicate library paths are also flagged crossProvider.
+     */
+    collectFieldErrors: function () {
+        var self = this;
+        var errors = [];
+        var providerLabel = function (index) {
+            var p = self.providers[index];
+            return '"' + ((p && p.Name) || ('Provider ' + (index + 1))) + '"';
+        };
 
-        // Start sync in background
-        fetch(ApiClient.getUrl('XtreamLibrary/Sync'), {
-            method: 'POST',
-            headers: {
-                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
+        self.fieldValidationRules.forEach(function (rule) {
+            var input = document.getElementById(rule.id);
+            if (!input) return;
+            if (rule.onlyIf) {
+                var gate = document.getElementById(rule.onlyIf.id);
+                if (gate && gate.value !== rule.onlyIf.value) return;
             }
-        }).then(function (response) {
-            return response.json();
-        }).then(function (data) {
-            if (data.Success) {
-                // Sync started successfully, begin polling for progress and completion
-                statusSpan.innerHTML = '<span style="color: orange;">Sync started...</span>';
-                self.startProgressPolling();
-                self.pollForCompletion();
-            } else if (data.Message && data.Message.includes('already in progress')) {
-                // Sync already running, just start polling
-                statusSpan.innerHTML = '<span style="color: orange;">Sync already in progress...</span>';
-                self.startProgressPolling();
-                self.pollForCompletion();
-            } else {
-                self.resetSyncButton();
-                statusSpan.innerHTML = '<span style="color: red;">Failed to start sync: ' + (data.Message || 'Unknown error') + '</span>';
+            var message = self.validateFieldValue(rule, input.value);
+            if (message) {
+                errors.push({ id: rule.id, scope: rule.scope, message: message });
             }
-        }).catch(function (error) {
-            self.resetSyncButton();
-            console.error('Sync error:', error);
-            statusSpan.innerHTML = '<span style="color: red;">Sync failed: ' + (error.message || 'Check console for details') + '</span>';
         });
-    },
 
-    pollForCompletion: function () {
-        const self = this;
-        const statusSpan = document.getElementById('syncStatus');
+        // A backup ends up in the stream URLs just as the Base URL does. Blank rows are dropped on
+        // save, so only what was typed is checked.
+        var backupUrlError = function (url, i) {
+            return self.validateFieldValue({ label: 'Backup URL ' + (i + 1), kind: 'url' }, url);
+        };
+        self.backupBaseUrls.forEach(function (url, i) {
+            var message = backupUrlError(url, i);
+            if (message) {
+                errors.push({ id: 'txtBackupBaseUrl' + i, scope: 'provider', message: message });
+            }
+        });
 
-        self.completionInterval = setInterval(function () {
-            fetch(ApiClient.getUrl('XtreamLibrary/Progress'), {
-                method: 'GET',
-                headers: {
-                    'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
+        var libraryPaths = [];
+        self.providers.forEach(function (p, index) {
+            if (index === self.activeProviderIndex) {
+                var libraryPathInput = document.getElementById('txtLibraryPath');
+                libraryPaths.push(libraryPathInput ? libraryPathInput.value : p.LibraryPath);
+                return;
+            }
+            libraryPaths.push(p.LibraryPath);
+            self.fieldValidationRules.forEach(function (rule) {
+                if (rule.scope !== 'provider' || p[rule.key] === undefined || p[rule.key] === null) return;
+                var raw = rule.percent ? Math.round(p[rule.key] * 100) : p[rule.key];
+                var message = self.validateFieldValue(rule, raw);
+                if (message) {
+                    errors.push({ id: null, scope: 'provider', message: providerLabel(index) + ': ' + message });
                 }
-            }).then(function (r) {
-                return r.ok ? r.json() : null;
-            }).then(function (progress) {
-                if (!progress || !progress.IsRunning) {
-                    // Sync finished, stop polling and fetch final status
-                    self.stopCompletionPolling();
-                    self.stopProgressPolling();
-                    self.resetSyncButton();
-                    self.loadSyncStatus();
-                    // Check if it was success or failure
-                    fetch(ApiClient.getUrl('XtreamLibrary/Status'), {
-                        method: 'GET',
-                        headers: {
-                            'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
-                        }
-                    }).then(function (r) {
-                        return r.ok ? r.json() : null;
-                    }).then(function (result) {
-                        if (result) {
-                            var skipped = self.orphanSkipSummary(result);
-                            if (result.Success && skipped) {
-                                // The one moment the user is definitely looking at the page, so
-                                // a blocked cleanup must not read as an unqualified success.
-                                statusSpan.innerHTML = '<span style="color: #e0c882;">Sync completed, but cleanup of '
-                                    + skipped.total.toLocaleString() + ' orphaned files was skipped - see Last Sync below.</span>';
-                            } else if (result.Success) {
-                                statusSpan.innerHTML = '<span style="color: green;">Sync completed!</span>';
-                            } else if (result.Error && result.Error.toLowerCase().includes('cancel')) {
-                                statusSpan.innerHTML = '<span style="color: orange;">Sync was cancelled.</span>';
-                            } else {
-                                statusSpan.innerHTML = '<span style="color: red;">Sync failed: ' + (result.Error || 'Unknown error') + '</span>';
-                            }
-                        }
-                    });
+            });
+            (p.BackupBaseUrls || []).forEach(function (url, i) {
+                var message = backupUrlError(url, i);
+                if (message) {
+                    errors.push({ id: null, scope: 'provider', message: providerLabel(index) + ': ' + message });
                 }
-            }).catch(function () {});
-        }, 1000);
-    },
+            });
+        });
 
-    stopCompletionPolling: function () {
-        if (this.completionInterval) {
-            clearInterval(this.completionInterval);
-            this.completionInterval = null;
-        }
-    },
+        self.findInvalidChannelOverrides().forEach(function (problem) {
+            errors.push({ id: null, scope: 'global', message: problem });
+        });
 
-    cancelSync: function () {
-        const statusSpan = document.getElementById('syncStatus');
-        statusSpan.innerHTML = '<span style="color: orange;">Cancelling sync...</span>';
+        self.findInvalidChannelNumberingStarts().forEach(function (problem) {
+            errors.push({ id: null, scope: 'global', message: problem });
+        });
 
-        fetch(ApiClient.getUrl('XtreamLibrary/Cancel'), {
-            method: 'POST',
-            headers: {
-                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
-            }
-        }).then(function (response) {
-            return response.json();
-        }).catch(function (error) {
-            console.error('Cancel error:', error);
+        self.findDuplicateLibraryPaths(libraryPaths).forEach(function (dup) {
+            var onScreen = dup.index === self.activeProviderIndex || dup.firstIndex === self.activeProviderIndex;
+            errors.push({
+                id: onScreen ? 'txtLibraryPath' : null,
+                scope: 'provider',
+                crossProvider: true,
+                message: providerLabel(dup.index) + ' uses the same Library Path as ' + providerLabel(dup.firstIndex)
+                    + '. Each provider needs its own folder, or their syncs delete each other\'s files.'
+            });
         });
-    },
 
-    resetSyncButton: function () {
-        const syncBtn = document.getElementById('btnManualSync');
-        this.isSyncing = false;
-        syncBtn.querySelector('span').textContent = 'Run Sync Now';
-        syncBtn.style.background = '';
+        return errors;
     },
 
-    startProgressPolling: function () {
-        const self = this;
-        const statusSpan = document.getElementById('syncStatus');
-        statusSpan.innerHTML = '<span style="color: orange;">Starting sync...</span>';
+    // Shows each error under its input, replacing whatever an earlier check left there.
+    renderFieldErrors: function (errors) {
+        document.querySelectorAll('.field-validation-error').forEach(function (el) {
+            el.parentNode.removeChild(el);
+        });
+        this.fieldErrorsShown = errors.length > 0;
+
+        errors.forEach(function (error) {
+            var input = error.id ? document.getElementById(error.id) : null;
+            if (!input || !input.parentNode) return;
+            var div = document.createElement('div');
+            div.className = 'field-validation-error';
+            div.textContent = error.message;
+            input.parentNode.insertBefore(div, input.nextSibling);
+        });
+    },
 
-        self.progressInterval = setInterval(function () {
-            fetch(ApiClient.getUrl('XtreamLibrary/Progress'), {
-                method: 'GET',
-                headers: {
-                    'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
-                }
-            }).then(function (r) {
-                return r.ok ? r.json() : null;
-            }).then(function (progress) {
-                if (progress && progress.IsRunning) {
-                    self.displayProgress(progress);
-                }
-            }).catch(function () {});
-        }, 500);
+    // Guards leaving the on-screen provider. Its values are coerced as they are flushed into
+    // this.providers, so a typo has to be caught while it is still in the input.
+    checkActiveProviderFields: function () {
+        // A shared library path is between two providers, so it does not hold this one back.
+        var errors = this.collectFieldErrors().filter(function (e) {
+            return e.scope === 'provider' && e.id && !e.crossProvider;
+        });
+        this.renderFieldErrors(errors);
+        if (errors.length > 0) {
+            Dashboard.alert('Fix the highlighted fields of this provider first:\n\n'
+                + errors.map(function (e) { return '- ' + e.message; }).join('\n'));
+            return false;
+        }
+        return true;
     },
 
-    stopProgressPolling: function () {
-        if (this.progressInterval) {
-            clearInterval(this.progressInterval);
-            this.progressInterval = null;
+    // ----- Unsaved changes -----
+
+    /**
+     * Snapshots what a save would write right now, in the { Providers, Settings } shape
+     * diffConfigBundle compares. The active provider is read from the page into the copy; the
+     * dirty check runs on every edit and must not flush it into this.providers on the way.
+     */
+    captureConfigState: function () {
+        var providers = JSON.parse(JSON.stringify(this.providers));
+        if (providers[this.activeProviderIndex]) {
+            this.readProviderFromUI(providers[this.activeProviderIndex]);
         }
+        var settings = {};
+        this.readGlobalSettingsFromUI(settings);
+        return this.normalizeConfigState({
+            Providers: providers,
+            Settings: settings
+        });
     },
 
-    displayProgress: function (progress) {
-        const statusSpan = document.getElementById('syncStatus');
-        let html = '<br/><span style="color: orange;">';
-        if (progress.MoviePhase || progress.SeriesPhase) {
-            if (progress.MoviePhase) html += progress.MoviePhase;
-            if (progress.SeriesPhase) {
-                if (progress.MoviePhase) html += '<br/>';
-                html += progress.SeriesPhase;
-            }
-        } else {
-            html += progress.Phase;
-        }
-        if (progress.CurrentItem) {
-            html += ': ' + this.escapeHtml(progress.CurrentItem);
-        }
-        if (progress.TotalCategories > 0) {
-            html += '<br/>Batches: ' + progress.CategoriesProcessed + '/' + progress.TotalCategories;
-        }
-        if (progress.TotalItems > 0) {
-            html += ' | Items: ' + progress.ItemsProcessed + '/' + progress.TotalItems;
-        }
-        if (progress.LiveTvPhase) {
-            html += '<br/>' + this.escapeHtml(progress.LiveTvPhase);
+    // Puts ID lists into a fixed order. A category list that finishes loading after the snapshot
+    // reads its ticks back in display order, which would otherwise show up as an edit nobody made.
+    normalizeConfigState: function (state) {
+        var self = this;
+        var byNumber = function (a, b) { return a - b; };
+        var sortIds = function (obj) {
+            Object.keys(obj).forEach(function (key) {
+                if (Array.isArray(obj[key]) && /Ids$/.test(key)) {
+                    obj[key].sort(byNumber);
+                }
+            });
+        };
+        state.Providers.forEach(function (p) {
+            sortIds(p);
+            ['MovieFolderMappings', 'SeriesFolderMappings'].forEach(function (field) {
+                if (!p[field]) return;
+                var definitions = self.parseFolderMappings(p[field]);
+                definitions.forEach(function (def) { def.categoryIds.sort(byNumber); });
+                p[field] = self.buildFolderMappings(definitions);
+            });
+        });
+        sortIds(state.Settings);
+        return state;
+    },
+
+    getUnsavedChanges: function () {
+        if (!this.savedState) return [];
+        return this.diffConfigBundle(this.savedState, this.captureConfigState());
+    },
+
+    // Shows or hides the unsaved-changes bar. Listed changes go in the tooltip.
+    updateDirtyState: function () {
+        var bar = document.getElementById('unsavedChangesBar');
+        if (!bar) return;
+        var changes = this.getUnsavedChanges();
+        if (changes.length === 0) {
+            bar.style.display = 'none';
+            return;
         }
-        const created = [];
-        if (progress.MoviesCreated > 0) created.push(progress.MoviesCreated + ' movies');
-        if (progress.EpisodesCreated > 0) created.push(progress.EpisodesCreated + ' episodes');
-        if ((progress.ChannelsCreated || 0) > 0) created.push(progress.ChannelsCreated + ' channels');
-        if (created.length > 0) {
-            html += '<br/>Created: ' + created.join(', ');
+
+        var text = document.getElementById('unsavedChangesText');
+        text.textContent = changes.length + ' unsaved change' + (changes.length === 1 ? '' : 's');
+        var paths = changes.slice(0, 20).map(function (c) { return c.path; });
+        if (changes.length > 20) paths.push('and ' + (changes.length - 20) + ' more');
+        text.title = paths.join('\n');
+        bar.style.display = 'flex';
+    },
+
+    // Edits arrive as bursts of input events; only diff once the typing stops.
+    scheduleDirtyCheck: function () {
+        var self = this;
+        if (self.dirtyCheckTimer) clearTimeout(self.dirtyCheckTimer);
+        self.dirtyCheckTimer = setTimeout(function () {
+            self.dirtyCheckTimer = null;
+            self.updateDirtyState();
+        }, 300);
+    },
+
+    // Puts the last loaded or saved state back on screen, keeping the current provider in view
+    // if it still exists there.
+    discardChanges: function () {
+        var changes = this.getUnsavedChanges();
+        if (changes.length === 0) return;
+        if (!confirm('Discard ' + changes.length + ' unsaved change' + (changes.length === 1 ? '' : 's') + '?')) return;
+
+        var saved = JSON.parse(JSON.stringify(this.savedState));
+        this.providers = saved.Providers;
+        var index = this.activeProviderIndex < this.providers.length ? this.activeProviderIndex : 0;
+        this.loadProviderIntoUI(index);
+        this.renderProviderSelector();
+        this.applyGlobalSettingsToUI(saved.Settings);
+        this.updateDirtyState();
+    },
+
+    // Leaving through Jellyfin's own navigation cannot be held up the way a reload can, so unsaved
+    // edits are offered a save on the way out instead. The checks saveConfig would refuse them for
+    // run first: once the page is gone its field highlights are too, and the user must not leave
+    // thinking edits were kept that were not. Returns whether a save was started.
+    saveBeforeLeaving: function () {
+        var changes = this.getUnsavedChanges();
+        if (changes.length === 0) return false;
+        var count = changes.length + ' unsaved change' + (changes.length === 1 ? '' : 's');
+
+        this.updateActiveProviderFromUI();
+        var problems = this.collectFieldErrors().map(function (e) { return e.message; });
+        var emptyFolderContent = this.findEmptyFolderModeContent();
+        if (emptyFolderContent) {
+            problems.push(emptyFolderContent + ' is set to Multiple folder mode but nothing is assigned to any folder');
         }
-        const updated = [];
-        if ((progress.MoviesUpdated || 0) > 0) updated.push(progress.MoviesUpdated + ' movies');
-        if ((progress.EpisodesUpdated || 0) > 0) updated.push(progress.EpisodesUpdated + ' episodes');
-        if ((progress.ChannelsUpdated || 0) > 0) updated.push(progress.ChannelsUpdated + ' channels');
-        if (updated.length > 0) {
-            html += '<br/>Updated: ' + updated.join(', ');
+        if (problems.length > 0) {
+            alert('You have ' + count + ', but they cannot be saved:\n\n' +
+                problems.map(function (problem) { return '- ' + problem; }).join('\n') +
+                '\n\nThey are lost when you leave this page.');
+            return false;
         }
-        html += '</span>';
-        statusSpan.innerHTML = html;
+
+        if (!confirm('You have ' + count + '. Save before leaving?\n\nCancel leaves without saving.')) return false;
+        this.saveConfig(true);
+        return true;
     },
 
-    loadSyncStatus: function () {
-        const self = this;
-        ApiClient.fetch({
-            url: ApiClient.getUrl('XtreamLibrary/Status'),
-            type: 'GET',
-            dataType: 'json'
-        }).then(function (response) {
-            if (response && typeof response.json === 'function') {
-                return response.json();
+    // Parse folder mappings string into array of folder definitions
+    parseFolderMappings: function (mappingsStr) {
+        var result = [];
+        if (!mappingsStr) return result;
+
+        var lines = mappingsStr.split('\n');
+        for (var i = 0; i < lines.length; i++) {
+            var line = lines[i].trim();
+            if (!line) continue;
+
+            var eqIdx = line.indexOf('=');
+            if (eqIdx <= 0) continue;
+
+            var name = line.substring(0, eqIdx).trim();
+            var idsStr = line.substring(eqIdx + 1).trim();
+            var ids = [];
+
+            var idParts = idsStr.split(',');
+            for (var j = 0; j < idParts.length; j++) {
+                var id = parseInt(idParts[j].trim());
+                if (!isNaN(id)) {
+                    ids.push(id);
+                }
             }
-            return response;
-        }).then(function (data) {
-            if (data) {
-                self.displaySyncResult(data);
+
+            if (name && ids.length > 0) {
+                result.push({ name: name, categoryIds: ids });
             }
-        }).catch(function () {});
+        }
+        return result;
     },
 
-    checkRunningSync: function () {
-        const self = this;
-        fetch(ApiClient.getUrl('XtreamLibrary/Progress'), {
-            method: 'GET',
-            headers: {
-                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
+    // Build folder mappings string from folder definitions
+    buildFolderMappings: function (definitions) {
+        var lines = [];
+        for (var i = 0; i < definitions.length; i++) {
+            var def = definitions[i];
+            if (def.name && def.categoryIds.length > 0) {
+                lines.push(def.name + '=' + def.categoryIds.join(','));
             }
-        }).then(function (r) {
-            return r.ok ? r.json() : null;
-        }).then(function (progress) {
-            if (progress && progress.IsRunning) {
-                var syncBtn = document.getElementById('btnManualSync');
-                self.isSyncing = true;
-                syncBtn.querySelector('span').textContent = 'Cancel Sync';
-                syncBtn.style.background = '#c0392b';
-                self.displayProgress(progress);
-                self.startProgressPolling();
-                self.pollForCompletion();
+        }
+        return lines.join('\n');
+    },
+
+    // ----- Folder ID overrides -----
+
+    // TmdbFolderIdOverrides / TvdbFolderIdOverrides: one "FolderName=ID" line per folder, read by
+    // StrmSyncService.ParseFolderIdOverrides. It splits at the first "=", trims both sides, skips
+    // lines it cannot read and lets a later line for the same folder (any case) win; the editor
+    // flags exactly those cases rather than refusing them, and writes unedited lines back as they were.
+    parseFolderIdOverrideRows: function (str) {
+        var rows = [];
+        (str || '').split('\n').forEach(function (line) {
+            if (!line.trim()) return;
+            var eqIdx = line.indexOf('=');
+            rows.push(eqIdx < 0
+                ? { name: line.trim(), id: '', raw: line.trim() }
+                : { name: line.substring(0, eqIdx).trim(), id: line.substring(eqIdx + 1).trim(), raw: line.trim() });
+        });
+        return rows;
+    },
+
+    buildFolderIdOverrides: function (rows) {
+        var lines = [];
+        rows.forEach(function (row) {
+            if (row.raw !== undefined) {
+                lines.push(row.raw);
+            } else if (row.name.trim() || row.id.trim()) {
+                lines.push(row.name.trim() + '=' + row.id.trim());
             }
-        }).catch(function () {});
+        });
+        return lines.join('\n');
     },
 
-    formatDuration: function (startTime, endTime) {
-        var start = new Date(startTime);
-        var end = new Date(endTime);
-        var ms = end - start;
-        if (ms < 0) return '0s';
-        var seconds = Math.floor(ms / 1000);
-        var minutes = Math.floor(seconds / 60);
-        var hours = Math.floor(minutes / 60);
-        seconds = seconds % 60;
-        minutes = minutes % 60;
-        if (hours > 0) return hours + 'h ' + minutes + 'm ' + seconds + 's';
-        if (minutes > 0) return minutes + 'm ' + seconds + 's';
-        return seconds + 's';
+    /**
+     * The status of each row as the sync will read it: { level: 'ok' | 'warning' | 'error',
+     * message }. Errors are rows the sync skips; a warning is a row a later one overrides.
+     */
+    validateFolderIdOverrideRows: function (rows) {
+        var lastByName = {};
+        rows.forEach(function (row, index) {
+            if (row.name.trim()) lastByName[row.name.trim().toLowerCase()] = index;
+        });
+
+        return rows.map(function (row, index) {
+            var name = row.name.trim();
+            var id = row.id.trim();
+            if (row.raw !== undefined && row.raw.indexOf('=') < 0) {
+                return { level: 'error', message: 'Not in FolderName=ID form; the sync skips this line.' };
+            }
+            if (!name && !id) return { level: 'ok', message: 'Empty; not saved.' };
+            if (!name) return { level: 'error', message: 'Folder name is missing.' };
+            if (name.indexOf('=') >= 0) return { level: 'error', message: 'Folder name cannot contain "=".' };
+            if (!id) return { level: 'error', message: 'ID is missing.' };
+            if (!/^\d+$/.test(id) || Number(id) === 0 || Number(id) > 2147483647) {
+                return { level: 'error', message: 'ID must be a positive whole number.' };
+            }
+            var last = lastByName[name.toLowerCase()];
+            if (last !== index) {
+                return { level: 'warning', message: 'Overridden by row ' + (last + 1) + ', which sets the same folder.' };
+            }
+            return { level: 'ok', message: 'OK' };
+        });
     },
 
     /**
-     * Describes a run whose orphan cleanup was blocked by the safety threshold, or null when
-     * nothing was blocked. A blocked run still reports Success with 0 deleted and 0 errors, which
-     * is byte-identical to a genuinely clean run, so the counts have to be spelled out (GitHub #77).
+     * Reads pasted overrides, one per line as "FolderName=ID" or "FolderName<Tab>ID" (two columns
+     * copied from a spreadsheet), into editor rows. Unreadable lines come through as they are, so
+     * the editor shows them as invalid instead of dropping them.
      */
-    orphanSkipSummary: function (result) {
-        if (!result) return null;
+    parseFolderIdOverridePaste: function (text) {
+        var self = this;
+        var rows = [];
+        (text || '').split(/\r?\n/).forEach(function (line) {
+            if (!line.trim()) return;
+            var tabIdx = line.indexOf('\t');
+            if (line.indexOf('=') < 0 && tabIdx > 0) {
+                rows.push({ name: line.substring(0, tabIdx).trim(), id: line.substring(tabIdx + 1).trim() });
+            } else {
+                rows = rows.concat(self.parseFolderIdOverrideRows(line));
+            }
+        });
+        return rows;
+    },
 
-        var movies = result.MovieOrphansSkipped || 0;
-        var episodes = result.EpisodeOrphansSkipped || 0;
-        var total = movies + episodes;
-        if (total === 0) return null;
+    /**
+     * Merges imported rows into the editor's: a folder that already has a row gets the new ID,
+     * anything else is appended. Returns { rows, added, updated }.
+     */
+    mergeFolderIdOverrideRows: function (rows, imported) {
+        var merged = rows.slice();
+        var added = 0;
+        var updated = 0;
+        imported.forEach(function (row) {
+            var key = row.name.trim().toLowerCase();
+            var existing = -1;
+            if (key && row.name.indexOf('=') < 0 && (row.raw === undefined || row.raw.indexOf('=') >= 0)) {
+                for (var i = merged.length - 1; i >= 0; i--) {
+                    if (merged[i].name.trim().toLowerCase() === key) {
+                        existing = i;
+                        break;
+                    }
+                }
+            }
+            if (existing >= 0) {
+                if (merged[existing].id.trim() !== row.id.trim()) {
+                    merged[existing] = { name: merged[existing].name, id: row.id };
+                    updated++;
+                }
+            } else {
+                merged.push(row);
+                added++;
+            }
+        });
+        return { rows: merged, added: added, updated: updated };
+    },
 
-        var examined = (result.MovieOrphansExamined || 0) + (result.EpisodeOrphansExamined || 0);
-        return {
-            total: total,
-            movies: movies,
-            episodes: episodes,
-            ratioPct: examined > 0 ? Math.round((total / examined) * 100) : null,
-            thresholdPct: Math.round((result.OrphanSafetyThresholdApplied || 0) * 100)
-        };
+    folderIdOverrideMatches: function (row, search) {
+        var term = (search || '').trim().toLowerCase();
+        return !term || row.name.toLowerCase().indexOf(term) >= 0 || row.id.toLowerCase().indexOf(term) >= 0;
     },
 
-    displaySyncResult: function (result) {
-        const infoDiv = document.getElementById('lastSyncInfo');
-        if (!result) {
-            infoDiv.innerHTML = '';
-            this.updateFailedItemsDisplay([]);
-            return;
+    buildFolderIdOverrideEditorHtml: function (kind, rows, search) {
+        var self = this;
+        var statuses = this.validateFolderIdOverrideRows(rows);
+        var placeholderId = kind === 'tmdb' ? 'TMDb ID' : 'TVDb ID';
+        if (rows.length === 0) {
+            return '<span style="opacity: 0.5;">No overrides. Add a row, or paste a list.</span>';
         }
 
-        const orphanSkip = this.orphanSkipSummary(result);
-        const startTime = new Date(result.StartTime).toLocaleString();
-        let status;
-        if (!result.Success) {
-            status = '<span style="color: red;">Failed</span>';
-        } else if (orphanSkip) {
-            status = '<span style="color: #e0c882;">Completed with warnings</span>';
-        } else {
-            status = '<span style="color: green;">Success</span>';
-        }
+        var html = '<table class="dashboard-history-table override-editor-table"><thead><tr>'
+            + '<th>Folder name</th><th>' + placeholderId + '</th><th>Status</th><th></th></tr></thead><tbody>';
+        var shown = 0;
+        rows.forEach(function (row, index) {
+            if (!self.folderIdOverrideMatches(row, search)) return;
+            shown++;
+            html += '<tr>';
+            html += '<td><input type="text" class="override-editor-name" value="' + self.escapeHtml(row.name) + '" placeholder="Name (Year)"'
+                + ' oninput="XtreamLibraryConfig.editFolderIdOverride(\'' + kind + '\', ' + index + ', \'name\', this.value)" /></td>';
+            html += '<td><input type="text" class="override-editor-id" value="' + self.escapeHtml(row.id) + '" placeholder="' + placeholderId + '"'
+                + ' oninput="XtreamLibraryConfig.editFolderIdOverride(\'' + kind + '\', ' + index + ', \'id\', this.value)" /></td>';
+            html += '<td id="' + kind + 'OverrideStatus' + index + '">' + self.buildOverrideStatusHtml(statuses[index]) + '</td>';
+            html += '<td><button is="emby-button" type="button" class="raised" onclick="XtreamLibraryConfig.deleteFolderIdOverrideRow(\'' + kind + '\', ' + index + ')"><span>Delete</span></button></td>';
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
 
-        const duration = this.formatDuration(result.StartTime, result.EndTime);
+        var problems = statuses.filter(function (status) { return status.level === 'error'; }).length;
+        var summary = rows.length + ' override' + (rows.length === 1 ? '' : 's');
+        if (shown < rows.length) summary += ', ' + shown + ' shown';
+        if (problems > 0) summary += ', ' + problems + ' the sync skips';
+        return '<div class="override-editor-summary">' + summary + '</div>' + (shown > 0 ? html : '<span style="opacity: 0.5;">No overrides match the search.</span>');
+    },
 
-        // Sync type badge
-        var syncBadge = '';
-        if (result.WasIncrementalSync) {
-            syncBadge = '<span style="background: #1a5276; color: #85c1e9; padding: 2px 8px; border-radius: 4px; font-size: 0.85em; margin-left: 8px;">Incremental</span>';
-        } else {
-            syncBadge = '<span style="background: #1e3a1e; color: #82e0aa; padding: 2px 8px; border-radius: 4px; font-size: 0.85em; margin-left: 8px;">Full Sync</span>';
-        }
+    buildOverrideStatusHtml: function (status) {
+        var color = status.level === 'error' ? '#e08282' : (status.level === 'warning' ? '#e0c882' : '#82e0aa');
+        return '<span style="color: ' + color + ';">' + this.escapeHtml(status.message) + '</span>';
+    },
 
-        let html = '<strong>Last Sync:</strong> ' + startTime + ' - ' + status + syncBadge;
-        html += '<br/><span style="color: #aaa;">Duration: ' + duration + '</span>';
+    renderFolderIdOverrideEditor: function (kind) {
+        var container = document.getElementById(kind + 'OverrideTable');
+        if (!container) return;
+        container.innerHTML = this.buildFolderIdOverrideEditorHtml(kind, this.folderIdOverrideRows[kind], this.folderIdOverrideSearch[kind]);
+    },
 
-        if (orphanSkip) {
-            var parts = [];
-            if (orphanSkip.movies > 0) parts.push(orphanSkip.movies.toLocaleString() + ' movies');
-            if (orphanSkip.episodes > 0) parts.push(orphanSkip.episodes.toLocaleString() + ' episodes');
-            var ratioText = orphanSkip.ratioPct !== null
-                ? orphanSkip.ratioPct + '% of the library, over the ' + orphanSkip.thresholdPct + '% safety limit'
-                : 'over the ' + orphanSkip.thresholdPct + '% safety limit';
+    // Typing only refreshes the status cells, so the input being typed in keeps its focus.
+    editFolderIdOverride: function (kind, index, field, value) {
+        var rows = this.folderIdOverrideRows[kind];
+        var row = rows[index];
+        if (!row) return;
+        rows[index] = { name: field === 'name' ? value : row.name, id: field === 'id' ? value : row.id };
 
-            html += '<div class="sync-warning-panel">';
-            html += '<div class="sync-warning-title">Skipped cleanup of ' + orphanSkip.total.toLocaleString() + ' orphaned files (' + ratioText + ')</div>';
-            html += '<div class="sync-warning-detail">' + parts.join(' and ') + ' are still on disk but no longer offered by the provider. ';
-            html += 'They stay until the cause is fixed or Orphan Safety Threshold is raised in the provider settings. ';
-            html += 'A high ratio usually means a provider outage or a changed base URL - check before raising the limit.</div>';
-            html += '</div>';
+        var self = this;
+        this.validateFolderIdOverrideRows(rows).forEach(function (status, i) {
+            var cell = document.getElementById(kind + 'OverrideStatus' + i);
+            if (cell) cell.innerHTML = self.buildOverrideStatusHtml(status);
+        });
+    },
+
+    addFolderIdOverrideRow: function (kind) {
+        this.folderIdOverrideSearch[kind] = '';
+        var search = document.getElementById(kind + 'OverrideSearch');
+        if (search) search.value = '';
+        this.folderIdOverrideRows[kind].push({ name: '', id: '' });
+        this.renderFolderIdOverrideEditor(kind);
+
+        var inputs = document.querySelectorAll('#' + kind + 'OverrideTable .override-editor-name');
+        if (inputs.length > 0) inputs[inputs.length - 1].focus();
+    },
+
+    deleteFolderIdOverrideRow: function (kind, index) {
+        this.folderIdOverrideRows[kind].splice(index, 1);
+        this.renderFolderIdOverrideEditor(kind);
+    },
+
+    importFolderIdOverridePaste: function (kind) {
+        var textarea = document.getElementById(kind + 'OverridePaste');
+        var status = document.getElementById(kind + 'OverrideImportStatus');
+        var imported = this.parseFolderIdOverridePaste(textarea.value);
+        if (imported.length === 0) {
+            status.innerHTML = '<span style="color: orange;">Nothing to import.</span>';
+            return;
         }
 
-        html += '<br/><br/>';
-        html += '<strong>Movies</strong><br/>';
-        html += '&nbsp;&nbsp;Total: ' + (result.TotalMovies || (result.MoviesCreated + result.MoviesSkipped)) + '<br/>';
-        html += '&nbsp;&nbsp;' + result.MoviesCreated + ' added' + ((result.MoviesUpdated || 0) > 0 ? ', ' + result.MoviesUpdated + ' updated' : '') + ', ' + (result.MoviesDeleted || 0) + ' deleted<br/><br/>';
-        html += '<strong>Series</strong><br/>';
-        html += '&nbsp;&nbsp;Total: ' + (result.TotalSeries || (result.SeriesCreated + result.SeriesSkipped) || 0) + '<br/>';
-        html += '&nbsp;&nbsp;' + (result.SeriesCreated || 0) + ' added, ' + (result.SeriesDeleted || 0) + ' deleted<br/>';
-        html += '&nbsp;&nbsp;Seasons: ' + (result.TotalSeasons || (result.SeasonsCreated + result.SeasonsSkipped) || 0) + ' total';
-        html += ', ' + (result.SeasonsCreated || 0) + ' added, ' + (result.SeasonsDeleted || 0) + ' deleted<br/>';
-        html += '&nbsp;&nbsp;Episodes: ' + (result.TotalEpisodes || (result.EpisodesCreated + result.EpisodesSkipped)) + ' total';
-        html += ', ' + result.EpisodesCreated + ' added' + ((result.EpisodesUpdated || 0) > 0 ? ', ' + result.EpisodesUpdated + ' updated' : '') + ', ' + (result.EpisodesDeleted || 0) + ' deleted';
+        var result = this.mergeFolderIdOverrideRows(this.folderIdOverrideRows[kind], imported);
+        this.folderIdOverrideRows[kind] = result.rows;
+        textarea.value = '';
+        this.renderFolderIdOverrideEditor(kind);
+        status.innerHTML = '<span style="color: green;">' + result.added + ' added, ' + result.updated + ' updated. Save to keep them.</span>';
+    },
 
-        // Live TV channel counts (shown when Live TV is enabled and any field is populated).
-        var hasLiveTv = (result.TotalChannels || 0) > 0
-            || (result.ChannelsCreated || 0) > 0
-            || (result.ChannelsUpdated || 0) > 0
-            || (result.ChannelsDeleted || 0) > 0
-            || (result.ChannelsSkipped || 0) > 0;
-        if (hasLiveTv) {
-            html += '<br/><br/><strong>Live TV</strong><br/>';
-            html += '&nbsp;&nbsp;Total: ' + (result.TotalChannels || ((result.ChannelsCreated || 0) + (result.ChannelsUpdated || 0) + (result.ChannelsSkipped || 0))) + ' channels<br/>';
-            var parts = [];
-            parts.push((result.ChannelsCreated || 0) + ' added');
-            if ((result.ChannelsUpdated || 0) > 0) parts.push(result.ChannelsUpdated + ' updated');
-            parts.push((result.ChannelsDeleted || 0) + ' deleted');
-            html += '&nbsp;&nbsp;' + parts.join(', ');
-        }
+    // Folder name rules (MovieFolderRules / SeriesFolderRules): one "FolderName=Pattern" line per
+    // folder that has one, stored next to the mappings. A pattern is a glob matched against the
+    // whole category name, or a regular expression (anywhere in the name) after "re:". The sync
+    // applies them in FolderNameRules.cs; matchFolderRules below must stay in step with it.
 
-        if (result.Errors > 0) {
-            html += '<br/><br/><span style="color: orange;"><strong>Errors:</strong> ' + result.Errors + '</span>';
-        }
-        if (result.Error) {
-            html += '<br/><span style="color: red;"><strong>Error:</strong> ' + result.Error + '</span>';
-        }
+    // Attaches the rules to the folders parsed from the mappings. A rule whose folder holds no
+    // explicit categories has no mapping line, so it becomes a folder of its own.
+    mergeFolderRules: function (definitions, rulesStr) {
+        if (!rulesStr) return definitions;
 
-        infoDiv.innerHTML = html;
-        this.updateFailedItemsDisplay(result.FailedItems || []);
+        rulesStr.split('\n').forEach(function (rawLine) {
+            var line = rawLine.trim();
+            var eqIdx = line.indexOf('=');
+            if (eqIdx <= 0) return;
+            var name = line.substring(0, eqIdx).trim();
+            var pattern = line.substring(eqIdx + 1).trim();
+            if (!name || !pattern) return;
+
+            var folder = definitions.filter(function (def) {
+                return !def.pattern && def.name.toLowerCase() === name.toLowerCase();
+            })[0];
+            if (folder) {
+                folder.pattern = pattern;
+            } else {
+                definitions.push({ name: name, categoryIds: [], pattern: pattern });
+            }
+        });
+        return definitions;
     },
 
-    updateFailedItemsDisplay: function (failedItems) {
-        const btnRetry = document.getElementById('btnRetryFailed');
-        const failedCount = document.getElementById('failedCount');
-        const failedList = document.getElementById('failedItemsList');
-        const failedContent = document.getElementById('failedItemsContent');
-
-        if (failedItems.length > 0) {
-            btnRetry.style.display = 'inline-block';
-            failedCount.textContent = failedItems.length;
-            failedList.style.display = 'block';
+    // Build the folder rules string from folder definitions. Unnamed folders are dropped, as in
+    // buildFolderMappings.
+    buildFolderRules: function (definitions) {
+        var lines = [];
+        definitions.forEach(function (def) {
+            if (def.name && def.pattern) {
+                lines.push(def.name + '=' + def.pattern);
+            }
+        });
+        return lines.join('\n');
+    },
 
-            let html = '<ul style="margin: 5px 0; padding-left: 20px;">';
-            failedItems.forEach(function (item) {
-                html += '<li><span style="color: orange;">' + XtreamLibraryConfig.escapeHtml(item.ItemType) + ':</span> ';
-                html += XtreamLibraryConfig.escapeHtml(item.Name);
-                if (item.ErrorMessage) {
-                    html += ' <span style="color: #888;">(' + XtreamLibraryConfig.escapeHtml(item.ErrorMessage) + ')</span>';
-                }
-                html += '</li>';
-            });
-            html += '</ul>';
-            failedContent.innerHTML = html;
-        } else {
-            btnRetry.style.display = 'none';
-            failedList.style.display = 'none';
-            failedContent.innerHTML = '';
+    // Compiles a rule pattern for the preview, the way FolderNameRules.TryBuildRegex does. Throws
+    // when the browser cannot read a regular expression; whether the sync can is only known to the
+    // server, see findInvalidFolderRules.
+    folderRuleToRegExp: function (pattern) {
+        if (/^re:/i.test(pattern)) {
+            var body = pattern.substring(3);
+            if (!body) throw new Error('the expression is empty');
+            return new RegExp(body, 'i');
         }
+        var escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+        return new RegExp('^' + escaped + '$', 'i');
     },
 
-    retryFailed: function () {
-        const statusSpan = document.getElementById('syncStatus');
-        const self = this;
-
-        statusSpan.innerHTML = '<span style="color: orange;">Retrying failed items...</span>';
-
-        fetch(ApiClient.getUrl('XtreamLibrary/RetryFailed'), {
-            method: 'POST',
-            headers: {
-                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
+    /**
+     * Previews which categories the folder rules capture. Categories listed explicitly in any
+     * folder are skipped and the first matching folder wins, as in FolderNameRules.Apply.
+     * Returns { byFolder: [categories per folder], errors: [message or null per folder],
+     * folderByCategory: { categoryId: folderIndex } }.
+     */
+    matchFolderRules: function (categories, definitions) {
+        var self = this;
+        var explicit = {};
+        var rules = [];
+        var errors = [];
+        var byFolder = [];
+        definitions.forEach(function (def, index) {
+            def.categoryIds.forEach(function (id) { explicit[id] = true; });
+            byFolder.push([]);
+            errors.push(null);
+            if (!def.pattern) return;
+            try {
+                rules.push({ index: index, regex: self.folderRuleToRegExp(def.pattern) });
+            } catch (e) {
+                errors[index] = 'This browser cannot preview the expression (' + e.message + '). Saving checks it the way the sync reads it.';
             }
-        }).then(function (response) {
-            return response.json();
-        }).then(function (data) {
-            if (data.Success) {
-                statusSpan.innerHTML = '<span style="color: green;">Retry completed!</span>';
-                self.loadSyncStatus();
-            } else {
-                statusSpan.innerHTML = '<span style="color: red;">Retry failed: ' + (data.Error || 'Unknown error') + '</span>';
+        });
+
+        var folderByCategory = {};
+        categories.forEach(function (category) {
+            if (explicit[category.CategoryId]) return;
+            for (var i = 0; i < rules.length; i++) {
+                if (rules[i].regex.test(category.CategoryName || '')) {
+                    byFolder[rules[i].index].push(category);
+                    folderByCategory[category.CategoryId] = rules[i].index;
+                    return;
+                }
             }
-        }).catch(function (error) {
-            console.error('Retry error:', error);
-            statusSpan.innerHTML = '<span style="color: red;">Retry failed: ' + (error.message || 'Check console for details') + '</span>';
         });
+        return { byFolder: byFolder, errors: errors, folderByCategory: folderByCategory };
     },
 
-    loadVodCategories: function () {
-        const statusSpan = document.getElementById('vodCategoryLoadStatus');
-        statusSpan.innerHTML = '<span style="color: orange;">Loading...</span>';
-        const self = this;
+    /**
+     * Asks the server which folder name rules do not compile, across every provider. Resolves to
+     * one '"<Provider>": ...' message per rule; rejects when the check itself fails. The sync skips
+     * such a rule, so saving it would quietly lose the folder's automatic assignment. Reads the
+     * stored rules, so the on-screen provider must be flushed first.
+     */
+    findInvalidFolderRules: function () {
+        var self = this;
+        var checks = [];
+        self.providers.forEach(function (p, index) {
+            if (!p) return;
+            var label = '"' + (p.Name || ('Provider ' + (index + 1))) + '"';
+            [['Movies', p.MovieFolderRules], ['Series', p.SeriesFolderRules]].forEach(function (entry) {
+                if (!entry[1] || !entry[1].trim()) return;
+                checks.push(self.requestFolderRulesCheck(entry[1]).then(function (invalid) {
+                    return invalid.map(function (rule) {
+                        return rule.FolderName
+                            ? label + ': ' + entry[0] + ' folder "' + rule.FolderName + '" has an invalid name rule (' + rule.Error + ')'
+                            : label + ': ' + entry[0] + ' folder rules, line ' + rule.Line + ' (' + rule.Error + ')';
+                    });
+                }));
+            });
+        });
+        return Promise.all(checks).then(function (lists) {
+            return [].concat.apply([], lists);
+        });
+    },
 
-        fetch(ApiClient.getUrl('XtreamLibrary/Categories/Vod') + '?providerIndex=' + this.activeProviderIndex, {
-            method: 'GET',
+    requestFolderRulesCheck: function (rules) {
+        return fetch(ApiClient.getUrl('XtreamLibrary/FolderRules/Check'), {
+            method: 'POST',
             headers: {
-                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
-            }
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken(),
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ Rules: rules })
         }).then(function (r) {
-            return r.ok ? r.json() : Promise.reject(r);
-        }).then(function (categories) {
-            self.vodCategories = categories || [];
-            var mode = document.getElementById('selMovieFolderMode').value;
-            if (mode === 'Single') {
-                self.renderCategoryList('vod', self.vodCategories, self.selectedVodCategoryIds);
-                document.getElementById('vodSingleFolderSection').style.display = 'block';
-            } else {
-                self.renderFolderList('vod');
-                document.getElementById('vodMultiFolderSection').style.display = 'block';
-            }
-            statusSpan.innerHTML = '<span style="color: green;">Loaded ' + self.vodCategories.length + ' categories</span>';
-        }).catch(function (error) {
-            console.error('Failed to load VOD categories:', error);
-            statusSpan.innerHTML = '<span style="color: red;">Failed to load. Check credentials.</span>';
+            if (!r.ok) return r.text().then(function (text) { throw new Error(text || ('HTTP ' + r.status)); });
+            return r.json();
         });
     },
 
-    loadSeriesCategories: function () {
-        const statusSpan = document.getElementById('seriesCategoryLoadStatus');
-        statusSpan.innerHTML = '<span style="color: orange;">Loading...</span>';
-        const self = this;
+    /**
+     * Asks the server which providers' regex removal patterns do not compile. Resolves to one
+     * message per pattern; rejects when the check itself fails, so the save can ask the user
+     * instead of passing the patterns as valid.
+     */
+    findInvalidRegexPatterns: function () {
+        var self = this;
+        var checks = [];
+        self.providers.forEach(function (p, index) {
+            if (!p || !p.RegexRemovalPatterns || !p.RegexRemovalPatterns.trim()) return;
+            var label = '"' + (p.Name || ('Provider ' + (index + 1))) + '"';
+            checks.push(self.requestTitleCleaningPreview([], '', p.RegexRemovalPatterns).then(function (preview) {
+                return (preview.InvalidPatterns || []).map(function (invalid) {
+                    return label + ': line ' + invalid.Line + ', ' + invalid.Pattern + ' (' + invalid.Error + ')';
+                });
+            }));
+        });
+        return Promise.all(checks).then(function (lists) {
+            return [].concat.apply([], lists);
+        });
+    },
 
-        fetch(ApiClient.getUrl('XtreamLibrary/Categories/Series') + '?providerIndex=' + this.activeProviderIndex, {
-            method: 'GET',
+    requestTitleCleaningPreview: function (samples, removeTerms, regexPatterns) {
+        return fetch(ApiClient.getUrl('XtreamLibrary/TitleCleaning/Preview'), {
+            method: 'POST',
             headers: {
-                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
-            }
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken(),
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ Samples: samples, CustomTitleRemoveTerms: removeTerms, RegexRemovalPatterns: regexPatterns })
         }).then(function (r) {
-            return r.ok ? r.json() : Promise.reject(r);
-        }).then(function (categories) {
-            self.seriesCategories = categories || [];
-            var mode = document.getElementById('selSeriesFolderMode').value;
-            if (mode === 'Single') {
-                self.renderCategoryList('series', self.seriesCategories, self.selectedSeriesCategoryIds);
-                document.getElementById('seriesSingleFolderSection').style.display = 'block';
-            } else {
-                self.renderFolderList('series');
-                document.getElementById('seriesMultiFolderSection').style.display = 'block';
-            }
-            statusSpan.innerHTML = '<span style="color: green;">Loaded ' + self.seriesCategories.length + ' categories</span>';
-        }).catch(function (error) {
-            console.error('Failed to load Series categories:', error);
-            statusSpan.innerHTML = '<span style="color: red;">Failed to load. Check credentials.</span>';
+            if (!r.ok) return r.text().then(function (text) { throw new Error(text || ('HTTP ' + r.status)); });
+            return r.json();
         });
     },
 
-    renderCategoryList: function (type, categories, selectedIds) {
-        var listId;
-        if (type === 'vod') {
-            listId = 'vodCategoryList';
-        } else if (type === 'series') {
-            listId = 'seriesCategoryList';
-        } else {
-            listId = 'liveCategoryList';
-        }
-        const container = document.getElementById(listId);
+    // The distinct movie and series titles in the loaded categories of the active provider, in
+    // name order, at most `limit` of them.
+    getTitleCleaningSamples: function (limit) {
+        var samples = [];
+        [['vod', 'Movie'], ['series', 'Series']].forEach(function (entry) {
+            var cache = this.contentItemsByCategory[entry[0]];
+            var seen = {};
+            Object.keys(cache).forEach(function (categoryId) {
+                (cache[categoryId] || []).forEach(function (item) {
+                    if (!item.Name || seen[item.Name]) return;
+                    seen[item.Name] = true;
+                    samples.push({ Name: item.Name, ItemType: entry[1] });
+                });
+            });
+        }, this);
+        samples.sort(function (a, b) { return a.Name.localeCompare(b.Name) || a.ItemType.localeCompare(b.ItemType); });
+        return samples.slice(0, limit);
+    },
 
-        if (!categories || categories.length === 0) {
-            container.innerHTML = '<div class="fieldDescription">No categories found.</div>';
-            return;
+    // filter: 'all', or 'matched' for the titles a removal term or pattern changed.
+    buildTitleCleaningPreviewHtml: function (preview, filter, search, limit) {
+        var self = this;
+        var html = '';
+        (preview.InvalidPatterns || []).forEach(function (invalid) {
+            html += '<div style="color: red;">Line ' + invalid.Line + ': <code>' + self.escapeHtml(invalid.Pattern) + '</code> does not compile ('
+                + self.escapeHtml(invalid.Error) + '). The sync skips it, and the configuration cannot be saved with it.</div>';
+        });
+
+        var items = preview.Items || [];
+        if (items.length === 0) return html;
+        var matched = items.filter(function (item) { return item.MatchedTerms.length > 0 || item.MatchedPatterns.length > 0; }).length;
+        html += '<div class="override-editor-summary">' + matched + ' of ' + items.length + ' titles are changed by a removal term or pattern.</div>';
+
+        var term = (search || '').trim().toLowerCase();
+        items = items.filter(function (item) {
+            if (filter === 'matched' && item.MatchedTerms.length === 0 && item.MatchedPatterns.length === 0) return false;
+            return !term || [item.Name, item.FolderName, item.FileName].some(function (v) { return v.toLowerCase().indexOf(term) >= 0; });
+        });
+        if (items.length === 0) {
+            return html + '<span style="opacity: 0.5;">No titles match.</span>';
         }
 
-        let html = '';
-        const self = this;
-        categories.forEach(function (category, index) {
-            const isChecked = selectedIds.indexOf(category.CategoryId) !== -1 ? 'checked' : '';
-            const checkboxId = type + 'Cat_' + category.CategoryId;
-            if (type === 'live') {
-                const isExpanded = !!self.expandedLiveCategories[category.CategoryId];
-                html += '<div class="live-cat-row" data-cat-id="' + category.CategoryId + '" data-category-name="' + self.escapeHtml(category.CategoryName) + '">';
-                html += '<div style="display: flex; align-items: center;">';
-                html += '<button type="button" class="live-cat-expand" data-cat-id="' + category.CategoryId + '" ';
-                html += 'aria-label="Toggle channels" ';
-                html += 'style="margin-right: 8px; background: none; border: 1px solid rgba(255,255,255,0.2); color: inherit; cursor: pointer; font-size: 0.85em; padding: 2px 8px; min-width: 24px; border-radius: 3px;">';
-                html += isExpanded ? '▾' : '▸';
-                html += '</button>';
-                html += '<label class="emby-checkbox-label" style="flex: 1;">';
-                html += '<input is="emby-checkbox" type="checkbox" id="' + checkboxId + '" ';
-                html += 'data-category-id="' + category.CategoryId + '" data-category-type="' + type + '" ';
-                html += 'data-index="' + index + '" ' + isChecked + '/>';
-                html += '<span>' + self.escapeHtml(category.CategoryName) + ' <small style="opacity:0.5;">(ID: ' + category.CategoryId + ')</small></span>';
-                html += '</label>';
-                html += '</div>';
-                html += '<div class="live-channel-list" data-cat-id="' + category.CategoryId + '" ';
-                html += 'style="margin-left: 36px; margin-top: 4px; ' + (isExpanded ? '' : 'display: none;') + '"></div>';
-                html += '</div>';
-            } else {
-                // vod / series: expandable row with a per-item panel (issue #54)
-                const isExpanded = !!(self.expandedContentCategories[type] && self.expandedContentCategories[type][category.CategoryId]);
-                html += '<div class="content-cat-row" data-cat-id="' + category.CategoryId + '" data-content-type="' + type + '">';
-                html += '<div style="display: flex; align-items: center;">';
-                html += '<button type="button" class="content-cat-expand" data-cat-id="' + category.CategoryId + '" data-content-type="' + type + '" ';
-                html += 'aria-label="Toggle items" ';
-                html += 'style="margin-right: 8px; background: none; border: 1px solid rgba(255,255,255,0.2); color: inherit; cursor: pointer; font-size: 0.85em; padding: 2px 8px; min-width: 24px; border-radius: 3px;">';
-                html += isExpanded ? '▾' : '▸';
-                html += '</button>';
-                html += '<label class="emby-checkbox-label" style="flex: 1;">';
-                html += '<input is="emby-checkbox" type="checkbox" id="' + checkboxId + '" ';
-                html += 'data-category-id="' + category.CategoryId + '" data-category-type="' + type + '" ';
-                html += 'data-index="' + index + '" ' + isChecked + '/>';
-                html += '<span>' + self.escapeHtml(category.CategoryName) + ' <small style="opacity:0.5;">(ID: ' + category.CategoryId + ')</small></span>';
-                html += '</label>';
-                html += '</div>';
-                html += '<div class="content-item-list" data-cat-id="' + category.CategoryId + '" data-content-type="' + type + '" ';
-                html += 'style="margin-left: 36px; margin-top: 4px; ' + (isExpanded ? '' : 'display: none;') + '"></div>';
-                html += '</div>';
-            }
+        html += '<table class="dashboard-history-table"><thead><tr><th>Title</th><th>Folder</th><th>File</th><th>Matched</th></tr></thead><tbody>';
+        items.slice(0, limit).forEach(function (item) {
+            var rules = item.MatchedTerms.map(function (t) { return '<code>' + self.escapeHtml(t) + '</code>'; })
+                .concat(item.MatchedPatterns.map(function (p) { return '<code style="color: #82e0aa;">' + self.escapeHtml(p) + '</code>'; }));
+            html += '<tr><td>' + self.escapeHtml(item.Name) + ' <small style="opacity: 0.6;">(' + (item.ItemType === 'Series' ? 'series' : 'movie') + ')</small></td>'
+                + '<td>' + self.escapeHtml(item.FolderName) + '</td>'
+                + '<td>' + self.escapeHtml(item.FileName) + '</td>'
+                + '<td>' + rules.join(' ') + '</td></tr>';
         });
+        html += '</tbody></table>';
+        if (items.length > limit) {
+            html += '<div class="fieldDescription">Showing the first ' + limit + ' of ' + items.length + ' titles.</div>';
+        }
+        return html;
+    },
 
-        container.innerHTML = html;
+    renderTitleCleaningPreview: function () {
+        var container = document.getElementById('titleCleaningPreview');
+        if (!container || !this.titleCleaningPreview) return;
+        container.innerHTML = this.buildTitleCleaningPreviewHtml(
+            this.titleCleaningPreview,
+            document.getElementById('selTitleCleaningFilter').value,
+            document.getElementById('titleCleaningSearch').value,
+            500);
+    },
 
-        // Add shift+click range selection support — scoped to category checkboxes only.
-        const checkboxes = container.querySelectorAll('input[data-category-type="' + type + '"]');
-        checkboxes.forEach(function (checkbox) {
-            checkbox.addEventListener('click', function (e) {
-                const currentIndex = parseInt(checkbox.getAttribute('data-index'));
-                const lastIndex = self.lastClickedIndex[type];
+    // The loaded titles belong to one provider, so switching providers closes the preview.
+    resetTitleCleaningPreview: function () {
+        this.titleCleaningPreview = null;
+        this.titleCleaningSequence++;
+        var panel = document.getElementById('titleCleaningPanel');
+        if (panel) panel.style.display = 'none';
+        var status = document.getElementById('titleCleaningStatus');
+        if (status) status.innerHTML = '';
+    },
 
-                if (e.shiftKey && lastIndex !== null && lastIndex !== currentIndex) {
-                    const start = Math.min(lastIndex, currentIndex);
-                    const end = Math.max(lastIndex, currentIndex);
-                    const newState = checkbox.checked;
-                    for (let i = start; i <= end; i++) {
-                        checkboxes[i].checked = newState;
-                    }
-                    // Programmatic check assignment skips the 'change' event, so the counter
-                    // needs an explicit nudge to reflect the range selection.
-                    if (type === 'live') {
-                        self.updateLiveCategoryCounter();
-                    }
-                }
-                self.lastClickedIndex[type] = currentIndex;
-            });
+    // Cleans the loaded titles with the terms and patterns as they are on screen, saved or not.
+    runTitleCleaningPreview: function () {
+        var self = this;
+        var status = document.getElementById('titleCleaningStatus');
+        document.getElementById('titleCleaningPanel').style.display = 'block';
+        var samples = self.getTitleCleaningSamples(1000);
+        if (samples.length === 0) {
+            status.innerHTML = '<span style="color: orange;">No titles loaded; only the patterns are checked. Expand a category under Movies or Series to preview its titles.</span>';
+        } else {
+            status.innerHTML = '<span style="color: orange;">Cleaning ' + samples.length + ' titles...</span>';
+        }
+
+        var sequence = ++self.titleCleaningSequence;
+        self.requestTitleCleaningPreview(
+            samples,
+            document.getElementById('txtCustomTitleRemoveTerms').value,
+            document.getElementById('txtRegexRemovalPatterns').value
+        ).then(function (preview) {
+            if (sequence !== self.titleCleaningSequence) return;
+            if (samples.length > 0) status.innerHTML = '';
+            self.titleCleaningPreview = preview || { Items: [], InvalidPatterns: [] };
+            self.renderTitleCleaningPreview();
+        }).catch(function (error) {
+            if (sequence !== self.titleCleaningSequence) return;
+            console.error('Title cleaning preview failed:', error);
+            status.innerHTML = '<span style="color: red;">Preview failed: ' + self.escapeHtml(error.message) + '</span>';
         });
+    },
 
-        if (type === 'live') {
-            container.querySelectorAll('.live-cat-expand').forEach(function (btn) {
-                btn.addEventListener('click', function () {
-                    const catId = parseInt(btn.getAttribute('data-cat-id'));
-                    self.toggleLiveCategory(catId, btn);
-                });
-            });
+    // Once the preview is open, it follows edits to the terms and patterns after typing stops.
+    scheduleTitleCleaningPreview: function () {
+        var self = this;
+        var panel = document.getElementById('titleCleaningPanel');
+        if (!panel || panel.style.display === 'none') return;
+        if (self.titleCleaningTimer) clearTimeout(self.titleCleaningTimer);
+        self.titleCleaningTimer = setTimeout(function () {
+            self.titleCleaningTimer = null;
+            self.runTitleCleaningPreview();
+        }, 400);
+    },
 
-            // Update the counter whenever a category checkbox changes (including via shift+click,
-            // since the synthetic state changes in the click handler don't fire change events).
-            // Also re-render any expanded child panel so per-channel checkboxes track the new
-            // category state (see renderLiveChannels for the categorySelected gating).
-            checkboxes.forEach(function (cb) {
-                cb.addEventListener('change', function () {
-                    self.updateLiveCategoryCounter();
-                    const catId = parseInt(cb.getAttribute('data-category-id'));
-                    if (self.expandedLiveCategories[catId] && self.liveChannelsByCategory[catId]) {
-                        self.renderLiveChannels(catId);
+    // Redraws the rule previews under each folder and the rule badges in the unassigned pool
+    // from what is typed right now. Cheap enough to run on every keystroke in a rule field.
+    updateFolderRulePreview: function (type) {
+        var self = this;
+        var container = document.getElementById(type === 'vod' ? 'vodFolderList' : 'seriesFolderList');
+        if (!container || !container.querySelector('.folder-builder')) return;
+        var categories = type === 'vod' ? this.vodCategories : this.seriesCategories;
+
+        var items = container.querySelectorAll('.folder-item');
+        var definitions = [];
+        items.forEach(function (item) { definitions.push(self.readFolderItem(item)); });
+        var match = self.matchFolderRules(categories, definitions);
+
+        items.forEach(function (item, index) {
+            var preview = item.querySelector('.folder-rule-preview');
+            if (!preview) return;
+            if (match.errors[index]) {
+                preview.innerHTML = '<span style="color: #e0c882;">' + self.escapeHtml(match.errors[index]) + '</span>';
+                return;
+            }
+            if (!definitions[index].pattern) {
+                preview.innerHTML = '';
+                return;
+            }
+            var captured = match.byFolder[index];
+            var html = 'Rule captures ' + captured.length + ' categor' + (captured.length === 1 ? 'y' : 'ies');
+            if (captured.length > 0) {
+                html += ': ' + captured.slice(0, 8).map(function (c) { return self.escapeHtml(c.CategoryName); }).join(', ');
+                if (captured.length > 8) html += ' and ' + (captured.length - 8) + ' more';
+            }
+            preview.innerHTML = html;
+        });
+
+        container.querySelectorAll('.folder-pool-item').forEach(function (row) {
+            var badge = row.querySelector('.folder-pool-rule');
+            if (!badge) return;
+            var folderIndex = match.folderByCategory[parseInt(row.getAttribute('data-category-id'))];
+            badge.textContent = folderIndex === undefined ? '' : 'rule: ' + (definitions[folderIndex].name || 'unnamed folder');
+        });
+    },
+
+    // Returns a "<Provider> / <Content>" label for the first provider whose Multiple folder mode
+    // configuration assigns no categories at all, or null when every provider is fine. Reads the
+    // mappings rather than Selected*CategoryIds because the mappings are what the sync now filters
+    // on (GitHub #78), and a name rule counts as an assignment: it picks its categories at sync time. Every provider is checked, not just the active one: switching providers
+    // flushes the outgoing one into this.providers, so a broken config can be sitting there
+    // unsaved while a different provider is on screen.
+    // Call only after updateActiveProviderFromUI, so this sees what would actually be persisted.
+    findEmptyFolderModeContent: function () {
+        for (var i = 0; i < this.providers.length; i++) {
+            var p = this.providers[i];
+            if (!p) {
+                continue;
+            }
+            var label = p.Name || ('Provider ' + (i + 1));
+
+            // Only complain about content the provider actually syncs. Without the Sync* check,
+            // someone who turns Movies off while its folder mode happens to be Multiple would be
+            // blocked out of saving anything at all, with no way through but changing a setting
+            // that no longer matters. Compared against false, not truthiness, because a provider
+            // object written by an older UI may not carry the field.
+            if (p.SyncMovies !== false && p.MovieFolderMode === 'Multiple' && !p.MovieFolderMappings && !p.MovieFolderRules) {
+                return label + ' / Movies';
+            }
+            if (p.SyncSeries !== false && p.SeriesFolderMode === 'Multiple' && !p.SeriesFolderMappings && !p.SeriesFolderRules) {
+                return label + ' / Series';
+            }
+        }
+        return null;
+    },
+
+    // Get all category IDs from folder definitions
+    getAllCategoryIdsFromFolders: function (type) {
+        return this.categoryIdsOfFolders(type === 'vod' ? this.vodFolderDefinitions : this.seriesFolderDefinitions);
+    },
+
+    // The union of the category IDs of the given folders, in first-seen order.
+    categoryIdsOfFolders: function (definitions) {
+        var allIds = [];
+        for (var i = 0; i < definitions.length; i++) {
+            for (var j = 0; j < definitions[i].categoryIds.length; j++) {
+                var id = definitions[i].categoryIds[j];
+                if (allIds.indexOf(id) === -1) {
+                    allIds.push(id);
+                }
+            }
+        }
+        return allIds;
+    },
+
+    // Update folder definitions from UI checkboxes
+    updateFolderDefinitionsFromUI: function (type) {
+        var definitions = type === 'vod' ? this.vodFolderDefinitions : this.seriesFolderDefinitions;
+        var folders = this.readFolderDefinitionsFromUI(type);
+        definitions.length = 0; // Clear array
+        folders.forEach(function (folder) { definitions.push(folder); });
+    },
+
+    // Reads the named folders of a folder builder into a new array, or copies the stored folder
+    // definitions when the builder has not been drawn.
+    readFolderDefinitionsFromUI: function (type) {
+        var definitions = type === 'vod' ? this.vodFolderDefinitions : this.seriesFolderDefinitions;
+        var listId = type === 'vod' ? 'vodFolderList' : 'seriesFolderList';
+        var container = document.getElementById(listId);
+        if (!container) {
+            return definitions.slice();
+        }
+        var folderItems = container.querySelectorAll('.folder-item');
+
+        // renderFolderList short-circuits to a "Load categories first" placeholder when the
+        // category fetch has not resolved (or failed), so an empty node list here means the folder
+        // UI was never drawn - not that the user removed every folder. Reading it as no folders
+        // silently destroys a saved folder configuration and drops the provider into
+        // "no categories assigned", which is the state that used to sync the whole catalogue into
+        // the library root (GitHub #78).
+        if (folderItems.length === 0 && definitions.length > 0) {
+            return definitions.slice();
+        }
+
+        var self = this;
+        var folders = [];
+        folderItems.forEach(function (item) {
+            var folder = self.readFolderItem(item);
+            if (folder.name) {
+                folders.push(folder);
+            }
+        });
+        return folders;
+    },
+
+    // Reads one rendered folder: its name and the category chips dropped into it.
+    readFolderItem: function (item) {
+        var nameInput = item.querySelector('.folder-name-input');
+        var ruleInput = item.querySelector('.folder-rule-input');
+        var categoryIds = [];
+        item.querySelectorAll('.folder-category-chip').forEach(function (chip) {
+            categoryIds.push(parseInt(chip.getAttribute('data-category-id')));
+        });
+        var folder = { name: nameInput ? nameInput.value.trim() : '', categoryIds: categoryIds };
+        // Only carried by folders that have a rule, like the definitions parseFolderMappings returns
+        if (ruleInput && ruleInput.value.trim()) {
+            folder.pattern = ruleInput.value.trim();
+        }
+        return folder;
+    },
+
+    // Update visibility based on folder mode.
+    //
+    // fromModeSwitch marks the two folder-mode dropdowns as the caller. Only then may the flat
+    // category list be seeded from the folder assignments - see the Single branch below.
+    updateFolderModeVisibility: function (type, fromModeSwitch) {
+        var modeSelect = document.getElementById(type === 'vod' ? 'selMovieFolderMode' : 'selSeriesFolderMode');
+        var categoriesModeSection = document.getElementById(type === 'vod' ? 'movieCategoriesModeContainer' : 'seriesCategoriesModeContainer');
+        var singleSection = document.getElementById(type === 'vod' ? 'vodSingleFolderSection' : 'seriesSingleFolderSection');
+        var multiSection = document.getElementById(type === 'vod' ? 'vodMultiFolderSection' : 'seriesMultiFolderSection');
+
+        var mode = modeSelect.value;
+
+        if (mode === 'Multiple') {
+            singleSection.style.display = 'none';
+            categoriesModeSection.style.display = 'none';
+            multiSection.style.display = 'block';
+            this.renderFolderList(type);
+        } else {
+            singleSection.style.display = 'block';
+            categoriesModeSection.style.display = 'block';
+            multiSection.style.display = 'none';
+
+            // Multiple folder mode never renders this list, so arriving here from it leaves an
+            // empty container. Saving an empty container writes "no categories selected", which
+            // means sync everything - the same failure as GitHub #78, hit while the user is
+            // narrowing their config. Mirror what the Multiple branch above does.
+            var selected = type === 'vod' ? this.selectedVodCategoryIds : this.selectedSeriesCategoryIds;
+
+            // In Multiple folder mode the user's category choices live in the folder assignments,
+            // not in this flat list, and any config last saved before the #78 fix carries an empty
+            // SelectedVodCategoryIds. Seeding the repaint from that field alone paints every box
+            // unticked over a real selection, and the save that follows means "sync everything"
+            // (GitHub #81).
+            //
+            // Gated on an actual mode switch: loadProviderIntoUI also calls this, before the folder
+            // UI has been drawn and with the render discarded a few lines later, so seeding there
+            // would only mutate state nobody asked to change.
+            //
+            // Not an emby-checkbox problem, whatever the issue says. Measured against the real
+            // component on 10.11, the checked attribute and property both survive insertion on
+            // every path, including from inside a change dispatch.
+            if (fromModeSwitch && (!selected || selected.length === 0)) {
+                this.updateFolderDefinitionsFromUI(type);
+                var fromFolders = this.getAllCategoryIdsFromFolders(type);
+                if (fromFolders.length > 0) {
+                    selected = fromFolders;
+                    if (type === 'vod') {
+                        this.selectedVodCategoryIds = fromFolders;
+                    } else {
+                        this.selectedSeriesCategoryIds = fromFolders;
                     }
-                });
+                }
+            }
+
+            this.renderCategoryList(
+                type,
+                type === 'vod' ? this.vodCategories : this.seriesCategories,
+                selected);
+        }
+    },
+
+    // Add a new folder definition
+    addFolder: function (type) {
+        this.updateFolderBuilder(type, function (definitions) {
+            definitions.push({ name: '', categoryIds: [] });
+        });
+    },
+
+    // Remove a folder definition
+    removeFolder: function (type, index) {
+        this.updateFolderBuilder(type, function (definitions) {
+            definitions.splice(index, 1);
+        });
+    },
+
+    // Categories that no folder holds yet, in provider order. In Multiple folder mode these are
+    // not synced at all: the folder mappings are the selection (GitHub #78).
+    getUnassignedCategories: function (categories, definitions) {
+        var assigned = {};
+        definitions.forEach(function (folder) {
+            folder.categoryIds.forEach(function (id) { assigned[id] = true; });
+        });
+        return categories.filter(function (category) {
+            return !assigned[category.CategoryId];
+        });
+    },
+
+    /**
+     * Applies a category drop to the folder definitions. fromIndex and toIndex are folder indexes,
+     * with -1 standing for the unassigned pool: pool to folder assigns, folder to pool unassigns,
+     * folder to folder moves - or, with copy set, adds the categories to the target as well, since
+     * a category may sit in several folders.
+     */
+    moveCategoriesBetweenFolders: function (definitions, categoryIds, fromIndex, toIndex, copy) {
+        if (fromIndex === toIndex) return;
+
+        if (toIndex >= 0 && definitions[toIndex]) {
+            var target = definitions[toIndex].categoryIds;
+            categoryIds.forEach(function (id) {
+                if (target.indexOf(id) === -1) target.push(id);
+            });
+        }
+
+        if (fromIndex >= 0 && definitions[fromIndex] && (toIndex < 0 || !copy)) {
+            definitions[fromIndex].categoryIds = definitions[fromIndex].categoryIds.filter(function (id) {
+                return categoryIds.indexOf(id) === -1;
+            });
+        }
+    },
+
+    // Moves a folder to another position. Folder order is kept in the mappings string, so it is
+    // what the user sees again after a reload.
+    moveFolderDefinition: function (definitions, fromIndex, toIndex) {
+        if (fromIndex === toIndex || !definitions[fromIndex] || toIndex < 0 || toIndex >= definitions.length) return;
+        var moved = definitions.splice(fromIndex, 1)[0];
+        definitions.splice(toIndex, 0, moved);
+    },
+
+    // Re-reads the builder from the DOM, hands the definitions to `mutate`, and redraws. Unlike
+    // updateFolderDefinitionsFromUI this keeps folders that have no name yet: the user is still
+    // filling them in, and a drop must not make them vanish.
+    updateFolderBuilder: function (type, mutate) {
+        var container = document.getElementById(type === 'vod' ? 'vodFolderList' : 'seriesFolderList');
+        var definitions = type === 'vod' ? this.vodFolderDefinitions : this.seriesFolderDefinitions;
+
+        if (container && container.querySelector('.folder-builder')) {
+            var self = this;
+            definitions = [];
+            container.querySelectorAll('.folder-item').forEach(function (item) {
+                definitions.push(self.readFolderItem(item));
+            });
+        }
+
+        mutate(definitions);
+        if (type === 'vod') {
+            this.vodFolderDefinitions = definitions;
+        } else {
+            this.seriesFolderDefinitions = definitions;
+        }
+        this.renderFolderList(type);
+    },
+
+    // The ids of the ticked rows in the unassigned pool
+    getTickedPoolCategoryIds: function (type) {
+        var container = document.getElementById(type === 'vod' ? 'vodFolderList' : 'seriesFolderList');
+        var ids = [];
+        if (!container) return ids;
+        container.querySelectorAll('.folder-pool-checkbox:checked').forEach(function (cb) {
+            ids.push(parseInt(cb.getAttribute('data-category-id')));
+        });
+        return ids;
+    },
+
+    // The non-drag route: assigns the ticked pool categories to a folder.
+    addTickedCategoriesToFolder: function (type, folderIndex) {
+        var self = this;
+        var ids = self.getTickedPoolCategoryIds(type);
+        if (ids.length === 0) {
+            Dashboard.alert('Tick one or more categories in the Unassigned list first, or drag them onto the folder.');
+            return;
+        }
+        self.updateFolderBuilder(type, function (definitions) {
+            self.moveCategoriesBetweenFolders(definitions, ids, -1, folderIndex, false);
+        });
+    },
+
+    filterFolderPool: function (type) {
+        var container = document.getElementById(type === 'vod' ? 'vodFolderList' : 'seriesFolderList');
+        if (!container) return;
+        var self = this;
+        var query = (this.folderPoolFilter[type] || '').trim().toLowerCase();
+        var newOnly = this.categoryNewOnly[type];
+        container.querySelectorAll('.folder-pool-item').forEach(function (item) {
+            var name = (item.getAttribute('data-category-name') || '').toLowerCase();
+            var shown = (query === '' || name.indexOf(query) !== -1)
+                && (!newOnly || self.isNewCategory(type, parseInt(item.getAttribute('data-category-id'))));
+            item.style.display = shown ? '' : 'none';
+        });
+    },
+
+    // Render the two-pane folder builder for multi-folder mode: unassigned categories on the
+    // left, folders on the right. Categories are dragged into folders, between them and back,
+    // and folders are reordered by their handle. The DOM is the working copy (see
+    // updateFolderDefinitionsFromUI), so every change redraws from the definitions.
+    renderFolderList: function (type) {
+        var definitions = type === 'vod' ? this.vodFolderDefinitions : this.seriesFolderDefinitions;
+        var categories = type === 'vod' ? this.vodCategories : this.seriesCategories;
+        var listId = type === 'vod' ? 'vodFolderList' : 'seriesFolderList';
+        var container = document.getElementById(listId);
+
+        if (categories.length === 0) {
+            container.innerHTML = '<div class="fieldDescription">Load categories first to configure folders.</div>';
+            return;
+        }
+
+        var html = '';
+        var self = this;
+        var categoryNames = {};
+        categories.forEach(function (category) {
+            categoryNames[category.CategoryId] = category.CategoryName;
+        });
+        var unassigned = self.getUnassignedCategories(categories, definitions);
+
+        html += '<div class="folder-builder">';
+
+        // Left pane: the unassigned pool, itself a drop target for taking categories out of a folder
+        html += '<div class="folder-builder-pool folder-drop-zone" data-drop-folder="-1">';
+        html += '<div class="folder-builder-pane-header"><strong>Unassigned</strong> <span class="folder-count-badge">' + unassigned.length + '</span></div>';
+        html += '<div class="fieldDescription" style="margin: 0 0 6px 0;">Not synced until dropped into a folder. Tick several to drag them together.</div>';
+        html += '<input type="text" class="folder-pool-search" placeholder="Filter categories..." value="' + self.escapeHtml(self.folderPoolFilter[type] || '') + '"/>';
+        html += '<div class="folder-pool-list">';
+        unassigned.forEach(function (category, poolIndex) {
+            html += '<label class="folder-pool-item" draggable="true" data-category-id="' + category.CategoryId + '" data-category-name="' + self.escapeHtml(category.CategoryName) + '">';
+            html += '<input type="checkbox" class="folder-pool-checkbox" data-category-id="' + category.CategoryId + '" data-pool-index="' + poolIndex + '"/>';
+            html += '<span>' + self.escapeHtml(category.CategoryName) + ' <small style="opacity:0.5;">(ID: ' + category.CategoryId + ')</small>' + self.newCategoryBadge(type, category.CategoryId) + '</span>';
+            html += '<span class="folder-pool-rule"></span>';
+            html += '</label>';
+        });
+        if (unassigned.length === 0) {
+            html += '<div class="fieldDescription">Every category is in a folder.</div>';
+        }
+        html += '</div>';
+        html += '</div>';
+
+        // Right pane: the folders
+        html += '<div class="folder-builder-folders">';
+        definitions.forEach(function (folder, folderIndex) {
+            var count = folder.categoryIds.length;
+            html += '<div class="folder-item folder-drop-zone" data-folder-index="' + folderIndex + '" data-drop-folder="' + folderIndex + '">';
+            html += '<div class="folder-item-header">';
+            html += '<span class="folder-drag-handle" draggable="true" data-folder-index="' + folderIndex + '" title="Drag to reorder">&#9776;</span>';
+            html += '<input type="text" class="folder-name-input" placeholder="Folder name (e.g., Kids)" value="' + self.escapeHtml(folder.name) + '" style="padding: 8px; border-radius: 4px; border: 1px solid rgba(255,255,255,0.2); background: rgba(0,0,0,0.3); color: #fff;"/>';
+            html += '<span class="folder-count-badge">' + count + ' categor' + (count === 1 ? 'y' : 'ies') + '</span>';
+            html += self.folderItemCountBadge(type, folder.name);
+            html += '<button type="button" class="raised" onclick="XtreamLibraryConfig.addTickedCategoriesToFolder(\'' + type + '\', ' + folderIndex + ')" style="padding: 8px 12px; border: none; border-radius: 4px; cursor: pointer;">Add ticked</button>';
+            html += '<button type="button" class="raised" onclick="XtreamLibraryConfig.removeFolder(\'' + type + '\', ' + folderIndex + ')" style="background: #c0392b; padding: 8px 12px; border: none; border-radius: 4px; color: #fff; cursor: pointer;">Remove</button>';
+            html += '</div>';
+            html += '<div class="folder-rule-row">';
+            html += '<input type="text" class="folder-rule-input" placeholder="Name rule, e.g. EN | Kids* or re:^EN .*Kids" value="' + self.escapeHtml(folder.pattern || '') + '"/>';
+            html += '<div class="folder-rule-preview fieldDescription"></div>';
+            html += '</div>';
+            html += '<div class="folder-chip-list">';
+            folder.categoryIds.forEach(function (id) {
+                // A mapping can outlive the category on the provider. Keep it visible so it can be
+                // removed, rather than dropping it from the save behind the user's back.
+                var known = Object.prototype.hasOwnProperty.call(categoryNames, id);
+                var goneName = known ? null : self.knownCategoryName(type, id);
+                html += '<span class="folder-category-chip' + (known ? '' : ' folder-category-chip-missing') + '" draggable="true" data-category-id="' + id + '" data-folder-index="' + folderIndex + '"'
+                    + (known ? '' : ' title="This category no longer exists on the provider"') + '>';
+                if (goneName !== null) html += '<span class="category-gone-badge">Gone</span> ';
+                html += self.escapeHtml(known ? categoryNames[id] : (goneName !== null ? goneName : 'Missing category')) + ' <small style="opacity:0.5;">(' + id + ')</small>';
+                if (known) html += self.newCategoryBadge(type, id);
+                html += '<button type="button" class="folder-chip-remove" data-category-id="' + id + '" data-folder-index="' + folderIndex + '" title="Remove from folder">&times;</button>';
+                html += '</span>';
+            });
+            if (count === 0) {
+                html += '<div class="fieldDescription" style="margin: 0;">Drag categories here.</div>';
+            }
+            html += '</div>';
+            html += '</div>';
+        });
+
+        if (definitions.length === 0) {
+            html += '<div class="fieldDescription">No folders defined. Click "Add Folder" to create one.</div>';
+        }
+        html += '</div>';
+        html += '</div>';
+
+        container.innerHTML = html;
+        self.folderPoolLastIndex[type] = null;
+        self.filterFolderPool(type);
+        self.updateFolderRulePreview(type);
+        self.wireFolderBuilder(type, container);
+    },
+
+    // Drag-and-drop and the chip/pool controls, delegated from the folder list container so the
+    // redraws in renderFolderList need no re-wiring.
+    wireFolderBuilder: function (type, container) {
+        var self = this;
+        if (container.getAttribute('data-builder-wired') === 'true') return;
+        container.setAttribute('data-builder-wired', 'true');
+
+        var clearDropTargets = function () {
+            container.querySelectorAll('.folder-drop-target').forEach(function (el) {
+                el.classList.remove('folder-drop-target');
+            });
+        };
+
+        container.addEventListener('dragstart', function (e) {
+            var handle = e.target.closest('.folder-drag-handle');
+            var chip = e.target.closest('.folder-category-chip');
+            var poolItem = e.target.closest('.folder-pool-item');
+
+            if (handle) {
+                self.folderDrag = { type: type, kind: 'folder', from: parseInt(handle.getAttribute('data-folder-index')) };
+            } else if (chip) {
+                self.folderDrag = { type: type, kind: 'category', from: parseInt(chip.getAttribute('data-folder-index')), ids: [parseInt(chip.getAttribute('data-category-id'))] };
+            } else if (poolItem) {
+                // Dragging a ticked row takes every ticked row along; an unticked one goes alone.
+                var id = parseInt(poolItem.getAttribute('data-category-id'));
+                var ticked = self.getTickedPoolCategoryIds(type);
+                self.folderDrag = { type: type, kind: 'category', from: -1, ids: ticked.indexOf(id) !== -1 ? ticked : [id] };
+            } else {
+                return;
+            }
+            e.dataTransfer.effectAllowed = 'copyMove';
+            // Firefox will not start a drag without data
+            e.dataTransfer.setData('text/plain', '');
+        });
+
+        container.addEventListener('dragover', function (e) {
+            var zone = e.target.closest('.folder-drop-zone');
+            if (!zone || !self.folderDrag || self.folderDrag.type !== type) return;
+            if (self.folderDrag.kind === 'folder' && !zone.classList.contains('folder-item')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = (e.ctrlKey || e.altKey) && self.folderDrag.from >= 0 ? 'copy' : 'move';
+            clearDropTargets();
+            zone.classList.add('folder-drop-target');
+        });
+
+        container.addEventListener('drop', function (e) {
+            var zone = e.target.closest('.folder-drop-zone');
+            var drag = self.folderDrag;
+            self.folderDrag = null;
+            clearDropTargets();
+            if (!zone || !drag || drag.type !== type) return;
+            e.preventDefault();
+
+            var target = parseInt(zone.getAttribute('data-drop-folder'));
+            self.updateFolderBuilder(type, function (definitions) {
+                if (drag.kind === 'folder') {
+                    self.moveFolderDefinition(definitions, drag.from, target);
+                } else {
+                    self.moveCategoriesBetweenFolders(definitions, drag.ids, drag.from, target, e.ctrlKey || e.altKey);
+                }
+            });
+        });
+
+        container.addEventListener('dragend', function () {
+            self.folderDrag = null;
+            clearDropTargets();
+        });
+
+        container.addEventListener('click', function (e) {
+            var remove = e.target.closest('.folder-chip-remove');
+            if (remove) {
+                e.preventDefault();
+                var ids = [parseInt(remove.getAttribute('data-category-id'))];
+                var from = parseInt(remove.getAttribute('data-folder-index'));
+                self.updateFolderBuilder(type, function (definitions) {
+                    self.moveCategoriesBetweenFolders(definitions, ids, from, -1, false);
+                });
+                return;
+            }
+
+            // Shift+click ticks a range of the (visible) pool, as the category lists do
+            if (e.target.classList && e.target.classList.contains('folder-pool-checkbox')) {
+                var boxes = Array.prototype.filter.call(container.querySelectorAll('.folder-pool-checkbox'), function (cb) {
+                    return cb.closest('.folder-pool-item').style.display !== 'none';
+                });
+                var current = boxes.indexOf(e.target);
+                var last = self.folderPoolLastIndex[type];
+                if (e.shiftKey && last !== null && current !== -1 && last !== current) {
+                    var start = Math.min(last, current);
+                    var end = Math.max(last, current);
+                    for (var i = start; i <= end; i++) {
+                        boxes[i].checked = e.target.checked;
+                    }
+                }
+                self.folderPoolLastIndex[type] = current;
+            }
+        });
+
+        container.addEventListener('input', function (e) {
+            if (!e.target.classList) return;
+            if (e.target.classList.contains('folder-pool-search')) {
+                self.folderPoolFilter[type] = e.target.value;
+                self.filterFolderPool(type);
+            } else if (e.target.classList.contains('folder-rule-input') || e.target.classList.contains('folder-name-input')) {
+                self.updateFolderRulePreview(type);
+            }
+        });
+    },
+
+    testConnection: function () {
+        const statusSpan = document.getElementById('connectionStatus');
+        statusSpan.innerHTML = '<span style="color: orange;">Testing...</span>';
+
+        const baseUrl = document.getElementById('txtBaseUrl').value.trim().replace(/\/$/, '');
+
+        // Validate URL format
+        try {
+            new URL(baseUrl);
+        } catch (e) {
+            statusSpan.innerHTML = '<span style="color: red;">Invalid URL format. Must include protocol (http:// or https://)</span>';
+            return;
+        }
+
+        this.requestConnectionTest(baseUrl).then(function (data) {
+            if (data.Success) {
+                statusSpan.innerHTML = '<span style="color: green;">' + data.Message + '</span>';
+            } else {
+                statusSpan.innerHTML = '<span style="color: red;">' + data.Message + '</span>';
+            }
+        }).catch(function (error) {
+            console.error('TestConnection error:', error);
+            statusSpan.innerHTML = '<span style="color: red;">Connection failed: ' + (error.message || 'Check console for details') + '</span>';
+        });
+    },
+
+    // Splits a link a provider hands out into its base URL and credentials. Understands the
+    // playlist and API links (get.php, player_api.php, xmltv.php and the like, credentials in the
+    // query string) and stream links (/live/, /movie/, /series/, /timeshift/ with the credentials
+    // in the path). Anything in the path before those is kept in the base URL, for panels that sit
+    // under a subfolder. Returns null for anything else.
+    parseProviderLink: function (text) {
+        var url;
+        try {
+            url = new URL(String(text || '').trim());
+        } catch (e) {
+            return null;
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+
+        var segments = url.pathname.split('/').filter(function (part) { return part !== ''; });
+        var prefix, username, password;
+        var last = segments.length > 0 ? segments[segments.length - 1] : '';
+        if (/\.php$/i.test(last)) {
+            prefix = segments.slice(0, -1);
+            username = url.searchParams.get('username');
+            password = url.searchParams.get('password');
+        } else {
+            var at = -1;
+            for (var i = 0; i < segments.length; i++) {
+                if (/^(live|movie|series|timeshift)$/i.test(segments[i])) {
+                    at = i;
+                    break;
+                }
+            }
+            if (at === -1 || segments.length < at + 3) return null;
+            // A % that starts no escape, as in 50%off, is the character itself: the provider
+            // matches the path as it was sent.
+            var decode = function (segment) {
+                try {
+                    return decodeURIComponent(segment);
+                } catch (e) {
+                    return segment;
+                }
+            };
+            prefix = segments.slice(0, at);
+            username = decode(segments[at + 1]);
+            password = decode(segments[at + 2]);
+        }
+        if (!username || password === null || password === undefined) return null;
+
+        return {
+            BaseUrl: url.origin + prefix.map(function (part) { return '/' + part; }).join(''),
+            Username: username,
+            Password: password
+        };
+    },
+
+    // Fills the credentials in from the pasted link and tests them straight away. The link holds
+    // the password, so it does not stay in the field.
+    applyProviderLink: function () {
+        var input = document.getElementById('txtProviderLink');
+        var status = document.getElementById('providerLinkStatus');
+        if (!input || !input.value.trim()) return;
+
+        var parsed = this.parseProviderLink(input.value);
+        if (!parsed) {
+            status.innerHTML = '<span style="color: red;">Not a link this can read. Paste a get.php, player_api.php or stream link.</span>';
+            return;
+        }
+
+        document.getElementById('txtBaseUrl').value = parsed.BaseUrl;
+        document.getElementById('txtUsername').value = parsed.Username;
+        document.getElementById('txtPassword').value = parsed.Password;
+        input.value = '';
+        status.innerHTML = '<span style="color: green;">Filled in from the link.</span>';
+        this.scheduleDirtyCheck();
+        this.testConnection();
+    },
+
+    // Logs in to baseUrl with the credentials on the form, which is what the sync will do.
+    requestConnectionTest: function (baseUrl) {
+        return fetch(ApiClient.getUrl('XtreamLibrary/TestConnection'), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
+            },
+            body: JSON.stringify({
+                BaseUrl: baseUrl,
+                Username: document.getElementById('txtUsername').value.trim(),
+                Password: document.getElementById('txtPassword').value
+            })
+        }).then(function (response) {
+            return response.json();
+        });
+    },
+
+    normalizeBaseUrl: function (url) {
+        return String(url || '').trim().replace(/\/+$/, '');
+    },
+
+    // The backups as the save writes them: tidied, without blanks, repeats or the Base URL itself.
+    readBackupBaseUrls: function (baseUrl) {
+        var self = this;
+        var seen = [this.normalizeBaseUrl(baseUrl).toLowerCase()];
+        var urls = [];
+        this.backupBaseUrls.forEach(function (url) {
+            var normalized = self.normalizeBaseUrl(url);
+            if (!normalized || seen.indexOf(normalized.toLowerCase()) !== -1) return;
+            seen.push(normalized.toLowerCase());
+            urls.push(normalized);
+        });
+        return urls;
+    },
+
+    moveBackupBaseUrl: function (fromIndex, toIndex) {
+        var urls = this.backupBaseUrls;
+        if (fromIndex === toIndex || fromIndex < 0 || fromIndex >= urls.length || toIndex < 0 || toIndex >= urls.length) return;
+        urls.splice(toIndex, 0, urls.splice(fromIndex, 1)[0]);
+    },
+
+    renderBackupBaseUrls: function () {
+        var self = this;
+        var container = document.getElementById('backupBaseUrlList');
+        if (!container) return;
+
+        var last = this.backupBaseUrls.length - 1;
+        var html = '';
+        this.backupBaseUrls.forEach(function (url, i) {
+            var button = function (action, label, title, disabled) {
+                return '<button is="emby-button" type="button" class="raised backup-url-btn" data-action="' + action + '" data-backup-index="' + i + '"'
+                    + (title ? ' title="' + title + '"' : '') + (disabled ? ' disabled' : '') + '><span>' + label + '</span></button>';
+            };
+            html += '<div class="backup-url-row">';
+            html += '<span class="folder-count-badge">' + (i + 1) + '</span>';
+            html += '<input type="text" class="backup-url-input" id="txtBackupBaseUrl' + i + '" data-backup-index="' + i + '" value="' + self.escapeHtml(url) + '" placeholder="http://backup.provider.com:8000" />';
+            html += button('up', '&#9650;', 'Try earlier', i === 0);
+            html += button('down', '&#9660;', 'Try later', i === last);
+            html += button('test', 'Test');
+            html += button('remove', 'Remove');
+            html += '<span class="backup-url-status" id="backupUrlStatus' + i + '"></span>';
+            html += '</div>';
+        });
+        container.innerHTML = html || '<span class="library-missing">No backup URLs. The sync only uses the Base URL.</span>';
+        this.wireBackupBaseUrls(container);
+    },
+
+    // Typing, reordering, testing and removing, delegated from the list container so the redraws
+    // in renderBackupBaseUrls need no re-wiring.
+    wireBackupBaseUrls: function (container) {
+        var self = this;
+        if (container.getAttribute('data-backup-wired') === 'true') return;
+        container.setAttribute('data-backup-wired', 'true');
+
+        // The list is not redrawn while a URL is typed, so the input keeps its focus.
+        container.addEventListener('input', function (e) {
+            if (!e.target.classList.contains('backup-url-input')) return;
+            self.backupBaseUrls[parseInt(e.target.getAttribute('data-backup-index'))] = e.target.value;
+            if (self.fieldErrorsShown) {
+                self.renderFieldErrors(self.collectFieldErrors());
+            }
+        });
+
+        container.addEventListener('click', function (e) {
+            var btn = e.target.closest('.backup-url-btn');
+            if (!btn) return;
+            e.preventDefault();
+            var index = parseInt(btn.getAttribute('data-backup-index'));
+            switch (btn.getAttribute('data-action')) {
+                case 'up':
+                    self.moveBackupBaseUrl(index, index - 1);
+                    break;
+                case 'down':
+                    self.moveBackupBaseUrl(index, index + 1);
+                    break;
+                case 'remove':
+                    self.backupBaseUrls.splice(index, 1);
+                    break;
+                case 'test':
+                    self.testBackupBaseUrl(index);
+                    return;
+            }
+            self.renderBackupBaseUrls();
+        });
+    },
+
+    testBackupBaseUrl: function (index) {
+        var self = this;
+        var status = document.getElementById('backupUrlStatus' + index);
+        var baseUrl = this.normalizeBaseUrl(this.backupBaseUrls[index]);
+        try {
+            new URL(baseUrl);
+        } catch (e) {
+            status.innerHTML = '<span style="color: red;">Invalid URL format. Must include protocol (http:// or https://)</span>';
+            return Promise.resolve();
+        }
+
+        status.innerHTML = '<span style="color: orange;">Testing...</span>';
+        return this.requestConnectionTest(baseUrl).then(function (data) {
+            status.innerHTML = '<span style="color: ' + (data.Success ? 'green' : 'red') + ';">' + self.escapeHtml(data.Message) + '</span>';
+        }).catch(function (error) {
+            status.innerHTML = '<span style="color: red;">Connection failed: ' + self.escapeHtml(error.message || 'Check console for details') + '</span>';
+        });
+    },
+
+    isSyncing: false,
+
+    runSync: function () {
+        const statusSpan = document.getElementById('syncStatus');
+        const syncBtn = document.getElementById('btnManualSync');
+        const self = this;
+
+        self.isSyncing = true;
+        syncBtn.querySelector('span').textContent = 'Cancel Sync';
+        syncBtn.style.background = '#c0392b';
+
+        // Start sync in background
+        fetch(ApiClient.getUrl('XtreamLibrary/Sync'), {
+            method: 'POST',
+            headers: {
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
+            }
+        }).then(function (response) {
+            return response.json();
+        }).then(function (data) {
+            if (data.Success) {
+                // Sync started successfully, begin polling for progress and completion
+                statusSpan.innerHTML = '<span style="color: orange;">Sync started...</span>';
+                self.watchSyncProgress();
+            } else if (data.Message && data.Message.includes('already in progress')) {
+                // Sync already running, just start polling
+                statusSpan.innerHTML = '<span style="color: orange;">Sync already in progress...</span>';
+                self.watchSyncProgress();
+            } else {
+                self.resetSyncButton();
+                statusSpan.innerHTML = '<span style="color: red;">Failed to start sync: ' + (data.Message || 'Unknown error') + '</span>';
+            }
+        }).catch(function (error) {
+            self.resetSyncButton();
+            console.error('Sync error:', error);
+            statusSpan.innerHTML = '<span style="color: red;">Sync failed: ' + (error.message || 'Check console for details') + '</span>';
+        });
+    },
+
+    // Follows a running sync on the Sync tab until it ends, then shows how it ended.
+    watchSyncProgress: function () {
+        var self = this;
+        self.subscribeProgress('syncTab', function (progress) {
+            if (progress.IsRunning) {
+                self.displayProgress(progress);
+            } else {
+                self.finishSyncProgress();
+            }
+        });
+    },
+
+    finishSyncProgress: function () {
+        const self = this;
+        const statusSpan = document.getElementById('syncStatus');
+
+        self.resetSyncButton();
+        self.loadSyncStatus();
+        // Check if it was success or failure
+        fetch(ApiClient.getUrl('XtreamLibrary/Status'), {
+            method: 'GET',
+            headers: {
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
+            }
+        }).then(function (r) {
+            return r.ok ? r.json() : null;
+        }).then(function (result) {
+            if (result) {
+                var skipped = self.orphanSkipSummary(result);
+                if (result.Success && skipped) {
+                    // The one moment the user is definitely looking at the page, so
+                    // a blocked cleanup must not read as an unqualified success.
+                    statusSpan.innerHTML = '<span style="color: #e0c882;">Sync completed, but cleanup of '
+                        + skipped.total.toLocaleString() + ' orphaned files was skipped - see Last Sync below.</span>';
+                } else if (result.Success) {
+                    statusSpan.innerHTML = '<span style="color: green;">Sync completed!</span>';
+                } else if (result.Error && result.Error.toLowerCase().includes('cancel')) {
+                    statusSpan.innerHTML = '<span style="color: orange;">Sync was cancelled.</span>';
+                } else {
+                    statusSpan.innerHTML = '<span style="color: red;">Sync failed: ' + (result.Error || 'Unknown error') + '</span>';
+                }
+            }
+        }).catch(function () {});
+    },
+
+    cancelSync: function () {
+        const statusSpan = document.getElementById('syncStatus');
+        statusSpan.innerHTML = '<span style="color: orange;">Cancelling sync...</span>';
+
+        fetch(ApiClient.getUrl('XtreamLibrary/Cancel'), {
+            method: 'POST',
+            headers: {
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
+            }
+        }).then(function (response) {
+            return response.json();
+        }).catch(function (error) {
+            console.error('Cancel error:', error);
+        });
+    },
+
+    resetSyncButton: function () {
+        const syncBtn = document.getElementById('btnManualSync');
+        this.isSyncing = false;
+        syncBtn.querySelector('span').textContent = 'Run Sync Now';
+        syncBtn.style.background = '';
+    },
+
+    // Asks the server what a sync would change right now, without running one.
+    previewSync: function () {
+        const statusSpan = document.getElementById('syncStatus');
+        const previewBtn = document.getElementById('btnPreviewSync');
+        const container = document.getElementById('syncPreview');
+        const self = this;
+
+        previewBtn.disabled = true;
+        statusSpan.innerHTML = '<span style="color: orange;">Planning sync - this fetches the full catalogue and can take a while...</span>';
+
+        fetch(ApiClient.getUrl('XtreamLibrary/Sync/Preview'), {
+            method: 'GET',
+            headers: {
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
+            }
+        }).then(function (r) {
+            if (r.ok) return r.json();
+            return r.text().then(function (text) {
+                throw new Error(text.replace(/^"|"$/g, '') || ('HTTP ' + r.status));
+            });
+        }).then(function (preview) {
+            previewBtn.disabled = false;
+            statusSpan.innerHTML = '';
+            container.innerHTML = self.buildSyncPreviewHtml(preview);
+            container.style.display = 'block';
+        }).catch(function (error) {
+            previewBtn.disabled = false;
+            console.error('Preview error:', error);
+            statusSpan.innerHTML = '<span style="color: red;">Preview failed: ' + self.escapeHtml(error.message || 'Check console for details') + '</span>';
+        });
+    },
+
+    /**
+     * The planned deletions put through orphanSkipSummary, so a preview that would trip the
+     * safety threshold reads the same as the Last Sync warning it would produce.
+     */
+    previewOrphanSkip: function (provider) {
+        var sum = function (folders) {
+            return (folders || []).reduce(function (total, f) { return total + (f.ToDelete || 0); }, 0);
+        };
+        var movies = provider.MovieCleanupBlockedByThreshold;
+        var episodes = provider.EpisodeCleanupBlockedByThreshold;
+        return this.orphanSkipSummary({
+            MovieOrphansSkipped: movies ? sum(provider.MovieFolders) : 0,
+            MovieOrphansExamined: movies ? provider.MovieFilesOnDisk : 0,
+            EpisodeOrphansSkipped: episodes ? sum(provider.SeriesFolders) : 0,
+            EpisodeOrphansExamined: episodes ? provider.EpisodeFilesOnDisk : 0,
+            OrphanSafetyThresholdApplied: provider.OrphanSafetyThreshold
+        });
+    },
+
+    buildSyncPreviewHtml: function (preview) {
+        var self = this;
+        var providers = (preview && preview.Providers) || [];
+        var html = '<strong>Sync Preview:</strong> ' + new Date(preview.GeneratedAt).toLocaleString();
+        html += ' <span style="opacity: 0.7;">(planned as a full sync; nothing has been written or deleted)</span>';
+
+        if (providers.length === 0) {
+            return html + '<br/><span style="opacity: 0.5;">No enabled providers to preview.</span>';
+        }
+
+        var cell = function (value, color, sign) {
+            return value > 0 ? '<span style="color: ' + color + ';">' + sign + value.toLocaleString() + '</span>' : '0';
+        };
+        var folderName = function (folder, root) {
+            return folder.Folder ? self.escapeHtml(folder.Folder) : '<em>' + root + '</em>';
+        };
+
+        providers.forEach(function (p) {
+            html += '<div class="sync-preview-provider">';
+            if (providers.length > 1) {
+                html += '<h4>' + self.escapeHtml(p.ProviderName) + '</h4>';
+            }
+
+            if (p.Failed) {
+                html += '<span style="color: #e08282;">Could not be previewed: ' + self.escapeHtml((p.Errors || [])[0] || 'unknown error') + '</span>';
+                html += '</div>';
+                return;
+            }
+
+            var skip = self.previewOrphanSkip(p);
+            if (skip) {
+                html += '<div class="sync-warning-panel">';
+                html += '<div class="sync-warning-title">Cleanup would be skipped: ' + skip.total.toLocaleString() + ' orphaned files ('
+                    + (skip.ratioPct !== null ? skip.ratioPct + '% of the library, ' : '') + 'over the ' + skip.thresholdPct + '% safety limit)</div>';
+                html += '<div class="sync-warning-detail">The sync would keep these files and report a warning instead of deleting them. ';
+                html += 'A high ratio usually means a provider outage or a changed base URL - check before raising the limit.</div>';
+                html += '</div>';
+            }
+            if (p.CleanupBlockedByEmptySelection) {
+                html += '<div class="sync-warning-panel"><div class="sync-warning-title">Cleanup would be skipped: a category selection resolves to nothing</div>';
+                html += '<div class="sync-warning-detail">Assign categories to your folders, or switch to Single folder mode.</div></div>';
+            }
+            if (!p.CleanupOrphans) {
+                html += '<div style="opacity: 0.7;">Orphan cleanup is off for this provider, so nothing would be deleted.</div>';
+            }
+
+            if ((p.MovieFolders || []).length > 0) {
+                html += '<table class="dashboard-history-table sync-preview-table">';
+                html += '<thead><tr><th>Movie folder</th><th>Add</th><th>Update</th><th>Delete</th></tr></thead><tbody>';
+                p.MovieFolders.forEach(function (f) {
+                    html += '<tr><td>' + folderName(f, 'Movies') + '</td>';
+                    html += '<td>' + cell(f.ToAdd, '#82e0aa', '+') + '</td>';
+                    html += '<td>' + cell(f.ToUpdate, '#85c1e9', '~') + '</td>';
+                    html += '<td>' + cell(f.ToDelete, '#e0c882', '-') + '</td></tr>';
+                });
+                html += '</tbody></table>';
+            }
+
+            if ((p.SeriesFolders || []).length > 0) {
+                html += '<table class="dashboard-history-table sync-preview-table">';
+                html += '<thead><tr><th>Series folder</th><th>Series added</th><th>Series deleted</th><th>Episodes added</th><th>Episodes updated</th><th>Episodes deleted</th></tr></thead><tbody>';
+                p.SeriesFolders.forEach(function (f) {
+                    html += '<tr><td>' + folderName(f, 'Series') + '</td>';
+                    html += '<td>' + cell(f.SeriesToAdd, '#82e0aa', '+') + '</td>';
+                    html += '<td>' + cell(f.SeriesToDelete, '#e0c882', '-') + '</td>';
+                    html += '<td>' + cell(f.ToAdd, '#82e0aa', '+') + '</td>';
+                    html += '<td>' + cell(f.ToUpdate, '#85c1e9', '~') + '</td>';
+                    html += '<td>' + cell(f.ToDelete, '#e0c882', '-') + '</td></tr>';
+                });
+                html += '</tbody></table>';
+            }
+
+            if ((p.MovieFolders || []).length === 0 && (p.SeriesFolders || []).length === 0) {
+                html += '<div style="opacity: 0.5;">Nothing to sync.</div>';
+            }
+
+            if (p.ErrorCount > 0) {
+                html += '<div style="color: #e08282; margin-top: 6px;">' + p.ErrorCount + ' fetch' + (p.ErrorCount === 1 ? '' : 'es') + ' failed; what they would have returned is planned as missing:</div>';
+                html += '<ul class="sync-preview-errors">';
+                (p.Errors || []).forEach(function (e) { html += '<li>' + self.escapeHtml(e) + '</li>'; });
+                html += '</ul>';
+            }
+            html += '</div>';
+        });
+
+        return html;
+    },
+
+    /**
+     * Registers a handler for sync progress under a key (one per view, so re-subscribing replaces
+     * it). Every view shares one channel: the server's event stream at XtreamLibrary/Progress/Stream,
+     * or polling XtreamLibrary/Progress when the stream cannot be opened or drops. Handlers get each
+     * snapshot, ending with one where IsRunning is false; the channel then closes and forgets them.
+     */
+    subscribeProgress: function (key, handler) {
+        this.progressSubscribers[key] = handler;
+        this.openProgressChannel();
+    },
+
+    unsubscribeProgress: function (key) {
+        delete this.progressSubscribers[key];
+        if (Object.keys(this.progressSubscribers).length === 0) {
+            this.closeProgressChannel();
+        }
+    },
+
+    openProgressChannel: function () {
+        var self = this;
+        if (self.progressSource || self.progressPollInterval) return;
+        self.progressChannelOpenedAt = Date.now();
+        self.progressSeenRunning = false;
+
+        if (typeof EventSource === 'undefined') {
+            self.startProgressPollingFallback();
+            return;
+        }
+
+        var source;
+        try {
+            // EventSource cannot send an Authorization header; Jellyfin also accepts the token here.
+            source = new EventSource(ApiClient.getUrl('XtreamLibrary/Progress/Stream', { api_key: ApiClient.accessToken() }));
+        } catch (e) {
+            self.startProgressPollingFallback();
+            return;
+        }
+        self.progressSource = source;
+
+        source.addEventListener('progress', function (e) {
+            var progress;
+            try {
+                progress = JSON.parse(e.data);
+            } catch (err) {
+                return;
+            }
+            self.dispatchProgress(progress);
+        });
+        source.onerror = function () {
+            if (self.progressSource !== source) return;
+            // EventSource would keep reconnecting by itself, but a proxy that buffers or cuts the
+            // stream fails the same way every time. Polling works through anything.
+            source.close();
+            self.progressSource = null;
+            self.startProgressPollingFallback();
+        };
+    },
+
+    startProgressPollingFallback: function () {
+        var self = this;
+        if (self.progressPollInterval) return;
+
+        self.progressPollInterval = setInterval(function () {
+            fetch(ApiClient.getUrl('XtreamLibrary/Progress'), {
+                method: 'GET',
+                headers: {
+                    'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
+                }
+            }).then(function (r) {
+                return r.ok ? r.json() : null;
+            }).then(function (progress) {
+                // A failed poll says nothing about the sync; wait for the next one.
+                if (progress && self.progressPollInterval) {
+                    self.dispatchProgress(progress);
+                }
+            }).catch(function () {});
+        }, 500);
+    },
+
+    closeProgressChannel: function () {
+        if (this.progressSource) {
+            this.progressSource.close();
+            this.progressSource = null;
+        }
+        if (this.progressPollInterval) {
+            clearInterval(this.progressPollInterval);
+            this.progressPollInterval = null;
+        }
+    },
+
+    dispatchProgress: function (progress) {
+        if (progress.IsRunning) {
+            this.progressSeenRunning = true;
+        } else if (!this.progressSeenRunning && Date.now() - this.progressChannelOpenedAt < this.progressIdleGraceMs) {
+            // Polled before the sync that was just started has set IsRunning. The stream holds
+            // these back on the server.
+            return;
+        }
+
+        var subscribers = this.progressSubscribers;
+        if (!progress.IsRunning) {
+            this.progressSubscribers = {};
+            this.closeProgressChannel();
+        }
+        Object.keys(subscribers).forEach(function (key) {
+            try {
+                subscribers[key](progress);
+            } catch (e) {
+                console.error('Progress handler "' + key + '" failed:', e);
+            }
+        });
+    },
+
+    displayProgress: function (progress) {
+        const statusSpan = document.getElementById('syncStatus');
+        let html = '<br/><span style="color: orange;">';
+        if (progress.MoviePhase || progress.SeriesPhase) {
+            if (progress.MoviePhase) html += progress.MoviePhase;
+            if (progress.SeriesPhase) {
+                if (progress.MoviePhase) html += '<br/>';
+                html += progress.SeriesPhase;
+            }
+        } else {
+            html += progress.Phase;
+        }
+        if (progress.CurrentItem) {
+            html += ': ' + this.escapeHtml(progress.CurrentItem);
+        }
+        if (progress.TotalCategories > 0) {
+            html += '<br/>Batches: ' + progress.CategoriesProcessed + '/' + progress.TotalCategories;
+        }
+        if (progress.TotalItems > 0) {
+            html += ' | Items: ' + progress.ItemsProcessed + '/' + progress.TotalItems;
+        }
+        if (progress.LiveTvPhase) {
+            html += '<br/>' + this.escapeHtml(progress.LiveTvPhase);
+        }
+        const created = [];
+        if (progress.MoviesCreated > 0) created.push(progress.MoviesCreated + ' movies');
+        if (progress.EpisodesCreated > 0) created.push(progress.EpisodesCreated + ' episodes');
+        if ((progress.ChannelsCreated || 0) > 0) created.push(progress.ChannelsCreated + ' channels');
+        if (created.length > 0) {
+            html += '<br/>Created: ' + created.join(', ');
+        }
+        const updated = [];
+        if ((progress.MoviesUpdated || 0) > 0) updated.push(progress.MoviesUpdated + ' movies');
+        if ((progress.EpisodesUpdated || 0) > 0) updated.push(progress.EpisodesUpdated + ' episodes');
+        if ((progress.ChannelsUpdated || 0) > 0) updated.push(progress.ChannelsUpdated + ' channels');
+        if (updated.length > 0) {
+            html += '<br/>Updated: ' + updated.join(', ');
+        }
+        html += '</span>';
+        statusSpan.innerHTML = html;
+    },
+
+    loadSyncStatus: function () {
+        const self = this;
+        ApiClient.fetch({
+            url: ApiClient.getUrl('XtreamLibrary/Status'),
+            type: 'GET',
+            dataType: 'json'
+        }).then(function (response) {
+            if (response && typeof response.json === 'function') {
+                return response.json();
+            }
+            return response;
+        }).then(function (data) {
+            if (data) {
+                self.displaySyncResult(data);
+            }
+        }).catch(function () {});
+    },
+
+    checkRunningSync: function () {
+        const self = this;
+        fetch(ApiClient.getUrl('XtreamLibrary/Progress'), {
+            method: 'GET',
+            headers: {
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
+            }
+        }).then(function (r) {
+            return r.ok ? r.json() : null;
+        }).then(function (progress) {
+            if (progress && progress.IsRunning) {
+                var syncBtn = document.getElementById('btnManualSync');
+                self.isSyncing = true;
+                syncBtn.querySelector('span').textContent = 'Cancel Sync';
+                syncBtn.style.background = '#c0392b';
+                self.displayProgress(progress);
+                self.watchSyncProgress();
+            }
+        }).catch(function () {});
+    },
+
+    formatDuration: function (startTime, endTime) {
+        var start = new Date(startTime);
+        var end = new Date(endTime);
+        var ms = end - start;
+        if (ms < 0) return '0s';
+        var seconds = Math.floor(ms / 1000);
+        var minutes = Math.floor(seconds / 60);
+        var hours = Math.floor(minutes / 60);
+        seconds = seconds % 60;
+        minutes = minutes % 60;
+        if (hours > 0) return hours + 'h ' + minutes + 'm ' + seconds + 's';
+        if (minutes > 0) return minutes + 'm ' + seconds + 's';
+        return seconds + 's';
+    },
+
+    /**
+     * Describes a run whose orphan cleanup was blocked by the safety threshold, or null when
+     * nothing was blocked. A blocked run still reports Success with 0 deleted and 0 errors, which
+     * is byte-identical to a genuinely clean run, so the counts have to be spelled out (GitHub #77).
+     */
+    orphanSkipSummary: function (result) {
+        if (!result) return null;
+
+        var movies = result.MovieOrphansSkipped || 0;
+        var episodes = result.EpisodeOrphansSkipped || 0;
+        var total = movies + episodes;
+        if (total === 0) return null;
+
+        var examined = (result.MovieOrphansExamined || 0) + (result.EpisodeOrphansExamined || 0);
+        return {
+            total: total,
+            movies: movies,
+            episodes: episodes,
+            ratioPct: examined > 0 ? Math.round((total / examined) * 100) : null,
+            thresholdPct: Math.round((result.OrphanSafetyThresholdApplied || 0) * 100)
+        };
+    },
+
+    displaySyncResult: function (result) {
+        const infoDiv = document.getElementById('lastSyncInfo');
+        if (!result) {
+            infoDiv.innerHTML = '';
+            this.updateFailedItemsDisplay([]);
+            return;
+        }
+
+        infoDiv.innerHTML = this.buildSyncResultHtml(result, 'Last Sync', true);
+        this.updateFailedItemsDisplay(result.FailedItems || []);
+    },
+
+    /**
+     * The breakdown of one sync run: status, duration, orphan-skip warning and per-type counts.
+     * Shared by the Sync tab's last result and the History tab's drill-down. Only the latest run
+     * is reviewable: older runs' blocked orphans have been replaced by whatever the next sync found.
+     */
+    buildSyncResultHtml: function (result, heading, reviewable) {
+        const orphanSkip = this.orphanSkipSummary(result);
+        const startTime = new Date(result.StartTime).toLocaleString();
+        let status;
+        if (!result.Success) {
+            status = '<span style="color: red;">Failed</span>';
+        } else if (orphanSkip) {
+            status = '<span style="color: #e0c882;">Completed with warnings</span>';
+        } else {
+            status = '<span style="color: green;">Success</span>';
+        }
+
+        const duration = this.formatDuration(result.StartTime, result.EndTime);
+
+        // Sync type badge
+        var syncBadge = '';
+        if (result.WasIncrementalSync) {
+            syncBadge = '<span style="background: #1a5276; color: #85c1e9; padding: 2px 8px; border-radius: 4px; font-size: 0.85em; margin-left: 8px;">Incremental</span>';
+        } else {
+            syncBadge = '<span style="background: #1e3a1e; color: #82e0aa; padding: 2px 8px; border-radius: 4px; font-size: 0.85em; margin-left: 8px;">Full Sync</span>';
+        }
+
+        let html = '<strong>' + heading + ':</strong> ' + startTime + ' - ' + status + syncBadge;
+        html += '<br/><span style="color: #aaa;">Duration: ' + duration + '</span>';
+
+        if (orphanSkip) {
+            var parts = [];
+            if (orphanSkip.movies > 0) parts.push(orphanSkip.movies.toLocaleString() + ' movies');
+            if (orphanSkip.episodes > 0) parts.push(orphanSkip.episodes.toLocaleString() + ' episodes');
+            var ratioText = orphanSkip.ratioPct !== null
+                ? orphanSkip.ratioPct + '% of the library, over the ' + orphanSkip.thresholdPct + '% safety limit'
+                : 'over the ' + orphanSkip.thresholdPct + '% safety limit';
+
+            html += '<div class="sync-warning-panel">';
+            html += '<div class="sync-warning-title">Skipped cleanup of ' + orphanSkip.total.toLocaleString() + ' orphaned files (' + ratioText + ')</div>';
+            html += '<div class="sync-warning-detail">' + parts.join(' and ') + ' are still on disk but no longer offered by the provider. ';
+            html += 'They stay until the cause is fixed or Orphan Safety Threshold is raised in the provider settings. ';
+            html += 'A high ratio usually means a provider outage or a changed base URL - check before raising the limit.</div>';
+            if (reviewable) {
+                html += '<div class="sync-warning-actions"><button is="emby-button" type="button" class="raised" onclick="XtreamLibraryConfig.openOrphanReview()"><span>Review orphaned files</span></button></div>';
+            }
+            html += '</div>';
+        }
+
+        html += '<br/><br/>';
+        html += '<strong>Movies</strong><br/>';
+        html += '&nbsp;&nbsp;Total: ' + (result.TotalMovies || (result.MoviesCreated + result.MoviesSkipped)) + '<br/>';
+        html += '&nbsp;&nbsp;' + result.MoviesCreated + ' added' + ((result.MoviesUpdated || 0) > 0 ? ', ' + result.MoviesUpdated + ' updated' : '') + ', ' + (result.MoviesDeleted || 0) + ' deleted<br/><br/>';
+        html += '<strong>Series</strong><br/>';
+        html += '&nbsp;&nbsp;Total: ' + (result.TotalSeries || (result.SeriesCreated + result.SeriesSkipped) || 0) + '<br/>';
+        html += '&nbsp;&nbsp;' + (result.SeriesCreated || 0) + ' added, ' + (result.SeriesDeleted || 0) + ' deleted<br/>';
+        html += '&nbsp;&nbsp;Seasons: ' + (result.TotalSeasons || (result.SeasonsCreated + result.SeasonsSkipped) || 0) + ' total';
+        html += ', ' + (result.SeasonsCreated || 0) + ' added, ' + (result.SeasonsDeleted || 0) + ' deleted<br/>';
+        html += '&nbsp;&nbsp;Episodes: ' + (result.TotalEpisodes || (result.EpisodesCreated + result.EpisodesSkipped)) + ' total';
+        html += ', ' + result.EpisodesCreated + ' added' + ((result.EpisodesUpdated || 0) > 0 ? ', ' + result.EpisodesUpdated + ' updated' : '') + ', ' + (result.EpisodesDeleted || 0) + ' deleted';
+
+        // Live TV channel counts (shown when Live TV is enabled and any field is populated).
+        var hasLiveTv = (result.TotalChannels || 0) > 0
+            || (result.ChannelsCreated || 0) > 0
+            || (result.ChannelsUpdated || 0) > 0
+            || (result.ChannelsDeleted || 0) > 0
+            || (result.ChannelsSkipped || 0) > 0;
+        if (hasLiveTv) {
+            html += '<br/><br/><strong>Live TV</strong><br/>';
+            html += '&nbsp;&nbsp;Total: ' + (result.TotalChannels || ((result.ChannelsCreated || 0) + (result.ChannelsUpdated || 0) + (result.ChannelsSkipped || 0))) + ' channels<br/>';
+            var parts = [];
+            parts.push((result.ChannelsCreated || 0) + ' added');
+            if ((result.ChannelsUpdated || 0) > 0) parts.push(result.ChannelsUpdated + ' updated');
+            parts.push((result.ChannelsDeleted || 0) + ' deleted');
+            html += '&nbsp;&nbsp;' + parts.join(', ');
+        }
+
+        if (result.Errors > 0) {
+            html += '<br/><br/><span style="color: orange;"><strong>Errors:</strong> ' + result.Errors + '</span>';
+        }
+        if (result.Error) {
+            html += '<br/><span style="color: red;"><strong>Error:</strong> ' + result.Error + '</span>';
+        }
+
+        return html;
+    },
+
+    /** Opens the orphan review panel on the first page, with the filters cleared. */
+    openOrphanReview: function () {
+        var panel = document.getElementById('orphanReviewPanel');
+        if (!panel) return;
+
+        document.getElementById('orphanReviewSearch').value = '';
+        document.getElementById('orphanReviewType').value = '';
+        panel.style.display = 'block';
+        this.loadBlockedOrphans(0);
+        if (panel.scrollIntoView) panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    },
+
+    closeOrphanReview: function () {
+        document.getElementById('orphanReviewPanel').style.display = 'none';
+        this.orphanReviewPage = null;
+        this.orphanReviewFilter = null;
+    },
+
+    readOrphanReviewFilter: function () {
+        return {
+            search: document.getElementById('orphanReviewSearch').value.trim(),
+            type: document.getElementById('orphanReviewType').value
+        };
+    },
+
+    buildOrphanReviewQuery: function (filter, startIndex, limit) {
+        var params = { startIndex: startIndex, limit: limit };
+        if (filter.search) params.search = filter.search;
+        if (filter.type) params.type = filter.type;
+        return params;
+    },
+
+    loadBlockedOrphans: function (startIndex) {
+        var self = this;
+        var container = document.getElementById('orphanReviewContent');
+        var filter = this.readOrphanReviewFilter();
+        var params = this.buildOrphanReviewQuery(filter, startIndex || 0, this.orphanReviewPageSize);
+
+        fetch(ApiClient.getUrl('XtreamLibrary/Orphans/Blocked', params), {
+            method: 'GET',
+            headers: {
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
+            }
+        }).then(function (r) {
+            if (!r.ok) {
+                return r.text().then(function (text) { throw new Error(text || ('HTTP ' + r.status)); });
+            }
+            return r.json();
+        }).then(function (page) {
+            self.orphanReviewPage = page;
+            self.orphanReviewFilter = filter;
+            container.innerHTML = self.buildOrphanReviewHtml(page);
+            document.getElementById('orphanReviewPager').innerHTML = self.buildPagerHtml(page, 'loadBlockedOrphans', self.orphanReviewPageSize);
+        }).catch(function (err) {
+            console.error('Orphan review load error:', err);
+            container.innerHTML = '<span style="color: #e08282;">Failed to load orphaned files: ' + self.escapeHtml(err.message) + '</span>';
+        });
+    },
+
+    /** The table of one page of blocked orphans, one checkbox per file. */
+    buildOrphanReviewHtml: function (page) {
+        var self = this;
+        var items = page.Items || [];
+        var blocked = (page.MovieCount || 0) + (page.EpisodeCount || 0);
+
+        var html = '<div class="orphan-review-summary">';
+        html += blocked === 0
+            ? 'Nothing left to review.'
+            : blocked.toLocaleString() + ' files blocked: ' + (page.MovieCount || 0).toLocaleString() + ' movies, ' + (page.EpisodeCount || 0).toLocaleString() + ' episodes.';
+        html += '</div>';
+        if (items.length === 0) {
+            if (blocked > 0) html += '<span style="opacity: 0.5;">No orphaned files match the filter.</span>';
+            return html;
+        }
+
+        var showProvider = this.providers.length > 1;
+        html += '<table class="dashboard-history-table orphan-review-table"><thead><tr>';
+        html += '<th><input type="checkbox" title="Select all on this page" onclick="XtreamLibraryConfig.toggleOrphanReviewPage(this.checked)" /></th>';
+        html += '<th>Type</th>';
+        if (showProvider) html += '<th>Provider</th>';
+        html += '<th>File</th></tr></thead><tbody>';
+        items.forEach(function (orphan, i) {
+            var provider = self.providers[orphan.ProviderIndex];
+            html += '<tr>';
+            html += '<td><input type="checkbox" class="orphan-review-check" data-index="' + i + '" /></td>';
+            html += '<td>' + self.escapeHtml(orphan.ItemType) + '</td>';
+            if (showProvider) {
+                html += '<td>' + self.escapeHtml(provider ? provider.Name : 'Provider ' + (orphan.ProviderIndex + 1)) + '</td>';
+            }
+            html += '<td>' + self.escapeHtml(orphan.Name) + '</td>';
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+        return html;
+    },
+
+    toggleOrphanReviewPage: function (checked) {
+        document.querySelectorAll('.orphan-review-check').forEach(function (box) {
+            box.checked = checked;
+        });
+    },
+
+    /** Full paths of the files ticked on the page on screen. */
+    selectedOrphanPaths: function () {
+        var items = (this.orphanReviewPage && this.orphanReviewPage.Items) || [];
+        var paths = [];
+        document.querySelectorAll('.orphan-review-check').forEach(function (box) {
+            var orphan = items[Number(box.getAttribute('data-index'))];
+            if (box.checked && orphan) paths.push(orphan.Path);
+        });
+        return paths;
+    },
+
+    /**
+     * The body for Orphans/Blocked/Resolve: the ticked paths, or with `all` the current filter,
+     * so "all matching" covers every page without the page having fetched them.
+     */
+    buildOrphanReviewRequest: function (action, all, paths, filter) {
+        if (all) {
+            return { Action: action, All: true, Search: filter.search || null, ItemType: filter.type || null };
+        }
+        return { Action: action, Paths: paths };
+    },
+
+    describeOrphanReviewResult: function (result) {
+        var parts = [];
+        if (result.Deleted > 0) parts.push('Deleted ' + result.Deleted + ' file' + (result.Deleted === 1 ? '' : 's'));
+        if (result.Kept > 0) parts.push('Kept ' + result.Kept + ' file' + (result.Kept === 1 ? '' : 's'));
+        if (result.Failed > 0) parts.push(result.Failed + ' could not be deleted and are still listed');
+        return parts.length > 0 ? parts.join('. ') + '.' : 'Nothing changed: the files were no longer on the list.';
+    },
+
+    resolveOrphans: function (action, all) {
+        var self = this;
+        var statusSpan = document.getElementById('orphanReviewStatus');
+        // The filter the page on screen was loaded with, whatever the inputs say by now: the
+        // count the user confirms is that page's.
+        var filter = this.orphanReviewFilter || { search: '', type: '' };
+        var paths = all ? [] : this.selectedOrphanPaths();
+        var count = all ? ((this.orphanReviewPage && this.orphanReviewPage.TotalRecordCount) || 0) : paths.length;
+
+        if (count === 0) {
+            statusSpan.innerHTML = '<span style="color: orange;">No files selected.</span>';
+            return;
+        }
+        var matching = all && filter.search ? ' matching "' + filter.search + '"' : '';
+        if (action === 'delete' && !confirm('Delete ' + count + ' orphaned file' + (count === 1 ? '' : 's') + matching + ' from disk?\n\nThis is a one-off decision; the Orphan Safety Threshold is not changed.')) return;
+
+        fetch(ApiClient.getUrl('XtreamLibrary/Orphans/Blocked/Resolve'), {
+            method: 'POST',
+            headers: {
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken(),
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(this.buildOrphanReviewRequest(action, all, paths, filter))
+        }).then(function (response) {
+            if (!response.ok) {
+                return response.text().then(function (text) { throw new Error(text || ('HTTP ' + response.status)); });
+            }
+            return response.json();
+        }).then(function (result) {
+            statusSpan.innerHTML = '<span style="color: green;">' + self.escapeHtml(self.describeOrphanReviewResult(result)) + '</span>';
+            var start = (self.orphanReviewPage && self.orphanReviewPage.StartIndex) || 0;
+            self.loadBlockedOrphans(all ? 0 : start);
+        }).catch(function (error) {
+            console.error('Orphan review error:', error);
+            statusSpan.innerHTML = '<span style="color: red;">Review failed: ' + self.escapeHtml(error.message || 'Check console for details') + '</span>';
+        });
+    },
+
+    updateFailedItemsDisplay: function (failedItems) {
+        const btnRetry = document.getElementById('btnRetryFailed');
+        const failedCount = document.getElementById('failedCount');
+        const failedList = document.getElementById('failedItemsList');
+        const failedContent = document.getElementById('failedItemsContent');
+
+        this.failedItems = failedItems;
+        if (failedItems.length > 0) {
+            btnRetry.style.display = 'inline-block';
+            failedCount.textContent = failedItems.length;
+            failedList.style.display = 'block';
+            this.renderFailedItemsBrowser();
+        } else {
+            btnRetry.style.display = 'none';
+            failedList.style.display = 'none';
+            failedContent.innerHTML = '';
+            this.failedItemsGroups = [];
+        }
+    },
+
+    /** Failed items whose name, type, ID or error message contains the query (any case). */
+    filterFailedItems: function (items, query) {
+        var needle = (query || '').trim().toLowerCase();
+        if (!needle) return items.slice();
+        return items.filter(function (item) {
+            return [item.Name, item.ItemType, item.ErrorMessage, String(item.ItemId)].some(function (text) {
+                return String(text || '').toLowerCase().indexOf(needle) !== -1;
+            });
+        });
+    },
+
+    sortFailedItemsBy: function (items, key, descending) {
+        var sign = descending ? -1 : 1;
+        return items.slice().sort(function (a, b) {
+            var x = String(a[key] || '').toLowerCase();
+            var y = String(b[key] || '').toLowerCase();
+            return x < y ? -sign : x > y ? sign : 0;
+        });
+    },
+
+    /**
+     * Splits the items into { label, items } groups by ItemType ('type') or by error message
+     * ('error'), largest group first; anything else is one unlabelled group. Item order inside a
+     * group is kept, so sorting applies within each group.
+     */
+    groupFailedItems: function (items, groupBy) {
+        if (groupBy !== 'type' && groupBy !== 'error') {
+            return [{ label: null, items: items }];
+        }
+
+        var groups = [];
+        var byLabel = {};
+        items.forEach(function (item) {
+            var label = groupBy === 'type' ? item.ItemType : (item.ErrorMessage || '(no error message)');
+            if (!Object.prototype.hasOwnProperty.call(byLabel, label)) {
+                byLabel[label] = { label: label, items: [] };
+                groups.push(byLabel[label]);
+            }
+            byLabel[label].items.push(item);
+        });
+        return groups.sort(function (a, b) { return b.items.length - a.items.length; });
+    },
+
+    /** Only movies and series have an exclusion list to be ignored into. */
+    canIgnoreFailedItem: function (item) {
+        return item.ItemType === 'Movie' || item.ItemType === 'Series';
+    },
+
+    renderFailedItemsBrowser: function () {
+        var container = document.getElementById('failedItemsContent');
+        var searchInput = document.getElementById('failedItemsSearch');
+        var groupSelect = document.getElementById('failedItemsGroupBy');
+        var self = this;
+
+        var sort = this.failedItemsSort;
+        var matching = this.sortFailedItemsBy(
+            this.filterFailedItems(this.failedItems, searchInput ? searchInput.value : ''),
+            sort.key,
+            sort.descending);
+        var groups = this.groupFailedItems(matching, groupSelect ? groupSelect.value : 'none');
+        this.failedItemsGroups = groups;
+
+        if (matching.length === 0) {
+            container.innerHTML = '<span style="opacity: 0.5;">No failed items match the search.</span>';
+            return;
+        }
+
+        var header = function (key, label) {
+            var arrow = sort.key === key ? (sort.descending ? ' &#9660;' : ' &#9650;') : '';
+            return '<th class="failed-items-sortable" onclick="XtreamLibraryConfig.setFailedItemsSort(\'' + key + '\')">' + label + arrow + '</th>';
+        };
+        var showProvider = this.providers.length > 1;
+
+        var html = '<table class="dashboard-history-table failed-items-table"><thead><tr>';
+        html += header('ItemType', 'Type') + header('Name', 'Name');
+        if (showProvider) html += '<th>Provider</th>';
+        html += header('ErrorMessage', 'Error') + header('FailedAt', 'Failed') + '<th></th></tr></thead><tbody>';
+
+        var columns = showProvider ? 6 : 5;
+        groups.forEach(function (group, gi) {
+            if (group.label !== null) {
+                var ignorable = group.items.some(function (item) { return self.canIgnoreFailedItem(item); });
+                html += '<tr class="failed-items-group"><td colspan="' + (columns - 1) + '">';
+                html += '<strong>' + self.escapeHtml(group.label) + '</strong> <span style="opacity: 0.6;">(' + group.items.length + ')</span></td>';
+                html += '<td class="failed-items-actions">';
+                html += '<button type="button" onclick="XtreamLibraryConfig.retryFailedGroup(' + gi + ')">Retry all</button>';
+                if (ignorable) {
+                    html += '<button type="button" onclick="XtreamLibraryConfig.ignoreFailedGroup(' + gi + ')">Ignore all</button>';
+                }
+                html += '</td></tr>';
+            }
+
+            group.items.forEach(function (item) {
+                var index = self.failedItems.indexOf(item);
+                html += '<tr>';
+                html += '<td><span style="color: orange;">' + self.escapeHtml(item.ItemType) + '</span></td>';
+                html += '<td>' + self.escapeHtml(item.Name) + '</td>';
+                if (showProvider) {
+                    html += '<td>' + self.escapeHtml(item.ProviderName || 'Provider ' + ((item.ProviderIndex || 0) + 1)) + '</td>';
+                }
+                html += '<td style="color: #888;">' + self.escapeHtml(item.ErrorMessage || '') + '</td>';
+                html += '<td style="white-space: nowrap;">' + (item.FailedAt ? new Date(item.FailedAt).toLocaleString() : '') + '</td>';
+                html += '<td class="failed-items-actions">';
+                html += '<button type="button" onclick="XtreamLibraryConfig.retryFailedItem(' + index + ')">Retry</button>';
+                if (self.canIgnoreFailedItem(item)) {
+                    html += '<button type="button" title="Add to the exclusion list so it is never synced again" onclick="XtreamLibraryConfig.ignoreFailedItem(' + index + ')">Ignore</button>';
+                }
+                html += '</td></tr>';
+            });
+        });
+
+        html += '</tbody></table>';
+        container.innerHTML = html;
+    },
+
+    setFailedItemsSort: function (key) {
+        var sort = this.failedItemsSort;
+        this.failedItemsSort = { key: key, descending: sort.key === key ? !sort.descending : false };
+        this.renderFailedItemsBrowser();
+    },
+
+    /**
+     * The server-side key of a failed item, as FailedItemRef in SyncController. The provider is named
+     * by its account key: the index the sync saw points at another provider once the list is reordered.
+     */
+    failedItemRef: function (item) {
+        return { ProviderKey: item.ProviderKey || '', ItemType: item.ItemType, ItemId: item.ItemId };
+    },
+
+    retryFailedItem: function (index) {
+        var item = this.failedItems[index];
+        if (item) this.retryFailed([this.failedItemRef(item)]);
+    },
+
+    retryFailedGroup: function (groupIndex) {
+        var group = this.failedItemsGroups[groupIndex];
+        if (group) this.retryFailed(group.items.map(this.failedItemRef));
+    },
+
+    ignoreFailedItem: function (index) {
+        var item = this.failedItems[index];
+        if (!item) return;
+        if (!confirm('Ignore "' + item.Name + '" from now on?\n\nIt is added to the excluded items and will not be synced again until you untick it in the Movies or Series tab.')) return;
+        this.ignoreFailedItems([this.failedItemRef(item)]);
+    },
+
+    ignoreFailedGroup: function (groupIndex) {
+        var self = this;
+        var group = this.failedItemsGroups[groupIndex];
+        if (!group) return;
+        var items = group.items.filter(function (item) { return self.canIgnoreFailedItem(item); });
+        if (items.length === 0) return;
+        if (!confirm('Ignore ' + items.length + ' item' + (items.length === 1 ? '' : 's') + ' from now on?\n\nThey are added to the excluded items and will not be synced again until you untick them in the Movies or Series tab.')) return;
+        this.ignoreFailedItems(items.map(this.failedItemRef));
+    },
+
+    ignoreFailedItems: function (refs) {
+        var statusSpan = document.getElementById('syncStatus');
+        var self = this;
+
+        fetch(ApiClient.getUrl('XtreamLibrary/FailedItems/Ignore'), {
+            method: 'POST',
+            headers: {
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken(),
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ Items: refs })
+        }).then(function (response) {
+            if (!response.ok) {
+                return response.text().then(function (text) { throw new Error(text || ('HTTP ' + response.status)); });
+            }
+            return response.json();
+        }).then(function (data) {
+            var applied = data.Applied || [];
+            self.applyIgnoredExclusions(applied);
+            var message = 'Ignored ' + applied.length + ' item' + (applied.length === 1 ? '' : 's') + '.';
+            if (data.Skipped > 0) {
+                message += ' ' + data.Skipped + ' belong to a provider that is no longer configured and were left in the list.';
+            }
+            statusSpan.innerHTML = '<span style="color: ' + (data.Skipped > 0 ? 'orange' : 'green') + ';">' + message + '</span>';
+            self.loadSyncStatus();
+        }).catch(function (error) {
+            console.error('Ignore error:', error);
+            statusSpan.innerHTML = '<span style="color: red;">Ignore failed: ' + self.escapeHtml(error.message || 'Check console for details') + '</span>';
+        });
+    },
+
+    /**
+     * Mirrors exclusions the server has just saved into the page: into the providers being edited,
+     * so the next Save does not write them back out, and into the saved baseline, so they do not
+     * show up as unsaved changes. Each entry names its provider by saved index, as the server
+     * resolved it, and finds it on the page by account.
+     */
+    applyIgnoredExclusions: function (applied) {
+        var self = this;
+        applied.forEach(function (ref) {
+            var field = ref.ItemType === 'Movie' ? 'ExcludedVodStreamIds' : 'ExcludedSeriesIds';
+            var lists = [];
+
+            var pageIndex = self.pageProviderIndex(ref.ProviderIndex);
+            var provider = self.providers[pageIndex];
+            if (provider && pageIndex === self.activeProviderIndex) {
+                lists.push(ref.ItemType === 'Movie' ? self.excludedVodStreamIds : self.excludedSeriesIds);
+            } else if (provider) {
+                provider[field] = provider[field] || [];
+                lists.push(provider[field]);
+            }
+
+            var saved = self.savedState && self.savedState.Providers[ref.ProviderIndex];
+            if (saved) {
+                saved[field] = saved[field] || [];
+                lists.push(saved[field]);
+            }
+
+            lists.forEach(function (list) {
+                if (list.indexOf(ref.ItemId) === -1) list.push(ref.ItemId);
+            });
+        });
+
+        if (this.savedState) this.normalizeConfigState(this.savedState);
+    },
+
+    buildFailedItemsHtml: function (failedItems) {
+        let html = '<ul style="margin: 5px 0; padding-left: 20px;">';
+        failedItems.forEach(function (item) {
+            html += '<li><span style="color: orange;">' + XtreamLibraryConfig.escapeHtml(item.ItemType) + ':</span> ';
+            html += XtreamLibraryConfig.escapeHtml(item.Name);
+            if (item.ErrorMessage) {
+                html += ' <span style="color: #888;">(' + XtreamLibraryConfig.escapeHtml(item.ErrorMessage) + ')</span>';
+            }
+            html += '</li>';
+        });
+        html += '</ul>';
+        return html;
+    },
+
+    /** Retries the listed failed items ({ ProviderKey, ItemType, ItemId }), or all of them. */
+    retryFailed: function (refs) {
+        const statusSpan = document.getElementById('syncStatus');
+        const self = this;
+        const request = {
+            method: 'POST',
+            headers: {
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
+            }
+        };
+        if (refs) {
+            request.headers['Content-Type'] = 'application/json';
+            request.body = JSON.stringify({ Items: refs });
+        }
+
+        statusSpan.innerHTML = '<span style="color: orange;">Retrying ' + (refs ? refs.length + ' failed item' + (refs.length === 1 ? '' : 's') : 'failed items') + '...</span>';
+
+        fetch(ApiClient.getUrl('XtreamLibrary/RetryFailed'), request).then(function (response) {
+            return response.json();
+        }).then(function (data) {
+            if (data.Success) {
+                statusSpan.innerHTML = '<span style="color: green;">Retry completed!</span>';
+                self.loadSyncStatus();
+            } else {
+                statusSpan.innerHTML = '<span style="color: red;">Retry failed: ' + (data.Error || 'Unknown error') + '</span>';
+            }
+        }).catch(function (error) {
+            console.error('Retry error:', error);
+            statusSpan.innerHTML = '<span style="color: red;">Retry failed: ' + (error.message || 'Check console for details') + '</span>';
+        });
+    },
+
+    loadVodCategories: function () {
+        const statusSpan = document.getElementById('vodCategoryLoadStatus');
+        statusSpan.innerHTML = '<span style="color: orange;">Loading...</span>';
+        const self = this;
+
+        fetch(ApiClient.getUrl('XtreamLibrary/Categories/Vod') + '?providerIndex=' + this.activeProviderIndex, {
+            method: 'GET',
+            headers: {
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
+            }
+        }).then(function (r) {
+            return r.ok ? r.json() : Promise.reject(r);
+        }).then(function (categories) {
+            self.vodCategories = categories || [];
+            self.categoryChanges.vod = self.diffKnownCategories(
+                (self.providers[self.activeProviderIndex] || {}).KnownVodCategories, self.vodCategories);
+            self.renderCategoryChanges('vod');
+            var mode = document.getElementById('selMovieFolderMode').value;
+            if (mode === 'Single') {
+                self.renderCategoryList('vod', self.vodCategories, self.selectedVodCategoryIds);
+                document.getElementById('vodSingleFolderSection').style.display = 'block';
+            } else {
+                self.renderFolderList('vod');
+                document.getElementById('vodMultiFolderSection').style.display = 'block';
+            }
+            statusSpan.innerHTML = '<span style="color: green;">Loaded ' + self.vodCategories.length + ' categories</span>';
+        }).catch(function (error) {
+            console.error('Failed to load VOD categories:', error);
+            statusSpan.innerHTML = '<span style="color: red;">Failed to load. Check credentials.</span>';
+        });
+    },
+
+    loadSeriesCategories: function () {
+        const statusSpan = document.getElementById('seriesCategoryLoadStatus');
+        statusSpan.innerHTML = '<span style="color: orange;">Loading...</span>';
+        const self = this;
+
+        fetch(ApiClient.getUrl('XtreamLibrary/Categories/Series') + '?providerIndex=' + this.activeProviderIndex, {
+            method: 'GET',
+            headers: {
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
+            }
+        }).then(function (r) {
+            return r.ok ? r.json() : Promise.reject(r);
+        }).then(function (categories) {
+            self.seriesCategories = categories || [];
+            self.categoryChanges.series = self.diffKnownCategories(
+                (self.providers[self.activeProviderIndex] || {}).KnownSeriesCategories, self.seriesCategories);
+            self.renderCategoryChanges('series');
+            var mode = document.getElementById('selSeriesFolderMode').value;
+            if (mode === 'Single') {
+                self.renderCategoryList('series', self.seriesCategories, self.selectedSeriesCategoryIds);
+                document.getElementById('seriesSingleFolderSection').style.display = 'block';
+            } else {
+                self.renderFolderList('series');
+                document.getElementById('seriesMultiFolderSection').style.display = 'block';
+            }
+            statusSpan.innerHTML = '<span style="color: green;">Loaded ' + self.seriesCategories.length + ' categories</span>';
+        }).catch(function (error) {
+            console.error('Failed to load Series categories:', error);
+            statusSpan.innerHTML = '<span style="color: red;">Failed to load. Check credentials.</span>';
+        });
+    },
+
+    // Compares the categories the provider lists now with the ones it listed at the last save. A
+    // provider saved before there was a snapshot has nothing to compare with, so nothing is new.
+    diffKnownCategories: function (known, categories) {
+        known = known || [];
+        if (known.length === 0) return { newIds: [], gone: [] };
+
+        var knownIds = {};
+        known.forEach(function (c) { knownIds[c.CategoryId] = true; });
+        var currentIds = {};
+        (categories || []).forEach(function (c) { currentIds[c.CategoryId] = true; });
+
+        return {
+            newIds: (categories || []).filter(function (c) { return !knownIds[c.CategoryId]; }).map(function (c) { return c.CategoryId; }),
+            gone: known.filter(function (c) { return !currentIds[c.CategoryId]; })
+        };
+    },
+
+    // Records the loaded categories as the provider's known ones, so the next visit can tell what
+    // the provider added or dropped since this save. A list that was not loaded keeps its snapshot.
+    rememberKnownCategories: function () {
+        var p = this.providers[this.activeProviderIndex];
+        if (!p) return;
+        var snapshot = function (categories) {
+            return categories.map(function (c) {
+                return { CategoryId: c.CategoryId, CategoryName: c.CategoryName };
+            });
+        };
+        if (this.vodCategories.length > 0) p.KnownVodCategories = snapshot(this.vodCategories);
+        if (this.seriesCategories.length > 0) p.KnownSeriesCategories = snapshot(this.seriesCategories);
+    },
+
+    isNewCategory: function (type, categoryId) {
+        var changes = this.categoryChanges[type];
+        return !!changes && changes.newIds.indexOf(categoryId) !== -1;
+    },
+
+    newCategoryBadge: function (type, categoryId) {
+        return this.isNewCategory(type, categoryId) ? ' <span class="category-new-badge">New</span>' : '';
+    },
+
+    // The name a category had at the last save, or null when the snapshot does not have it.
+    knownCategoryName: function (type, categoryId) {
+        var p = this.providers[this.activeProviderIndex] || {};
+        var known = (type === 'vod' ? p.KnownVodCategories : p.KnownSeriesCategories) || [];
+        for (var i = 0; i < known.length; i++) {
+            if (known[i].CategoryId === categoryId) return known[i].CategoryName;
+        }
+        return null;
+    },
+
+    // Where a category the provider dropped is still used by the current folder mode: ticked in
+    // Single mode, or assigned to folders in Multiple mode. Those are the ones worth cleaning up.
+    describeGoneCategoryUse: function (type, categoryId) {
+        var modeSelect = document.getElementById(type === 'vod' ? 'selMovieFolderMode' : 'selSeriesFolderMode');
+        if (modeSelect && modeSelect.value === 'Multiple') {
+            var definitions = type === 'vod' ? this.vodFolderDefinitions : this.seriesFolderDefinitions;
+            var folders = definitions.filter(function (folder) {
+                return folder.categoryIds.indexOf(categoryId) !== -1;
+            }).map(function (folder) { return '"' + folder.name + '"'; });
+            return folders.length > 0 ? 'still in folder ' + folders.join(', ') : '';
+        }
+        var selectedIds = type === 'vod' ? this.selectedVodCategoryIds : this.selectedSeriesCategoryIds;
+        return selectedIds.indexOf(categoryId) !== -1 ? 'still selected' : '';
+    },
+
+    renderCategoryChanges: function (type) {
+        var self = this;
+        var container = document.getElementById(type + 'CategoryChanges');
+        if (!container) return;
+        var changes = this.categoryChanges[type];
+        if (!changes || (changes.newIds.length === 0 && changes.gone.length === 0)) {
+            container.innerHTML = '';
+            container.style.display = 'none';
+            return;
+        }
+
+        var parts = [];
+        if (changes.newIds.length > 0) parts.push(changes.newIds.length + ' new');
+        if (changes.gone.length > 0) parts.push(changes.gone.length + ' gone');
+        var html = '<div><strong>Since the last save:</strong> ' + parts.join(', ');
+        if (changes.newIds.length > 0) {
+            html += ' <label class="category-new-only"><input type="checkbox" onchange="XtreamLibraryConfig.setNewCategoryFilter(\'' + type + '\', this.checked)"'
+                + (this.categoryNewOnly[type] ? ' checked' : '') + ' /> Show only new</label>';
+        }
+        html += '</div>';
+        if (changes.gone.length > 0) {
+            html += '<ul class="category-gone-list">';
+            changes.gone.forEach(function (c) {
+                var use = self.describeGoneCategoryUse(type, c.CategoryId);
+                html += '<li' + (use ? ' class="category-gone-used"' : '') + '><span class="category-gone-badge">Gone</span> ';
+                html += self.escapeHtml(c.CategoryName) + ' <small style="opacity:0.5;">(ID: ' + c.CategoryId + ')</small>';
+                if (use) html += ' &middot; ' + self.escapeHtml(use);
+                html += '</li>';
+            });
+            html += '</ul>';
+        }
+        html += '<div class="fieldDescription" style="margin: 4px 0 0 0;">Saving the settings makes the categories listed now the ones the next visit compares with.</div>';
+        container.innerHTML = html;
+        container.style.display = 'block';
+    },
+
+    setNewCategoryFilter: function (type, newOnly) {
+        var self = this;
+        this.categoryNewOnly[type] = newOnly;
+        var list = document.getElementById(type === 'vod' ? 'vodCategoryList' : 'seriesCategoryList');
+        if (list) {
+            list.querySelectorAll('.content-cat-row').forEach(function (row) {
+                var shown = !newOnly || self.isNewCategory(type, parseInt(row.getAttribute('data-cat-id')));
+                row.style.display = shown ? '' : 'none';
+            });
+        }
+        this.filterFolderPool(type);
+    },
+
+    renderCategoryList: function (type, categories, selectedIds) {
+        var listId;
+        if (type === 'vod') {
+            listId = 'vodCategoryList';
+        } else if (type === 'series') {
+            listId = 'seriesCategoryList';
+        } else {
+            listId = 'liveCategoryList';
+        }
+        const container = document.getElementById(listId);
+
+        if (!categories || categories.length === 0) {
+            container.innerHTML = '<div class="fieldDescription">No categories found.</div>';
+            return;
+        }
+
+        let html = '';
+        const self = this;
+        categories.forEach(function (category, index) {
+            const isChecked = selectedIds.indexOf(category.CategoryId) !== -1 ? 'checked' : '';
+            const checkboxId = type + 'Cat_' + category.CategoryId;
+            if (type === 'live') {
+                const isExpanded = !!self.expandedLiveCategories[category.CategoryId];
+                html += '<div class="live-cat-row" data-cat-id="' + category.CategoryId + '" data-category-name="' + self.escapeHtml(category.CategoryName) + '">';
+                html += '<div style="display: flex; align-items: center;">';
+                html += '<button type="button" class="live-cat-expand" data-cat-id="' + category.CategoryId + '" ';
+                html += 'aria-label="Toggle channels" ';
+                html += 'style="margin-right: 8px; background: none; border: 1px solid rgba(255,255,255,0.2); color: inherit; cursor: pointer; font-size: 0.85em; padding: 2px 8px; min-width: 24px; border-radius: 3px;">';
+                html += isExpanded ? '▾' : '▸';
+                html += '</button>';
+                html += '<label class="emby-checkbox-label" style="flex: 1;">';
+                html += '<input is="emby-checkbox" type="checkbox" id="' + checkboxId + '" ';
+                html += 'data-category-id="' + category.CategoryId + '" data-category-type="' + type + '" ';
+                html += 'data-index="' + index + '" ' + isChecked + '/>';
+                html += '<span>' + self.escapeHtml(category.CategoryName) + ' <small style="opacity:0.5;">(ID: ' + category.CategoryId + ')</small></span>';
+                html += '</label>';
+                html += '</div>';
+                html += '<div class="live-channel-list" data-cat-id="' + category.CategoryId + '" ';
+                html += 'style="margin-left: 36px; margin-top: 4px; ' + (isExpanded ? '' : 'display: none;') + '"></div>';
+                html += '</div>';
+            } else {
+                // vod / series: expandable row with a per-item panel (issue #54)
+                const isExpanded = !!(self.expandedContentCategories[type] && self.expandedContentCategories[type][category.CategoryId]);
+                html += '<div class="content-cat-row" data-cat-id="' + category.CategoryId + '" data-content-type="' + type + '"'
+                    + (self.categoryNewOnly[type] && !self.isNewCategory(type, category.CategoryId) ? ' style="display: none;"' : '') + '>';
+                html += '<div style="display: flex; align-items: center;">';
+                html += '<button type="button" class="content-cat-expand" data-cat-id="' + category.CategoryId + '" data-content-type="' + type + '" ';
+                html += 'aria-label="Toggle items" ';
+                html += 'style="margin-right: 8px; background: none; border: 1px solid rgba(255,255,255,0.2); color: inherit; cursor: pointer; font-size: 0.85em; padding: 2px 8px; min-width: 24px; border-radius: 3px;">';
+                html += isExpanded ? '▾' : '▸';
+                html += '</button>';
+                html += '<label class="emby-checkbox-label" style="flex: 1;">';
+                html += '<input is="emby-checkbox" type="checkbox" id="' + checkboxId + '" ';
+                html += 'data-category-id="' + category.CategoryId + '" data-category-type="' + type + '" ';
+                html += 'data-index="' + index + '" ' + isChecked + '/>';
+                html += '<span>' + self.escapeHtml(category.CategoryName) + ' <small style="opacity:0.5;">(ID: ' + category.CategoryId + ')</small>' + self.newCategoryBadge(type, category.CategoryId) + '</span>';
+                html += '</label>';
+                html += '</div>';
+                html += '<div class="content-item-list" data-cat-id="' + category.CategoryId + '" data-content-type="' + type + '" ';
+                html += 'style="margin-left: 36px; margin-top: 4px; ' + (isExpanded ? '' : 'display: none;') + '"></div>';
+                html += '</div>';
+            }
+        });
+
+        container.innerHTML = html;
+
+        // Add shift+click range selection support — scoped to category checkboxes only.
+        const checkboxes = container.querySelectorAll('input[data-category-type="' + type + '"]');
+        checkboxes.forEach(function (checkbox) {
+            checkbox.addEventListener('click', function (e) {
+                const currentIndex = parseInt(checkbox.getAttribute('data-index'));
+                const lastIndex = self.lastClickedIndex[type];
+
+                if (e.shiftKey && lastIndex !== null && lastIndex !== currentIndex) {
+                    const start = Math.min(lastIndex, currentIndex);
+                    const end = Math.max(lastIndex, currentIndex);
+                    const newState = checkbox.checked;
+                    for (let i = start; i <= end; i++) {
+                        checkboxes[i].checked = newState;
+                    }
+                    // Programmatic check assignment skips the 'change' event, so the counter
+                    // needs an explicit nudge to reflect the range selection.
+                    if (type === 'live') {
+                        self.updateLiveCategoryCounter();
+                    }
+                }
+                self.lastClickedIndex[type] = currentIndex;
+            });
+        });
+
+        if (type === 'live') {
+            container.querySelectorAll('.live-cat-expand').forEach(function (btn) {
+                btn.addEventListener('click', function () {
+                    const catId = parseInt(btn.getAttribute('data-cat-id'));
+                    self.toggleLiveCategory(catId, btn);
+                });
+            });
+
+            // Update the counter whenever a category checkbox changes (including via shift+click,
+            // since the synthetic state changes in the click handler don't fire change events).
+            // Also re-render any expanded child panel so per-channel checkboxes track the new
+            // category state (see renderLiveChannels for the categorySelected gating).
+            checkboxes.forEach(function (cb) {
+                cb.addEventListener('change', function () {
+                    self.updateLiveCategoryCounter();
+                    const catId = parseInt(cb.getAttribute('data-category-id'));
+                    if (self.expandedLiveCategories[catId] && self.liveChannelsByCategory[catId]) {
+                        self.renderLiveChannels(catId);
+                    }
+                });
+            });
+
+            // Auto-render channels for categories that were expanded before this re-render.
+            Object.keys(self.expandedLiveCategories).forEach(function (catIdStr) {
+                if (!self.expandedLiveCategories[catIdStr]) return;
+                const catId = parseInt(catIdStr);
+                const channels = self.liveChannelsByCategory[catId];
+                if (channels) {
+                    self.renderLiveChannels(catId);
+                } else {
+                    self.fetchLiveChannelsForCategory(catId);
+                }
+            });
+
+            self.updateLiveCategoryCounter();
+        }
+
+        if (type === 'vod' || type === 'series') {
+            container.querySelectorAll('.content-cat-expand').forEach(function (btn) {
+                btn.addEventListener('click', function () {
+                    const catId = parseInt(btn.getAttribute('data-cat-id'));
+                    self.toggleContentCategory(type, catId, btn);
+                });
+            });
+
+            // When a category checkbox toggles, re-render any expanded panel so item
+            // checkboxes follow the category's selected state.
+            checkboxes.forEach(function (cb) {
+                cb.addEventListener('change', function () {
+                    const catId = parseInt(cb.getAttribute('data-category-id'));
+                    if (self.expandedContentCategories[type][catId] && self.contentItemsByCategory[type][catId]) {
+                        self.renderContentItems(type, catId);
+                    }
+                });
+            });
+
+            // Re-render panels that were expanded before this list was rebuilt.
+            Object.keys(self.expandedContentCategories[type]).forEach(function (catIdStr) {
+                if (!self.expandedContentCategories[type][catIdStr]) return;
+                const catId = parseInt(catIdStr);
+                if (self.contentItemsByCategory[type][catId]) {
+                    self.renderContentItems(type, catId);
+                } else {
+                    self.fetchContentItemsForCategory(type, catId);
+                }
+            });
+        }
+    },
+
+    toggleLiveCategory: function (categoryId, btn) {
+        const self = this;
+        const panel = document.querySelector('.live-channel-list[data-cat-id="' + categoryId + '"]');
+        if (!panel) return;
+
+        const isExpanded = !!self.expandedLiveCategories[categoryId];
+        if (isExpanded) {
+            self.expandedLiveCategories[categoryId] = false;
+            panel.style.display = 'none';
+            if (btn) btn.textContent = '▸';
+            return;
+        }
+
+        self.expandedLiveCategories[categoryId] = true;
+        panel.style.display = '';
+        if (btn) btn.textContent = '▾';
+
+        if (self.liveChannelsByCategory[categoryId]) {
+            self.renderLiveChannels(categoryId);
+        } else {
+            self.fetchLiveChannelsForCategory(categoryId);
+        }
+    },
+
+    fetchLiveChannelsForCategory: function (categoryId) {
+        const self = this;
+        const panel = document.querySelector('.live-channel-list[data-cat-id="' + categoryId + '"]');
+        if (!panel) return;
+
+        panel.innerHTML = '<div class="fieldDescription" style="padding: 4px 0;">Loading channels...</div>';
+
+        fetch(ApiClient.getUrl('XtreamLibrary/Channels/Live?categoryId=' + encodeURIComponent(categoryId)), {
+            headers: { 'X-Emby-Token': ApiClient.accessToken() }
+        })
+            .then(function (r) {
+                if (!r.ok) throw new Error('HTTP ' + r.status);
+                return r.json();
+            })
+            .then(function (channels) {
+                self.liveChannelsByCategory[categoryId] = channels || [];
+                self.renderLiveChannels(categoryId);
+            })
+            .catch(function (error) {
+                console.error('Failed to load channels for category ' + categoryId + ':', error);
+                panel.innerHTML = '<div style="color: #d33; padding: 4px 0;">Failed to load channels. ' +
+                    '<button type="button" class="live-channel-retry" data-cat-id="' + categoryId + '" ' +
+                    'style="background: none; border: 1px solid rgba(255,255,255,0.2); color: inherit; cursor: pointer; padding: 2px 8px; margin-left: 8px; border-radius: 3px;">Retry</button></div>';
+                const retry = panel.querySelector('.live-channel-retry');
+                if (retry) {
+                    retry.addEventListener('click', function () {
+                        self.fetchLiveChannelsForCategory(categoryId);
+                    });
+                }
+            });
+    },
+
+    renderLiveChannels: function (categoryId) {
+        const self = this;
+        const panel = document.querySelector('.live-channel-list[data-cat-id="' + categoryId + '"]');
+        if (!panel) return;
+
+        const channels = self.liveChannelsByCategory[categoryId] || [];
+        if (channels.length === 0) {
+            panel.innerHTML = '<div class="fieldDescription" style="padding: 4px 0;">No channels in this category.</div>';
+            return;
+        }
+
+        const excluded = {};
+        self.excludedLiveStreamIds.forEach(function (id) { excluded[id] = true; });
+
+        // If the parent category isn't selected, the whole category is skipped at sync time —
+        // reflect that in the UI so per-channel checkboxes don't show as ticked when they
+        // won't actually sync. Without this, Deselect-All-Categories clears the exclusion
+        // list and every channel underneath would pop back on as "checked", which is what
+        // Estarna reported on issue #46 against v1.35.1.
+        const categoryCb = document.querySelector(
+            'input[data-category-type="live"][data-category-id="' + categoryId + '"]');
+        const categorySelected = categoryCb ? categoryCb.checked : false;
+
+        let html = '';
+        html += '<div style="margin: 4px 0;">';
+        html += '<button type="button" class="live-ch-select-all" data-cat-id="' + categoryId + '" ';
+        html += 'style="background: none; border: 1px solid rgba(255,255,255,0.2); color: inherit; cursor: pointer; padding: 2px 8px; border-radius: 3px; margin-right: 6px;">Select all</button>';
+        html += '<button type="button" class="live-ch-deselect-all" data-cat-id="' + categoryId + '" ';
+        html += 'style="background: none; border: 1px solid rgba(255,255,255,0.2); color: inherit; cursor: pointer; padding: 2px 8px; border-radius: 3px;">Deselect all</button>';
+        html += '<small style="opacity: 0.6; margin-left: 10px;">' + channels.length + ' channels</small>';
+        if (!categorySelected) {
+            html += '<small style="opacity: 0.6; margin-left: 10px; font-style: italic;">Category is deselected — tick a channel or the category to include it.</small>';
+        }
+        html += '</div>';
+
+        channels.forEach(function (channel) {
+            const isChecked = categorySelected && !excluded[channel.StreamId] ? 'checked' : '';
+            html += '<div class="checkboxContainer" style="margin: 2px 0;">';
+            html += '<label class="emby-checkbox-label">';
+            html += '<input is="emby-checkbox" type="checkbox" class="live-channel-cb" ';
+            html += 'data-stream-id="' + channel.StreamId + '" ' + isChecked + '/>';
+            html += '<span>' + self.escapeHtml(channel.Name || '(unnamed)');
+            if (channel.Num) {
+                html += ' <small style="opacity:0.5;">#' + channel.Num + '</small>';
+            }
+            html += '</span></label></div>';
+        });
+
+        panel.innerHTML = html;
+
+        panel.querySelectorAll('.live-channel-cb').forEach(function (cb) {
+            cb.addEventListener('change', function () {
+                const streamId = parseInt(cb.getAttribute('data-stream-id'));
+                // Ticking a channel under a deselected category implies the user wants the
+                // category included — auto-tick the parent so the channel actually syncs.
+                if (cb.checked && categoryCb && !categoryCb.checked) {
+                    categoryCb.checked = true;
+                    self.updateLiveCategoryCounter();
+                }
+                self.updateLiveExclusion(streamId, !cb.checked);
+            });
+        });
+
+        const selectAll = panel.querySelector('.live-ch-select-all');
+        if (selectAll) {
+            selectAll.addEventListener('click', function () {
+                if (categoryCb && !categoryCb.checked) {
+                    categoryCb.checked = true;
+                    self.updateLiveCategoryCounter();
+                }
+                panel.querySelectorAll('.live-channel-cb').forEach(function (cb) {
+                    if (!cb.checked) {
+                        cb.checked = true;
+                        self.updateLiveExclusion(parseInt(cb.getAttribute('data-stream-id')), false);
+                    }
+                });
+            });
+        }
+        const deselectAll = panel.querySelector('.live-ch-deselect-all');
+        if (deselectAll) {
+            deselectAll.addEventListener('click', function () {
+                panel.querySelectorAll('.live-channel-cb').forEach(function (cb) {
+                    if (cb.checked) {
+                        cb.checked = false;
+                        self.updateLiveExclusion(parseInt(cb.getAttribute('data-stream-id')), true);
+                    }
+                });
+            });
+        }
+    },
+
+    updateLiveExclusion: function (streamId, shouldBeExcluded) {
+        const self = this;
+        const idx = self.excludedLiveStreamIds.indexOf(streamId);
+        if (shouldBeExcluded && idx === -1) {
+            self.excludedLiveStreamIds.push(streamId);
+        } else if (!shouldBeExcluded && idx !== -1) {
+            self.excludedLiveStreamIds.splice(idx, 1);
+        }
+    },
+
+    // ----- Per-item VOD/Series selection (issue #54), mirroring the Live TV per-channel UI -----
+
+    toggleContentCategory: function (type, categoryId, btn) {
+        const self = this;
+        const panel = document.querySelector('.content-item-list[data-content-type="' + type + '"][data-cat-id="' + categoryId + '"]');
+        if (!panel) return;
+
+        const isExpanded = !!self.expandedContentCategories[type][categoryId];
+        if (isExpanded) {
+            self.expandedContentCategories[type][categoryId] = false;
+            panel.style.display = 'none';
+            if (btn) btn.textContent = '▸';
+            return;
+        }
+
+        self.expandedContentCategories[type][categoryId] = true;
+        panel.style.display = '';
+        if (btn) btn.textContent = '▾';
+
+        if (self.contentItemsByCategory[type][categoryId]) {
+            self.renderContentItems(type, categoryId);
+        } else {
+            self.fetchContentItemsForCategory(type, categoryId);
+        }
+    },
+
+    fetchContentItemsForCategory: function (type, categoryId) {
+        const self = this;
+        const panel = document.querySelector('.content-item-list[data-content-type="' + type + '"][data-cat-id="' + categoryId + '"]');
+        if (!panel) return;
+
+        const endpoint = type === 'vod' ? 'XtreamLibrary/Streams/Vod' : 'XtreamLibrary/Series/List';
+        const label = type === 'vod' ? 'movies' : 'series';
+        panel.innerHTML = '<div class="fieldDescription" style="padding: 4px 0;">Loading ' + label + '...</div>';
+
+        fetch(ApiClient.getUrl(endpoint) + '?categoryId=' + encodeURIComponent(categoryId) + '&providerIndex=' + self.activeProviderIndex, {
+            headers: { 'X-Emby-Token': ApiClient.accessToken() }
+        })
+            .then(function (r) {
+                if (!r.ok) throw new Error('HTTP ' + r.status);
+                return r.json();
+            })
+            .then(function (items) {
+                self.contentItemsByCategory[type][categoryId] = items || [];
+                self.renderContentItems(type, categoryId);
+            })
+            .catch(function (error) {
+                console.error('Failed to load ' + label + ' for category ' + categoryId + ':', error);
+                panel.innerHTML = '<div style="color: #d33; padding: 4px 0;">Failed to load ' + label + '. ' +
+                    '<button type="button" class="content-item-retry" data-cat-id="' + categoryId + '" data-content-type="' + type + '" ' +
+                    'style="background: none; border: 1px solid rgba(255,255,255,0.2); color: inherit; cursor: pointer; padding: 2px 8px; margin-left: 8px; border-radius: 3px;">Retry</button></div>';
+                const retry = panel.querySelector('.content-item-retry');
+                if (retry) {
+                    retry.addEventListener('click', function () {
+                        self.fetchContentItemsForCategory(type, categoryId);
+                    });
+                }
+            });
+    },
+
+    renderContentItems: function (type, categoryId) {
+        const self = this;
+        const panel = document.querySelector('.content-item-list[data-content-type="' + type + '"][data-cat-id="' + categoryId + '"]');
+        if (!panel) return;
+
+        const items = self.contentItemsByCategory[type][categoryId] || [];
+        const label = type === 'vod' ? 'movies' : 'series';
+        if (items.length === 0) {
+            panel.innerHTML = '<div class="fieldDescription" style="padding: 4px 0;">No ' + label + ' in this category.</div>';
+            return;
+        }
+
+        const idField = type === 'vod' ? 'StreamId' : 'SeriesId';
+        const exclusionList = type === 'vod' ? self.excludedVodStreamIds : self.excludedSeriesIds;
+        const excluded = {};
+        exclusionList.forEach(function (id) { excluded[id] = true; });
+
+        const categoryCb = document.querySelector('input[data-category-type="' + type + '"][data-category-id="' + categoryId + '"]');
+        const categorySelected = categoryCb ? categoryCb.checked : false;
+
+        let html = '';
+        html += '<div style="margin: 4px 0;">';
+        html += '<button type="button" class="content-item-select-all" data-cat-id="' + categoryId + '" data-content-type="' + type + '" ';
+        html += 'style="background: none; border: 1px solid rgba(255,255,255,0.2); color: inherit; cursor: pointer; padding: 2px 8px; border-radius: 3px; margin-right: 6px;">Select all</button>';
+        html += '<button type="button" class="content-item-deselect-all" data-cat-id="' + categoryId + '" data-content-type="' + type + '" ';
+        html += 'style="background: none; border: 1px solid rgba(255,255,255,0.2); color: inherit; cursor: pointer; padding: 2px 8px; border-radius: 3px;">Deselect all</button>';
+        html += '<small style="opacity: 0.6; margin-left: 10px;">' + items.length + ' ' + label + '</small>';
+        if (!categorySelected) {
+            html += '<small style="opacity: 0.6; margin-left: 10px; font-style: italic;">Category is deselected — tick an item or the category to include it.</small>';
+        }
+        html += '</div>';
+
+        items.forEach(function (item) {
+            const itemId = item[idField];
+            const isChecked = categorySelected && !excluded[itemId] ? 'checked' : '';
+            html += '<div class="checkboxContainer" style="margin: 2px 0;">';
+            html += '<label class="emby-checkbox-label">';
+            html += '<input is="emby-checkbox" type="checkbox" class="content-item-cb" ';
+            html += 'data-item-id="' + itemId + '" ' + isChecked + '/>';
+            html += '<span>' + self.escapeHtml(item.Name || '(unnamed)');
+            if (item.Num) {
+                html += ' <small style="opacity:0.5;">#' + item.Num + '</small>';
+            }
+            html += '</span></label></div>';
+        });
+
+        panel.innerHTML = html;
+
+        panel.querySelectorAll('.content-item-cb').forEach(function (cb) {
+            cb.addEventListener('change', function () {
+                const itemId = parseInt(cb.getAttribute('data-item-id'));
+                self.updateContentExclusion(type, itemId, !cb.checked);
+                // Ticking an item under a deselected category implies the user wants the
+                // category included — auto-tick the parent and redraw the panel so the
+                // "category deselected" hint clears and sibling items reflect the new state.
+                if (cb.checked && categoryCb && !categoryCb.checked) {
+                    categoryCb.checked = true;
+                    self.renderContentItems(type, categoryId);
+                }
+            });
+        });
+
+        const selectAll = panel.querySelector('.content-item-select-all');
+        if (selectAll) {
+            selectAll.addEventListener('click', function () {
+                if (categoryCb && !categoryCb.checked) {
+                    categoryCb.checked = true;
+                }
+                panel.querySelectorAll('.content-item-cb').forEach(function (cb) {
+                    if (!cb.checked) {
+                        cb.checked = true;
+                        self.updateContentExclusion(type, parseInt(cb.getAttribute('data-item-id')), false);
+                    }
+                });
+            });
+        }
+        const deselectAll = panel.querySelector('.content-item-deselect-all');
+        if (deselectAll) {
+            deselectAll.addEventListener('click', function () {
+                panel.querySelectorAll('.content-item-cb').forEach(function (cb) {
+                    if (cb.checked) {
+                        cb.checked = false;
+                        self.updateContentExclusion(type, parseInt(cb.getAttribute('data-item-id')), true);
+                    }
+                });
+            });
+        }
+    },
+
+    updateContentExclusion: function (type, itemId, shouldBeExcluded) {
+        const self = this;
+        const list = type === 'vod' ? self.excludedVodStreamIds : self.excludedSeriesIds;
+        const idx = list.indexOf(itemId);
+        if (shouldBeExcluded && idx === -1) {
+            list.push(itemId);
+        } else if (!shouldBeExcluded && idx !== -1) {
+            list.splice(idx, 1);
+        }
+    },
+
+    getLiveCategoryIdsForSave: function () {
+        const self = this;
+        // The category checkboxes only exist once the list has been loaded from the provider.
+        // Reading them before that returns an empty array, which would quietly rewrite a saved
+        // selection to "nothing ticked" - syncing no channels in Custom mode, or every channel
+        // in ExcludeSelected mode. Fall back to what was loaded from the config instead.
+        const rendered = document.querySelectorAll('input[data-category-type="live"]');
+        if (rendered.length === 0) {
+            return self.selectedLiveCategoryIds.slice();
+        }
+
+        return self.getSelectedCategoryIds('live');
+    },
+
+    // The Movies/Series counterpart of getLiveCategoryIdsForSave. loadProviderIntoUI blanks both
+    // lists and only refills them once the provider's category fetch resolves, so a save in between
+    // - which a config import triggers straight away - would read "nothing ticked", and an empty
+    // selection means sync every category.
+    getContentCategoryIdsForSave: function (type) {
+        const rendered = document.querySelectorAll('input[data-category-type="' + type + '"]');
+        if (rendered.length === 0) {
+            return (type === 'vod' ? this.selectedVodCategoryIds : this.selectedSeriesCategoryIds).slice();
+        }
+
+        return this.getSelectedCategoryIds(type);
+    },
+
+    getSelectedCategoryIds: function (type) {
+        const checkboxes = document.querySelectorAll('input[data-category-type="' + type + '"]:checked');
+        const ids = [];
+        checkboxes.forEach(function (checkbox) {
+            ids.push(parseInt(checkbox.getAttribute('data-category-id')));
+        });
+        return ids;
+    },
+
+    selectAllCategories: function (type) {
+        const self = this;
+        const checkboxes = document.querySelectorAll('input[data-category-type="' + type + '"]');
+        checkboxes.forEach(function (checkbox) {
+            checkbox.checked = true;
+        });
+        if (type === 'live') {
+            // Master "Select all" implies a clean slate: drop any per-channel exclusions so
+            // the user gets every channel from every category. Existing expanded panels
+            // need redrawing so the channel checkboxes follow the new state.
+            //
+            // That reasoning is inverted in ExcludeSelected mode, where ticking everything means
+            // excluding every category. Per-channel exclusions there are not stale leftovers of a
+            // superseded selection, so wiping them would just destroy the user's list.
+            self.clearLiveChannelExclusionsIfMeaningless();
+            self.redrawExpandedLiveChannelPanels();
+            self.updateLiveCategoryCounter();
+        } else if (type === 'vod' || type === 'series') {
+            // Same clean-slate logic as Live TV: clear per-item exclusions and redraw any
+            // expanded panels so the item checkboxes follow the now-selected categories.
+            self.clearContentExclusions(type);
+        }
+    },
+
+    deselectAllCategories: function (type) {
+        const self = this;
+        const checkboxes = document.querySelectorAll('input[data-category-type="' + type + '"]');
+        checkboxes.forEach(function (checkbox) {
+            checkbox.checked = false;
+        });
+        if (type === 'live') {
+            // Same clean-slate logic as Select all — the per-channel exclusion list is
+            // meaningless when no category is selected, and leaving stale state behind was
+            // the root of the "Deselect All seems broken" report.
+            //
+            // Also inverted in ExcludeSelected mode: unticking everything there means excluding no
+            // category, i.e. syncing the lot, and per-channel exclusions are the only filter the
+            // user has left. Clearing them would silently undo that.
+            self.clearLiveChannelExclusionsIfMeaningless();
+            self.redrawExpandedLiveChannelPanels();
+            self.updateLiveCategoryCounter();
+        } else if (type === 'vod' || type === 'series') {
+            self.clearContentExclusions(type);
+        }
+    },
+
+    clearContentExclusions: function (type) {
+        const self = this;
+        if (type === 'vod') {
+            self.excludedVodStreamIds = [];
+        } else {
+            self.excludedSeriesIds = [];
+        }
+        self.redrawExpandedContentItemPanels(type);
+    },
+
+    redrawExpandedContentItemPanels: function (type) {
+        const self = this;
+        const expanded = self.expandedContentCategories[type] || {};
+        Object.keys(expanded).forEach(function (categoryId) {
+            if (expanded[categoryId] && self.contentItemsByCategory[type][categoryId]) {
+                self.renderContentItems(type, parseInt(categoryId));
+            }
+        });
+    },
+
+    clearChannelExclusions: function () {
+        const self = this;
+        self.excludedLiveStreamIds = [];
+        self.redrawExpandedLiveChannelPanels();
+        self.updateLiveCategoryCounter();
+    },
+
+    redrawExpandedLiveChannelPanels: function () {
+        const self = this;
+        Object.keys(self.expandedLiveCategories).forEach(function (categoryId) {
+            if (self.expandedLiveCategories[categoryId]) {
+                self.renderLiveChannels(parseInt(categoryId));
+            }
+        });
+    },
+
+    getLiveChannelMode: function () {
+        const checked = document.querySelector('input[name="LiveChannelMode"]:checked');
+        return checked ? checked.value : 'IncludeAll';
+    },
+
+    /**
+     * Drops the per-channel exclusion list, but only where a bulk category toggle has genuinely
+     * made it meaningless - which is Custom mode, where the exclusions only ever qualified a
+     * category selection that has just been replaced wholesale. In ExcludeSelected mode they are
+     * an independent filter and must survive.
+     */
+    clearLiveChannelExclusionsIfMeaningless: function () {
+        const self = this;
+        if (self.getLiveChannelMode() !== 'ExcludeSelected') {
+            self.excludedLiveStreamIds = [];
+        }
+    },
+
+    updateLiveCategoryCounter: function () {
+        const counter = document.getElementById('liveCategoryCounter');
+        if (!counter) return;
+        const all = document.querySelectorAll('input[data-category-type="live"]');
+        const checked = document.querySelectorAll('input[data-category-type="live"]:checked');
+        // A ticked box means the opposite thing in each mode, so "N of M selected" would read
+        // backwards in exclude mode: it is the unticked categories that get synced there.
+        if (XtreamLibraryConfig.getLiveChannelMode() === 'ExcludeSelected') {
+            counter.textContent = checked.length + ' of ' + all.length + ' categories excluded';
+        } else {
+            counter.textContent = checked.length + ' of ' + all.length + ' categories selected';
+        }
+    },
+
+    updateLiveChannelModeVisibility: function () {
+        const mode = XtreamLibraryConfig.getLiveChannelMode();
+        const customSection = document.getElementById('liveCustomSection');
+        if (customSection) {
+            customSection.style.display = (mode === 'Custom' || mode === 'ExcludeSelected') ? '' : 'none';
+        }
+
+        const hint = document.getElementById('liveChannelModeHint');
+        if (hint) {
+            if (mode === 'Custom') {
+                hint.textContent = 'Only the categories you tick are synced. Tick nothing and nothing syncs.';
+            } else if (mode === 'ExcludeSelected') {
+                hint.textContent = 'Everything is synced except the categories you tick, so categories your '
+                    + 'provider adds later are picked up automatically. Tick nothing and everything syncs.';
+            } else {
+                hint.textContent = '';
+            }
+        }
+
+        // A ticked box excludes rather than includes in the new mode, so "Select all" would read as
+        // a way to get everything while actually syncing nothing.
+        const selectAllLabel = document.getElementById('btnLiveSelectAllLabel');
+        const deselectAllLabel = document.getElementById('btnLiveDeselectAllLabel');
+        if (selectAllLabel && deselectAllLabel) {
+            selectAllLabel.textContent = (mode === 'ExcludeSelected') ? 'Exclude all' : 'Select all';
+            deselectAllLabel.textContent = (mode === 'ExcludeSelected') ? 'Exclude none' : 'Deselect all';
+        }
+
+        XtreamLibraryConfig.updateLiveCategoryCounter();
+    },
+
+    filterLiveCategoryList: function () {
+        const input = document.getElementById('liveCategorySearch');
+        if (!input) return;
+        const query = input.value.trim().toLowerCase();
+        const items = document.querySelectorAll('#liveCategoryList .live-cat-row');
+        items.forEach(function (item) {
+            const name = (item.getAttribute('data-category-name') || '').toLowerCase();
+            item.style.display = (query === '' || name.indexOf(query) !== -1) ? '' : 'none';
+        });
+    },
+
+    // For text and attribute values alike: most callers put the result inside value="..." or
+    // title="...", so quotes are escaped as well as markup.
+    escapeHtml: function (text) {
+        return String(text == null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    updateScheduleVisibility: function () {
+        const scheduleType = document.getElementById('selSyncScheduleType').value;
+        const intervalSettings = document.getElementById('intervalSettings');
+        const dailySettings = document.getElementById('dailySettings');
+
+        if (scheduleType === 'Daily') {
+            intervalSettings.style.display = 'none';
+            dailySettings.style.display = 'block';
+        } else {
+            intervalSettings.style.display = 'block';
+            dailySettings.style.display = 'none';
+        }
+    },
+
+    updateDispatcharrVisibility: function () {
+        const enabled = document.getElementById('chkEnableDispatcharrMode').checked;
+        document.getElementById('dispatcharrSettings').style.display = enabled ? 'block' : 'none';
+    },
+
+    updateOrphanSafetyThresholdVisibility: function () {
+        const enabled = document.getElementById('chkCleanupOrphans').checked;
+        document.getElementById('orphanSafetyThresholdSettings').style.display = enabled ? 'block' : 'none';
+    },
+
+    testDispatcharr: function () {
+        const statusSpan = document.getElementById('dispatcharrStatus');
+        statusSpan.innerHTML = '<span style="color: orange;">Testing...</span>';
+
+        fetch(ApiClient.getUrl('XtreamLibrary/TestDispatcharr') + '?providerIndex=' + this.activeProviderIndex, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
+            }
+        }).then(function (response) {
+            return response.json();
+        }).then(function (result) {
+            if (result.Success) {
+                statusSpan.innerHTML = '<span style="color: #52b54b;">' + result.Message + '</span>';
+            } else {
+                statusSpan.innerHTML = '<span style="color: #ff6b6b;">' + result.Message + '</span>';
+            }
+        }).catch(function (err) {
+            statusSpan.innerHTML = '<span style="color: #ff6b6b;">Error: ' + err.message + '</span>';
+        });
+    },
+
+    clearMetadataCache: function () {
+        const statusSpan = document.getElementById('metadataCacheStatus');
+        statusSpan.innerHTML = '<span style="color: orange;">Clearing...</span>';
+
+        fetch(ApiClient.getUrl('XtreamLibrary/ClearMetadataCache'), {
+            method: 'POST',
+            headers: {
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
+            }
+        }).then(function (response) {
+            return response.json();
+        }).then(function (data) {
+            if (data.Success) {
+                statusSpan.innerHTML = '<span style="color: green;">' + data.Message + '</span>';
+            } else {
+                statusSpan.innerHTML = '<span style="color: red;">Failed to clear cache.</span>';
+            }
+        }).catch(function (error) {
+            console.error('ClearMetadataCache error:', error);
+            statusSpan.innerHTML = '<span style="color: red;">Failed: ' + (error.message || 'Check console for details') + '</span>';
+        });
+    },
+
+    cleanMovies: function () {
+        if (!confirm('Are you sure you want to delete ALL Movies content?\n\nThis action cannot be undone.')) {
+            return;
+        }
+
+        this.cleanLibraryFolder('CleanMovies');
+    },
+
+    cleanSeries: function () {
+        if (!confirm('Are you sure you want to delete ALL Series content?\n\nThis action cannot be undone.')) {
+            return;
+        }
+
+        this.cleanLibraryFolder('CleanSeries');
+    },
+
+    cleanLibraryFolder: function (endpoint) {
+        const statusDiv = document.getElementById('cleanLibrariesStatus');
+        statusDiv.innerHTML = '<span style="color: orange;">Deleting...</span>';
+
+        fetch(ApiClient.getUrl('XtreamLibrary/' + endpoint) + '?providerIndex=' + XtreamLibraryConfig.activeProviderIndex, {
+            method: 'POST',
+            headers: {
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
+            }
+        }).then(function (response) {
+            return response.json();
+        }).then(function (data) {
+            if (data.Success) {
+                statusDiv.innerHTML = '<span style="color: green;">' + data.Message + '</span>';
+            } else {
+                statusDiv.innerHTML = '<span style="color: red;">' + (data.Message || 'Failed to clean library.') + '</span>';
+            }
+        }).catch(function (error) {
+            console.error('Clean library error:', error);
+            statusDiv.innerHTML = '<span style="color: red;">Failed: ' + (error.message || 'Check console for details') + '</span>';
+        });
+    },
+
+    // Live TV functions
+    loadLiveCategories: function () {
+        const statusSpan = document.getElementById('liveCategoryLoadStatus');
+        statusSpan.innerHTML = '<span style="color: orange;">Loading...</span>';
+        const self = this;
+
+        fetch(ApiClient.getUrl('XtreamLibrary/Categories/Live'), {
+            method: 'GET',
+            headers: {
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
+            }
+        }).then(function (r) {
+            return r.ok ? r.json() : Promise.reject(r);
+        }).then(function (categories) {
+            self.liveCategories = categories || [];
+            self.renderCategoryList('live', self.liveCategories, self.selectedLiveCategoryIds);
+            self.renderChannelOverrideCategoryOptions();
+            self.renderChannelNumberingStarts();
+            document.getElementById('liveSingleFolderSection').style.display = 'block';
+            statusSpan.innerHTML = '<span style="color: green;">Loaded ' + self.liveCategories.length + ' categories</span>';
+        }).catch(function (error) {
+            console.error('Failed to load Live TV categories:', error);
+            statusSpan.innerHTML = '<span style="color: red;">Failed to load. Check credentials.</span>';
+        });
+    },
+
+    // ----- Channel overrides -----
+
+    // ChannelOverrides: one "StreamId=Name|Number|Logo|Tags" line per channel, read by
+    // ChannelOverrideParser. Trailing fields may be left off, an empty field keeps the provider's
+    // value, tags are comma-separated, "#" starts a comment and a later line for the same stream
+    // wins. Lines the grid has not touched are written back as they were.
+    parseChannelOverrideRows: function (text) {
+        var rows = [];
+        (text || '').split(/\r?\n|\r/).forEach(function (line) {
+            var trimmed = line.trim();
+            if (!trimmed) return;
+            var eqIdx = trimmed.indexOf('=');
+            var streamId = eqIdx > 0 ? trimmed.substring(0, eqIdx).trim() : '';
+            if (trimmed.charAt(0) === '#' || !/^[+-]?\d+$/.test(streamId)) {
+                rows.push({ raw: trimmed });
+                return;
+            }
+            var parts = trimmed.substring(eqIdx + 1).split('|');
+            rows.push({
+                streamId: String(parseInt(streamId, 10)),
+                name: (parts[0] || '').trim(),
+                number: (parts[1] || '').trim(),
+                logo: (parts[2] || '').trim(),
+                tags: (parts[3] || '').trim(),
+                raw: trimmed
             });
+        });
+        return rows;
+    },
 
-            // Auto-render channels for categories that were expanded before this re-render.
-            Object.keys(self.expandedLiveCategories).forEach(function (catIdStr) {
-                if (!self.expandedLiveCategories[catIdStr]) return;
-                const catId = parseInt(catIdStr);
-                const channels = self.liveChannelsByCategory[catId];
-                if (channels) {
-                    self.renderLiveChannels(catId);
-                } else {
-                    self.fetchLiveChannelsForCategory(catId);
-                }
+    buildChannelOverrides: function (rows) {
+        var lines = [];
+        rows.forEach(function (row) {
+            if (row.raw !== undefined) {
+                lines.push(row.raw);
+                return;
+            }
+            var tags = row.tags.split(',').map(function (t) { return t.trim(); }).filter(Boolean).join(',');
+            var fields = [row.name.trim(), row.number.trim(), row.logo.trim(), tags];
+            while (fields.length > 0 && !fields[fields.length - 1]) fields.pop();
+            if (fields.length > 0) lines.push(row.streamId + '=' + fields.join('|'));
+        });
+        return lines.join('\n');
+    },
+
+    /**
+     * The status of each row as ChannelOverrideParser will read it: { level: 'ok' | 'warning' |
+     * 'error', message }. A "|" in a field shifts every field after it, and a number that is not
+     * a whole number is dropped, so both are errors; a warning is a row a later one overrides.
+     */
+    validateChannelOverrideRows: function (rows) {
+        var lastByStream = {};
+        rows.forEach(function (row, index) {
+            if (row.streamId !== undefined) lastByStream[row.streamId] = index;
+        });
+
+        return rows.map(function (row, index) {
+            if (row.streamId === undefined) {
+                return row.raw.charAt(0) === '#'
+                    ? { level: 'ok', message: 'Comment.' }
+                    : { level: 'error', message: 'Not in StreamId=Name|Number|Logo|Tags form; ignored.' };
+            }
+            var problems = [];
+            ['name', 'logo', 'tags'].forEach(function (field) {
+                if (row.raw === undefined && row[field].indexOf('|') >= 0) problems.push('"|" in the ' + field);
             });
+            if (row.number.trim() && !/^[+-]?\d+$/.test(row.number.trim())) problems.push('number is not a whole number');
+            if (problems.length > 0) {
+                return { level: 'error', message: problems.join(', ').replace(/^./, function (c) { return c.toUpperCase(); }) + '.' };
+            }
+            if (lastByStream[row.streamId] !== index) {
+                return { level: 'warning', message: 'Overridden by a later line for this stream.' };
+            }
+            if (!row.name.trim() && !row.number.trim() && !row.logo.trim() && !row.tags.trim()) {
+                return { level: 'ok', message: 'No changes; not saved.' };
+            }
+            return { level: 'ok', message: 'OK' };
+        });
+    },
 
-            self.updateLiveCategoryCounter();
+    // Edited rows that would not save as typed. Lines loaded as they were keep saving as before.
+    findInvalidChannelOverrides: function () {
+        var rows = this.channelOverrideRows;
+        var problems = [];
+        this.validateChannelOverrideRows(rows).forEach(function (status, index) {
+            if (status.level === 'error' && rows[index].raw === undefined) {
+                problems.push('Channel override for stream ' + rows[index].streamId + ': ' + status.message);
+            }
+        });
+        return problems;
+    },
+
+    // The row the server applies for a stream: the last one.
+    findChannelOverrideRow: function (rows, streamId) {
+        for (var i = rows.length - 1; i >= 0; i--) {
+            if (rows[i].streamId === String(streamId)) return i;
         }
+        return -1;
+    },
 
-        if (type === 'vod' || type === 'series') {
-            container.querySelectorAll('.content-cat-expand').forEach(function (btn) {
-                btn.addEventListener('click', function () {
-                    const catId = parseInt(btn.getAttribute('data-cat-id'));
-                    self.toggleContentCategory(type, catId, btn);
-                });
-            });
+    /**
+     * Where a row's logo thumbnail comes from: { url } for an http(s) logo, { served: true } for a
+     * local path the server already has saved for that stream (it serves those by stream ID),
+     * { unsaved: true } for a local path it does not have yet, or null without a logo.
+     */
+    channelOverrideLogoSource: function (row, savedOverrides) {
+        var logo = (row.logo || '').trim();
+        if (!logo) return null;
+        if (/^https?:\/\//i.test(logo)) return { url: logo };
+        var saved = this.parseChannelOverrideRows(savedOverrides);
+        var index = this.findChannelOverrideRow(saved, row.streamId);
+        return index >= 0 && saved[index].logo === logo ? { served: true } : { unsaved: true };
+    },
 
-            // When a category checkbox toggles, re-render any expanded panel so item
-            // checkboxes follow the category's selected state.
-            checkboxes.forEach(function (cb) {
-                cb.addEventListener('change', function () {
-                    const catId = parseInt(cb.getAttribute('data-category-id'));
-                    if (self.expandedContentCategories[type][catId] && self.contentItemsByCategory[type][catId]) {
-                        self.renderContentItems(type, catId);
-                    }
-                });
+    // The provider's own name and number for each stream in the loaded categories.
+    getKnownLiveChannels: function () {
+        var known = {};
+        var cache = this.liveChannelsByCategory;
+        Object.keys(cache).forEach(function (categoryId) {
+            (cache[categoryId] || []).forEach(function (channel) { known[channel.StreamId] = channel; });
+        });
+        return known;
+    },
+
+    /**
+     * The grid: the channels of `channels` (one category) with their overrides, or without a
+     * category every override line. Inputs edit by stream ID, so a channel without an override
+     * gets one as soon as something is typed.
+     */
+    buildChannelOverrideGridHtml: function (rows, channels, search, savedOverrides) {
+        var self = this;
+        var statuses = this.validateChannelOverrideRows(rows);
+        var known = this.getKnownLiveChannels();
+        var entries = [];
+        if (channels) {
+            channels.forEach(function (channel) {
+                var index = self.findChannelOverrideRow(rows, channel.StreamId);
+                entries.push({ channel: channel, index: index });
             });
+        } else {
+            rows.forEach(function (row, index) {
+                entries.push({ channel: row.streamId !== undefined ? known[row.streamId] : null, index: index });
+            });
+        }
 
-            // Re-render panels that were expanded before this list was rebuilt.
-            Object.keys(self.expandedContentCategories[type]).forEach(function (catIdStr) {
-                if (!self.expandedContentCategories[type][catIdStr]) return;
-                const catId = parseInt(catIdStr);
-                if (self.contentItemsByCategory[type][catId]) {
-                    self.renderContentItems(type, catId);
-                } else {
-                    self.fetchContentItemsForCategory(type, catId);
-                }
+        var term = (search || '').trim().toLowerCase();
+        if (term) {
+            entries = entries.filter(function (entry) {
+                var row = rows[entry.index] || {};
+                return [entry.channel && entry.channel.Name, entry.channel && entry.channel.StreamId, row.streamId, row.name, row.raw]
+                    .some(function (v) { return v !== undefined && v !== null && String(v).toLowerCase().indexOf(term) >= 0; });
             });
         }
+
+        if (entries.length === 0) {
+            if (term) return '<span style="opacity: 0.5;">No channels match the search.</span>';
+            return channels
+                ? '<span style="opacity: 0.5;">No channels in this category.</span>'
+                : '<span style="opacity: 0.5;">No channel overrides. Pick a category to edit its channels.</span>';
+        }
+
+        var html = '<table class="dashboard-history-table channel-override-table"><thead><tr>'
+            + '<th>Channel</th><th>Name</th><th>Number</th><th>Logo</th><th></th><th>Tags</th><th>Status</th><th></th></tr></thead><tbody>';
+        entries.forEach(function (entry) {
+            var row = rows[entry.index];
+            var channel = entry.channel;
+            var streamId = channel ? String(channel.StreamId) : (row && row.streamId);
+            // Comments, unreadable lines and lines a later one overrides are shown as they are;
+            // the inputs edit the line the server applies.
+            var editable = streamId !== undefined && (!row || self.findChannelOverrideRow(rows, streamId) === entry.index);
+            html += '<tr>';
+            if (!editable) {
+                html += '<td colspan="6"><code>' + self.escapeHtml(row.raw !== undefined ? row.raw : self.buildChannelOverrides([row])) + '</code></td>';
+            } else {
+                html += '<td>' + self.escapeHtml(channel ? (channel.Name || '(unnamed)') : 'Stream ' + streamId)
+                    + '<br/><small style="opacity: 0.5;">' + streamId + (channel && channel.Num ? ' · #' + channel.Num : '') + '</small></td>';
+                var value = function (field) { return row ? self.escapeHtml(row[field]) : ''; };
+                var input = function (field, placeholder, cls) {
+                    return '<td><input type="text" class="' + cls + '" value="' + value(field) + '" placeholder="' + self.escapeHtml(placeholder) + '"'
+                        + ' oninput="XtreamLibraryConfig.editChannelOverride(' + streamId + ', \'' + field + '\', this.value)" /></td>';
+                };
+                html += input('name', channel ? channel.Name || '' : 'Name', 'channel-override-name');
+                html += input('number', channel && channel.Num ? String(channel.Num) : '#', 'channel-override-number');
+                html += input('logo', 'http(s) URL or local path', 'channel-override-logo');
+                html += '<td id="channelOverrideLogo' + streamId + '">' + self.buildChannelOverrideLogoHtml(row, channel, savedOverrides) + '</td>';
+                html += input('tags', 'sports,news', 'channel-override-tags');
+            }
+            html += '<td id="channelOverrideStatus' + (editable ? streamId : 'Line' + entry.index) + '">'
+                + (row ? self.buildOverrideStatusHtml(statuses[entry.index]) : '') + '</td>';
+            html += '<td>' + (row
+                ? '<button is="emby-button" type="button" class="raised" onclick="XtreamLibraryConfig.deleteChannelOverrideRow(' + entry.index + ')"><span>Delete</span></button>'
+                : '') + '</td>';
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+        return html;
+    },
+
+    buildChannelOverrideLogoHtml: function (row, channel, savedOverrides) {
+        var source = row ? this.channelOverrideLogoSource(row, savedOverrides) : null;
+        if (source && source.unsaved) {
+            return '<small style="opacity: 0.6;">Local file; save to preview</small>';
+        }
+        var url = source ? (source.served ? ApiClient.getUrl('XtreamLibrary/ChannelLogo/' + row.streamId) : source.url) : null;
+        var providerIcon = !url && channel && channel.StreamIcon;
+        if (!url && !providerIcon) return '';
+        return '<img class="channel-override-thumb" src="' + this.escapeHtml(url || channel.StreamIcon) + '" alt=""'
+            + (providerIcon ? ' style="opacity: 0.4;" title="Provider logo"' : '') + ' onerror="this.style.display=\'none\'" />';
     },
 
-    toggleLiveCategory: function (categoryId, btn) {
-        const self = this;
-        const panel = document.querySelector('.live-channel-list[data-cat-id="' + categoryId + '"]');
-        if (!panel) return;
+    renderChannelOverrideCategoryOptions: function () {
+        var select = document.getElementById('selChannelOverrideCategory');
+        if (!select) return;
+        var self = this;
+        var html = '<option value="">Overridden channels</option>';
+        self.liveCategories.forEach(function (category) {
+            html += '<option value="' + category.CategoryId + '">' + self.escapeHtml(category.CategoryName) + '</option>';
+        });
+        select.innerHTML = html;
+        select.value = String(self.channelOverrideCategoryId);
+        if (select.value !== String(self.channelOverrideCategoryId)) {
+            self.channelOverrideCategoryId = '';
+            select.value = '';
+        }
+    },
 
-        const isExpanded = !!self.expandedLiveCategories[categoryId];
-        if (isExpanded) {
-            self.expandedLiveCategories[categoryId] = false;
-            panel.style.display = 'none';
-            if (btn) btn.textContent = '▸';
-            return;
+    renderChannelOverrideGrid: function () {
+        var container = document.getElementById('channelOverrideGrid');
+        if (!container) return;
+        var categoryId = this.channelOverrideCategoryId;
+        var channels = null;
+        if (categoryId !== '') {
+            channels = this.liveChannelsByCategory[categoryId];
+            if (!channels) {
+                this.loadChannelOverrideChannels(categoryId);
+                return;
+            }
         }
+        var saved = this.savedState && this.savedState.Settings ? this.savedState.Settings.ChannelOverrides : '';
+        container.innerHTML = this.buildChannelOverrideGridHtml(this.channelOverrideRows, channels, this.channelOverrideSearch, saved);
+    },
 
-        self.expandedLiveCategories[categoryId] = true;
-        panel.style.display = '';
-        if (btn) btn.textContent = '▾';
+    loadChannelOverrideChannels: function (categoryId) {
+        var self = this;
+        var container = document.getElementById('channelOverrideGrid');
+        container.innerHTML = '<span style="color: orange;">Loading channels...</span>';
 
-        if (self.liveChannelsByCategory[categoryId]) {
-            self.renderLiveChannels(categoryId);
-        } else {
-            self.fetchLiveChannelsForCategory(categoryId);
+        fetch(ApiClient.getUrl('XtreamLibrary/Channels/Live?categoryId=' + encodeURIComponent(categoryId)), {
+            headers: { 'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken() }
+        }).then(function (r) {
+            if (!r.ok) return r.text().then(function (text) { throw new Error(text || ('HTTP ' + r.status)); });
+            return r.json();
+        }).then(function (channels) {
+            self.liveChannelsByCategory[categoryId] = channels || [];
+            if (String(self.channelOverrideCategoryId) === String(categoryId)) self.renderChannelOverrideGrid();
+        }).catch(function (error) {
+            console.error('Failed to load channels for category ' + categoryId + ':', error);
+            container.innerHTML = '<span style="color: red;">Failed to load channels: ' + self.escapeHtml(error.message) + '</span>';
+        });
+    },
+
+    // Typing only refreshes the row's status and thumbnail, so the input keeps its focus.
+    editChannelOverride: function (streamId, field, value) {
+        var rows = this.channelOverrideRows;
+        var index = this.findChannelOverrideRow(rows, streamId);
+        if (index < 0) {
+            rows.push({ streamId: String(streamId), name: '', number: '', logo: '', tags: '' });
+            index = rows.length - 1;
+        }
+        var row = rows[index];
+        var edited = { streamId: row.streamId, name: row.name, number: row.number, logo: row.logo, tags: row.tags };
+        edited[field] = value;
+        rows[index] = edited;
+
+        var status = document.getElementById('channelOverrideStatus' + edited.streamId);
+        if (status) status.innerHTML = this.buildOverrideStatusHtml(this.validateChannelOverrideRows(rows)[index]);
+        if (field === 'logo') {
+            var logo = document.getElementById('channelOverrideLogo' + edited.streamId);
+            var saved = this.savedState && this.savedState.Settings ? this.savedState.Settings.ChannelOverrides : '';
+            if (logo) logo.innerHTML = this.buildChannelOverrideLogoHtml(edited, this.getKnownLiveChannels()[edited.streamId], saved);
         }
     },
 
-    fetchLiveChannelsForCategory: function (categoryId) {
-        const self = this;
-        const panel = document.querySelector('.live-channel-list[data-cat-id="' + categoryId + '"]');
-        if (!panel) return;
+    deleteChannelOverrideRow: function (index) {
+        this.channelOverrideRows.splice(index, 1);
+        this.renderChannelOverrideGrid();
+    },
 
-        panel.innerHTML = '<div class="fieldDescription" style="padding: 4px 0;">Loading channels...</div>';
+    // ----- Channel numbering -----
 
-        fetch(ApiClient.getUrl('XtreamLibrary/Channels/Live?categoryId=' + encodeURIComponent(categoryId)), {
-            headers: { 'X-Emby-Token': ApiClient.accessToken() }
-        })
-            .then(function (r) {
-                if (!r.ok) throw new Error('HTTP ' + r.status);
-                return r.json();
-            })
-            .then(function (channels) {
-                self.liveChannelsByCategory[categoryId] = channels || [];
-                self.renderLiveChannels(categoryId);
-            })
-            .catch(function (error) {
-                console.error('Failed to load channels for category ' + categoryId + ':', error);
-                panel.innerHTML = '<div style="color: #d33; padding: 4px 0;">Failed to load channels. ' +
-                    '<button type="button" class="live-channel-retry" data-cat-id="' + categoryId + '" ' +
-                    'style="background: none; border: 1px solid rgba(255,255,255,0.2); color: inherit; cursor: pointer; padding: 2px 8px; margin-left: 8px; border-radius: 3px;">Retry</button></div>';
-                const retry = panel.querySelector('.live-channel-retry');
-                if (retry) {
-                    retry.addEventListener('click', function () {
-                        self.fetchLiveChannelsForCategory(categoryId);
-                    });
-                }
-            });
+    // ChannelNumberingCategoryStarts: one "CategoryId=Start" line per category, read by
+    // ChannelNumbering.ParseCategoryStarts. Kept by category ID as typed, so a category the page
+    // has not loaded keeps its start, and a half-typed one is not thrown away.
+    parseChannelNumberingStarts: function (text) {
+        var starts = {};
+        (text || '').split(/\r?\n|\r/).forEach(function (line) {
+            var eqIdx = line.indexOf('=');
+            if (eqIdx <= 0) return;
+            var categoryId = line.substring(0, eqIdx).trim();
+            if (/^\d+$/.test(categoryId)) starts[categoryId] = line.substring(eqIdx + 1).trim();
+        });
+        return starts;
     },
 
-    renderLiveChannels: function (categoryId) {
-        const self = this;
-        const panel = document.querySelector('.live-channel-list[data-cat-id="' + categoryId + '"]');
-        if (!panel) return;
+    buildChannelNumberingStarts: function (starts) {
+        return Object.keys(starts)
+            .filter(function (id) { return String(starts[id]).trim() !== ''; })
+            .sort(function (a, b) { return a - b; })
+            .map(function (id) { return id + '=' + String(starts[id]).trim(); })
+            .join('\n');
+    },
 
-        const channels = self.liveChannelsByCategory[categoryId] || [];
-        if (channels.length === 0) {
-            panel.innerHTML = '<div class="fieldDescription" style="padding: 4px 0;">No channels in this category.</div>';
+    // The server skips a start that is not a positive whole number, so the page does not save one.
+    findInvalidChannelNumberingStarts: function () {
+        var self = this;
+        var names = {};
+        self.liveCategories.forEach(function (category) { names[category.CategoryId] = category.CategoryName; });
+        return Object.keys(self.channelNumberingStarts).filter(function (id) {
+            var value = String(self.channelNumberingStarts[id]).trim();
+            return value !== '' && (!/^\d+$/.test(value) || parseInt(value, 10) < 1 || parseInt(value, 10) > 99999);
+        }).map(function (id) {
+            return 'First channel number of category "' + (names[id] || id) + '" must be a whole number from 1 to 99999.';
+        });
+    },
+
+    updateChannelNumberingVisibility: function () {
+        var mode = document.getElementById('selChannelNumbering').value;
+        document.getElementById('channelNumberingStartSection').style.display = mode === 'PreserveProvider' ? 'none' : 'block';
+        document.getElementById('channelNumberingCategorySection').style.display = mode === 'SequentialPerCategory' ? 'block' : 'none';
+    },
+
+    buildChannelNumberingStartsHtml: function (categories, starts) {
+        var self = this;
+        if (categories.length === 0) {
+            return '<span style="opacity: 0.5;">Load the Live TV categories above to set a start per category.</span>';
+        }
+        var html = '<table class="dashboard-history-table channel-numbering-starts"><thead><tr><th>Category</th><th>First number</th></tr></thead><tbody>';
+        categories.forEach(function (category) {
+            var value = starts[category.CategoryId] !== undefined ? starts[category.CategoryId] : '';
+            html += '<tr><td>' + self.escapeHtml(category.CategoryName) + '</td>'
+                + '<td><input type="text" inputmode="numeric" value="' + self.escapeHtml(value) + '" placeholder="continue"'
+                + ' oninput="XtreamLibraryConfig.setChannelNumberingStart(' + category.CategoryId + ', this.value)" /></td></tr>';
+        });
+        return html + '</tbody></table>';
+    },
+
+    renderChannelNumberingStarts: function () {
+        var container = document.getElementById('channelNumberingStarts');
+        if (!container) return;
+        container.innerHTML = this.buildChannelNumberingStartsHtml(this.liveCategories, this.channelNumberingStarts);
+    },
+
+    setChannelNumberingStart: function (categoryId, value) {
+        this.channelNumberingStarts[categoryId] = value;
+    },
+
+    buildChannelNumberingPreviewUrl: function (mode, start, categoryStarts) {
+        var params = { mode: mode, start: start };
+        if (mode === 'SequentialPerCategory' && categoryStarts) params.categoryStarts = categoryStarts;
+        return 'XtreamLibrary/LiveTv/NumberingPreview?' + Object.keys(params).map(function (key) {
+            return key + '=' + encodeURIComponent(params[key]);
+        }).join('&');
+    },
+
+    /**
+     * The preview table, capped at `limit` rows, under a count of the channels whose number
+     * changes against what the provider (or an override) numbers them today.
+     */
+    buildChannelNumberingPreviewHtml: function (preview, limit) {
+        var self = this;
+        if (preview.length === 0) {
+            return '<span style="opacity: 0.5;">No Live TV channels to number.</span>';
+        }
+        var changed = preview.filter(function (p) { return p.Number !== p.CurrentNumber; }).length;
+        var manual = preview.filter(function (p) { return p.Manual; }).length;
+        var html = '<div class="override-editor-summary">' + changed + ' of ' + preview.length + ' channels get a new number';
+        if (manual > 0) html += '; ' + manual + ' keep the number set in their channel override';
+        html += '.</div>';
+
+        html += '<table class="dashboard-history-table"><thead><tr><th>Number</th><th>Now</th><th>Channel</th><th>Category</th></tr></thead><tbody>';
+        preview.slice(0, limit).forEach(function (p) {
+            var style = p.Number !== p.CurrentNumber ? ' style="color: #82e0aa;"' : '';
+            html += '<tr><td' + style + '>' + p.Number + (p.Manual ? ' <small style="opacity: 0.6;">(override)</small>' : '') + '</td>'
+                + '<td style="opacity: 0.6;">' + p.CurrentNumber + '</td>'
+                + '<td>' + self.escapeHtml(p.Name) + '</td>'
+                + '<td>' + self.escapeHtml(p.Category || '') + '</td></tr>';
+        });
+        html += '</tbody></table>';
+        if (preview.length > limit) {
+            html += '<div class="fieldDescription">Showing the first ' + limit + ' of ' + preview.length + ' channels.</div>';
+        }
+        return html;
+    },
+
+    previewChannelNumbering: function () {
+        var self = this;
+        var status = document.getElementById('channelNumberingPreviewStatus');
+        var container = document.getElementById('channelNumberingPreview');
+        var invalid = self.findInvalidChannelNumberingStarts();
+        if (invalid.length > 0) {
+            status.innerHTML = '<span style="color: red;">' + self.escapeHtml(invalid[0]) + '</span>';
             return;
         }
 
-        const excluded = {};
-        self.excludedLiveStreamIds.forEach(function (id) { excluded[id] = true; });
+        var url = self.buildChannelNumberingPreviewUrl(
+            document.getElementById('selChannelNumbering').value,
+            parseInt(document.getElementById('txtChannelNumberingStart').value) || 1,
+            self.buildChannelNumberingStarts(self.channelNumberingStarts));
+        status.innerHTML = '<span style="color: orange;">Fetching channels...</span>';
 
-        // If the parent category isn't selected, the whole category is skipped at sync time —
-        // reflect that in the UI so per-channel checkboxes don't show as ticked when they
-        // won't actually sync. Without this, Deselect-All-Categories clears the exclusion
-        // list and every channel underneath would pop back on as "checked", which is what
-        // Estarna reported on issue #46 against v1.35.1.
-        const categoryCb = document.querySelector(
-            'input[data-category-type="live"][data-category-id="' + categoryId + '"]');
-        const categorySelected = categoryCb ? categoryCb.checked : false;
+        fetch(ApiClient.getUrl(url), {
+            headers: { 'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken() }
+        }).then(function (r) {
+            if (!r.ok) return r.text().then(function (text) { throw new Error(text || ('HTTP ' + r.status)); });
+            return r.json();
+        }).then(function (preview) {
+            status.innerHTML = '';
+            container.innerHTML = self.buildChannelNumberingPreviewHtml(preview || [], 500);
+        }).catch(function (error) {
+            console.error('Channel numbering preview failed:', error);
+            status.innerHTML = '<span style="color: red;">Preview failed: ' + self.escapeHtml(error.message) + '</span>';
+        });
+    },
+
+    // Every distinct channel name in the loaded categories, in name order.
+    getCleaningTestNames: function () {
+        var known = this.getKnownLiveChannels();
+        var names = {};
+        Object.keys(known).forEach(function (streamId) {
+            var name = known[streamId].Name;
+            if (name) names[name] = true;
+        });
+        return Object.keys(names).sort(function (a, b) { return a.localeCompare(b); });
+    },
+
+    /**
+     * Marks up the server's results: a name is a duplicate when it cleans to the same name
+     * (ignoring case) as a different original, and emptied when nothing of it would be left,
+     * in which case the original is published as it is.
+     */
+    analyzeCleanedNames: function (results) {
+        var groups = {};
+        results.forEach(function (result) {
+            if (result.Emptied) return;
+            var key = result.Cleaned.toLowerCase();
+            if (!groups[key]) groups[key] = [];
+            if (groups[key].indexOf(result.Original) < 0) groups[key].push(result.Original);
+        });
 
-        let html = '';
-        html += '<div style="margin: 4px 0;">';
-        html += '<button type="button" class="live-ch-select-all" data-cat-id="' + categoryId + '" ';
-        html += 'style="background: none; border: 1px solid rgba(255,255,255,0.2); color: inherit; cursor: pointer; padding: 2px 8px; border-radius: 3px; margin-right: 6px;">Select all</button>';
-        html += '<button type="button" class="live-ch-deselect-all" data-cat-id="' + categoryId + '" ';
-        html += 'style="background: none; border: 1px solid rgba(255,255,255,0.2); color: inherit; cursor: pointer; padding: 2px 8px; border-radius: 3px;">Deselect all</button>';
-        html += '<small style="opacity: 0.6; margin-left: 10px;">' + channels.length + ' channels</small>';
-        if (!categorySelected) {
-            html += '<small style="opacity: 0.6; margin-left: 10px; font-style: italic;">Category is deselected — tick a channel or the category to include it.</small>';
+        var summary = { total: results.length, changed: 0, emptied: 0, duplicates: 0 };
+        var rows = results.map(function (result) {
+            var group = result.Emptied ? [] : groups[result.Cleaned.toLowerCase()];
+            var row = {
+                original: result.Original,
+                cleaned: result.Cleaned,
+                changed: result.Cleaned !== result.Original,
+                emptied: !!result.Emptied,
+                duplicateOf: group.length > 1 ? group.filter(function (o) { return o !== result.Original; }) : []
+            };
+            if (row.changed) summary.changed++;
+            if (row.emptied) summary.emptied++;
+            if (row.duplicateOf.length > 0) summary.duplicates++;
+            return row;
+        });
+        return { rows: rows, summary: summary };
+    },
+
+    // filter: 'all', 'changed' or 'problems' (emptied or duplicate); search matches either name.
+    buildCleaningTestHtml: function (analysis, filter, search, limit) {
+        var self = this;
+        var summary = analysis.summary;
+        var html = '<div class="override-editor-summary">' + summary.changed + ' of ' + summary.total + ' names change';
+        if (summary.duplicates > 0) html += '; <span style="color: orange;">' + summary.duplicates + ' end up sharing a name</span>';
+        if (summary.emptied > 0) html += '; <span style="color: red;">' + summary.emptied + ' would be emptied and keep their original name</span>';
+        html += '.</div>';
+
+        var term = (search || '').trim().toLowerCase();
+        var rows = analysis.rows.filter(function (row) {
+            if (filter === 'changed' && !row.changed) return false;
+            if (filter === 'problems' && !row.emptied && row.duplicateOf.length === 0) return false;
+            return !term || row.original.toLowerCase().indexOf(term) >= 0 || row.cleaned.toLowerCase().indexOf(term) >= 0;
+        });
+        if (rows.length === 0) {
+            return html + '<span style="opacity: 0.5;">No channels match.</span>';
         }
-        html += '</div>';
 
-        channels.forEach(function (channel) {
-            const isChecked = categorySelected && !excluded[channel.StreamId] ? 'checked' : '';
-            html += '<div class="checkboxContainer" style="margin: 2px 0;">';
-            html += '<label class="emby-checkbox-label">';
-            html += '<input is="emby-checkbox" type="checkbox" class="live-channel-cb" ';
-            html += 'data-stream-id="' + channel.StreamId + '" ' + isChecked + '/>';
-            html += '<span>' + self.escapeHtml(channel.Name || '(unnamed)');
-            if (channel.Num) {
-                html += ' <small style="opacity:0.5;">#' + channel.Num + '</small>';
+        html += '<table class="dashboard-history-table"><thead><tr><th>Original</th><th>Cleaned</th><th>Problem</th></tr></thead><tbody>';
+        rows.slice(0, limit).forEach(function (row) {
+            var cleaned = row.emptied
+                ? '<span style="opacity: 0.5;">(empty)</span>'
+                : '<span' + (row.changed ? ' style="color: #82e0aa;"' : '') + '>' + self.escapeHtml(row.cleaned) + '</span>';
+            var problem = '';
+            if (row.emptied) {
+                problem = '<span style="color: red;">Emptied; the original name is kept</span>';
+            } else if (row.duplicateOf.length > 0) {
+                problem = '<span style="color: orange;">Same name as ' + self.escapeHtml(row.duplicateOf.join(', ')) + '</span>';
             }
-            html += '</span></label></div>';
+            html += '<tr><td>' + self.escapeHtml(row.original) + '</td><td>' + cleaned + '</td><td>' + problem + '</td></tr>';
         });
+        html += '</tbody></table>';
+        if (rows.length > limit) {
+            html += '<div class="fieldDescription">Showing the first ' + limit + ' of ' + rows.length + ' channels.</div>';
+        }
+        return html;
+    },
 
-        panel.innerHTML = html;
+    renderCleaningTest: function () {
+        var container = document.getElementById('cleaningTestResults');
+        if (!container || !this.cleaningTestResults) return;
+        container.innerHTML = this.buildCleaningTestHtml(
+            this.analyzeCleanedNames(this.cleaningTestResults),
+            document.getElementById('selCleaningTestFilter').value,
+            document.getElementById('cleaningTestSearch').value,
+            500);
+    },
 
-        panel.querySelectorAll('.live-channel-cb').forEach(function (cb) {
-            cb.addEventListener('change', function () {
-                const streamId = parseInt(cb.getAttribute('data-stream-id'));
-                // Ticking a channel under a deselected category implies the user wants the
-                // category included — auto-tick the parent so the channel actually syncs.
-                if (cb.checked && categoryCb && !categoryCb.checked) {
-                    categoryCb.checked = true;
-                    self.updateLiveCategoryCounter();
-                }
-                self.updateLiveExclusion(streamId, !cb.checked);
-            });
+    // Cleans the loaded channel names with the settings as they are on screen, saved or not.
+    runCleaningTest: function () {
+        var self = this;
+        var status = document.getElementById('cleaningTestStatus');
+        document.getElementById('cleaningTestPanel').style.display = 'block';
+        var names = self.getCleaningTestNames();
+        if (names.length === 0) {
+            self.cleaningTestResults = null;
+            document.getElementById('cleaningTestResults').innerHTML = '';
+            status.innerHTML = '<span style="color: orange;">No channels loaded. Expand a category under Live TV Categories, or pick one in Channel Overrides.</span>';
+            return;
+        }
+
+        var sequence = ++self.cleaningTestSequence;
+        status.innerHTML = '<span style="color: orange;">Cleaning ' + names.length + ' names...</span>';
+        fetch(ApiClient.getUrl('XtreamLibrary/LiveTv/CleanNames'), {
+            method: 'POST',
+            headers: {
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken(),
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                Names: names,
+                RemoveTerms: document.getElementById('txtChannelRemoveTerms').value,
+                EnableCleaning: document.getElementById('chkEnableChannelNameCleaning').checked
+            })
+        }).then(function (r) {
+            if (!r.ok) return r.text().then(function (text) { throw new Error(text || ('HTTP ' + r.status)); });
+            return r.json();
+        }).then(function (results) {
+            if (sequence !== self.cleaningTestSequence) return;
+            status.innerHTML = '';
+            self.cleaningTestResults = results || [];
+            self.renderCleaningTest();
+        }).catch(function (error) {
+            if (sequence !== self.cleaningTestSequence) return;
+            console.error('Channel name cleaning test failed:', error);
+            status.innerHTML = '<span style="color: red;">Test failed: ' + self.escapeHtml(error.message) + '</span>';
         });
+    },
 
-        const selectAll = panel.querySelector('.live-ch-select-all');
-        if (selectAll) {
-            selectAll.addEventListener('click', function () {
-                if (categoryCb && !categoryCb.checked) {
-                    categoryCb.checked = true;
-                    self.updateLiveCategoryCounter();
-                }
-                panel.querySelectorAll('.live-channel-cb').forEach(function (cb) {
-                    if (!cb.checked) {
-                        cb.checked = true;
-                        self.updateLiveExclusion(parseInt(cb.getAttribute('data-stream-id')), false);
-                    }
-                });
-            });
-        }
-        const deselectAll = panel.querySelector('.live-ch-deselect-all');
-        if (deselectAll) {
-            deselectAll.addEventListener('click', function () {
-                panel.querySelectorAll('.live-channel-cb').forEach(function (cb) {
-                    if (cb.checked) {
-                        cb.checked = false;
-                        self.updateLiveExclusion(parseInt(cb.getAttribute('data-stream-id')), true);
-                    }
-                });
-            });
-        }
+    // Once the tester is open, it follows edits to the cleaning settings after typing stops.
+    scheduleCleaningTest: function () {
+        var self = this;
+        var panel = document.getElementById('cleaningTestPanel');
+        if (!panel || panel.style.display === 'none') return;
+        if (self.cleaningTestTimer) clearTimeout(self.cleaningTestTimer);
+        self.cleaningTestTimer = setTimeout(function () {
+            self.cleaningTestTimer = null;
+            self.runCleaningTest();
+        }, 400);
     },
 
-    updateLiveExclusion: function (streamId, shouldBeExcluded) {
-        const self = this;
-        const idx = self.excludedLiveStreamIds.indexOf(streamId);
-        if (shouldBeExcluded && idx === -1) {
-            self.excludedLiveStreamIds.push(streamId);
-        } else if (!shouldBeExcluded && idx !== -1) {
-            self.excludedLiveStreamIds.splice(idx, 1);
+    updateLiveTvUrls: function () {
+        var baseUrl = window.location.origin;
+        document.getElementById('txtM3UUrl').value = baseUrl + '/XtreamLibrary/LiveTv.m3u';
+        document.getElementById('txtEpgUrl').value = baseUrl + '/XtreamLibrary/Epg.xml';
+        document.getElementById('txtCatchupUrl').value = baseUrl + '/XtreamLibrary/Catchup.m3u';
+    },
+
+    copyToClipboard: function (elementId) {
+        var input = document.getElementById(elementId);
+        input.select();
+        input.setSelectionRange(0, 99999);
+        navigator.clipboard.writeText(input.value).then(function () {
+            // Brief visual feedback
+            var originalBg = input.style.background;
+            input.style.background = 'rgba(0, 200, 0, 0.3)';
+            setTimeout(function () {
+                input.style.background = originalBg;
+            }, 500);
+        }).catch(function (err) {
+            console.error('Failed to copy:', err);
+        });
+    },
+
+    toggleAdvanced: function () {
+        var section = document.getElementById('advancedSettings');
+        var arrow = document.getElementById('advancedArrow');
+        if (section.style.display === 'none') {
+            section.style.display = 'block';
+            arrow.innerHTML = '&#9662;'; // ▾
+        } else {
+            section.style.display = 'none';
+            arrow.innerHTML = '&#9656;'; // ▸
         }
     },
 
-    // ----- Per-item VOD/Series selection (issue #54), mirroring the Live TV per-channel UI -----
+    // Dashboard methods
+    loadDashboard: function () {
+        var self = this;
+        fetch(ApiClient.getUrl('XtreamLibrary/Dashboard'), {
+            method: 'GET',
+            headers: {
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
+            }
+        }).then(function (r) {
+            return r.ok ? r.json() : null;
+        }).then(function (data) {
+            if (!data) return;
+            self.renderDashboardStatus(data.LastSync, data.Progress);
+            self.renderDashboardSchedule(data);
+            self.renderLibraryStats(data.LibraryStats);
+            self.renderDashboardHistory(data.History);
+            self.loadDashboardCharts();
+            self.loadAccountStatus(false);
 
-    toggleContentCategory: function (type, categoryId, btn) {
-        const self = this;
-        const panel = document.querySelector('.content-item-list[data-content-type="' + type + '"][data-cat-id="' + categoryId + '"]');
-        if (!panel) return;
+            if (data.Progress && data.Progress.IsRunning) {
+                self.showDashboardProgress(data.Progress);
+                self.watchDashboardProgress();
+                self.updateDashboardSyncButton(true);
+            } else {
+                self.hideDashboardProgress();
+                self.unsubscribeProgress('dashboard');
+                self.updateDashboardSyncButton(false);
+            }
 
-        const isExpanded = !!self.expandedContentCategories[type][categoryId];
-        if (isExpanded) {
-            self.expandedContentCategories[type][categoryId] = false;
-            panel.style.display = 'none';
-            if (btn) btn.textContent = '▸';
+            // Show/hide retry button
+            var btnRetry = document.getElementById('btnDashboardRetry');
+            var failedCount = document.getElementById('dashboardFailedCount');
+            if (btnRetry && data.LastSync && data.LastSync.FailedItems && data.LastSync.FailedItems.length > 0) {
+                btnRetry.style.display = 'inline-block';
+                if (failedCount) failedCount.textContent = data.LastSync.FailedItems.length;
+            } else if (btnRetry) {
+                btnRetry.style.display = 'none';
+            }
+        }).catch(function (err) {
+            console.error('Dashboard load error:', err);
+        });
+    },
+
+    renderDashboardStatus: function (lastSync, progress) {
+        var container = document.getElementById('dashboardSyncStatus');
+        if (!container) return;
+
+        if (!lastSync) {
+            container.innerHTML = '<span style="opacity: 0.5;">No sync has been performed yet.</span>';
             return;
         }
 
-        self.expandedContentCategories[type][categoryId] = true;
-        panel.style.display = '';
-        if (btn) btn.textContent = '▾';
+        var orphanSkip = this.orphanSkipSummary(lastSync);
 
-        if (self.contentItemsByCategory[type][categoryId]) {
-            self.renderContentItems(type, categoryId);
+        var statusBadge;
+        if (!lastSync.Success) {
+            statusBadge = '<span class="status-badge status-badge-failed">Failed</span>';
+        } else if (orphanSkip) {
+            statusBadge = '<span class="status-badge status-badge-warning">Warnings</span>';
         } else {
-            self.fetchContentItemsForCategory(type, categoryId);
+            statusBadge = '<span class="status-badge status-badge-success">Success</span>';
         }
-    },
 
-    fetchContentItemsForCategory: function (type, categoryId) {
-        const self = this;
-        const panel = document.querySelector('.content-item-list[data-content-type="' + type + '"][data-cat-id="' + categoryId + '"]');
-        if (!panel) return;
+        var typeBadge = lastSync.WasIncrementalSync
+            ? '<span class="status-badge status-badge-incremental">Incremental</span>'
+            : '<span class="status-badge status-badge-full">Full Sync</span>';
 
-        const endpoint = type === 'vod' ? 'XtreamLibrary/Streams/Vod' : 'XtreamLibrary/Series/List';
-        const label = type === 'vod' ? 'movies' : 'series';
-        panel.innerHTML = '<div class="fieldDescription" style="padding: 4px 0;">Loading ' + label + '...</div>';
+        if (progress && progress.IsRunning) {
+            statusBadge = '<span class="status-badge status-badge-running">Running</span>';
+        }
 
-        fetch(ApiClient.getUrl(endpoint) + '?categoryId=' + encodeURIComponent(categoryId) + '&providerIndex=' + self.activeProviderIndex, {
-            headers: { 'X-Emby-Token': ApiClient.accessToken() }
-        })
-            .then(function (r) {
-                if (!r.ok) throw new Error('HTTP ' + r.status);
-                return r.json();
-            })
-            .then(function (items) {
-                self.contentItemsByCategory[type][categoryId] = items || [];
-                self.renderContentItems(type, categoryId);
-            })
-            .catch(function (error) {
-                console.error('Failed to load ' + label + ' for category ' + categoryId + ':', error);
-                panel.innerHTML = '<div style="color: #d33; padding: 4px 0;">Failed to load ' + label + '. ' +
-                    '<button type="button" class="content-item-retry" data-cat-id="' + categoryId + '" data-content-type="' + type + '" ' +
-                    'style="background: none; border: 1px solid rgba(255,255,255,0.2); color: inherit; cursor: pointer; padding: 2px 8px; margin-left: 8px; border-radius: 3px;">Retry</button></div>';
-                const retry = panel.querySelector('.content-item-retry');
-                if (retry) {
-                    retry.addEventListener('click', function () {
-                        self.fetchContentItemsForCategory(type, categoryId);
-                    });
-                }
-            });
-    },
+        var duration = this.formatDuration(lastSync.StartTime, lastSync.EndTime);
+        var time = new Date(lastSync.StartTime).toLocaleString();
 
-    renderContentItems: function (type, categoryId) {
-        const self = this;
-        const panel = document.querySelector('.content-item-list[data-content-type="' + type + '"][data-cat-id="' + categoryId + '"]');
-        if (!panel) return;
+        var html = '<div style="margin-bottom: 10px;">' + statusBadge + ' ' + typeBadge + '</div>';
+        html += '<div style="opacity: 0.7; margin-bottom: 10px;">' + time + ' &middot; ' + duration + '</div>';
+        html += this.buildSyncHostsHtml(lastSync);
 
-        const items = self.contentItemsByCategory[type][categoryId] || [];
-        const label = type === 'vod' ? 'movies' : 'series';
-        if (items.length === 0) {
-            panel.innerHTML = '<div class="fieldDescription" style="padding: 4px 0;">No ' + label + ' in this category.</div>';
-            return;
+        // Stat counters
+        html += '<div>';
+        html += this.renderStatBadge(lastSync.TotalMovies || (lastSync.MoviesCreated + lastSync.MoviesSkipped), 'Movies');
+        html += this.renderStatBadge(lastSync.TotalSeries || (lastSync.SeriesCreated + (lastSync.SeriesSkipped || 0)), 'Series');
+        html += this.renderStatBadge(lastSync.TotalEpisodes || (lastSync.EpisodesCreated + lastSync.EpisodesSkipped), 'Episodes');
+        html += this.renderStatBadge(lastSync.MoviesCreated + (lastSync.SeriesCreated || 0) + lastSync.EpisodesCreated, 'Created');
+        if (lastSync.Errors > 0) {
+            html += '<div class="dashboard-stat" style="border: 1px solid rgba(255,100,100,0.3);">';
+            html += '<span class="stat-value" style="color: #e08282;">' + lastSync.Errors + '</span>';
+            html += '<span class="stat-label">Errors</span></div>';
+        }
+        if (orphanSkip) {
+            html += '<div class="dashboard-stat" style="border: 1px solid rgba(224,200,130,0.35);">';
+            html += '<span class="stat-value" style="color: #e0c882;">' + orphanSkip.total.toLocaleString() + '</span>';
+            html += '<span class="stat-label">Cleanup skipped</span></div>';
+        }
+        html += '</div>';
+
+        if (orphanSkip) {
+            html += '<div class="sync-warning-panel">';
+            html += '<div class="sync-warning-title">' + orphanSkip.total.toLocaleString() + ' orphaned files were not deleted</div>';
+            html += '<div class="sync-warning-detail">';
+            html += (orphanSkip.ratioPct !== null ? orphanSkip.ratioPct + '% of the library ' : 'The deletion ratio ');
+            html += 'exceeds the ' + orphanSkip.thresholdPct + '% safety limit, so cleanup was blocked. See Last Sync details below.';
+            html += '</div>';
+            html += '<div class="sync-warning-actions"><button is="emby-button" type="button" class="raised" onclick="XtreamLibraryConfig.switchTab(\'general\'); XtreamLibraryConfig.openOrphanReview();"><span>Review orphaned files</span></button></div>';
+            html += '</div>';
         }
 
-        const idField = type === 'vod' ? 'StreamId' : 'SeriesId';
-        const exclusionList = type === 'vod' ? self.excludedVodStreamIds : self.excludedSeriesIds;
-        const excluded = {};
-        exclusionList.forEach(function (id) { excluded[id] = true; });
+        container.innerHTML = html;
+    },
 
-        const categoryCb = document.querySelector('input[data-category-type="' + type + '"][data-category-id="' + categoryId + '"]');
-        const categorySelected = categoryCb ? categoryCb.checked : false;
+    // The host each provider was synced from, flagged when it was one of the backups.
+    buildSyncHostsHtml: function (lastSync) {
+        var self = this;
+        var hosts = lastSync.HostsUsed || [];
+        if (hosts.length === 0) return '';
+
+        var html = '<div class="sync-hosts">';
+        hosts.forEach(function (h) {
+            html += '<div>';
+            if (hosts.length > 1) html += self.escapeHtml(h.ProviderName) + ': ';
+            html += '<code>' + self.escapeHtml(h.BaseUrl) + '</code>';
+            if (h.IsBackup) html += ' <span class="status-badge status-badge-warning">Backup host</span>';
+            html += '</div>';
+        });
+        return html + '</div>';
+    },
 
-        let html = '';
-        html += '<div style="margin: 4px 0;">';
-        html += '<button type="button" class="content-item-select-all" data-cat-id="' + categoryId + '" data-content-type="' + type + '" ';
-        html += 'style="background: none; border: 1px solid rgba(255,255,255,0.2); color: inherit; cursor: pointer; padding: 2px 8px; border-radius: 3px; margin-right: 6px;">Select all</button>';
-        html += '<button type="button" class="content-item-deselect-all" data-cat-id="' + categoryId + '" data-content-type="' + type + '" ';
-        html += 'style="background: none; border: 1px solid rgba(255,255,255,0.2); color: inherit; cursor: pointer; padding: 2px 8px; border-radius: 3px;">Deselect all</button>';
-        html += '<small style="opacity: 0.6; margin-left: 10px;">' + items.length + ' ' + label + '</small>';
-        if (!categorySelected) {
-            html += '<small style="opacity: 0.6; margin-left: 10px; font-style: italic;">Category is deselected — tick an item or the category to include it.</small>';
-        }
-        html += '</div>';
+    // The account card of each provider. The server caches the answers; `refresh` asks the
+    // providers again.
+    loadAccountStatus: function (refresh) {
+        var self = this;
+        var container = document.getElementById('dashboardAccounts');
+        var status = document.getElementById('dashboardAccountsStatus');
+        if (!container) return;
+        if (refresh) status.innerHTML = '<span style="color: orange;">Checking accounts...</span>';
 
-        items.forEach(function (item) {
-            const itemId = item[idField];
-            const isChecked = categorySelected && !excluded[itemId] ? 'checked' : '';
-            html += '<div class="checkboxContainer" style="margin: 2px 0;">';
-            html += '<label class="emby-checkbox-label">';
-            html += '<input is="emby-checkbox" type="checkbox" class="content-item-cb" ';
-            html += 'data-item-id="' + itemId + '" ' + isChecked + '/>';
-            html += '<span>' + self.escapeHtml(item.Name || '(unnamed)');
-            if (item.Num) {
-                html += ' <small style="opacity:0.5;">#' + item.Num + '</small>';
+        fetch(ApiClient.getUrl('XtreamLibrary/Accounts', refresh ? { refresh: true } : {}), {
+            method: 'GET',
+            headers: {
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
             }
-            html += '</span></label></div>';
+        }).then(function (r) {
+            if (!r.ok) return r.text().then(function (text) { throw new Error(text || ('HTTP ' + r.status)); });
+            return r.json();
+        }).then(function (statuses) {
+            status.innerHTML = '';
+            container.innerHTML = self.buildAccountStatusHtml(statuses || []);
+        }).catch(function (error) {
+            console.error('Account status error:', error);
+            status.innerHTML = '<span style="color: red;">Account check failed: ' + self.escapeHtml(error.message) + '</span>';
         });
+    },
 
-        panel.innerHTML = html;
+    buildAccountStatusHtml: function (statuses) {
+        var self = this;
+        if (statuses.length === 0) {
+            return '<span style="opacity: 0.5;">No provider has credentials yet.</span>';
+        }
 
-        panel.querySelectorAll('.content-item-cb').forEach(function (cb) {
-            cb.addEventListener('change', function () {
-                const itemId = parseInt(cb.getAttribute('data-item-id'));
-                self.updateContentExclusion(type, itemId, !cb.checked);
-                // Ticking an item under a deselected category implies the user wants the
-                // category included — auto-tick the parent and redraw the panel so the
-                // "category deselected" hint clears and sibling items reflect the new state.
-                if (cb.checked && categoryCb && !categoryCb.checked) {
-                    categoryCb.checked = true;
-                    self.renderContentItems(type, categoryId);
-                }
-            });
+        var html = '<div class="dashboard-grid">';
+        statuses.forEach(function (account) {
+            var badge;
+            if (!account.Success) {
+                badge = '<span class="status-badge status-badge-failed">Unreachable</span>';
+            } else if (account.Status && account.Status !== 'Active') {
+                badge = '<span class="status-badge status-badge-failed">' + self.escapeHtml(account.Status) + '</span>';
+            } else if (account.DaysUntilExpiry !== null && account.DaysUntilExpiry < 0) {
+                badge = '<span class="status-badge status-badge-failed">Expired</span>';
+            } else if (account.ExpiresSoon) {
+                badge = '<span class="status-badge status-badge-warning">Expires soon</span>';
+            } else {
+                badge = '<span class="status-badge status-badge-success">Active</span>';
+            }
+            if (account.IsTrial) badge += ' <span class="status-badge status-badge-warning">Trial</span>';
+
+            html += '<div class="dashboard-card">';
+            html += '<h4>' + self.escapeHtml(account.ProviderName || ('Provider ' + (account.ProviderIndex + 1)));
+            if (!account.IsEnabled) html += ' <small style="opacity: 0.6;">(disabled)</small>';
+            html += '</h4>';
+            html += '<div style="margin-bottom: 8px;">' + badge + '</div>';
+
+            if (!account.Success) {
+                html += '<div style="color: #e08282;">' + self.escapeHtml(account.Error || 'No answer') + '</div>';
+            } else {
+                html += '<div><strong>Expires:</strong> ' + self.describeAccountExpiry(account) + '</div>';
+                var full = account.MaxConnections > 0 && account.ActiveConnections >= account.MaxConnections;
+                html += '<div><strong>Connections:</strong> <span' + (full ? ' style="color: orange;"' : '') + '>'
+                    + account.ActiveConnections + ' of ' + account.MaxConnections + ' in use</span></div>';
+                var formats = account.AllowedOutputFormats || [];
+                html += '<div><strong>Output formats:</strong> ' + (formats.length > 0 ? self.escapeHtml(formats.join(', ')) : '<span style="opacity: 0.5;">not reported</span>') + '</div>';
+            }
+            html += '<div style="opacity: 0.5; font-size: 0.85em; margin-top: 6px;">Checked ' + new Date(account.CheckedAt).toLocaleString() + '</div>';
+            html += '</div>';
         });
+        html += '</div>';
+        return html;
+    },
 
-        const selectAll = panel.querySelector('.content-item-select-all');
-        if (selectAll) {
-            selectAll.addEventListener('click', function () {
-                if (categoryCb && !categoryCb.checked) {
-                    categoryCb.checked = true;
-                }
-                panel.querySelectorAll('.content-item-cb').forEach(function (cb) {
-                    if (!cb.checked) {
-                        cb.checked = true;
-                        self.updateContentExclusion(type, parseInt(cb.getAttribute('data-item-id')), false);
-                    }
-                });
-            });
-        }
-        const deselectAll = panel.querySelector('.content-item-deselect-all');
-        if (deselectAll) {
-            deselectAll.addEventListener('click', function () {
-                panel.querySelectorAll('.content-item-cb').forEach(function (cb) {
-                    if (cb.checked) {
-                        cb.checked = false;
-                        self.updateContentExclusion(type, parseInt(cb.getAttribute('data-item-id')), true);
-                    }
-                });
-            });
+    describeAccountExpiry: function (account) {
+        if (!account.ExpiresAt) return 'never';
+        var date = new Date(account.ExpiresAt).toLocaleDateString();
+        var days = account.DaysUntilExpiry;
+        var when;
+        if (days < 0) {
+            when = (-days) + ' day' + (days === -1 ? '' : 's') + ' ago';
+        } else if (days === 0) {
+            when = 'today';
+        } else {
+            when = 'in ' + days + ' day' + (days === 1 ? '' : 's');
         }
+        var text = date + ' (' + when + ')';
+        return account.ExpiresSoon ? '<span style="color: orange;">' + text + '</span>' : text;
     },
 
-    updateContentExclusion: function (type, itemId, shouldBeExcluded) {
-        const self = this;
-        const list = type === 'vod' ? self.excludedVodStreamIds : self.excludedSeriesIds;
-        const idx = list.indexOf(itemId);
-        if (shouldBeExcluded && idx === -1) {
-            list.push(itemId);
-        } else if (!shouldBeExcluded && idx !== -1) {
-            list.splice(idx, 1);
-        }
+    renderStatBadge: function (value, label) {
+        return '<div class="dashboard-stat"><span class="stat-value">' + (value || 0) + '</span><span class="stat-label">' + label + '</span></div>';
     },
 
-    getLiveCategoryIdsForSave: function () {
-        const self = this;
-        // The category checkboxes only exist once the list has been loaded from the provider.
-        // Reading them before that returns an empty array, which would quietly rewrite a saved
-        // selection to "nothing ticked" - syncing no channels in Custom mode, or every channel
-        // in ExcludeSelected mode. Fall back to what was loaded from the config instead.
-        const rendered = document.querySelectorAll('input[data-category-type="live"]');
-        if (rendered.length === 0) {
-            return self.selectedLiveCategoryIds.slice();
+    renderDashboardSchedule: function (data) {
+        var container = document.getElementById('dashboardSchedule');
+        if (!container) return;
+
+        var html = '<div style="margin-bottom: 8px;"><strong>Type:</strong> ' + this.escapeHtml(data.ScheduleType) + '</div>';
+        if (data.NextSyncTime) {
+            html += '<div><strong>Next sync:</strong> ' + this.escapeHtml(data.NextSyncDisplay);
+            html += '<br/><span style="opacity: 0.5; font-size: 0.9em;">' + new Date(data.NextSyncTime).toLocaleString() + '</span></div>';
+        } else {
+            html += '<div style="opacity: 0.5;">Next sync time unavailable (no previous sync)</div>';
         }
 
-        return self.getSelectedCategoryIds('live');
+        container.innerHTML = html;
     },
 
-    getSelectedCategoryIds: function (type) {
-        const checkboxes = document.querySelectorAll('input[data-category-type="' + type + '"]:checked');
-        const ids = [];
-        checkboxes.forEach(function (checkbox) {
-            ids.push(parseInt(checkbox.getAttribute('data-category-id')));
-        });
-        return ids;
-    },
+    renderLibraryStats: function (stats) {
+        var container = document.getElementById('dashboardLibraryStats');
+        if (!container) return;
 
-    selectAllCategories: function (type) {
-        const self = this;
-        const checkboxes = document.querySelectorAll('input[data-category-type="' + type + '"]');
-        checkboxes.forEach(function (checkbox) {
-            checkbox.checked = true;
-        });
-        if (type === 'live') {
-            // Master "Select all" implies a clean slate: drop any per-channel exclusions so
-            // the user gets every channel from every category. Existing expanded panels
-            // need redrawing so the channel checkboxes follow the new state.
-            //
-            // That reasoning is inverted in ExcludeSelected mode, where ticking everything means
-            // excluding every category. Per-channel exclusions there are not stale leftovers of a
-            // superseded selection, so wiping them would just destroy the user's list.
-            self.clearLiveChannelExclusionsIfMeaningless();
-            self.redrawExpandedLiveChannelPanels();
-            self.updateLiveCategoryCounter();
-        } else if (type === 'vod' || type === 'series') {
-            // Same clean-slate logic as Live TV: clear per-item exclusions and redraw any
-            // expanded panels so the item checkboxes follow the now-selected categories.
-            self.clearContentExclusions(type);
+        if (!stats || (stats.TotalMovieFolders === 0 && stats.TotalSeriesFolders === 0)) {
+            container.innerHTML = '<span style="opacity: 0.5;">No library content found. Run a sync first.</span>';
+            return;
         }
-    },
 
-    deselectAllCategories: function (type) {
-        const self = this;
-        const checkboxes = document.querySelectorAll('input[data-category-type="' + type + '"]');
-        checkboxes.forEach(function (checkbox) {
-            checkbox.checked = false;
-        });
-        if (type === 'live') {
-            // Same clean-slate logic as Select all — the per-channel exclusion list is
-            // meaningless when no category is selected, and leaving stale state behind was
-            // the root of the "Deselect All seems broken" report.
-            //
-            // Also inverted in ExcludeSelected mode: unticking everything there means excluding no
-            // category, i.e. syncing the lot, and per-channel exclusions are the only filter the
-            // user has left. Clearing them would silently undo that.
-            self.clearLiveChannelExclusionsIfMeaningless();
-            self.redrawExpandedLiveChannelPanels();
-            self.updateLiveCategoryCounter();
-        } else if (type === 'vod' || type === 'series') {
-            self.clearContentExclusions(type);
+        var html = '';
+
+        if (stats.TotalMovieFolders > 0) {
+            var moviePct = Math.round((stats.MatchedMovies / stats.TotalMovieFolders) * 100);
+            html += '<div class="library-stat-bar">';
+            html += '<span style="width: 80px;">Movies</span>';
+            html += '<div class="bar-container"><div class="bar-fill" style="width: ' + moviePct + '%;"></div></div>';
+            html += '<span style="width: 120px; text-align: right;">' + stats.MatchedMovies + ' / ' + stats.TotalMovieFolders + ' (' + moviePct + '%)</span>';
+            html += '</div>';
+            if (stats.UnmatchedMovies > 0) {
+                html += '<div style="font-size: 0.85em; margin-left: 80px;"><a href="#" style="color: inherit; opacity: 0.6;" onclick="XtreamLibraryConfig.openUnmatched(\'Movie\'); return false;">' + stats.UnmatchedMovies + ' unmatched</a></div>';
+            }
         }
-    },
 
-    clearContentExclusions: function (type) {
-        const self = this;
-        if (type === 'vod') {
-            self.excludedVodStreamIds = [];
-        } else {
-            self.excludedSeriesIds = [];
+        if (stats.TotalSeriesFolders > 0) {
+            var seriesPct = Math.round((stats.MatchedSeries / stats.TotalSeriesFolders) * 100);
+            html += '<div class="library-stat-bar" style="margin-top: 8px;">';
+            html += '<span style="width: 80px;">Series</span>';
+            html += '<div class="bar-container"><div class="bar-fill" style="width: ' + seriesPct + '%;"></div></div>';
+            html += '<span style="width: 120px; text-align: right;">' + stats.MatchedSeries + ' / ' + stats.TotalSeriesFolders + ' (' + seriesPct + '%)</span>';
+            html += '</div>';
+            if (stats.UnmatchedSeries > 0) {
+                html += '<div style="font-size: 0.85em; margin-left: 80px;"><a href="#" style="color: inherit; opacity: 0.6;" onclick="XtreamLibraryConfig.openUnmatched(\'Series\'); return false;">' + stats.UnmatchedSeries + ' unmatched</a></div>';
+            }
         }
-        self.redrawExpandedContentItemPanels(type);
+
+        container.innerHTML = html;
     },
 
-    redrawExpandedContentItemPanels: function (type) {
-        const self = this;
-        const expanded = self.expandedContentCategories[type] || {};
-        Object.keys(expanded).forEach(function (categoryId) {
-            if (expanded[categoryId] && self.contentItemsByCategory[type][categoryId]) {
-                self.renderContentItems(type, parseInt(categoryId));
-            }
+    renderDashboardHistory: function (history) {
+        var container = document.getElementById('dashboardHistory');
+        if (!container) return;
+
+        if (!history || history.length === 0) {
+            container.innerHTML = '<span style="opacity: 0.5;">No sync history yet.</span>';
+            return;
+        }
+
+        var self = this;
+        var html = '<table class="dashboard-history-table">';
+        html += '<thead><tr><th>Time</th><th>Status</th><th>Type</th><th>Duration</th><th></th><th>Added</th><th>Deleted</th><th>Errors</th></tr></thead>';
+        html += '<tbody>';
+
+        var colorNum = function (val, color) {
+            return val > 0 ? '<span style="color: ' + color + ';">' + val + '</span>' : '0';
+        };
+
+        history.forEach(function (entry) {
+            var time = new Date(entry.StartTime).toLocaleString();
+            var statusBadge = self.syncStatusBadge(entry);
+            var typeBadge = entry.WasIncrementalSync ? 'Incr' : 'Full';
+            var duration = self.formatDuration(entry.StartTime, entry.EndTime);
+            var errors = entry.Errors || 0;
+
+            // Movies row
+            html += '<tr>';
+            html += '<td rowspan="2" style="white-space: nowrap; vertical-align: middle;">' + time + '</td>';
+            html += '<td rowspan="2" style="vertical-align: middle;">' + statusBadge + '</td>';
+            html += '<td rowspan="2" style="vertical-align: middle;">' + typeBadge + '</td>';
+            html += '<td rowspan="2" style="vertical-align: middle;">' + duration + '</td>';
+            html += '<td style="opacity: 0.6; font-size: 0.85em;">Movies</td>';
+            html += '<td>' + colorNum(entry.MoviesCreated || 0, '#82e0aa') + '</td>';
+            html += '<td>' + colorNum(entry.MoviesDeleted || 0, '#e0c882') + '</td>';
+            html += '<td rowspan="2" style="vertical-align: middle;">' + colorNum(errors, '#e08282') + '</td>';
+            html += '</tr>';
+
+            // Series row
+            html += '<tr>';
+            html += '<td style="opacity: 0.6; font-size: 0.85em;">Series</td>';
+            html += '<td>' + colorNum((entry.SeriesCreated || 0) + (entry.EpisodesCreated || 0), '#82e0aa') + '</td>';
+            html += '<td>' + colorNum((entry.SeriesDeleted || 0) + (entry.EpisodesDeleted || 0), '#e0c882') + '</td>';
+            html += '</tr>';
         });
-    },
 
-    clearChannelExclusions: function () {
-        const self = this;
-        self.excludedLiveStreamIds = [];
-        self.redrawExpandedLiveChannelPanels();
-        self.updateLiveCategoryCounter();
+        html += '</tbody></table>';
+        container.innerHTML = html;
     },
 
-    redrawExpandedLiveChannelPanels: function () {
-        const self = this;
-        Object.keys(self.expandedLiveCategories).forEach(function (categoryId) {
-            if (self.expandedLiveCategories[categoryId]) {
-                self.renderLiveChannels(parseInt(categoryId));
+    // Dashboard trend charts. Plain SVG strings, like the rest of the page's markup, so no
+    // charting library has to be loaded into the Jellyfin dashboard.
+    loadDashboardCharts: function () {
+        var self = this;
+        fetch(ApiClient.getUrl('XtreamLibrary/History', { startIndex: 0, limit: this.chartHistoryLimit }), {
+            method: 'GET',
+            headers: {
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
             }
+        }).then(function (r) {
+            return r.ok ? r.json() : null;
+        }).then(function (page) {
+            if (!page) return;
+            self.renderDashboardCharts(page.Items || []);
+        }).catch(function (err) {
+            console.error('Dashboard charts load error:', err);
         });
     },
 
-    getLiveChannelMode: function () {
-        const checked = document.querySelector('input[name="LiveChannelMode"]:checked');
-        return checked ? checked.value : 'IncludeAll';
-    },
-
     /**
-     * Drops the per-channel exclusion list, but only where a bulk category toggle has genuinely
-     * made it meaningless - which is Custom mode, where the exclusions only ever qualified a
-     * category selection that has just been replaced wholesale. In ExcludeSelected mode they are
-     * an independent filter and must survive.
+     * Turns history entries (most recent first) into oldest-first chart series. A failed run
+     * stops before it has counted the library, so its totals are gaps rather than zeros - a
+     * provider outage should not draw as the library being emptied.
      */
-    clearLiveChannelExclusionsIfMeaningless: function () {
-        const self = this;
-        if (self.getLiveChannelMode() !== 'ExcludeSelected') {
-            self.excludedLiveStreamIds = [];
-        }
+    buildChartData: function (history) {
+        var runs = history.slice().reverse();
+        var total = function (run, value) {
+            return run.Success ? (value || 0) : null;
+        };
+
+        return {
+            labels: runs.map(function (r) { return new Date(r.StartTime).toLocaleString(); }),
+            dates: runs.map(function (r) { return new Date(r.StartTime).toLocaleDateString(); }),
+            movies: runs.map(function (r) { return total(r, r.TotalMovies); }),
+            series: runs.map(function (r) { return total(r, r.TotalSeries); }),
+            // An incremental run only walks the series that changed, so its episode total is
+            // not the library's; only full runs are plotted.
+            episodes: runs.map(function (r) { return r.WasIncrementalSync ? null : total(r, r.TotalEpisodes); }),
+            added: runs.map(function (r) {
+                return (r.MoviesCreated || 0) + (r.SeriesCreated || 0) + (r.EpisodesCreated || 0);
+            }),
+            deleted: runs.map(function (r) {
+                return (r.MoviesDeleted || 0) + (r.SeriesDeleted || 0) + (r.EpisodesDeleted || 0);
+            }),
+            durationSeconds: runs.map(function (r) {
+                return Math.max(0, Math.round((new Date(r.EndTime) - new Date(r.StartTime)) / 1000));
+            }),
+            errors: runs.map(function (r) { return r.Errors || 0; })
+        };
     },
 
-    updateLiveCategoryCounter: function () {
-        const counter = document.getElementById('liveCategoryCounter');
-        if (!counter) return;
-        const all = document.querySelectorAll('input[data-category-type="live"]');
-        const checked = document.querySelectorAll('input[data-category-type="live"]:checked');
-        // A ticked box means the opposite thing in each mode, so "N of M selected" would read
-        // backwards in exclude mode: it is the unticked categories that get synced there.
-        if (XtreamLibraryConfig.getLiveChannelMode() === 'ExcludeSelected') {
-            counter.textContent = checked.length + ' of ' + all.length + ' categories excluded';
-        } else {
-            counter.textContent = checked.length + ' of ' + all.length + ' categories selected';
+    /** Rounds a chart's top value up to 1, 2 or 5 times a power of ten. */
+    niceChartMax: function (value) {
+        if (!(value > 0)) return 1;
+        var magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+        var steps = [1, 2, 5, 10];
+        for (var i = 0; i < steps.length; i++) {
+            if (steps[i] * magnitude >= value) return steps[i] * magnitude;
         }
+        return 10 * magnitude;
     },
 
-    updateLiveChannelModeVisibility: function () {
-        const mode = XtreamLibraryConfig.getLiveChannelMode();
-        const customSection = document.getElementById('liveCustomSection');
-        if (customSection) {
-            customSection.style.display = (mode === 'Custom' || mode === 'ExcludeSelected') ? '' : 'none';
-        }
+    /**
+     * Draws a line or grouped bar chart as an SVG string.
+     * options: { kind: 'line' | 'bar', title, labels, dates, series: [{ name, color, values, connectGaps }], formatValue }.
+     * labels name each run in the tooltips; dates, if given, mark the two ends of the x axis.
+     * A null value leaves a gap in a line, or is stepped over if the series has connectGaps, and no bar. Every point and bar carries a <title>, which
+     * is the tooltip.
+     */
+    buildSvgChart: function (options) {
+        var self = this;
+        var width = 320, height = 150;
+        var left = 44, right = 8, top = 8, bottom = 20;
+        var plotWidth = width - left - right;
+        var plotHeight = height - top - bottom;
+        var labels = options.labels;
+        var count = labels.length;
+        var format = options.formatValue || function (v) { return v.toLocaleString(); };
+
+        var peak = 0;
+        options.series.forEach(function (s) {
+            s.values.forEach(function (v) { if (v !== null && v > peak) peak = v; });
+        });
+        var max = this.niceChartMax(peak);
+        var y = function (v) { return top + plotHeight - (v / max) * plotHeight; };
+        var round = function (n) { return Math.round(n * 10) / 10; };
 
-        const hint = document.getElementById('liveChannelModeHint');
-        if (hint) {
-            if (mode === 'Custom') {
-                hint.textContent = 'Only the categories you tick are synced. Tick nothing and nothing syncs.';
-            } else if (mode === 'ExcludeSelected') {
-                hint.textContent = 'Everything is synced except the categories you tick, so categories your '
-                    + 'provider adds later are picked up automatically. Tick nothing and everything syncs.';
-            } else {
-                hint.textContent = '';
+        var svg = '<svg class="dashboard-chart-svg" viewBox="0 0 ' + width + ' ' + height + '" role="img" aria-label="' + self.escapeHtml(options.title) + '">';
+
+        // Horizontal grid with the 0, half and top values on the axis
+        [0, max / 2, max].forEach(function (v) {
+            svg += '<line class="chart-grid" x1="' + left + '" x2="' + (width - right) + '" y1="' + round(y(v)) + '" y2="' + round(y(v)) + '"/>';
+            svg += '<text class="chart-axis" x="' + (left - 4) + '" y="' + round(y(v) + 3) + '" text-anchor="end">' + self.escapeHtml(format(v)) + '</text>';
+        });
+        var dates = options.dates || [];
+        if (dates.length > 0) {
+            svg += '<text class="chart-axis" x="' + left + '" y="' + (height - 4) + '">' + self.escapeHtml(dates[0]) + '</text>';
+            if (dates.length > 1) {
+                svg += '<text class="chart-axis" x="' + (width - right) + '" y="' + (height - 4) + '" text-anchor="end">' + self.escapeHtml(dates[dates.length - 1]) + '</text>';
             }
         }
 
-        // A ticked box excludes rather than includes in the new mode, so "Select all" would read as
-        // a way to get everything while actually syncing nothing.
-        const selectAllLabel = document.getElementById('btnLiveSelectAllLabel');
-        const deselectAllLabel = document.getElementById('btnLiveDeselectAllLabel');
-        if (selectAllLabel && deselectAllLabel) {
-            selectAllLabel.textContent = (mode === 'ExcludeSelected') ? 'Exclude all' : 'Select all';
-            deselectAllLabel.textContent = (mode === 'ExcludeSelected') ? 'Exclude none' : 'Deselect all';
+        var tooltip = function (i, s) {
+            return '<title>' + self.escapeHtml(labels[i] + ' - ' + s.name + ': ' + format(s.values[i])) + '</title>';
+        };
+
+        if (options.kind === 'bar') {
+            var slot = plotWidth / Math.max(count, 1);
+            var barWidth = Math.max(1, (slot * 0.8) / options.series.length);
+            options.series.forEach(function (s, si) {
+                s.values.forEach(function (v, i) {
+                    if (v === null) return;
+                    var x = left + i * slot + slot * 0.1 + si * barWidth;
+                    svg += '<rect x="' + round(x) + '" y="' + round(y(v)) + '" width="' + round(barWidth) + '" height="' + round(top + plotHeight - y(v)) + '" fill="' + s.color + '">' + tooltip(i, s) + '</rect>';
+                });
+            });
+        } else {
+            var x = function (i) { return left + (count > 1 ? (i / (count - 1)) * plotWidth : plotWidth / 2); };
+            options.series.forEach(function (s) {
+                var path = '';
+                var penDown = false;
+                s.values.forEach(function (v, i) {
+                    if (v === null) {
+                        if (!s.connectGaps) penDown = false;
+                        return;
+                    }
+                    path += (penDown ? 'L' : 'M') + round(x(i)) + ' ' + round(y(v)) + ' ';
+                    penDown = true;
+                });
+                if (path) {
+                    svg += '<path d="' + path.trim() + '" fill="none" stroke="' + s.color + '" stroke-width="2"/>';
+                }
+                s.values.forEach(function (v, i) {
+                    if (v === null) return;
+                    svg += '<circle cx="' + round(x(i)) + '" cy="' + round(y(v)) + '" r="2.5" fill="' + s.color + '">' + tooltip(i, s) + '</circle>';
+                });
+            });
         }
 
-        XtreamLibraryConfig.updateLiveCategoryCounter();
-    },
+        svg += '</svg>';
 
-    filterLiveCategoryList: function () {
-        const input = document.getElementById('liveCategorySearch');
-        if (!input) return;
-        const query = input.value.trim().toLowerCase();
-        const items = document.querySelectorAll('#liveCategoryList .live-cat-row');
-        items.forEach(function (item) {
-            const name = (item.getAttribute('data-category-name') || '').toLowerCase();
-            item.style.display = (query === '' || name.indexOf(query) !== -1) ? '' : 'none';
+        var legend = '<div class="dashboard-chart-legend">';
+        options.series.forEach(function (s) {
+            legend += '<span><span class="dashboard-chart-swatch" style="background: ' + s.color + ';"></span>' + self.escapeHtml(s.name) + '</span>';
         });
-    },
+        legend += '</div>';
 
-    escapeHtml: function (text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return '<div class="dashboard-chart"><div class="dashboard-chart-title">' + self.escapeHtml(options.title) + '</div>' + svg + legend + '</div>';
     },
 
-    updateScheduleVisibility: function () {
-        const scheduleType = document.getElementById('selSyncScheduleType').value;
-        const intervalSettings = document.getElementById('intervalSettings');
-        const dailySettings = document.getElementById('dailySettings');
+    renderDashboardCharts: function (history) {
+        var container = document.getElementById('dashboardCharts');
+        if (!container) return;
 
-        if (scheduleType === 'Daily') {
-            intervalSettings.style.display = 'none';
-            dailySettings.style.display = 'block';
-        } else {
-            intervalSettings.style.display = 'block';
-            dailySettings.style.display = 'none';
+        if (!history || history.length < 2) {
+            container.innerHTML = '<span style="opacity: 0.5;">Trends appear after the second sync.</span>';
+            return;
         }
-    },
 
-    updateDispatcharrVisibility: function () {
-        const enabled = document.getElementById('chkEnableDispatcharrMode').checked;
-        document.getElementById('dispatcharrSettings').style.display = enabled ? 'block' : 'none';
+        var self = this;
+        var data = this.buildChartData(history);
+        var colors = this.chartColors;
+        var seconds = function (v) { return self.formatDuration(0, v * 1000); };
+
+        container.innerHTML = [
+            this.buildSvgChart({
+                kind: 'line', title: 'Movies and series', labels: data.labels, dates: data.dates,
+                series: [
+                    { name: 'Movies', color: colors.movies, values: data.movies },
+                    { name: 'Series', color: colors.series, values: data.series }
+                ]
+            }),
+            this.buildSvgChart({
+                kind: 'line', title: 'Episodes (full syncs)', labels: data.labels, dates: data.dates,
+                series: [{ name: 'Episodes', color: colors.episodes, values: data.episodes, connectGaps: true }]
+            }),
+            this.buildSvgChart({
+                kind: 'bar', title: 'Added and deleted per run', labels: data.labels, dates: data.dates,
+                series: [
+                    { name: 'Added', color: colors.added, values: data.added },
+                    { name: 'Deleted', color: colors.deleted, values: data.deleted }
+                ]
+            }),
+            this.buildSvgChart({
+                kind: 'line', title: 'Sync duration', labels: data.labels, dates: data.dates, formatValue: seconds,
+                series: [{ name: 'Duration', color: colors.duration, values: data.durationSeconds }]
+            }),
+            this.buildSvgChart({
+                kind: 'bar', title: 'Errors per run', labels: data.labels, dates: data.dates,
+                series: [{ name: 'Errors', color: colors.errors, values: data.errors }]
+            })
+        ].join('');
     },
 
-    updateOrphanSafetyThresholdVisibility: function () {
-        const enabled = document.getElementById('chkCleanupOrphans').checked;
-        document.getElementById('orphanSafetyThresholdSettings').style.display = enabled ? 'block' : 'none';
+    /** The OK / Warn / Fail badge of a run, matching the status filter of the History tab. */
+    syncStatusBadge: function (entry) {
+        var entrySkip = this.orphanSkipSummary(entry);
+        if (!entry.Success) {
+            return '<span class="status-badge status-badge-failed">Fail</span>';
+        }
+        if (entrySkip) {
+            return '<span class="status-badge status-badge-warning" title="Skipped cleanup of '
+                + entrySkip.total.toLocaleString() + ' orphaned files">Warn</span>';
+        }
+        return '<span class="status-badge status-badge-success">OK</span>';
     },
 
-    testDispatcharr: function () {
-        const statusSpan = document.getElementById('dispatcharrStatus');
-        statusSpan.innerHTML = '<span style="color: orange;">Testing...</span>';
+    // History tab
+    /**
+     * Turns the History tab's filter into XtreamLibrary/History query parameters. The date inputs
+     * are whole local days, so "to" is sent as midnight after that day: the server treats it as
+     * exclusive and compares in UTC.
+     */
+    buildHistoryQuery: function (filter, startIndex, limit) {
+        var params = { startIndex: startIndex, limit: limit };
+        var localMidnight = function (value, addDays) {
+            var parts = value.split('-');
+            return new Date(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2]) + addDays).toISOString();
+        };
 
-        fetch(ApiClient.getUrl('XtreamLibrary/TestDispatcharr') + '?providerIndex=' + this.activeProviderIndex, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
-            }
-        }).then(function (response) {
-            return response.json();
-        }).then(function (result) {
-            if (result.Success) {
-                statusSpan.innerHTML = '<span style="color: #52b54b;">' + result.Message + '</span>';
-            } else {
-                statusSpan.innerHTML = '<span style="color: #ff6b6b;">' + result.Message + '</span>';
-            }
-        }).catch(function (err) {
-            statusSpan.innerHTML = '<span style="color: #ff6b6b;">Error: ' + err.message + '</span>';
-        });
+        if (filter.from) params.from = localMidnight(filter.from, 0);
+        if (filter.to) params.to = localMidnight(filter.to, 1);
+        if (filter.status) params.status = filter.status;
+        if (filter.type) params.type = filter.type;
+        return params;
     },
 
-    clearMetadataCache: function () {
-        const statusSpan = document.getElementById('metadataCacheStatus');
-        statusSpan.innerHTML = '<span style="color: orange;">Clearing...</span>';
+    readHistoryFilter: function () {
+        return {
+            from: document.getElementById('historyFrom').value,
+            to: document.getElementById('historyTo').value,
+            status: document.getElementById('historyStatus').value,
+            type: document.getElementById('historyType').value
+        };
+    },
 
-        fetch(ApiClient.getUrl('XtreamLibrary/ClearMetadataCache'), {
-            method: 'POST',
+    loadHistory: function (startIndex) {
+        var self = this;
+        var container = document.getElementById('historyTable');
+        var params = this.buildHistoryQuery(this.readHistoryFilter(), startIndex || 0, this.historyPageSize);
+
+        fetch(ApiClient.getUrl('XtreamLibrary/History', params), {
+            method: 'GET',
             headers: {
                 'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
             }
-        }).then(function (response) {
-            return response.json();
-        }).then(function (data) {
-            if (data.Success) {
-                statusSpan.innerHTML = '<span style="color: green;">' + data.Message + '</span>';
-            } else {
-                statusSpan.innerHTML = '<span style="color: red;">Failed to clear cache.</span>';
+        }).then(function (r) {
+            if (!r.ok) {
+                return r.text().then(function (text) { throw new Error(text || ('HTTP ' + r.status)); });
             }
-        }).catch(function (error) {
-            console.error('ClearMetadataCache error:', error);
-            statusSpan.innerHTML = '<span style="color: red;">Failed: ' + (error.message || 'Check console for details') + '</span>';
+            return r.json();
+        }).then(function (page) {
+            self.renderHistoryPage(page);
+        }).catch(function (err) {
+            console.error('History load error:', err);
+            container.innerHTML = '<span style="color: #e08282;">Failed to load history: ' + self.escapeHtml(err.message) + '</span>';
         });
     },
 
-    cleanMovies: function () {
-        if (!confirm('Are you sure you want to delete ALL Movies content?\n\nThis action cannot be undone.')) {
-            return;
-        }
+    renderHistoryPage: function (page) {
+        var container = document.getElementById('historyTable');
+        var pager = document.getElementById('historyPager');
+        var self = this;
 
-        this.cleanLibraryFolder('CleanMovies');
-    },
+        this.historyPage = page;
+        this.historySelectedIndex = null;
+        this.renderHistoryDetail(null);
 
-    cleanSeries: function () {
-        if (!confirm('Are you sure you want to delete ALL Series content?\n\nThis action cannot be undone.')) {
-            return;
+        var items = page.Items || [];
+        if (items.length === 0) {
+            container.innerHTML = '<span style="opacity: 0.5;">' + (page.TotalRecordCount > 0 ? 'No runs on this page.' : 'No syncs match these filters.') + '</span>';
+        } else {
+            var counts = function (created, deleted) {
+                var text = created > 0 ? '<span style="color: #82e0aa;">+' + created + '</span>' : '+0';
+                text += ' / ';
+                text += deleted > 0 ? '<span style="color: #e0c882;">-' + deleted + '</span>' : '-0';
+                return text;
+            };
+
+            var html = '<table class="dashboard-history-table history-explorer-table">';
+            html += '<thead><tr><th>Time</th><th>Status</th><th>Type</th><th>Duration</th><th>Movies</th><th>Series</th><th>Errors</th></tr></thead>';
+            html += '<tbody>';
+            items.forEach(function (entry, i) {
+                var errors = entry.Errors || 0;
+                html += '<tr class="history-row" data-index="' + i + '" onclick="XtreamLibraryConfig.showHistoryDetail(' + i + ')">';
+                html += '<td style="white-space: nowrap;">' + new Date(entry.StartTime).toLocaleString() + '</td>';
+                html += '<td>' + self.syncStatusBadge(entry) + '</td>';
+                html += '<td>' + (entry.WasIncrementalSync ? 'Incr' : 'Full') + '</td>';
+                html += '<td>' + self.formatDuration(entry.StartTime, entry.EndTime) + '</td>';
+                html += '<td>' + counts(entry.MoviesCreated || 0, entry.MoviesDeleted || 0) + '</td>';
+                html += '<td>' + counts((entry.SeriesCreated || 0) + (entry.EpisodesCreated || 0), (entry.SeriesDeleted || 0) + (entry.EpisodesDeleted || 0)) + '</td>';
+                html += '<td>' + (errors > 0 ? '<span style="color: #e08282;">' + errors + '</span>' : '0') + '</td>';
+                html += '</tr>';
+            });
+            html += '</tbody></table>';
+            container.innerHTML = html;
         }
 
-        this.cleanLibraryFolder('CleanSeries');
+        pager.innerHTML = this.buildPagerHtml(page, 'loadHistory', this.historyPageSize, 'Newer', 'Older');
     },
 
-    cleanLibraryFolder: function (endpoint) {
-        const statusDiv = document.getElementById('cleanLibrariesStatus');
-        statusDiv.innerHTML = '<span style="color: orange;">Deleting...</span>';
-
-        fetch(ApiClient.getUrl('XtreamLibrary/' + endpoint) + '?providerIndex=' + XtreamLibraryConfig.activeProviderIndex, {
-            method: 'POST',
-            headers: {
-                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
-            }
-        }).then(function (response) {
-            return response.json();
-        }).then(function (data) {
-            if (data.Success) {
-                statusDiv.innerHTML = '<span style="color: green;">' + data.Message + '</span>';
-            } else {
-                statusDiv.innerHTML = '<span style="color: red;">' + (data.Message || 'Failed to clean library.') + '</span>';
-            }
-        }).catch(function (error) {
-            console.error('Clean library error:', error);
-            statusDiv.innerHTML = '<span style="color: red;">Failed: ' + (error.message || 'Check console for details') + '</span>';
-        });
+    /**
+     * The "21-40 of 45" line under a paged table, with buttons that call
+     * XtreamLibraryConfig[loadFunction] with the start index of the page before or after.
+     */
+    buildPagerHtml: function (page, loadFunction, pageSize, previousLabel, nextLabel) {
+        var items = page.Items || [];
+        var start = page.StartIndex || 0;
+        var total = page.TotalRecordCount || 0;
+        var html = '';
+        if (total > 0) {
+            html += '<span style="opacity: 0.7;">' + (items.length > 0 ? (start + 1) + '-' + (start + items.length) : start + 1) + ' of ' + total + '</span>';
+        }
+        if (start > 0) {
+            html += ' <button is="emby-button" type="button" class="raised" onclick="XtreamLibraryConfig.' + loadFunction + '(' + Math.max(0, start - pageSize) + ')"><span>' + (previousLabel || 'Previous') + '</span></button>';
+        }
+        if (start + items.length < total) {
+            html += ' <button is="emby-button" type="button" class="raised" onclick="XtreamLibraryConfig.' + loadFunction + '(' + (start + pageSize) + ')"><span>' + (nextLabel || 'Next') + '</span></button>';
+        }
+        return html;
     },
 
-    // Live TV functions
-    loadLiveCategories: function () {
-        const statusSpan = document.getElementById('liveCategoryLoadStatus');
-        statusSpan.innerHTML = '<span style="color: orange;">Loading...</span>';
-        const self = this;
+    showHistoryDetail: function (index) {
+        var items = (this.historyPage && this.historyPage.Items) || [];
+        var run = items[index];
+        if (!run) return;
 
-        fetch(ApiClient.getUrl('XtreamLibrary/Categories/Live'), {
-            method: 'GET',
-            headers: {
-                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
-            }
-        }).then(function (r) {
-            return r.ok ? r.json() : Promise.reject(r);
-        }).then(function (categories) {
-            self.liveCategories = categories || [];
-            self.renderCategoryList('live', self.liveCategories, self.selectedLiveCategoryIds);
-            document.getElementById('liveSingleFolderSection').style.display = 'block';
-            statusSpan.innerHTML = '<span style="color: green;">Loaded ' + self.liveCategories.length + ' categories</span>';
-        }).catch(function (error) {
-            console.error('Failed to load Live TV categories:', error);
-            statusSpan.innerHTML = '<span style="color: red;">Failed to load. Check credentials.</span>';
+        this.historySelectedIndex = index;
+        document.querySelectorAll('#historyTable .history-row').forEach(function (row) {
+            row.classList.toggle('selected', row.getAttribute('data-index') === String(index));
         });
+        this.renderHistoryDetail(run);
     },
 
-    updateLiveTvUrls: function () {
-        var baseUrl = window.location.origin;
-        document.getElementById('txtM3UUrl').value = baseUrl + '/XtreamLibrary/LiveTv.m3u';
-        document.getElementById('txtEpgUrl').value = baseUrl + '/XtreamLibrary/Epg.xml';
-        document.getElementById('txtCatchupUrl').value = baseUrl + '/XtreamLibrary/Catchup.m3u';
-    },
-
-    copyToClipboard: function (elementId) {
-        var input = document.getElementById(elementId);
-        input.select();
-        input.setSelectionRange(0, 99999);
-        navigator.clipboard.writeText(input.value).then(function () {
-            // Brief visual feedback
-            var originalBg = input.style.background;
-            input.style.background = 'rgba(0, 200, 0, 0.3)';
-            setTimeout(function () {
-                input.style.background = originalBg;
-            }, 500);
-        }).catch(function (err) {
-            console.error('Failed to copy:', err);
+    renderHistoryDetail: function (run) {
+        var detail = document.getElementById('historyDetail');
+        if (!run) {
+            detail.style.display = 'none';
+            detail.innerHTML = '';
+            return;
+        }
+
+        var html = this.buildSyncResultHtml(run, 'Sync');
+        var failedItems = run.FailedItems || [];
+        if (failedItems.length > 0) {
+            html += '<div style="margin-top: 12px;"><strong>Failed Items (' + failedItems.length + '):</strong>';
+            html += this.buildFailedItemsHtml(failedItems) + '</div>';
+        }
+
+        detail.innerHTML = html;
+        detail.style.display = 'block';
+    },
+
+    /** Fills the Library tab's provider filter from the providers being edited, keeping the pick. */
+    renderLibraryProviderFilter: function () {
+        var select = document.getElementById('libraryProvider');
+        var current = select.value;
+        var html = '<option value="">All</option>';
+        this.providers.forEach(function (provider, i) {
+            html += '<option value="' + i + '">' + XtreamLibraryConfig.escapeHtml(provider.Name || ('Provider ' + (i + 1))) + '</option>';
         });
+        select.innerHTML = html;
+        select.value = current && this.providers[Number(current)] ? current : '';
     },
 
-    toggleAdvanced: function () {
-        var section = document.getElementById('advancedSettings');
-        var arrow = document.getElementById('advancedArrow');
-        if (section.style.display === 'none') {
-            section.style.display = 'block';
-            arrow.innerHTML = '&#9662;'; // ▾
-        } else {
-            section.style.display = 'none';
-            arrow.innerHTML = '&#9656;'; // ▸
-        }
+    readLibraryFilter: function () {
+        return {
+            provider: document.getElementById('libraryProvider').value,
+            type: document.getElementById('libraryType').value,
+            folder: document.getElementById('libraryFolder').value,
+            search: document.getElementById('librarySearch').value.trim(),
+            unmatched: document.getElementById('libraryUnmatched').checked
+        };
     },
 
-    // Dashboard methods
-    loadDashboard: function () {
+    /** Query parameters for XtreamLibrary/Library; the content root goes over the wire as "/". */
+    buildLibraryQuery: function (filter, startIndex, limit) {
+        var params = { startIndex: startIndex, limit: limit };
+        if (filter.provider !== '') params.providerIndex = filter.provider;
+        if (filter.type) params.type = filter.type;
+        if (filter.folder) params.folder = filter.folder;
+        if (filter.search) params.search = filter.search;
+        if (filter.unmatched) params.unmatched = true;
+        return params;
+    },
+
+    loadLibrary: function (startIndex) {
         var self = this;
-        fetch(ApiClient.getUrl('XtreamLibrary/Dashboard'), {
+        var container = document.getElementById('libraryTable');
+        var params = this.buildLibraryQuery(this.readLibraryFilter(), startIndex || 0, this.libraryPageSize);
+
+        fetch(ApiClient.getUrl('XtreamLibrary/Library', params), {
             method: 'GET',
             headers: {
                 'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
             }
         }).then(function (r) {
-            return r.ok ? r.json() : null;
-        }).then(function (data) {
-            if (!data) return;
-            self.renderDashboardStatus(data.LastSync, data.Progress);
-            self.renderDashboardSchedule(data);
-            self.renderLibraryStats(data.LibraryStats);
-            self.renderDashboardHistory(data.History);
-
-            if (data.Progress && data.Progress.IsRunning) {
-                self.showDashboardProgress(data.Progress);
-                self.startDashboardProgressPolling();
-                self.updateDashboardSyncButton(true);
-            } else {
-                self.hideDashboardProgress();
-                self.stopDashboardProgressPolling();
-                self.updateDashboardSyncButton(false);
-            }
-
-            // Show/hide retry button
-            var btnRetry = document.getElementById('btnDashboardRetry');
-            var failedCount = document.getElementById('dashboardFailedCount');
-            if (btnRetry && data.LastSync && data.LastSync.FailedItems && data.LastSync.FailedItems.length > 0) {
-                btnRetry.style.display = 'inline-block';
-                if (failedCount) failedCount.textContent = data.LastSync.FailedItems.length;
-            } else if (btnRetry) {
-                btnRetry.style.display = 'none';
+            if (!r.ok) {
+                return r.text().then(function (text) { throw new Error(text || ('HTTP ' + r.status)); });
             }
+            return r.json();
+        }).then(function (page) {
+            self.renderLibraryPage(page);
         }).catch(function (err) {
-            console.error('Dashboard load error:', err);
+            console.error('Library load error:', err);
+            container.innerHTML = '<span style="color: #e08282;">Failed to load the library: ' + self.escapeHtml(err.message) + '</span>';
         });
     },
 
-    renderDashboardStatus: function (lastSync, progress) {
-        var container = document.getElementById('dashboardSyncStatus');
-        if (!container) return;
+    renderLibraryPage: function (page) {
+        var folderSelect = document.getElementById('libraryFolder');
+        var current = folderSelect.value;
+        var options = '<option value="">All</option>';
+        (page.Folders || []).forEach(function (folder) {
+            var value = folder === '' ? '/' : folder;
+            options += '<option value="' + XtreamLibraryConfig.escapeHtml(value) + '">' + XtreamLibraryConfig.escapeHtml(folder === '' ? '(root)' : folder) + '</option>';
+        });
+        folderSelect.innerHTML = options;
+        folderSelect.value = current;
 
-        if (!lastSync) {
-            container.innerHTML = '<span style="opacity: 0.5;">No sync has been performed yet.</span>';
-            return;
+        this.libraryPage = page;
+        document.getElementById('libraryTable').innerHTML = this.buildLibraryHtml(page);
+        document.getElementById('libraryPager').innerHTML = this.buildPagerHtml(page, 'loadLibrary', this.libraryPageSize);
+    },
+
+    /** A TMDb or TVDb ID as a link to its page, or a dash when the folder carries no ID. */
+    libraryIdLink: function (item) {
+        if (item.TmdbId) {
+            var kind = item.ItemType === 'Series' ? 'tv' : 'movie';
+            return '<a href="https://www.themoviedb.org/' + kind + '/' + item.TmdbId + '" target="_blank" rel="noopener">TMDb ' + item.TmdbId + '</a>';
+        }
+        if (item.TvdbId) {
+            return '<a href="https://thetvdb.com/dereferrer/series/' + item.TvdbId + '" target="_blank" rel="noopener">TVDb ' + item.TvdbId + '</a>';
         }
+        return '<span class="library-missing">Unmatched</span>';
+    },
 
-        var orphanSkip = this.orphanSkipSummary(lastSync);
+    buildLibraryHtml: function (page) {
+        var self = this;
+        var items = page.Items || [];
+        if (items.length === 0) {
+            return '<span style="opacity: 0.5;">' + ((page.Folders || []).length > 0 ? 'No items match the filters.' : 'Nothing synced yet.') + '</span>';
+        }
 
-        var statusBadge;
-        if (!lastSync.Success) {
-            statusBadge = '<span class="status-badge status-badge-failed">Failed</span>';
-        } else if (orphanSkip) {
-            statusBadge = '<span class="status-badge status-badge-warning">Warnings</span>';
+        var showProvider = this.providers.length > 1;
+        var html = '<table class="dashboard-history-table library-table"><thead><tr>';
+        html += '<th>Title</th><th>Type</th>';
+        if (showProvider) html += '<th>Provider</th>';
+        html += '<th>Folder</th><th>Category</th><th>ID</th><th>NFO</th><th>Last synced</th></tr></thead><tbody>';
+        items.forEach(function (item, index) {
+            var categories = item.Categories || [];
+            html += '<tr>';
+            html += '<td title="' + self.escapeHtml(item.Path) + '">' + self.escapeHtml(item.Title) + '</td>';
+            html += '<td>' + (item.ItemType === 'Series' ? 'Series' : 'Movie') + '</td>';
+            if (showProvider) html += '<td>' + self.escapeHtml(item.ProviderName) + '</td>';
+            html += '<td>' + (item.Folder ? self.escapeHtml(item.Folder) : '<span class="library-missing">(root)</span>') + '</td>';
+            html += '<td>' + (categories.length > 0 ? self.escapeHtml(categories.join(', ')) : '<span class="library-missing">-</span>') + '</td>';
+            html += '<td style="white-space: nowrap;">' + self.libraryIdLink(item);
+            if (!item.TmdbId && !item.TvdbId) {
+                html += ' <button is="emby-button" type="button" class="raised" onclick="XtreamLibraryConfig.openMatchFixer(' + index + ')"><span>Find match</span></button>';
+            }
+            html += '</td>';
+            html += '<td>' + (item.HasNfo ? 'Yes' : '<span class="library-missing">No</span>') + '</td>';
+            html += '<td style="white-space: nowrap;">' + (item.LastSynced ? new Date(item.LastSynced).toLocaleString() : '<span class="library-missing">-</span>') + '</td>';
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+        return html;
+    },
+
+    /** Fills the catalogue search's provider pick, starting on the provider being edited. */
+    renderCatalogSearchProviderFilter: function () {
+        var select = document.getElementById('catalogSearchProvider');
+        var current = select.value;
+        var html = '<option value="">All</option>';
+        this.providers.forEach(function (provider, i) {
+            html += '<option value="' + i + '">' + XtreamLibraryConfig.escapeHtml(provider.Name || ('Provider ' + (i + 1))) + '</option>';
+        });
+        select.innerHTML = html;
+        select.value = current === '' || this.providers[Number(current)] ? current : String(this.activeProviderIndex);
+    },
+
+    /**
+     * Query parameters for XtreamLibrary/Catalog/Search. The provider pick is a place on this
+     * page and the server indexes the saved list, so it is translated; null when the picked
+     * provider is not saved yet and the server cannot search it.
+     */
+    buildCatalogSearchQuery: function (search, provider, type) {
+        var params = { search: search, limit: 200 };
+        if (provider !== '') {
+            var savedIndex = this.savedProviderIndex(Number(provider));
+            if (savedIndex < 0) return null;
+            params.providerIndex = savedIndex;
+        }
+        if (type) params.type = type;
+        return params;
+    },
+
+    /**
+     * Whether the page excludes a search hit. The provider being edited keeps its exclusions in
+     * the category lists' state, the others in their provider object; both may be unsaved. A hit
+     * names its provider by its place in the saved list, which is looked up on the page.
+     */
+    isCatalogItemExcluded: function (hit) {
+        var list;
+        var pageIndex = this.pageProviderIndex(hit.ProviderIndex);
+        if (pageIndex === this.activeProviderIndex) {
+            list = hit.ItemType === 'Series' ? this.excludedSeriesIds : this.excludedVodStreamIds;
         } else {
-            statusBadge = '<span class="status-badge status-badge-success">Success</span>';
+            var provider = this.providers[pageIndex] || {};
+            list = (hit.ItemType === 'Series' ? provider.ExcludedSeriesIds : provider.ExcludedVodStreamIds) || [];
         }
+        return list.indexOf(hit.ItemId) !== -1;
+    },
 
-        var typeBadge = lastSync.WasIncrementalSync
-            ? '<span class="status-badge status-badge-incremental">Incremental</span>'
-            : '<span class="status-badge status-badge-full">Full Sync</span>';
+    buildCatalogSearchHtml: function (result) {
+        var self = this;
+        var html = '';
+        (result.Errors || []).forEach(function (error) {
+            html += '<div style="color: red;">Could not search ' + self.escapeHtml(error) + '</div>';
+        });
 
-        if (progress && progress.IsRunning) {
-            statusBadge = '<span class="status-badge status-badge-running">Running</span>';
+        var hits = result.Hits || [];
+        if (hits.length === 0) {
+            return html + '<span style="opacity: 0.5;">No movies or series match.</span>';
         }
 
-        var duration = this.formatDuration(lastSync.StartTime, lastSync.EndTime);
-        var time = new Date(lastSync.StartTime).toLocaleString();
-
-        var html = '<div style="margin-bottom: 10px;">' + statusBadge + ' ' + typeBadge + '</div>';
-        html += '<div style="opacity: 0.7; margin-bottom: 10px;">' + time + ' &middot; ' + duration + '</div>';
+        var showProvider = this.providers.length > 1;
+        html += '<table class="dashboard-history-table"><thead><tr><th>Title</th><th>Type</th>';
+        if (showProvider) html += '<th>Provider</th>';
+        html += '<th>Category</th><th>Folder</th><th>Status</th><th></th></tr></thead><tbody>';
+        hits.forEach(function (hit, index) {
+            var excluded = self.isCatalogItemExcluded(hit);
+            var status;
+            if (hit.Synced) {
+                status = excluded ? '<span style="color: orange;">Synced, excluded</span>' : '<span style="color: green;">Synced</span>';
+            } else if (excluded) {
+                status = '<span style="color: orange;">Excluded</span>';
+            } else if (!hit.CategorySelected) {
+                status = '<span class="library-missing">Category not selected</span>';
+            } else {
+                status = '<span class="library-missing">Not synced yet</span>';
+            }
 
-        // Stat counters
-        html += '<div>';
-        html += this.renderStatBadge(lastSync.TotalMovies || (lastSync.MoviesCreated + lastSync.MoviesSkipped), 'Movies');
-        html += this.renderStatBadge(lastSync.TotalSeries || (lastSync.SeriesCreated + (lastSync.SeriesSkipped || 0)), 'Series');
-        html += this.renderStatBadge(lastSync.TotalEpisodes || (lastSync.EpisodesCreated + lastSync.EpisodesSkipped), 'Episodes');
-        html += this.renderStatBadge(lastSync.MoviesCreated + (lastSync.SeriesCreated || 0) + lastSync.EpisodesCreated, 'Created');
-        if (lastSync.Errors > 0) {
-            html += '<div class="dashboard-stat" style="border: 1px solid rgba(255,100,100,0.3);">';
-            html += '<span class="stat-value" style="color: #e08282;">' + lastSync.Errors + '</span>';
-            html += '<span class="stat-label">Errors</span></div>';
+            html += '<tr>';
+            html += '<td>' + self.escapeHtml(hit.Name) + '</td>';
+            html += '<td>' + (hit.ItemType === 'Series' ? 'Series' : 'Movie') + '</td>';
+            if (showProvider) html += '<td>' + self.escapeHtml(hit.ProviderName) + '</td>';
+            html += '<td>' + (hit.CategoryName ? self.escapeHtml(hit.CategoryName) : '<span class="library-missing">' + (hit.CategoryId == null ? '-' : '#' + hit.CategoryId) + '</span>') + '</td>';
+            html += '<td>' + ((hit.Folders || []).length > 0 ? self.escapeHtml(hit.Folders.join(', ')) : '<span class="library-missing">(root)</span>') + '</td>';
+            html += '<td>' + status + '</td>';
+            html += self.pageProviderIndex(hit.ProviderIndex) < 0
+                ? '<td><span class="library-missing" title="This provider was removed or its account changed on this page">-</span></td>'
+                : '<td><button is="emby-button" type="button" class="raised" onclick="XtreamLibraryConfig.toggleCatalogExclusion(' + index + ')"><span>'
+                    + (excluded ? 'Include' : 'Exclude') + '</span></button></td>';
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+        if (result.TotalCount > hits.length) {
+            html += '<div class="fieldDescription">Showing the first ' + hits.length + ' of ' + result.TotalCount + ' matches; type more of the title to narrow them down.</div>';
         }
-        if (orphanSkip) {
-            html += '<div class="dashboard-stat" style="border: 1px solid rgba(224,200,130,0.35);">';
-            html += '<span class="stat-value" style="color: #e0c882;">' + orphanSkip.total.toLocaleString() + '</span>';
-            html += '<span class="stat-label">Cleanup skipped</span></div>';
+        return html;
+    },
+
+    // Searches the whole catalogue, unselected categories included. Needs two characters, so a
+    // single letter does not list half the provider.
+    runCatalogSearch: function () {
+        var self = this;
+        var status = document.getElementById('catalogSearchStatus');
+        var container = document.getElementById('catalogSearchResults');
+        var search = document.getElementById('catalogSearch').value.trim();
+        var sequence = ++self.catalogSearchSequence;
+        if (search.length < 2) {
+            self.catalogSearchResult = null;
+            status.innerHTML = '';
+            container.innerHTML = '';
+            return;
         }
-        html += '</div>';
 
-        if (orphanSkip) {
-            html += '<div class="sync-warning-panel">';
-            html += '<div class="sync-warning-title">' + orphanSkip.total.toLocaleString() + ' orphaned files were not deleted</div>';
-            html += '<div class="sync-warning-detail">';
-            html += (orphanSkip.ratioPct !== null ? orphanSkip.ratioPct + '% of the library ' : 'The deletion ratio ');
-            html += 'exceeds the ' + orphanSkip.thresholdPct + '% safety limit, so cleanup was blocked. See Last Sync details below.';
-            html += '</div></div>';
+        status.innerHTML = '<span style="color: orange;">Searching...</span>';
+        var params = self.buildCatalogSearchQuery(
+            search,
+            document.getElementById('catalogSearchProvider').value,
+            document.getElementById('catalogSearchType').value);
+        if (!params) {
+            self.catalogSearchResult = null;
+            status.innerHTML = '<span style="color: orange;">Save this provider before searching its catalogue.</span>';
+            container.innerHTML = '';
+            return;
         }
 
-        container.innerHTML = html;
+        fetch(ApiClient.getUrl('XtreamLibrary/Catalog/Search', params), {
+            method: 'GET',
+            headers: {
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
+            }
+        }).then(function (r) {
+            if (!r.ok) return r.text().then(function (text) { throw new Error(text || ('HTTP ' + r.status)); });
+            return r.json();
+        }).then(function (result) {
+            if (sequence !== self.catalogSearchSequence) return;
+            status.innerHTML = '';
+            self.catalogSearchResult = result || { Hits: [], TotalCount: 0, Errors: [] };
+            container.innerHTML = self.buildCatalogSearchHtml(self.catalogSearchResult);
+        }).catch(function (error) {
+            if (sequence !== self.catalogSearchSequence) return;
+            console.error('Catalogue search failed:', error);
+            status.innerHTML = '<span style="color: red;">Search failed: ' + self.escapeHtml(error.message) + '</span>';
+        });
     },
 
-    renderStatBadge: function (value, label) {
-        return '<div class="dashboard-stat"><span class="stat-value">' + (value || 0) + '</span><span class="stat-label">' + label + '</span></div>';
+    scheduleCatalogSearch: function () {
+        var self = this;
+        if (self.catalogSearchTimer) clearTimeout(self.catalogSearchTimer);
+        self.catalogSearchTimer = setTimeout(function () {
+            self.catalogSearchTimer = null;
+            self.runCatalogSearch();
+        }, 400);
     },
 
-    renderDashboardSchedule: function (data) {
-        var container = document.getElementById('dashboardSchedule');
-        if (!container) return;
-
-        var html = '<div style="margin-bottom: 8px;"><strong>Type:</strong> ' + this.escapeHtml(data.ScheduleType) + '</div>';
-        if (data.NextSyncTime) {
-            html += '<div><strong>Next sync:</strong> ' + this.escapeHtml(data.NextSyncDisplay);
-            html += '<br/><span style="opacity: 0.5; font-size: 0.9em;">' + new Date(data.NextSyncTime).toLocaleString() + '</span></div>';
+    /**
+     * Flips the exclusion of a search hit in the page's state, the same edit as unticking it in
+     * its category list, and redraws that list if it is open. Like any other edit, it takes
+     * effect when the configuration is saved.
+     */
+    toggleCatalogExclusion: function (index) {
+        var hit = this.catalogSearchResult && this.catalogSearchResult.Hits[index];
+        if (!hit) return;
+        var exclude = !this.isCatalogItemExcluded(hit);
+        var type = hit.ItemType === 'Series' ? 'series' : 'vod';
+        var pageIndex = this.pageProviderIndex(hit.ProviderIndex);
+
+        if (pageIndex === this.activeProviderIndex) {
+            this.updateContentExclusion(type, hit.ItemId, exclude);
+            if (hit.CategoryId != null && this.contentItemsByCategory[type][hit.CategoryId]) {
+                this.renderContentItems(type, hit.CategoryId);
+            }
         } else {
-            html += '<div style="opacity: 0.5;">Next sync time unavailable (no previous sync)</div>';
+            var provider = this.providers[pageIndex];
+            if (!provider) return;
+            var field = type === 'series' ? 'ExcludedSeriesIds' : 'ExcludedVodStreamIds';
+            provider[field] = (provider[field] || []).filter(function (id) { return id !== hit.ItemId; });
+            if (exclude) provider[field].push(hit.ItemId);
         }
 
-        container.innerHTML = html;
+        var container = document.getElementById('catalogSearchResults');
+        if (container) container.innerHTML = this.buildCatalogSearchHtml(this.catalogSearchResult);
     },
 
-    renderLibraryStats: function (stats) {
-        var container = document.getElementById('dashboardLibraryStats');
-        if (!container) return;
+    /** Opens the Library tab on the unmatched movies or series of all providers. */
+    openUnmatched: function (itemType) {
+        document.getElementById('libraryProvider').value = '';
+        document.getElementById('libraryType').value = itemType;
+        document.getElementById('libraryFolder').value = '';
+        document.getElementById('librarySearch').value = '';
+        document.getElementById('libraryUnmatched').checked = true;
+        this.switchTab('library');
+    },
 
-        if (!stats || (stats.TotalMovieFolders === 0 && stats.TotalSeriesFolders === 0)) {
-            container.innerHTML = '<span style="opacity: 0.5;">No library content found. Run a sync first.</span>';
-            return;
-        }
+    /**
+     * Splits a folder title such as "Heat (1995)" into the name to search for and the year, the
+     * way the sync builds it. A title that is only a year in parentheses is all name.
+     */
+    splitItemTitle: function (title) {
+        var match = /\s*\((\d{4})\)\s*$/.exec(title);
+        if (!match || match.index === 0) return { name: title.trim(), year: null };
+        return { name: title.substring(0, match.index).trim(), year: Number(match[1]) };
+    },
 
-        var html = '';
+    openMatchFixer: function (index) {
+        var item = this.libraryPage && (this.libraryPage.Items || [])[index];
+        if (!item) return;
+
+        var parts = this.splitItemTitle(item.Title);
+        this.matchFixerItem = item;
+        document.getElementById('matchFixerTitle').textContent = item.Title + (item.Folder ? ' (' + item.Folder + ')' : '');
+        document.getElementById('matchSearchTitle').value = parts.name;
+        document.getElementById('matchSearchYear').value = parts.year || '';
+        document.getElementById('matchFixerStatus').innerHTML = '';
+
+        var panel = document.getElementById('matchFixerPanel');
+        panel.style.display = 'block';
+        this.searchMatchCandidates();
+        if (panel.scrollIntoView) panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    },
 
-        if (stats.TotalMovieFolders > 0) {
-            var moviePct = Math.round((stats.MatchedMovies / stats.TotalMovieFolders) * 100);
-            html += '<div class="library-stat-bar">';
-            html += '<span style="width: 80px;">Movies</span>';
-            html += '<div class="bar-container"><div class="bar-fill" style="width: ' + moviePct + '%;"></div></div>';
-            html += '<span style="width: 120px; text-align: right;">' + stats.MatchedMovies + ' / ' + stats.TotalMovieFolders + ' (' + moviePct + '%)</span>';
-            html += '</div>';
-            if (stats.UnmatchedMovies > 0) {
-                html += '<div style="opacity: 0.5; font-size: 0.85em; margin-left: 80px;">' + stats.UnmatchedMovies + ' unmatched</div>';
-            }
+    closeMatchFixer: function () {
+        document.getElementById('matchFixerPanel').style.display = 'none';
+        document.getElementById('matchCandidates').innerHTML = '';
+        this.matchFixerItem = null;
+    },
+
+    searchMatchCandidates: function () {
+        var self = this;
+        var item = this.matchFixerItem;
+        var container = document.getElementById('matchCandidates');
+        if (!item) return;
+
+        var params = { type: item.ItemType, title: document.getElementById('matchSearchTitle').value.trim() };
+        var year = document.getElementById('matchSearchYear').value;
+        if (year) params.year = year;
+        if (!params.title) {
+            container.innerHTML = '<span style="color: orange;">Enter a title to search for.</span>';
+            return;
         }
 
-        if (stats.TotalSeriesFolders > 0) {
-            var seriesPct = Math.round((stats.MatchedSeries / stats.TotalSeriesFolders) * 100);
-            html += '<div class="library-stat-bar" style="margin-top: 8px;">';
-            html += '<span style="width: 80px;">Series</span>';
-            html += '<div class="bar-container"><div class="bar-fill" style="width: ' + seriesPct + '%;"></div></div>';
-            html += '<span style="width: 120px; text-align: right;">' + stats.MatchedSeries + ' / ' + stats.TotalSeriesFolders + ' (' + seriesPct + '%)</span>';
-            html += '</div>';
-            if (stats.UnmatchedSeries > 0) {
-                html += '<div style="opacity: 0.5; font-size: 0.85em; margin-left: 80px;">' + stats.UnmatchedSeries + ' unmatched</div>';
+        container.innerHTML = '<span style="opacity: 0.5;">Searching...</span>';
+        fetch(ApiClient.getUrl('XtreamLibrary/Metadata/Candidates', params), {
+            method: 'GET',
+            headers: {
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
             }
+        }).then(function (r) {
+            if (!r.ok) {
+                return r.text().then(function (text) { throw new Error(text || ('HTTP ' + r.status)); });
+            }
+            return r.json();
+        }).then(function (candidates) {
+            // The fixer may have moved on to another item while this search was out.
+            if (self.matchFixerItem !== item) return;
+            container.innerHTML = self.buildMatchCandidatesHtml(candidates, item.ItemType);
+        }).catch(function (err) {
+            console.error('Metadata candidate search error:', err);
+            container.innerHTML = '<span style="color: #e08282;">Search failed: ' + self.escapeHtml(err.message) + '</span>';
+        });
+    },
+
+    buildMatchCandidatesHtml: function (candidates, itemType) {
+        var self = this;
+        var isMovie = itemType === 'Movie';
+        if (!candidates || candidates.length === 0) {
+            return '<span style="opacity: 0.7;">No results with a ' + (isMovie ? 'TMDb' : 'TVDb') + ' ID. Try another spelling, or search without the year.</span>';
         }
 
-        container.innerHTML = html;
+        var html = '<table class="dashboard-history-table library-table"><thead><tr><th>Title</th><th>Year</th><th>ID</th><th></th></tr></thead><tbody>';
+        candidates.forEach(function (candidate) {
+            var link = isMovie
+                ? 'https://www.themoviedb.org/movie/' + candidate.Id
+                : 'https://thetvdb.com/dereferrer/series/' + candidate.Id;
+            html += '<tr>';
+            html += '<td>' + self.escapeHtml(candidate.Name);
+            if (candidate.Overview) {
+                var overview = candidate.Overview.length > 200 ? candidate.Overview.substring(0, 200) + '...' : candidate.Overview;
+                html += '<div class="match-candidate-overview">' + self.escapeHtml(overview) + '</div>';
+            }
+            html += '</td>';
+            html += '<td>' + (candidate.Year || '<span class="library-missing">-</span>') + '</td>';
+            html += '<td><a href="' + link + '" target="_blank" rel="noopener">' + (isMovie ? 'TMDb ' : 'TVDb ') + candidate.Id + '</a></td>';
+            html += '<td><button is="emby-button" type="button" class="raised" onclick="XtreamLibraryConfig.pickMatchCandidate(' + candidate.Id + ')"><span>Use this</span></button></td>';
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+        return html;
     },
 
-    renderDashboardHistory: function (history) {
-        var container = document.getElementById('dashboardHistory');
-        if (!container) return;
-
-        if (!history || history.length === 0) {
-            container.innerHTML = '<span style="opacity: 0.5;">No sync history yet.</span>';
-            return;
-        }
+    /** The body for XtreamLibrary/Metadata/Match and its Apply: the folder title is the override key. */
+    buildMetadataMatchRequest: function (item, id) {
+        var request = { ProviderIndex: item.ProviderIndex, ItemType: item.ItemType, Title: item.Title };
+        if (id) request.Id = id;
+        return request;
+    },
 
+    pickMatchCandidate: function (id) {
         var self = this;
-        var html = '<table class="dashboard-history-table">';
-        html += '<thead><tr><th>Time</th><th>Status</th><th>Type</th><th>Duration</th><th></th><th>Added</th><th>Deleted</th><th>Errors</th></tr></thead>';
-        html += '<tbody>';
-
-        var colorNum = function (val, color) {
-            return val > 0 ? '<span style="color: ' + color + ';">' + val + '</span>' : '0';
-        };
+        var item = this.matchFixerItem;
+        var statusDiv = document.getElementById('matchFixerStatus');
+        if (!item) return;
 
-        history.forEach(function (entry) {
-            var time = new Date(entry.StartTime).toLocaleString();
-            var entrySkip = self.orphanSkipSummary(entry);
-            var statusBadge;
-            if (!entry.Success) {
-                statusBadge = '<span class="status-badge status-badge-failed">Fail</span>';
-            } else if (entrySkip) {
-                statusBadge = '<span class="status-badge status-badge-warning" title="Skipped cleanup of '
-                    + entrySkip.total.toLocaleString() + ' orphaned files">Warn</span>';
-            } else {
-                statusBadge = '<span class="status-badge status-badge-success">OK</span>';
+        fetch(ApiClient.getUrl('XtreamLibrary/Metadata/Match'), {
+            method: 'POST',
+            headers: {
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken(),
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(this.buildMetadataMatchRequest(item, id))
+        }).then(function (response) {
+            if (!response.ok) {
+                return response.text().then(function (text) { throw new Error(text || ('HTTP ' + response.status)); });
             }
+            return response.json();
+        }).then(function (result) {
+            self.applyMetadataMatchOverride(item.ProviderIndex, item.ItemType, item.Title, id, result.Overrides);
+            var kind = item.ItemType === 'Movie' ? 'TMDb' : 'TVDb';
+            statusDiv.innerHTML = '<span style="color: green;">Saved ' + self.escapeHtml(item.Title + '=' + id) + ' to the ' + kind + ' folder ID overrides.</span>'
+                + ' <button is="emby-button" type="button" class="raised" onclick="XtreamLibraryConfig.applyMetadataMatch()"><span>Re-sync this item</span></button>';
+        }).catch(function (error) {
+            console.error('Metadata match error:', error);
+            statusDiv.innerHTML = '<span style="color: red;">Saving the match failed: ' + self.escapeHtml(error.message || 'Check console for details') + '</span>';
+        });
+    },
 
-            var typeBadge = entry.WasIncrementalSync ? 'Incr' : 'Full';
-            var duration = self.formatDuration(entry.StartTime, entry.EndTime);
-            var errors = entry.Errors || 0;
+    /**
+     * Mirrors an override the server has just saved into the page, so the Movies or Series tab
+     * shows it and a later Save does not drop it. Only the picked row goes into the provider being
+     * edited, which may hold other unsaved override edits; the saved baseline takes the server's
+     * whole list, since that is what is saved now.
+     */
+    applyMetadataMatchOverride: function (savedIndex, itemType, title, id, overrides) {
+        var field = itemType === 'Movie' ? 'TmdbFolderIdOverrides' : 'TvdbFolderIdOverrides';
+        var kind = itemType === 'Movie' ? 'tmdb' : 'tvdb';
+        var picked = [{ name: title, id: String(id) }];
+        var pageIndex = this.pageProviderIndex(savedIndex);
+        var provider = this.providers[pageIndex];
+        if (provider && pageIndex === this.activeProviderIndex) {
+            this.folderIdOverrideRows[kind] = this.mergeFolderIdOverrideRows(this.folderIdOverrideRows[kind], picked).rows;
+            this.renderFolderIdOverrideEditor(kind);
+        } else if (provider) {
+            provider[field] = this.buildFolderIdOverrides(this.mergeFolderIdOverrideRows(this.parseFolderIdOverrideRows(provider[field]), picked).rows);
+        }
 
-            // Movies row
-            html += '<tr>';
-            html += '<td rowspan="2" style="white-space: nowrap; vertical-align: middle;">' + time + '</td>';
-            html += '<td rowspan="2" style="vertical-align: middle;">' + statusBadge + '</td>';
-            html += '<td rowspan="2" style="vertical-align: middle;">' + typeBadge + '</td>';
-            html += '<td rowspan="2" style="vertical-align: middle;">' + duration + '</td>';
-            html += '<td style="opacity: 0.6; font-size: 0.85em;">Movies</td>';
-            html += '<td>' + colorNum(entry.MoviesCreated || 0, '#82e0aa') + '</td>';
-            html += '<td>' + colorNum(entry.MoviesDeleted || 0, '#e0c882') + '</td>';
-            html += '<td rowspan="2" style="vertical-align: middle;">' + colorNum(errors, '#e08282') + '</td>';
-            html += '</tr>';
+        var saved = this.savedState && this.savedState.Providers[savedIndex];
+        if (saved) {
+            saved[field] = overrides;
+            this.normalizeConfigState(this.savedState);
+        }
+    },
 
-            // Series row
-            html += '<tr>';
-            html += '<td style="opacity: 0.6; font-size: 0.85em;">Series</td>';
-            html += '<td>' + colorNum((entry.SeriesCreated || 0) + (entry.EpisodesCreated || 0), '#82e0aa') + '</td>';
-            html += '<td>' + colorNum((entry.SeriesDeleted || 0) + (entry.EpisodesDeleted || 0), '#e0c882') + '</td>';
-            html += '</tr>';
-        });
+    describeMetadataMatchResult: function (result) {
+        var renamed = (result.Folders || []).length;
+        var skipped = (result.Skipped || []).length;
+        if (renamed === 0 && skipped === 0) {
+            return 'No unmatched folder by that name is left; the next sync uses the match.';
+        }
 
-        html += '</tbody></table>';
-        container.innerHTML = html;
+        var text = renamed > 0 ? 'Renamed ' + renamed + ' folder' + (renamed === 1 ? '' : 's') + ' to carry the ID.' : '';
+        if (skipped > 0) {
+            text += (text ? ' ' : '') + skipped + ' left as ' + (skipped === 1 ? 'it is' : 'they are')
+                + ' because the matched folder already exists; the next sync cleans ' + (skipped === 1 ? 'it' : 'them') + ' up.';
+        }
+        return text;
+    },
+
+    applyMetadataMatch: function () {
+        var self = this;
+        var item = this.matchFixerItem;
+        var statusDiv = document.getElementById('matchFixerStatus');
+        if (!item) return;
+
+        fetch(ApiClient.getUrl('XtreamLibrary/Metadata/Match/Apply'), {
+            method: 'POST',
+            headers: {
+                'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken(),
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(this.buildMetadataMatchRequest(item))
+        }).then(function (response) {
+            if (!response.ok) {
+                return response.text().then(function (text) { throw new Error(text || ('HTTP ' + response.status)); });
+            }
+            return response.json();
+        }).then(function (result) {
+            statusDiv.innerHTML = '<span style="color: green;">' + self.escapeHtml(self.describeMetadataMatchResult(result)) + '</span>';
+            self.loadLibrary((self.libraryPage && self.libraryPage.StartIndex) || 0);
+        }).catch(function (error) {
+            console.error('Metadata match re-sync error:', error);
+            statusDiv.innerHTML = '<span style="color: red;">Re-sync failed: ' + self.escapeHtml(error.message || 'Check console for details') + '</span>';
+        });
     },
 
     showDashboardProgress: function (progress) {
@@ -2328,46 +6781,129 @@ const XtreamLibraryConfig = {
         }
 
         content.innerHTML = html;
+        this.renderProviderProgress(progress.Providers || []);
     },
 
-    hideDashboardProgress: function () {
-        var section = document.getElementById('dashboardProgressSection');
-        if (section) section.style.display = 'none';
-    },
-
-    startDashboardProgressPolling: function () {
+    /**
+     * One row per provider while a multi-provider sync runs, so a provider that stalls or fails
+     * can be told apart from the combined bar above, and cancelled on its own. The rows are only
+     * redrawn when a provider changes state; in between just their details are refreshed, so a
+     * Cancel button is not swapped out from under the pointer by the next progress event.
+     */
+    renderProviderProgress: function (providers) {
         var self = this;
-        self.stopDashboardProgressPolling();
+        var container = document.getElementById('dashboardProviderProgress');
+        if (!container) return;
+        if (providers.length < 2) {
+            container.innerHTML = '';
+            container.removeAttribute('data-signature');
+            return;
+        }
 
-        self.dashboardProgressInterval = setInterval(function () {
-            fetch(ApiClient.getUrl('XtreamLibrary/Progress'), {
-                method: 'GET',
-                headers: {
-                    'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken()
+        var signature = providers.map(function (row) {
+            return row.ProviderIndex + ':' + row.State + ':' + (row.CancelRequested ? 1 : 0);
+        }).join('|');
+        if (container.getAttribute('data-signature') !== signature) {
+            var html = '';
+            providers.forEach(function (row) {
+                var active = row.State === 'Pending' || row.State === 'Running';
+                html += '<div class="provider-progress-row provider-progress-' + row.State.toLowerCase() + '">';
+                html += '<div class="provider-progress-header">';
+                html += '<strong>' + self.escapeHtml(row.Name || ('Provider ' + (row.ProviderIndex + 1))) + '</strong>';
+                html += '<span class="provider-progress-state">' + self.escapeHtml(row.State) + '</span>';
+                if (active && row.CancelRequested) {
+                    html += '<span class="provider-progress-cancel" style="opacity: 0.7;">Cancelling...</span>';
+                } else if (active) {
+                    html += '<button type="button" class="provider-progress-cancel" onclick="XtreamLibraryConfig.cancelProviderSync(' + row.ProviderIndex + ')">Cancel</button>';
                 }
-            }).then(function (r) {
-                return r.ok ? r.json() : null;
-            }).then(function (progress) {
-                if (progress && progress.IsRunning) {
-                    self.showDashboardProgress(progress);
-                } else {
-                    // Sync finished
-                    self.hideDashboardProgress();
-                    self.stopDashboardProgressPolling();
-                    self.updateDashboardSyncButton(false);
-                    var actionSpan = document.getElementById('dashboardSyncAction');
-                    if (actionSpan) actionSpan.innerHTML = '';
-                    self.loadDashboard();
-                }
-            }).catch(function () {});
-        }, 500);
+                html += '</div>';
+                html += '<div class="provider-progress-details"></div>';
+                html += '</div>';
+            });
+            container.innerHTML = html;
+            container.setAttribute('data-signature', signature);
+        }
+
+        container.querySelectorAll('.provider-progress-details').forEach(function (details, index) {
+            details.innerHTML = self.describeProviderProgress(providers[index]);
+        });
     },
 
-    stopDashboardProgressPolling: function () {
-        if (this.dashboardProgressInterval) {
-            clearInterval(this.dashboardProgressInterval);
-            this.dashboardProgressInterval = null;
+    // The changing part of a provider row: phase, bar, counts, ETA and errors.
+    describeProviderProgress: function (row) {
+        var html = '';
+        if (row.State === 'Pending') {
+            return '<div style="opacity: 0.6; font-size: 0.9em;">Waiting for the providers before it</div>';
+        }
+
+        if (row.State === 'Running') {
+            var percentage = row.TotalItems > 0 ? Math.round((row.ItemsProcessed / row.TotalItems) * 100) : 0;
+            if (row.Phase) {
+                html += '<div style="font-size: 0.9em;">' + this.escapeHtml(row.Phase) + '</div>';
+            }
+            html += '<div class="dashboard-progress-bar"><div class="dashboard-progress-fill" style="width: ' + percentage + '%;"></div></div>';
+        }
+
+        var details = [];
+        if (row.TotalCategories > 0) {
+            details.push('Batches: ' + row.CategoriesProcessed + '/' + row.TotalCategories);
+        }
+        if (row.TotalItems > 0) {
+            details.push('Items: ' + row.ItemsProcessed + '/' + row.TotalItems);
+        }
+        var created = (row.MoviesCreated || 0) + (row.EpisodesCreated || 0);
+        if (created > 0) {
+            details.push(created + ' created');
+        }
+        if (row.State === 'Running' && row.EstimatedSecondsRemaining > 0) {
+            details.push('about ' + this.formatDuration(0, row.EstimatedSecondsRemaining * 1000) + ' left');
+        } else if (row.State !== 'Running' && row.StartTime && row.EndTime) {
+            details.push('took ' + this.formatDuration(row.StartTime, row.EndTime));
+        }
+        if (row.Errors > 0) {
+            details.push('<span style="color: #ff6b6b;">' + row.Errors + ' error' + (row.Errors === 1 ? '' : 's') + '</span>');
         }
+        if (details.length > 0) {
+            html += '<div style="opacity: 0.8; font-size: 0.85em;">' + details.join(' &middot; ') + '</div>';
+        }
+        return html;
+    },
+
+    cancelProviderSync: function (providerIndex) {
+        var self = this;
+        var actionSpan = document.getElementById('dashboardSyncAction');
+        fetch(ApiClient.getUrl('XtreamLibrary/Cancel/' + providerIndex), {
+            method: 'POST',
+            headers: { 'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken() }
+        }).then(function (r) { return r.json(); }).then(function (data) {
+            // On success the next progress event redraws the row as "Cancelling..."
+            if (!data.Success && actionSpan) {
+                actionSpan.innerHTML = '<span style="color: orange;">' + self.escapeHtml(data.Message || 'Could not cancel that provider') + '</span>';
+            }
+        }).catch(function (err) {
+            if (actionSpan) actionSpan.innerHTML = '<span style="color: red;">Cancel failed: ' + self.escapeHtml(err.message || 'Error') + '</span>';
+        });
+    },
+
+    hideDashboardProgress: function () {
+        var section = document.getElementById('dashboardProgressSection');
+        if (section) section.style.display = 'none';
+    },
+
+    watchDashboardProgress: function () {
+        var self = this;
+        self.subscribeProgress('dashboard', function (progress) {
+            if (progress.IsRunning) {
+                self.showDashboardProgress(progress);
+                return;
+            }
+            // Sync finished
+            self.hideDashboardProgress();
+            self.updateDashboardSyncButton(false);
+            var actionSpan = document.getElementById('dashboardSyncAction');
+            if (actionSpan) actionSpan.innerHTML = '';
+            self.loadDashboard();
+        });
     },
 
     updateDashboardSyncButton: function (isRunning) {
@@ -2394,7 +6930,7 @@ const XtreamLibraryConfig = {
                 method: 'POST',
                 headers: { 'Authorization': 'MediaBrowser Token=' + ApiClient.accessToken() }
             }).then(function () {
-                // The polling will detect completion
+                // The progress channel will report completion
             }).catch(function () {});
             return;
         }
@@ -2408,7 +6944,7 @@ const XtreamLibraryConfig = {
         }).then(function (r) { return r.json(); }).then(function (data) {
             if (data.Success || (data.Message && data.Message.includes('already in progress'))) {
                 if (actionSpan) actionSpan.innerHTML = '<span style="color: orange;">Sync in progress...</span>';
-                self.startDashboardProgressPolling();
+                self.watchDashboardProgress();
                 // Also update the General tab sync button state
                 self.isSyncing = true;
                 var syncBtn = document.getElementById('btnManualSync');
@@ -2416,8 +6952,7 @@ const XtreamLibraryConfig = {
                     syncBtn.querySelector('span').textContent = 'Cancel Sync';
                     syncBtn.style.background = '#c0392b';
                 }
-                self.startProgressPolling();
-                self.pollForCompletion();
+                self.watchSyncProgress();
             } else {
                 self.updateDashboardSyncButton(false);
                 if (actionSpan) actionSpan.innerHTML = '<span style="color: red;">' + (data.Message || 'Failed') + '</span>';
@@ -2519,6 +7054,253 @@ function initXtreamLibraryConfig() {
         });
     });
 
+    const lnkDashboardHistory = document.getElementById('lnkDashboardHistory');
+    if (lnkDashboardHistory) {
+        lnkDashboardHistory.addEventListener('click', function (e) {
+            e.preventDefault();
+            XtreamLibraryConfig.switchTab('history');
+        });
+    }
+
+    ['libraryProvider', 'libraryType'].forEach(function (id) {
+        const el = document.getElementById(id);
+        if (el) {
+            el.addEventListener('change', function () {
+                // The folder list belongs to the provider and type, so a folder picked under
+                // another one may not exist here.
+                document.getElementById('libraryFolder').value = '';
+                XtreamLibraryConfig.loadLibrary(0);
+            });
+        }
+    });
+
+    ['libraryFolder', 'librarySearch', 'libraryUnmatched'].forEach(function (id) {
+        const el = document.getElementById(id);
+        if (el) {
+            el.addEventListener('change', function () {
+                XtreamLibraryConfig.loadLibrary(0);
+            });
+        }
+    });
+
+    const catalogSearch = document.getElementById('catalogSearch');
+    if (catalogSearch) {
+        catalogSearch.addEventListener('input', function () {
+            XtreamLibraryConfig.scheduleCatalogSearch();
+        });
+    }
+
+    ['catalogSearchProvider', 'catalogSearchType'].forEach(function (id) {
+        const el = document.getElementById(id);
+        if (el) {
+            el.addEventListener('change', function () {
+                XtreamLibraryConfig.runCatalogSearch();
+            });
+        }
+    });
+
+    const btnMatchSearch = document.getElementById('btnMatchSearch');
+    if (btnMatchSearch) {
+        btnMatchSearch.addEventListener('click', function () {
+            XtreamLibraryConfig.searchMatchCandidates();
+        });
+    }
+
+    const btnMatchClose = document.getElementById('btnMatchClose');
+    if (btnMatchClose) {
+        btnMatchClose.addEventListener('click', function () {
+            XtreamLibraryConfig.closeMatchFixer();
+        });
+    }
+
+    ['tmdb', 'tvdb'].forEach(function (kind) {
+        const search = document.getElementById(kind + 'OverrideSearch');
+        if (search) {
+            search.addEventListener('input', function () {
+                XtreamLibraryConfig.folderIdOverrideSearch[kind] = search.value;
+                XtreamLibraryConfig.renderFolderIdOverrideEditor(kind);
+            });
+        }
+
+        const btnAdd = document.getElementById(kind + 'OverrideAdd');
+        if (btnAdd) {
+            btnAdd.addEventListener('click', function () {
+                XtreamLibraryConfig.addFolderIdOverrideRow(kind);
+            });
+        }
+
+        const btnPaste = document.getElementById(kind + 'OverridePasteToggle');
+        if (btnPaste) {
+            btnPaste.addEventListener('click', function () {
+                const panel = document.getElementById(kind + 'OverridePastePanel');
+                panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+            });
+        }
+
+        const btnImport = document.getElementById(kind + 'OverrideImport');
+        if (btnImport) {
+            btnImport.addEventListener('click', function () {
+                XtreamLibraryConfig.importFolderIdOverridePaste(kind);
+            });
+        }
+    });
+
+    const selChannelOverrideCategory = document.getElementById('selChannelOverrideCategory');
+    if (selChannelOverrideCategory) {
+        selChannelOverrideCategory.addEventListener('change', function () {
+            XtreamLibraryConfig.channelOverrideCategoryId = selChannelOverrideCategory.value;
+            XtreamLibraryConfig.renderChannelOverrideGrid();
+        });
+    }
+
+    const channelOverrideSearch = document.getElementById('channelOverrideSearch');
+    if (channelOverrideSearch) {
+        channelOverrideSearch.addEventListener('input', function () {
+            XtreamLibraryConfig.channelOverrideSearch = channelOverrideSearch.value;
+            XtreamLibraryConfig.renderChannelOverrideGrid();
+        });
+    }
+
+    const btnPreviewTitleCleaning = document.getElementById('btnPreviewTitleCleaning');
+    if (btnPreviewTitleCleaning) {
+        btnPreviewTitleCleaning.addEventListener('click', function () {
+            XtreamLibraryConfig.runTitleCleaningPreview();
+        });
+    }
+
+    ['txtCustomTitleRemoveTerms', 'txtRegexRemovalPatterns'].forEach(function (id) {
+        const el = document.getElementById(id);
+        if (el) {
+            el.addEventListener('input', function () {
+                XtreamLibraryConfig.scheduleTitleCleaningPreview();
+            });
+        }
+    });
+
+    ['selTitleCleaningFilter', 'titleCleaningSearch'].forEach(function (id) {
+        const el = document.getElementById(id);
+        if (el) {
+            el.addEventListener(id === 'titleCleaningSearch' ? 'input' : 'change', function () {
+                XtreamLibraryConfig.renderTitleCleaningPreview();
+            });
+        }
+    });
+
+    const btnTestChannelCleaning = document.getElementById('btnTestChannelCleaning');
+    if (btnTestChannelCleaning) {
+        btnTestChannelCleaning.addEventListener('click', function () {
+            XtreamLibraryConfig.runCleaningTest();
+        });
+    }
+
+    const txtChannelRemoveTerms = document.getElementById('txtChannelRemoveTerms');
+    if (txtChannelRemoveTerms) {
+        txtChannelRemoveTerms.addEventListener('input', function () {
+            XtreamLibraryConfig.scheduleCleaningTest();
+        });
+    }
+
+    const chkEnableChannelNameCleaning = document.getElementById('chkEnableChannelNameCleaning');
+    if (chkEnableChannelNameCleaning) {
+        chkEnableChannelNameCleaning.addEventListener('change', function () {
+            XtreamLibraryConfig.scheduleCleaningTest();
+        });
+    }
+
+    ['selCleaningTestFilter', 'cleaningTestSearch'].forEach(function (id) {
+        const el = document.getElementById(id);
+        if (el) {
+            el.addEventListener(id === 'cleaningTestSearch' ? 'input' : 'change', function () {
+                XtreamLibraryConfig.renderCleaningTest();
+            });
+        }
+    });
+
+    const selChannelNumbering = document.getElementById('selChannelNumbering');
+    if (selChannelNumbering) {
+        selChannelNumbering.addEventListener('change', function () {
+            XtreamLibraryConfig.updateChannelNumberingVisibility();
+        });
+    }
+
+    const btnPreviewChannelNumbering = document.getElementById('btnPreviewChannelNumbering');
+    if (btnPreviewChannelNumbering) {
+        btnPreviewChannelNumbering.addEventListener('click', function () {
+            XtreamLibraryConfig.previewChannelNumbering();
+        });
+    }
+
+    ['historyFrom', 'historyTo', 'historyStatus', 'historyType'].forEach(function (id) {
+        const el = document.getElementById(id);
+        if (el) {
+            el.addEventListener('change', function () {
+                XtreamLibraryConfig.loadHistory(0);
+            });
+        }
+    });
+
+    const failedItemsSearch = document.getElementById('failedItemsSearch');
+    if (failedItemsSearch) {
+        failedItemsSearch.addEventListener('input', function () {
+            XtreamLibraryConfig.renderFailedItemsBrowser();
+        });
+    }
+
+    const orphanReviewSearch = document.getElementById('orphanReviewSearch');
+    if (orphanReviewSearch) {
+        orphanReviewSearch.addEventListener('change', function () {
+            XtreamLibraryConfig.loadBlockedOrphans(0);
+        });
+    }
+
+    const orphanReviewType = document.getElementById('orphanReviewType');
+    if (orphanReviewType) {
+        orphanReviewType.addEventListener('change', function () {
+            XtreamLibraryConfig.loadBlockedOrphans(0);
+        });
+    }
+
+    [
+        ['btnOrphanDeleteSelected', 'delete', false],
+        ['btnOrphanKeepSelected', 'keep', false],
+        ['btnOrphanDeleteAll', 'delete', true],
+        ['btnOrphanKeepAll', 'keep', true]
+    ].forEach(function (entry) {
+        const btn = document.getElementById(entry[0]);
+        if (btn) {
+            btn.addEventListener('click', function (e) {
+                e.preventDefault();
+                XtreamLibraryConfig.resolveOrphans(entry[1], entry[2]);
+            });
+        }
+    });
+
+    const btnOrphanReviewClose = document.getElementById('btnOrphanReviewClose');
+    if (btnOrphanReviewClose) {
+        btnOrphanReviewClose.addEventListener('click', function (e) {
+            e.preventDefault();
+            XtreamLibraryConfig.closeOrphanReview();
+        });
+    }
+
+    const failedItemsGroupBy = document.getElementById('failedItemsGroupBy');
+    if (failedItemsGroupBy) {
+        failedItemsGroupBy.addEventListener('change', function () {
+            XtreamLibraryConfig.renderFailedItemsBrowser();
+        });
+    }
+
+    const btnHistoryClearFilters = document.getElementById('btnHistoryClearFilters');
+    if (btnHistoryClearFilters) {
+        btnHistoryClearFilters.addEventListener('click', function (e) {
+            e.preventDefault();
+            ['historyFrom', 'historyTo', 'historyStatus', 'historyType'].forEach(function (id) {
+                document.getElementById(id).value = '';
+            });
+            XtreamLibraryConfig.loadHistory(0);
+        });
+    }
+
     if (form) {
         form.addEventListener('submit', function (e) {
             e.preventDefault();
@@ -2534,6 +7316,29 @@ function initXtreamLibraryConfig() {
         });
     }
 
+    var txtProviderLink = document.getElementById('txtProviderLink');
+    if (txtProviderLink) {
+        // The pasted text lands in the field after the paste event.
+        txtProviderLink.addEventListener('paste', function () {
+            setTimeout(function () {
+                XtreamLibraryConfig.applyProviderLink();
+            }, 0);
+        });
+        txtProviderLink.addEventListener('keydown', function (e) {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            XtreamLibraryConfig.applyProviderLink();
+        });
+    }
+
+    var btnApplyProviderLink = document.getElementById('btnApplyProviderLink');
+    if (btnApplyProviderLink) {
+        btnApplyProviderLink.addEventListener('click', function (e) {
+            e.preventDefault();
+            XtreamLibraryConfig.applyProviderLink();
+        });
+    }
+
     if (btnSync) {
         btnSync.addEventListener('click', function (e) {
             e.preventDefault();
@@ -2545,11 +7350,19 @@ function initXtreamLibraryConfig() {
         });
     }
 
+    const btnPreviewSync = document.getElementById('btnPreviewSync');
+    if (btnPreviewSync) {
+        btnPreviewSync.addEventListener('click', function (e) {
+            e.preventDefault();
+            XtreamLibraryConfig.previewSync();
+        });
+    }
+
     const btnRetryFailed = document.getElementById('btnRetryFailed');
     if (btnRetryFailed) {
         btnRetryFailed.addEventListener('click', function (e) {
             e.preventDefault();
-            XtreamLibraryConfig.retryFailed();
+            XtreamLibraryConfig.retryFailed(null);
         });
     }
 
@@ -2561,6 +7374,14 @@ function initXtreamLibraryConfig() {
         });
     }
 
+    var btnRefreshAccounts = document.getElementById('btnRefreshAccounts');
+    if (btnRefreshAccounts) {
+        btnRefreshAccounts.addEventListener('click', function (e) {
+            e.preventDefault();
+            XtreamLibraryConfig.loadAccountStatus(true);
+        });
+    }
+
     var btnDashboardRetry = document.getElementById('btnDashboardRetry');
     if (btnDashboardRetry) {
         btnDashboardRetry.addEventListener('click', function (e) {
@@ -2645,6 +7466,26 @@ function initXtreamLibraryConfig() {
         });
     }
 
+    var btnExportConfig = document.getElementById('btnExportConfig');
+    if (btnExportConfig) {
+        btnExportConfig.addEventListener('click', function (e) {
+            e.preventDefault();
+            XtreamLibraryConfig.exportConfig();
+        });
+    }
+
+    var btnImportConfig = document.getElementById('btnImportConfig');
+    var fileConfigImport = document.getElementById('fileConfigImport');
+    if (btnImportConfig && fileConfigImport) {
+        btnImportConfig.addEventListener('click', function (e) {
+            e.preventDefault();
+            fileConfigImport.click();
+        });
+        fileConfigImport.addEventListener('change', function () {
+            XtreamLibraryConfig.importConfigFile(fileConfigImport.files[0]);
+        });
+    }
+
     var selSyncScheduleType = document.getElementById('selSyncScheduleType');
     if (selSyncScheduleType) {
         selSyncScheduleType.addEventListener('change', function () {
@@ -2714,9 +7555,27 @@ function initXtreamLibraryConfig() {
     var selActiveProvider = document.getElementById('selActiveProvider');
     if (selActiveProvider) {
         selActiveProvider.addEventListener('change', function () {
-            XtreamLibraryConfig.updateActiveProviderFromUI();
-            var newIndex = parseInt(this.value);
-            XtreamLibraryConfig.loadProviderIntoUI(newIndex);
+            if (!XtreamLibraryConfig.selectProvider(parseInt(this.value))) {
+                this.value = XtreamLibraryConfig.activeProviderIndex;
+            }
+        });
+    }
+
+    var btnAddBackupBaseUrl = document.getElementById('btnAddBackupBaseUrl');
+    if (btnAddBackupBaseUrl) {
+        btnAddBackupBaseUrl.addEventListener('click', function (e) {
+            e.preventDefault();
+            XtreamLibraryConfig.backupBaseUrls.push('');
+            XtreamLibraryConfig.renderBackupBaseUrls();
+        });
+    }
+
+    var btnManageProviders = document.getElementById('btnManageProviders');
+    if (btnManageProviders) {
+        btnManageProviders.addEventListener('click', function (e) {
+            e.preventDefault();
+            var panel = document.getElementById('providerManager');
+            panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
         });
     }
 
@@ -2724,11 +7583,14 @@ function initXtreamLibraryConfig() {
     if (btnAddProvider) {
         btnAddProvider.addEventListener('click', function (e) {
             e.preventDefault();
+            if (!XtreamLibraryConfig.checkActiveProviderFields()) return;
             XtreamLibraryConfig.updateActiveProviderFromUI();
             var newIndex = XtreamLibraryConfig.providers.length;
-            XtreamLibraryConfig.providers.push(XtreamLibraryConfig.makeDefaultProvider(newIndex));
-            XtreamLibraryConfig.renderProviderSelector();
+            var provider = XtreamLibraryConfig.makeDefaultProvider(newIndex);
+            provider.LibraryPath = XtreamLibraryConfig.nextFreeLibraryPath();
+            XtreamLibraryConfig.providers.push(provider);
             XtreamLibraryConfig.loadProviderIntoUI(newIndex);
+            XtreamLibraryConfig.renderProviderSelector();
         });
     }
 
@@ -2744,22 +7606,65 @@ function initXtreamLibraryConfig() {
             var name = XtreamLibraryConfig.providers[idx].Name || ('Provider ' + (idx + 1));
             if (!confirm('Remove "' + name + '"? This cannot be undone.')) return;
             XtreamLibraryConfig.providers.splice(idx, 1);
-            XtreamLibraryConfig.renderProviderSelector();
             XtreamLibraryConfig.loadProviderIntoUI(0);
+            XtreamLibraryConfig.renderProviderSelector();
         });
     }
 
-    // Cleanup intervals on page unload
-    window.addEventListener('beforeunload', function () {
-        if (XtreamLibraryConfig.progressInterval) {
-            clearInterval(XtreamLibraryConfig.progressInterval);
-        }
-        if (XtreamLibraryConfig.completionInterval) {
-            clearInterval(XtreamLibraryConfig.completionInterval);
+    // Once inline errors are showing, re-check as the user edits so each one clears when fixed.
+    XtreamLibraryConfig.fieldValidationRules.forEach(function (rule) {
+        var input = document.getElementById(rule.id);
+        if (input) {
+            input.addEventListener('input', function () {
+                if (XtreamLibraryConfig.fieldErrorsShown) {
+                    XtreamLibraryConfig.renderFieldErrors(XtreamLibraryConfig.collectFieldErrors());
+                }
+            });
         }
-        if (XtreamLibraryConfig.dashboardProgressInterval) {
-            clearInterval(XtreamLibraryConfig.dashboardProgressInterval);
+    });
+
+    // Unsaved-changes bar. Every edit on the page, including the checkbox lists and the folder
+    // builder drawn later, bubbles up to the page element as one of these.
+    var configPage = document.getElementById('XtreamLibraryConfigPage');
+    if (configPage) {
+        ['input', 'change', 'click', 'drop'].forEach(function (eventName) {
+            configPage.addEventListener(eventName, function () {
+                XtreamLibraryConfig.scheduleDirtyCheck();
+            });
+        });
+
+        // Fired by Jellyfin's router before it swaps this page out; beforeunload below only
+        // covers a reload or closing the tab.
+        configPage.addEventListener('viewbeforehide', function () {
+            XtreamLibraryConfig.saveBeforeLeaving();
+        });
+    }
+
+    var btnSaveUnsaved = document.getElementById('btnSaveUnsaved');
+    if (btnSaveUnsaved) {
+        btnSaveUnsaved.addEventListener('click', function (e) {
+            e.preventDefault();
+            XtreamLibraryConfig.saveConfig();
+        });
+    }
+
+    var btnDiscardUnsaved = document.getElementById('btnDiscardUnsaved');
+    if (btnDiscardUnsaved) {
+        btnDiscardUnsaved.addEventListener('click', function (e) {
+            e.preventDefault();
+            XtreamLibraryConfig.discardChanges();
+        });
+    }
+
+    // Cleanup intervals on page unload, and ask before leaving with unsaved edits
+    window.addEventListener('beforeunload', function (e) {
+        if (XtreamLibraryConfig.getUnsavedChanges().length > 0) {
+            e.preventDefault();
+            e.returnValue = '';
+            // Keep the progress channel open: the user may well choose to stay.
+            return;
         }
+        XtreamLibraryConfig.closeProgressChannel();
     });
 
     XtreamLibraryConfig.loadConfig();
@@ -0,0 +1,32 @@
+// Copyright (C) 2024  Roland Breitschaft
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+namespace Jellyfin.Xtream.Library;
+
+/// <summary>
+/// A category as the provider listed it when the provider's settings were last saved.
+/// </summary>
+public class KnownCategory
+{
+    /// <summary>
+    /// Gets or sets the category ID.
+    /// </summary>
+    public int CategoryId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the category name.
+    /// </summary>
+    public string CategoryName { get; set; } = string.Empty;
+}
@@ -20,6 +20,7 @@ using System.IO;
 using System.Linq;
 using System.Xml;
 using Jellyfin.Xtream.Library.Client;
+using Jellyfin.Xtream.Library.Service;
 using MediaBrowser.Common.Configuration;
 using MediaBrowser.Common.Plugins;
 using MediaBrowser.Model.Plugins;
@@ -59,6 +60,7 @@ public class Plugin : BasePlugin<PluginConfiguration>, IHasWebPages
         ImportOrphanedLegacyConfigIfNeeded();
         MigrateProvidersIfNeeded();
         MigrateLiveChannelModeIfNeeded();
+        ProviderHosts.Restore(Path.Combine(applicationPaths.DataPath, "xtream-library", "active_hosts.json"));
     }
 
     /// <inheritdoc />
@@ -73,7 +75,8 @@ public class Plugin : BasePlugin<PluginConfiguration>, IHasWebPages
     public static Plugin Instance => _instance ?? throw new InvalidOperationException("Plugin instance not available");
 
     /// <summary>
-    /// Gets the Xtream connection info for the specified provider index.
+    /// Gets the Xtream connection info for the specified provider index, on the host the provider's
+    /// last sync settled on.
     /// </summary>
     /// <param name="providerIndex">Zero-based index into <see cref="PluginConfiguration.Providers"/>.</param>
     /// <returns>The <see cref="ConnectionInfo"/> for the requested provider.</returns>
@@ -89,8 +92,7 @@ public class Plugin : BasePlugin<PluginConfiguration>, IHasWebPages
                 $"Provider index {providerIndex} is out of range (0-{providers.Count - 1}).");
         }
 
-        var p = providers[providerIndex];
-        return new ConnectionInfo(p.BaseUrl, p.Username, p.Password);
+        return ProviderHosts.GetConnectionInfo(providers[providerIndex]);
     }
 
     private void MigrateProvidersIfNeeded()
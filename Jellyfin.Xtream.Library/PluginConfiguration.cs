@@ -50,6 +50,31 @@ public enum LiveChannelSelectionMode
     ExcludeSelected,
 }
 
+/// <summary>
+/// How Live TV channel numbers are assigned in the M3U and the native tuner.
+/// A number set in <see cref="PluginConfiguration.ChannelOverrides"/> wins in every mode.
+/// </summary>
+public enum ChannelNumberingMode
+{
+    /// <summary>
+    /// Publish the provider's channel numbers.
+    /// </summary>
+    PreserveProvider,
+
+    /// <summary>
+    /// Number each category in the provider's order, from the start set for it in
+    /// <see cref="PluginConfiguration.ChannelNumberingCategoryStarts"/>; a category without one
+    /// continues after the previous category.
+    /// </summary>
+    SequentialPerCategory,
+
+    /// <summary>
+    /// Number every channel in one run from <see cref="PluginConfiguration.ChannelNumberingStart"/>,
+    /// ordered by category in the provider's order, then channel name.
+    /// </summary>
+    GlobalSequence,
+}
+
 /// <summary>
 /// Plugin configuration for Xtream Library.
 /// </summary>
@@ -126,6 +151,15 @@ public class PluginConfiguration : BasePluginConfiguration
     /// </summary>
     public int MetadataParallelism { get; set; } = 3;
 
+    // =====================
+    // Global: Provider Accounts
+    // =====================
+
+    /// <summary>
+    /// Gets or sets how many days before a provider account expires the dashboard starts warning.
+    /// </summary>
+    public int AccountExpiryWarningDays { get; set; } = 7;
+
     // =====================
     // Live TV Settings
     // =====================
@@ -219,6 +253,23 @@ public class PluginConfiguration : BasePluginConfiguration
     /// </summary>
     public string ChannelOverrides { get; set; } = string.Empty;
 
+    /// <summary>
+    /// Gets or sets how channel numbers are assigned.
+    /// </summary>
+    public ChannelNumberingMode ChannelNumbering { get; set; } = ChannelNumberingMode.PreserveProvider;
+
+    /// <summary>
+    /// Gets or sets the first channel number of <see cref="ChannelNumberingMode.GlobalSequence"/>, and of the
+    /// first category without its own start in <see cref="ChannelNumberingMode.SequentialPerCategory"/>.
+    /// </summary>
+    public int ChannelNumberingStart { get; set; } = 1;
+
+    /// <summary>
+    /// Gets or sets the per-category start numbers of <see cref="ChannelNumberingMode.SequentialPerCategory"/>.
+    /// Format: CategoryId=Start (one per line).
+    /// </summary>
+    public string ChannelNumberingCategoryStarts { get; set; } = string.Empty;
+
     /// <summary>
     /// Gets or sets a value indicating whether catch-up/timeshift is enabled.
     /// </summary>
@@ -382,6 +433,7 @@ public class PluginConfiguration : BasePluginConfiguration
         MetadataParallelism = Math.Clamp(MetadataParallelism, 1, 10);
         SyncIntervalMinutes = Math.Max(SyncIntervalMinutes, 1);
         MetadataCacheAgeDays = Math.Max(MetadataCacheAgeDays, 0);
+        AccountExpiryWarningDays = Math.Clamp(AccountExpiryWarningDays, 0, 365);
 
         // Global: Live TV
         EpgParallelism = Math.Clamp(EpgParallelism, 1, 20);
@@ -389,6 +441,7 @@ public class PluginConfiguration : BasePluginConfiguration
         EpgCacheMinutes = Math.Max(EpgCacheMinutes, 1);
         EpgDaysToFetch = Math.Clamp(EpgDaysToFetch, 1, 14);
         CatchupDays = Math.Clamp(CatchupDays, 1, 30);
+        ChannelNumberingStart = Math.Clamp(ChannelNumberingStart, 1, 99999);
 
         // Global: daily schedule
         SyncDailyHour = Math.Clamp(SyncDailyHour, 0, 23);
@@ -14,6 +14,7 @@
 // along with this program.  If not, see <https://www.gnu.org/licenses/>.
 
 using System;
+using System.Linq;
 
 namespace Jellyfin.Xtream.Library;
 
@@ -41,6 +42,12 @@ public class ProviderConfig
     /// </summary>
     public string BaseUrl { get; set; } = string.Empty;
 
+    /// <summary>
+    /// Gets or sets alternate base URLs for the same account, in the order the sync tries them when
+    /// <see cref="BaseUrl"/> does not answer.
+    /// </summary>
+    public string[] BackupBaseUrls { get; set; } = Array.Empty<string>();
+
     /// <summary>
     /// Gets or sets the username for Xtream authentication.
     /// </summary>
@@ -117,6 +124,17 @@ public class ProviderConfig
     /// </summary>
     public int[] ExcludedSeriesIds { get; set; } = Array.Empty<int>();
 
+    /// <summary>
+    /// Gets or sets the movie categories the provider listed when these settings were last saved,
+    /// which the configuration page compares against to show what the provider added or dropped.
+    /// </summary>
+    public KnownCategory[] KnownVodCategories { get; set; } = Array.Empty<KnownCategory>();
+
+    /// <summary>
+    /// Gets or sets the series categories the provider listed when these settings were last saved.
+    /// </summary>
+    public KnownCategory[] KnownSeriesCategories { get; set; } = Array.Empty<KnownCategory>();
+
     /// <summary>
     /// Gets or sets a value indicating whether to skip series that already have STRM files.
     /// </summary>
@@ -139,6 +157,14 @@ public class ProviderConfig
     /// </summary>
     public string MovieFolderMappings { get; set; } = string.Empty;
 
+    /// <summary>
+    /// Gets or sets the movie folder name-pattern rules, applied in Multiple folder mode on top of
+    /// <see cref="MovieFolderMappings"/>.
+    /// Format: one rule per line, "FolderName=Pattern", where Pattern is a glob ("EN | Kids*") or,
+    /// prefixed with "re:", a regular expression. See <see cref="Service.FolderNameRules"/>.
+    /// </summary>
+    public string MovieFolderRules { get; set; } = string.Empty;
+
     /// <summary>
     /// Gets or sets the series folder mode.
     /// "Single" = all series sync to root Series folder.
@@ -152,6 +178,12 @@ public class ProviderConfig
     /// </summary>
     public string SeriesFolderMappings { get; set; } = string.Empty;
 
+    /// <summary>
+    /// Gets or sets the series folder name-pattern rules, applied in Multiple folder mode on top of
+    /// <see cref="SeriesFolderMappings"/>. Same format as <see cref="MovieFolderRules"/>.
+    /// </summary>
+    public string SeriesFolderRules { get; set; } = string.Empty;
+
     // =====================
     // Metadata
     // =====================
@@ -314,5 +346,11 @@ public class ProviderConfig
 
         FullSyncIntervalDays = Math.Clamp(FullSyncIntervalDays, 1, 30);
         FullSyncChangeThreshold = Math.Clamp(FullSyncChangeThreshold, 0.0, 1.0);
+
+        BackupBaseUrls = (BackupBaseUrls ?? Array.Empty<string>())
+            .Select(url => (url ?? string.Empty).Trim().TrimEnd('/'))
+            .Where(url => url.Length > 0 && !string.Equals(url, BaseUrl, StringComparison.OrdinalIgnoreCase))
+            .Distinct(StringComparer.OrdinalIgnoreCase)
+            .ToArray();
     }
 }
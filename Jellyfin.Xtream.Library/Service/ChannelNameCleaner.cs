@@ -77,6 +77,25 @@ public static partial class ChannelNameCleaner
             return name.Trim();
         }
 
+        var result = Strip(name, userRemoveTerms);
+
+        // If we somehow ended up with an empty string, return original
+        return string.IsNullOrWhiteSpace(result) ? name.Trim() : result;
+    }
+
+    /// <summary>
+    /// Whether cleaning would leave nothing of a name, so that <see cref="CleanChannelName"/>
+    /// falls back to the original.
+    /// </summary>
+    /// <param name="name">The original channel name.</param>
+    /// <param name="userRemoveTerms">Optional user-defined terms to remove (one per line).</param>
+    /// <param name="enableCleaning">Whether cleaning is enabled.</param>
+    /// <returns>True when the cleaned name would be empty.</returns>
+    public static bool CleansToEmpty(string name, string? userRemoveTerms = null, bool enableCleaning = true)
+        => enableCleaning && !string.IsNullOrWhiteSpace(name) && string.IsNullOrWhiteSpace(Strip(name, userRemoveTerms));
+
+    private static string Strip(string name, string? userRemoveTerms)
+    {
         string result = name;
 
         // Apply user-defined removals first
@@ -102,10 +121,7 @@ public static partial class ChannelNameCleaner
 
         // Clean up whitespace
         result = MultipleSpacesRegex().Replace(result, " ");
-        result = result.Trim();
-
-        // If we somehow ended up with an empty string, return original
-        return string.IsNullOrWhiteSpace(result) ? name.Trim() : result;
+        return result.Trim();
     }
 
     /// <summary>
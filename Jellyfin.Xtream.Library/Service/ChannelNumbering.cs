@@ -0,0 +1,248 @@
+// Copyright (C) 2024  Roland Breitschaft
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+using Jellyfin.Xtream.Library.Client.Models;
+
+namespace Jellyfin.Xtream.Library.Service;
+
+/// <summary>
+/// Assigns the channel numbers the M3U and the native tuner publish, per
+/// <see cref="PluginConfiguration.ChannelNumbering"/>.
+/// <para>
+/// The numbers are computed when the output is rendered and never written back to the channels:
+/// the stored channel snapshot keeps the provider's numbers, so switching back to
+/// <see cref="ChannelNumberingMode.PreserveProvider"/> does not need a refresh first.
+/// </para>
+/// </summary>
+public static class ChannelNumbering
+{
+    private static readonly char[] LineSeparators = ['\n', '\r'];
+
+    /// <summary>
+    /// Parses the per-category start numbers.
+    /// Format: CategoryId=Start, one per line. Unreadable lines and non-positive starts are skipped;
+    /// a later line for the same category wins.
+    /// </summary>
+    /// <param name="text">Newline-separated list of category starts.</param>
+    /// <returns>Dictionary mapping category ID to its first channel number.</returns>
+    public static Dictionary<int, int> ParseCategoryStarts(string? text)
+    {
+        var result = new Dictionary<int, int>();
+        if (string.IsNullOrWhiteSpace(text))
+        {
+            return result;
+        }
+
+        foreach (var line in text.Split(LineSeparators, StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries))
+        {
+            var eqIndex = line.IndexOf('=', StringComparison.Ordinal);
+            if (eqIndex <= 0
+                || !int.TryParse(line[..eqIndex].Trim(), NumberStyles.Integer, CultureInfo.InvariantCulture, out var categoryId)
+                || !int.TryParse(line[(eqIndex + 1)..].Trim(), NumberStyles.Integer, CultureInfo.InvariantCulture, out var start)
+                || start < 1)
+            {
+                continue;
+            }
+
+            result[categoryId] = start;
+        }
+
+        return result;
+    }
+
+    /// <summary>
+    /// Assigns a number to every channel.
+    /// <list type="bullet">
+    /// <item><see cref="ChannelNumberingMode.PreserveProvider"/>: the provider's number, as before.</item>
+    /// <item><see cref="ChannelNumberingMode.SequentialPerCategory"/>: each category numbered in the
+    /// provider's order, from its configured start; a category without one carries on after the
+    /// previous category, the first from <see cref="PluginConfiguration.ChannelNumberingStart"/>.</item>
+    /// <item><see cref="ChannelNumberingMode.GlobalSequence"/>: one run from
+    /// <see cref="PluginConfiguration.ChannelNumberingStart"/>, ordered by category then name.</item>
+    /// </list>
+    /// Categories go in the provider's order, uncategorised channels last. A number set in
+    /// <see cref="PluginConfiguration.ChannelOverrides"/> always wins, and the sequences skip it.
+    /// </summary>
+    /// <param name="channels">The channels to publish, with overrides already applied.</param>
+    /// <param name="config">The plugin configuration.</param>
+    /// <param name="categoryNames">Category ID to name map in the provider's category order; may be
+    /// empty, which takes categories in the order the channels first list them.</param>
+    /// <returns>The number of each channel, keyed by provider index and stream ID.</returns>
+    public static Dictionary<(int ProviderIndex, int StreamId), int> Assign(
+        IReadOnlyList<LiveStreamInfo> channels,
+        PluginConfiguration config,
+        IReadOnlyDictionary<int, string> categoryNames)
+    {
+        ArgumentNullException.ThrowIfNull(channels);
+        ArgumentNullException.ThrowIfNull(config);
+        ArgumentNullException.ThrowIfNull(categoryNames);
+
+        var numbers = new Dictionary<(int ProviderIndex, int StreamId), int>();
+        if (config.ChannelNumbering == ChannelNumberingMode.PreserveProvider)
+        {
+            foreach (var channel in channels)
+            {
+                numbers[Key(channel)] = channel.Num;
+            }
+
+            return numbers;
+        }
+
+        var overrides = ChannelOverrideParser.Parse(config.ChannelOverrides);
+        var used = new HashSet<int>();
+        var pending = new List<LiveStreamInfo>();
+        foreach (var channel in channels)
+        {
+            if (HasManualNumber(overrides, channel))
+            {
+                numbers[Key(channel)] = channel.Num;
+                used.Add(channel.Num);
+            }
+            else
+            {
+                pending.Add(channel);
+            }
+        }
+
+        // The category list's order, then first appearance for categories it does not name.
+        var categoryOrder = new Dictionary<int, int>();
+        foreach (var categoryId in categoryNames.Keys)
+        {
+            categoryOrder.TryAdd(categoryId, categoryOrder.Count);
+        }
+
+        foreach (var channel in channels)
+        {
+            if (channel.CategoryId is int categoryId)
+            {
+                categoryOrder.TryAdd(categoryId, categoryOrder.Count);
+            }
+        }
+
+        var groups = pending
+            .GroupBy(c => c.CategoryId)
+            .OrderBy(g => g.Key is int id ? categoryOrder[id] : int.MaxValue);
+
+        var starts = ParseCategoryStarts(config.ChannelNumberingCategoryStarts);
+        var next = Math.Max(1, config.ChannelNumberingStart);
+        foreach (var group in groups)
+        {
+            IOrderedEnumerable<LiveStreamInfo> ordered;
+            if (config.ChannelNumbering == ChannelNumberingMode.SequentialPerCategory)
+            {
+                if (group.Key is int categoryId && starts.TryGetValue(categoryId, out var start))
+                {
+                    next = start;
+                }
+
+                ordered = group.OrderBy(c => c.Num).ThenBy(c => c.Name, StringComparer.OrdinalIgnoreCase);
+            }
+            else
+            {
+                ordered = group
+                    .OrderBy(c => ChannelNameCleaner.CleanChannelName(c.Name, config.ChannelRemoveTerms, config.EnableChannelNameCleaning), StringComparer.OrdinalIgnoreCase)
+                    .ThenBy(c => c.StreamId);
+            }
+
+            foreach (var channel in ordered.ThenBy(c => c.ProviderIndex))
+            {
+                while (used.Contains(next))
+                {
+                    next++;
+                }
+
+                numbers[Key(channel)] = next;
+                used.Add(next);
+                next++;
+            }
+        }
+
+        return numbers;
+    }
+
+    /// <summary>
+    /// Looks up a channel's number in a map from <see cref="Assign"/>, falling back to its own.
+    /// </summary>
+    /// <param name="numbers">The assigned numbers.</param>
+    /// <param name="channel">The channel.</param>
+    /// <returns>The channel number to publish.</returns>
+    public static int NumberOf(IReadOnlyDictionary<(int ProviderIndex, int StreamId), int> numbers, LiveStreamInfo channel)
+    {
+        ArgumentNullException.ThrowIfNull(numbers);
+        ArgumentNullException.ThrowIfNull(channel);
+        return numbers.TryGetValue(Key(channel), out var number) ? number : channel.Num;
+    }
+
+    /// <summary>
+    /// Whether <see cref="PluginConfiguration.ChannelOverrides"/> sets this channel's number.
+    /// </summary>
+    /// <param name="overrides">The parsed channel overrides.</param>
+    /// <param name="channel">The channel.</param>
+    /// <returns>True when an override gives the channel a number.</returns>
+    internal static bool HasManualNumber(IReadOnlyDictionary<int, ChannelOverride> overrides, LiveStreamInfo channel)
+        => overrides.TryGetValue(channel.StreamId, out var channelOverride) && channelOverride.Number.HasValue;
+
+    private static (int ProviderIndex, int StreamId) Key(LiveStreamInfo channel) => (channel.ProviderIndex, channel.StreamId);
+}
+
+/// <summary>
+/// One channel in a numbering preview.
+/// </summary>
+public class ChannelNumberPreview
+{
+    /// <summary>
+    /// Gets or sets the provider index.
+    /// </summary>
+    public int ProviderIndex { get; set; }
+
+    /// <summary>
+    /// Gets or sets the stream ID.
+    /// </summary>
+    public int StreamId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the channel name as published.
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the category name, or null for an uncategorised channel or an unknown category.
+    /// </summary>
+    public string? Category { get; set; }
+
+    /// <summary>
+    /// Gets or sets the category ID.
+    /// </summary>
+    public int? CategoryId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the provider's number, or the override's: what <see cref="ChannelNumberingMode.PreserveProvider"/> publishes.
+    /// </summary>
+    public int CurrentNumber { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number the previewed settings give the channel.
+    /// </summary>
+    public int Number { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the number comes from a channel override.
+    /// </summary>
+    public bool Manual { get; set; }
+}
@@ -0,0 +1,260 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Text.RegularExpressions;
+using Jellyfin.Xtream.Library.Client.Models;
+
+namespace Jellyfin.Xtream.Library.Service;
+
+/// <summary>
+/// Parses and applies the Multiple folder mode name-pattern rules
+/// (<see cref="ProviderConfig.MovieFolderRules"/> / <see cref="ProviderConfig.SeriesFolderRules"/>).
+/// <para>
+/// Providers add categories such as "EN | Kids 2026" all the time, and an explicit folder mapping
+/// only knows the category IDs that existed when it was written, so new categories stayed unsynced
+/// until someone assigned them by hand. A rule assigns them by name at sync time instead.
+/// </para>
+/// <para>
+/// Rules only place categories that no folder lists explicitly, so an explicit assignment always
+/// wins. Among the rules the first match wins, in the order they are written: overlapping patterns
+/// such as "EN |*" and "*Kids*" would otherwise put every English kids category in both folders.
+/// The config page's rule preview (config.js, matchFolderRules) applies the same order.
+/// </para>
+/// </summary>
+internal static class FolderNameRules
+{
+    /// <summary>
+    /// The prefix that marks a rule pattern as a regular expression rather than a glob.
+    /// </summary>
+    public const string RegexPrefix = "re:";
+
+    private static readonly TimeSpan MatchTimeout = TimeSpan.FromMilliseconds(250);
+
+    /// <summary>
+    /// Parses the rule configuration string. Lines that are malformed, or whose regular expression
+    /// does not compile, are skipped so that one bad line does not take the other rules down with
+    /// it; they are added to <paramref name="skipped"/> so the sync can say which ones it dropped.
+    /// The config page refuses to save them (see <see cref="FindInvalid"/>), so they can only come
+    /// from a hand-edited or imported config.
+    /// </summary>
+    /// <param name="config">The configuration string with one rule per line.</param>
+    /// <param name="skipped">Receives the lines that were skipped, if given.</param>
+    /// <returns>The parsed rules, in configuration order.</returns>
+    public static List<FolderNameRule> Parse(string? config, ICollection<InvalidFolderRule>? skipped = null)
+    {
+        var result = new List<FolderNameRule>();
+        if (string.IsNullOrWhiteSpace(config))
+        {
+            return result;
+        }
+
+        var lines = config.Split('\n');
+        for (int i = 0; i < lines.Length; i++)
+        {
+            string line = lines[i].Trim();
+            if (line.Length == 0)
+            {
+                continue;
+            }
+
+            int equalsIndex = line.IndexOf('=', StringComparison.Ordinal);
+            string folderName = equalsIndex > 0 ? line[..equalsIndex].Trim() : string.Empty;
+            string pattern = equalsIndex > 0 ? line[(equalsIndex + 1)..].Trim() : string.Empty;
+            if (folderName.Length == 0 || pattern.Length == 0)
+            {
+                skipped?.Add(new InvalidFolderRule { Line = i + 1, Pattern = line, Error = "Not a Folder=pattern rule." });
+                continue;
+            }
+
+            var regex = TryBuildRegex(pattern, out string? error);
+            if (regex != null)
+            {
+                result.Add(new FolderNameRule(folderName, pattern, regex));
+            }
+            else
+            {
+                skipped?.Add(new InvalidFolderRule { Line = i + 1, FolderName = folderName, Pattern = pattern, Error = error ?? string.Empty });
+            }
+        }
+
+        return result;
+    }
+
+    /// <summary>
+    /// Lists the rules <see cref="Parse"/> would skip. The config page asks for this before it
+    /// saves, because only .NET can tell whether a "re:" pattern compiles: JavaScript rejects some
+    /// that .NET accepts, such as a leading (?i), and accepts some it does not, such as [^].
+    /// </summary>
+    /// <param name="config">The configuration string with one rule per line.</param>
+    /// <returns>The skipped rules, in configuration order.</returns>
+    public static List<InvalidFolderRule> FindInvalid(string? config)
+    {
+        var invalid = new List<InvalidFolderRule>();
+        Parse(config, invalid);
+        return invalid;
+    }
+
+    /// <summary>
+    /// Compiles a rule pattern: a glob is matched against the whole category name, a regular
+    /// expression (after <see cref="RegexPrefix"/>) anywhere in it. Both ignore case.
+    /// </summary>
+    /// <param name="pattern">The rule pattern.</param>
+    /// <returns>The compiled expression, or null if the regular expression is invalid.</returns>
+    public static Regex? TryBuildRegex(string pattern) => TryBuildRegex(pattern, out _);
+
+    /// <summary>
+    /// Compiles a rule pattern as <see cref="TryBuildRegex(string)"/> does, and says why it failed.
+    /// </summary>
+    /// <param name="pattern">The rule pattern.</param>
+    /// <param name="error">The regex parser's message when the pattern does not compile.</param>
+    /// <returns>The compiled expression, or null if the regular expression is invalid.</returns>
+    public static Regex? TryBuildRegex(string pattern, out string? error)
+    {
+        ArgumentNullException.ThrowIfNull(pattern);
+
+        error = null;
+        string expression = pattern.StartsWith(RegexPrefix, StringComparison.OrdinalIgnoreCase)
+            ? pattern[RegexPrefix.Length..]
+            : "^" + Regex.Escape(pattern).Replace(@"\*", ".*", StringComparison.Ordinal).Replace(@"\?", ".", StringComparison.Ordinal) + "$";
+
+        if (expression.Length == 0)
+        {
+            error = "The expression is empty.";
+            return null;
+        }
+
+        try
+        {
+            return new Regex(expression, RegexOptions.IgnoreCase | RegexOptions.CultureInvariant, MatchTimeout);
+        }
+        catch (ArgumentException ex)
+        {
+            error = ex.Message;
+            return null;
+        }
+    }
+
+    /// <summary>
+    /// Adds the categories the rules capture to a parsed folder mapping (category ID → folder
+    /// names, as returned by <see cref="StrmSyncService.ParseFolderMappings"/>). Categories the
+    /// mapping already holds are left alone.
+    /// </summary>
+    /// <param name="folderMappings">The parsed explicit mappings, extended in place.</param>
+    /// <param name="categories">The provider's categories for this content type.</param>
+    /// <param name="rules">The parsed rules.</param>
+    /// <returns>The number of categories a rule placed.</returns>
+    public static int Apply(
+        Dictionary<int, List<string>> folderMappings,
+        IEnumerable<Category> categories,
+        IReadOnlyList<FolderNameRule> rules)
+    {
+        ArgumentNullException.ThrowIfNull(folderMappings);
+        ArgumentNullException.ThrowIfNull(categories);
+        ArgumentNullException.ThrowIfNull(rules);
+
+        if (rules.Count == 0)
+        {
+            return 0;
+        }
+
+        int placed = 0;
+        foreach (var category in categories)
+        {
+            if (folderMappings.ContainsKey(category.CategoryId))
+            {
+                continue;
+            }
+
+            var rule = rules.FirstOrDefault(r => r.IsMatch(category.CategoryName));
+            if (rule != null)
+            {
+                folderMappings[category.CategoryId] = new List<string> { rule.FolderName };
+                placed++;
+            }
+        }
+
+        return placed;
+    }
+}
+
+/// <summary>
+/// One parsed folder name-pattern rule, see <see cref="FolderNameRules"/>.
+/// </summary>
+internal sealed class FolderNameRule
+{
+    private readonly Regex _regex;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="FolderNameRule"/> class.
+    /// </summary>
+    /// <param name="folderName">The folder matching categories go to.</param>
+    /// <param name="pattern">The pattern as written in the configuration.</param>
+    /// <param name="regex">The compiled pattern.</param>
+    public FolderNameRule(string folderName, string pattern, Regex regex)
+    {
+        FolderName = folderName;
+        Pattern = pattern;
+        _regex = regex;
+    }
+
+    /// <summary>
+    /// Gets the folder matching categories go to.
+    /// </summary>
+    public string FolderName { get; }
+
+    /// <summary>
+    /// Gets the pattern as written in the configuration.
+    /// </summary>
+    public string Pattern { get; }
+
+    /// <summary>
+    /// Returns true when the category name matches this rule. A pattern that runs into the match
+    /// timeout counts as no match rather than failing the sync.
+    /// </summary>
+    /// <param name="categoryName">The provider category name.</param>
+    /// <returns>True if the category belongs in this rule's folder.</returns>
+    public bool IsMatch(string? categoryName)
+    {
+        try
+        {
+            return _regex.IsMatch(categoryName ?? string.Empty);
+        }
+        catch (RegexMatchTimeoutException)
+        {
+            return false;
+        }
+    }
+}
+
+/// <summary>
+/// A folder name rule that <see cref="FolderNameRules.Parse"/> skips.
+/// </summary>
+public class InvalidFolderRule
+{
+    /// <summary>
+    /// Gets or sets the 1-based line of the rule in the setting.
+    /// </summary>
+    public int Line { get; set; }
+
+    /// <summary>
+    /// Gets or sets the folder the rule is for, or empty when the line has none.
+    /// </summary>
+    public string FolderName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the pattern, or the whole line when it is not a Folder=pattern rule.
+    /// </summary>
+    public string Pattern { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets why the rule is skipped, such as the regex parser's message.
+    /// </summary>
+    public string Error { get; set; } = string.Empty;
+}
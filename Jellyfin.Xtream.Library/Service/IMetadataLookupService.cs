@@ -13,6 +13,7 @@
 // You should have received a copy of the GNU General Public License
 // along with this program.  If not, see <https://www.gnu.org/licenses/>.
 
+using System.Collections.Generic;
 using System.Threading;
 using System.Threading.Tasks;
 
@@ -41,6 +42,24 @@ public interface IMetadataLookupService
     /// <returns>The TVDb ID if found, null otherwise.</returns>
     Task<int?> LookupSeriesTvdbIdAsync(string title, int? year, CancellationToken cancellationToken);
 
+    /// <summary>
+    /// Searches for the movies a title could be, for picking a TMDb match by hand.
+    /// </summary>
+    /// <param name="title">The movie title.</param>
+    /// <param name="year">The release year, if known.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The results that carry a TMDb ID, best first.</returns>
+    Task<List<MetadataCandidate>> SearchMovieCandidatesAsync(string title, int? year, CancellationToken cancellationToken);
+
+    /// <summary>
+    /// Searches for the series a title could be, for picking a TVDb match by hand.
+    /// </summary>
+    /// <param name="title">The series title.</param>
+    /// <param name="year">The premiere year, if known.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The results that carry a TVDb ID, best first.</returns>
+    Task<List<MetadataCandidate>> SearchSeriesCandidatesAsync(string title, int? year, CancellationToken cancellationToken);
+
     /// <summary>
     /// Initializes the service and loads the cache.
     /// </summary>
@@ -639,6 +639,73 @@ public class LiveTvService : IDisposable
         }
     }
 
+    /// <summary>
+    /// Previews the channel numbers a numbering setting would publish, over the channels the
+    /// provider has now with the saved channel overrides applied. Nothing is cached or stored.
+    /// </summary>
+    /// <param name="mode">The numbering mode to preview.</param>
+    /// <param name="start">The first number of the sequence.</param>
+    /// <param name="categoryStarts">Per-category starts, as CategoryId=Start lines.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>Every channel with its current and previewed number, in previewed order.</returns>
+    public async Task<List<ChannelNumberPreview>> PreviewChannelNumbersAsync(
+        ChannelNumberingMode mode,
+        int start,
+        string? categoryStarts,
+        CancellationToken cancellationToken)
+    {
+        var channels = await GetFilteredChannelsAsync(cancellationToken).ConfigureAwait(false);
+        var categoryNames = await GetCategoryNameMapAsync(cancellationToken).ConfigureAwait(false);
+        return BuildNumberingPreview(channels, Plugin.Instance.Configuration, categoryNames, mode, start, categoryStarts);
+    }
+
+    /// <summary>
+    /// Numbers the channels with the previewed settings in place of the saved ones.
+    /// </summary>
+    /// <param name="channels">The channels, with overrides applied.</param>
+    /// <param name="config">The saved plugin configuration.</param>
+    /// <param name="categoryNames">Category ID to name map.</param>
+    /// <param name="mode">The numbering mode to preview.</param>
+    /// <param name="start">The first number of the sequence.</param>
+    /// <param name="categoryStarts">Per-category starts, as CategoryId=Start lines.</param>
+    /// <returns>Every channel with its current and previewed number, in previewed order.</returns>
+    internal static List<ChannelNumberPreview> BuildNumberingPreview(
+        List<LiveStreamInfo> channels,
+        PluginConfiguration config,
+        IReadOnlyDictionary<int, string> categoryNames,
+        ChannelNumberingMode mode,
+        int start,
+        string? categoryStarts)
+    {
+        var previewConfig = new PluginConfiguration
+        {
+            ChannelNumbering = mode,
+            ChannelNumberingStart = Math.Clamp(start, 1, 99999),
+            ChannelNumberingCategoryStarts = categoryStarts ?? string.Empty,
+            ChannelOverrides = config.ChannelOverrides,
+            ChannelRemoveTerms = config.ChannelRemoveTerms,
+            EnableChannelNameCleaning = config.EnableChannelNameCleaning,
+        };
+
+        var numbers = ChannelNumbering.Assign(channels, previewConfig, categoryNames);
+        var overrides = ChannelOverrideParser.Parse(config.ChannelOverrides);
+        return channels
+            .Select(c => new ChannelNumberPreview
+            {
+                ProviderIndex = c.ProviderIndex,
+                StreamId = c.StreamId,
+                Name = ChannelNameCleaner.CleanChannelName(c.Name, config.ChannelRemoveTerms, config.EnableChannelNameCleaning),
+                CategoryId = c.CategoryId,
+                Category = c.CategoryId is int id && categoryNames.TryGetValue(id, out var name) ? name : null,
+                CurrentNumber = c.Num,
+                Number = ChannelNumbering.NumberOf(numbers, c),
+                Manual = ChannelNumbering.HasManualNumber(overrides, c),
+            })
+            .OrderBy(p => p.Number)
+            .ThenBy(p => p.Name, StringComparer.OrdinalIgnoreCase)
+            .ToList();
+    }
+
     internal async Task<List<LiveStreamInfo>> GetFilteredChannelsAsync(CancellationToken cancellationToken)
     {
         var config = Plugin.Instance.Configuration;
@@ -648,8 +715,10 @@ public class LiveTvService : IDisposable
 
         foreach (var provider in liveTvProviders)
         {
-            var connectionInfo = Plugin.Instance.GetCreds(provider.Index);
-            var providerChannels = await GetFilteredChannelsForProviderAsync(config, connectionInfo, provider.Index, cancellationToken).ConfigureAwait(false);
+            var providerChannels = await OnAnsweringHostAsync(
+                provider.Provider,
+                connectionInfo => GetFilteredChannelsForProviderAsync(config, connectionInfo, provider.Index, cancellationToken),
+                cancellationToken).ConfigureAwait(false);
             allChannels.AddRange(providerChannels);
         }
 
@@ -844,7 +913,10 @@ public class LiveTvService : IDisposable
             ? channels.Where(c => c.TvArchive && c.TvArchiveDuration > 0).ToList()
             : channels;
 
-        foreach (var channel in filteredChannels.OrderBy(c => c.Num))
+        // Numbered from the whole list, so a channel has the same number in both playlists.
+        var numbers = ChannelNumbering.Assign(channels, config, categoryNames);
+
+        foreach (var channel in filteredChannels.OrderBy(c => ChannelNumbering.NumberOf(numbers, c)))
         {
             var cleanName = ChannelNameCleaner.CleanChannelName(
                 channel.Name,
@@ -857,7 +929,7 @@ public class LiveTvService : IDisposable
             extinf.Append("#EXTINF:-1");
             extinf.Append(CultureInfo.InvariantCulture, $" tvg-id=\"{EscapeAttribute(epgId)}\"");
             extinf.Append(CultureInfo.InvariantCulture, $" tvg-name=\"{EscapeAttribute(cleanName)}\"");
-            extinf.Append(CultureInfo.InvariantCulture, $" tvg-chno=\"{channel.Num}\"");
+            extinf.Append(CultureInfo.InvariantCulture, $" tvg-chno=\"{ChannelNumbering.NumberOf(numbers, channel)}\"");
 
             var logoUrl = ChannelLogoResolver.ResolveDisplayUrl(channel.StreamIcon, channel.StreamId, baseUrl);
             if (!string.IsNullOrEmpty(logoUrl))
@@ -923,7 +995,7 @@ public class LiveTvService : IDisposable
         var p = config.Providers.ElementAtOrDefault(providerIndex) ?? config.Providers.FirstOrDefault();
         if (p != null && !string.IsNullOrEmpty(p.BaseUrl))
         {
-            return (p.BaseUrl, p.Username, p.Password);
+            return (ProviderHosts.GetBaseUrl(p), p.Username, p.Password);
         }
 
         return (config.BaseUrl, config.Username, config.Password);
@@ -957,6 +1029,38 @@ public class LiveTvService : IDisposable
         _client.Timeout = ResolveClientTimeout(config);
     }
 
+    /// <summary>
+    /// Runs a request against the host the provider is on. When that host refuses and the provider
+    /// has backups, the hosts are probed again and the request is retried once on the one that
+    /// answers, so Live TV does not have to wait for the next library sync to fall over; the
+    /// stream URLs handed out afterwards follow, as they read the host from <see cref="ProviderHosts"/>.
+    /// </summary>
+    /// <typeparam name="T">The result type.</typeparam>
+    /// <param name="provider">The provider.</param>
+    /// <param name="request">The request, given the connection info of the host to use.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The result of the request.</returns>
+    private async Task<T> OnAnsweringHostAsync<T>(ProviderConfig provider, Func<ConnectionInfo, Task<T>> request, CancellationToken cancellationToken)
+    {
+        var currentHost = ProviderHosts.GetBaseUrl(provider);
+        try
+        {
+            return await request(ProviderHosts.GetConnectionInfo(provider)).ConfigureAwait(false);
+        }
+        catch (Exception ex) when ((ex is not OperationCanceledException || !cancellationToken.IsCancellationRequested)
+            && ProviderHosts.GetCandidates(provider).Count > 1)
+        {
+            _logger.LogWarning("Host {Host} of provider {ProviderName} failed a Live TV request: {Error}", currentHost, provider.Name, ex.Message);
+            var baseUrl = await ProviderHosts.SelectAsync(_client, provider, _logger, cancellationToken).ConfigureAwait(false);
+            if (string.Equals(baseUrl, currentHost, StringComparison.Ordinal))
+            {
+                throw;
+            }
+        }
+
+        return await request(ProviderHosts.GetConnectionInfo(provider)).ConfigureAwait(false);
+    }
+
     internal static IEnumerable<(int Index, ProviderConfig Provider)> ResolveLiveTvProviders(PluginConfiguration config)
     {
         for (var i = 0; i < config.Providers.Count; i++)
@@ -0,0 +1,47 @@
+// Copyright (C) 2024  Roland Breitschaft
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+namespace Jellyfin.Xtream.Library.Service;
+
+/// <summary>
+/// A search result offered for a manual metadata match.
+/// </summary>
+public class MetadataCandidate
+{
+    /// <summary>
+    /// Gets or sets the TMDb ID (movies) or TVDb ID (series) the match would use.
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Gets or sets the title as the metadata provider has it.
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the release or premiere year, if known.
+    /// </summary>
+    public int? Year { get; set; }
+
+    /// <summary>
+    /// Gets or sets the plot summary, if any.
+    /// </summary>
+    public string? Overview { get; set; }
+
+    /// <summary>
+    /// Gets or sets the poster URL, if any.
+    /// </summary>
+    public string? ImageUrl { get; set; }
+}
@@ -17,6 +17,7 @@
 // along with this program.  If not, see <https://www.gnu.org/licenses/>.
 
 using System;
+using System.Collections.Generic;
 using System.Globalization;
 using System.Linq;
 using System.Text.RegularExpressions;
@@ -335,12 +336,91 @@ public sealed class MetadataLookupService : IMetadataLookupService, IDisposable
         }
     }
 
+    /// <inheritdoc />
+    public async Task<List<MetadataCandidate>> SearchMovieCandidatesAsync(string title, int? year, CancellationToken cancellationToken)
+    {
+        // A manual search: neither cached nor filtered for false positives, the user is the judge.
+        var limiter = await AcquireRateLimiterAsync(cancellationToken).ConfigureAwait(false);
+        try
+        {
+            var results = await _providerManager.GetRemoteSearchResults<Movie, MovieInfo>(
+                new RemoteSearchQuery<MovieInfo> { SearchInfo = new MovieInfo { Name = title, Year = year } },
+                cancellationToken).ConfigureAwait(false);
+            return ToCandidates(results, MetadataProvider.Tmdb);
+        }
+        finally
+        {
+            limiter.Release();
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<List<MetadataCandidate>> SearchSeriesCandidatesAsync(string title, int? year, CancellationToken cancellationToken)
+    {
+        var limiter = await AcquireRateLimiterAsync(cancellationToken).ConfigureAwait(false);
+        try
+        {
+            var results = await _providerManager.GetRemoteSearchResults<Series, SeriesInfo>(
+                new RemoteSearchQuery<SeriesInfo> { SearchInfo = new SeriesInfo { Name = title, Year = year } },
+                cancellationToken).ConfigureAwait(false);
+            return ToCandidates(results, MetadataProvider.Tvdb);
+        }
+        finally
+        {
+            limiter.Release();
+        }
+    }
+
     /// <inheritdoc />
     public Task FlushCacheAsync() => _cache.FlushAsync();
 
     /// <inheritdoc />
     public Task ClearCacheAsync() => _cache.ClearAsync();
 
+    /// <summary>
+    /// Keeps the search results that carry an ID of the given provider, once per ID, in the order found.
+    /// </summary>
+    /// <param name="results">The remote search results.</param>
+    /// <param name="idProvider">The provider whose ID a match is written with.</param>
+    /// <returns>The candidates.</returns>
+    internal static List<MetadataCandidate> ToCandidates(IEnumerable<RemoteSearchResult> results, MetadataProvider idProvider)
+    {
+        var candidates = new List<MetadataCandidate>();
+        foreach (var result in results)
+        {
+            if (result.ProviderIds == null ||
+                !result.ProviderIds.TryGetValue(idProvider.ToString(), out var idStr) ||
+                !int.TryParse(idStr, NumberStyles.None, CultureInfo.InvariantCulture, out var id) ||
+                candidates.Any(c => c.Id == id))
+            {
+                continue;
+            }
+
+            candidates.Add(new MetadataCandidate
+            {
+                Id = id,
+                Name = result.Name ?? string.Empty,
+                Year = result.ProductionYear,
+                Overview = result.Overview,
+                ImageUrl = result.ImageUrl,
+            });
+        }
+
+        return candidates;
+    }
+
+    private async Task<SemaphoreSlim> AcquireRateLimiterAsync(CancellationToken cancellationToken)
+    {
+        await InitializeAsync().ConfigureAwait(false);
+        if (_rateLimiter == null)
+        {
+            throw new InvalidOperationException("MetadataLookupService not initialized. Call InitializeAsync first.");
+        }
+
+        await _rateLimiter.WaitAsync(cancellationToken).ConfigureAwait(false);
+        return _rateLimiter;
+    }
+
     /// <summary>
     /// Checks whether a search result is likely a false positive match.
     /// Uses year mismatch and title length ratio to detect bad matches
@@ -0,0 +1,238 @@
+// Copyright (C) 2024  Roland Breitschaft
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Jellyfin.Xtream.Library.Client;
+using Jellyfin.Xtream.Library.Client.Models;
+using Microsoft.Extensions.Logging;
+using Newtonsoft.Json;
+
+namespace Jellyfin.Xtream.Library.Service;
+
+/// <summary>
+/// Which of a provider's hosts requests go to. Resellers publish several hostnames for one
+/// account; each sync tries <see cref="ProviderConfig.BaseUrl"/> and then the backups, in order,
+/// and records the first that accepts the login here. The STRM files that sync writes, the Live
+/// TV streams and every other call until the next sync then use that same host. The choice is
+/// kept on disk, so a restart does not send Live TV back to a BaseUrl the STRM files moved off.
+/// </summary>
+internal static class ProviderHosts
+{
+    // A host that is down usually refuses the connection at once, but one that swallows it would
+    // otherwise hold the caller for the provider's full request timeout before the next is tried.
+    private static readonly TimeSpan HostProbeTimeout = TimeSpan.FromSeconds(30);
+
+    // Host names are case-insensitive, and the config page drops a backup that repeats another URL
+    // in a different case. Every comparison of hosts here goes through this one comparer, so a
+    // recorded host that differs from the setting only in case is still found.
+    private static readonly StringComparer UrlComparer = StringComparer.OrdinalIgnoreCase;
+
+    // Keyed like the other per-account caches, on the primary URL, so a reorder of the provider
+    // list does not hand one provider's backup to another.
+    private static readonly ConcurrentDictionary<string, string> ActiveBackups = new(StringComparer.Ordinal);
+
+    private static readonly object StateLock = new();
+
+    private static string? _statePath;
+
+    /// <summary>
+    /// Loads the hosts recorded before the last restart and keeps later changes in the same file.
+    /// </summary>
+    /// <param name="statePath">The file the hosts are kept in.</param>
+    public static void Restore(string statePath)
+    {
+        lock (StateLock)
+        {
+            _statePath = statePath;
+            ActiveBackups.Clear();
+
+            try
+            {
+                if (!File.Exists(statePath))
+                {
+                    return;
+                }
+
+                var saved = JsonConvert.DeserializeObject<Dictionary<string, string>>(File.ReadAllText(statePath));
+                foreach (var entry in saved ?? new Dictionary<string, string>())
+                {
+                    ActiveBackups[entry.Key] = entry.Value;
+                }
+            }
+            catch (Exception ex) when (ex is IOException || ex is UnauthorizedAccessException || ex is JsonException)
+            {
+                // Unreadable only costs the failover until the next sync or Live TV fetch finds it again.
+            }
+        }
+    }
+
+    /// <summary>
+    /// Gets the hosts of a provider in the order the sync tries them: BaseUrl, then the backups.
+    /// </summary>
+    /// <param name="provider">The provider.</param>
+    /// <returns>The distinct, non-empty hosts.</returns>
+    public static IReadOnlyList<string> GetCandidates(ProviderConfig provider)
+    {
+        var candidates = new List<string>();
+        foreach (var url in new[] { provider.BaseUrl }.Concat(provider.BackupBaseUrls ?? Array.Empty<string>()))
+        {
+            if (!string.IsNullOrWhiteSpace(url) && !candidates.Contains(url, UrlComparer))
+            {
+                candidates.Add(url);
+            }
+        }
+
+        return candidates;
+    }
+
+    /// <summary>
+    /// Gets the host requests for a provider go to: the backup the last sync fell over to, or
+    /// BaseUrl when it did not fall over or that backup has since been removed.
+    /// </summary>
+    /// <param name="provider">The provider.</param>
+    /// <returns>The base URL to use.</returns>
+    public static string GetBaseUrl(ProviderConfig provider)
+    {
+        if (ActiveBackups.TryGetValue(Key(provider), out var backup))
+        {
+            var configured = (provider.BackupBaseUrls ?? Array.Empty<string>()).FirstOrDefault(url => UrlComparer.Equals(url, backup));
+            if (configured != null)
+            {
+                return configured;
+            }
+        }
+
+        return provider.BaseUrl;
+    }
+
+    /// <summary>
+    /// Records the host a provider's sync settled on.
+    /// </summary>
+    /// <param name="provider">The provider.</param>
+    /// <param name="baseUrl">The host; BaseUrl clears a previous failover.</param>
+    public static void SetBaseUrl(ProviderConfig provider, string baseUrl)
+    {
+        lock (StateLock)
+        {
+            bool changed;
+            if (UrlComparer.Equals(baseUrl, provider.BaseUrl))
+            {
+                changed = ActiveBackups.TryRemove(Key(provider), out _);
+            }
+            else
+            {
+                changed = !ActiveBackups.TryGetValue(Key(provider), out var previous)
+                    || !UrlComparer.Equals(previous, baseUrl);
+                ActiveBackups[Key(provider)] = baseUrl;
+            }
+
+            if (changed)
+            {
+                Persist();
+            }
+        }
+    }
+
+    /// <summary>
+    /// Tries a provider's hosts in order and records the first that accepts the login. A host that
+    /// answers with auth 0 refuses these credentials, which a reseller's hosts do not always share,
+    /// so it is passed over like one that does not answer at all.
+    /// A provider without backups is not probed; its caller finds out whether BaseUrl answers.
+    /// </summary>
+    /// <param name="client">The client to probe with.</param>
+    /// <param name="provider">The provider.</param>
+    /// <param name="logger">The logger of the caller.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The first host that accepts the login, or BaseUrl when none does, so the caller fails the way it would have without backups.</returns>
+    public static async Task<string> SelectAsync(IXtreamClient client, ProviderConfig provider, ILogger logger, CancellationToken cancellationToken)
+    {
+        var candidates = GetCandidates(provider);
+        if (candidates.Count <= 1)
+        {
+            SetBaseUrl(provider, provider.BaseUrl);
+            return provider.BaseUrl;
+        }
+
+        foreach (var baseUrl in candidates)
+        {
+            using var probeCts = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+            probeCts.CancelAfter(HostProbeTimeout);
+            PlayerApi info;
+            try
+            {
+                var connectionInfo = new ConnectionInfo(baseUrl, provider.Username, provider.Password);
+                info = await client.GetUserAndServerInfoAsync(connectionInfo, probeCts.Token).ConfigureAwait(false);
+            }
+            catch (Exception ex) when (ex is not OperationCanceledException || !cancellationToken.IsCancellationRequested)
+            {
+                logger.LogWarning("Host {Host} of provider {ProviderName} did not answer: {Error}", baseUrl, provider.Name, ex.Message);
+                continue;
+            }
+
+            if (info.UserInfo?.Auth != 1)
+            {
+                logger.LogWarning("Host {Host} of provider {ProviderName} refused the login", baseUrl, provider.Name);
+                continue;
+            }
+
+            if (!UrlComparer.Equals(baseUrl, provider.BaseUrl))
+            {
+                logger.LogWarning("Provider {ProviderName} is falling over to backup host {Host}", provider.Name, baseUrl);
+            }
+
+            SetBaseUrl(provider, baseUrl);
+            return baseUrl;
+        }
+
+        logger.LogWarning("None of the {Count} hosts of provider {ProviderName} accepted the login; falling back to BaseUrl", candidates.Count, provider.Name);
+        SetBaseUrl(provider, provider.BaseUrl);
+        return provider.BaseUrl;
+    }
+
+    /// <summary>
+    /// Gets the connection info for a provider on its current host.
+    /// </summary>
+    /// <param name="provider">The provider.</param>
+    /// <returns>The connection info.</returns>
+    public static ConnectionInfo GetConnectionInfo(ProviderConfig provider)
+        => new ConnectionInfo(GetBaseUrl(provider), provider.Username, provider.Password);
+
+    private static string Key(ProviderConfig provider) => provider.BaseUrl + "|" + provider.Username;
+
+    // Called within StateLock.
+    private static void Persist()
+    {
+        if (_statePath == null)
+        {
+            return;
+        }
+
+        try
+        {
+            Directory.CreateDirectory(Path.GetDirectoryName(_statePath)!);
+            File.WriteAllText(_statePath, JsonConvert.SerializeObject(ActiveBackups.ToDictionary(e => e.Key, e => e.Value, StringComparer.Ordinal)));
+        }
+        catch (Exception ex) when (ex is IOException || ex is UnauthorizedAccessException)
+        {
+            // The host still holds until the restart; the next sync records it again.
+        }
+    }
+}
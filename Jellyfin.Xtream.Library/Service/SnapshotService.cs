@@ -41,7 +41,8 @@ public class SnapshotService : IDisposable
 
     /// <summary>
     /// Gets the snapshot directory for the given provider key.
-    /// Provider key format: "{providerIndex}-{urlHashPrefix}" (e.g. "0-a1b2c3d4").
+    /// Provider key format: "acct-{accountHashPrefix}" (e.g. "acct-a1b2c3d4"), or the older
+    /// "{providerIndex}-{urlHashPrefix}" (e.g. "0-a1b2c3d4").
     /// Use "0-legacy" for snapshots created before multi-provider support.
     /// </summary>
     /// <param name="providerKey">The provider-specific key.</param>
@@ -112,6 +113,14 @@ public class SnapshotService : IDisposable
             provider.TmdbFolderIdOverrides ?? string.Empty,
             provider.TvdbFolderIdOverrides ?? string.Empty);
 
+        // Folder name rules move content between folders like the mappings do. Appended only when
+        // set, so a config without rules keeps the fingerprint it had and is not pushed into a
+        // full sync by the upgrade that introduced them.
+        if (!string.IsNullOrEmpty(provider.MovieFolderRules) || !string.IsNullOrEmpty(provider.SeriesFolderRules))
+        {
+            data += "|" + provider.MovieFolderRules + "|" + provider.SeriesFolderRules;
+        }
+
         return ComputeMd5(data);
     }
 
@@ -120,7 +129,7 @@ public class SnapshotService : IDisposable
     /// <summary>
     /// Loads the most recent valid snapshot for the given provider.
     /// </summary>
-    /// <param name="providerKey">Provider-specific directory key (format: "{index}-{urlHash8}"). Defaults to "0-legacy".</param>
+    /// <param name="providerKey">Provider-specific directory key, see <see cref="StrmSyncService.SnapshotKey"/>. Defaults to "0-legacy".</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>The latest snapshot, or null if none exists or if corrupted.</returns>
     public async Task<ContentSnapshot?> LoadLatestSnapshotAsync(string providerKey = "0-legacy", CancellationToken cancellationToken = default)
@@ -207,7 +216,7 @@ public class SnapshotService : IDisposable
     /// Writes to a temporary file first, then renames to prevent corruption from process crashes.
     /// </summary>
     /// <param name="snapshot">The snapshot to save.</param>
-    /// <param name="providerKey">Provider-specific directory key (format: "{index}-{urlHash8}"). Defaults to "0-legacy".</param>
+    /// <param name="providerKey">Provider-specific directory key, see <see cref="StrmSyncService.SnapshotKey"/>. Defaults to "0-legacy".</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>A task representing the asynchronous operation.</returns>
     public async Task SaveSnapshotAsync(ContentSnapshot snapshot, string providerKey = "0-legacy", CancellationToken cancellationToken = default)
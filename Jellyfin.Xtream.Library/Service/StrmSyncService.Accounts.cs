@@ -0,0 +1,219 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Jellyfin.Xtream.Library.Client;
+using Jellyfin.Xtream.Library.Client.Models;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Xtream.Library.Service;
+
+/// <summary>
+/// Provider account health: the account details player_api.php returns, per provider, for the
+/// dashboard. Kept for a while, since the dashboard reloads on every visit and some providers
+/// count each login against the account.
+/// </summary>
+public partial class StrmSyncService
+{
+    private static readonly TimeSpan AccountStatusCacheLifetime = TimeSpan.FromMinutes(15);
+
+    private readonly ConcurrentDictionary<string, AccountCacheEntry> _accountCache = new(StringComparer.Ordinal);
+
+    /// <summary>
+    /// Gets the account status of every provider with credentials.
+    /// </summary>
+    /// <param name="refresh">Whether to ask the providers again instead of using the cached answers.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>One status per provider with credentials, in provider order.</returns>
+    public async Task<List<ProviderAccountStatus>> GetAccountStatusesAsync(bool refresh, CancellationToken cancellationToken)
+    {
+        var config = Plugin.Instance.Configuration;
+        var statuses = new List<ProviderAccountStatus>();
+
+        for (int i = 0; i < config.Providers.Count; i++)
+        {
+            var provider = config.Providers[i];
+            if (string.IsNullOrEmpty(provider.BaseUrl) || string.IsNullOrEmpty(provider.Username))
+            {
+                continue;
+            }
+
+            var key = provider.BaseUrl + "|" + provider.Username;
+            if (refresh
+                || !_accountCache.TryGetValue(key, out var entry)
+                || DateTime.UtcNow - entry.CheckedAt >= AccountStatusCacheLifetime)
+            {
+                entry = await FetchAccountAsync(provider, cancellationToken).ConfigureAwait(false);
+                _accountCache[key] = entry;
+            }
+
+            statuses.Add(ToAccountStatus(i, provider, entry, config.AccountExpiryWarningDays, DateTime.UtcNow));
+        }
+
+        return statuses;
+    }
+
+    /// <summary>
+    /// Builds the dashboard status of one provider from its last answer.
+    /// </summary>
+    /// <param name="providerIndex">The provider index.</param>
+    /// <param name="provider">The provider.</param>
+    /// <param name="entry">The provider's last answer, or the error it gave instead.</param>
+    /// <param name="warningDays">How many days before the expiry date to warn.</param>
+    /// <param name="now">The current UTC time.</param>
+    /// <returns>The account status.</returns>
+    internal static ProviderAccountStatus ToAccountStatus(int providerIndex, ProviderConfig provider, AccountCacheEntry entry, int warningDays, DateTime now)
+    {
+        var status = new ProviderAccountStatus
+        {
+            ProviderIndex = providerIndex,
+            ProviderName = provider.Name,
+            IsEnabled = provider.IsEnabled,
+            CheckedAt = entry.CheckedAt,
+            Error = entry.Error,
+        };
+
+        var user = entry.UserInfo;
+        if (user == null)
+        {
+            return status;
+        }
+
+        status.Success = true;
+        status.Status = user.Status;
+        status.IsTrial = user.IsTrial == true;
+        status.ActiveConnections = user.ActiveCons;
+        status.MaxConnections = user.MaxConnections;
+        status.AllowedOutputFormats = user.AllowedOutputFormats?.ToList() ?? new List<string>();
+        if (user.ExpDate.HasValue)
+        {
+            var expiresAt = DateTime.SpecifyKind(user.ExpDate.Value, DateTimeKind.Utc);
+            status.ExpiresAt = expiresAt;
+            status.DaysUntilExpiry = (int)Math.Floor((expiresAt - now).TotalDays);
+            status.ExpiresSoon = status.DaysUntilExpiry <= warningDays;
+        }
+
+        return status;
+    }
+
+    private async Task<AccountCacheEntry> FetchAccountAsync(ProviderConfig provider, CancellationToken cancellationToken)
+    {
+        try
+        {
+            var connectionInfo = ProviderHosts.GetConnectionInfo(provider);
+            var playerInfo = await _client.GetUserAndServerInfoAsync(connectionInfo, cancellationToken).ConfigureAwait(false);
+            return new AccountCacheEntry { CheckedAt = DateTime.UtcNow, UserInfo = playerInfo.UserInfo };
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            _logger.LogWarning(ex, "Account check failed for provider {ProviderName}", provider.Name);
+            return new AccountCacheEntry { CheckedAt = DateTime.UtcNow, Error = ex.Message };
+        }
+    }
+
+    /// <summary>
+    /// A provider's last answer to an account check.
+    /// </summary>
+    internal sealed class AccountCacheEntry
+    {
+        /// <summary>
+        /// Gets or sets when the provider was asked, in UTC.
+        /// </summary>
+        public DateTime CheckedAt { get; set; }
+
+        /// <summary>
+        /// Gets or sets the account details, or null when the check failed.
+        /// </summary>
+        public UserInfo? UserInfo { get; set; }
+
+        /// <summary>
+        /// Gets or sets why the check failed.
+        /// </summary>
+        public string? Error { get; set; }
+    }
+}
+
+/// <summary>
+/// The account of one provider, as the dashboard shows it.
+/// </summary>
+public class ProviderAccountStatus
+{
+    /// <summary>
+    /// Gets or sets the provider index.
+    /// </summary>
+    public int ProviderIndex { get; set; }
+
+    /// <summary>
+    /// Gets or sets the provider name.
+    /// </summary>
+    public string ProviderName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the provider is enabled for sync.
+    /// </summary>
+    public bool IsEnabled { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the provider answered the account check.
+    /// </summary>
+    public bool Success { get; set; }
+
+    /// <summary>
+    /// Gets or sets why the account check failed, or null when it did not.
+    /// </summary>
+    public string? Error { get; set; }
+
+    /// <summary>
+    /// Gets or sets when the provider was last asked, in UTC.
+    /// </summary>
+    public DateTime CheckedAt { get; set; }
+
+    /// <summary>
+    /// Gets or sets the account status as the provider reports it, such as "Active" or "Expired".
+    /// </summary>
+    public string? Status { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the account is a trial.
+    /// </summary>
+    public bool IsTrial { get; set; }
+
+    /// <summary>
+    /// Gets or sets when the account expires, in UTC, or null for an account without an expiry date.
+    /// </summary>
+    public DateTime? ExpiresAt { get; set; }
+
+    /// <summary>
+    /// Gets or sets the whole days left until the account expires; negative once it has.
+    /// </summary>
+    public int? DaysUntilExpiry { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the account expires within the configured warning days.
+    /// </summary>
+    public bool ExpiresSoon { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of streams open on the account.
+    /// </summary>
+    public int ActiveConnections { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of streams the account may open at once.
+    /// </summary>
+    public int MaxConnections { get; set; }
+
+    /// <summary>
+    /// Gets or sets the stream formats the account may use, such as "ts" and "m3u8".
+    /// </summary>
+    public List<string> AllowedOutputFormats { get; set; } = new();
+}
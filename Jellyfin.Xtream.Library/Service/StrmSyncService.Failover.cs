@@ -0,0 +1,54 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace Jellyfin.Xtream.Library.Service;
+
+/// <summary>
+/// Backup base URLs: before a provider syncs, its hosts are tried in order and the first that
+/// accepts the login carries the sync.
+/// </summary>
+public partial class StrmSyncService
+{
+    /// <summary>
+    /// Picks the host a provider's sync uses and records it in <see cref="ProviderHosts"/>.
+    /// A provider without backups is not probed; the sync itself finds out whether BaseUrl answers.
+    /// </summary>
+    /// <param name="provider">The provider.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The first host that accepts the login, or BaseUrl when none does, so the sync fails the way it would have without backups.</returns>
+    internal Task<string> SelectBaseUrlAsync(ProviderConfig provider, CancellationToken cancellationToken)
+        => ProviderHosts.SelectAsync(_client, provider, _logger, cancellationToken);
+}
+
+/// <summary>
+/// The host one provider was synced from.
+/// </summary>
+public class SyncHostUsage
+{
+    /// <summary>
+    /// Gets or sets the provider index.
+    /// </summary>
+    public int ProviderIndex { get; set; }
+
+    /// <summary>
+    /// Gets or sets the provider name.
+    /// </summary>
+    public string ProviderName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the base URL the sync used.
+    /// </summary>
+    public string BaseUrl { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the base URL is one of the provider's backups.
+    /// </summary>
+    public bool IsBackup { get; set; }
+}
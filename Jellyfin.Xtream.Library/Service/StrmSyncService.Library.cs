@@ -0,0 +1,512 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Text.RegularExpressions;
+using Microsoft.Extensions.Logging;
+using Newtonsoft.Json;
+
+namespace Jellyfin.Xtream.Library.Service;
+
+/// <summary>
+/// Library browser half of <see cref="StrmSyncService"/>. The listing comes from the library
+/// index the sync records per item folder as it goes, so paging does not walk the library on disk;
+/// the titles and IDs are read back from the folder names, and the category and last sync time,
+/// which a folder name cannot carry, from the index entries.
+/// </summary>
+public partial class StrmSyncService
+{
+    /// <summary>
+    /// The largest page <see cref="BrowseLibrary"/> returns.
+    /// </summary>
+    internal const int MaxLibraryPageSize = 200;
+
+    private readonly ConcurrentDictionary<string, LibraryIndexEntry> _libraryIndex = new(StringComparer.OrdinalIgnoreCase);
+    private readonly object _libraryIndexLock = new();
+    private bool _libraryIndexLoaded;
+
+    private string LibraryIndexPath => Path.Combine(_appPaths.DataPath, "xtream-library", "library_index.json");
+
+    /// <summary>
+    /// Lists the synced movies and series, one page at a time.
+    /// </summary>
+    /// <param name="query">Which provider, type and folder to list, the search text and the page.</param>
+    /// <returns>The page, with the folders present across all pages for filtering.</returns>
+    public LibraryBrowsePage BrowseLibrary(LibraryBrowseQuery query)
+    {
+        var config = Plugin.Instance.Configuration;
+        EnsureLibraryIndexLoaded();
+        var items = new List<LibraryItem>();
+        for (int i = 0; i < config.Providers.Count; i++)
+        {
+            var provider = config.Providers[i];
+            if ((query.ProviderIndex.HasValue && query.ProviderIndex.Value != i) || string.IsNullOrEmpty(provider.LibraryPath))
+            {
+                continue;
+            }
+
+            var moviesPath = Path.Combine(provider.LibraryPath, "Movies");
+            var seriesPath = Path.Combine(provider.LibraryPath, "Series");
+            foreach (var (path, entry) in _libraryIndex)
+            {
+                if (query.ItemType != null && query.ItemType != entry.ItemType)
+                {
+                    continue;
+                }
+
+                var folder = LibraryFolderOf(entry.ItemType == "Movie" ? moviesPath : seriesPath, path);
+                if (folder != null)
+                {
+                    items.Add(ToLibraryItem(i, provider.Name, path, folder, entry));
+                }
+            }
+        }
+
+        var page = new LibraryBrowsePage
+        {
+            Folders = items.Select(i => i.Folder).Distinct(StringComparer.OrdinalIgnoreCase).OrderBy(f => f, StringComparer.OrdinalIgnoreCase).ToList(),
+        };
+
+        IEnumerable<LibraryItem> matching = items;
+        if (query.Folder != null)
+        {
+            matching = matching.Where(i => string.Equals(i.Folder, query.Folder, StringComparison.OrdinalIgnoreCase));
+        }
+
+        if (query.UnmatchedOnly)
+        {
+            matching = matching.Where(i => !i.TmdbId.HasValue && !i.TvdbId.HasValue);
+        }
+
+        if (!string.IsNullOrWhiteSpace(query.Search))
+        {
+            var term = query.Search.Trim();
+            matching = matching.Where(i => i.Title.Contains(term, StringComparison.OrdinalIgnoreCase));
+        }
+
+        var ordered = matching
+            .OrderBy(i => i.Title, StringComparer.OrdinalIgnoreCase)
+            .ThenBy(i => i.Folder, StringComparer.OrdinalIgnoreCase)
+            .ThenBy(i => i.ProviderIndex)
+            .ToList();
+
+        page.TotalRecordCount = ordered.Count;
+        page.StartIndex = Math.Max(query.StartIndex, 0);
+        page.Items = ordered.Skip(page.StartIndex).Take(Math.Clamp(query.Limit, 1, MaxLibraryPageSize)).ToList();
+
+        // Only the page on screen is worth the file system calls. A folder removed or unreadable
+        // since the last sync shows without an NFO rather than failing the whole page.
+        foreach (var item in page.Items)
+        {
+            try
+            {
+                item.HasNfo = item.ItemType == "Series"
+                    ? File.Exists(Path.Combine(item.Path, "tvshow.nfo"))
+                    : Directory.EnumerateFiles(item.Path, "*.nfo").Any();
+            }
+            catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+            {
+                _logger.LogDebug(ex, "Could not check for an NFO in {Path}", item.Path);
+            }
+        }
+
+        return page;
+    }
+
+    /// <summary>
+    /// Counts the movies and series the sync has put in each target folder of a library, from the
+    /// library index rather than the disk, so the folder builder can show it on every redraw.
+    /// </summary>
+    /// <param name="libraryPath">The provider's library path.</param>
+    /// <returns>Item counts by target folder, empty for the content root.</returns>
+    public LibraryFolderCounts CountLibraryFolderItems(string libraryPath)
+    {
+        EnsureLibraryIndexLoaded();
+        var counts = new LibraryFolderCounts();
+        foreach (var (path, entry) in _libraryIndex)
+        {
+            var isMovie = entry.ItemType == "Movie";
+            var folder = LibraryFolderOf(Path.Combine(libraryPath, isMovie ? "Movies" : "Series"), path);
+            if (folder == null)
+            {
+                continue;
+            }
+
+            var byFolder = isMovie ? counts.Movies : counts.Series;
+            byFolder[folder] = byFolder.GetValueOrDefault(folder) + 1;
+        }
+
+        return counts;
+    }
+
+    /// <summary>
+    /// The target folder of an item folder under a content path.
+    /// </summary>
+    /// <param name="contentPath">The Movies or Series path of a library.</param>
+    /// <param name="itemPath">The movie or series folder.</param>
+    /// <returns>The target folder, empty for the content root, or null if the item is not under the content path.</returns>
+    internal static string? LibraryFolderOf(string contentPath, string itemPath)
+    {
+        // With the separator, so /config/xtream-library-1 does not claim /config/xtream-library-10.
+        var prefix = Path.TrimEndingDirectorySeparator(contentPath) + Path.DirectorySeparatorChar;
+        if (!itemPath.StartsWith(prefix, StringComparison.OrdinalIgnoreCase))
+        {
+            return null;
+        }
+
+        var parts = itemPath[prefix.Length..].Split(Path.DirectorySeparatorChar, StringSplitOptions.RemoveEmptyEntries);
+        return parts.Length switch
+        {
+            1 => string.Empty,
+            2 => parts[0],
+            _ => null,
+        };
+    }
+
+    /// <summary>
+    /// Splits an item folder name into its title and the IDs Jellyfin matches it by.
+    /// </summary>
+    /// <param name="folderName">A folder name such as "Heat (1995) [tmdbid-949]".</param>
+    /// <returns>The title without ID tags, and the TMDb and TVDb IDs if tagged.</returns>
+    internal static (string Title, int? TmdbId, int? TvdbId) ParseItemFolderName(string folderName)
+    {
+        int? tmdbId = null;
+        int? tvdbId = null;
+        foreach (Match match in ProviderIdTagPattern().Matches(folderName))
+        {
+            int id = int.Parse(match.Groups[2].Value, System.Globalization.CultureInfo.InvariantCulture);
+            if (string.Equals(match.Groups[1].Value, "tmdbid", StringComparison.OrdinalIgnoreCase))
+            {
+                tmdbId = id;
+            }
+            else
+            {
+                tvdbId = id;
+            }
+        }
+
+        return (ProviderIdTagPattern().Replace(folderName, string.Empty).Trim(), tmdbId, tvdbId);
+    }
+
+    /// <summary>
+    /// The names of the categories that put an item into a target folder: those mapped to the
+    /// folder, or all of the item's categories for the content root.
+    /// </summary>
+    /// <param name="categoryIds">The categories the provider lists the item in.</param>
+    /// <param name="targetFolder">The target folder, empty for the content root.</param>
+    /// <param name="folderMappings">Category ID to folder names, as used by the sync.</param>
+    /// <param name="categoryNames">Category ID to name.</param>
+    /// <returns>The category names, in ID order.</returns>
+    internal static List<string> SourceCategoryNames(
+        IEnumerable<int> categoryIds,
+        string targetFolder,
+        Dictionary<int, List<string>> folderMappings,
+        IReadOnlyDictionary<int, string> categoryNames)
+        => categoryIds
+            .Where(id => string.IsNullOrEmpty(targetFolder)
+                || (folderMappings.TryGetValue(id, out var folders) && folders.Contains(targetFolder, StringComparer.OrdinalIgnoreCase)))
+            .OrderBy(id => id)
+            .Select(id => categoryNames.TryGetValue(id, out var name) ? name : id.ToString(System.Globalization.CultureInfo.InvariantCulture))
+            .ToList();
+
+    private static Dictionary<int, string> CategoryNamesById(IEnumerable<Client.Models.Category> categories)
+    {
+        var names = new Dictionary<int, string>();
+        foreach (var category in categories)
+        {
+            names.TryAdd(category.CategoryId, category.CategoryName);
+        }
+
+        return names;
+    }
+
+    /// <summary>
+    /// Notes that the sync has just processed an item folder. Thread-safe; the index reaches disk
+    /// in <see cref="SaveLibraryIndex"/> at the end of the provider's sync.
+    /// </summary>
+    /// <param name="itemFolder">The movie or series folder.</param>
+    /// <param name="itemType">"Movie" or "Series".</param>
+    /// <param name="itemId">The provider's stream or series ID.</param>
+    /// <param name="categories">The categories that put the item in this folder.</param>
+    private void RecordLibraryItem(string itemFolder, string itemType, int itemId, List<string> categories)
+    {
+        _libraryIndex[itemFolder] = new LibraryIndexEntry
+        {
+            ItemType = itemType,
+            ItemId = itemId,
+            Categories = categories,
+            LastSynced = DateTime.UtcNow,
+        };
+    }
+
+    /// <summary>
+    /// Drops the entries of folders under the library path that no longer exist, and persists the index.
+    /// </summary>
+    /// <param name="libraryPath">The library path of the provider that has just synced.</param>
+    private void SaveLibraryIndex(string libraryPath)
+    {
+        lock (_libraryIndexLock)
+        {
+            EnsureLibraryIndexLoaded();
+            foreach (var path in _libraryIndex.Keys)
+            {
+                if (path.StartsWith(libraryPath, StringComparison.OrdinalIgnoreCase) && !Directory.Exists(path))
+                {
+                    _libraryIndex.TryRemove(path, out _);
+                }
+            }
+
+            try
+            {
+                var path = LibraryIndexPath;
+                Directory.CreateDirectory(Path.GetDirectoryName(path)!);
+
+                // Not indented: one entry per movie and series in every library.
+                File.WriteAllText(path, JsonConvert.SerializeObject(_libraryIndex));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Failed to persist library index to disk");
+            }
+        }
+    }
+
+    private void EnsureLibraryIndexLoaded()
+    {
+        lock (_libraryIndexLock)
+        {
+            if (_libraryIndexLoaded)
+            {
+                return;
+            }
+
+            _libraryIndexLoaded = true;
+
+            try
+            {
+                var path = LibraryIndexPath;
+                if (!File.Exists(path))
+                {
+                    return;
+                }
+
+                var entries = JsonConvert.DeserializeObject<Dictionary<string, LibraryIndexEntry>>(File.ReadAllText(path));
+                foreach (var (folder, entry) in entries ?? new Dictionary<string, LibraryIndexEntry>())
+                {
+                    // A sync that ran before the first load has the newer entry.
+                    _libraryIndex.TryAdd(folder, entry);
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Failed to load library index from disk");
+            }
+        }
+    }
+
+    private static LibraryItem ToLibraryItem(int providerIndex, string providerName, string path, string folder, LibraryIndexEntry entry)
+    {
+        var (title, tmdbId, tvdbId) = ParseItemFolderName(Path.GetFileName(path));
+        return new LibraryItem
+        {
+            ProviderIndex = providerIndex,
+            ProviderName = providerName,
+            ItemType = entry.ItemType,
+            Folder = folder,
+            Title = title,
+            TmdbId = tmdbId,
+            TvdbId = tvdbId,
+            Path = path,
+            ItemId = entry.ItemId,
+            Categories = entry.Categories,
+            LastSynced = entry.LastSynced,
+        };
+    }
+
+    [GeneratedRegex(@"\s*\[(tmdbid|tvdbid)-(\d+)\]", RegexOptions.IgnoreCase)]
+    private static partial Regex ProviderIdTagPattern();
+}
+
+/// <summary>
+/// What the sync knows about an item folder that its name does not say.
+/// </summary>
+public class LibraryIndexEntry
+{
+    /// <summary>
+    /// Gets or sets the content type, "Movie" or "Series".
+    /// </summary>
+    public string ItemType { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the provider's stream ID (movies) or series ID.
+    /// </summary>
+    public int ItemId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the provider categories that put the item in this folder.
+    /// </summary>
+    public List<string> Categories { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets when a sync last processed the item. Incremental syncs skip unchanged items,
+    /// so this is when the item last changed or was last checked by a full sync.
+    /// </summary>
+    public DateTime LastSynced { get; set; }
+}
+
+/// <summary>
+/// Filter and page for <see cref="StrmSyncService.BrowseLibrary"/>.
+/// </summary>
+public class LibraryBrowseQuery
+{
+    /// <summary>
+    /// Gets or sets the provider to list; null lists all.
+    /// </summary>
+    public int? ProviderIndex { get; set; }
+
+    /// <summary>
+    /// Gets or sets "Movie" or "Series"; null lists both.
+    /// </summary>
+    public string? ItemType { get; set; }
+
+    /// <summary>
+    /// Gets or sets the target folder to list, empty for the content root; null lists all.
+    /// </summary>
+    public string? Folder { get; set; }
+
+    /// <summary>
+    /// Gets or sets text to find in the title.
+    /// </summary>
+    public string? Search { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether to list only folders without a TMDb or TVDb ID tag.
+    /// </summary>
+    public bool UnmatchedOnly { get; set; }
+
+    /// <summary>
+    /// Gets or sets the index of the first item to return.
+    /// </summary>
+    public int StartIndex { get; set; }
+
+    /// <summary>
+    /// Gets or sets the page size.
+    /// </summary>
+    public int Limit { get; set; } = 50;
+}
+
+/// <summary>
+/// One page of the library browser.
+/// </summary>
+public class LibraryBrowsePage
+{
+    /// <summary>
+    /// Gets or sets the items on this page, by title.
+    /// </summary>
+    public List<LibraryItem> Items { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the number of items matching the filters, across all pages.
+    /// </summary>
+    public int TotalRecordCount { get; set; }
+
+    /// <summary>
+    /// Gets or sets the index of the first item on this page.
+    /// </summary>
+    public int StartIndex { get; set; }
+
+    /// <summary>
+    /// Gets or sets the target folders of the listed provider and type, empty for the content root.
+    /// </summary>
+    public List<string> Folders { get; set; } = new();
+}
+
+/// <summary>
+/// How many items the sync has put in each target folder of a library.
+/// </summary>
+public class LibraryFolderCounts
+{
+    /// <summary>
+    /// Gets or sets the movie counts by target folder, empty for the content root.
+    /// </summary>
+    public Dictionary<string, int> Movies { get; set; } = new(StringComparer.OrdinalIgnoreCase);
+
+    /// <summary>
+    /// Gets or sets the series counts by target folder, empty for the content root.
+    /// </summary>
+    public Dictionary<string, int> Series { get; set; } = new(StringComparer.OrdinalIgnoreCase);
+}
+
+/// <summary>
+/// A synced movie or series folder.
+/// </summary>
+public class LibraryItem
+{
+    /// <summary>
+    /// Gets or sets the index of the provider whose library holds the item.
+    /// </summary>
+    public int ProviderIndex { get; set; }
+
+    /// <summary>
+    /// Gets or sets the provider's name.
+    /// </summary>
+    public string ProviderName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the content type, "Movie" or "Series".
+    /// </summary>
+    public string ItemType { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the target folder, empty for the content root.
+    /// </summary>
+    public string Folder { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the folder name without its ID tags.
+    /// </summary>
+    public string Title { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the TMDb ID in the folder name, if matched.
+    /// </summary>
+    public int? TmdbId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the TVDb ID in the folder name, if matched.
+    /// </summary>
+    public int? TvdbId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the full path of the item folder.
+    /// </summary>
+    public string Path { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the folder has an NFO (tvshow.nfo for series).
+    /// </summary>
+    public bool HasNfo { get; set; }
+
+    /// <summary>
+    /// Gets or sets the provider's stream or series ID, if the sync has recorded it.
+    /// </summary>
+    public int? ItemId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the provider categories that put the item here, if the sync has recorded them.
+    /// </summary>
+    public List<string> Categories { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets when a sync last processed the item, if recorded.
+    /// </summary>
+    public DateTime? LastSynced { get; set; }
+}
@@ -0,0 +1,197 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Xtream.Library.Service;
+
+/// <summary>
+/// Manual metadata match half of <see cref="StrmSyncService"/>. A pick is stored as a folder ID
+/// override, which the sync honours for new folders; a movie folder that already exists keeps its
+/// name on later syncs, so applying the match renames the unmatched folders here.
+/// </summary>
+public partial class StrmSyncService
+{
+    /// <summary>
+    /// Splits an item title such as "Heat (1995)" into the name a metadata search takes and the year.
+    /// </summary>
+    /// <param name="title">The folder name without ID tags.</param>
+    /// <returns>The name without the year suffix, and the year if there is one.</returns>
+    internal static (string Name, int? Year) SplitItemTitle(string title)
+    {
+        var match = YearPattern().Match(title);
+        if (!match.Success || match.Index == 0)
+        {
+            return (title.Trim(), null);
+        }
+
+        return (title[..match.Index].Trim(), int.Parse(match.Groups[1].Value, System.Globalization.CultureInfo.InvariantCulture));
+    }
+
+    /// <summary>
+    /// Sets the ID of one folder in a folder ID override list, replacing its line if it has one and
+    /// leaving every other line as written.
+    /// </summary>
+    /// <param name="config">The override list, one "FolderName=ID" per line.</param>
+    /// <param name="folderName">The folder name without ID tags, as the sync keys overrides.</param>
+    /// <param name="id">The TMDb or TVDb ID.</param>
+    /// <returns>The updated list.</returns>
+    internal static string UpsertFolderIdOverride(string? config, string folderName, int id)
+    {
+        string entry = $"{folderName}={id.ToString(System.Globalization.CultureInfo.InvariantCulture)}";
+        var lines = string.IsNullOrWhiteSpace(config)
+            ? new List<string>()
+            : config.Replace("\r\n", "\n", StringComparison.Ordinal).Split('\n').ToList();
+
+        int index = lines.FindIndex(line =>
+        {
+            int equalsIndex = line.IndexOf('=', StringComparison.Ordinal);
+            return equalsIndex > 0 && string.Equals(line[..equalsIndex].Trim(), folderName, StringComparison.OrdinalIgnoreCase);
+        });
+
+        if (index >= 0)
+        {
+            lines[index] = entry;
+        }
+        else
+        {
+            // Append after the last written line, not after trailing blank ones.
+            while (lines.Count > 0 && string.IsNullOrWhiteSpace(lines[^1]))
+            {
+                lines.RemoveAt(lines.Count - 1);
+            }
+
+            lines.Add(entry);
+        }
+
+        return string.Join('\n', lines);
+    }
+
+    /// <summary>
+    /// Applies a provider's folder ID override to its unmatched folders of that title, in the content
+    /// root and every target folder: each is renamed to carry the ID tag, the movie files named after
+    /// the folder follow it, and an NFO with the ID is written where there is none.
+    /// </summary>
+    /// <param name="providerIndex">The provider whose library holds the item.</param>
+    /// <param name="itemType">"Movie" or "Series".</param>
+    /// <param name="title">The folder name without ID tags, which is also the override key.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The renamed folders, and those left alone because the tagged folder already exists.</returns>
+    public async Task<MetadataMatchResult> ApplyMetadataMatchAsync(int providerIndex, string itemType, string title, CancellationToken cancellationToken)
+    {
+        var config = Plugin.Instance.Configuration;
+        var provider = config.Providers[providerIndex];
+        bool isMovie = itemType == "Movie";
+        var overrides = ParseFolderIdOverrides(isMovie ? provider.TmdbFolderIdOverrides : provider.TvdbFolderIdOverrides);
+        if (!overrides.TryGetValue(title, out int id))
+        {
+            throw new InvalidOperationException($"No {(isMovie ? "TMDb" : "TVDb")} override for '{title}'.");
+        }
+
+        string newName = isMovie ? $"{title} [tmdbid-{id}]" : $"{title} [tvdbid-{id}]";
+        var (name, year) = SplitItemTitle(title);
+        var result = new MetadataMatchResult();
+
+        string contentPath = Path.Combine(provider.LibraryPath, isMovie ? "Movies" : "Series");
+        if (!Directory.Exists(contentPath))
+        {
+            return result;
+        }
+
+        var parents = new List<string> { contentPath };
+        parents.AddRange(Directory.EnumerateDirectories(contentPath).Where(d => !IsItemFolder(d, itemType)));
+
+        EnsureLibraryIndexLoaded();
+        foreach (var parent in parents)
+        {
+            cancellationToken.ThrowIfCancellationRequested();
+
+            // Only the untagged folder: a tagged one is matched already and is not this view's to move.
+            string oldPath = Path.Combine(parent, title);
+            string newPath = Path.Combine(parent, newName);
+            if (!Directory.Exists(oldPath))
+            {
+                continue;
+            }
+
+            if (Directory.Exists(newPath))
+            {
+                _logger.LogWarning("Not renaming {OldPath}: {NewPath} already exists", oldPath, newPath);
+                result.Skipped.Add(oldPath);
+                continue;
+            }
+
+            Directory.Move(oldPath, newPath);
+            if (isMovie)
+            {
+                foreach (var file in Directory.GetFiles(newPath))
+                {
+                    string fileName = Path.GetFileName(file);
+                    if (fileName.StartsWith(title, StringComparison.Ordinal))
+                    {
+                        File.Move(file, Path.Combine(newPath, newName + fileName[title.Length..]));
+                    }
+                }
+
+                string nfoPath = Path.Combine(newPath, $"{newName}.nfo");
+                if (!File.Exists(nfoPath))
+                {
+                    await NfoWriter.WriteMovieNfoAsync(nfoPath, name, null, null, null, id, year, cancellationToken).ConfigureAwait(false);
+                }
+            }
+            else
+            {
+                string nfoPath = Path.Combine(newPath, "tvshow.nfo");
+                if (!File.Exists(nfoPath))
+                {
+                    await NfoWriter.WriteShowNfoAsync(nfoPath, name, null, id, cancellationToken).ConfigureAwait(false);
+                }
+            }
+
+            if (_libraryIndex.TryRemove(oldPath, out var entry))
+            {
+                _libraryIndex[newPath] = entry;
+            }
+
+            result.Folders.Add(newPath);
+            _logger.LogInformation("Applied metadata match: {OldPath} -> {NewName}", oldPath, newName);
+        }
+
+        if (result.Folders.Count > 0)
+        {
+            SaveLibraryIndex(provider.LibraryPath);
+            if (config.TriggerLibraryScan)
+            {
+                _libraryManager.QueueLibraryScan();
+            }
+        }
+
+        return result;
+    }
+}
+
+/// <summary>
+/// Outcome of <see cref="StrmSyncService.ApplyMetadataMatchAsync"/>.
+/// </summary>
+public class MetadataMatchResult
+{
+    /// <summary>
+    /// Gets or sets the item folders renamed to carry the ID, by their new path.
+    /// </summary>
+    public List<string> Folders { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the unmatched folders left alone because a folder with the tagged name already exists.
+    /// </summary>
+    public List<string> Skipped { get; set; } = new();
+}
@@ -0,0 +1,312 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using Microsoft.Extensions.Logging;
+using Newtonsoft.Json;
+
+namespace Jellyfin.Xtream.Library.Service;
+
+/// <summary>
+/// Orphan review half of <see cref="StrmSyncService"/>. When the safety threshold or an empty
+/// category selection blocks cleanup, the files the sync refused to delete are kept here so they
+/// can be reviewed one by one and deleted or kept, without raising the threshold for every later run.
+/// </summary>
+public partial class StrmSyncService
+{
+    private readonly List<BlockedOrphan> _blockedOrphans = new();
+    private readonly object _blockedOrphansLock = new();
+    private bool _blockedOrphansLoaded;
+
+    private string BlockedOrphansPath => Path.Combine(_appPaths.DataPath, "xtream-library", "blocked_orphans.json");
+
+    /// <summary>
+    /// Gets the orphaned files whose deletion was blocked by the most recent sync of each provider,
+    /// and that have not been reviewed since.
+    /// </summary>
+    public IReadOnlyList<BlockedOrphan> BlockedOrphans
+    {
+        get
+        {
+            lock (_blockedOrphansLock)
+            {
+                EnsureBlockedOrphansLoaded();
+                return _blockedOrphans.ToList();
+            }
+        }
+    }
+
+    /// <summary>
+    /// Narrows the blocked orphans to a type and a case-insensitive search of
+    /// <see cref="BlockedOrphan.Name"/>, the file's path below the Movies or Series folder as the
+    /// review page shows it. The library root is left out, since every file shares it.
+    /// </summary>
+    /// <param name="orphans">The blocked orphans.</param>
+    /// <param name="search">Text to find in the name; null or blank matches everything.</param>
+    /// <param name="itemType">"Movie" or "Episode"; null or blank matches both.</param>
+    /// <returns>The matching orphans, in the order given.</returns>
+    internal static IEnumerable<BlockedOrphan> FilterBlockedOrphans(IEnumerable<BlockedOrphan> orphans, string? search, string? itemType)
+    {
+        var query = orphans;
+        if (!string.IsNullOrWhiteSpace(itemType))
+        {
+            query = query.Where(o => string.Equals(o.ItemType, itemType, StringComparison.OrdinalIgnoreCase));
+        }
+
+        if (!string.IsNullOrWhiteSpace(search))
+        {
+            var term = search.Trim();
+            query = query.Where(o => o.Name.Contains(term, StringComparison.OrdinalIgnoreCase));
+        }
+
+        return query;
+    }
+
+    /// <summary>
+    /// Applies a one-off review decision. Deleted files go the way the sync would have removed them,
+    /// empty folders included; kept files stay on disk. Either way they leave the review list, until a
+    /// later sync finds them orphaned and blocked again. Paths not on the list are ignored, so this can
+    /// never delete anything the sync did not already propose.
+    /// </summary>
+    /// <param name="paths">The orphans to act on.</param>
+    /// <param name="delete">True to delete them, false to keep them.</param>
+    /// <returns>How many were deleted, kept, and could not be deleted.</returns>
+    public OrphanReviewResult ResolveBlockedOrphans(IEnumerable<string> paths, bool delete)
+    {
+        var config = Plugin.Instance.Configuration;
+        var outcome = new OrphanReviewResult();
+        var scratch = new SyncResult();
+
+        lock (_blockedOrphansLock)
+        {
+            EnsureBlockedOrphansLoaded();
+            var requested = new HashSet<string>(paths, StringComparer.Ordinal);
+            var selected = _blockedOrphans.Where(o => requested.Contains(o.Path)).ToList();
+            var resolved = new HashSet<BlockedOrphan>();
+
+            foreach (var orphan in selected)
+            {
+                if (!delete)
+                {
+                    outcome.Kept++;
+                    resolved.Add(orphan);
+                    continue;
+                }
+
+                var libraryPath = LibraryPathOf(orphan);
+                if (libraryPath == null)
+                {
+                    outcome.Failed++;
+                    continue;
+                }
+
+                try
+                {
+                    if (File.Exists(orphan.Path))
+                    {
+                        File.Delete(orphan.Path);
+                        CleanupEmptyDirectories(Path.GetDirectoryName(orphan.Path)!, libraryPath, Path.Combine(libraryPath, "Series"), scratch);
+                    }
+
+                    // Gone already counts as done: there is nothing left to decide about.
+                    outcome.Deleted++;
+                    resolved.Add(orphan);
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogWarning(ex, "Failed to delete reviewed orphan: {FilePath}", orphan.Path);
+                    outcome.Failed++;
+                }
+            }
+
+            if (resolved.Count > 0)
+            {
+                _blockedOrphans.RemoveAll(resolved.Contains);
+                PersistBlockedOrphans();
+            }
+        }
+
+        if (outcome.Deleted > 0)
+        {
+            _logger.LogInformation("Orphan review deleted {Count} files that cleanup had blocked", outcome.Deleted);
+            if (config.TriggerLibraryScan)
+            {
+                _libraryManager.QueueLibraryScan();
+            }
+        }
+
+        return outcome;
+    }
+
+    /// <summary>
+    /// Replaces a provider's blocked orphans with the ones its latest sync blocked, none included:
+    /// a run that cleaned up normally leaves nothing of that provider to review.
+    /// </summary>
+    /// <param name="providerIndex">The provider's index in the configuration.</param>
+    /// <param name="libraryPath">The provider's library path.</param>
+    /// <param name="orphans">The orphans this run refused to delete.</param>
+    private void RecordBlockedOrphans(int providerIndex, string libraryPath, IReadOnlyCollection<BlockedOrphan> orphans)
+    {
+        lock (_blockedOrphansLock)
+        {
+            EnsureBlockedOrphansLoaded();
+
+            // By library path, which survives a provider being removed or moved; the index only
+            // for entries recorded before the path was stored.
+            int removed = _blockedOrphans.RemoveAll(o => string.IsNullOrEmpty(o.LibraryPath)
+                ? o.ProviderIndex == providerIndex
+                : string.Equals(o.LibraryPath, libraryPath, StringComparison.Ordinal));
+            _blockedOrphans.AddRange(orphans);
+            if (removed > 0 || orphans.Count > 0)
+            {
+                PersistBlockedOrphans();
+            }
+        }
+    }
+
+    private static BlockedOrphan ToBlockedOrphan(int providerIndex, string libraryPath, string path, string moviesPath, string seriesPath)
+    {
+        bool isMovie = path.StartsWith(moviesPath, StringComparison.OrdinalIgnoreCase);
+        return new BlockedOrphan
+        {
+            ProviderIndex = providerIndex,
+            LibraryPath = libraryPath,
+            ItemType = isMovie ? "Movie" : "Episode",
+            Path = path,
+            Name = Path.GetRelativePath(isMovie ? moviesPath : seriesPath, path),
+        };
+    }
+
+    /// <summary>
+    /// Finds the library root an orphan's empty folders are cleaned up to. Entries recorded before
+    /// the library path was stored work it out from their own path: the name is relative to the
+    /// Movies or Series folder, and the library is the folder above that.
+    /// </summary>
+    /// <param name="orphan">The blocked orphan.</param>
+    /// <returns>The library path, or null if the entry's path does not end in its name.</returns>
+    internal static string? LibraryPathOf(BlockedOrphan orphan)
+    {
+        if (!string.IsNullOrEmpty(orphan.LibraryPath))
+        {
+            return orphan.LibraryPath;
+        }
+
+        if (string.IsNullOrEmpty(orphan.Name)
+            || orphan.Name.Length >= orphan.Path.Length
+            || !orphan.Path.EndsWith(Path.DirectorySeparatorChar + orphan.Name, StringComparison.Ordinal))
+        {
+            return null;
+        }
+
+        var contentPath = orphan.Path.Substring(0, orphan.Path.Length - orphan.Name.Length - 1);
+        return Path.GetDirectoryName(contentPath);
+    }
+
+    private void EnsureBlockedOrphansLoaded()
+    {
+        if (_blockedOrphansLoaded)
+        {
+            return;
+        }
+
+        _blockedOrphansLoaded = true;
+
+        try
+        {
+            var path = BlockedOrphansPath;
+            if (!File.Exists(path))
+            {
+                return;
+            }
+
+            var entries = JsonConvert.DeserializeObject<List<BlockedOrphan>>(File.ReadAllText(path));
+            if (entries != null)
+            {
+                _blockedOrphans.AddRange(entries);
+            }
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to load blocked orphans from disk");
+        }
+    }
+
+    /// <summary>
+    /// Persists the blocked orphans to disk. Must be called within _blockedOrphansLock.
+    /// </summary>
+    private void PersistBlockedOrphans()
+    {
+        try
+        {
+            var path = BlockedOrphansPath;
+            Directory.CreateDirectory(Path.GetDirectoryName(path)!);
+
+            // Not indented: after a base URL change this can hold the whole library.
+            File.WriteAllText(path, JsonConvert.SerializeObject(_blockedOrphans));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to persist blocked orphans to disk");
+        }
+    }
+}
+
+/// <summary>
+/// A STRM file that a sync found orphaned but did not delete, because cleanup was blocked.
+/// </summary>
+public class BlockedOrphan
+{
+    /// <summary>
+    /// Gets or sets the index of the provider whose library holds the file.
+    /// </summary>
+    public int ProviderIndex { get; set; }
+
+    /// <summary>
+    /// Gets or sets the library path of that provider when the file was recorded. Unlike the
+    /// index, it still points at the right folder after providers are removed or reordered.
+    /// </summary>
+    public string LibraryPath { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the content type, "Movie" or "Episode".
+    /// </summary>
+    public string ItemType { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the full path of the STRM file. Also the key a review decision refers to.
+    /// </summary>
+    public string Path { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the path relative to the Movies or Series folder, for display and search.
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// The outcome of an orphan review decision.
+/// </summary>
+public class OrphanReviewResult
+{
+    /// <summary>
+    /// Gets or sets the number of files deleted.
+    /// </summary>
+    public int Deleted { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of files kept.
+    /// </summary>
+    public int Kept { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of files that could not be deleted and stay on the list.
+    /// </summary>
+    public int Failed { get; set; }
+}
@@ -0,0 +1,676 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Jellyfin.Xtream.Library.Client;
+using Jellyfin.Xtream.Library.Client.Models;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Xtream.Library.Service;
+
+/// <summary>
+/// Dry-run half of <see cref="StrmSyncService"/>. Fetches what each enabled provider offers and
+/// compares it with the STRM files on disk, the way a full sync would, but writes and deletes
+/// nothing. Incremental and smart-skip shortcuts are deliberately not taken: they exist to avoid
+/// API calls, and a preview that trusted them could not see what they would miss either.
+/// </summary>
+public partial class StrmSyncService
+{
+    /// <summary>
+    /// Number of error messages kept per provider in a preview. The count is always complete.
+    /// </summary>
+    internal const int MaxPreviewErrors = 20;
+
+    /// <summary>
+    /// Gets a value indicating whether a sync preview is being computed.
+    /// </summary>
+    public bool IsPreviewRunning => Volatile.Read(ref _runGate) == RunPreview;
+
+    /// <summary>
+    /// Plans a sync for every enabled provider without touching the library.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The planned changes, or null if a sync, a retry or another preview is running.</returns>
+    public async Task<SyncPreview?> PreviewSyncAsync(CancellationToken cancellationToken)
+    {
+        if (!TryEnterRun(RunPreview))
+        {
+            return null;
+        }
+
+        try
+        {
+            var config = Plugin.Instance.Configuration;
+            var preview = new SyncPreview { GeneratedAt = DateTime.UtcNow };
+
+            var enabledProviders = config.Providers
+                .Select((p, i) => (providerIndex: i, provider: p))
+                .Where(x => x.provider.IsEnabled && !string.IsNullOrEmpty(x.provider.BaseUrl) && !string.IsNullOrEmpty(x.provider.Username))
+                .ToList();
+
+            foreach (var (providerIndex, provider) in enabledProviders)
+            {
+                cancellationToken.ThrowIfCancellationRequested();
+                _logger.LogInformation("Previewing sync for provider {ProviderName}", provider.Name);
+                try
+                {
+                    preview.Providers.Add(await PreviewProviderAsync(providerIndex, provider, cancellationToken).ConfigureAwait(false));
+                }
+                catch (Exception ex) when (ex is not OperationCanceledException)
+                {
+                    // Without the category list there is nothing to plan, and a plan built from
+                    // nothing would show the whole library as deletions.
+                    _logger.LogWarning(ex, "Sync preview failed for provider {ProviderName}", provider.Name);
+                    var failed = new ProviderSyncPreview { ProviderIndex = providerIndex, ProviderName = provider.Name, Failed = true };
+                    failed.AddError(ex.Message);
+                    preview.Providers.Add(failed);
+                }
+            }
+
+            return preview;
+        }
+        finally
+        {
+            ExitRun();
+        }
+    }
+
+    private async Task<ProviderSyncPreview> PreviewProviderAsync(
+        int providerIndex,
+        ProviderConfig provider,
+        CancellationToken cancellationToken)
+    {
+        var preview = new ProviderSyncPreview
+        {
+            ProviderIndex = providerIndex,
+            ProviderName = provider.Name,
+            CleanupOrphans = provider.CleanupOrphans,
+            OrphanSafetyThreshold = provider.OrphanSafetyThreshold,
+        };
+
+        _client.RequestDelayMs = provider.RequestDelayMs;
+        _client.MaxRetries = provider.MaxRetries;
+        _client.RetryDelayMs = provider.RetryDelayMs;
+        _client.Timeout = TimeSpan.FromSeconds(provider.TimeoutSeconds);
+
+        string moviesPath = Path.Combine(provider.LibraryPath, "Movies");
+        string seriesPath = Path.Combine(provider.LibraryPath, "Series");
+        var plannedFiles = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+
+        var movieFolders = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+        var seriesFolders = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+
+        if (provider.SyncMovies)
+        {
+            movieFolders = await PreviewMoviesAsync(provider, moviesPath, preview, plannedFiles, cancellationToken).ConfigureAwait(false);
+        }
+
+        if (provider.SyncSeries)
+        {
+            seriesFolders = await PreviewSeriesAsync(provider, seriesPath, preview, plannedFiles, cancellationToken).ConfigureAwait(false);
+        }
+
+        if (provider.CleanupOrphans)
+        {
+            var existingMovieFiles = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+            var existingEpisodeFiles = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+            if (provider.SyncMovies)
+            {
+                CollectExistingStrmFiles(moviesPath, existingMovieFiles);
+            }
+
+            if (provider.SyncSeries)
+            {
+                CollectExistingStrmFiles(seriesPath, existingEpisodeFiles);
+            }
+
+            var movieOrphans = existingMovieFiles.Where(f => !plannedFiles.Contains(f)).ToList();
+            var episodeOrphans = existingEpisodeFiles.Where(f => !plannedFiles.Contains(f)).ToList();
+
+            foreach (var orphan in movieOrphans)
+            {
+                preview.MovieFolder(TargetFolderOf(moviesPath, orphan, movieFolders)).ToDelete++;
+            }
+
+            foreach (var orphan in episodeOrphans)
+            {
+                preview.SeriesFolder(TargetFolderOf(seriesPath, orphan, seriesFolders)).ToDelete++;
+            }
+
+            // A series goes when every one of its files does. CleanupEmptyDirectories then takes
+            // the folder with it, which is what the sync reports as a deleted series.
+            var existingBySeries = existingEpisodeFiles
+                .GroupBy(f => SeriesFolderOf(seriesPath, f, seriesFolders), StringComparer.OrdinalIgnoreCase)
+                .ToDictionary(g => g.Key, g => g.Count(), StringComparer.OrdinalIgnoreCase);
+            foreach (var group in episodeOrphans.GroupBy(f => SeriesFolderOf(seriesPath, f, seriesFolders), StringComparer.OrdinalIgnoreCase))
+            {
+                if (existingBySeries.TryGetValue(group.Key, out int total) && total == group.Count())
+                {
+                    preview.SeriesFolder(TargetFolderOf(seriesPath, group.First(), seriesFolders)).SeriesToDelete++;
+                }
+            }
+
+            preview.MovieFilesOnDisk = existingMovieFiles.Count;
+            preview.EpisodeFilesOnDisk = existingEpisodeFiles.Count;
+
+            // The same two checks the sync makes before it deletes anything.
+            preview.MovieCleanupBlockedByThreshold = ExceedsOrphanSafetyThreshold(movieOrphans.Count, existingMovieFiles.Count, provider.OrphanSafetyThreshold);
+            preview.EpisodeCleanupBlockedByThreshold = ExceedsOrphanSafetyThreshold(episodeOrphans.Count, existingEpisodeFiles.Count, provider.OrphanSafetyThreshold);
+            preview.CleanupBlockedByEmptySelection =
+                (movieOrphans.Count > 0 && ConfigSyncsNothing(
+                    provider.MovieFolderMode,
+                    provider.MovieFolderMappings,
+                    provider.MovieFolderRules,
+                    provider.SelectedVodCategoryIds,
+                    provider.MovieCategoriesMode))
+                || (episodeOrphans.Count > 0 && ConfigSyncsNothing(
+                    provider.SeriesFolderMode,
+                    provider.SeriesFolderMappings,
+                    provider.SeriesFolderRules,
+                    provider.SelectedSeriesCategoryIds,
+                    provider.SeriesCategoriesMode));
+        }
+
+        preview.MovieFolders.Sort((a, b) => string.Compare(a.Folder, b.Folder, StringComparison.OrdinalIgnoreCase));
+        preview.SeriesFolders.Sort((a, b) => string.Compare(a.Folder, b.Folder, StringComparison.OrdinalIgnoreCase));
+        return preview;
+    }
+
+    private async Task<HashSet<string>> PreviewMoviesAsync(
+        ProviderConfig provider,
+        string moviesPath,
+        ProviderSyncPreview preview,
+        HashSet<string> plannedFiles,
+        CancellationToken cancellationToken)
+    {
+        var connectionInfo = ProviderHosts.GetConnectionInfo(provider);
+        var categories = await _client.GetVodCategoryAsync(connectionInfo, cancellationToken).ConfigureAwait(false);
+
+        var folderMappings = new Dictionary<int, List<string>>();
+        if (IsMultipleFolderMode(provider.MovieFolderMode))
+        {
+            folderMappings = ParseFolderMappings(provider.MovieFolderMappings);
+            FolderNameRules.Apply(folderMappings, categories, FolderNameRules.Parse(provider.MovieFolderRules));
+        }
+
+        var selection = ResolveCategorySelection(
+            provider.MovieFolderMode,
+            folderMappings,
+            provider.SelectedVodCategoryIds,
+            provider.MovieCategoriesMode);
+        var excludedVodSet = ContentExclusionFilter.BuildSet(provider.ExcludedVodStreamIds);
+
+        var streamBag = new ConcurrentBag<(StreamInfo Stream, int CategoryId)>();
+        await Parallel.ForEachAsync(
+            categories.Where(c => selection.ShouldSync(c.CategoryId)),
+            new ParallelOptions { MaxDegreeOfParallelism = Math.Max(1, provider.SyncParallelism), CancellationToken = cancellationToken },
+            async (category, ct) =>
+            {
+                try
+                {
+                    var streams = await _client.GetVodStreamsByCategoryAsync(connectionInfo, category.CategoryId, ct).ConfigureAwait(false);
+                    foreach (var stream in streams.Where(s => !ContentExclusionFilter.IsExcluded(excludedVodSet, s.StreamId)))
+                    {
+                        streamBag.Add((stream, category.CategoryId));
+                    }
+                }
+                catch (Exception ex) when (ex is not OperationCanceledException)
+                {
+                    preview.AddError($"Movie category {category.CategoryName}: {ex.Message}");
+                }
+            }).ConfigureAwait(false);
+
+        var subfolders = folderMappings.Values.SelectMany(v => v).ToHashSet(StringComparer.OrdinalIgnoreCase);
+        var existingFolders = ScanExistingFolders(moviesPath, subfolders);
+        bool dispatcharrMode = provider.EnableDispatcharrMode && !string.IsNullOrEmpty(provider.DispatcharrApiUser);
+
+        foreach (var movie in GroupByCategories(streamBag, s => s.StreamId))
+        {
+            var stream = movie.Item;
+            string movieName = SanitizeFileName(stream.Name, provider.CustomTitleRemoveTerms);
+            int? year = ExtractYear(stream.Name);
+            string baseName = year.HasValue ? $"{movieName} ({year})" : movieName;
+            var targetFolders = TargetFoldersOf(movie.CategoryIds, folderMappings);
+
+            // Same rule as the sync: a folder found under any target is reused under all of them.
+            string? existingFolderName = targetFolders
+                .Select(t => existingFolders.TryGetValue(t, out var cache) && cache.TryGetValue(baseName, out var path) ? Path.GetFileName(path) : null)
+                .FirstOrDefault(name => name != null);
+
+            foreach (var targetFolder in targetFolders)
+            {
+                var folder = preview.MovieFolder(targetFolder);
+                if (existingFolderName == null)
+                {
+                    folder.ToAdd++;
+                    continue;
+                }
+
+                string movieFolder = Path.Combine(string.IsNullOrEmpty(targetFolder) ? moviesPath : Path.Combine(moviesPath, targetFolder), existingFolderName);
+                if (dispatcharrMode)
+                {
+                    // The version list comes from Dispatcharr, which a preview does not ask. Keep
+                    // what is there rather than report the extra versions as deletions.
+                    foreach (var strm in Directory.Exists(movieFolder) ? Directory.GetFiles(movieFolder, "*.strm") : Array.Empty<string>())
+                    {
+                        plannedFiles.Add(strm);
+                    }
+
+                    continue;
+                }
+
+                string extension = string.IsNullOrEmpty(stream.ContainerExtension) ? "mp4" : stream.ContainerExtension;
+                string streamUrl = $"{connectionInfo.BaseUrl}/movie/{connectionInfo.UserName}/{connectionInfo.Password}/{stream.StreamId}.{extension}";
+                string strmPath = Path.Combine(movieFolder, BuildMovieStrmFileName(existingFolderName, ExtractVersionLabel(stream.Name), provider.RegexRemovalPatterns));
+                plannedFiles.Add(strmPath);
+
+                if (!File.Exists(strmPath))
+                {
+                    folder.ToAdd++;
+                }
+                else if (!StrmContentMatches(strmPath, streamUrl))
+                {
+                    folder.ToUpdate++;
+                }
+            }
+        }
+
+        return subfolders;
+    }
+
+    private async Task<HashSet<string>> PreviewSeriesAsync(
+        ProviderConfig provider,
+        string seriesPath,
+        ProviderSyncPreview preview,
+        HashSet<string> plannedFiles,
+        CancellationToken cancellationToken)
+    {
+        var connectionInfo = ProviderHosts.GetConnectionInfo(provider);
+        var categories = await _client.GetSeriesCategoryAsync(connectionInfo, cancellationToken).ConfigureAwait(false);
+        var parallelOptions = new ParallelOptions { MaxDegreeOfParallelism = Math.Max(1, provider.SyncParallelism), CancellationToken = cancellationToken };
+
+        var folderMappings = new Dictionary<int, List<string>>();
+        if (IsMultipleFolderMode(provider.SeriesFolderMode))
+        {
+            folderMappings = ParseFolderMappings(provider.SeriesFolderMappings);
+            FolderNameRules.Apply(folderMappings, categories, FolderNameRules.Parse(provider.SeriesFolderRules));
+        }
+
+        var selection = ResolveCategorySelection(
+            provider.SeriesFolderMode,
+            folderMappings,
+            provider.SelectedSeriesCategoryIds,
+            provider.SeriesCategoriesMode);
+        var excludedSeriesSet = ContentExclusionFilter.BuildSet(provider.ExcludedSeriesIds);
+
+        var seriesBag = new ConcurrentBag<(Series Series, int CategoryId)>();
+        await Parallel.ForEachAsync(
+            categories.Where(c => selection.ShouldSync(c.CategoryId)),
+            parallelOptions,
+            async (category, ct) =>
+            {
+                try
+                {
+                    var seriesList = await _client.GetSeriesByCategoryAsync(connectionInfo, category.CategoryId, ct).ConfigureAwait(false);
+                    foreach (var series in seriesList.Where(s => !ContentExclusionFilter.IsExcluded(excludedSeriesSet, s.SeriesId)))
+                    {
+                        seriesBag.Add((series, category.CategoryId));
+                    }
+                }
+                catch (Exception ex) when (ex is not OperationCanceledException)
+                {
+                    preview.AddError($"Series category {category.CategoryName}: {ex.Message}");
+                }
+            }).ConfigureAwait(false);
+
+        var allSeries = GroupByCategories(seriesBag, s => s.SeriesId);
+
+        // Episodes only come per series, so this is the expensive part, as it is in a full sync.
+        var seriesInfos = new ConcurrentDictionary<int, SeriesStreamInfo>();
+        await Parallel.ForEachAsync(
+            allSeries,
+            parallelOptions,
+            async (entry, ct) =>
+            {
+                try
+                {
+                    seriesInfos[entry.Item.SeriesId] = await _client.GetSeriesStreamsBySeriesAsync(connectionInfo, entry.Item.SeriesId, ct).ConfigureAwait(false);
+                }
+                catch (Exception ex) when (ex is not OperationCanceledException)
+                {
+                    preview.AddError($"Series {entry.Item.Name}: {ex.Message}");
+                }
+            }).ConfigureAwait(false);
+
+        var subfolders = folderMappings.Values.SelectMany(v => v).ToHashSet(StringComparer.OrdinalIgnoreCase);
+        var existingFolders = ScanExistingFolders(seriesPath, subfolders);
+
+        foreach (var entry in allSeries)
+        {
+            // A series whose episodes could not be fetched plans no files, so its existing ones
+            // show up as deletions - which is what the sync would do with them too.
+            if (!seriesInfos.TryGetValue(entry.Item.SeriesId, out var seriesInfo) || seriesInfo.Episodes == null || seriesInfo.Episodes.Count == 0)
+            {
+                continue;
+            }
+
+            string seriesName = SanitizeFileName(entry.Item.Name, provider.CustomTitleRemoveTerms);
+            int? year = ExtractYear(entry.Item.Name);
+            string baseName = year.HasValue ? $"{seriesName} ({year})" : seriesName;
+            int episodeCount = seriesInfo.Episodes.Values.Sum(e => e.Count);
+
+            foreach (var targetFolder in TargetFoldersOf(entry.CategoryIds, folderMappings))
+            {
+                var folder = preview.SeriesFolder(targetFolder);
+                if (!existingFolders.TryGetValue(targetFolder, out var cache) || !cache.TryGetValue(baseName, out var seriesFolderPath))
+                {
+                    folder.SeriesToAdd++;
+                    folder.ToAdd += episodeCount;
+                    continue;
+                }
+
+                foreach (var (seasonNumber, episodes) in seriesInfo.Episodes)
+                {
+                    string seasonFolder = Path.Combine(seriesFolderPath, $"Season {seasonNumber}");
+                    foreach (var episode in episodes)
+                    {
+                        string extension = string.IsNullOrEmpty(episode.ContainerExtension) ? "mkv" : episode.ContainerExtension;
+                        string streamUrl = $"{connectionInfo.BaseUrl}/series/{connectionInfo.UserName}/{connectionInfo.Password}/{episode.EpisodeId}.{extension}";
+                        string strmPath = Path.Combine(seasonFolder, BuildEpisodeFileName(seriesName, seasonNumber, episode, provider.CustomTitleRemoveTerms, provider.RegexRemovalPatterns));
+                        plannedFiles.Add(strmPath);
+
+                        if (!File.Exists(strmPath))
+                        {
+                            folder.ToAdd++;
+                        }
+                        else if (!StrmContentMatches(strmPath, streamUrl))
+                        {
+                            folder.ToUpdate++;
+                        }
+                    }
+                }
+            }
+        }
+
+        return subfolders;
+    }
+
+    /// <summary>
+    /// Collapses per-category results into one entry per item with every category it was seen in,
+    /// in the order the items were first collected.
+    /// </summary>
+    /// <typeparam name="T">The stream or series type.</typeparam>
+    /// <param name="collected">Items paired with the category they were fetched from.</param>
+    /// <param name="idOf">The item's provider ID.</param>
+    /// <returns>One entry per distinct item.</returns>
+    private static List<(T Item, HashSet<int> CategoryIds)> GroupByCategories<T>(
+        IEnumerable<(T Item, int CategoryId)> collected,
+        Func<T, int> idOf)
+    {
+        var byId = new Dictionary<int, (T Item, HashSet<int> CategoryIds)>();
+        var ordered = new List<(T Item, HashSet<int> CategoryIds)>();
+        foreach (var (item, categoryId) in collected)
+        {
+            if (byId.TryGetValue(idOf(item), out var existing))
+            {
+                existing.CategoryIds.Add(categoryId);
+                continue;
+            }
+
+            var entry = (item, new HashSet<int> { categoryId });
+            byId[idOf(item)] = entry;
+            ordered.Add(entry);
+        }
+
+        return ordered;
+    }
+
+    private static HashSet<string> TargetFoldersOf(HashSet<int> categoryIds, Dictionary<int, List<string>> folderMappings)
+    {
+        var targetFolders = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+        foreach (var categoryId in categoryIds)
+        {
+            if (folderMappings.TryGetValue(categoryId, out var mappedFolders))
+            {
+                targetFolders.UnionWith(mappedFolders);
+            }
+        }
+
+        if (targetFolders.Count == 0)
+        {
+            targetFolders.Add(string.Empty);
+        }
+
+        return targetFolders;
+    }
+
+    /// <summary>
+    /// Lists the item folders under the content root and each configured subfolder, keyed by
+    /// target folder and then by folder name without its " [tmdbid-X]" style suffix.
+    /// </summary>
+    /// <param name="contentPath">The Movies or Series folder.</param>
+    /// <param name="subfolders">The folder names used in Multiple folder mode.</param>
+    /// <returns>Full folder paths by target folder and base name.</returns>
+    private static Dictionary<string, Dictionary<string, string>> ScanExistingFolders(string contentPath, HashSet<string> subfolders)
+    {
+        var result = new Dictionary<string, Dictionary<string, string>>(StringComparer.OrdinalIgnoreCase);
+        foreach (var target in subfolders.Prepend(string.Empty))
+        {
+            var dir = string.IsNullOrEmpty(target) ? contentPath : Path.Combine(contentPath, target);
+            if (!Directory.Exists(dir))
+            {
+                continue;
+            }
+
+            var folders = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase);
+            foreach (var folder in Directory.GetDirectories(dir))
+            {
+                var folderName = Path.GetFileName(folder);
+                var bracketIndex = folderName.LastIndexOf(" [", StringComparison.Ordinal);
+                folders.TryAdd(bracketIndex > 0 ? folderName[..bracketIndex] : folderName, folder);
+            }
+
+            result[target] = folders;
+        }
+
+        return result;
+    }
+
+    /// <summary>
+    /// The target folder a file on disk belongs to: a configured subfolder when its path starts
+    /// with one and the file sits below an item folder inside it, otherwise the content root.
+    /// </summary>
+    /// <param name="contentPath">The Movies or Series folder.</param>
+    /// <param name="filePath">A STRM file under it.</param>
+    /// <param name="subfolders">The folder names used in Multiple folder mode.</param>
+    /// <returns>The subfolder name, or empty for the content root.</returns>
+    internal static string TargetFolderOf(string contentPath, string filePath, HashSet<string> subfolders)
+    {
+        // Movies/Action/Heat (1995)/Heat (1995).strm is in "Action"; Movies/Action/Action.strm is
+        // a movie called Action in the root. The depth tells them apart.
+        var parts = Path.GetRelativePath(contentPath, filePath).Split(Path.DirectorySeparatorChar, Path.AltDirectorySeparatorChar);
+        return parts.Length >= 3 && subfolders.Contains(parts[0]) ? parts[0] : string.Empty;
+    }
+
+    private static string SeriesFolderOf(string seriesPath, string filePath, HashSet<string> subfolders)
+    {
+        var target = TargetFolderOf(seriesPath, filePath, subfolders);
+        var basePath = string.IsNullOrEmpty(target) ? seriesPath : Path.Combine(seriesPath, target);
+        var relative = Path.GetRelativePath(basePath, filePath);
+        return Path.Combine(basePath, relative.Split(Path.DirectorySeparatorChar, Path.AltDirectorySeparatorChar)[0]);
+    }
+}
+
+/// <summary>
+/// The changes a sync would make, computed without making them.
+/// </summary>
+public class SyncPreview
+{
+    /// <summary>
+    /// Gets or sets when the preview was computed.
+    /// </summary>
+    public DateTime GeneratedAt { get; set; }
+
+    /// <summary>
+    /// Gets the per-provider plans, in provider order.
+    /// </summary>
+    public List<ProviderSyncPreview> Providers { get; } = new();
+}
+
+/// <summary>
+/// The planned changes for one provider's library.
+/// </summary>
+public class ProviderSyncPreview
+{
+    private readonly object _errorsLock = new();
+
+    /// <summary>
+    /// Gets or sets the provider's index in the configuration.
+    /// </summary>
+    public int ProviderIndex { get; set; }
+
+    /// <summary>
+    /// Gets or sets the provider's display name.
+    /// </summary>
+    public string ProviderName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets the movie changes per target folder. The content root is the empty folder name.
+    /// Counts are movies for additions and updates and STRM files for deletions, as in a sync result.
+    /// </summary>
+    public List<SyncPreviewFolder> MovieFolders { get; } = new();
+
+    /// <summary>
+    /// Gets the series changes per target folder. File counts are episodes.
+    /// </summary>
+    public List<SyncPreviewFolder> SeriesFolders { get; } = new();
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the provider deletes orphans at all. When it does
+    /// not, no deletions are planned.
+    /// </summary>
+    public bool CleanupOrphans { get; set; }
+
+    /// <summary>
+    /// Gets or sets the provider's OrphanSafetyThreshold.
+    /// </summary>
+    public double OrphanSafetyThreshold { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of movie STRM files on disk, the denominator of the movie deletion ratio.
+    /// </summary>
+    public int MovieFilesOnDisk { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of episode STRM files on disk, the denominator of the episode deletion ratio.
+    /// </summary>
+    public int EpisodeFilesOnDisk { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the planned movie deletions exceed the safety threshold,
+    /// so the sync would skip them.
+    /// </summary>
+    public bool MovieCleanupBlockedByThreshold { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the planned episode deletions exceed the safety threshold,
+    /// so the sync would skip them.
+    /// </summary>
+    public bool EpisodeCleanupBlockedByThreshold { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the sync would skip cleanup because a category selection
+    /// resolves to nothing.
+    /// </summary>
+    public bool CleanupBlockedByEmptySelection { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the provider could not be previewed at all.
+    /// </summary>
+    public bool Failed { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of fetches that failed. Items behind a failed fetch are planned as missing.
+    /// </summary>
+    public int ErrorCount { get; set; }
+
+    /// <summary>
+    /// Gets the first <see cref="StrmSyncService.MaxPreviewErrors"/> error messages.
+    /// </summary>
+    public List<string> Errors { get; } = new();
+
+    internal SyncPreviewFolder MovieFolder(string folder) => FolderIn(MovieFolders, folder);
+
+    internal SyncPreviewFolder SeriesFolder(string folder) => FolderIn(SeriesFolders, folder);
+
+    internal void AddError(string message)
+    {
+        lock (_errorsLock)
+        {
+            ErrorCount++;
+            if (Errors.Count < StrmSyncService.MaxPreviewErrors)
+            {
+                Errors.Add(message);
+            }
+        }
+    }
+
+    private static SyncPreviewFolder FolderIn(List<SyncPreviewFolder> folders, string folder)
+    {
+        var existing = folders.Find(f => string.Equals(f.Folder, folder, StringComparison.OrdinalIgnoreCase));
+        if (existing != null)
+        {
+            return existing;
+        }
+
+        var created = new SyncPreviewFolder { Folder = folder };
+        folders.Add(created);
+        return created;
+    }
+}
+
+/// <summary>
+/// Planned changes within one target folder.
+/// </summary>
+public class SyncPreviewFolder
+{
+    /// <summary>
+    /// Gets or sets the folder name, empty for the content root.
+    /// </summary>
+    public string Folder { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the number of movies or episodes to add.
+    /// </summary>
+    public int ToAdd { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of movies or episodes whose STRM file would be rewritten with a new URL.
+    /// </summary>
+    public int ToUpdate { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of STRM files to delete as orphans.
+    /// </summary>
+    public int ToDelete { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of series to add. Always zero for a movie folder.
+    /// </summary>
+    public int SeriesToAdd { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of series that would lose every episode. Always zero for a movie folder.
+    /// </summary>
+    public int SeriesToDelete { get; set; }
+}
@@ -0,0 +1,319 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Jellyfin.Xtream.Library.Client;
+using Jellyfin.Xtream.Library.Client.Models;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Xtream.Library.Service;
+
+/// <summary>
+/// Catalogue search: finds movies and series by name across every category of a provider, with
+/// the category and folder the sync would put them in and whether they are on disk. The whole
+/// catalogue is one request per content type, kept for a few minutes so typing a search does
+/// not refetch it.
+/// </summary>
+public partial class StrmSyncService
+{
+    /// <summary>
+    /// Largest number of hits a catalogue search returns. The total count is always complete.
+    /// </summary>
+    internal const int MaxCatalogSearchHits = 500;
+
+    private static readonly TimeSpan CatalogCacheLifetime = TimeSpan.FromMinutes(10);
+
+    private readonly ConcurrentDictionary<string, CatalogCacheEntry> _catalogCache = new(StringComparer.Ordinal);
+
+    /// <summary>
+    /// Searches the movie and series names of one provider, or of all of them.
+    /// </summary>
+    /// <param name="query">The search text, the provider and the content type.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The hits in name order, with the total count and any provider that could not be searched.</returns>
+    public async Task<CatalogSearchResult> SearchCatalogAsync(CatalogSearchQuery query, CancellationToken cancellationToken)
+    {
+        ArgumentNullException.ThrowIfNull(query);
+
+        var config = Plugin.Instance.Configuration;
+        var term = (query.Search ?? string.Empty).Trim();
+        var result = new CatalogSearchResult();
+        var hits = new List<CatalogSearchHit>();
+
+        EnsureLibraryIndexLoaded();
+        for (int i = 0; i < config.Providers.Count; i++)
+        {
+            var provider = config.Providers[i];
+            if ((query.ProviderIndex.HasValue && query.ProviderIndex.Value != i)
+                || string.IsNullOrEmpty(provider.BaseUrl)
+                || string.IsNullOrEmpty(provider.Username))
+            {
+                continue;
+            }
+
+            try
+            {
+                var catalog = await GetCatalogAsync(provider, query.ItemType, cancellationToken).ConfigureAwait(false);
+                var synced = SyncedItemIds(provider.LibraryPath);
+
+                if (query.ItemType is null or "Movie")
+                {
+                    var placement = new CatalogPlacement(
+                        provider.MovieFolderMode,
+                        provider.MovieFolderMappings,
+                        provider.MovieFolderRules,
+                        provider.SelectedVodCategoryIds,
+                        provider.MovieCategoriesMode,
+                        catalog.VodCategories);
+                    hits.AddRange((catalog.AllMovies ?? new List<StreamInfo>())
+                        .Where(m => m.Name != null && m.Name.Contains(term, StringComparison.OrdinalIgnoreCase))
+                        .Select(m => placement.ToHit(i, provider.Name, "Movie", m.StreamId, m.Name, m.CategoryId, synced)));
+                }
+
+                if (query.ItemType is null or "Series")
+                {
+                    var placement = new CatalogPlacement(
+                        provider.SeriesFolderMode,
+                        provider.SeriesFolderMappings,
+                        provider.SeriesFolderRules,
+                        provider.SelectedSeriesCategoryIds,
+                        provider.SeriesCategoriesMode,
+                        catalog.SeriesCategories);
+                    hits.AddRange((catalog.AllSeries ?? new List<Series>())
+                        .Where(s => s.Name != null && s.Name.Contains(term, StringComparison.OrdinalIgnoreCase))
+                        .Select(s => placement.ToHit(i, provider.Name, "Series", s.SeriesId, s.Name, s.CategoryId, synced)));
+                }
+            }
+            catch (Exception ex) when (ex is not OperationCanceledException)
+            {
+                _logger.LogWarning(ex, "Catalogue search failed for provider {ProviderName}", provider.Name);
+                result.Errors.Add($"{provider.Name}: {ex.Message}");
+            }
+        }
+
+        result.TotalCount = hits.Count;
+        result.Hits = hits
+            .OrderBy(h => h.Name, StringComparer.OrdinalIgnoreCase)
+            .ThenBy(h => h.ItemType, StringComparer.Ordinal)
+            .ThenBy(h => h.ProviderIndex)
+            .Take(Math.Clamp(query.Limit, 1, MaxCatalogSearchHits))
+            .ToList();
+        return result;
+    }
+
+    private async Task<CatalogCacheEntry> GetCatalogAsync(ProviderConfig provider, string? itemType, CancellationToken cancellationToken)
+    {
+        var key = provider.BaseUrl + "|" + provider.Username;
+        var cached = _catalogCache.TryGetValue(key, out var entry) && DateTime.UtcNow - entry.FetchedAt < CatalogCacheLifetime
+            ? entry
+            : new CatalogCacheEntry { FetchedAt = DateTime.UtcNow };
+
+        // A movie search does not need the series list, and the other way round; each half is
+        // fetched the first time a search asks for it.
+        var connectionInfo = ProviderHosts.GetConnectionInfo(provider);
+        if ((itemType is null or "Movie") && cached.AllMovies == null)
+        {
+            cached.VodCategories = await _client.GetVodCategoryAsync(connectionInfo, cancellationToken).ConfigureAwait(false);
+            cached.AllMovies = await _client.GetAllVodStreamsAsync(connectionInfo, cancellationToken).ConfigureAwait(false);
+        }
+
+        if ((itemType is null or "Series") && cached.AllSeries == null)
+        {
+            cached.SeriesCategories = await _client.GetSeriesCategoryAsync(connectionInfo, cancellationToken).ConfigureAwait(false);
+            cached.AllSeries = await _client.GetAllSeriesAsync(connectionInfo, cancellationToken).ConfigureAwait(false);
+        }
+
+        _catalogCache[key] = cached;
+        return cached;
+    }
+
+    /// <summary>
+    /// The items the library index has a folder for under a library path.
+    /// </summary>
+    /// <param name="libraryPath">The provider's library path.</param>
+    /// <returns>The item type and ID of each synced item.</returns>
+    private HashSet<(string ItemType, int ItemId)> SyncedItemIds(string libraryPath)
+    {
+        var synced = new HashSet<(string ItemType, int ItemId)>();
+        if (string.IsNullOrEmpty(libraryPath))
+        {
+            return synced;
+        }
+
+        // With the separator, so /config/xtream-library-1 does not claim /config/xtream-library-10.
+        var prefix = Path.TrimEndingDirectorySeparator(libraryPath) + Path.DirectorySeparatorChar;
+        foreach (var (folder, entry) in _libraryIndex)
+        {
+            if (folder.StartsWith(prefix, StringComparison.OrdinalIgnoreCase))
+            {
+                synced.Add((entry.ItemType, entry.ItemId));
+            }
+        }
+
+        return synced;
+    }
+
+    private sealed class CatalogCacheEntry
+    {
+        public DateTime FetchedAt { get; set; }
+
+        public List<Category> VodCategories { get; set; } = new();
+
+        public List<StreamInfo>? AllMovies { get; set; }
+
+        public List<Category> SeriesCategories { get; set; } = new();
+
+        public List<Series>? AllSeries { get; set; }
+    }
+
+    /// <summary>
+    /// Where the sync puts the items of one content type: the folder mappings with the name rules
+    /// applied, and the category selection, resolved the same way as for a sync.
+    /// </summary>
+    private sealed class CatalogPlacement
+    {
+        private readonly Dictionary<int, List<string>> _folderMappings = new();
+        private readonly CategorySelection _selection;
+        private readonly Dictionary<int, string> _categoryNames;
+
+        public CatalogPlacement(string folderMode, string folderMappings, string folderRules, int[] selectedIds, string categoriesMode, List<Category> categories)
+        {
+            if (IsMultipleFolderMode(folderMode))
+            {
+                _folderMappings = ParseFolderMappings(folderMappings);
+                FolderNameRules.Apply(_folderMappings, categories, FolderNameRules.Parse(folderRules));
+            }
+
+            _selection = ResolveCategorySelection(folderMode, _folderMappings, selectedIds, categoriesMode);
+            _categoryNames = CategoryNamesById(categories);
+        }
+
+        public CatalogSearchHit ToHit(int providerIndex, string providerName, string itemType, int itemId, string name, int? categoryId, HashSet<(string ItemType, int ItemId)> synced)
+            => new()
+            {
+                ProviderIndex = providerIndex,
+                ProviderName = providerName,
+                ItemType = itemType,
+                ItemId = itemId,
+                Name = name,
+                CategoryId = categoryId,
+                CategoryName = categoryId is int id && _categoryNames.TryGetValue(id, out var categoryName) ? categoryName : null,
+                Folders = categoryId is int mapped && _folderMappings.TryGetValue(mapped, out var folders) ? folders : new List<string>(),
+                CategorySelected = categoryId is int selected && _selection.ShouldSync(selected),
+                Synced = synced.Contains((itemType, itemId)),
+            };
+    }
+}
+
+/// <summary>
+/// A catalogue search.
+/// </summary>
+public class CatalogSearchQuery
+{
+    /// <summary>
+    /// Gets or sets the text to find in the names.
+    /// </summary>
+    public string? Search { get; set; }
+
+    /// <summary>
+    /// Gets or sets the provider to search, or null for all of them.
+    /// </summary>
+    public int? ProviderIndex { get; set; }
+
+    /// <summary>
+    /// Gets or sets "Movie" or "Series", or null for both.
+    /// </summary>
+    public string? ItemType { get; set; }
+
+    /// <summary>
+    /// Gets or sets the maximum number of hits to return.
+    /// </summary>
+    public int Limit { get; set; } = 100;
+}
+
+/// <summary>
+/// Result of <see cref="StrmSyncService.SearchCatalogAsync"/>.
+/// </summary>
+public class CatalogSearchResult
+{
+    /// <summary>
+    /// Gets or sets the hits, in name order.
+    /// </summary>
+    public List<CatalogSearchHit> Hits { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the number of hits before the limit.
+    /// </summary>
+    public int TotalCount { get; set; }
+
+    /// <summary>
+    /// Gets or sets one message per provider whose catalogue could not be fetched.
+    /// </summary>
+    public List<string> Errors { get; set; } = new();
+}
+
+/// <summary>
+/// A movie or series found by a catalogue search.
+/// </summary>
+public class CatalogSearchHit
+{
+    /// <summary>
+    /// Gets or sets the provider index.
+    /// </summary>
+    public int ProviderIndex { get; set; }
+
+    /// <summary>
+    /// Gets or sets the provider name.
+    /// </summary>
+    public string ProviderName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets "Movie" or "Series".
+    /// </summary>
+    public string ItemType { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the provider's stream ID (movies) or series ID.
+    /// </summary>
+    public int ItemId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the name as the provider has it.
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the category ID, or null when the provider lists the item without one.
+    /// </summary>
+    public int? CategoryId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the category name, or null for an unknown category.
+    /// </summary>
+    public string? CategoryName { get; set; }
+
+    /// <summary>
+    /// Gets or sets the Multiple folder mode folders the category syncs into; empty in Single folder mode.
+    /// </summary>
+    public List<string> Folders { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the saved category selection includes the item's category.
+    /// </summary>
+    public bool CategorySelected { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the library holds a folder for the item.
+    /// </summary>
+    public bool Synced { get; set; }
+}
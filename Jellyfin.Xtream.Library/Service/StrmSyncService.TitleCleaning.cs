@@ -0,0 +1,203 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+using System;
+using System.Collections.Generic;
+using System.Text.RegularExpressions;
+using Jellyfin.Xtream.Library.Client.Models;
+
+namespace Jellyfin.Xtream.Library.Service;
+
+/// <summary>
+/// Title cleaning preview: runs a provider's <see cref="ProviderConfig.CustomTitleRemoveTerms"/>
+/// and <see cref="ProviderConfig.RegexRemovalPatterns"/> over sample titles through the same
+/// builders the sync uses, so the config page can show the folder and file names before a save.
+/// </summary>
+public partial class StrmSyncService
+{
+    /// <summary>
+    /// Cleans sample titles the way a sync would name them.
+    /// </summary>
+    /// <param name="samples">The titles, each with its item type.</param>
+    /// <param name="customRemoveTerms">The removal terms to test, one per line.</param>
+    /// <param name="regexRemovalPatterns">The regex patterns to test, one per line.</param>
+    /// <returns>The folder and file name of each sample, and the patterns that do not compile.</returns>
+    internal static TitleCleaningPreview PreviewTitleCleaning(
+        IEnumerable<TitleCleaningSample> samples,
+        string? customRemoveTerms,
+        string? regexRemovalPatterns)
+    {
+        var preview = new TitleCleaningPreview { InvalidPatterns = FindInvalidRegexPatterns(regexRemovalPatterns) };
+        foreach (var sample in samples)
+        {
+            string name = sample.Name ?? string.Empty;
+            string cleanName = SanitizeFileName(name, customRemoveTerms);
+            int? year = ExtractYear(name);
+            string folderName = year.HasValue ? $"{cleanName} ({year})" : cleanName;
+
+            // The series sample is an S01E01 with the placeholder title BuildEpisodeFileName leaves
+            // out, the file every series gets a variant of; the patterns only ever see file names.
+            bool isSeries = string.Equals(sample.ItemType, "Series", StringComparison.Ordinal);
+            var episode = new Episode { EpisodeNum = 1, Title = "Episode 1" };
+            string plainFileName = isSeries
+                ? BuildEpisodeFileName(cleanName, 1, episode)
+                : BuildMovieStrmFileName(folderName, ExtractVersionLabel(name));
+
+            var item = new TitleCleaningPreviewItem
+            {
+                Name = name,
+                ItemType = isSeries ? "Series" : "Movie",
+                FolderName = folderName,
+                FileName = isSeries
+                    ? BuildEpisodeFileName(cleanName, 1, episode, customRemoveTerms, regexRemovalPatterns)
+                    : BuildMovieStrmFileName(folderName, ExtractVersionLabel(name), regexRemovalPatterns),
+            };
+
+            // Same order and comparison as SanitizeFileName, so a term another one already took out
+            // is not reported.
+            string remaining = name;
+            foreach (var term in ChannelNameCleaner.ParseUserTerms(customRemoveTerms))
+            {
+                if (remaining.Contains(term, StringComparison.OrdinalIgnoreCase))
+                {
+                    item.MatchedTerms.Add(term);
+                    remaining = remaining.Replace(term, string.Empty, StringComparison.OrdinalIgnoreCase);
+                }
+            }
+
+            ApplyFileNameRegexPatterns(plainFileName, regexRemovalPatterns, item.MatchedPatterns);
+            preview.Items.Add(item);
+        }
+
+        return preview;
+    }
+
+    /// <summary>
+    /// Lists the regex removal patterns that do not compile. <see cref="ApplyFileNameRegexPatterns"/>
+    /// skips those without a word, so the config page refuses to save them instead.
+    /// </summary>
+    /// <param name="regexRemovalPatterns">Newline-separated .NET regex patterns.</param>
+    /// <returns>Each invalid pattern with its line number and the parser's message.</returns>
+    internal static List<InvalidRegexPattern> FindInvalidRegexPatterns(string? regexRemovalPatterns)
+    {
+        var invalid = new List<InvalidRegexPattern>();
+        if (string.IsNullOrWhiteSpace(regexRemovalPatterns))
+        {
+            return invalid;
+        }
+
+        var lines = regexRemovalPatterns.Split('\n');
+        for (int i = 0; i < lines.Length; i++)
+        {
+            string pattern = lines[i].Trim();
+            if (pattern.Length == 0)
+            {
+                continue;
+            }
+
+            try
+            {
+                _ = new Regex(pattern, RegexOptions.None, TimeSpan.FromSeconds(1));
+            }
+            catch (ArgumentException ex)
+            {
+                invalid.Add(new InvalidRegexPattern { Line = i + 1, Pattern = pattern, Error = ex.Message });
+            }
+        }
+
+        return invalid;
+    }
+}
+
+/// <summary>
+/// A title to run through the title cleaning preview.
+/// </summary>
+public class TitleCleaningSample
+{
+    /// <summary>
+    /// Gets or sets the title as the provider has it.
+    /// </summary>
+    public string? Name { get; set; }
+
+    /// <summary>
+    /// Gets or sets the item type: "Movie" or "Series".
+    /// </summary>
+    public string ItemType { get; set; } = "Movie";
+}
+
+/// <summary>
+/// Result of <see cref="StrmSyncService.PreviewTitleCleaning"/>.
+/// </summary>
+public class TitleCleaningPreview
+{
+    /// <summary>
+    /// Gets or sets the cleaned samples, in request order.
+    /// </summary>
+    public List<TitleCleaningPreviewItem> Items { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the regex patterns that do not compile.
+    /// </summary>
+    public List<InvalidRegexPattern> InvalidPatterns { get; set; } = new();
+}
+
+/// <summary>
+/// One title in a title cleaning preview.
+/// </summary>
+public class TitleCleaningPreviewItem
+{
+    /// <summary>
+    /// Gets or sets the title as the provider has it.
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the item type: "Movie" or "Series".
+    /// </summary>
+    public string ItemType { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the folder name, which is also the title the metadata lookup searches for.
+    /// </summary>
+    public string FolderName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the STRM file name; for a series, that of an untitled S01E01.
+    /// </summary>
+    public string FileName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the removal terms found in the title.
+    /// </summary>
+    public List<string> MatchedTerms { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the regex patterns that removed something from the file name.
+    /// </summary>
+    public List<string> MatchedPatterns { get; set; } = new();
+}
+
+/// <summary>
+/// A regex removal pattern that does not compile.
+/// </summary>
+public class InvalidRegexPattern
+{
+    /// <summary>
+    /// Gets or sets the 1-based line of the pattern in the setting.
+    /// </summary>
+    public int Line { get; set; }
+
+    /// <summary>
+    /// Gets or sets the pattern.
+    /// </summary>
+    public string Pattern { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the regex parser's message.
+    /// </summary>
+    public string Error { get; set; } = string.Empty;
+}
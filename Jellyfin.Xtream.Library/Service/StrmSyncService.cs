@@ -49,6 +49,21 @@ public partial class StrmSyncService
     /// </summary>
     internal const int MaxFileNameBytes = 255;
 
+    /// <summary>
+    /// Number of runs kept in the sync history. The dashboard shows the most recent
+    /// <see cref="DashboardHistoryEntries"/>; the History tab pages through the rest.
+    /// </summary>
+    internal const int MaxSyncHistoryEntries = 100;
+
+    /// <summary>
+    /// Number of runs shown in the dashboard's Recent Syncs table.
+    /// </summary>
+    internal const int DashboardHistoryEntries = 10;
+
+    private const int RunIdle = 0;
+    private const int RunSync = 1;
+    private const int RunPreview = 2;
+
     // Static HttpClient is intentional for connection pooling and efficient socket usage.
     // For image downloads, we don't need per-request configuration, and a shared client
     // improves performance by reusing TCP connections. A default User-Agent is set below.
@@ -70,6 +85,11 @@ public partial class StrmSyncService
     private CancellationTokenSource? _currentSyncCts;
     private volatile bool _syncSuppressed;
 
+    // What holds the run gate: RunIdle, RunSync or RunPreview. A sync, a retry and a preview each
+    // set the client's per-provider rate limit settings, so only one of them may run at a time,
+    // whichever of the API, the scheduled task or the dashboard starts it.
+    private int _runGate;
+
     /// <summary>
     /// Initializes a new instance of the <see cref="StrmSyncService"/> class.
     /// </summary>
@@ -138,7 +158,7 @@ public partial class StrmSyncService
     public IReadOnlyList<FailedItem> FailedItems => LastSyncResult?.FailedItems ?? Array.Empty<FailedItem>();
 
     /// <summary>
-    /// Gets the sync history (last 10 results, most recent first).
+    /// Gets the sync history (last <see cref="MaxSyncHistoryEntries"/> results, most recent first).
     /// </summary>
     public IReadOnlyList<SyncResult> SyncHistory
     {
@@ -194,17 +214,113 @@ public partial class StrmSyncService
         }
     }
 
+    /// <summary>
+    /// Drops the failed items matching <paramref name="selector"/> from the last sync result, and
+    /// persists the history so they stay gone after a restart. Used when an item is ignored for good.
+    /// </summary>
+    /// <param name="selector">Picks the items to drop.</param>
+    /// <returns>The items that were dropped.</returns>
+    public IReadOnlyList<FailedItem> RemoveFailedItems(Func<FailedItem, bool> selector)
+    {
+        lock (_syncHistoryLock)
+        {
+            EnsureHistoryLoaded();
+            var lastSync = LastSyncResult;
+            if (lastSync == null)
+            {
+                return Array.Empty<FailedItem>();
+            }
+
+            var all = lastSync.FailedItems;
+            var removed = all.Where(selector).ToList();
+            if (removed.Count > 0)
+            {
+                lastSync.SetFailedItems(all.Except(removed));
+                lastSync.Errors = Math.Max(0, lastSync.Errors - removed.Count);
+                PersistHistory();
+            }
+
+            return removed;
+        }
+    }
+
     /// <summary>
     /// Retries syncing all failed items from the last sync.
     /// </summary>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>The retry result with statistics.</returns>
-    public async Task<SyncResult> RetryFailedAsync(CancellationToken cancellationToken)
+    public Task<SyncResult> RetryFailedAsync(CancellationToken cancellationToken)
+        => RetryFailedAsync(null, cancellationToken);
+
+    /// <summary>
+    /// Retries syncing the failed items from the last sync that match <paramref name="selector"/>.
+    /// Items that are not selected stay in the failed list untouched.
+    /// </summary>
+    /// <param name="selector">Picks the items to retry; null retries all of them.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The retry result with statistics.</returns>
+    public async Task<SyncResult> RetryFailedAsync(Func<FailedItem, bool>? selector, CancellationToken cancellationToken)
+    {
+        if (!TryEnterRun(RunSync))
+        {
+            return RunGateBusyResult();
+        }
+
+        try
+        {
+            return await RetryFailedItemsAsync(selector, cancellationToken).ConfigureAwait(false);
+        }
+        finally
+        {
+            ExitRun();
+        }
+    }
+
+    /// <summary>
+    /// Performs a full sync of all content from all configured Xtream providers.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The aggregated sync result across all providers, or an unsuccessful result with
+    /// <see cref="SyncResult.Error"/> set if another sync, retry or preview is running.</returns>
+    public async Task<SyncResult> SyncAsync(CancellationToken cancellationToken)
+    {
+        if (!TryEnterRun(RunSync))
+        {
+            return RunGateBusyResult();
+        }
+
+        try
+        {
+            return await SyncAllProvidersAsync(cancellationToken).ConfigureAwait(false);
+        }
+        finally
+        {
+            ExitRun();
+        }
+    }
+
+    private bool TryEnterRun(int run) => Interlocked.CompareExchange(ref _runGate, run, RunIdle) == RunIdle;
+
+    private void ExitRun() => Volatile.Write(ref _runGate, RunIdle);
+
+    private SyncResult RunGateBusyResult()
+    {
+        var error = Volatile.Read(ref _runGate) == RunPreview
+            ? "A sync preview is being computed. Try again when it has finished."
+            : "A sync is already in progress.";
+        _logger.LogWarning("Not starting a sync: {Error}", error);
+        var now = DateTime.UtcNow;
+        return new SyncResult { StartTime = now, EndTime = now, Error = error };
+    }
+
+    private async Task<SyncResult> RetryFailedItemsAsync(Func<FailedItem, bool>? selector, CancellationToken cancellationToken)
     {
         var config = Plugin.Instance.Configuration;
         var result = new SyncResult { StartTime = DateTime.UtcNow };
 
-        var itemsToRetry = FailedItems.ToList();
+        var allFailed = FailedItems.ToList();
+        var itemsToRetry = selector == null ? allFailed : allFailed.Where(selector).ToList();
+        var notRetried = allFailed.Except(itemsToRetry).ToList();
         if (itemsToRetry.Count == 0)
         {
             result.EndTime = DateTime.UtcNow;
@@ -217,21 +333,28 @@ public partial class StrmSyncService
         CurrentProgress.IsRunning = true;
         CurrentProgress.StartTime = DateTime.UtcNow;
         CurrentProgress.Phase = "Retrying failed items";
+        CurrentProgress.Errors = 0;
+        CurrentProgress.ResetProviders(Array.Empty<(int, string)>());
         CurrentProgress.TotalItems = itemsToRetry.Count;
         CurrentProgress.ItemsProcessed = 0;
 
         try
         {
-            var byProvider = itemsToRetry.GroupBy(i => i.ProviderIndex).ToList();
+            var byProvider = itemsToRetry.GroupBy(i => i.ProviderKey).ToList();
             foreach (var group in byProvider)
             {
-                var provider = config.Providers.ElementAtOrDefault(group.Key);
-                if (provider == null)
+                var providerIndex = FindProviderIndex(config.Providers, group.Key);
+                if (providerIndex < 0)
                 {
-                    _logger.LogWarning("Provider index {Index} not found — skipping {Count} failed items", group.Key, group.Count());
+                    // Retrying on whichever provider now holds the old index would fetch the IDs
+                    // with another account; the items stay in the failed list instead.
+                    _logger.LogWarning("No provider has the account of {Count} failed items any more; skipping them", group.Count());
+                    notRetried.AddRange(group);
                     continue;
                 }
 
+                var provider = config.Providers[providerIndex];
+                var firstNewFailure = result.FailedItems.Count;
                 string moviesPath = Path.Combine(provider.LibraryPath, "Movies");
                 string seriesPath = Path.Combine(provider.LibraryPath, "Series");
 
@@ -339,6 +462,13 @@ public partial class StrmSyncService
                         CurrentProgress.IncrementItemsProcessed();
                     }
                 }
+
+                foreach (var failed in result.FailedItems.Skip(firstNewFailure))
+                {
+                    failed.ProviderIndex = providerIndex;
+                    failed.ProviderKey = group.Key;
+                    failed.ProviderName = provider.Name;
+                }
             }
 
             result.EndTime = DateTime.UtcNow;
@@ -357,8 +487,8 @@ public partial class StrmSyncService
                 LastSyncResult.EpisodesCreated += result.EpisodesCreated;
                 LastSyncResult.SeriesCreated += result.SeriesCreated;
                 LastSyncResult.SeasonsCreated += result.SeasonsCreated;
-                LastSyncResult.SetFailedItems(result.FailedItems);
-                LastSyncResult.Errors = result.FailedItems.Count;
+                LastSyncResult.SetFailedItems(notRetried.Concat(result.FailedItems));
+                LastSyncResult.Errors = notRetried.Count + result.FailedItems.Count;
             }
 
             // Trigger library scan if enabled and items were created or updated
@@ -400,7 +530,7 @@ public partial class StrmSyncService
         string strmPath = Path.Combine(movieFolder, strmFileName);
 
         // Build stream URL using stored item ID (assume mp4 as default extension)
-        string streamUrl = $"{provider.BaseUrl}/movie/{provider.Username}/{provider.Password}/{item.ItemId}.mp4";
+        string streamUrl = $"{ProviderHosts.GetBaseUrl(provider)}/movie/{provider.Username}/{provider.Password}/{item.ItemId}.mp4";
 
         if (File.Exists(strmPath))
         {
@@ -432,7 +562,7 @@ public partial class StrmSyncService
         SyncResult result,
         CancellationToken cancellationToken)
     {
-        var connectionInfo = new ConnectionInfo(provider.BaseUrl, provider.Username, provider.Password);
+        var connectionInfo = ProviderHosts.GetConnectionInfo(provider);
         var seriesInfo = await _client.GetSeriesStreamsBySeriesAsync(connectionInfo, item.ItemId, cancellationToken).ConfigureAwait(false);
 
         if (seriesInfo.Episodes == null || seriesInfo.Episodes.Count == 0)
@@ -462,7 +592,7 @@ public partial class StrmSyncService
                 string strmPath = Path.Combine(seasonFolder, episodeFileName);
 
                 string extension = string.IsNullOrEmpty(episode.ContainerExtension) ? "mkv" : episode.ContainerExtension;
-                string streamUrl = $"{provider.BaseUrl}/series/{provider.Username}/{provider.Password}/{episode.EpisodeId}.{extension}";
+                string streamUrl = $"{connectionInfo.BaseUrl}/series/{provider.Username}/{provider.Password}/{episode.EpisodeId}.{extension}";
 
                 if (File.Exists(strmPath))
                 {
@@ -509,12 +639,15 @@ public partial class StrmSyncService
         string seriesName,
         CancellationToken cancellationToken)
     {
-        var connectionInfo = new ConnectionInfo(provider.BaseUrl, provider.Username, provider.Password);
+        var connectionInfo = ProviderHosts.GetConnectionInfo(provider);
         var selection = ResolveCategorySelection(
             provider.SeriesFolderMode,
             provider.SeriesFolderMappings,
             provider.SelectedSeriesCategoryIds,
             provider.SeriesCategoriesMode);
+        var folderRules = IsMultipleFolderMode(provider.SeriesFolderMode)
+            ? ParseFolderRules(provider, "series", provider.SeriesFolderRules)
+            : new List<FolderNameRule>();
 
         // This is the fallback path after a lookup has already failed, and it costs one
         // GetSeriesByCategoryAsync call per category it walks. Only a selection that actually
@@ -523,13 +656,25 @@ public partial class StrmSyncService
         // A selection that resolves to nothing has nowhere to search either, so it takes the same
         // exit rather than fetching the category list first.
         // Bailing out here also keeps the GetSeriesCategoryAsync call below off the common path.
-        if (!selection.NarrowsSelection)
+        // Folder name rules narrow the selection too, but which categories they hold is only known
+        // once the category list is in.
+        if (!selection.NarrowsSelection && folderRules.Count == 0)
         {
             _logger.LogDebug("No series categories configured, cannot search for series by name");
             return null;
         }
 
         var allSeriesCategories = await _client.GetSeriesCategoryAsync(connectionInfo, cancellationToken).ConfigureAwait(false);
+        if (folderRules.Count > 0)
+        {
+            var folderMappings = ParseFolderMappings(provider.SeriesFolderMappings);
+            FolderNameRules.Apply(folderMappings, allSeriesCategories, folderRules);
+            selection = ResolveCategorySelection(
+                provider.SeriesFolderMode,
+                folderMappings,
+                provider.SelectedSeriesCategoryIds,
+                provider.SeriesCategoriesMode);
+        }
         var categoryIds = allSeriesCategories
             .Where(c => selection.ShouldSync(c.CategoryId))
             .Select(c => c.CategoryId)
@@ -591,12 +736,7 @@ public partial class StrmSyncService
         return normalized;
     }
 
-    /// <summary>
-    /// Performs a full sync of all content from all configured Xtream providers.
-    /// </summary>
-    /// <param name="cancellationToken">Cancellation token.</param>
-    /// <returns>The aggregated sync result across all providers.</returns>
-    public async Task<SyncResult> SyncAsync(CancellationToken cancellationToken)
+    private async Task<SyncResult> SyncAllProvidersAsync(CancellationToken cancellationToken)
     {
         var config = Plugin.Instance.Configuration;
         config.Validate();
@@ -647,7 +787,9 @@ public partial class StrmSyncService
         CurrentProgress.EpisodesUpdated = 0;
         CurrentProgress.ChannelsCreated = 0;
         CurrentProgress.ChannelsUpdated = 0;
+        CurrentProgress.Errors = 0;
         CurrentProgress.LiveTvPhase = string.Empty;
+        CurrentProgress.ResetProviders(Array.Empty<(int, string)>());
 
         // Warn if any two enabled providers share the same LibraryPath
         var duplicatePaths = config.Providers
@@ -675,6 +817,8 @@ public partial class StrmSyncService
             return globalResult;
         }
 
+        CurrentProgress.ResetProviders(enabledProviders.Select(x => (x.providerIndex, x.provider.Name)));
+
         try
         {
             for (int i = 0; i < enabledProviders.Count; i++)
@@ -686,8 +830,7 @@ public partial class StrmSyncService
                     CurrentProgress.Phase = $"Provider {i + 1}/{enabledProviders.Count}: {provider.Name}";
                 }
 
-                var providerResult = await SyncProviderAsync(providerIndex, provider, claimedStrmPaths, linkedToken).ConfigureAwait(false);
-                MergeResult(globalResult, providerResult);
+                await SyncProviderWithProgressAsync(providerIndex, provider, claimedStrmPaths, globalResult, linkedToken).ConfigureAwait(false);
             }
 
             await RefreshLiveTvChannelsAsync(config, globalResult, linkedToken).ConfigureAwait(false);
@@ -756,6 +899,11 @@ public partial class StrmSyncService
         catch (OperationCanceledException)
         {
             _logger.LogInformation("Sync was cancelled");
+            foreach (var row in CurrentProgress.Providers.Where(p => p.State == ProviderSyncProgress.StatePending))
+            {
+                CurrentProgress.EndProvider(row, ProviderSyncProgress.StateCancelled, null);
+            }
+
             globalResult.Error = "Sync was cancelled by user";
             globalResult.EndTime = DateTime.UtcNow;
             globalResult.Success = false;
@@ -815,6 +963,98 @@ public partial class StrmSyncService
         return globalResult;
     }
 
+    /// <summary>
+    /// Runs one provider's sync under its own progress row and cancellation, so cancelling one
+    /// provider stops only that provider and the loop moves on to the next. Cancelling the whole
+    /// sync, and any other failure, still propagates to the caller as before.
+    /// </summary>
+    /// <param name="providerIndex">Zero-based index of this provider in the Providers list.</param>
+    /// <param name="provider">The provider configuration.</param>
+    /// <param name="claimedStrmPaths">STRM paths already written during this sync run, shared across providers.</param>
+    /// <param name="globalResult">The aggregate result the provider's result is merged into.</param>
+    /// <param name="cancellationToken">Cancellation token for the whole sync.</param>
+    /// <returns>A task that completes when the provider has finished, failed or been cancelled.</returns>
+    private async Task SyncProviderWithProgressAsync(
+        int providerIndex,
+        ProviderConfig provider,
+        ConcurrentDictionary<string, byte> claimedStrmPaths,
+        SyncResult globalResult,
+        CancellationToken cancellationToken)
+    {
+        var row = CurrentProgress.FindProvider(providerIndex);
+        if (row == null)
+        {
+            var unlistedResult = await SyncProviderAsync(providerIndex, provider, claimedStrmPaths, cancellationToken).ConfigureAwait(false);
+            MergeResult(globalResult, unlistedResult);
+            return;
+        }
+
+        // Cancelled while it was still waiting its turn.
+        if (row.CancelRequested)
+        {
+            _logger.LogInformation("Skipping provider {ProviderName}: cancelled before it started", provider.Name);
+            CurrentProgress.EndProvider(row, ProviderSyncProgress.StateCancelled, null);
+            AppendError(globalResult, $"Provider '{provider.Name}' was cancelled");
+            return;
+        }
+
+        using var providerCts = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+        CurrentProgress.BeginProvider(row, providerCts);
+
+        try
+        {
+            var providerResult = await SyncProviderAsync(providerIndex, provider, claimedStrmPaths, providerCts.Token).ConfigureAwait(false);
+            MergeResult(globalResult, providerResult);
+            CurrentProgress.EndProvider(
+                row,
+                providerResult.Success ? ProviderSyncProgress.StateCompleted : ProviderSyncProgress.StateFailed,
+                providerResult);
+        }
+        catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
+        {
+            _logger.LogInformation("Sync of provider {ProviderName} was cancelled; continuing with the remaining providers", provider.Name);
+            CurrentProgress.EndProvider(row, ProviderSyncProgress.StateCancelled, null);
+            AppendError(globalResult, $"Provider '{provider.Name}' was cancelled");
+        }
+        catch (OperationCanceledException)
+        {
+            CurrentProgress.EndProvider(row, ProviderSyncProgress.StateCancelled, null);
+            throw;
+        }
+        catch (Exception)
+        {
+            CurrentProgress.EndProvider(row, ProviderSyncProgress.StateFailed, null);
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Cancels one provider of the running sync. The rest of the sync carries on.
+    /// </summary>
+    /// <param name="providerIndex">Zero-based index of the provider in the Providers list.</param>
+    /// <returns>True if the provider was pending or running in the current sync.</returns>
+    public bool CancelProvider(int providerIndex)
+    {
+        if (!CurrentProgress.IsRunning)
+        {
+            return false;
+        }
+
+        var row = CurrentProgress.FindProvider(providerIndex);
+        if (row == null || !row.RequestCancel())
+        {
+            return false;
+        }
+
+        _logger.LogInformation("Cancelling sync of provider {ProviderName}...", row.Name);
+        return true;
+    }
+
+    private static void AppendError(SyncResult result, string error)
+    {
+        result.Error = string.IsNullOrEmpty(result.Error) ? error : result.Error + "; " + error;
+    }
+
     /// <summary>
     /// Refreshes the Live TV channel set, computes a delta vs the persisted snapshot, and
     /// attaches the counts to <paramref name="globalResult"/>. Failures are logged but never
@@ -890,9 +1130,18 @@ public partial class StrmSyncService
         _client.RetryDelayMs = provider.RetryDelayMs;
         _client.Timeout = TimeSpan.FromSeconds(provider.TimeoutSeconds);
 
-        // Compute provider key for snapshot directory isolation: "{index}-{urlHash8}"
-        var urlHashBytes = MD5.HashData(Encoding.UTF8.GetBytes(provider.BaseUrl));
-        var providerKey = $"{providerIndex}-{Convert.ToHexString(urlHashBytes)[..8].ToLowerInvariant()}";
+        // Settle on a host before anything else talks to the provider; every connection below
+        // reads it back through ProviderHosts.
+        var baseUrl = await SelectBaseUrlAsync(provider, cancellationToken).ConfigureAwait(false);
+        result.HostsUsed.Add(new SyncHostUsage
+        {
+            ProviderIndex = providerIndex,
+            ProviderName = provider.Name,
+            BaseUrl = baseUrl,
+            IsBackup = !string.Equals(baseUrl, provider.BaseUrl, StringComparison.Ordinal),
+        });
+
+        var providerKey = SnapshotKey(provider);
 
         // Load previous snapshot for incremental sync
         ContentSnapshot? previousSnapshot = null;
@@ -902,18 +1151,22 @@ public partial class StrmSyncService
         if (provider.EnableIncrementalSync)
         {
             CurrentProgress.Phase = "Loading snapshot";
-            previousSnapshot = await _snapshotService.LoadLatestSnapshotAsync(providerKey, cancellationToken).ConfigureAwait(false);
+            previousSnapshot = await _snapshotService.LoadLatestSnapshotAsync(providerKey, cancellationToken).ConfigureAwait(false)
+                ?? await _snapshotService.LoadLatestSnapshotAsync(LegacySnapshotKey(providerIndex, provider), cancellationToken).ConfigureAwait(false);
 
             // Keep raw snapshot as hint for smart-skip optimization (even during full sync)
             hintSnapshot = previousSnapshot;
 
             if (previousSnapshot != null)
             {
-                // Force full sync if provider URL changed
-                if (!string.Equals(previousSnapshot.ProviderUrl, provider.BaseUrl, StringComparison.Ordinal))
+                // Force full sync if provider URL changed. A failover counts: the STRM files the
+                // incremental sync would leave alone still point at the other host, and so do the
+                // series smart-skip would pass over, so the hint goes too.
+                if (!string.Equals(previousSnapshot.ProviderUrl, baseUrl, StringComparison.Ordinal))
                 {
-                    _logger.LogInformation("Provider URL changed ({Old} -> {New}), forcing full sync", previousSnapshot.ProviderUrl, provider.BaseUrl);
+                    _logger.LogInformation("Provider URL changed ({Old} -> {New}), forcing full sync", previousSnapshot.ProviderUrl, baseUrl);
                     previousSnapshot = null;
+                    hintSnapshot = null;
                 }
 
                 // Force full sync if folder structure config changed
@@ -1070,6 +1323,7 @@ public partial class StrmSyncService
 
         // Cleanup orphaned files - works for both full and incremental syncs because
         // incrementally-skipped items have their existing STRM paths added to syncedFiles
+        var blockedOrphans = new List<BlockedOrphan>();
         if (provider.CleanupOrphans)
         {
             CurrentProgress.Phase = "Cleaning up orphans";
@@ -1093,19 +1347,21 @@ public partial class StrmSyncService
             // above would normally catch it, but not for a provider set to 100%.
             // The "> 0" conjuncts matter: with nothing on disk yet there is nothing to protect and
             // the warning would be noise on every sync.
-            bool skipMovieForEmptySelection = orphanedMovies > 0 && ResolveCategorySelection(
+            bool skipMovieForEmptySelection = orphanedMovies > 0 && ConfigSyncsNothing(
                 provider.MovieFolderMode,
                 provider.MovieFolderMappings,
+                provider.MovieFolderRules,
                 provider.SelectedVodCategoryIds,
-                provider.MovieCategoriesMode).SyncsNothing;
-            bool skipEpisodeForEmptySelection = orphanedEpisodes > 0 && ResolveCategorySelection(
+                provider.MovieCategoriesMode);
+            bool skipEpisodeForEmptySelection = orphanedEpisodes > 0 && ConfigSyncsNothing(
                 provider.SeriesFolderMode,
                 provider.SeriesFolderMappings,
+                provider.SeriesFolderRules,
                 provider.SelectedSeriesCategoryIds,
-                provider.SeriesCategoriesMode).SyncsNothing;
+                provider.SeriesCategoriesMode);
 
-            bool skipMovieForThreshold = existingMovieCount > 10 && movieDeletionRatio > safetyThreshold;
-            bool skipEpisodeForThreshold = existingEpisodeCount > 10 && episodeDeletionRatio > safetyThreshold;
+            bool skipMovieForThreshold = ExceedsOrphanSafetyThreshold(orphanedMovies, existingMovieCount, safetyThreshold);
+            bool skipEpisodeForThreshold = ExceedsOrphanSafetyThreshold(orphanedEpisodes, existingEpisodeCount, safetyThreshold);
 
             bool skipMovieCleanup = skipMovieForEmptySelection || skipMovieForThreshold;
             bool skipEpisodeCleanup = skipEpisodeForEmptySelection || skipEpisodeForThreshold;
@@ -1175,6 +1431,13 @@ public partial class StrmSyncService
                 result.OrphanCleanupBlockedByEmptySelection = true;
             }
 
+            // Kept for the orphan review, so the refused deletions can still be made one by one
+            blockedOrphans.AddRange(orphanedFiles
+                .Where(f =>
+                    (skipMovieCleanup && f.StartsWith(moviesPath, StringComparison.OrdinalIgnoreCase)) ||
+                    (skipEpisodeCleanup && f.StartsWith(seriesPath, StringComparison.OrdinalIgnoreCase)))
+                .Select(f => ToBlockedOrphan(providerIndex, provider.LibraryPath, f, moviesPath, seriesPath)));
+
             // Filter orphans based on safety checks
             var safeOrphans = orphanedFiles
                 .Where(f =>
@@ -1191,7 +1454,9 @@ public partial class StrmSyncService
 
                 try
                 {
-                    CurrentProgress.IncrementItemsProcessed();
+                    // Counted on the aggregate only: the provider row tracks content items, and
+                    // shows the cleanup by its phase instead.
+                    CurrentProgress.ItemsProcessed++;
                     File.Delete(orphan);
                     result.FilesDeleted++;
 
@@ -1228,6 +1493,9 @@ public partial class StrmSyncService
             }
         }
 
+        RecordBlockedOrphans(providerIndex, provider.LibraryPath, blockedOrphans);
+        SaveLibraryIndex(provider.LibraryPath);
+
         // Save snapshot for next incremental sync
         if (provider.EnableIncrementalSync && !cancellationToken.IsCancellationRequested)
         {
@@ -1235,6 +1503,14 @@ public partial class StrmSyncService
             await SaveSnapshotAsync(provider, providerKey, allCollectedMovies, allCollectedSeries, allSeriesInfoDict, result.FailedItems, cancellationToken).ConfigureAwait(false);
         }
 
+        // Retry and ignore find the provider by its account; the per-item sites only have its config.
+        foreach (var failed in result.FailedItems)
+        {
+            failed.ProviderIndex = providerIndex;
+            failed.ProviderKey = providerKey;
+            failed.ProviderName = provider.Name;
+        }
+
         result.WasIncrementalSync = isIncrementalSync;
         result.EndTime = DateTime.UtcNow;
         result.Success = true;
@@ -1256,8 +1532,70 @@ public partial class StrmSyncService
 
         return result;
     }
+
+    /// <summary>
+    /// The directory key of a provider's content snapshots, "acct-{hash8}" of its BaseUrl and
+    /// Username. Taken from the account rather than the provider's place in the list, so a
+    /// reordered or trimmed list does not hand one provider another's snapshot.
+    /// </summary>
+    /// <param name="provider">The provider configuration.</param>
+    /// <returns>The snapshot directory key.</returns>
+    internal static string SnapshotKey(ProviderConfig provider)
+    {
+        var hash = MD5.HashData(Encoding.UTF8.GetBytes(provider.BaseUrl + "\n" + provider.Username));
+        return "acct-" + Convert.ToHexString(hash)[..8].ToLowerInvariant();
+    }
+
+    /// <summary>
+    /// The snapshot key used before <see cref="SnapshotKey"/>, "{index}-{urlHash8}". Read once so
+    /// the first sync after an upgrade can still be incremental, and cleared with the new one.
+    /// </summary>
+    /// <param name="providerIndex">Zero-based index of the provider in the Providers list.</param>
+    /// <param name="provider">The provider configuration.</param>
+    /// <returns>The legacy snapshot directory key.</returns>
+    internal static string LegacySnapshotKey(int providerIndex, ProviderConfig provider)
+    {
+        var urlHashBytes = MD5.HashData(Encoding.UTF8.GetBytes(provider.BaseUrl));
+        return $"{providerIndex}-{Convert.ToHexString(urlHashBytes)[..8].ToLowerInvariant()}";
+    }
 #pragma warning restore CA5351
 
+    /// <summary>
+    /// Finds the provider a failed item was recorded for by its account key, wherever a reorder or
+    /// removal has since moved it in the list.
+    /// </summary>
+    /// <param name="providers">The configured providers.</param>
+    /// <param name="providerKey">The <see cref="FailedItem.ProviderKey"/> of the item.</param>
+    /// <returns>The provider's index, or -1 when no provider has that account, or the item predates the key.</returns>
+    internal static int FindProviderIndex(IReadOnlyList<ProviderConfig> providers, string? providerKey)
+    {
+        if (string.IsNullOrEmpty(providerKey))
+        {
+            return -1;
+        }
+
+        for (var i = 0; i < providers.Count; i++)
+        {
+            if (string.Equals(SnapshotKey(providers[i]), providerKey, StringComparison.Ordinal))
+            {
+                return i;
+            }
+        }
+
+        return -1;
+    }
+
+    /// <summary>
+    /// Decides whether orphan cleanup is refused as a likely provider glitch. Libraries of ten
+    /// files or fewer are never protected: one missing file there is already a large ratio.
+    /// </summary>
+    /// <param name="orphanCount">Files on disk the provider no longer offers.</param>
+    /// <param name="existingCount">Files on disk before the sync.</param>
+    /// <param name="threshold">The provider's OrphanSafetyThreshold, a fraction.</param>
+    /// <returns>True if the deletion ratio is over the threshold.</returns>
+    internal static bool ExceedsOrphanSafetyThreshold(int orphanCount, int existingCount, double threshold)
+        => existingCount > 10 && (double)orphanCount / existingCount > threshold;
+
     /// <summary>
     /// Merges a per-provider sync result into the aggregate global result.
     /// </summary>
@@ -1286,6 +1624,7 @@ public partial class StrmSyncService
         globalResult.EpisodesDeleted += providerResult.EpisodesDeleted;
         globalResult.EpisodeNameCollisions += providerResult.EpisodeNameCollisions;
         globalResult.FilesDeleted += providerResult.FilesDeleted;
+        globalResult.HostsUsed.AddRange(providerResult.HostsUsed);
         globalResult.MovieOrphansSkipped += providerResult.MovieOrphansSkipped;
         globalResult.MovieOrphansExamined += providerResult.MovieOrphansExamined;
         globalResult.EpisodeOrphansSkipped += providerResult.EpisodeOrphansSkipped;
@@ -1330,7 +1669,7 @@ public partial class StrmSyncService
         {
             EnsureHistoryLoaded();
             _syncHistory.Insert(0, result);
-            while (_syncHistory.Count > 10)
+            while (_syncHistory.Count > MaxSyncHistoryEntries)
             {
                 _syncHistory.RemoveAt(_syncHistory.Count - 1);
             }
@@ -1408,9 +1747,10 @@ public partial class StrmSyncService
         ConcurrentBag<StreamInfo> allCollectedMovies,
         CancellationToken cancellationToken)
     {
-        var connectionInfo = new ConnectionInfo(provider.BaseUrl, provider.Username, provider.Password);
+        var connectionInfo = ProviderHosts.GetConnectionInfo(provider);
         var globalConfig = Plugin.Instance.Configuration;
         var categories = await _client.GetVodCategoryAsync(connectionInfo, cancellationToken).ConfigureAwait(false);
+        var categoryNames = CategoryNamesById(categories);
         var processedStreamIds = new ConcurrentDictionary<int, bool>();
 
         // Parse folder mappings (category ID → folder names) - only in Multiple folder mode.
@@ -1424,6 +1764,12 @@ public partial class StrmSyncService
             {
                 _logger.LogInformation("Multiple folder mode: loaded movie folder mappings for {Count} categories", folderMappings.Count);
             }
+
+            int placedByRules = FolderNameRules.Apply(folderMappings, categories, ParseFolderRules(provider, "movie", provider.MovieFolderRules));
+            if (placedByRules > 0)
+            {
+                _logger.LogInformation("Multiple folder mode: folder name rules placed {Count} more movie categories", placedByRules);
+            }
         }
 
         // Filter categories down to the configured selection
@@ -1636,6 +1982,7 @@ public partial class StrmSyncService
                     {
                         _logger.LogWarning(ex, "Failed to fetch VOD streams for category {CategoryId} ({CategoryName})", category.CategoryId, category.CategoryName);
                         Interlocked.Increment(ref errors);
+                        CurrentProgress.IncrementErrors();
                     }
                 }).ConfigureAwait(false);
 
@@ -2147,6 +2494,8 @@ public partial class StrmSyncService
                                 // File already exists or copy failed, continue
                             }
                         }
+
+                        RecordLibraryItem(movieFolder, "Movie", stream.StreamId, SourceCategoryNames(categoryIds, targetFolder, folderMappings, categoryNames));
                     }
 
                     if (anyCreated)
@@ -2166,6 +2515,7 @@ public partial class StrmSyncService
                 {
                     _logger.LogWarning(ex, "Failed to create STRM for movie: {MovieName}", stream.Name);
                     Interlocked.Increment(ref errors);
+                    CurrentProgress.IncrementErrors();
                     Interlocked.Increment(ref moviesSkipped);
                     failedItems.Add(new FailedItem
                     {
@@ -2232,9 +2582,10 @@ public partial class StrmSyncService
         ConcurrentDictionary<int, SeriesStreamInfo> allSeriesInfoDict,
         CancellationToken cancellationToken)
     {
-        var connectionInfo = new ConnectionInfo(provider.BaseUrl, provider.Username, provider.Password);
+        var connectionInfo = ProviderHosts.GetConnectionInfo(provider);
         var globalConfig = Plugin.Instance.Configuration;
         var categories = await _client.GetSeriesCategoryAsync(connectionInfo, cancellationToken).ConfigureAwait(false);
+        var categoryNames = CategoryNamesById(categories);
         var processedSeriesIds = new ConcurrentDictionary<int, bool>();
 
         // Parse folder mappings (category ID → folder names) - only in Multiple folder mode.
@@ -2248,6 +2599,12 @@ public partial class StrmSyncService
             {
                 _logger.LogInformation("Multiple folder mode: loaded series folder mappings for {Count} categories", folderMappings.Count);
             }
+
+            int placedByRules = FolderNameRules.Apply(folderMappings, categories, ParseFolderRules(provider, "series", provider.SeriesFolderRules));
+            if (placedByRules > 0)
+            {
+                _logger.LogInformation("Multiple folder mode: folder name rules placed {Count} more series categories", placedByRules);
+            }
         }
 
         // Filter categories down to the configured selection
@@ -2466,6 +2823,7 @@ public partial class StrmSyncService
                     {
                         _logger.LogWarning(ex, "Failed to fetch series for category {CategoryId} ({CategoryName})", category.CategoryId, category.CategoryName);
                         Interlocked.Increment(ref errors);
+                        CurrentProgress.IncrementErrors();
                     }
                 }).ConfigureAwait(false);
 
@@ -2738,6 +3096,7 @@ public partial class StrmSyncService
                             {
                                 foundMatch = true;
                                 preSkipEpisodes += match.Count;
+                                RecordLibraryItem(match.Path, "Series", series.SeriesId, SourceCategoryNames(categoryIds, targetFolder, folderMappings, categoryNames));
                                 try
                                 {
                                     preSkipSeasons += Directory.GetDirectories(match.Path, "Season *").Length;
@@ -2936,6 +3295,7 @@ public partial class StrmSyncService
                                 var existingSeasonsCount = Directory.GetDirectories(seriesFolderPath, "Season *").Length;
                                 Interlocked.Add(ref seasonsSkipped, existingSeasonsCount);
                                 Interlocked.Add(ref episodesSkipped, existingStrms.Length);
+                                RecordLibraryItem(seriesFolderPath, "Series", series.SeriesId, SourceCategoryNames(categoryIds, targetFolder, folderMappings, categoryNames));
                             }
 
                             Interlocked.Increment(ref seriesSkipped);
@@ -3133,6 +3493,8 @@ public partial class StrmSyncService
                             var showNfoPath = Path.Combine(seriesFolderPath, "tvshow.nfo");
                             await NfoWriter.WriteShowNfoAsync(showNfoPath, seriesName, providerTmdbId, showTvdbId, ct).ConfigureAwait(false);
                         }
+
+                        RecordLibraryItem(seriesFolderPath, "Series", series.SeriesId, SourceCategoryNames(categoryIds, targetFolder, folderMappings, categoryNames));
                     }
 
                     // Batch download all collected images with bounded parallelism
@@ -3158,6 +3520,7 @@ public partial class StrmSyncService
                 {
                     _logger.LogWarning(ex, "Failed to sync series: {SeriesName}", series.Name);
                     Interlocked.Increment(ref errors);
+                    CurrentProgress.IncrementErrors();
                     Interlocked.Increment(ref seriesSkipped);
                     failedItems.Add(new FailedItem
                     {
@@ -3453,8 +3816,9 @@ public partial class StrmSyncService
     /// </summary>
     /// <param name="fileName">The file name (with extension) to clean.</param>
     /// <param name="regexRemovalPatterns">Newline-separated .NET regex patterns. Empty/null is a no-op.</param>
+    /// <param name="matchedPatterns">Receives each pattern that removed something, for the title cleaning preview.</param>
     /// <returns>The file name with all valid patterns replaced with empty string and whitespace tidied.</returns>
-    internal static string ApplyFileNameRegexPatterns(string fileName, string? regexRemovalPatterns)
+    internal static string ApplyFileNameRegexPatterns(string fileName, string? regexRemovalPatterns, ICollection<string>? matchedPatterns = null)
     {
         if (string.IsNullOrEmpty(fileName) || string.IsNullOrWhiteSpace(regexRemovalPatterns))
         {
@@ -3478,7 +3842,13 @@ public partial class StrmSyncService
             try
             {
                 // Bounded timeout protects against catastrophic backtracking.
-                baseName = Regex.Replace(baseName, pattern, string.Empty, RegexOptions.None, TimeSpan.FromSeconds(1));
+                string replaced = Regex.Replace(baseName, pattern, string.Empty, RegexOptions.None, TimeSpan.FromSeconds(1));
+                if (matchedPatterns != null && !string.Equals(replaced, baseName, StringComparison.Ordinal))
+                {
+                    matchedPatterns.Add(pattern);
+                }
+
+                baseName = replaced;
             }
             catch (ArgumentException)
             {
@@ -3596,6 +3966,33 @@ public partial class StrmSyncService
     internal static bool IsMultipleFolderMode(string? folderMode)
         => string.Equals(folderMode, "Multiple", StringComparison.OrdinalIgnoreCase);
 
+    /// <summary>
+    /// Parses a provider's folder name rules for the sync, logging each rule it has to skip.
+    /// Without the warning the folder would quietly stop getting categories assigned.
+    /// </summary>
+    /// <param name="provider">The provider the rules belong to.</param>
+    /// <param name="contentType">"movie" or "series", for the log.</param>
+    /// <param name="config">The raw folder name rule string.</param>
+    /// <returns>The rules that compiled.</returns>
+    private List<FolderNameRule> ParseFolderRules(ProviderConfig provider, string contentType, string? config)
+    {
+        var skipped = new List<InvalidFolderRule>();
+        var rules = FolderNameRules.Parse(config, skipped);
+        foreach (var rule in skipped)
+        {
+            _logger.LogWarning(
+                "Multiple folder mode: skipping {ContentType} folder name rule on line {Line} of provider {Provider} ({Folder}={Pattern}): {Error}",
+                contentType,
+                rule.Line,
+                provider.Name,
+                rule.FolderName,
+                rule.Pattern,
+                rule.Error);
+        }
+
+        return rules;
+    }
+
     /// <summary>
     /// Resolves which categories take part in a sync. In Multiple folder mode the folder mappings
     /// are the filter; in Single folder mode the flat category selection is.
@@ -3643,6 +4040,33 @@ public partial class StrmSyncService
             selectedIds,
             categoriesMode);
 
+    /// <summary>
+    /// Returns true when a content type's configuration selects no category whatever the provider
+    /// offers. Folder name rules can only be evaluated against the provider's category list, so a
+    /// configuration that has any is not treated as empty here: a rule that happens to match
+    /// nothing is left to the orphan safety threshold, like any other sudden drop in content.
+    /// </summary>
+    /// <param name="folderMode">The provider's folder mode for this content type.</param>
+    /// <param name="folderMappings">The raw folder mapping string.</param>
+    /// <param name="folderRules">The raw folder name rule string.</param>
+    /// <param name="selectedIds">The provider's flat category selection.</param>
+    /// <param name="categoriesMode">The provider's Include/Exclude mode.</param>
+    /// <returns>True if the configuration syncs nothing.</returns>
+    internal static bool ConfigSyncsNothing(
+        string? folderMode,
+        string? folderMappings,
+        string? folderRules,
+        int[]? selectedIds,
+        string? categoriesMode)
+    {
+        if (IsMultipleFolderMode(folderMode) && FolderNameRules.Parse(folderRules).Count > 0)
+        {
+            return false;
+        }
+
+        return ResolveCategorySelection(folderMode, folderMappings, selectedIds, categoriesMode).SyncsNothing;
+    }
+
     /// <summary>
     /// Parses folder mapping configuration into a reverse lookup (category ID → folder names).
     /// </summary>
@@ -4020,7 +4444,7 @@ public partial class StrmSyncService
 
             var snapshot = new ContentSnapshot
             {
-                ProviderUrl = provider.BaseUrl,
+                ProviderUrl = ProviderHosts.GetBaseUrl(provider),
                 ConfigFingerprint = SnapshotService.CalculateConfigFingerprint(provider, Plugin.Instance.Configuration.EnableMetadataLookup)
             };
 
@@ -4107,12 +4531,15 @@ public class SyncProgress
     private int _channelsUpdated;
     private int _totalCategories;
     private int _categoriesProcessed;
+    private int _errors;
     private volatile bool _isRunning;
     private volatile string _phase = string.Empty;
     private volatile string _moviePhase = string.Empty;
     private volatile string _seriesPhase = string.Empty;
     private volatile string _liveTvPhase = string.Empty;
     private volatile string _currentItem = string.Empty;
+    private volatile ProviderSyncProgress[] _providers = Array.Empty<ProviderSyncProgress>();
+    private volatile ProviderSyncProgress? _activeProvider;
 
     /// <summary>
     /// Gets or sets a value indicating whether a sync is currently in progress.
@@ -4258,51 +4685,424 @@ public class SyncProgress
         set => Volatile.Write(ref _channelsUpdated, value);
     }
 
+    /// <summary>
+    /// Gets or sets the number of items that failed so far.
+    /// </summary>
+    public int Errors
+    {
+        get => Volatile.Read(ref _errors);
+        set => Volatile.Write(ref _errors, value);
+    }
+
     /// <summary>
     /// Gets or sets the start time.
     /// </summary>
     public DateTime? StartTime { get; set; }
 
     /// <summary>
-    /// Atomically increments the ItemsProcessed counter.
+    /// Gets one row per provider taking part in the sync, in sync order. Empty for a retry of
+    /// failed items, which does not run provider by provider.
+    /// </summary>
+    public IReadOnlyList<ProviderSyncProgress> Providers => _providers;
+
+    /// <summary>
+    /// Atomically increments the ItemsProcessed counter, and the running provider's.
     /// </summary>
     public void IncrementItemsProcessed()
     {
         Interlocked.Increment(ref _itemsProcessed);
+        _activeProvider?.IncrementItemsProcessed();
     }
 
     /// <summary>
-    /// Atomically adds to the TotalItems counter.
+    /// Atomically adds to the TotalItems counter, and the running provider's.
     /// </summary>
     /// <param name="count">The number of items to add.</param>
     public void AddTotalItems(int count)
     {
         Interlocked.Add(ref _totalItems, count);
+        _activeProvider?.AddTotalItems(count);
     }
 
     /// <summary>
-    /// Atomically adds to the TotalCategories counter.
+    /// Atomically adds to the TotalCategories counter, and the running provider's.
     /// </summary>
     /// <param name="count">The number of categories to add.</param>
     public void AddTotalCategories(int count)
     {
         Interlocked.Add(ref _totalCategories, count);
+        _activeProvider?.AddTotalCategories(count);
     }
 
     /// <summary>
-    /// Atomically increments the CategoriesProcessed counter.
+    /// Atomically increments the CategoriesProcessed counter, and the running provider's.
     /// </summary>
     public void IncrementCategoriesProcessed()
     {
         Interlocked.Increment(ref _categoriesProcessed);
+        _activeProvider?.IncrementCategoriesProcessed();
+    }
+
+    /// <summary>
+    /// Atomically increments the Errors counter, and the running provider's.
+    /// </summary>
+    public void IncrementErrors()
+    {
+        Interlocked.Increment(ref _errors);
+        _activeProvider?.IncrementErrors();
+    }
+
+    /// <summary>
+    /// Replaces the provider rows at the start of a sync, all pending.
+    /// </summary>
+    /// <param name="providers">The providers about to be synced, in order.</param>
+    internal void ResetProviders(IEnumerable<(int ProviderIndex, string Name)> providers)
+    {
+        _activeProvider = null;
+        _providers = providers.Select(p => new ProviderSyncProgress(p.ProviderIndex, p.Name)).ToArray();
+    }
+
+    /// <summary>
+    /// Finds the row of a provider in the current sync.
+    /// </summary>
+    /// <param name="providerIndex">Zero-based index of the provider in the Providers list.</param>
+    /// <returns>The row, or null if the provider is not part of the sync.</returns>
+    internal ProviderSyncProgress? FindProvider(int providerIndex)
+    {
+        return _providers.FirstOrDefault(p => p.ProviderIndex == providerIndex);
+    }
+
+    /// <summary>
+    /// Marks a provider as the one running. From here on the counters above also count into its row.
+    /// </summary>
+    /// <param name="row">The provider row.</param>
+    /// <param name="cancellation">Cancels this provider only.</param>
+    internal void BeginProvider(ProviderSyncProgress row, CancellationTokenSource cancellation)
+    {
+        row.Begin(this, cancellation);
+        _activeProvider = row;
+    }
+
+    /// <summary>
+    /// Freezes the running provider's row in its final state.
+    /// </summary>
+    /// <param name="row">The provider row.</param>
+    /// <param name="state">One of the <see cref="ProviderSyncProgress"/> state names.</param>
+    /// <param name="result">The provider's result, when it got as far as producing one.</param>
+    internal void EndProvider(ProviderSyncProgress row, string state, SyncResult? result)
+    {
+        if (ReferenceEquals(_activeProvider, row))
+        {
+            _activeProvider = null;
+        }
+
+        row.End(state, result);
+    }
+
+    /// <summary>
+    /// Describes what is happening right now, combining the concurrent movie and series phases.
+    /// </summary>
+    /// <returns>The phase text the progress displays show.</returns>
+    internal string DescribePhase()
+    {
+        string moviePhase = MoviePhase;
+        string seriesPhase = SeriesPhase;
+        if (moviePhase.Length > 0 || seriesPhase.Length > 0)
+        {
+            return moviePhase.Length > 0 && seriesPhase.Length > 0 ? moviePhase + " | " + seriesPhase : moviePhase + seriesPhase;
+        }
+
+        return Phase;
     }
 }
 
+/// <summary>
+/// Progress of one provider within a multi-provider sync. Providers run one after another, so
+/// at most one row is <see cref="StateRunning"/>; its counters are fed by <see cref="SyncProgress"/>
+/// while it runs and frozen from the provider's result when it ends.
+/// </summary>
+public class ProviderSyncProgress
+{
+    /// <summary>
+    /// Not reached yet.
+    /// </summary>
+    public const string StatePending = "Pending";
+
+    /// <summary>
+    /// Syncing now.
+    /// </summary>
+    public const string StateRunning = "Running";
+
+    /// <summary>
+    /// Finished.
+    /// </summary>
+    public const string StateCompleted = "Completed";
+
+    /// <summary>
+    /// Stopped by an error; the remaining providers still run.
+    /// </summary>
+    public const string StateFailed = "Failed";
+
+    /// <summary>
+    /// Cancelled on its own or with the whole sync.
+    /// </summary>
+    public const string StateCancelled = "Cancelled";
+
+    private readonly object _lock = new();
+    private int _itemsProcessed;
+    private int _totalItems;
+    private int _categoriesProcessed;
+    private int _totalCategories;
+    private int _errors;
+    private int _moviesCreated;
+    private int _episodesCreated;
+    private string _state = StatePending;
+    private string _phase = string.Empty;
+    private SyncProgress? _owner;
+    private CancellationTokenSource? _cancellation;
+    private bool _cancelRequested;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="ProviderSyncProgress"/> class.
+    /// </summary>
+    /// <param name="providerIndex">Zero-based index of the provider in the Providers list.</param>
+    /// <param name="name">The provider's display name.</param>
+    public ProviderSyncProgress(int providerIndex, string name)
+    {
+        ProviderIndex = providerIndex;
+        Name = name;
+    }
+
+    /// <summary>
+    /// Gets the zero-based index of the provider in the Providers list; what the per-provider cancel takes.
+    /// </summary>
+    public int ProviderIndex { get; }
+
+    /// <summary>
+    /// Gets the provider's display name.
+    /// </summary>
+    public string Name { get; }
+
+    /// <summary>
+    /// Gets the state: Pending, Running, Completed, Failed or Cancelled.
+    /// </summary>
+    public string State
+    {
+        get
+        {
+            lock (_lock)
+            {
+                return _state;
+            }
+        }
+    }
+
+    /// <summary>
+    /// Gets the provider's current phase while it runs, or how it ended.
+    /// </summary>
+    public string Phase
+    {
+        get
+        {
+            lock (_lock)
+            {
+                return _state == StateRunning && _owner != null ? _owner.DescribePhase() : _phase;
+            }
+        }
+    }
+
+    /// <summary>
+    /// Gets the number of items processed for this provider.
+    /// </summary>
+    public int ItemsProcessed => Volatile.Read(ref _itemsProcessed);
+
+    /// <summary>
+    /// Gets the number of items found so far for this provider. Grows batch by batch.
+    /// </summary>
+    public int TotalItems => Volatile.Read(ref _totalItems);
+
+    /// <summary>
+    /// Gets the number of category batches processed for this provider.
+    /// </summary>
+    public int CategoriesProcessed => Volatile.Read(ref _categoriesProcessed);
+
+    /// <summary>
+    /// Gets the number of category batches for this provider.
+    /// </summary>
+    public int TotalCategories => Volatile.Read(ref _totalCategories);
+
+    /// <summary>
+    /// Gets the number of items that failed for this provider.
+    /// </summary>
+    public int Errors => Volatile.Read(ref _errors);
+
+    /// <summary>
+    /// Gets the number of movies created for this provider.
+    /// </summary>
+    public int MoviesCreated
+    {
+        get
+        {
+            lock (_lock)
+            {
+                // SyncMoviesAsync publishes its own running count, which is this provider's alone.
+                return _state == StateRunning && _owner != null ? _owner.MoviesCreated : _moviesCreated;
+            }
+        }
+    }
+
+    /// <summary>
+    /// Gets the number of episodes created for this provider.
+    /// </summary>
+    public int EpisodesCreated
+    {
+        get
+        {
+            lock (_lock)
+            {
+                return _state == StateRunning && _owner != null ? _owner.EpisodesCreated : _episodesCreated;
+            }
+        }
+    }
+
+    /// <summary>
+    /// Gets the time this provider started syncing.
+    /// </summary>
+    public DateTime? StartTime { get; private set; }
+
+    /// <summary>
+    /// Gets the time this provider stopped syncing.
+    /// </summary>
+    public DateTime? EndTime { get; private set; }
+
+    /// <summary>
+    /// Gets a rough estimate of the seconds left for this provider, or null while there is
+    /// too little to go on. Based on the share of category batches done, because the item total
+    /// only grows as each batch is fetched.
+    /// </summary>
+    public int? EstimatedSecondsRemaining
+    {
+        get
+        {
+            if (State != StateRunning || StartTime == null)
+            {
+                return null;
+            }
+
+            double fraction = TotalCategories > 0
+                ? (double)CategoriesProcessed / TotalCategories
+                : TotalItems > 0 ? (double)ItemsProcessed / TotalItems : 0;
+            return EstimateSecondsRemaining(DateTime.UtcNow - StartTime.Value, fraction);
+        }
+    }
+
+    /// <summary>
+    /// Gets a value indicating whether a cancel has been asked for this provider.
+    /// </summary>
+    public bool CancelRequested
+    {
+        get
+        {
+            lock (_lock)
+            {
+                return _cancelRequested;
+            }
+        }
+    }
+
+    /// <summary>
+    /// Extrapolates the time left from the time taken so far.
+    /// </summary>
+    /// <param name="elapsed">Time since the provider started.</param>
+    /// <param name="fractionDone">Share of the work done, from 0 to 1.</param>
+    /// <returns>Whole seconds left, or null when nothing is done yet or everything is.</returns>
+    internal static int? EstimateSecondsRemaining(TimeSpan elapsed, double fractionDone)
+    {
+        if (fractionDone <= 0 || fractionDone >= 1 || elapsed <= TimeSpan.Zero)
+        {
+            return null;
+        }
+
+        return (int)Math.Ceiling(elapsed.TotalSeconds * (1 - fractionDone) / fractionDone);
+    }
+
+    /// <summary>
+    /// Asks this provider to stop. A running provider is cancelled at once; a pending one is
+    /// skipped when its turn comes.
+    /// </summary>
+    /// <returns>True if the provider was still pending or running.</returns>
+    internal bool RequestCancel()
+    {
+        lock (_lock)
+        {
+            if (_state != StatePending && _state != StateRunning)
+            {
+                return false;
+            }
+
+            _cancelRequested = true;
+            _cancellation?.Cancel();
+            return true;
+        }
+    }
+
+    internal void Begin(SyncProgress owner, CancellationTokenSource cancellation)
+    {
+        lock (_lock)
+        {
+            _owner = owner;
+            _cancellation = cancellation;
+            _state = StateRunning;
+            StartTime = DateTime.UtcNow;
+
+            // Lost the race with a cancel that arrived while the provider was pending.
+            if (_cancelRequested)
+            {
+                cancellation.Cancel();
+            }
+        }
+    }
+
+    internal void End(string state, SyncResult? result)
+    {
+        lock (_lock)
+        {
+            _phase = state;
+            _moviesCreated = result?.MoviesCreated ?? _owner?.MoviesCreated ?? 0;
+            _episodesCreated = result?.EpisodesCreated ?? _owner?.EpisodesCreated ?? 0;
+            if (result != null)
+            {
+                Volatile.Write(ref _errors, result.Errors);
+            }
+
+            _state = state;
+            _owner = null;
+            _cancellation = null;
+            EndTime = DateTime.UtcNow;
+        }
+    }
+
+    internal void IncrementItemsProcessed() => Interlocked.Increment(ref _itemsProcessed);
+
+    internal void AddTotalItems(int count) => Interlocked.Add(ref _totalItems, count);
+
+    internal void IncrementCategoriesProcessed() => Interlocked.Increment(ref _categoriesProcessed);
+
+    internal void AddTotalCategories(int count) => Interlocked.Add(ref _totalCategories, count);
+
+    internal void IncrementErrors() => Interlocked.Increment(ref _errors);
+}
+
 /// <summary>
 /// Result of a sync operation.
 /// </summary>
 public class SyncResult
 {
+    /// <summary>
+    /// Maximum number of failed items kept per run in the persisted sync history.
+    /// </summary>
+    internal const int MaxPersistedFailedItems = 100;
+
     private readonly List<FailedItem> _failedItems = new();
     private readonly object _failedItemsLock = new();
     private int _errors;
@@ -4546,7 +5346,8 @@ public class SyncResult
     }
 
     /// <summary>
-    /// Gets the list of failed items. Not persisted to disk.
+    /// Gets the list of failed items. Only the first <see cref="MaxPersistedFailedItems"/> are
+    /// persisted to disk with the sync history.
     /// </summary>
     [JsonIgnore]
     public IReadOnlyList<FailedItem> FailedItems
@@ -4560,6 +5361,26 @@ public class SyncResult
         }
     }
 
+    /// <summary>
+    /// Gets or sets the failed items as written to sync_history.json, so the History tab can still
+    /// show them after a restart. A run against a provider that is down can fail on every item, so
+    /// the list is capped rather than letting the history file grow with the catalogue. The getter
+    /// hands out a copy, so Newtonsoft must replace rather than populate it on load.
+    /// </summary>
+    [JsonProperty("FailedItems", ObjectCreationHandling = ObjectCreationHandling.Replace)]
+    private List<FailedItem> PersistedFailedItems
+    {
+        get
+        {
+            lock (_failedItemsLock)
+            {
+                return _failedItems.Take(MaxPersistedFailedItems).ToList();
+            }
+        }
+
+        set => SetFailedItems(value ?? new List<FailedItem>());
+    }
+
     /// <summary>
     /// Gets the duration of the sync operation.
     /// </summary>
@@ -4581,6 +5402,11 @@ public class SyncResult
     /// </summary>
     public bool WasIncrementalSync { get; set; }
 
+    /// <summary>
+    /// Gets or sets the host each provider was synced from.
+    /// </summary>
+    public List<SyncHostUsage> HostsUsed { get; set; } = new();
+
     /// <summary>
     /// Atomically adds to the Errors counter. Thread-safe for concurrent movie+series sync.
     /// </summary>
@@ -4671,8 +5497,20 @@ public class FailedItem
     public DateTime FailedAt { get; set; } = DateTime.UtcNow;
 
     /// <summary>
-    /// Gets or sets the index into PluginConfiguration.Providers for the provider that owns this item.
-    /// Defaults to 0 for backward compatibility with persisted history.
+    /// Gets or sets the index into PluginConfiguration.Providers for the provider that owns this item,
+    /// at the time of the sync. Defaults to 0 for backward compatibility with persisted history.
     /// </summary>
     public int ProviderIndex { get; set; }
+
+    /// <summary>
+    /// Gets or sets the account key of the provider that owns this item, as
+    /// <see cref="StrmSyncService.SnapshotKey"/>. Retry and ignore find the provider by this, as the
+    /// index no longer points at it once the list is reordered. Empty in history from before the key.
+    /// </summary>
+    public string ProviderKey { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the name of the provider at the time of the sync.
+    /// </summary>
+    public string ProviderName { get; set; } = string.Empty;
 }
@@ -0,0 +1,134 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+using System;
+using System.Collections.Generic;
+using System.Linq;
+
+namespace Jellyfin.Xtream.Library.Service;
+
+/// <summary>
+/// Filtering and paging for the sync history explorer (<c>GET XtreamLibrary/History</c>).
+/// The status and type names are the ones the dashboard badges use, so a filter picks exactly
+/// the rows that show the badge being filtered on.
+/// </summary>
+internal static class SyncHistoryQuery
+{
+    /// <summary>Status of a run that failed.</summary>
+    public const string StatusFailed = "failed";
+
+    /// <summary>Status of a run that succeeded but skipped orphan cleanup.</summary>
+    public const string StatusWarning = "warning";
+
+    /// <summary>Status of a clean run.</summary>
+    public const string StatusSuccess = "success";
+
+    /// <summary>Type of an incremental run.</summary>
+    public const string TypeIncremental = "incremental";
+
+    /// <summary>Type of a full run.</summary>
+    public const string TypeFull = "full";
+
+    /// <summary>
+    /// The largest page a single request may ask for.
+    /// </summary>
+    public const int MaxPageSize = 100;
+
+    /// <summary>
+    /// Returns true if <paramref name="status"/> is empty or one of the known status names.
+    /// </summary>
+    /// <param name="status">The requested status filter.</param>
+    /// <returns>True if the filter can be applied.</returns>
+    public static bool IsValidStatus(string? status)
+        => string.IsNullOrEmpty(status)
+            || string.Equals(status, StatusFailed, StringComparison.OrdinalIgnoreCase)
+            || string.Equals(status, StatusWarning, StringComparison.OrdinalIgnoreCase)
+            || string.Equals(status, StatusSuccess, StringComparison.OrdinalIgnoreCase);
+
+    /// <summary>
+    /// Returns true if <paramref name="type"/> is empty or one of the known type names.
+    /// </summary>
+    /// <param name="type">The requested type filter.</param>
+    /// <returns>True if the filter can be applied.</returns>
+    public static bool IsValidType(string? type)
+        => string.IsNullOrEmpty(type)
+            || string.Equals(type, TypeIncremental, StringComparison.OrdinalIgnoreCase)
+            || string.Equals(type, TypeFull, StringComparison.OrdinalIgnoreCase);
+
+    /// <summary>
+    /// Gets the status name of a run: failed, warning (succeeded but orphan cleanup was skipped)
+    /// or success.
+    /// </summary>
+    /// <param name="result">The sync result.</param>
+    /// <returns>The status name.</returns>
+    public static string StatusOf(SyncResult result)
+    {
+        if (!result.Success)
+        {
+            return StatusFailed;
+        }
+
+        return result.OrphanCleanupSkipped ? StatusWarning : StatusSuccess;
+    }
+
+    /// <summary>
+    /// Filters the history (most recent first) and cuts one page out of it.
+    /// </summary>
+    /// <param name="history">The sync history, most recent first.</param>
+    /// <param name="from">Only runs started at or after this time; null for no lower bound.</param>
+    /// <param name="to">Only runs started before this time; null for no upper bound.</param>
+    /// <param name="status">A status name from <see cref="StatusOf"/>, or null/empty for all.</param>
+    /// <param name="type">"incremental" or "full", or null/empty for all.</param>
+    /// <param name="startIndex">Zero-based index of the first run to return.</param>
+    /// <param name="limit">The page size, capped at <see cref="MaxPageSize"/>.</param>
+    /// <returns>The page and the number of runs that matched the filters.</returns>
+    public static (IReadOnlyList<SyncResult> Items, int TotalRecordCount) Apply(
+        IEnumerable<SyncResult> history,
+        DateTime? from,
+        DateTime? to,
+        string? status,
+        string? type,
+        int startIndex,
+        int limit)
+    {
+        var fromUtc = from?.ToUniversalTime();
+        var toUtc = to?.ToUniversalTime();
+
+        var matches = history.Where(r =>
+        {
+            var started = r.StartTime.ToUniversalTime();
+            if (fromUtc.HasValue && started < fromUtc.Value)
+            {
+                return false;
+            }
+
+            if (toUtc.HasValue && started >= toUtc.Value)
+            {
+                return false;
+            }
+
+            if (!string.IsNullOrEmpty(status) && !string.Equals(StatusOf(r), status, StringComparison.OrdinalIgnoreCase))
+            {
+                return false;
+            }
+
+            if (!string.IsNullOrEmpty(type))
+            {
+                var incremental = string.Equals(type, TypeIncremental, StringComparison.OrdinalIgnoreCase);
+                return r.WasIncrementalSync == incremental;
+            }
+
+            return true;
+        }).ToList();
+
+        var page = matches
+            .Skip(Math.Max(startIndex, 0))
+            .Take(Math.Clamp(limit, 0, MaxPageSize))
+            .ToList();
+        return (page, matches.Count);
+    }
+}
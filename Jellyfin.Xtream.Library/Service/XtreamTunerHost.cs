@@ -104,6 +104,7 @@ public class XtreamTunerHost : ITunerHost
 
         var channels = await _liveTvService.GetFilteredChannelsAsync(cancellationToken).ConfigureAwait(false);
         var categoryNames = await _liveTvService.GetCategoryNameMapAsync(cancellationToken).ConfigureAwait(false);
+        var numbers = ChannelNumbering.Assign(channels, config, categoryNames);
 
         var newMap = new Dictionary<string, string>(channels.Count);
         var newStats = new Dictionary<string, StreamStatsInfo>(channels.Count);
@@ -112,7 +113,7 @@ public class XtreamTunerHost : ITunerHost
         var result = new List<ChannelInfo>(channels.Count);
         foreach (var channel in channels)
         {
-            var channelNumber = channel.Num.ToString(CultureInfo.InvariantCulture);
+            var channelNumber = ChannelNumbering.NumberOf(numbers, channel).ToString(CultureInfo.InvariantCulture);
             var channelId = BuildChannelId(channel.ProviderIndex, channel.StreamId);
 
             if (!newMap.TryAdd(channelNumber, channelId))
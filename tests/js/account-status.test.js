@@ -0,0 +1,105 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// The Provider Accounts card on the dashboard. The server works out the days left and whether
+// they are under the warning; the page has to turn that into the right badge, so an expired or
+// banned account never reads as merely expiring soon, and an unreachable one never as active.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig, element, withDocument } = require('./helpers/config-harness');
+
+const account = (overrides) => Object.assign({
+    ProviderIndex: 0,
+    ProviderName: 'Main',
+    IsEnabled: true,
+    Success: true,
+    Error: null,
+    CheckedAt: '2026-03-01T12:00:00Z',
+    Status: 'Active',
+    IsTrial: false,
+    ExpiresAt: '2026-04-01T00:00:00Z',
+    DaysUntilExpiry: 30,
+    ExpiresSoon: false,
+    ActiveConnections: 1,
+    MaxConnections: 2,
+    AllowedOutputFormats: ['ts', 'm3u8'],
+}, overrides);
+
+test('buildAccountStatusHtml shows expiry, connections and formats of a healthy account', () => {
+    const config = loadConfig();
+    const html = config.buildAccountStatusHtml([account()]);
+
+    assert.match(html, /status-badge-success">Active/);
+    assert.match(html, /\(in 30 days\)/);
+    assert.match(html, /1 of 2 in use/);
+    assert.match(html, /ts, m3u8/);
+});
+
+test('buildAccountStatusHtml picks the most serious badge', () => {
+    const config = loadConfig();
+    const badge = (overrides) => config.buildAccountStatusHtml([account(overrides)]).match(/status-badge-(\w+)">([^<]+)/).slice(1);
+
+    assert.deepStrictEqual(badge({ ExpiresSoon: true, DaysUntilExpiry: 3 }), ['warning', 'Expires soon']);
+    assert.deepStrictEqual(badge({ ExpiresSoon: true, DaysUntilExpiry: -2 }), ['failed', 'Expired']);
+    assert.deepStrictEqual(badge({ Status: 'Banned' }), ['failed', 'Banned']);
+    assert.deepStrictEqual(badge({ Success: false, Error: 'connection refused' }), ['failed', 'Unreachable']);
+});
+
+test('buildAccountStatusHtml reports the error of an unreachable provider and marks a disabled one', () => {
+    const config = loadConfig();
+    const html = config.buildAccountStatusHtml([account({ Success: false, Error: 'connection refused', IsEnabled: false })]);
+
+    assert.match(html, /connection refused/);
+    assert.match(html, /\(disabled\)/);
+    assert.doesNotMatch(html, /in use/);
+});
+
+test('buildAccountStatusHtml flags an account with every connection in use', () => {
+    const config = loadConfig();
+
+    assert.match(config.buildAccountStatusHtml([account({ ActiveConnections: 2 })]), /color: orange;">2 of 2 in use/);
+    assert.doesNotMatch(config.buildAccountStatusHtml([account({ ActiveConnections: 0, MaxConnections: 0 })]), /color: orange/);
+});
+
+test('describeAccountExpiry words the days left', () => {
+    const config = loadConfig();
+
+    assert.strictEqual(config.describeAccountExpiry(account({ ExpiresAt: null, DaysUntilExpiry: null })), 'never');
+    assert.match(config.describeAccountExpiry(account({ DaysUntilExpiry: 1 })), /\(in 1 day\)$/);
+    assert.match(config.describeAccountExpiry(account({ DaysUntilExpiry: 0, ExpiresSoon: true })), /^<span style="color: orange;">.*\(today\)<\/span>$/);
+    assert.match(config.describeAccountExpiry(account({ DaysUntilExpiry: -1 })), /\(1 day ago\)$/);
+});
+
+test('loadAccountStatus only asks the providers again on a refresh', async () => {
+    const config = loadConfig();
+    const elements = { dashboardAccounts: element(), dashboardAccountsStatus: element() };
+    const restore = withDocument(elements);
+    const urls = [];
+    global.ApiClient = { getUrl: (path, params) => '/' + path + '?' + new URLSearchParams(params), accessToken: () => 'token' };
+    const previousFetch = global.fetch;
+    global.fetch = (url) => {
+        urls.push(url);
+        return Promise.resolve({ ok: true, json: () => Promise.resolve([account()]) });
+    };
+
+    try {
+        config.loadAccountStatus(false);
+        config.loadAccountStatus(true);
+        await new Promise((resolve) => setImmediate(resolve));
+
+        assert.deepStrictEqual(urls, ['/XtreamLibrary/Accounts?', '/XtreamLibrary/Accounts?refresh=true']);
+        assert.match(elements.dashboardAccounts.innerHTML, /Main/);
+        assert.strictEqual(elements.dashboardAccountsStatus.innerHTML, '');
+    } finally {
+        global.fetch = previousFetch;
+        delete global.ApiClient;
+        restore();
+    }
+});
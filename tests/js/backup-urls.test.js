@@ -0,0 +1,112 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// Backup base URLs. The list is kept as typed while it is edited, and the sync tries it in the
+// order it is saved in, so what matters is that the save writes a tidy list in the order shown,
+// and that Test logs in to the backup itself with the credentials on the form.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig, element, withDocument } = require('./helpers/config-harness');
+
+test('readBackupBaseUrls drops blanks, repeats and the Base URL, and keeps the order', () => {
+    const config = loadConfig();
+    config.backupBaseUrls = [' http://b.test/ ', '', 'HTTP://PRIMARY.TEST', 'http://a.test', 'http://B.test'];
+
+    assert.deepStrictEqual(config.readBackupBaseUrls('http://primary.test/'), ['http://b.test', 'http://a.test']);
+});
+
+test('moveBackupBaseUrl reorders within the list and ignores moves past either end', () => {
+    const config = loadConfig();
+    config.backupBaseUrls = ['a', 'b', 'c'];
+
+    config.moveBackupBaseUrl(2, 1);
+    assert.deepStrictEqual(config.backupBaseUrls, ['a', 'c', 'b']);
+
+    config.moveBackupBaseUrl(0, -1);
+    config.moveBackupBaseUrl(2, 3);
+    assert.deepStrictEqual(config.backupBaseUrls, ['a', 'c', 'b']);
+});
+
+test('renderBackupBaseUrls numbers the rows and disables the moves that go nowhere', () => {
+    const config = loadConfig();
+    config.backupBaseUrls = ['http://a.test', 'http://b.test'];
+    const list = element();
+    const restore = withDocument({ backupBaseUrlList: list });
+
+    try {
+        config.renderBackupBaseUrls();
+        const rows = list.innerHTML.split('<div class="backup-url-row">');
+        assert.match(rows[1], /folder-count-badge">1</);
+        assert.match(rows[1], /value="http:\/\/a\.test"/);
+        assert.match(rows[1], /data-action="up" data-backup-index="0" title="Try earlier" disabled/);
+        assert.doesNotMatch(rows[1], /data-action="down"[^>]* disabled/);
+        assert.match(rows[2], /data-action="down" data-backup-index="1" title="Try later" disabled/);
+
+        config.backupBaseUrls = [];
+        config.renderBackupBaseUrls();
+        assert.match(list.innerHTML, /No backup URLs/);
+    } finally {
+        restore();
+    }
+});
+
+test('testBackupBaseUrl logs in to the backup with the credentials on the form', async () => {
+    const config = loadConfig();
+    config.backupBaseUrls = ['http://backup.test/', 'backup.test'];
+    const elements = {
+        txtUsername: element({ value: ' user ' }),
+        txtPassword: element({ value: 'secret' }),
+        backupUrlStatus0: element(),
+        backupUrlStatus1: element(),
+    };
+    const restore = withDocument(elements);
+    const requests = [];
+    global.ApiClient = { getUrl: (path) => '/' + path, accessToken: () => 'token' };
+    const previousFetch = global.fetch;
+    global.fetch = (url, options) => {
+        requests.push([url, JSON.parse(options.body)]);
+        return Promise.resolve({ json: () => Promise.resolve({ Success: false, Message: 'Connection failed: refused' }) });
+    };
+
+    try {
+        await config.testBackupBaseUrl(1);
+        assert.strictEqual(requests.length, 0);
+        assert.match(elements.backupUrlStatus1.innerHTML, /Invalid URL format/);
+
+        await config.testBackupBaseUrl(0);
+        assert.deepStrictEqual(requests, [[
+            '/XtreamLibrary/TestConnection',
+            { BaseUrl: 'http://backup.test', Username: 'user', Password: 'secret' },
+        ]]);
+        assert.match(elements.backupUrlStatus0.innerHTML, /color: red;">Connection failed: refused/);
+    } finally {
+        global.fetch = previousFetch;
+        delete global.ApiClient;
+        restore();
+    }
+});
+
+test('buildSyncHostsHtml names the provider only when there are several and flags a backup', () => {
+    const config = loadConfig();
+
+    assert.strictEqual(config.buildSyncHostsHtml({}), '');
+
+    const single = config.buildSyncHostsHtml({ HostsUsed: [{ ProviderName: 'Main', BaseUrl: 'http://primary.test', IsBackup: false }] });
+    assert.doesNotMatch(single, /Main/);
+    assert.doesNotMatch(single, /Backup host/);
+
+    const several = config.buildSyncHostsHtml({
+        HostsUsed: [
+            { ProviderName: 'Main', BaseUrl: 'http://primary.test', IsBackup: false },
+            { ProviderName: 'Second', BaseUrl: 'http://backup.test', IsBackup: true },
+        ],
+    });
+    assert.match(several, /Second: <code>http:\/\/backup\.test<\/code> <span class="status-badge status-badge-warning">Backup host/);
+});
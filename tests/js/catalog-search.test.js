@@ -0,0 +1,203 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// The catalogue search on the Library tab. The server says where a hit lives and whether it is
+// on disk; whether it is excluded is the page's own, possibly unsaved, state, which sits in a
+// different place for the provider being edited than for the others. These tests pin down that
+// both are read and written where the rest of the page expects them. Hits name their provider by
+// its place in the saved list, which the page may have reordered since, so they are matched to the
+// page's providers by account.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig, element, withDocument } = require('./helpers/config-harness');
+
+const hit = (overrides) => Object.assign({
+    ProviderIndex: 0,
+    ProviderName: 'Main',
+    ItemType: 'Movie',
+    ItemId: 100,
+    Name: 'Heat (1995)',
+    CategoryId: 1,
+    CategoryName: 'EN | Action',
+    Folders: ['Action'],
+    CategorySelected: true,
+    Synced: false,
+}, overrides);
+
+const account = (name, extra) => Object.assign({ Name: name, BaseUrl: 'http://' + name.toLowerCase() + '.test', Username: 'u' }, extra);
+
+/** Sets the saved baseline to the page's providers, in the given order of page indexes. */
+function saveProviders(config, order) {
+    config.savedState = {
+        Providers: (order || config.providers.map((p, i) => i)).map((i) => ({ BaseUrl: config.providers[i].BaseUrl, Username: config.providers[i].Username })),
+    };
+}
+
+test('buildCatalogSearchQuery leaves out the filters that are not set', () => {
+    const config = loadConfig();
+    config.providers = [account('Main')];
+    saveProviders(config);
+
+    assert.deepStrictEqual(config.buildCatalogSearchQuery('heat', '', ''), { search: 'heat', limit: 200 });
+    assert.deepStrictEqual(
+        config.buildCatalogSearchQuery('heat', '0', 'Series'),
+        { search: 'heat', limit: 200, providerIndex: 0, type: 'Series' });
+});
+
+test('buildCatalogSearchQuery names the provider by its saved place, and not at all before it is saved', () => {
+    const config = loadConfig();
+    config.providers = [account('Backup'), account('Main'), account('New')];
+    saveProviders(config, [1, 0]);
+
+    assert.strictEqual(config.buildCatalogSearchQuery('heat', '0', '').providerIndex, 1);
+    assert.strictEqual(config.buildCatalogSearchQuery('heat', '1', '').providerIndex, 0);
+    assert.strictEqual(config.buildCatalogSearchQuery('heat', '2', ''), null);
+});
+
+test('isCatalogItemExcluded reads the edited provider from the page and the others from their config', () => {
+    const config = loadConfig();
+    config.providers = [account('Main', { ExcludedVodStreamIds: [] }), account('Backup', { ExcludedSeriesIds: [7] })];
+    saveProviders(config);
+    config.activeProviderIndex = 0;
+    config.excludedVodStreamIds = [100];
+
+    assert.strictEqual(config.isCatalogItemExcluded(hit()), true);
+    assert.strictEqual(config.isCatalogItemExcluded(hit({ ItemType: 'Series' })), false);
+    assert.strictEqual(config.isCatalogItemExcluded(hit({ ProviderIndex: 1, ItemType: 'Series', ItemId: 7 })), true);
+    assert.strictEqual(config.isCatalogItemExcluded(hit({ ProviderIndex: 1 })), false);
+});
+
+test('isCatalogItemExcluded finds the hit\'s provider on a page whose list was reordered', () => {
+    const config = loadConfig();
+    config.providers = [account('Backup', { ExcludedVodStreamIds: [] }), account('Main', { ExcludedVodStreamIds: [100] })];
+    saveProviders(config, [1, 0]);
+    config.activeProviderIndex = 0;
+    config.excludedVodStreamIds = [];
+
+    assert.strictEqual(config.isCatalogItemExcluded(hit({ ProviderIndex: 0 })), true);
+    assert.strictEqual(config.isCatalogItemExcluded(hit({ ProviderIndex: 1 })), false);
+});
+
+test('buildCatalogSearchHtml shows where each hit lives and why it is or is not synced', () => {
+    const config = loadConfig();
+    config.providers = [account('Main')];
+    saveProviders(config);
+    config.excludedVodStreamIds = [300];
+    const html = config.buildCatalogSearchHtml({
+        Hits: [
+            hit({ Synced: true }),
+            hit({ ItemId: 200, Name: 'Robin Hood', CategoryName: null, CategoryId: 9, Folders: [], CategorySelected: false }),
+            hit({ ItemId: 300, Name: 'Ronin' }),
+        ],
+        TotalCount: 250,
+        Errors: ['Backup: connection refused'],
+    });
+
+    assert.match(html, /Could not search Backup: connection refused/);
+    assert.match(html, /<td>EN \| Action<\/td><td>Action<\/td><td><span style="color: green;">Synced<\/span>/);
+    assert.match(html, /#9<\/span><\/td><td><span class="library-missing">\(root\)<\/span><\/td><td><span class="library-missing">Category not selected/);
+    assert.match(html, /Excluded<\/span><\/td><td><button[^>]*toggleCatalogExclusion\(2\)"><span>Include/);
+    assert.match(html, /Showing the first 3 of 250 matches/);
+    assert.doesNotMatch(html, /<th>Provider<\/th>/);
+});
+
+test('toggleCatalogExclusion edits the edited provider through the category lists\' state', () => {
+    const config = loadConfig();
+    config.providers = [account('Main')];
+    saveProviders(config);
+    config.activeProviderIndex = 0;
+    config.excludedVodStreamIds = [];
+    config.contentItemsByCategory = { vod: { 1: [{ StreamId: 100, Name: 'Heat (1995)' }] }, series: {} };
+    config.catalogSearchResult = { Hits: [hit()], TotalCount: 1, Errors: [] };
+    const redrawn = [];
+    config.renderContentItems = (type, categoryId) => redrawn.push([type, categoryId]);
+    const elements = { catalogSearchResults: element() };
+    const restore = withDocument(elements);
+
+    try {
+        config.toggleCatalogExclusion(0);
+        assert.deepStrictEqual(config.excludedVodStreamIds, [100]);
+        assert.deepStrictEqual(redrawn, [['vod', 1]]);
+        assert.match(elements.catalogSearchResults.innerHTML, /<span>Include<\/span>/);
+
+        config.toggleCatalogExclusion(0);
+        assert.deepStrictEqual(config.excludedVodStreamIds, []);
+    } finally {
+        restore();
+    }
+});
+
+test('toggleCatalogExclusion edits another provider in its config, which the save writes out', () => {
+    const config = loadConfig();
+    config.providers = [account('Main'), account('Backup')];
+    saveProviders(config);
+    config.activeProviderIndex = 0;
+    config.excludedSeriesIds = [];
+    config.catalogSearchResult = { Hits: [hit({ ProviderIndex: 1, ItemType: 'Series', ItemId: 7 })], TotalCount: 1, Errors: [] };
+    const restore = withDocument({ catalogSearchResults: element() });
+
+    try {
+        config.toggleCatalogExclusion(0);
+        assert.deepStrictEqual(config.providers[1].ExcludedSeriesIds, [7]);
+        assert.deepStrictEqual(config.excludedSeriesIds, []);
+    } finally {
+        restore();
+    }
+});
+
+test('runCatalogSearch waits for two characters and ignores an answer for an older search', async () => {
+    const config = loadConfig();
+    config.providers = [account('Main')];
+    saveProviders(config);
+    const elements = {
+        catalogSearch: element({ value: 'h' }),
+        catalogSearchProvider: element({ value: '0' }),
+        catalogSearchType: element({ value: '' }),
+        catalogSearchStatus: element(),
+        catalogSearchResults: element({ innerHTML: 'old' }),
+    };
+    const restore = withDocument(elements);
+    const requests = [];
+    const answers = [];
+    global.ApiClient = { getUrl: (path, params) => '/' + path + '?' + new URLSearchParams(params), accessToken: () => 'token' };
+    const previousFetch = global.fetch;
+    global.fetch = (url) => {
+        requests.push(url);
+        return new Promise((resolve) => answers.push(resolve));
+    };
+    const respond = (index, result) => answers[index]({ ok: true, json: () => Promise.resolve(result) });
+
+    try {
+        config.runCatalogSearch();
+        assert.strictEqual(requests.length, 0);
+        assert.strictEqual(elements.catalogSearchResults.innerHTML, '');
+
+        elements.catalogSearch.value = 'he';
+        config.runCatalogSearch();
+        elements.catalogSearch.value = 'heat';
+        config.runCatalogSearch();
+        assert.deepStrictEqual(requests, [
+            '/XtreamLibrary/Catalog/Search?search=he&limit=200&providerIndex=0',
+            '/XtreamLibrary/Catalog/Search?search=heat&limit=200&providerIndex=0',
+        ]);
+
+        respond(1, { Hits: [hit()], TotalCount: 1, Errors: [] });
+        await new Promise((resolve) => setImmediate(resolve));
+        respond(0, { Hits: [hit({ Name: 'Stale' })], TotalCount: 1, Errors: [] });
+        await new Promise((resolve) => setImmediate(resolve));
+
+        assert.match(elements.catalogSearchResults.innerHTML, /Heat \(1995\)/);
+        assert.doesNotMatch(elements.catalogSearchResults.innerHTML, /Stale/);
+    } finally {
+        global.fetch = previousFetch;
+        delete global.ApiClient;
+        restore();
+    }
+});
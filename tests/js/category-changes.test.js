@@ -0,0 +1,151 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// New and gone categories. Each provider keeps the categories it listed at the last save, and the
+// category lists compare against that. The snapshot must only be taken from lists that were
+// loaded for that provider, or one provider's categories become another's "known" ones, and only
+// by a save that goes ahead. A provider saved before there was a snapshot must not show its whole
+// catalogue as new.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig, element, withDocument } = require('./helpers/config-harness');
+
+const category = (id, name) => ({ CategoryId: id, CategoryName: name, ParentId: 0 });
+
+test('diffKnownCategories finds what was added and dropped, and nothing without a snapshot', () => {
+    const config = loadConfig();
+    const known = [category(1, 'EN | Action'), category(2, 'EN | Kids')];
+
+    assert.deepStrictEqual(config.diffKnownCategories([], [category(1, 'EN | Action')]), { newIds: [], gone: [] });
+    assert.deepStrictEqual(config.diffKnownCategories(undefined, [category(1, 'EN | Action')]), { newIds: [], gone: [] });
+    assert.deepStrictEqual(
+        config.diffKnownCategories(known, [category(1, 'EN | Action'), category(3, 'EN | 4K')]),
+        { newIds: [3], gone: [category(2, 'EN | Kids')] });
+});
+
+test('rememberKnownCategories snapshots only the lists that were loaded', () => {
+    const config = loadConfig();
+    config.providers = [{ KnownVodCategories: [], KnownSeriesCategories: [{ CategoryId: 9, CategoryName: 'Old' }] }];
+    config.activeProviderIndex = 0;
+    config.vodCategories = [category(1, 'EN | Action')];
+    config.seriesCategories = [];
+
+    config.rememberKnownCategories();
+
+    assert.deepStrictEqual(config.providers[0].KnownVodCategories, [{ CategoryId: 1, CategoryName: 'EN | Action' }]);
+    assert.deepStrictEqual(config.providers[0].KnownSeriesCategories, [{ CategoryId: 9, CategoryName: 'Old' }]);
+});
+
+test('saveConfig snapshots the categories only once the save goes ahead', async () => {
+    const setUp = (problems) => {
+        const config = loadConfig();
+        config.providers = [{ Name: 'Main', KnownVodCategories: [], KnownSeriesCategories: [] }];
+        config.activeProviderIndex = 0;
+        config.vodCategories = [category(1, 'EN | Action')];
+        config.updateActiveProviderFromUI = () => {};
+        config.collectFieldErrors = () => [];
+        config.renderFieldErrors = () => {};
+        config.findEmptyFolderModeContent = () => null;
+        config.captureConfigState = () => ({});
+        config.findInvalidRegexPatterns = () => Promise.resolve(problems);
+        return config;
+    };
+    global.Dashboard = { showLoadingMsg: () => {}, hideLoadingMsg: () => {}, alert: () => {} };
+    let written = null;
+    global.ApiClient = {
+        getPluginConfiguration: () => {
+            written = JSON.parse(JSON.stringify(refused.providers.concat(accepted.providers)));
+            return new Promise(() => {});
+        },
+    };
+    const refused = setUp(['"Main": line 1, (unclosed']);
+    const accepted = setUp([]);
+
+    try {
+        refused.saveConfig();
+        await new Promise((resolve) => setImmediate(resolve));
+        assert.strictEqual(written, null);
+        assert.deepStrictEqual(refused.providers[0].KnownVodCategories, []);
+
+        accepted.saveConfig();
+        await new Promise((resolve) => setImmediate(resolve));
+        assert.deepStrictEqual(written[1].KnownVodCategories, [{ CategoryId: 1, CategoryName: 'EN | Action' }]);
+    } finally {
+        delete global.Dashboard;
+        delete global.ApiClient;
+    }
+});
+
+test('renderCategoryChanges counts the changes and points out a gone category still in use', () => {
+    const config = loadConfig();
+    config.categoryChanges.vod = { newIds: [3], gone: [category(2, 'EN | Kids'), category(4, 'EN | Docs')] };
+    config.vodFolderDefinitions = [{ name: 'Kids', categoryIds: [2] }];
+    const elements = { vodCategoryChanges: element(), selMovieFolderMode: element({ value: 'Multiple' }) };
+    const restore = withDocument(elements);
+
+    try {
+        config.renderCategoryChanges('vod');
+        const html = elements.vodCategoryChanges.innerHTML;
+        assert.strictEqual(elements.vodCategoryChanges.style.display, 'block');
+        assert.match(html, /1 new, 2 gone/);
+        assert.match(html, /Show only new/);
+        assert.match(html, /<li class="category-gone-used"><span class="category-gone-badge">Gone<\/span> EN \| Kids .* &middot; still in folder &quot;Kids&quot;/);
+        assert.match(html, /<li><span class="category-gone-badge">Gone<\/span> EN \| Docs/);
+
+        elements.selMovieFolderMode.value = 'Single';
+        config.selectedVodCategoryIds = [4];
+        config.renderCategoryChanges('vod');
+        assert.match(elements.vodCategoryChanges.innerHTML, /EN \| Docs .* &middot; still selected/);
+
+        config.categoryChanges.vod = { newIds: [], gone: [] };
+        config.renderCategoryChanges('vod');
+        assert.strictEqual(elements.vodCategoryChanges.style.display, 'none');
+    } finally {
+        restore();
+    }
+});
+
+test('renderCategoryList badges the new categories and hides the rest when asked to', () => {
+    const config = loadConfig();
+    config.categoryChanges.vod = { newIds: [3], gone: [] };
+    config.categoryNewOnly.vod = true;
+    const list = element();
+    const restore = withDocument({ vodCategoryList: list });
+
+    try {
+        config.renderCategoryList('vod', [category(1, 'EN | Action'), category(3, 'EN | 4K')], []);
+        const rows = list.innerHTML.split('<div class="content-cat-row"');
+        assert.match(rows[1], /^ data-cat-id="1" data-content-type="vod" style="display: none;">/);
+        assert.doesNotMatch(rows[1], /category-new-badge/);
+        assert.match(rows[2], /^ data-cat-id="3" data-content-type="vod">/);
+        assert.match(rows[2], /EN \| 4K <small[^<]*<\/small> <span class="category-new-badge">New<\/span>/);
+    } finally {
+        restore();
+    }
+});
+
+test('renderFolderList names a gone category in a folder by its last known name', () => {
+    const config = loadConfig();
+    config.providers = [{ KnownVodCategories: [{ CategoryId: 2, CategoryName: 'EN | Kids' }] }];
+    config.activeProviderIndex = 0;
+    config.vodCategories = [category(1, 'EN | Action')];
+    config.vodFolderDefinitions = [{ name: 'Kids', categoryIds: [2, 7] }];
+    config.updateFolderRulePreview = () => {};
+    const list = element();
+    const restore = withDocument({ vodFolderList: list });
+
+    try {
+        config.renderFolderList('vod');
+        assert.match(list.innerHTML, /<span class="category-gone-badge">Gone<\/span> EN \| Kids <small[^>]*>\(2\)/);
+        assert.match(list.innerHTML, /Missing category <small[^>]*>\(7\)/);
+    } finally {
+        restore();
+    }
+});
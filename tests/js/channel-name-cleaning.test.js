@@ -0,0 +1,145 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// The channel name cleaning tester. The cleaning itself runs on the server, so what these tests
+// pin down is the page's side: which names it sends, with the settings as they are on screen,
+// how it spots the names that collapse into one or come out empty, and that a slow answer for
+// an older edit never replaces the answer for the latest one.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig, element, withDocument } = require('./helpers/config-harness');
+
+const RESULTS = [
+    { Original: 'UK: BBC One HD', Cleaned: 'BBC One', Emptied: false },
+    { Original: 'BBC ONE FHD', Cleaned: 'BBC ONE', Emptied: false },
+    { Original: 'CNN', Cleaned: 'CNN', Emptied: false },
+    { Original: 'UK: 1080p', Cleaned: 'UK: 1080p', Emptied: true },
+];
+
+test('getCleaningTestNames takes each loaded name once, in name order', () => {
+    const config = loadConfig();
+    config.liveChannelsByCategory = {
+        1: [{ StreamId: 10, Name: 'Sky News' }, { StreamId: 11, Name: 'BBC One' }],
+        2: [{ StreamId: 12, Name: 'BBC One' }, { StreamId: 13, Name: '' }],
+    };
+
+    assert.deepStrictEqual(config.getCleaningTestNames(), ['BBC One', 'Sky News']);
+});
+
+test('analyzeCleanedNames flags names that clean to the same name, ignoring case', () => {
+    const config = loadConfig();
+    const analysis = config.analyzeCleanedNames(RESULTS);
+
+    assert.deepStrictEqual(analysis.rows[0].duplicateOf, ['BBC ONE FHD']);
+    assert.deepStrictEqual(analysis.rows[1].duplicateOf, ['UK: BBC One HD']);
+    assert.deepStrictEqual(analysis.rows[2].duplicateOf, []);
+    assert.strictEqual(analysis.rows[2].changed, false);
+    assert.deepStrictEqual(analysis.summary, { total: 4, changed: 2, emptied: 1, duplicates: 2 });
+});
+
+test('analyzeCleanedNames does not count an emptied name as a duplicate of its original', () => {
+    const config = loadConfig();
+    const analysis = config.analyzeCleanedNames([
+        { Original: 'UK: 1080p', Cleaned: 'UK: 1080p', Emptied: true },
+        { Original: 'UK: 1080p', Cleaned: 'UK: 1080p', Emptied: false },
+    ]);
+
+    assert.deepStrictEqual(analysis.rows[0].duplicateOf, []);
+    assert.deepStrictEqual(analysis.rows[1].duplicateOf, []);
+    assert.strictEqual(analysis.rows[0].emptied, true);
+    assert.strictEqual(analysis.rows[0].changed, false);
+});
+
+test('buildCleaningTestHtml filters to the problems and searches both names', () => {
+    const config = loadConfig();
+    const analysis = config.analyzeCleanedNames(RESULTS);
+
+    const problems = config.buildCleaningTestHtml(analysis, 'problems', '', 500);
+    assert.match(problems, /Same name as BBC ONE FHD/);
+    assert.match(problems, /Emptied; the original name is kept/);
+    assert.doesNotMatch(problems, /<td>CNN<\/td>/);
+    assert.match(problems, /2 of 4 names change/);
+
+    const search = config.buildCleaningTestHtml(analysis, 'all', 'cnn', 500);
+    assert.match(search, /<td>CNN<\/td>/);
+    assert.doesNotMatch(search, /BBC/);
+
+    const changed = config.buildCleaningTestHtml(analysis, 'changed', 'sky', 500);
+    assert.match(changed, /No channels match/);
+});
+
+test('buildCleaningTestHtml says when the list is cut short', () => {
+    const config = loadConfig();
+    const html = config.buildCleaningTestHtml(config.analyzeCleanedNames(RESULTS), 'all', '', 1);
+
+    assert.match(html, /Showing the first 1 of 4 channels/);
+});
+
+test('runCleaningTest sends the unsaved settings and ignores an answer for an older edit', async () => {
+    const config = loadConfig();
+    config.liveChannelsByCategory = { 1: [{ StreamId: 10, Name: 'UK: BBC One HD' }] };
+    const elements = {
+        cleaningTestStatus: element(),
+        cleaningTestPanel: element({ style: { display: 'none' } }),
+        cleaningTestResults: element(),
+        selCleaningTestFilter: element({ value: 'all' }),
+        cleaningTestSearch: element(),
+        txtChannelRemoveTerms: element({ value: 'FHD' }),
+        chkEnableChannelNameCleaning: element({ checked: true }),
+    };
+    const restore = withDocument(elements);
+    const requests = [];
+    const answers = [];
+    global.ApiClient = { getUrl: (path) => '/' + path, accessToken: () => 'token' };
+    const previousFetch = global.fetch;
+    global.fetch = (url, options) => {
+        requests.push({ url, body: JSON.parse(options.body) });
+        return new Promise((resolve) => answers.push(resolve));
+    };
+    const respond = (index, results) => answers[index]({ ok: true, json: () => Promise.resolve(results) });
+
+    try {
+        config.runCleaningTest();
+        elements.txtChannelRemoveTerms.value = 'HD';
+        config.runCleaningTest();
+
+        assert.strictEqual(elements.cleaningTestPanel.style.display, 'block');
+        assert.deepStrictEqual(requests.map((r) => r.url), ['/XtreamLibrary/LiveTv/CleanNames', '/XtreamLibrary/LiveTv/CleanNames']);
+        assert.deepStrictEqual(requests[1].body, { Names: ['UK: BBC One HD'], RemoveTerms: 'HD', EnableCleaning: true });
+
+        respond(1, [{ Original: 'UK: BBC One HD', Cleaned: 'BBC One', Emptied: false }]);
+        await new Promise((resolve) => setImmediate(resolve));
+        respond(0, [{ Original: 'UK: BBC One HD', Cleaned: 'Stale', Emptied: false }]);
+        await new Promise((resolve) => setImmediate(resolve));
+
+        assert.match(elements.cleaningTestResults.innerHTML, /BBC One/);
+        assert.doesNotMatch(elements.cleaningTestResults.innerHTML, /Stale/);
+    } finally {
+        global.fetch = previousFetch;
+        delete global.ApiClient;
+        restore();
+    }
+});
+
+test('runCleaningTest asks for channels when none are loaded', () => {
+    const config = loadConfig();
+    const elements = {
+        cleaningTestStatus: element(),
+        cleaningTestPanel: element({ style: { display: 'none' } }),
+        cleaningTestResults: element(),
+    };
+    const restore = withDocument(elements);
+    try {
+        config.runCleaningTest();
+        assert.match(elements.cleaningTestStatus.innerHTML, /No channels loaded/);
+    } finally {
+        restore();
+    }
+});
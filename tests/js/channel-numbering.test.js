@@ -0,0 +1,92 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// Channel numbering. The per-category starts are stored as CategoryId=Start lines that the
+// server skips when unreadable, so the page keeps them by ID as typed and refuses to save a bad
+// one; the preview has to ask for exactly the settings on screen, not the saved ones.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig } = require('./helpers/config-harness');
+
+test('parseChannelNumberingStarts / buildChannelNumberingStarts', async (t) => {
+    await t.test('round-trips by category ID in ID order, dropping empty starts', () => {
+        const config = loadConfig();
+        const starts = config.parseChannelNumberingStarts('20=200\r\n5 = 50\nbad\n=1');
+
+        assert.deepStrictEqual(starts, { 20: '200', 5: '50' });
+        starts[7] = '';
+        assert.strictEqual(config.buildChannelNumberingStarts(starts), '5=50\n20=200');
+    });
+});
+
+test('findInvalidChannelNumberingStarts', async (t) => {
+    await t.test('names the category of a start the server would skip', () => {
+        const config = loadConfig();
+        config.liveCategories = [{ CategoryId: 5, CategoryName: 'Sports' }];
+        config.channelNumberingStarts = { 5: '0', 6: 'x', 7: '100', 8: '' };
+
+        assert.deepStrictEqual(config.findInvalidChannelNumberingStarts(), [
+            'First channel number of category "Sports" must be a whole number from 1 to 99999.',
+            'First channel number of category "6" must be a whole number from 1 to 99999.',
+        ]);
+    });
+});
+
+test('buildChannelNumberingPreviewUrl', async (t) => {
+    await t.test('sends the category starts only for per-category numbering', () => {
+        const config = loadConfig();
+        assert.strictEqual(
+            config.buildChannelNumberingPreviewUrl('SequentialPerCategory', 1, '5=50\n20=200'),
+            'XtreamLibrary/LiveTv/NumberingPreview?mode=SequentialPerCategory&start=1&categoryStarts=5%3D50%0A20%3D200');
+        assert.strictEqual(
+            config.buildChannelNumberingPreviewUrl('GlobalSequence', 100, '5=50'),
+            'XtreamLibrary/LiveTv/NumberingPreview?mode=GlobalSequence&start=100');
+    });
+});
+
+test('buildChannelNumberingStartsHtml', async (t) => {
+    await t.test('lists the loaded categories in the provider\'s order, the order they are numbered in', () => {
+        const config = loadConfig();
+        const html = config.buildChannelNumberingStartsHtml(
+            [{ CategoryId: 2, CategoryName: 'sports' }, { CategoryId: 1, CategoryName: 'News' }], { 2: '500' });
+
+        assert.ok(html.indexOf('sports') < html.indexOf('News'));
+        assert.match(html, /value="500"[^>]*setChannelNumberingStart\(2, this\.value\)/);
+    });
+
+    await t.test('asks for the categories before there are any', () => {
+        const config = loadConfig();
+        assert.match(config.buildChannelNumberingStartsHtml([], {}), /Load the Live TV categories/);
+    });
+});
+
+test('buildChannelNumberingPreviewHtml', async (t) => {
+    const preview = [
+        { StreamId: 1, Name: 'BBC One', Category: 'General', CurrentNumber: 1, Number: 1, Manual: true },
+        { StreamId: 2, Name: 'Sky Sports', Category: 'Sports', CurrentNumber: 40, Number: 2, Manual: false },
+        { StreamId: 3, Name: 'CNN', Category: null, CurrentNumber: 7, Number: 3, Manual: false },
+    ];
+
+    await t.test('counts the channels that change and marks override numbers', () => {
+        const config = loadConfig();
+        const html = config.buildChannelNumberingPreviewHtml(preview, 500);
+
+        assert.match(html, /2 of 3 channels get a new number; 1 keep the number set in their channel override\./);
+        assert.match(html, /1 <small[^>]*>\(override\)/);
+    });
+
+    await t.test('caps the rows it draws', () => {
+        const config = loadConfig();
+        const html = config.buildChannelNumberingPreviewHtml(preview, 2);
+
+        assert.doesNotMatch(html, /CNN/);
+        assert.match(html, /Showing the first 2 of 3 channels/);
+    });
+});
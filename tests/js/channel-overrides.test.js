@@ -0,0 +1,148 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// The channel override grid. ChannelOverrides keeps its StreamId=Name|Number|Logo|Tags text
+// format, so the grid has to write untouched lines back as they were, drop the trailing empty
+// fields of edited ones, and point out the typos ChannelOverrideParser would quietly skip.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig, element, withDocument } = require('./helpers/config-harness');
+
+const STORED = '# news\n123=BBC One\n456=CNN|2\n789=Sky News|5|http://logo.png\n987=|||sports, news\nnot an override';
+
+test('parseChannelOverrideRows / buildChannelOverrides', async (t) => {
+    await t.test('reads the fields and round-trips the stored text', () => {
+        const config = loadConfig();
+        const rows = config.parseChannelOverrideRows(STORED + '\r\n\r\n');
+
+        assert.deepStrictEqual(rows[3], {
+            streamId: '789', name: 'Sky News', number: '5', logo: 'http://logo.png', tags: '', raw: '789=Sky News|5|http://logo.png',
+        });
+        assert.strictEqual(rows[4].tags, 'sports, news');
+        assert.deepStrictEqual(rows[5], { raw: 'not an override' });
+        assert.strictEqual(config.buildChannelOverrides(rows), STORED);
+    });
+
+    await t.test('writes edited rows without trailing empty fields, and drops empty ones', () => {
+        const config = loadConfig();
+        assert.strictEqual(
+            config.buildChannelOverrides([
+                { streamId: '101', name: '', number: '10', logo: '', tags: '' },
+                { streamId: '987', name: '', number: '', logo: '', tags: ' sports , ,news ' },
+                { streamId: '5', name: '', number: '', logo: '', tags: '' },
+            ]),
+            '101=|10\n987=|||sports,news');
+    });
+});
+
+test('validateChannelOverrideRows', async (t) => {
+    await t.test('flags what ChannelOverrideParser would misread or skip', () => {
+        const config = loadConfig();
+        const rows = config.parseChannelOverrideRows('# comment\nabc=Name\n1=One|two\n2=First\n2=Second');
+        rows.push({ streamId: '3', name: 'A|B', number: '', logo: '', tags: '' });
+
+        const statuses = config.validateChannelOverrideRows(rows);
+        assert.deepStrictEqual(statuses.map((s) => s.level), ['ok', 'error', 'error', 'warning', 'ok', 'error']);
+        assert.match(statuses[2].message, /whole number/);
+        assert.match(statuses[5].message, /"\|" in the name/);
+    });
+
+    await t.test('blocks saving only rows edited into a broken state', () => {
+        const config = loadConfig();
+        config.channelOverrideRows = config.parseChannelOverrideRows('1=One|two');
+        assert.deepStrictEqual(config.findInvalidChannelOverrides(), []);
+
+        config.channelOverrideRows.push({ streamId: '2', name: 'Two', number: 'x', logo: '', tags: '' });
+        assert.deepStrictEqual(config.findInvalidChannelOverrides(), ['Channel override for stream 2: Number is not a whole number.']);
+    });
+});
+
+test('channelOverrideLogoSource', async (t) => {
+    const config = loadConfig();
+
+    await t.test('previews a remote logo directly', () => {
+        assert.deepStrictEqual(config.channelOverrideLogoSource({ streamId: '1', logo: 'https://x/logo.png' }, ''), { url: 'https://x/logo.png' });
+    });
+
+    await t.test('previews a local logo through the server once it is saved', () => {
+        assert.deepStrictEqual(config.channelOverrideLogoSource({ streamId: '1', logo: '/logos/a.png' }, '1=|||\n1=A||/logos/a.png'), { served: true });
+        assert.deepStrictEqual(config.channelOverrideLogoSource({ streamId: '1', logo: '/logos/b.png' }, '1=A||/logos/a.png'), { unsaved: true });
+        assert.strictEqual(config.channelOverrideLogoSource({ streamId: '1', logo: '' }, ''), null);
+    });
+});
+
+test('buildChannelOverrideGridHtml', async (t) => {
+    const channels = [
+        { StreamId: 123, Name: 'BBC 1 HD', Num: 1, StreamIcon: 'http://provider/bbc.png' },
+        { StreamId: 200, Name: 'ITV', Num: 3 },
+    ];
+
+    await t.test('lists every channel of a category, edited by stream ID', () => {
+        const config = loadConfig();
+        const html = config.buildChannelOverrideGridHtml(config.parseChannelOverrideRows('123=BBC One'), channels, '', '');
+
+        assert.match(html, /value="BBC One" placeholder="BBC 1 HD"/);
+        assert.match(html, /editChannelOverride\(200, 'name', this\.value\)/);
+        assert.match(html, /src="http:\/\/provider\/bbc\.png"/, 'the provider logo stands in until one is set');
+        assert.strictEqual((html.match(/deleteChannelOverrideRow/g) || []).length, 1);
+    });
+
+    await t.test('without a category, shows every line, and the overridden ones as text', () => {
+        const config = loadConfig();
+        config.liveChannelsByCategory = { 7: channels };
+        const html = config.buildChannelOverrideGridHtml(config.parseChannelOverrideRows('# note\n123=Old\n123=BBC One'), null, '', '');
+
+        assert.match(html, /<code># note<\/code>/);
+        assert.match(html, /<code>123=Old<\/code>/);
+        assert.match(html, /BBC 1 HD/);
+        assert.match(html, /deleteChannelOverrideRow\(2\)/);
+    });
+
+    await t.test('serves a saved local logo by stream ID', () => {
+        const config = loadConfig();
+        global.ApiClient = { getUrl: (path) => 'http://server/' + path };
+        try {
+            const html = config.buildChannelOverrideGridHtml(config.parseChannelOverrideRows('200=||/logos/itv.png'), channels, 'itv', '200=||/logos/itv.png');
+            assert.match(html, /src="http:\/\/server\/XtreamLibrary\/ChannelLogo\/200"/);
+            assert.doesNotMatch(html, /BBC/);
+        } finally {
+            delete global.ApiClient;
+        }
+    });
+});
+
+test('editChannelOverride', async (t) => {
+    await t.test('starts an override for a channel that has none', () => {
+        const config = loadConfig();
+        const status = element();
+        const restore = withDocument({ channelOverrideStatus200: status });
+        try {
+            config.editChannelOverride(200, 'number', '12');
+        } finally {
+            restore();
+        }
+
+        assert.strictEqual(config.buildChannelOverrides(config.channelOverrideRows), '200=|12');
+        assert.match(status.innerHTML, /OK/);
+    });
+
+    await t.test('edits the line the server applies, and rewrites only that one', () => {
+        const config = loadConfig();
+        config.channelOverrideRows = config.parseChannelOverrideRows('123=Old|1\n123=BBC One | 1');
+        const restore = withDocument({});
+        try {
+            config.editChannelOverride(123, 'name', 'BBC One HD');
+        } finally {
+            restore();
+        }
+
+        assert.strictEqual(config.buildChannelOverrides(config.channelOverrideRows), '123=Old|1\n123=BBC One HD|1');
+    });
+});
@@ -0,0 +1,239 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// The config export/import bundle. An import replaces every provider in one go, so the cases
+// pinned here are the ones that would otherwise save something the user did not mean: a file
+// from a newer plugin, a masked password written back as the mask, and a Single-mode category
+// selection read off a list that has not been redrawn yet.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig, withDocument } = require('./helpers/config-harness');
+
+function sampleConfig(config) {
+    const provider = Object.assign(config.makeDefaultProvider(0), {
+        Name: 'Main',
+        BaseUrl: 'http://provider.example:8080',
+        Username: 'alice',
+        Password: 'secret',
+        SelectedVodCategoryIds: [1, 2],
+        MovieFolderMode: 'Multiple',
+        MovieFolderMappings: 'Action=1\nDrama=2',
+    });
+    return {
+        Providers: [provider],
+        SyncScheduleType: 'Daily',
+        SyncIntervalMinutes: 60,
+        SyncDailyHour: 4,
+        SyncDailyMinute: 30,
+        LiveChannelMode: 'ExcludeSelected',
+        SelectedLiveCategoryIds: [7],
+        ExcludedLiveStreamIds: [99],
+        ChannelOverrides: '101=News|1||',
+        EnableLiveTv: true,
+    };
+}
+
+test('buildConfigBundle', async (t) => {
+    await t.test('carries the providers and the listed global settings', () => {
+        const config = loadConfig();
+        const bundle = config.buildConfigBundle(sampleConfig(config), 'include');
+
+        assert.strictEqual(bundle.Format, 'xtream-library-config');
+        assert.strictEqual(bundle.Version, config.configBundleVersion);
+        assert.strictEqual(bundle.Providers[0].MovieFolderMappings, 'Action=1\nDrama=2');
+        assert.strictEqual(bundle.Providers[0].Password, 'secret');
+        assert.strictEqual(bundle.Settings.LiveChannelMode, 'ExcludeSelected');
+        assert.strictEqual(bundle.Settings.ChannelOverrides, '101=News|1||');
+        assert.strictEqual(bundle.Settings.SyncDailyHour, 4);
+        assert.strictEqual(bundle.Settings.EnableLiveTv, undefined);
+    });
+
+    await t.test('masks or strips credentials without touching the source config', () => {
+        const config = loadConfig();
+        const source = sampleConfig(config);
+
+        const masked = config.buildConfigBundle(source, 'mask');
+        assert.strictEqual(masked.Providers[0].Password, config.credentialMask);
+        // The username stays: it is what a masked password is matched back to its account by.
+        assert.strictEqual(masked.Providers[0].Username, 'alice');
+        // An empty credential stays empty rather than pretending there is something to restore.
+        assert.strictEqual(masked.Providers[0].DispatcharrApiPass, '');
+
+        const stripped = config.buildConfigBundle(source, 'strip');
+        assert.ok(!('Password' in stripped.Providers[0]));
+        assert.ok(!('Username' in stripped.Providers[0]));
+
+        assert.strictEqual(source.Providers[0].Password, 'secret');
+    });
+});
+
+test('validateConfigBundle', async (t) => {
+    await t.test('accepts its own export', () => {
+        const config = loadConfig();
+        const bundle = JSON.parse(JSON.stringify(config.buildConfigBundle(sampleConfig(config), 'mask')));
+        assert.deepStrictEqual(config.validateConfigBundle(bundle), []);
+    });
+
+    await t.test('refuses files that are not an export', () => {
+        const config = loadConfig();
+        assert.strictEqual(config.validateConfigBundle(null).length, 1);
+        assert.strictEqual(config.validateConfigBundle([]).length, 1);
+        assert.strictEqual(config.validateConfigBundle({ Providers: [] }).length, 1);
+    });
+
+    await t.test('refuses a newer format version instead of half-applying it', () => {
+        const config = loadConfig();
+        const bundle = config.buildConfigBundle(sampleConfig(config), 'include');
+        bundle.Version = config.configBundleVersion + 1;
+
+        const errors = config.validateConfigBundle(bundle);
+        assert.strictEqual(errors.length, 1);
+        assert.match(errors[0], /newer version/);
+    });
+
+    await t.test('refuses an export without providers', () => {
+        const config = loadConfig();
+        const bundle = config.buildConfigBundle(sampleConfig(config), 'include');
+        bundle.Providers = [];
+        assert.strictEqual(config.validateConfigBundle(bundle).length, 1);
+    });
+
+    await t.test('reports mistyped and out-of-range fields by provider', () => {
+        const config = loadConfig();
+        const bundle = config.buildConfigBundle(sampleConfig(config), 'include');
+        bundle.Providers[0].SelectedVodCategoryIds = '1,2';
+        bundle.Providers[0].SeriesFolderMode = 'Nested';
+        bundle.Settings.LiveChannelMode = 'Everything';
+        bundle.Settings.SyncDailyHour = '4';
+
+        const errors = config.validateConfigBundle(bundle);
+        assert.strictEqual(errors.length, 4);
+        assert.ok(errors.some((e) => e.startsWith('Provider 1: SelectedVodCategoryIds')));
+        assert.ok(errors.some((e) => e.startsWith('Provider 1: SeriesFolderMode')));
+        assert.ok(errors.some((e) => e.startsWith('Settings: LiveChannelMode')));
+        assert.ok(errors.some((e) => e.startsWith('Settings: SyncDailyHour')));
+    });
+});
+
+test('resolveBundleProviders', async (t) => {
+    await t.test('restores masked credentials from the provider with the same server', () => {
+        const config = loadConfig();
+        const current = sampleConfig(config).Providers;
+        const bundle = config.buildConfigBundle(sampleConfig(config), 'mask');
+
+        const resolved = config.resolveBundleProviders(bundle, current);
+        assert.strictEqual(resolved.providers[0].Password, 'secret');
+        assert.strictEqual(resolved.providers[0].Username, 'alice');
+        assert.deepStrictEqual(resolved.unresolved, []);
+    });
+
+    await t.test('tells two accounts on the same server apart by username', () => {
+        const config = loadConfig();
+        const current = [
+            Object.assign(config.makeDefaultProvider(0), { BaseUrl: 'http://provider.example:8080', Username: 'bob', Password: 'bobs' }),
+            sampleConfig(config).Providers[0],
+        ];
+        const bundle = config.buildConfigBundle(sampleConfig(config), 'mask');
+
+        const resolved = config.resolveBundleProviders(bundle, current);
+        assert.strictEqual(resolved.providers[0].Password, 'secret');
+
+        // A file that masked the username too cannot pick between them, so it restores nothing.
+        bundle.Providers[0].Username = config.credentialMask;
+        const ambiguous = config.resolveBundleProviders(bundle, current);
+        assert.strictEqual(ambiguous.providers[0].Password, '');
+        assert.deepStrictEqual(ambiguous.unresolved, ['Main']);
+        assert.strictEqual(config.resolveBundleProviders(bundle, current.slice(1)).providers[0].Username, 'alice');
+    });
+
+    await t.test('never saves the mask itself as a password', () => {
+        const config = loadConfig();
+        const bundle = config.buildConfigBundle(sampleConfig(config), 'mask');
+        const other = [Object.assign(config.makeDefaultProvider(0), { BaseUrl: 'http://other.example', Password: 'x' })];
+
+        const resolved = config.resolveBundleProviders(bundle, other);
+        assert.strictEqual(resolved.providers[0].Password, '');
+        assert.deepStrictEqual(resolved.unresolved, ['Main']);
+    });
+
+    await t.test('fills fields missing from the file with provider defaults', () => {
+        const config = loadConfig();
+        const bundle = config.buildConfigBundle(sampleConfig(config), 'strip');
+        delete bundle.Providers[0].SyncParallelism;
+
+        const provider = config.resolveBundleProviders(bundle, []).providers[0];
+        assert.strictEqual(provider.SyncParallelism, 10);
+        assert.strictEqual(provider.Password, '');
+        assert.strictEqual(provider.MovieFolderMappings, 'Action=1\nDrama=2');
+    });
+});
+
+test('diffConfigBundle', async (t) => {
+    await t.test('lists only what changes, and never shows a credential', () => {
+        const config = loadConfig();
+        const current = config.buildConfigBundle(sampleConfig(config), 'include');
+        const incoming = JSON.parse(JSON.stringify(current));
+        incoming.Providers[0].Password = 'hunter2';
+        incoming.Providers[0].SelectedVodCategoryIds = [1, 2, 3];
+        incoming.Settings.LiveChannelMode = 'IncludeAll';
+
+        const changes = config.diffConfigBundle(current, incoming);
+        const byPath = Object.fromEntries(changes.map((c) => [c.path, c]));
+
+        assert.strictEqual(changes.length, 3);
+        assert.strictEqual(byPath['Provider 1 / SelectedVodCategoryIds'].after, '[1,2,3]');
+        assert.strictEqual(byPath['Settings / LiveChannelMode'].before, '"ExcludeSelected"');
+        assert.strictEqual(byPath['Provider 1 / Password'].before, '(set)');
+        assert.strictEqual(byPath['Provider 1 / Password'].after, '(set)');
+        assert.ok(byPath['Provider 1 / Password'].credential);
+    });
+
+    await t.test('reports added and removed providers field by field', () => {
+        const config = loadConfig();
+        const current = config.buildConfigBundle(sampleConfig(config), 'include');
+        const incoming = JSON.parse(JSON.stringify(current));
+        incoming.Providers.push(config.makeDefaultProvider(1));
+
+        const added = config.diffConfigBundle(current, incoming);
+        assert.ok(added.length > 0);
+        assert.ok(added.every((c) => c.path.startsWith('Provider 2 / ') && c.before === '(none)'));
+
+        const removed = config.diffConfigBundle(incoming, current);
+        assert.ok(removed.every((c) => c.after === '(none)'));
+    });
+
+    await t.test('a setting the file does not carry is not shown as cleared', () => {
+        const config = loadConfig();
+        const current = config.buildConfigBundle(sampleConfig(config), 'include');
+        const incoming = JSON.parse(JSON.stringify(current));
+        delete incoming.Settings.ChannelOverrides;
+
+        assert.deepStrictEqual(config.diffConfigBundle(current, incoming), []);
+    });
+});
+
+test('saving a Single-mode selection before its list is redrawn', async (t) => {
+    // loadProviderIntoUI blanks the Movies/Series lists and refills them asynchronously; an
+    // import saves straight after loading, so the save must not read the blank list as "none".
+    await t.test('falls back to the loaded selection while nothing is rendered', () => {
+        const config = loadConfig();
+        config.selectedVodCategoryIds = [1, 2];
+        const restore = withDocument({});
+
+        try {
+            const ids = config.getContentCategoryIdsForSave('vod');
+            assert.deepStrictEqual(ids, [1, 2]);
+            ids.push(3);
+            assert.deepStrictEqual(config.selectedVodCategoryIds, [1, 2]);
+        } finally {
+            restore();
+        }
+    });
+});
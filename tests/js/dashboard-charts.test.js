@@ -0,0 +1,137 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// The Dashboard's trend charts. History arrives most recent first and the charts read left to
+// right, and a failed run has no library totals worth drawing; both are easy to get backwards
+// without anyone noticing on a dashboard that has only ever seen clean runs.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig, element, withDocument } = require('./helpers/config-harness');
+
+function run(hour, overrides) {
+    return Object.assign({
+        StartTime: '2026-03-01T' + String(hour).padStart(2, '0') + ':00:00Z',
+        EndTime: '2026-03-01T' + String(hour).padStart(2, '0') + ':02:30Z',
+        Success: true,
+        TotalMovies: 100,
+        TotalSeries: 20,
+        TotalEpisodes: 900,
+        MoviesCreated: 1,
+        EpisodesCreated: 2,
+        MoviesDeleted: 0,
+        Errors: 0,
+    }, overrides);
+}
+
+test('buildChartData', async (t) => {
+    await t.test('reads oldest first and leaves the totals of a failed run as gaps', () => {
+        const config = loadConfig();
+        const data = config.buildChartData([
+            run(12, { TotalMovies: 110, Errors: 2 }),
+            run(11, { Success: false, TotalMovies: 0 }),
+            run(10),
+        ]);
+
+        assert.deepStrictEqual(data.movies, [100, null, 110]);
+        assert.deepStrictEqual(data.errors, [0, 0, 2]);
+        assert.deepStrictEqual(data.added, [3, 3, 3]);
+        assert.deepStrictEqual(data.durationSeconds, [150, 150, 150]);
+    });
+
+    await t.test('takes the episode total from full runs only', () => {
+        const config = loadConfig();
+        const data = config.buildChartData([
+            run(12, { TotalEpisodes: 950 }),
+            run(11, { WasIncrementalSync: true, TotalEpisodes: 40 }),
+            run(10),
+        ]);
+
+        assert.deepStrictEqual(data.episodes, [900, null, 950]);
+        assert.deepStrictEqual(data.movies, [100, 100, 100]);
+    });
+});
+
+test('niceChartMax', async (t) => {
+    await t.test('rounds up to 1, 2 or 5 times a power of ten', () => {
+        const config = loadConfig();
+        assert.strictEqual(config.niceChartMax(0), 1);
+        assert.strictEqual(config.niceChartMax(7), 10);
+        assert.strictEqual(config.niceChartMax(130), 200);
+        assert.strictEqual(config.niceChartMax(4200), 5000);
+        assert.strictEqual(config.niceChartMax(500), 500);
+    });
+});
+
+test('buildSvgChart', async (t) => {
+    await t.test('a gap in a line starts a new segment instead of dropping to zero', () => {
+        const config = loadConfig();
+        const svg = config.buildSvgChart({
+            kind: 'line',
+            title: 'Movies',
+            labels: ['a', 'b', 'c'],
+            series: [{ name: 'Movies', color: '#fff', values: [100, null, 110] }],
+        });
+
+        const path = /<path d="([^"]+)"/.exec(svg)[1];
+        assert.strictEqual((path.match(/M/g) || []).length, 2);
+        assert.strictEqual((path.match(/L/g) || []).length, 0);
+        assert.strictEqual((svg.match(/<circle/g) || []).length, 2);
+        assert.match(svg, /<title>c - Movies: 110<\/title>/);
+    });
+
+    await t.test('a series with connectGaps steps over a gap in one segment', () => {
+        const config = loadConfig();
+        const svg = config.buildSvgChart({
+            kind: 'line',
+            title: 'Episodes',
+            labels: ['a', 'b', 'c'],
+            series: [{ name: 'Episodes', color: '#fff', values: [900, null, 950], connectGaps: true }],
+        });
+
+        const path = /<path d="([^"]+)"/.exec(svg)[1];
+        assert.strictEqual((path.match(/M/g) || []).length, 1);
+        assert.strictEqual((path.match(/L/g) || []).length, 1);
+        assert.strictEqual((svg.match(/<circle/g) || []).length, 2);
+    });
+
+    await t.test('draws one bar per run and series, none for missing values', () => {
+        const config = loadConfig();
+        const svg = config.buildSvgChart({
+            kind: 'bar',
+            title: 'Added and deleted',
+            labels: ['a', 'b'],
+            series: [
+                { name: 'Added', color: '#0f0', values: [5, 0] },
+                { name: 'Deleted', color: '#f00', values: [1, null] },
+            ],
+        });
+
+        assert.strictEqual((svg.match(/<rect/g) || []).length, 3);
+        assert.match(svg, /Added<\/span>/);
+        assert.match(svg, /Deleted<\/span>/);
+    });
+});
+
+test('renderDashboardCharts', async (t) => {
+    await t.test('waits for a second run before drawing a trend', () => {
+        const config = loadConfig();
+        const container = element({});
+        const restore = withDocument({ dashboardCharts: container });
+        try {
+            config.renderDashboardCharts([run(10)]);
+            assert.match(container.innerHTML, /after the second sync/);
+
+            config.renderDashboardCharts([run(11), run(10)]);
+            assert.strictEqual((container.innerHTML.match(/<svg/g) || []).length, 5);
+        } finally {
+            restore();
+        }
+    });
+});
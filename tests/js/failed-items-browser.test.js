@@ -0,0 +1,167 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// The failed items browser. A group's Retry/Ignore acts on the rows drawn under it, so grouping
+// and searching decide what a click touches; and an ignore is saved by the server, so the page has
+// to take the new exclusion on board or the next Save would quietly undo it, on the provider whose
+// account the item failed on, wherever the provider list has since moved it.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig, element, withDocument } = require('./helpers/config-harness');
+
+const ITEMS = [
+    { ProviderIndex: 0, ProviderKey: 'acct-main', ProviderName: 'Main', ItemType: 'Movie', ItemId: 101, Name: 'Heat', ErrorMessage: 'timeout' },
+    { ProviderIndex: 0, ProviderKey: 'acct-main', ProviderName: 'Main', ItemType: 'Series', ItemId: 202, Name: 'Lost', ErrorMessage: '404 Not Found' },
+    { ProviderIndex: 1, ProviderKey: 'acct-spare', ProviderName: 'Spare', ItemType: 'Movie', ItemId: 303, Name: 'Alien', ErrorMessage: 'timeout' },
+    { ProviderIndex: 0, ProviderKey: 'acct-main', ProviderName: 'Main', ItemType: 'Episode', ItemId: 404, Name: 'Pilot', ErrorMessage: '' },
+];
+
+function browserDom(search, groupBy) {
+    return {
+        failedItemsContent: element({}),
+        failedItemsSearch: element({ value: search || '' }),
+        failedItemsGroupBy: element({ value: groupBy || 'none' }),
+    };
+}
+
+test('filterFailedItems / groupFailedItems', async (t) => {
+    await t.test('search matches name, type, ID and error message, ignoring case', () => {
+        const config = loadConfig();
+        assert.deepStrictEqual(config.filterFailedItems(ITEMS, 'TIMEOUT').map((i) => i.ItemId), [101, 303]);
+        assert.deepStrictEqual(config.filterFailedItems(ITEMS, 'series').map((i) => i.ItemId), [202]);
+        assert.deepStrictEqual(config.filterFailedItems(ITEMS, '404').map((i) => i.ItemId), [202, 404]);
+        assert.strictEqual(config.filterFailedItems(ITEMS, '  ').length, 4);
+    });
+
+    await t.test('groups by error message, largest first, with a label for a missing message', () => {
+        const config = loadConfig();
+        const groups = config.groupFailedItems(ITEMS, 'error');
+
+        assert.deepStrictEqual(groups.map((g) => [g.label, g.items.length]), [
+            ['timeout', 2], ['404 Not Found', 1], ['(no error message)', 1],
+        ]);
+    });
+});
+
+test('renderFailedItemsBrowser', async (t) => {
+    await t.test('group buttons act on the rows under them, and episodes cannot be ignored', () => {
+        const config = loadConfig();
+        config.failedItems = ITEMS;
+        const dom = browserDom('', 'type');
+        const restore = withDocument(dom);
+        try {
+            config.renderFailedItemsBrowser();
+        } finally {
+            restore();
+        }
+
+        assert.deepStrictEqual(config.failedItemsGroups.map((g) => g.label), ['Movie', 'Series', 'Episode']);
+        const html = dom.failedItemsContent.innerHTML;
+        assert.match(html, /retryFailedGroup\(2\)/);
+        assert.doesNotMatch(html, /ignoreFailedGroup\(2\)/);
+        assert.doesNotMatch(html, /ignoreFailedItem\(3\)/);
+        assert.match(html, /retryFailedItem\(3\)/);
+
+        const sent = [];
+        config.retryFailed = (refs) => sent.push(refs);
+        config.retryFailedGroup(0);
+        assert.deepStrictEqual(sent[0], [
+            { ProviderKey: 'acct-spare', ItemType: 'Movie', ItemId: 303 },
+            { ProviderKey: 'acct-main', ItemType: 'Movie', ItemId: 101 },
+        ]);
+    });
+
+    await t.test('names the provider the item failed on, not the one now at its old place', () => {
+        const config = loadConfig();
+        config.failedItems = ITEMS;
+        config.providers = [{ Name: 'Spare' }, { Name: 'Main' }];
+        const dom = browserDom('alien', 'none');
+        const restore = withDocument(dom);
+        try {
+            config.renderFailedItemsBrowser();
+        } finally {
+            restore();
+        }
+
+        assert.match(dom.failedItemsContent.innerHTML, /<td>Alien<\/td><td>Spare<\/td>/);
+    });
+
+    await t.test('a search narrows what a group retries', () => {
+        const config = loadConfig();
+        config.failedItems = ITEMS;
+        const restore = withDocument(browserDom('alien', 'error'));
+        try {
+            config.renderFailedItemsBrowser();
+        } finally {
+            restore();
+        }
+
+        assert.deepStrictEqual(config.failedItemsGroups[0].items.map((i) => i.ItemId), [303]);
+    });
+
+    await t.test('clicking a header sorts by it, a second click reverses', () => {
+        const config = loadConfig();
+        config.failedItems = ITEMS;
+        const dom = browserDom('', 'none');
+        const restore = withDocument(dom);
+        try {
+            config.renderFailedItemsBrowser();
+            assert.deepStrictEqual(config.failedItemsGroups[0].items.map((i) => i.Name), ['Alien', 'Heat', 'Lost', 'Pilot']);
+
+            config.setFailedItemsSort('Name');
+            assert.deepStrictEqual(config.failedItemsGroups[0].items.map((i) => i.Name), ['Pilot', 'Lost', 'Heat', 'Alien']);
+        } finally {
+            restore();
+        }
+    });
+});
+
+test('applyIgnoredExclusions', async (t) => {
+    await t.test('lands in the edited providers and the saved baseline, so nothing reads as unsaved', () => {
+        const config = loadConfig();
+        config.providers = [
+            Object.assign(config.makeDefaultProvider(0), { BaseUrl: 'http://main.test', Username: 'u', ExcludedVodStreamIds: [] }),
+            Object.assign(config.makeDefaultProvider(1), { BaseUrl: 'http://spare.test', Username: 'u', ExcludedVodStreamIds: [7] }),
+        ];
+        config.activeProviderIndex = 0;
+        config.excludedVodStreamIds = [];
+        config.savedState = { Providers: JSON.parse(JSON.stringify(config.providers)), Settings: {} };
+
+        config.applyIgnoredExclusions([
+            { ProviderIndex: 0, ItemType: 'Movie', ItemId: 101 },
+            { ProviderIndex: 1, ItemType: 'Movie', ItemId: 3 },
+            { ProviderIndex: 1, ItemType: 'Series', ItemId: 202 },
+        ]);
+
+        assert.deepStrictEqual(config.excludedVodStreamIds, [101]);
+        assert.deepStrictEqual(config.providers[1].ExcludedVodStreamIds, [7, 3]);
+        assert.deepStrictEqual(config.providers[1].ExcludedSeriesIds, [202]);
+        assert.deepStrictEqual(config.savedState.Providers[0].ExcludedVodStreamIds, [101]);
+        // The baseline is kept normalised (sorted IDs) like captureConfigState produces it.
+        assert.deepStrictEqual(config.savedState.Providers[1].ExcludedVodStreamIds, [3, 7]);
+    });
+
+    await t.test('finds a provider the page has moved by its account', () => {
+        const config = loadConfig();
+        const main = Object.assign(config.makeDefaultProvider(0), { BaseUrl: 'http://main.test', Username: 'u', ExcludedVodStreamIds: [] });
+        const spare = Object.assign(config.makeDefaultProvider(1), { BaseUrl: 'http://spare.test', Username: 'u', ExcludedVodStreamIds: [] });
+        config.savedState = { Providers: JSON.parse(JSON.stringify([main, spare])), Settings: {} };
+        config.providers = [spare, main];
+        config.activeProviderIndex = 1;
+        config.excludedVodStreamIds = [];
+
+        // The server resolved the item to Spare, index 1 of the saved list.
+        config.applyIgnoredExclusions([{ ProviderIndex: 1, ItemType: 'Movie', ItemId: 303 }]);
+
+        assert.deepStrictEqual(spare.ExcludedVodStreamIds, [303]);
+        assert.deepStrictEqual(config.excludedVodStreamIds, [], 'Main is on screen and was not touched');
+        assert.deepStrictEqual(config.savedState.Providers[1].ExcludedVodStreamIds, [303]);
+    });
+});
@@ -0,0 +1,236 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// Field validation runs before saveConfig writes anything. The reads it replaces coerce a typo
+// into the field's default (`parseInt(...) || 10`), so every case here is one that used to save
+// a value the user never typed.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig, element, withDocument } = require('./helpers/config-harness');
+
+function rule(config, id) {
+    return config.fieldValidationRules.find((r) => r.id === id);
+}
+
+/** Inputs for every rule, holding valid values unless overridden. */
+function validInputs(config, overrides) {
+    const values = {
+        txtBaseUrl: 'http://provider.example:8080',
+        txtLibraryPath: '/config/xtream-library',
+        txtSyncInterval: '60',
+        selSyncScheduleType: 'Interval',
+    };
+    config.fieldValidationRules.forEach((r) => {
+        if (!(r.id in values)) values[r.id] = String(r.min);
+    });
+    Object.assign(values, overrides);
+    const elements = {};
+    Object.keys(values).forEach((id) => { elements[id] = element({ value: values[id] }); });
+    return elements;
+}
+
+test('validateFieldValue', async (t) => {
+    await t.test('numbers must be whole and inside the advertised range', () => {
+        const config = loadConfig();
+        const parallelism = rule(config, 'txtSyncParallelism');
+
+        assert.strictEqual(config.validateFieldValue(parallelism, '5'), null);
+        assert.strictEqual(config.validateFieldValue(parallelism, 10), null);
+        assert.match(config.validateFieldValue(parallelism, '11'), /from 1 to 10/);
+        assert.match(config.validateFieldValue(parallelism, '0'), /from 1 to 10/);
+        assert.match(config.validateFieldValue(parallelism, '2.5'), /whole number/);
+        // What a number input reports for "1o": the case that used to save the default silently.
+        assert.match(config.validateFieldValue(parallelism, ''), /whole number/);
+    });
+
+    await t.test('the base URL needs a protocol and a host, but may be left empty', () => {
+        const config = loadConfig();
+        const baseUrl = rule(config, 'txtBaseUrl');
+
+        assert.strictEqual(config.validateFieldValue(baseUrl, ''), null);
+        assert.strictEqual(config.validateFieldValue(baseUrl, 'https://provider.example'), null);
+        assert.ok(config.validateFieldValue(baseUrl, 'provider.example:8080'));
+        assert.ok(config.validateFieldValue(baseUrl, 'ftp://provider.example'));
+    });
+
+    await t.test('the library path is required and must be absolute', () => {
+        const config = loadConfig();
+        const libraryPath = rule(config, 'txtLibraryPath');
+
+        assert.strictEqual(config.validateFieldValue(libraryPath, '/media/strm'), null);
+        assert.strictEqual(config.validateFieldValue(libraryPath, 'D:\\Media\\Strm'), null);
+        assert.strictEqual(config.validateFieldValue(libraryPath, '\\\\nas\\strm'), null);
+        assert.match(config.validateFieldValue(libraryPath, ''), /required/);
+        assert.match(config.validateFieldValue(libraryPath, 'xtream-library'), /absolute/);
+    });
+
+    await t.test('every numeric bound sits inside what the server clamps to', () => {
+        // ProviderConfig.Validate / PluginConfiguration.Validate. A wider range here would let
+        // the page accept a value that is then silently replaced on the server.
+        const serverBounds = {
+            txtSyncParallelism: [1, 20],
+            txtMaxRetries: [0, 10],
+            txtRetryDelayMs: [0, 60000],
+            txtTimeoutSeconds: [10, 3600],
+            txtFullSyncIntervalDays: [1, 30],
+            txtMetadataParallelism: [1, 10],
+            txtAccountExpiryWarningDays: [0, 365],
+            txtEpgParallelism: [1, 20],
+            txtEpgDaysToFetch: [1, 14],
+            txtCatchupDays: [1, 30],
+            txtChannelNumberingStart: [1, 99999],
+        };
+        const config = loadConfig();
+        Object.keys(serverBounds).forEach((id) => {
+            const r = rule(config, id);
+            assert.ok(r.min >= serverBounds[id][0] && r.max <= serverBounds[id][1], id);
+        });
+    });
+});
+
+test('findDuplicateLibraryPaths', async (t) => {
+    await t.test('matches case-insensitively and ignores a trailing separator', () => {
+        const config = loadConfig();
+        const duplicates = config.findDuplicateLibraryPaths(['/media/A', '/media/b', '/Media/a/', '']);
+
+        assert.deepStrictEqual(duplicates, [{ index: 2, firstIndex: 0 }]);
+    });
+
+    await t.test('empty paths are left to the required check', () => {
+        const config = loadConfig();
+        assert.deepStrictEqual(config.findDuplicateLibraryPaths(['', '', '  ']), []);
+    });
+});
+
+test('collectFieldErrors', async (t) => {
+    await t.test('a clean page has no errors', () => {
+        const config = loadConfig();
+        config.providers = [config.makeDefaultProvider(0)];
+        const restore = withDocument(validInputs(config));
+        try {
+            assert.deepStrictEqual(config.collectFieldErrors(), []);
+        } finally {
+            restore();
+        }
+    });
+
+    await t.test('marks the on-screen inputs that are wrong', () => {
+        const config = loadConfig();
+        config.providers = [config.makeDefaultProvider(0)];
+        const restore = withDocument(validInputs(config, { txtSyncParallelism: '', txtEpgDaysToFetch: '30' }));
+        try {
+            const ids = config.collectFieldErrors().map((e) => e.id);
+            assert.deepStrictEqual(ids.sort(), ['txtEpgDaysToFetch', 'txtSyncParallelism']);
+        } finally {
+            restore();
+        }
+    });
+
+    await t.test('skips the sync interval while the daily schedule is selected', () => {
+        const config = loadConfig();
+        config.providers = [config.makeDefaultProvider(0)];
+        const restore = withDocument(validInputs(config, { txtSyncInterval: '', selSyncScheduleType: 'Daily' }));
+        try {
+            assert.deepStrictEqual(config.collectFieldErrors(), []);
+        } finally {
+            restore();
+        }
+    });
+
+    await t.test('checks providers that are not on screen from their stored values', () => {
+        const config = loadConfig();
+        const other = Object.assign(config.makeDefaultProvider(1), {
+            Name: 'Backup',
+            LibraryPath: '/config/xtream-backup',
+            BaseUrl: 'not a url',
+            OrphanSafetyThreshold: 1.5,
+        });
+        config.providers = [config.makeDefaultProvider(0), other];
+        config.activeProviderIndex = 0;
+        const restore = withDocument(validInputs(config));
+        try {
+            const errors = config.collectFieldErrors();
+            assert.strictEqual(errors.length, 2);
+            assert.ok(errors.every((e) => e.id === null && e.message.startsWith('"Backup": ')));
+            assert.ok(errors.some((e) => /Orphan Safety Threshold/.test(e.message)));
+        } finally {
+            restore();
+        }
+    });
+
+    await t.test('holds the backup URLs to the Base URL rule, on screen and off', () => {
+        const config = loadConfig();
+        const other = Object.assign(config.makeDefaultProvider(1), {
+            Name: 'Backup',
+            LibraryPath: '/config/xtream-backup',
+            BackupBaseUrls: ['http://ok.example', 'ftp://old.example'],
+        });
+        config.providers = [config.makeDefaultProvider(0), other];
+        config.activeProviderIndex = 0;
+        config.backupBaseUrls = ['http://spare.example:8080', '', 'spare.example'];
+        const restore = withDocument(validInputs(config));
+        try {
+            const errors = config.collectFieldErrors();
+            assert.deepStrictEqual(errors.map((e) => e.id), ['txtBackupBaseUrl2', null]);
+            assert.match(errors[0].message, /^Backup URL 3 must be a full http/);
+            assert.match(errors[1].message, /^"Backup": Backup URL 2 must be a full http/);
+        } finally {
+            restore();
+        }
+    });
+
+    await t.test('flags a library path shared with another provider, using the typed value', () => {
+        const config = loadConfig();
+        const other = Object.assign(config.makeDefaultProvider(1), { Name: 'Backup', LibraryPath: '/media/strm' });
+        config.providers = [config.makeDefaultProvider(0), other];
+        config.activeProviderIndex = 0;
+        // The stored path of the on-screen provider is stale; the input is what would be saved.
+        config.providers[0].LibraryPath = '/somewhere/else';
+        const restore = withDocument(validInputs(config, { txtLibraryPath: '/media/strm/' }));
+        try {
+            const errors = config.collectFieldErrors();
+            assert.strictEqual(errors.length, 1);
+            assert.strictEqual(errors[0].id, 'txtLibraryPath');
+            assert.ok(errors[0].crossProvider);
+            assert.match(errors[0].message, /"Backup" uses the same Library Path as "Provider 1"/);
+        } finally {
+            restore();
+        }
+    });
+});
+
+test('checkActiveProviderFields', async (t) => {
+    await t.test('holds the provider switch on its own errors only', () => {
+        const config = loadConfig();
+        const alerts = [];
+        global.Dashboard = { alert: (message) => alerts.push(message) };
+        const other = Object.assign(config.makeDefaultProvider(1), { LibraryPath: '/config/xtream-library', SyncParallelism: 99 });
+        config.providers = [config.makeDefaultProvider(0), other];
+        config.activeProviderIndex = 0;
+        config.renderFieldErrors = () => {};
+        const restore = withDocument(validInputs(config));
+        try {
+            // A duplicate path and a bad value on another provider are for saveConfig to refuse.
+            assert.strictEqual(config.checkActiveProviderFields(), true);
+            assert.strictEqual(alerts.length, 0);
+        } finally {
+            restore();
+        }
+
+        const restoreBad = withDocument(validInputs(config, { txtTimeoutSeconds: '5' }));
+        try {
+            assert.strictEqual(config.checkActiveProviderFields(), false);
+            assert.match(alerts[0], /Request Timeout/);
+        } finally {
+            restoreBad();
+            delete global.Dashboard;
+        }
+    });
+});
@@ -0,0 +1,233 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// The drag-and-drop folder builder for Multiple folder mode. The wire format is unchanged, so
+// what is pinned here is that every drag lands in parseFolderMappings/buildFolderMappings the way
+// the old checkbox grid did - and that a half-built folder survives the redraw a drop triggers.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig, element, folderItem, withDocument } = require('./helpers/config-harness');
+
+const CATEGORIES = [
+    { CategoryId: 10, CategoryName: 'Kids' },
+    { CategoryId: 15, CategoryName: 'Documentary' },
+    { CategoryId: 20, CategoryName: 'Action' },
+    { CategoryId: 30, CategoryName: 'Drama' },
+];
+
+test('getUnassignedCategories', async (t) => {
+    await t.test('lists what no folder holds, in provider order', () => {
+        const config = loadConfig();
+        const definitions = config.parseFolderMappings('Kids=10\nFamily=10,30');
+
+        assert.deepStrictEqual(
+            config.getUnassignedCategories(CATEGORIES, definitions).map((c) => c.CategoryId),
+            [15, 20]);
+    });
+});
+
+test('moveCategoriesBetweenFolders', async (t) => {
+    await t.test('pool to folder assigns, without duplicating what is already there', () => {
+        const config = loadConfig();
+        const definitions = config.parseFolderMappings('Kids=10');
+
+        config.moveCategoriesBetweenFolders(definitions, [15, 10, 20], -1, 0, false);
+
+        assert.strictEqual(config.buildFolderMappings(definitions), 'Kids=10,15,20');
+    });
+
+    await t.test('folder to folder moves by default', () => {
+        const config = loadConfig();
+        const definitions = config.parseFolderMappings('Kids=10,15\nDocs=30');
+
+        config.moveCategoriesBetweenFolders(definitions, [15], 0, 1, false);
+
+        assert.strictEqual(config.buildFolderMappings(definitions), 'Kids=10\nDocs=30,15');
+    });
+
+    await t.test('folder to folder copies when asked, since a category may live in several folders', () => {
+        const config = loadConfig();
+        const definitions = config.parseFolderMappings('Kids=10\nFamily=30');
+
+        config.moveCategoriesBetweenFolders(definitions, [10], 0, 1, true);
+
+        assert.strictEqual(config.buildFolderMappings(definitions), 'Kids=10\nFamily=30,10');
+    });
+
+    await t.test('folder to pool unassigns, even with copy held', () => {
+        const config = loadConfig();
+        const definitions = config.parseFolderMappings('Kids=10,15');
+
+        config.moveCategoriesBetweenFolders(definitions, [10], 0, -1, true);
+
+        assert.strictEqual(config.buildFolderMappings(definitions), 'Kids=15');
+    });
+
+    await t.test('dropping back onto the same folder changes nothing', () => {
+        const config = loadConfig();
+        const definitions = config.parseFolderMappings('Kids=10,15');
+
+        config.moveCategoriesBetweenFolders(definitions, [10], 0, 0, false);
+
+        assert.strictEqual(config.buildFolderMappings(definitions), 'Kids=10,15');
+    });
+});
+
+test('moveFolderDefinition', async (t) => {
+    await t.test('reorders, and the order survives the wire format', () => {
+        const config = loadConfig();
+        const definitions = config.parseFolderMappings('A=1\nB=2\nC=3');
+
+        config.moveFolderDefinition(definitions, 2, 0);
+        const wire = config.buildFolderMappings(definitions);
+
+        assert.strictEqual(wire, 'C=3\nA=1\nB=2');
+        assert.deepStrictEqual(config.parseFolderMappings(wire), definitions);
+    });
+
+    await t.test('ignores positions outside the list', () => {
+        const config = loadConfig();
+        const definitions = config.parseFolderMappings('A=1\nB=2');
+
+        config.moveFolderDefinition(definitions, 0, 5);
+        config.moveFolderDefinition(definitions, 4, 0);
+
+        assert.strictEqual(config.buildFolderMappings(definitions), 'A=1\nB=2');
+    });
+});
+
+test('updateFolderBuilder', async (t) => {
+    const builderDom = (items) => ({
+        vodFolderList: element({
+            querySelector: (selector) => (selector === '.folder-builder' ? element({}) : null),
+            querySelectorAll: (selector) => (selector === '.folder-item' ? items : []),
+        }),
+    });
+
+    await t.test('works from what is on screen, keeping folders that have no name yet', () => {
+        const config = loadConfig();
+        config.vodFolderDefinitions = [{ name: 'Stale', categoryIds: [99] }];
+        let rendered = 0;
+        config.renderFolderList = () => { rendered++; };
+
+        const restore = withDocument(builderDom([folderItem('Kids', [10]), folderItem('', [])]));
+        try {
+            config.updateFolderBuilder('vod', (definitions) => {
+                config.moveCategoriesBetweenFolders(definitions, [15], -1, 1, false);
+            });
+        } finally {
+            restore();
+        }
+
+        assert.deepStrictEqual(config.vodFolderDefinitions, [
+            { name: 'Kids', categoryIds: [10] },
+            { name: '', categoryIds: [15] },
+        ]);
+        assert.strictEqual(rendered, 1);
+        // The unnamed folder is still dropped on the way out, as buildFolderMappings always did.
+        assert.strictEqual(config.buildFolderMappings(config.vodFolderDefinitions), 'Kids=10');
+    });
+
+    await t.test('falls back to the loaded definitions before the builder has been drawn', () => {
+        const config = loadConfig();
+        config.vodFolderDefinitions = [{ name: 'Kids', categoryIds: [10] }];
+        config.renderFolderList = () => {};
+
+        // The "Load categories first" placeholder: no .folder-builder, no .folder-item.
+        const restore = withDocument({ vodFolderList: element({}) });
+        try {
+            config.addFolder('vod');
+        } finally {
+            restore();
+        }
+
+        assert.deepStrictEqual(config.vodFolderDefinitions, [
+            { name: 'Kids', categoryIds: [10] },
+            { name: '', categoryIds: [] },
+        ]);
+    });
+
+    await t.test('removeFolder keeps the edits made to the other folders', () => {
+        const config = loadConfig();
+        config.vodFolderDefinitions = [{ name: 'Old', categoryIds: [1] }];
+        config.renderFolderList = () => {};
+
+        const restore = withDocument(builderDom([folderItem('Kids', [10, 15]), folderItem('Docs', [30])]));
+        try {
+            config.removeFolder('vod', 1);
+        } finally {
+            restore();
+        }
+
+        assert.deepStrictEqual(config.vodFolderDefinitions, [{ name: 'Kids', categoryIds: [10, 15] }]);
+    });
+});
+
+test('loadFolderItemCounts keeps the folder edits made while the counts were loading', async () => {
+    const config = loadConfig();
+    config.providers = [{ LibraryPath: '/media/xtream' }];
+    config.activeProviderIndex = 0;
+    config.vodCategories = CATEGORIES;
+    config.vodFolderDefinitions = [{ name: 'Kids', categoryIds: [10] }];
+    let rendered = null;
+    config.renderFolderList = () => { rendered = config.vodFolderDefinitions.map((def) => def.name); };
+    const list = element({
+        querySelector: (selector) => (selector === '.folder-builder' ? element({}) : null),
+        querySelectorAll: (selector) => (selector === '.folder-item' ? [folderItem('Children', [10]), folderItem('', [])] : []),
+    });
+    const restore = withDocument({ vodFolderList: list });
+    const previousFetch = global.fetch;
+    global.ApiClient = { getUrl: (path) => '/' + path, accessToken: () => 'token' };
+    global.fetch = () => Promise.resolve({ ok: true, json: () => Promise.resolve({ Movies: { Children: 4 }, Series: {} }) });
+
+    try {
+        await config.loadFolderItemCounts();
+
+        assert.deepStrictEqual(rendered, ['Children', '']);
+        assert.match(config.folderItemCountBadge('vod', 'Children'), />4 items</);
+    } finally {
+        global.fetch = previousFetch;
+        delete global.ApiClient;
+        restore();
+    }
+});
+
+test('folderItemCountBadge', async (t) => {
+    await t.test('counts what the last sync put in the folder, matching the name loosely', () => {
+        const config = loadConfig();
+        config.folderItemCounts.vod = { 'Kids': 12, '': 40, 'Action': 1 };
+
+        assert.match(config.folderItemCountBadge('vod', ' kids '), />12 items</);
+        assert.match(config.folderItemCountBadge('vod', 'Action'), />1 item</);
+        // Nothing synced there yet, an unnamed folder, or counts that have not come in.
+        assert.strictEqual(config.folderItemCountBadge('vod', 'Drama'), '');
+        assert.strictEqual(config.folderItemCountBadge('vod', ''), '');
+        assert.strictEqual(config.folderItemCountBadge('series', 'Kids'), '');
+    });
+});
+
+test('renderFolderList escapes names in text and in attribute values', () => {
+    const config = loadConfig();
+    config.vodCategories = [{ CategoryId: 1, CategoryName: 'Kids & "Teens" <3>' }, { CategoryId: 2, CategoryName: 'Pool & "Co" <1>' }];
+    config.vodFolderDefinitions = [{ name: 'A & "B" <C>', categoryIds: [1] }];
+    config.updateFolderRulePreview = () => {};
+    const list = element();
+    const restore = withDocument({ vodFolderList: list });
+
+    try {
+        config.renderFolderList('vod');
+        assert.match(list.innerHTML, /class="folder-name-input" [^>]*value="A &amp; &quot;B&quot; &lt;C&gt;"/);
+        assert.match(list.innerHTML, />Kids &amp; &quot;Teens&quot; &lt;3&gt; <small/);
+        assert.match(list.innerHTML, /data-category-name="Pool &amp; &quot;Co&quot; &lt;1&gt;"/);
+        assert.doesNotMatch(list.innerHTML, /"B"|<C>|<3>/);
+    } finally {
+        restore();
+    }
+});
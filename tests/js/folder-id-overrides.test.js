@@ -0,0 +1,135 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// The TMDb/TVDb folder ID override editor. The stored string is read by the sync, so the editor
+// must write back what it was given line for line until a row is edited, and its statuses must
+// name the lines the sync would skip or let a later line override.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig, element, withDocument } = require('./helpers/config-harness');
+
+test('parseFolderIdOverrideRows / buildFolderIdOverrides', async (t) => {
+    await t.test('round-trips a stored list, including lines the sync skips', () => {
+        const config = loadConfig();
+        const stored = 'The Matrix (1999)=603\n# imported from the old server\nAvatar (2009) = 19995';
+        const rows = config.parseFolderIdOverrideRows(stored + '\n\n');
+
+        assert.deepStrictEqual(rows.map((row) => [row.name, row.id]), [
+            ['The Matrix (1999)', '603'],
+            ['# imported from the old server', ''],
+            ['Avatar (2009)', '19995'],
+        ]);
+        assert.strictEqual(config.buildFolderIdOverrides(rows), stored);
+    });
+
+    await t.test('writes edited rows as FolderName=ID and drops empty ones', () => {
+        const config = loadConfig();
+        assert.strictEqual(
+            config.buildFolderIdOverrides([{ name: ' Heat (1995) ', id: '949 ' }, { name: '', id: '' }]),
+            'Heat (1995)=949');
+    });
+
+    await t.test('reads nothing from an unset list', () => {
+        const config = loadConfig();
+        assert.deepStrictEqual(config.parseFolderIdOverrideRows(undefined), []);
+    });
+});
+
+test('validateFolderIdOverrideRows', async (t) => {
+    await t.test('flags what the sync would skip', () => {
+        const config = loadConfig();
+        const rows = config.parseFolderIdOverrideRows('no separator\n=603\nHeat (1995)=\nRonin (1998)=tt0122690\nBluey=353546');
+        const statuses = config.validateFolderIdOverrideRows(rows);
+
+        assert.deepStrictEqual(statuses.map((status) => status.level), ['error', 'error', 'error', 'error', 'ok']);
+        assert.match(statuses[0].message, /FolderName=ID/);
+        assert.match(statuses[1].message, /Folder name is missing/);
+        assert.match(statuses[2].message, /ID is missing/);
+        assert.match(statuses[3].message, /whole number/);
+    });
+
+    await t.test('warns on every earlier row for a folder, since the last one wins', () => {
+        const config = loadConfig();
+        const statuses = config.validateFolderIdOverrideRows([
+            { name: 'Heat (1995)', id: '1' },
+            { name: 'Avatar (2009)', id: '19995' },
+            { name: 'heat (1995)', id: '949' },
+        ]);
+
+        assert.deepStrictEqual(statuses.map((status) => status.level), ['warning', 'ok', 'ok']);
+        assert.match(statuses[0].message, /row 3/);
+    });
+
+    await t.test('rejects an "=" typed into a folder name', () => {
+        const config = loadConfig();
+        assert.strictEqual(config.validateFolderIdOverrideRows([{ name: 'A=B', id: '1' }])[0].level, 'error');
+    });
+});
+
+test('parseFolderIdOverridePaste / mergeFolderIdOverrideRows', async (t) => {
+    await t.test('takes "=" lines and spreadsheet columns', () => {
+        const config = loadConfig();
+        const rows = config.parseFolderIdOverridePaste('Heat (1995)=949\r\nBluey\t353546\r\n\r\n');
+        assert.deepStrictEqual(rows.map((row) => [row.name, row.id]), [['Heat (1995)', '949'], ['Bluey', '353546']]);
+    });
+
+    await t.test('updates a listed folder and appends the rest', () => {
+        const config = loadConfig();
+        const existing = config.parseFolderIdOverrideRows('Heat (1995)=1\nAvatar (2009)=19995');
+        const result = config.mergeFolderIdOverrideRows(existing, config.parseFolderIdOverridePaste('HEAT (1995)=949\nAvatar (2009)=19995\nBluey=353546'));
+
+        assert.strictEqual(result.added, 1);
+        assert.strictEqual(result.updated, 1);
+        assert.strictEqual(config.buildFolderIdOverrides(result.rows), 'Heat (1995)=949\nAvatar (2009)=19995\nBluey=353546');
+        assert.strictEqual(existing[0].id, '1', 'the editor rows are only replaced once the merge is taken');
+    });
+
+    await t.test('appends an unreadable pasted line so it shows up as invalid', () => {
+        const config = loadConfig();
+        const result = config.mergeFolderIdOverrideRows([{ name: 'junk', id: '1' }], config.parseFolderIdOverridePaste('junk'));
+        assert.strictEqual(result.added, 1);
+        assert.strictEqual(config.validateFolderIdOverrideRows(result.rows)[1].level, 'error');
+    });
+});
+
+test('buildFolderIdOverrideEditorHtml', async (t) => {
+    const rows = [{ name: 'Heat (1995)', id: '949' }, { name: 'Bluey', id: 'x' }];
+
+    await t.test('keeps row indexes through the search so edits land on the right row', () => {
+        const config = loadConfig();
+        const html = config.buildFolderIdOverrideEditorHtml('tvdb', rows, 'blu');
+
+        assert.doesNotMatch(html, /Heat/);
+        assert.match(html, /deleteFolderIdOverrideRow\('tvdb', 1\)/);
+        assert.match(html, /2 overrides, 1 shown, 1 the sync skips/);
+    });
+
+    await t.test('says when the search hides everything', () => {
+        const config = loadConfig();
+        assert.match(config.buildFolderIdOverrideEditorHtml('tmdb', rows, 'zzz'), /No overrides match/);
+    });
+});
+
+test('editFolderIdOverride', async (t) => {
+    await t.test('stops writing the raw line back once the row is edited', () => {
+        const config = loadConfig();
+        config.folderIdOverrideRows.tmdb = config.parseFolderIdOverrideRows('Heat (1995) = 1');
+        const status = element();
+        const restore = withDocument({ tmdbOverrideStatus0: status });
+        try {
+            config.editFolderIdOverride('tmdb', 0, 'id', '949');
+        } finally {
+            restore();
+        }
+
+        assert.strictEqual(config.buildFolderIdOverrides(config.folderIdOverrideRows.tmdb), 'Heat (1995)=949');
+        assert.match(status.innerHTML, /OK/);
+    });
+});
@@ -0,0 +1,177 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// Folder name rules. The preview is only worth having if it picks the same categories the sync
+// will, so the matching order here mirrors FolderNameRules.Apply: explicit assignments first,
+// then the first rule that matches, in folder order.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig } = require('./helpers/config-harness');
+
+/** Stubs fetch with a handler per request body; returns the bodies sent and a restore function. */
+function stubFetch(handler) {
+    const previousFetch = global.fetch;
+    const bodies = [];
+    global.ApiClient = { getUrl: (path) => '/' + path, accessToken: () => 'token' };
+    global.fetch = (url, options) => {
+        const body = JSON.parse(options.body);
+        bodies.push(body);
+        return handler(body);
+    };
+    return {
+        bodies,
+        restore: () => {
+            global.fetch = previousFetch;
+            delete global.ApiClient;
+        },
+    };
+}
+
+const ok = (json) => Promise.resolve({ ok: true, json: () => Promise.resolve(json) });
+
+const CATEGORIES = [
+    { CategoryId: 10, CategoryName: 'EN | Kids' },
+    { CategoryId: 11, CategoryName: 'EN | Kids 2026' },
+    { CategoryId: 12, CategoryName: 'EN | Action' },
+    { CategoryId: 13, CategoryName: 'DE | Kinder' },
+];
+
+test('mergeFolderRules / buildFolderRules', async (t) => {
+    await t.test('attaches each rule to its folder and round-trips', () => {
+        const config = loadConfig();
+        const definitions = config.mergeFolderRules(
+            config.parseFolderMappings('Kids=10\nAction=12'),
+            'Kids=EN | Kids*');
+
+        assert.deepStrictEqual(definitions, [
+            { name: 'Kids', categoryIds: [10], pattern: 'EN | Kids*' },
+            { name: 'Action', categoryIds: [12] },
+        ]);
+        assert.strictEqual(config.buildFolderRules(definitions), 'Kids=EN | Kids*');
+        assert.strictEqual(config.buildFolderMappings(definitions), 'Kids=10\nAction=12');
+    });
+
+    await t.test('a rule-only folder has no mapping line, so it comes back as a folder of its own', () => {
+        const config = loadConfig();
+        const definitions = config.mergeFolderRules(config.parseFolderMappings('Action=12'), 'German=re:^DE \\|');
+
+        assert.deepStrictEqual(definitions[1], { name: 'German', categoryIds: [], pattern: 're:^DE \\|' });
+        assert.strictEqual(config.buildFolderMappings(definitions), 'Action=12');
+    });
+});
+
+test('matchFolderRules', async (t) => {
+    await t.test('globs match the whole name, regular expressions anywhere, both ignoring case', () => {
+        const config = loadConfig();
+        const match = config.matchFolderRules(CATEGORIES, [
+            { name: 'Kids', categoryIds: [], pattern: 'en | kids*' },
+            { name: 'German', categoryIds: [], pattern: 're:kinder' },
+        ]);
+
+        assert.deepStrictEqual(match.byFolder[0].map((c) => c.CategoryId), [10, 11]);
+        assert.deepStrictEqual(match.byFolder[1].map((c) => c.CategoryId), [13]);
+        // "Kids*" anchored at both ends: no stray prefix match.
+        assert.deepStrictEqual(config.matchFolderRules(CATEGORIES, [{ name: 'K', categoryIds: [], pattern: 'Kids*' }]).byFolder[0], []);
+    });
+
+    await t.test('explicit assignments win, then the first matching folder', () => {
+        const config = loadConfig();
+        const match = config.matchFolderRules(CATEGORIES, [
+            { name: 'Kids', categoryIds: [], pattern: '*Kids*' },
+            { name: 'English', categoryIds: [10], pattern: 'EN |*' },
+        ]);
+
+        assert.deepStrictEqual(match.byFolder[0].map((c) => c.CategoryId), [11]);
+        assert.deepStrictEqual(match.byFolder[1].map((c) => c.CategoryId), [12]);
+        assert.deepStrictEqual(match.folderByCategory, { 11: 0, 12: 1 });
+    });
+
+    await t.test('an expression the browser cannot read is noted on its folder and matches nothing', () => {
+        const config = loadConfig();
+        const match = config.matchFolderRules(CATEGORIES, [{ name: 'Broken', categoryIds: [], pattern: 're:(EN' }]);
+
+        assert.match(match.errors[0], /cannot preview the expression/);
+        assert.deepStrictEqual(match.byFolder[0], []);
+    });
+});
+
+test('saving folder rules', async (t) => {
+    await t.test('the rules of every provider are checked by the server, which names the invalid ones', async () => {
+        const config = loadConfig();
+        config.providers = [
+            Object.assign(config.makeDefaultProvider(0), { Name: 'Main', SeriesFolderRules: 'Kids=re:(?i)kids\nOld=re:[^]' }),
+            Object.assign(config.makeDefaultProvider(1), { Name: 'Backup' }),
+        ];
+        const fetch = stubFetch(() => ok([{ Line: 2, FolderName: 'Old', Pattern: 're:[^]', Error: 'Unterminated [] set.' }]));
+
+        try {
+            const problems = await config.findInvalidFolderRules();
+
+            assert.deepStrictEqual(fetch.bodies, [{ Rules: 'Kids=re:(?i)kids\nOld=re:[^]' }]);
+            assert.deepStrictEqual(problems, ['"Main": Series folder "Old" has an invalid name rule (Unterminated [] set.)']);
+        } finally {
+            fetch.restore();
+        }
+    });
+
+    await t.test('a failed check rejects rather than passing the rules', async () => {
+        const config = loadConfig();
+        config.providers = [Object.assign(config.makeDefaultProvider(0), { MovieFolderRules: 'Kids=Kids*' })];
+        const fetch = stubFetch(() => Promise.reject(new Error('offline')));
+
+        try {
+            await assert.rejects(config.findInvalidFolderRules(), /offline/);
+        } finally {
+            fetch.restore();
+        }
+    });
+
+    await t.test('saveConfig refuses a rule the server cannot compile and saves nothing', async () => {
+        const config = loadConfig();
+        config.providers = [Object.assign(config.makeDefaultProvider(0), { Name: 'Main', MovieFolderRules: 'Old=re:[^]' })];
+        config.updateActiveProviderFromUI = () => {};
+        config.collectFieldErrors = () => [];
+        config.renderFieldErrors = () => {};
+        config.findEmptyFolderModeContent = () => null;
+        config.captureConfigState = () => ({});
+        const alerts = [];
+        global.Dashboard = { showLoadingMsg: () => {}, hideLoadingMsg: () => {}, alert: (text) => alerts.push(text) };
+        const fetch = stubFetch(() => ok([{ Line: 1, FolderName: 'Old', Pattern: 're:[^]', Error: 'Unterminated [] set.' }]));
+        let saved = false;
+        global.ApiClient.getPluginConfiguration = () => { saved = true; return Promise.resolve({}); };
+
+        try {
+            config.saveConfig();
+            await new Promise((resolve) => setImmediate(resolve));
+
+            assert.strictEqual(saved, false);
+            assert.strictEqual(alerts.length, 1);
+            assert.match(alerts[0], /folder name rules do not compile:\n\n- "Main": Movies folder "Old"/);
+        } finally {
+            fetch.restore();
+            delete global.Dashboard;
+        }
+    });
+
+    await t.test('a folder with only a rule counts as something to sync', () => {
+        const config = loadConfig();
+        const provider = Object.assign(config.makeDefaultProvider(0), {
+            MovieFolderMode: 'Multiple',
+            MovieFolderRules: 'Kids=EN | Kids*',
+            SyncSeries: false,
+        });
+        config.providers = [provider];
+
+        assert.strictEqual(config.findEmptyFolderModeContent(), null);
+
+        provider.MovieFolderRules = '';
+        assert.strictEqual(config.findEmptyFolderModeContent(), 'Provider 1 / Movies');
+    });
+});
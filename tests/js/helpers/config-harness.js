@@ -48,8 +48,8 @@ function element(overrides) {
 }
 
 /**
- * A folder row as renderFolderList would have drawn it: a name input plus the ticked category
- * checkboxes. This is the shape updateFolderDefinitionsFromUI reads back.
+ * A folder row as renderFolderList would have drawn it: a name input plus the category chips
+ * dropped into it. This is the shape updateFolderDefinitionsFromUI reads back.
  */
 function folderItem(name, categoryIds) {
     return element({
@@ -0,0 +1,122 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// The History tab. The date inputs are whole local days while the server compares instants, so
+// the query has to turn "to" into the midnight after it; and a run opened from the table has to
+// show the same breakdown the Sync tab shows for the last run, failed items included.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig, element, withDocument } = require('./helpers/config-harness');
+
+function run(overrides) {
+    return Object.assign({
+        StartTime: '2026-03-01T10:00:00Z',
+        EndTime: '2026-03-01T10:05:00Z',
+        Success: true,
+        WasIncrementalSync: false,
+        MoviesCreated: 4,
+        MoviesDeleted: 0,
+        EpisodesCreated: 12,
+        Errors: 0,
+        FailedItems: [],
+    }, overrides);
+}
+
+function historyDom() {
+    return {
+        historyTable: element({}),
+        historyPager: element({}),
+        historyDetail: element({ style: {} }),
+    };
+}
+
+test('buildHistoryQuery', async (t) => {
+    await t.test('sends only the filters that are set, with "to" as the start of the next day', () => {
+        const config = loadConfig();
+        const params = config.buildHistoryQuery({ from: '2026-03-01', to: '2026-03-31', status: 'warning', type: '' }, 20, 20);
+
+        assert.strictEqual(params.startIndex, 20);
+        assert.strictEqual(params.limit, 20);
+        assert.strictEqual(params.from, new Date(2026, 2, 1).toISOString());
+        assert.strictEqual(params.to, new Date(2026, 3, 1).toISOString());
+        assert.strictEqual(params.status, 'warning');
+        assert.ok(!('type' in params));
+    });
+});
+
+test('renderHistoryPage', async (t) => {
+    await t.test('one clickable row per run, and a pager that knows where it is', () => {
+        const config = loadConfig();
+        const dom = historyDom();
+        const restore = withDocument(dom);
+        try {
+            config.renderHistoryPage({
+                StartIndex: 20,
+                TotalRecordCount: 45,
+                Items: [run(), run({ Success: false, WasIncrementalSync: true, Errors: 3 })],
+            });
+        } finally {
+            restore();
+        }
+
+        assert.match(dom.historyTable.innerHTML, /showHistoryDetail\(0\)/);
+        assert.match(dom.historyTable.innerHTML, /showHistoryDetail\(1\)/);
+        assert.match(dom.historyTable.innerHTML, /status-badge-failed/);
+        assert.match(dom.historyTable.innerHTML, /<td>Incr<\/td>/);
+        assert.match(dom.historyPager.innerHTML, /21-22 of 45/);
+        assert.match(dom.historyPager.innerHTML, /loadHistory\(0\)/);
+        assert.match(dom.historyPager.innerHTML, /loadHistory\(40\)/);
+    });
+
+    await t.test('says so when the filters match nothing', () => {
+        const config = loadConfig();
+        const dom = historyDom();
+        const restore = withDocument(dom);
+        try {
+            config.renderHistoryPage({ StartIndex: 0, TotalRecordCount: 0, Items: [] });
+        } finally {
+            restore();
+        }
+
+        assert.match(dom.historyTable.innerHTML, /No syncs match these filters/);
+        assert.strictEqual(dom.historyPager.innerHTML, '');
+    });
+});
+
+test('showHistoryDetail', async (t) => {
+    await t.test('opens the run with its orphan-skip warning and failed items', () => {
+        const config = loadConfig();
+        const dom = historyDom();
+        const restore = withDocument(dom);
+        try {
+            config.historyPage = {
+                Items: [run({
+                    MovieOrphansSkipped: 300,
+                    MovieOrphansExamined: 1000,
+                    OrphanSafetyThresholdApplied: 0.2,
+                    Errors: 1,
+                    FailedItems: [{ ItemType: 'Movie', Name: 'Heat', ErrorMessage: 'timeout' }],
+                })],
+            };
+            config.showHistoryDetail(0);
+        } finally {
+            restore();
+        }
+
+        const html = dom.historyDetail.innerHTML;
+        assert.strictEqual(dom.historyDetail.style.display, 'block');
+        assert.match(html, /Completed with warnings/);
+        assert.match(html, /Skipped cleanup of 300 orphaned files \(30% of the library, over the 20% safety limit\)/);
+        assert.match(html, /Failed Items \(1\)/);
+        assert.match(html, /Heat/);
+        assert.match(html, /timeout/);
+        assert.strictEqual(config.historySelectedIndex, 0);
+    });
+});
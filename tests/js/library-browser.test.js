@@ -0,0 +1,82 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// The Library tab. The content root has no folder name, so it travels as "/" and the server maps
+// it back; and an item the sync has not recorded yet has to read as unknown, not as an empty
+// category or a sync at the epoch.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig } = require('./helpers/config-harness');
+
+test('buildLibraryQuery', async (t) => {
+    await t.test('sends only the filters that are set', () => {
+        const config = loadConfig();
+        assert.deepStrictEqual(
+            config.buildLibraryQuery({ provider: '', type: '', folder: '', search: '' }, 0, 50),
+            { startIndex: 0, limit: 50 });
+    });
+
+    await t.test('provider 0 and the root folder are real filters', () => {
+        const config = loadConfig();
+        assert.deepStrictEqual(
+            config.buildLibraryQuery({ provider: '0', type: 'Movie', folder: '/', search: 'heat' }, 50, 50),
+            { startIndex: 50, limit: 50, providerIndex: '0', type: 'Movie', folder: '/', search: 'heat' });
+    });
+});
+
+test('buildLibraryHtml', async (t) => {
+    const item = {
+        ProviderIndex: 0,
+        ProviderName: 'Main',
+        ItemType: 'Series',
+        Folder: 'Kids',
+        Title: 'Bluey',
+        TmdbId: null,
+        TvdbId: 353546,
+        Path: '/lib/Series/Kids/Bluey [tvdbid-353546]',
+        HasNfo: true,
+        Categories: ['Kids TV', 'Cartoons'],
+        LastSynced: '2026-03-01T10:00:00Z',
+    };
+
+    await t.test('one row per item, with its ID linked and its categories', () => {
+        const config = loadConfig();
+        config.providers = [{ Name: 'Main' }];
+        const html = config.buildLibraryHtml({ Items: [item], Folders: ['Kids'], TotalRecordCount: 1 });
+
+        assert.match(html, /<td title="\/lib\/Series\/Kids\/Bluey \[tvdbid-353546\]">Bluey<\/td>/);
+        assert.match(html, /thetvdb\.com\/dereferrer\/series\/353546/);
+        assert.match(html, /Kids TV, Cartoons/);
+        assert.match(html, /<td>Yes<\/td>/);
+        assert.doesNotMatch(html, /<th>Provider<\/th>/);
+    });
+
+    await t.test('an item the sync has not recorded shows dashes, not blanks or 1970', () => {
+        const config = loadConfig();
+        config.providers = [{ Name: 'Main' }, { Name: 'Backup' }];
+        const html = config.buildLibraryHtml({
+            Items: [Object.assign({}, item, { TvdbId: null, HasNfo: false, Categories: [], LastSynced: null, Folder: '' })],
+            Folders: [''],
+            TotalRecordCount: 1,
+        });
+
+        assert.match(html, /<th>Provider<\/th>/);
+        assert.match(html, /Unmatched/);
+        assert.match(html, /\(root\)/);
+        assert.doesNotMatch(html, /1970/);
+        assert.strictEqual((html.match(/library-missing">-</g) || []).length, 2);
+    });
+
+    await t.test('tells an empty library apart from a filter that matches nothing', () => {
+        const config = loadConfig();
+        assert.match(config.buildLibraryHtml({ Items: [], Folders: [], TotalRecordCount: 0 }), /Nothing synced yet/);
+        assert.match(config.buildLibraryHtml({ Items: [], Folders: [''], TotalRecordCount: 0 }), /No items match the filters/);
+    });
+});
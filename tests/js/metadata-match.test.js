@@ -0,0 +1,146 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// The unmatched metadata fixer. The folder title is the override key, so it has to reach the
+// server exactly as listed while the search gets it without the year; and a pick the server has
+// saved must land in the page, or the next Save writes the old override list back over it.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig, element, withDocument } = require('./helpers/config-harness');
+
+test('splitItemTitle', async (t) => {
+    await t.test('takes the year off the end of the title', () => {
+        const config = loadConfig();
+        assert.deepStrictEqual(config.splitItemTitle('Heat (1995)'), { name: 'Heat', year: 1995 });
+        assert.deepStrictEqual(config.splitItemTitle('Undated'), { name: 'Undated', year: null });
+        assert.deepStrictEqual(config.splitItemTitle('(2001)'), { name: '(2001)', year: null });
+    });
+});
+
+test('buildLibraryQuery', async (t) => {
+    await t.test('asks for unmatched folders only when ticked', () => {
+        const config = loadConfig();
+        assert.deepStrictEqual(
+            config.buildLibraryQuery({ provider: '', type: 'Movie', folder: '', search: '', unmatched: true }, 0, 50),
+            { startIndex: 0, limit: 50, type: 'Movie', unmatched: true });
+    });
+});
+
+test('buildLibraryHtml', async (t) => {
+    await t.test('offers a match only for folders without an ID', () => {
+        const config = loadConfig();
+        config.providers = [{ Name: 'Main' }];
+        const html = config.buildLibraryHtml({
+            Items: [
+                { ItemType: 'Movie', Title: 'Heat (1995)', TmdbId: 949, Path: '/lib/Movies/Heat (1995) [tmdbid-949]', Categories: [] },
+                { ItemType: 'Movie', Title: 'Ronin (1998)', TmdbId: null, TvdbId: null, Path: '/lib/Movies/Ronin (1998)', Categories: [] },
+            ],
+            Folders: [''],
+            TotalRecordCount: 2,
+        });
+
+        assert.doesNotMatch(html, /openMatchFixer\(0\)/);
+        assert.match(html, /openMatchFixer\(1\)/);
+    });
+});
+
+test('buildMatchCandidatesHtml', async (t) => {
+    await t.test('links each candidate to its page and picks it by ID', () => {
+        const config = loadConfig();
+        const html = config.buildMatchCandidatesHtml([{ Id: 353546, Name: 'Bluey', Year: 2018, Overview: 'Six-year-old Bluey.' }], 'Series');
+
+        assert.match(html, /thetvdb\.com\/dereferrer\/series\/353546/);
+        assert.match(html, /pickMatchCandidate\(353546\)/);
+        assert.match(html, /Six-year-old Bluey\./);
+    });
+
+    await t.test('says which ID a result needs when there are none', () => {
+        const config = loadConfig();
+        assert.match(config.buildMatchCandidatesHtml([], 'Movie'), /No results with a TMDb ID/);
+    });
+});
+
+test('buildMetadataMatchRequest', async (t) => {
+    const item = { ProviderIndex: 1, ItemType: 'Movie', Title: 'Heat (1995)', Folder: 'Action' };
+
+    await t.test('sends the listed title as the key, with the pick', () => {
+        const config = loadConfig();
+        assert.deepStrictEqual(
+            config.buildMetadataMatchRequest(item, 949),
+            { ProviderIndex: 1, ItemType: 'Movie', Title: 'Heat (1995)', Id: 949 });
+    });
+
+    await t.test('the re-sync reads the ID from the saved override', () => {
+        const config = loadConfig();
+        assert.deepStrictEqual(
+            config.buildMetadataMatchRequest(item),
+            { ProviderIndex: 1, ItemType: 'Movie', Title: 'Heat (1995)' });
+    });
+});
+
+test('applyMetadataMatchOverride', async (t) => {
+    const account = (name, user) => ({ Name: name, BaseUrl: 'http://' + name.toLowerCase() + '.test', Username: user || 'u' });
+
+    await t.test('adds the picked row to the open provider\'s editor, keeping its unsaved rows', () => {
+        const config = loadConfig();
+        config.providers = [Object.assign(account('Main'), { TmdbFolderIdOverrides: '' })];
+        config.activeProviderIndex = 0;
+        config.folderIdOverrideRows.tmdb = [{ name: 'Ronin (1998)', id: '8195' }];
+        config.savedState = { Providers: [Object.assign(account('Main'), { TmdbFolderIdOverrides: '' })] };
+        config.normalizeConfigState = () => {};
+        const table = element();
+        const restore = withDocument({ tmdbOverrideTable: table });
+        try {
+            config.applyMetadataMatchOverride(0, 'Movie', 'Heat (1995)', 949, 'Heat (1995)=949');
+        } finally {
+            restore();
+        }
+
+        assert.strictEqual(config.buildFolderIdOverrides(config.folderIdOverrideRows.tmdb), 'Ronin (1998)=8195\nHeat (1995)=949');
+        assert.match(table.innerHTML, /Heat \(1995\)/);
+        assert.strictEqual(config.savedState.Providers[0].TmdbFolderIdOverrides, 'Heat (1995)=949');
+    });
+
+    await t.test('finds the provider by account after the list on the page was reordered', () => {
+        const config = loadConfig();
+        config.providers = [account('Main'), Object.assign(account('Backup'), { TvdbFolderIdOverrides: 'Bluey=1' })];
+        config.activeProviderIndex = 0;
+        config.savedState = { Providers: [account('Backup'), account('Main')] };
+        config.normalizeConfigState = () => {};
+
+        config.applyMetadataMatchOverride(0, 'Series', 'Bluey', 353546, 'Bluey=353546');
+
+        assert.strictEqual(config.providers[1].TvdbFolderIdOverrides, 'Bluey=353546');
+        assert.strictEqual(config.providers[0].TvdbFolderIdOverrides, undefined);
+        assert.strictEqual(config.savedState.Providers[0].TvdbFolderIdOverrides, 'Bluey=353546');
+    });
+});
+
+test('pageProviderIndex', async (t) => {
+    await t.test('tells two accounts on one server apart, and misses a provider no longer on the page', () => {
+        const config = loadConfig();
+        config.providers = [{ BaseUrl: 'http://a.test', Username: 'kids' }, { BaseUrl: 'http://a.test', Username: 'main' }];
+        config.savedState = { Providers: [{ BaseUrl: 'http://a.test', Username: 'main' }, { BaseUrl: 'http://b.test', Username: 'x' }] };
+
+        assert.strictEqual(config.pageProviderIndex(0), 1);
+        assert.strictEqual(config.pageProviderIndex(1), -1);
+        assert.strictEqual(config.pageProviderIndex(2), -1);
+    });
+});
+
+test('describeMetadataMatchResult', async (t) => {
+    await t.test('counts renamed folders and explains the ones left alone', () => {
+        const config = loadConfig();
+        assert.strictEqual(
+            config.describeMetadataMatchResult({ Folders: ['/a', '/b'], Skipped: ['/c'] }),
+            'Renamed 2 folders to carry the ID. 1 left as it is because the matched folder already exists; the next sync cleans it up.');
+        assert.match(config.describeMetadataMatchResult({ Folders: [], Skipped: [] }), /next sync uses the match/);
+    });
+});
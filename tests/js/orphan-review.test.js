@@ -0,0 +1,157 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// The orphan review. A delete from here is irreversible and bypasses the safety threshold on
+// purpose, so what matters is that exactly the ticked files are sent, that "all matching" sends
+// the filter on screen rather than a guess, and that the way in only shows where it can work.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig, element, withDocument } = require('./helpers/config-harness');
+
+function page(overrides) {
+    return Object.assign({
+        Items: [
+            { ProviderIndex: 0, ItemType: 'Movie', Path: '/lib/Movies/Heat/Heat.strm', Name: 'Heat/Heat.strm' },
+            { ProviderIndex: 0, ItemType: 'Episode', Path: '/lib/Series/Show/Season 1/Show - S01E01.strm', Name: 'Show/Season 1/Show - S01E01.strm' },
+        ],
+        TotalRecordCount: 2,
+        StartIndex: 0,
+        MovieCount: 1,
+        EpisodeCount: 1,
+    }, overrides);
+}
+
+const blockedRun = {
+    Success: true,
+    StartTime: '2026-03-01T10:00:00Z',
+    EndTime: '2026-03-01T10:05:00Z',
+    MovieOrphansSkipped: 300,
+    MovieOrphansExamined: 1000,
+    OrphanSafetyThresholdApplied: 0.2,
+    MoviesCreated: 0,
+    EpisodesCreated: 0,
+};
+
+test('buildSyncResultHtml', async (t) => {
+    await t.test('offers the review only for the latest run', () => {
+        const config = loadConfig();
+
+        assert.match(config.buildSyncResultHtml(blockedRun, 'Last Sync', true), /openOrphanReview\(\)/);
+        assert.doesNotMatch(config.buildSyncResultHtml(blockedRun, 'Sync'), /openOrphanReview/);
+    });
+});
+
+test('buildOrphanReviewHtml', async (t) => {
+    await t.test('one checkbox per file, indexed into the page', () => {
+        const config = loadConfig();
+        config.providers = [{ Name: 'Main' }];
+        const html = config.buildOrphanReviewHtml(page());
+
+        assert.match(html, /2 files blocked: 1 movies, 1 episodes/);
+        assert.match(html, /data-index="0"[^]*Heat\/Heat\.strm/);
+        assert.match(html, /data-index="1"[^]*Show - S01E01\.strm/);
+        assert.doesNotMatch(html, /<th>Provider<\/th>/);
+    });
+
+    await t.test('tells a filter that matches nothing apart from a list that is empty', () => {
+        const config = loadConfig();
+        config.providers = [{ Name: 'Main' }];
+
+        assert.match(config.buildOrphanReviewHtml(page({ Items: [], TotalRecordCount: 0 })), /No orphaned files match the filter/);
+        assert.match(config.buildOrphanReviewHtml(page({ Items: [], TotalRecordCount: 0, MovieCount: 0, EpisodeCount: 0 })), /Nothing left to review/);
+    });
+});
+
+test('buildPagerHtml', async (t) => {
+    await t.test('pages the review with its own load function and page size', () => {
+        const config = loadConfig();
+        const html = config.buildPagerHtml(page({ StartIndex: 50, TotalRecordCount: 120 }), 'loadBlockedOrphans', 50);
+
+        assert.match(html, /51-52 of 120/);
+        assert.match(html, /loadBlockedOrphans\(0\)"><span>Previous/);
+        assert.match(html, /loadBlockedOrphans\(100\)"><span>Next/);
+    });
+});
+
+test('selectedOrphanPaths', async (t) => {
+    await t.test('returns the full paths of the ticked rows only', () => {
+        const config = loadConfig();
+        config.orphanReviewPage = page();
+        const box = (index, checked) => element({ checked, getAttribute: () => String(index) });
+        const restore = withDocument({}, { '.orphan-review-check': [box(0, false), box(1, true)] });
+        try {
+            assert.deepStrictEqual(config.selectedOrphanPaths(), ['/lib/Series/Show/Season 1/Show - S01E01.strm']);
+        } finally {
+            restore();
+        }
+    });
+});
+
+test('buildOrphanReviewRequest', async (t) => {
+    await t.test('sends the ticked paths', () => {
+        const config = loadConfig();
+        assert.deepStrictEqual(
+            config.buildOrphanReviewRequest('delete', false, ['/a.strm'], { search: 'x', type: 'Movie' }),
+            { Action: 'delete', Paths: ['/a.strm'] });
+    });
+
+    await t.test('"all matching" sends the filter, blanks as null', () => {
+        const config = loadConfig();
+        assert.deepStrictEqual(
+            config.buildOrphanReviewRequest('keep', true, [], { search: 'Heat', type: '' }),
+            { Action: 'keep', All: true, Search: 'Heat', ItemType: null });
+    });
+});
+
+test('describeOrphanReviewResult', async (t) => {
+    await t.test('mentions files that could not be deleted', () => {
+        const config = loadConfig();
+        assert.strictEqual(
+            config.describeOrphanReviewResult({ Deleted: 3, Kept: 0, Failed: 1 }),
+            'Deleted 3 files. 1 could not be deleted and are still listed.');
+    });
+});
+
+test('resolveOrphans', async (t) => {
+    await t.test('"all matching" sends the filter the page was loaded with, not the edited inputs', async () => {
+        const config = loadConfig();
+        const elements = {
+            orphanReviewStatus: element(),
+            orphanReviewSearch: element({ value: '' }),
+            orphanReviewType: element({ value: '' }),
+        };
+        const restore = withDocument(elements);
+        const previous = { fetch: global.fetch, confirm: global.confirm };
+        const questions = [];
+        const bodies = [];
+        global.confirm = (message) => { questions.push(message); return true; };
+        global.ApiClient = { getUrl: (path) => '/' + path, accessToken: () => 'token' };
+        global.fetch = (url, options) => {
+            bodies.push(JSON.parse(options.body));
+            return Promise.resolve({ ok: true, json: () => Promise.resolve({ Deleted: 3, Kept: 0, Failed: 0 }) });
+        };
+        config.loadBlockedOrphans = () => {};
+        config.orphanReviewPage = page({ TotalRecordCount: 3 });
+        config.orphanReviewFilter = { search: 'Heat', type: 'Movie' };
+
+        try {
+            config.resolveOrphans('delete', true);
+            await new Promise((resolve) => setImmediate(resolve));
+
+            assert.match(questions[0], /^Delete 3 orphaned files matching "Heat" from disk\?/);
+            assert.deepStrictEqual(bodies, [{ Action: 'delete', All: true, Search: 'Heat', ItemType: 'Movie' }]);
+        } finally {
+            global.fetch = previous.fetch;
+            global.confirm = previous.confirm;
+            delete global.ApiClient;
+            restore();
+        }
+    });
+});
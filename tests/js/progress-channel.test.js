@@ -0,0 +1,127 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// The sync progress channel. The Sync tab and the Dashboard used to run three polling loops of
+// their own; what is pinned here is that they now share one connection, that a dropped stream
+// hands over to polling instead of going quiet, and that a sync which has only just been started
+// is not reported as finished before it has had the chance to set IsRunning.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig } = require('./helpers/config-harness');
+
+/** Installs fake EventSource and ApiClient globals; returns the opened sources and a restore. */
+function fakeBrowser() {
+    const sources = [];
+    class FakeEventSource {
+        constructor(url) {
+            this.url = url;
+            this.closed = false;
+            this.listeners = {};
+            sources.push(this);
+        }
+
+        addEventListener(type, fn) { this.listeners[type] = fn; }
+
+        close() { this.closed = true; }
+
+        emit(progress) { this.listeners.progress({ data: JSON.stringify(progress) }); }
+    }
+
+    global.EventSource = FakeEventSource;
+    global.ApiClient = {
+        getUrl: (name, params) => name + (params ? '?api_key=' + params.api_key : ''),
+        accessToken: () => 'token',
+    };
+    return {
+        sources,
+        restore: () => {
+            delete global.EventSource;
+            delete global.ApiClient;
+        },
+    };
+}
+
+test('progress channel', async (t) => {
+    await t.test('fans one stream out to every view and closes once the sync ends', () => {
+        const config = loadConfig();
+        const browser = fakeBrowser();
+        try {
+            const seen = { syncTab: [], dashboard: [] };
+            config.subscribeProgress('syncTab', (p) => seen.syncTab.push(p.IsRunning));
+            config.subscribeProgress('dashboard', (p) => seen.dashboard.push(p.IsRunning));
+
+            assert.strictEqual(browser.sources.length, 1);
+            assert.strictEqual(browser.sources[0].url, 'XtreamLibrary/Progress/Stream?api_key=token');
+
+            browser.sources[0].emit({ IsRunning: true });
+            browser.sources[0].emit({ IsRunning: false });
+
+            assert.deepStrictEqual(seen, { syncTab: [true, false], dashboard: [true, false] });
+            assert.ok(browser.sources[0].closed);
+            assert.strictEqual(config.progressSource, null);
+            assert.deepStrictEqual(config.progressSubscribers, {});
+        } finally {
+            browser.restore();
+        }
+    });
+
+    await t.test('falls back to polling when the stream drops', () => {
+        const config = loadConfig();
+        const browser = fakeBrowser();
+        let polling = 0;
+        config.startProgressPollingFallback = () => { polling++; };
+        try {
+            config.subscribeProgress('syncTab', () => {});
+            browser.sources[0].onerror();
+
+            assert.ok(browser.sources[0].closed);
+            assert.strictEqual(polling, 1);
+            // A late error from the stream that was already replaced changes nothing.
+            browser.sources[0].onerror();
+            assert.strictEqual(polling, 1);
+        } finally {
+            browser.restore();
+        }
+    });
+
+    await t.test('an idle reading right after opening is not taken as the end of the sync', () => {
+        const config = loadConfig();
+        const browser = fakeBrowser();
+        try {
+            const seen = [];
+            config.subscribeProgress('syncTab', (p) => seen.push(p.IsRunning));
+
+            config.dispatchProgress({ IsRunning: false });
+            assert.deepStrictEqual(seen, []);
+
+            config.progressChannelOpenedAt -= config.progressIdleGraceMs;
+            config.dispatchProgress({ IsRunning: false });
+            assert.deepStrictEqual(seen, [false]);
+        } finally {
+            browser.restore();
+        }
+    });
+
+    await t.test('the last view to leave closes the connection', () => {
+        const config = loadConfig();
+        const browser = fakeBrowser();
+        try {
+            config.subscribeProgress('syncTab', () => {});
+            config.subscribeProgress('dashboard', () => {});
+
+            config.unsubscribeProgress('dashboard');
+            assert.ok(!browser.sources[0].closed);
+            config.unsubscribeProgress('syncTab');
+            assert.ok(browser.sources[0].closed);
+        } finally {
+            browser.restore();
+        }
+    });
+});
@@ -0,0 +1,91 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// The provider link paste. Providers hand out links in several shapes, and a base URL that keeps
+// a path segment too many or drops the port is one every request of the sync then gets wrong, so
+// these tests pin the split down per shape.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig, element, withDocument } = require('./helpers/config-harness');
+
+test('parseProviderLink reads the credentials from the query of a playlist or API link', () => {
+    const config = loadConfig();
+
+    assert.deepStrictEqual(
+        config.parseProviderLink(' http://provider.test:8080/get.php?username=jane&password=s3cr%26t&type=m3u_plus&output=ts '),
+        { BaseUrl: 'http://provider.test:8080', Username: 'jane', Password: 's3cr&t' });
+    assert.deepStrictEqual(
+        config.parseProviderLink('https://provider.test/player_api.php?username=jane&password=pw'),
+        { BaseUrl: 'https://provider.test', Username: 'jane', Password: 'pw' });
+    assert.deepStrictEqual(
+        config.parseProviderLink('http://provider.test/panel/xmltv.php?username=jane&password=pw'),
+        { BaseUrl: 'http://provider.test/panel', Username: 'jane', Password: 'pw' });
+});
+
+test('parseProviderLink reads the credentials from the path of a stream link', () => {
+    const config = loadConfig();
+
+    assert.deepStrictEqual(
+        config.parseProviderLink('http://provider.test:25461/live/jane/pw/1234.ts'),
+        { BaseUrl: 'http://provider.test:25461', Username: 'jane', Password: 'pw' });
+    assert.deepStrictEqual(
+        config.parseProviderLink('https://provider.test:443/movie/jane%40mail/p%2Fw/99.mkv'),
+        { BaseUrl: 'https://provider.test', Username: 'jane@mail', Password: 'p/w' });
+});
+
+test('parseProviderLink keeps a stray % in a stream link as it is', () => {
+    const config = loadConfig();
+
+    assert.deepStrictEqual(
+        config.parseProviderLink('http://h.test/live/jane/50%off/1.ts'),
+        { BaseUrl: 'http://h.test', Username: 'jane', Password: '50%off' });
+});
+
+test('parseProviderLink turns down what is not a provider link', () => {
+    const config = loadConfig();
+
+    assert.strictEqual(config.parseProviderLink('provider.test/get.php?username=a&password=b'), null);
+    assert.strictEqual(config.parseProviderLink('ftp://provider.test/get.php?username=a&password=b'), null);
+    assert.strictEqual(config.parseProviderLink('http://provider.test/get.php?username=a'), null);
+    assert.strictEqual(config.parseProviderLink('http://provider.test/live/jane'), null);
+    assert.strictEqual(config.parseProviderLink('http://provider.test:8080'), null);
+});
+
+test('applyProviderLink fills the credentials in, clears the link and tests them', () => {
+    const config = loadConfig();
+    const elements = {
+        txtProviderLink: element({ value: 'http://provider.test:8080/get.php?username=jane&password=pw&type=m3u_plus' }),
+        providerLinkStatus: element(),
+        txtBaseUrl: element({ value: 'http://old.test' }),
+        txtUsername: element(),
+        txtPassword: element(),
+    };
+    const restore = withDocument(elements);
+    let tested = 0;
+    config.testConnection = () => { tested++; };
+    config.scheduleDirtyCheck = () => {};
+
+    try {
+        config.applyProviderLink();
+        assert.strictEqual(elements.txtBaseUrl.value, 'http://provider.test:8080');
+        assert.strictEqual(elements.txtUsername.value, 'jane');
+        assert.strictEqual(elements.txtPassword.value, 'pw');
+        assert.strictEqual(elements.txtProviderLink.value, '');
+        assert.strictEqual(tested, 1);
+
+        elements.txtProviderLink.value = 'not a link';
+        config.applyProviderLink();
+        assert.match(elements.providerLinkStatus.innerHTML, /color: red;/);
+        assert.strictEqual(elements.txtBaseUrl.value, 'http://provider.test:8080');
+        assert.strictEqual(tested, 1);
+    } finally {
+        restore();
+    }
+});
@@ -0,0 +1,127 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// The provider manager. Two providers writing into one library path delete each other's files as
+// orphans, so a clone or a new provider has to land on a path nobody uses; and the form edits
+// providers[activeProviderIndex], so a reorder has to move that index along with its provider.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig, element, withDocument } = require('./helpers/config-harness');
+
+test('nextFreeLibraryPath skips the paths other providers already use', () => {
+    const config = loadConfig();
+    config.providers = [
+        { LibraryPath: '/config/xtream-library' },
+        { LibraryPath: '/config/Xtream-Library-3/' },
+    ];
+
+    assert.strictEqual(config.nextFreeLibraryPath(), '/config/xtream-library-4');
+
+    config.providers[1].LibraryPath = '/media/other';
+    assert.strictEqual(config.nextFreeLibraryPath(), '/config/xtream-library-3');
+});
+
+test('cloneProvider copies everything into an independent entry with its own library path', () => {
+    const config = loadConfig();
+    const source = Object.assign(config.makeDefaultProvider(0), {
+        Name: 'Main',
+        BaseUrl: 'http://provider.test',
+        SelectedVodCategoryIds: [1, 2],
+        MovieFolderMode: 'Multiple',
+        MovieFolderMappings: 'Action=1,2',
+        SyncParallelism: 4,
+    });
+    config.providers = [source];
+
+    const index = config.cloneProvider(0);
+    const copy = config.providers[index];
+
+    assert.strictEqual(index, 1);
+    assert.strictEqual(copy.Name, 'Main (copy)');
+    assert.strictEqual(copy.LibraryPath, '/config/xtream-library-2');
+    assert.strictEqual(copy.BaseUrl, 'http://provider.test');
+    assert.strictEqual(copy.MovieFolderMappings, 'Action=1,2');
+    assert.strictEqual(copy.SyncParallelism, 4);
+
+    copy.SelectedVodCategoryIds.push(3);
+    assert.deepStrictEqual(source.SelectedVodCategoryIds, [1, 2]);
+});
+
+test('moveProvider keeps the form on the provider it was showing', () => {
+    const config = loadConfig();
+    config.providers = [{ Name: 'A' }, { Name: 'B' }, { Name: 'C' }];
+    config.activeProviderIndex = 1;
+
+    config.moveProvider(2, 0);
+    assert.deepStrictEqual(config.providers.map((p) => p.Name), ['C', 'A', 'B']);
+    assert.strictEqual(config.activeProviderIndex, 2);
+
+    config.moveProvider(2, 0);
+    assert.deepStrictEqual(config.providers.map((p) => p.Name), ['B', 'C', 'A']);
+    assert.strictEqual(config.activeProviderIndex, 0);
+
+    config.moveProvider(0, 5);
+    assert.deepStrictEqual(config.providers.map((p) => p.Name), ['B', 'C', 'A']);
+});
+
+test('providerMoveWarning counts the Live TV providers a move shifts', () => {
+    const config = loadConfig();
+    const live = (name) => ({ Name: name, BaseUrl: 'http://' + name + '.test', Username: 'u' });
+    config.providers = [live('a'), { Name: 'b', IsEnabled: false, BaseUrl: 'http://b.test', Username: 'u' }, live('c'), { Name: 'd' }, { Name: 'e', BaseUrl: 'http://e.test' }];
+    const liveTv = element({ checked: true });
+    const restore = withDocument({ chkEnableLiveTv: liveTv });
+
+    try {
+        assert.match(config.providerMoveWarning(2, 0), /place of 2 Live TV providers/);
+        assert.match(config.providerMoveWarning(1, 2), /place of 1 Live TV provider in/);
+        assert.strictEqual(config.providerMoveWarning(4, 3), null, 'neither provider that moves has credentials');
+
+        liveTv.checked = false;
+        assert.strictEqual(config.providerMoveWarning(2, 0), null);
+    } finally {
+        restore();
+    }
+});
+
+test('renderProviderManager lists each provider with its number, state and path', () => {
+    const config = loadConfig();
+    config.providers = [
+        { Name: 'Main', IsEnabled: true, LibraryPath: '/config/xtream-library' },
+        { Name: '', IsEnabled: false, LibraryPath: '/config/xtream-library-2' },
+    ];
+    config.activeProviderIndex = 0;
+    const list = element();
+    const restore = withDocument({ providerManagerList: list });
+
+    try {
+        config.renderProviderManager();
+    } finally {
+        restore();
+    }
+
+    const rows = list.innerHTML.split('<div class="provider-manager-row');
+    assert.match(rows[1], /provider-manager-active/);
+    assert.match(rows[1], /value="Main"/);
+    assert.match(rows[1], /provider-enabled-cb" data-provider-index="0" checked/);
+    assert.match(rows[1], /Editing/);
+    assert.doesNotMatch(rows[1], /provider-edit-btn/);
+    assert.match(rows[2], /placeholder="Provider 2"/);
+    assert.doesNotMatch(rows[2], /checked/);
+    assert.match(rows[2], /\/config\/xtream-library-2/);
+    assert.match(rows[2], /provider-edit-btn/);
+});
+
+test('providerLabel names an unnamed provider by its number and marks a disabled one', () => {
+    const config = loadConfig();
+    config.providers = [{ Name: 'Main', IsEnabled: true }, { Name: '', IsEnabled: false }];
+
+    assert.strictEqual(config.providerLabel(0), 'Main');
+    assert.strictEqual(config.providerLabel(1), 'Provider 2 (disabled)');
+});
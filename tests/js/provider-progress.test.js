@@ -0,0 +1,121 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// The per-provider rows under the dashboard's Live Progress. Progress events arrive twice a
+// second, so the row skeleton - and with it the Cancel button - is only redrawn when a provider
+// changes state; otherwise a click could land on a button that has just been replaced.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig, element, withDocument } = require('./helpers/config-harness');
+
+function row(overrides) {
+    return Object.assign({
+        ProviderIndex: 0,
+        Name: 'Main',
+        State: 'Running',
+        Phase: 'Syncing Movies (batch 1/4)',
+        ItemsProcessed: 50,
+        TotalItems: 200,
+        CategoriesProcessed: 1,
+        TotalCategories: 4,
+        Errors: 0,
+        MoviesCreated: 3,
+        EpisodesCreated: 0,
+        EstimatedSecondsRemaining: 95,
+        CancelRequested: false,
+    }, overrides);
+}
+
+/** A container that remembers its attributes and counts skeleton redraws. */
+function container() {
+    const attributes = {};
+    const details = [element({}), element({})];
+    let html = '';
+    const el = element({
+        redraws: 0,
+        details,
+        getAttribute: (name) => (name in attributes ? attributes[name] : null),
+        setAttribute: (name, value) => { attributes[name] = value; },
+        removeAttribute: (name) => { delete attributes[name]; },
+        querySelectorAll: (selector) => (selector === '.provider-progress-details' ? details : []),
+    });
+    Object.defineProperty(el, 'innerHTML', {
+        get: () => html,
+        set: (value) => { html = value; el.redraws++; },
+    });
+    return el;
+}
+
+test('describeProviderProgress', async (t) => {
+    await t.test('a running provider shows its phase, counts, ETA and errors', () => {
+        const config = loadConfig();
+        const html = config.describeProviderProgress(row({ Errors: 2 }));
+
+        assert.match(html, /Syncing Movies \(batch 1\/4\)/);
+        assert.match(html, /width: 25%/);
+        assert.match(html, /Batches: 1\/4/);
+        assert.match(html, /Items: 50\/200/);
+        assert.match(html, /about 1m 35s left/);
+        assert.match(html, /2 errors/);
+    });
+
+    await t.test('a finished provider shows how long it took instead of an ETA', () => {
+        const config = loadConfig();
+        const html = config.describeProviderProgress(row({
+            State: 'Completed',
+            StartTime: '2026-01-01T10:00:00Z',
+            EndTime: '2026-01-01T10:02:05Z',
+        }));
+
+        assert.doesNotMatch(html, /left/);
+        assert.doesNotMatch(html, /dashboard-progress-bar/);
+        assert.match(html, /took 2m 5s/);
+    });
+});
+
+test('renderProviderProgress', async (t) => {
+    await t.test('stays empty for a single provider, where the combined bar says it all', () => {
+        const config = loadConfig();
+        const el = container();
+        const restore = withDocument({ dashboardProviderProgress: el });
+        try {
+            config.renderProviderProgress([row()]);
+            assert.strictEqual(el.innerHTML, '');
+        } finally {
+            restore();
+        }
+    });
+
+    await t.test('redraws the rows only when a provider changes state', () => {
+        const config = loadConfig();
+        const el = container();
+        const restore = withDocument({ dashboardProviderProgress: el });
+        try {
+            const providers = [row(), row({ ProviderIndex: 1, Name: 'Backup', State: 'Pending' })];
+            config.renderProviderProgress(providers);
+            assert.strictEqual(el.redraws, 1);
+            assert.match(el.innerHTML, /cancelProviderSync\(0\)/);
+            assert.match(el.innerHTML, /cancelProviderSync\(1\)/);
+
+            providers[0].ItemsProcessed = 120;
+            config.renderProviderProgress(providers);
+            assert.strictEqual(el.redraws, 1);
+            assert.match(el.details[0].innerHTML, /Items: 120\/200/);
+
+            providers[0].CancelRequested = true;
+            config.renderProviderProgress(providers);
+            assert.strictEqual(el.redraws, 2);
+            assert.doesNotMatch(el.innerHTML, /cancelProviderSync\(0\)/);
+            assert.match(el.innerHTML, /Cancelling\.\.\./);
+        } finally {
+            restore();
+        }
+    });
+});
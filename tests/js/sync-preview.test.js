@@ -0,0 +1,92 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// The sync preview. Its point is to warn before a sync that the orphan safety threshold would
+// refuse the deletions, so the warning has to quote the same numbers the Last Sync panel would
+// quote afterwards; and a provider that could not be reached must not read as one with nothing to do.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig } = require('./helpers/config-harness');
+
+function provider(overrides) {
+    return Object.assign({
+        ProviderIndex: 0,
+        ProviderName: 'Main',
+        CleanupOrphans: true,
+        OrphanSafetyThreshold: 0.2,
+        MovieFilesOnDisk: 1000,
+        EpisodeFilesOnDisk: 5000,
+        MovieCleanupBlockedByThreshold: false,
+        EpisodeCleanupBlockedByThreshold: false,
+        CleanupBlockedByEmptySelection: false,
+        Failed: false,
+        ErrorCount: 0,
+        Errors: [],
+        MovieFolders: [
+            { Folder: '', ToAdd: 4, ToUpdate: 0, ToDelete: 200 },
+            { Folder: 'Kids', ToAdd: 0, ToUpdate: 2, ToDelete: 100 },
+        ],
+        SeriesFolders: [
+            { Folder: '', SeriesToAdd: 1, SeriesToDelete: 0, ToAdd: 10, ToUpdate: 0, ToDelete: 3 },
+        ],
+    }, overrides);
+}
+
+test('previewOrphanSkip', async (t) => {
+    await t.test('counts only the blocked type, against its own files on disk', () => {
+        const config = loadConfig();
+        const skip = config.previewOrphanSkip(provider({ MovieCleanupBlockedByThreshold: true }));
+
+        assert.strictEqual(skip.total, 300);
+        assert.strictEqual(skip.movies, 300);
+        assert.strictEqual(skip.episodes, 0);
+        assert.strictEqual(skip.ratioPct, 30);
+        assert.strictEqual(skip.thresholdPct, 20);
+    });
+
+    await t.test('is empty when nothing would be blocked', () => {
+        const config = loadConfig();
+        assert.strictEqual(config.previewOrphanSkip(provider()), null);
+    });
+});
+
+test('buildSyncPreviewHtml', async (t) => {
+    await t.test('one row per folder, with the threshold warning when deletions would be refused', () => {
+        const config = loadConfig();
+        const html = config.buildSyncPreviewHtml({
+            GeneratedAt: '2026-03-01T10:00:00Z',
+            Providers: [provider({ MovieCleanupBlockedByThreshold: true })],
+        });
+
+        assert.match(html, /Cleanup would be skipped: 300 orphaned files \(30% of the library, over the 20% safety limit\)/);
+        assert.match(html, /<td><em>Movies<\/em><\/td>/);
+        assert.match(html, /<td>Kids<\/td>/);
+        assert.match(html, /-200/);
+        assert.match(html, /~2/);
+        assert.match(html, /<td><em>Series<\/em><\/td>/);
+        assert.match(html, /\+10/);
+    });
+
+    await t.test('a failed provider says so instead of showing an empty plan', () => {
+        const config = loadConfig();
+        const html = config.buildSyncPreviewHtml({
+            GeneratedAt: '2026-03-01T10:00:00Z',
+            Providers: [
+                provider({ Failed: true, ErrorCount: 1, Errors: ['connection refused'], MovieFolders: [], SeriesFolders: [] }),
+                provider({ ProviderName: 'Backup', CleanupOrphans: false }),
+            ],
+        });
+
+        assert.match(html, /<h4>Main<\/h4>/);
+        assert.match(html, /Could not be previewed: connection refused/);
+        assert.doesNotMatch(html, /Nothing to sync/);
+        assert.match(html, /Orphan cleanup is off for this provider/);
+    });
+});
@@ -0,0 +1,225 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// The title cleaning preview and the regex pattern check before a save. The patterns are .NET
+// regexes, so the page cannot compile them itself; these tests pin down what it asks the server,
+// how it shows the answer, and that a save stops at a pattern the sync would skip.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig, element, withDocument } = require('./helpers/config-harness');
+
+const PREVIEW = {
+    Items: [
+        { Name: 'The Matrix (1999) [Multi-Sub]', ItemType: 'Movie', FolderName: 'The Matrix (1999)', FileName: 'The Matrix.strm', MatchedTerms: ['[Multi-Sub]'], MatchedPatterns: ['\\s*\\(\\d{4}\\)'] },
+        { Name: 'Bluey (2018)', ItemType: 'Series', FolderName: 'Bluey (2018)', FileName: 'Bluey - S01E01.strm', MatchedTerms: [], MatchedPatterns: [] },
+    ],
+    InvalidPatterns: [{ Line: 3, Pattern: '(unclosed', Error: 'Not enough )\'s.' }],
+};
+
+/** Stubs fetch with a handler per request body; returns the bodies sent and a restore function. */
+function stubFetch(handler) {
+    const previousFetch = global.fetch;
+    const bodies = [];
+    global.ApiClient = { getUrl: (path) => '/' + path, accessToken: () => 'token' };
+    global.fetch = (url, options) => {
+        const body = JSON.parse(options.body);
+        bodies.push(body);
+        return handler(body);
+    };
+    return {
+        bodies,
+        restore: () => {
+            global.fetch = previousFetch;
+            delete global.ApiClient;
+        },
+    };
+}
+
+const ok = (json) => Promise.resolve({ ok: true, json: () => Promise.resolve(json) });
+
+test('getTitleCleaningSamples takes each loaded title once per type, in name order, up to the limit', () => {
+    const config = loadConfig();
+    config.contentItemsByCategory = {
+        vod: { 1: [{ StreamId: 1, Name: 'Heat' }, { StreamId: 2, Name: 'Alien' }], 2: [{ StreamId: 3, Name: 'Heat' }] },
+        series: { 5: [{ SeriesId: 9, Name: 'Heat' }] },
+    };
+
+    assert.deepStrictEqual(config.getTitleCleaningSamples(10), [
+        { Name: 'Alien', ItemType: 'Movie' },
+        { Name: 'Heat', ItemType: 'Movie' },
+        { Name: 'Heat', ItemType: 'Series' },
+    ]);
+    assert.strictEqual(config.getTitleCleaningSamples(1).length, 1);
+});
+
+test('buildTitleCleaningPreviewHtml reports invalid patterns and the rules that matched', () => {
+    const config = loadConfig();
+    const html = config.buildTitleCleaningPreviewHtml(PREVIEW, 'all', '', 500);
+
+    assert.match(html, /Line 3: <code>\(unclosed<\/code> does not compile/);
+    assert.match(html, /1 of 2 titles are changed/);
+    assert.match(html, /<code>\[Multi-Sub\]<\/code>/);
+    assert.match(html, /Bluey - S01E01\.strm/);
+});
+
+test('buildTitleCleaningPreviewHtml filters to the changed titles and searches folder and file names', () => {
+    const config = loadConfig();
+
+    const matched = config.buildTitleCleaningPreviewHtml(PREVIEW, 'matched', '', 500);
+    assert.match(matched, /The Matrix/);
+    assert.doesNotMatch(matched, /Bluey/);
+
+    const search = config.buildTitleCleaningPreviewHtml(PREVIEW, 'all', 'matrix.strm', 500);
+    assert.match(search, /The Matrix/);
+    assert.doesNotMatch(search, /Bluey/);
+
+    const none = config.buildTitleCleaningPreviewHtml(PREVIEW, 'all', 'zzz', 500);
+    assert.match(none, /No titles match/);
+});
+
+test('findInvalidRegexPatterns only checks providers with patterns and labels each problem', async () => {
+    const config = loadConfig();
+    config.providers = [
+        { Name: 'Main', RegexRemovalPatterns: '\\[tmdbid-\\d+\\]\n(unclosed' },
+        { Name: 'Backup', RegexRemovalPatterns: '  ' },
+        { Name: '', RegexRemovalPatterns: '(?i)ok' },
+    ];
+    const fetch = stubFetch((body) => ok({
+        Items: [],
+        InvalidPatterns: body.RegexRemovalPatterns.indexOf('(unclosed') >= 0
+            ? [{ Line: 2, Pattern: '(unclosed', Error: 'Not enough )\'s.' }]
+            : [],
+    }));
+
+    try {
+        const problems = await config.findInvalidRegexPatterns();
+
+        assert.deepStrictEqual(problems, ['"Main": line 2, (unclosed (Not enough )\'s.)']);
+        assert.deepStrictEqual(fetch.bodies.map((b) => b.RegexRemovalPatterns), ['\\[tmdbid-\\d+\\]\n(unclosed', '(?i)ok']);
+        assert.deepStrictEqual(fetch.bodies[0].Samples, []);
+    } finally {
+        fetch.restore();
+    }
+});
+
+test('findInvalidRegexPatterns fails when the check itself fails, rather than passing the patterns', async () => {
+    const config = loadConfig();
+    config.providers = [{ Name: 'Main', RegexRemovalPatterns: '(unclosed' }];
+    const fetch = stubFetch(() => Promise.reject(new Error('offline')));
+
+    try {
+        await assert.rejects(config.findInvalidRegexPatterns(), /offline/);
+    } finally {
+        fetch.restore();
+    }
+});
+
+test('saveConfig refuses a pattern that does not compile and saves nothing', async () => {
+    const config = loadConfig();
+    config.providers = [{ Name: 'Main', RegexRemovalPatterns: '(unclosed' }];
+    config.updateActiveProviderFromUI = () => {};
+    config.collectFieldErrors = () => [];
+    config.renderFieldErrors = () => {};
+    config.findEmptyFolderModeContent = () => null;
+    config.captureConfigState = () => ({});
+    const alerts = [];
+    global.Dashboard = { showLoadingMsg: () => {}, hideLoadingMsg: () => {}, alert: (text) => alerts.push(text) };
+    const fetch = stubFetch(() => ok({ Items: [], InvalidPatterns: [{ Line: 1, Pattern: '(unclosed', Error: 'Not enough )\'s.' }] }));
+    let saved = false;
+    global.ApiClient.getPluginConfiguration = () => { saved = true; return Promise.resolve({}); };
+
+    try {
+        config.saveConfig();
+        await new Promise((resolve) => setImmediate(resolve));
+
+        assert.strictEqual(saved, false);
+        assert.strictEqual(alerts.length, 1);
+        assert.match(alerts[0], /"Main": line 1, \(unclosed/);
+    } finally {
+        fetch.restore();
+        delete global.Dashboard;
+    }
+});
+
+test('saveConfig asks before saving patterns it could not check', async () => {
+    const setUp = (answer) => {
+        const config = loadConfig();
+        config.providers = [{ Name: 'Main', RegexRemovalPatterns: '(unclosed' }];
+        config.updateActiveProviderFromUI = () => {};
+        config.collectFieldErrors = () => [];
+        config.renderFieldErrors = () => {};
+        config.findEmptyFolderModeContent = () => null;
+        config.captureConfigState = () => ({});
+        const questions = [];
+        global.Dashboard = { showLoadingMsg: () => {}, hideLoadingMsg: () => {}, alert: () => {} };
+        global.confirm = (text) => { questions.push(text); return answer; };
+        const fetch = stubFetch(() => Promise.reject(new Error('offline')));
+        const state = { config, questions, fetch, saved: false };
+        global.ApiClient.getPluginConfiguration = () => { state.saved = true; return new Promise(() => {}); };
+        return state;
+    };
+    const previousError = console.error;
+    console.error = () => {};
+
+    try {
+        for (const answer of [false, true]) {
+            const state = setUp(answer);
+            try {
+                state.config.saveConfig();
+                await new Promise((resolve) => setImmediate(resolve));
+
+                assert.strictEqual(state.questions.length, 1);
+                assert.match(state.questions[0], /could not be checked: offline/);
+                assert.strictEqual(state.saved, answer);
+            } finally {
+                state.fetch.restore();
+                delete global.Dashboard;
+                delete global.confirm;
+            }
+        }
+    } finally {
+        console.error = previousError;
+    }
+});
+
+test('runTitleCleaningPreview sends the unsaved terms and patterns with the loaded titles', async () => {
+    const config = loadConfig();
+    config.contentItemsByCategory = { vod: { 1: [{ StreamId: 1, Name: 'Heat' }] }, series: {} };
+    const elements = {
+        titleCleaningStatus: element(),
+        titleCleaningPanel: element({ style: { display: 'none' } }),
+        titleCleaningPreview: element(),
+        selTitleCleaningFilter: element({ value: 'all' }),
+        titleCleaningSearch: element(),
+        txtCustomTitleRemoveTerms: element({ value: 'FHD' }),
+        txtRegexRemovalPatterns: element({ value: '\\s+' }),
+    };
+    const restore = withDocument(elements);
+    const fetch = stubFetch(() => ok({
+        Items: [{ Name: 'Heat', ItemType: 'Movie', FolderName: 'Heat', FileName: 'Heat.strm', MatchedTerms: [], MatchedPatterns: [] }],
+        InvalidPatterns: [],
+    }));
+
+    try {
+        config.runTitleCleaningPreview();
+        await new Promise((resolve) => setImmediate(resolve));
+
+        assert.strictEqual(elements.titleCleaningPanel.style.display, 'block');
+        assert.deepStrictEqual(fetch.bodies[0], {
+            Samples: [{ Name: 'Heat', ItemType: 'Movie' }],
+            CustomTitleRemoveTerms: 'FHD',
+            RegexRemovalPatterns: '\\s+',
+        });
+        assert.match(elements.titleCleaningPreview.innerHTML, /Heat\.strm/);
+    } finally {
+        fetch.restore();
+        restore();
+    }
+});
@@ -0,0 +1,241 @@
+// Copyright (C) 2024  Roland Breitschaft
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// The unsaved-changes bar compares a snapshot of the UI against the one taken at load or save.
+// A bar that lights up on a fresh page teaches people to ignore it, so the normalisation that
+// keeps late-loading category lists from reading as edits is pinned here along with the bar.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig, element, withDocument } = require('./helpers/config-harness');
+
+function state(config, overrides, settings) {
+    return {
+        Providers: [Object.assign(config.makeDefaultProvider(0), overrides)],
+        Settings: Object.assign({ LiveChannelMode: 'Custom', SelectedLiveCategoryIds: [3, 1] }, settings),
+    };
+}
+
+/** Makes captureConfigState return the given state instead of reading the DOM. */
+function stubCapture(config, current) {
+    config.captureConfigState = () => config.normalizeConfigState(JSON.parse(JSON.stringify(current)));
+}
+
+test('normalizeConfigState', async (t) => {
+    await t.test('orders ID lists so display order does not count as an edit', () => {
+        const config = loadConfig();
+        const loaded = config.normalizeConfigState(state(config, { SelectedVodCategoryIds: [5, 2, 9] }));
+        const rendered = config.normalizeConfigState(state(config, { SelectedVodCategoryIds: [2, 5, 9] }, { SelectedLiveCategoryIds: [1, 3] }));
+
+        assert.deepStrictEqual(loaded.Providers[0].SelectedVodCategoryIds, [2, 5, 9]);
+        assert.deepStrictEqual(config.diffConfigBundle(loaded, rendered), []);
+    });
+
+    await t.test('orders the category IDs inside each folder but keeps the folder order', () => {
+        const config = loadConfig();
+        const normalized = config.normalizeConfigState(state(config, { MovieFolderMappings: 'Kids=9,4\nAction=3,1' }));
+
+        assert.strictEqual(normalized.Providers[0].MovieFolderMappings, 'Kids=4,9\nAction=1,3');
+    });
+});
+
+test('updateDirtyState', async (t) => {
+    const dom = () => {
+        const bar = element({ style: { display: 'none' } });
+        const text = element({ textContent: '', title: '' });
+        return { bar, text, restore: withDocument({ unsavedChangesBar: bar, unsavedChangesText: text }) };
+    };
+
+    await t.test('stays hidden until a config has been loaded', () => {
+        const config = loadConfig();
+        const { bar, restore } = dom();
+        try {
+            config.captureConfigState = () => { throw new Error('must not read the UI'); };
+            config.updateDirtyState();
+            assert.strictEqual(bar.style.display, 'none');
+        } finally {
+            restore();
+        }
+    });
+
+    await t.test('counts the changed fields and hides again once they match', () => {
+        const config = loadConfig();
+        const { bar, text, restore } = dom();
+        try {
+            config.savedState = config.normalizeConfigState(state(config, { Name: 'Main' }));
+
+            stubCapture(config, state(config, { Name: 'Renamed' }));
+            config.updateDirtyState();
+            assert.strictEqual(bar.style.display, 'flex');
+            assert.strictEqual(text.textContent, '1 unsaved change');
+            assert.strictEqual(text.title, 'Provider 1 / Name');
+
+            stubCapture(config, state(config, { Name: 'Renamed', SyncMovies: false }, { LiveChannelMode: 'IncludeAll' }));
+            config.updateDirtyState();
+            assert.strictEqual(text.textContent, '3 unsaved changes');
+
+            stubCapture(config, state(config, { Name: 'Main' }));
+            config.updateDirtyState();
+            assert.strictEqual(bar.style.display, 'none');
+        } finally {
+            restore();
+        }
+    });
+});
+
+test('discardChanges', async (t) => {
+    await t.test('restores a copy of the saved state, not the snapshot itself', () => {
+        const config = loadConfig();
+        const restore = withDocument({});
+        const previousConfirm = global.confirm;
+        global.confirm = () => true;
+        try {
+            config.savedState = config.normalizeConfigState(state(config, { Name: 'Main' }));
+            stubCapture(config, state(config, { Name: 'Renamed' }));
+            let appliedSettings = null;
+            let loadedIndex = null;
+            config.loadProviderIntoUI = (index) => { loadedIndex = index; };
+            config.renderProviderSelector = () => {};
+            config.applyGlobalSettingsToUI = (settings) => { appliedSettings = settings; };
+            config.activeProviderIndex = 3;
+
+            config.discardChanges();
+
+            assert.strictEqual(config.providers[0].Name, 'Main');
+            assert.notStrictEqual(config.providers, config.savedState.Providers);
+            // The provider on screen no longer exists in the saved state.
+            assert.strictEqual(loadedIndex, 0);
+            assert.strictEqual(appliedSettings.LiveChannelMode, 'Custom');
+        } finally {
+            global.confirm = previousConfirm;
+            restore();
+        }
+    });
+
+    await t.test('leaves everything alone when the user backs out', () => {
+        const config = loadConfig();
+        const previousConfirm = global.confirm;
+        global.confirm = () => false;
+        try {
+            config.savedState = config.normalizeConfigState(state(config, { Name: 'Main' }));
+            stubCapture(config, state(config, { Name: 'Renamed' }));
+            config.providers = ['untouched'];
+
+            config.discardChanges();
+
+            assert.deepStrictEqual(config.providers, ['untouched']);
+        } finally {
+            global.confirm = previousConfirm;
+        }
+    });
+});
+
+test('saveBeforeLeaving', async (t) => {
+    await t.test('saves when the user says so and asks nothing without changes', () => {
+        const config = loadConfig();
+        const previousConfirm = global.confirm;
+        const questions = [];
+        let answer = true;
+        global.confirm = (message) => { questions.push(message); return answer; };
+        let saves = 0;
+        config.saveConfig = (leaving) => { assert.strictEqual(leaving, true); saves++; };
+        config.updateActiveProviderFromUI = () => {};
+        config.collectFieldErrors = () => [];
+        config.findEmptyFolderModeContent = () => null;
+        try {
+            config.savedState = config.normalizeConfigState(state(config, { Name: 'Main' }));
+            stubCapture(config, state(config, { Name: 'Main' }));
+            assert.strictEqual(config.saveBeforeLeaving(), false);
+            assert.strictEqual(questions.length, 0);
+
+            stubCapture(config, state(config, { Name: 'Renamed' }));
+            assert.strictEqual(config.saveBeforeLeaving(), true);
+            assert.match(questions[0], /^You have 1 unsaved change\. Save before leaving\?/);
+            assert.strictEqual(saves, 1);
+
+            answer = false;
+            assert.strictEqual(config.saveBeforeLeaving(), false);
+            assert.strictEqual(saves, 1);
+        } finally {
+            global.confirm = previousConfirm;
+        }
+    });
+
+    await t.test('says the changes are lost instead of offering a save that would be refused', () => {
+        const config = loadConfig();
+        const previousAlert = global.alert;
+        const previousConfirm = global.confirm;
+        const alerts = [];
+        global.alert = (message) => { alerts.push(message); };
+        global.confirm = () => { throw new Error('must not offer the save'); };
+        config.saveConfig = () => { throw new Error('must not save'); };
+        config.updateActiveProviderFromUI = () => {};
+        config.collectFieldErrors = () => [{ id: 'txtSyncInterval', scope: 'global', message: 'Sync interval must be a whole number' }];
+        config.findEmptyFolderModeContent = () => 'Provider 1 / Movies';
+        try {
+            config.savedState = config.normalizeConfigState(state(config, { Name: 'Main' }));
+            stubCapture(config, state(config, { Name: 'Renamed' }));
+
+            assert.strictEqual(config.saveBeforeLeaving(), false);
+            assert.strictEqual(alerts.length, 1);
+            assert.match(alerts[0], /^You have 1 unsaved change, but they cannot be saved:/);
+            assert.match(alerts[0], /- Sync interval must be a whole number\n- Provider 1 \/ Movies is set to Multiple folder mode/);
+            assert.match(alerts[0], /They are lost when you leave this page\.$/);
+        } finally {
+            global.alert = previousAlert;
+            global.confirm = previousConfirm;
+        }
+    });
+});
+
+test('captureConfigState reads the active provider into a copy', () => {
+    const config = loadConfig();
+    const provider = Object.assign(config.makeDefaultProvider(0), { Name: 'Main', Username: 'saved' });
+    config.providers = [provider];
+    config.activeProviderIndex = 0;
+    config.readProviderFromUI = (p) => { p.Username = 'typed'; };
+    config.readGlobalSettingsFromUI = () => {};
+
+    const captured = config.captureConfigState();
+
+    assert.strictEqual(captured.Providers[0].Username, 'typed');
+    assert.strictEqual(config.providers[0], provider);
+    assert.strictEqual(provider.Username, 'saved');
+});
+
+test('a save started on the way out says the changes are lost when the request fails', async () => {
+    const config = loadConfig();
+    config.providers = [config.makeDefaultProvider(0)];
+    config.updateActiveProviderFromUI = () => {};
+    config.collectFieldErrors = () => [];
+    config.renderFieldErrors = () => {};
+    config.findEmptyFolderModeContent = () => null;
+    config.findInvalidRegexPatterns = () => Promise.resolve([]);
+    config.findInvalidFolderRules = () => Promise.resolve([]);
+    config.rememberKnownCategories = () => {};
+    config.captureConfigState = () => ({});
+    const alerts = [];
+    global.Dashboard = { showLoadingMsg: () => {}, hideLoadingMsg: () => {}, alert: (text) => alerts.push(text) };
+    global.ApiClient = { getPluginConfiguration: () => Promise.reject(new Error('offline')) };
+    const previousError = console.error;
+    console.error = () => {};
+
+    try {
+        config.saveConfig(true);
+        await new Promise((resolve) => setImmediate(resolve));
+
+        assert.strictEqual(alerts.length, 1);
+        assert.match(alerts[0], /^The settings could not be saved: offline/);
+        assert.match(alerts[0], /the changes are lost/);
+    } finally {
+        console.error = previousError;
+        delete global.Dashboard;
+        delete global.ApiClient;
+    }
+});